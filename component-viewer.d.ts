@@ -0,0 +1,330 @@
+/* Type declarations for component-viewer (UMD, CommonJS and ES module entry points). */
+
+export type ItemType = 'image' | 'compare' | 'tiled' | 'video' | 'audio' | 'pdf' | 'inline' | 'markdown' | 'html' | 'error' | (string & {});
+
+export type CompareMode = 'split' | 'onion' | 'side';
+
+export type AnnotationTool = 'pen' | 'arrow' | 'rect' | 'text' | 'highlight';
+
+export type ImageFit = 'contain' | 'cover' | 'fit-width' | 'fit-height' | 'actual';
+
+/** points are [x, y] in pixels of the image loaded from src; arrow / rect use the first and last, text one (top-left). */
+export interface AnnotationShape {
+  type: AnnotationTool;
+  color: string;
+  points: Array<[number, number]>;
+  width?: number;
+  text?: string;
+  size?: number;
+}
+
+export interface ViewerItem {
+  type?: ItemType;
+  title?: string;
+  src?: string;
+  downloadUrl?: string | null;
+  zoomUrl?: string | null;
+  thumbnailUrl?: string | null;
+  /** Responsive candidates for built-in images: a srcset string or [{ src, width }]. */
+  srcset?: string | Array<{ src: string; width?: number } | string> | null;
+  sizes?: string | null;
+  /** true decodes any image as an animation (needed for WebP and PNG); false leaves a GIF / APNG to the browser. */
+  animated?: boolean;
+  fileExt?: string | null;
+  fileSize?: string | number | null;
+  mimeType?: string | null;
+  message?: string | null;
+  html?: string | null;
+  content?: string | null;
+  /** compare: second version and the labels shown on each side (default Before / After). */
+  compareSrc?: string | null;
+  label?: string | null;
+  compareLabel?: string | null;
+  /** compare: two or more versions; takes precedence over src / compareSrc. */
+  versions?: Array<string | { src: string; label?: string }>;
+  compareMode?: CompareMode;
+  /** Shapes from a previous onAnnotationsSave, drawn when the image loads. */
+  annotations?: AnnotationShape[] | null;
+  /** Key/value pairs listed under Details in the info panel. */
+  metadata?: Record<string, string | number | boolean | Array<string | number> | null> | null;
+  comment?: string | null;
+  author?: string | null;
+  comments?: Array<{ title?: string; author?: string; text?: string }>;
+  pollOptionLabel?: string | null;
+  pollOptionId?: string | number | null;
+  pollOptionSelected?: boolean;
+  /** The attachment element (DOM mode); a jQuery object, or the built-in DOM wrapper when jQuery is absent. */
+  $el?: DomWrapper;
+  [key: string]: unknown;
+}
+
+/** jQuery object when jQuery is on the page, otherwise the built-in wrapper with the same subset of methods. */
+export interface DomWrapper {
+  readonly length: number;
+  [index: number]: HTMLElement;
+  find(selector: string): DomWrapper;
+  append(content: string | Node | DomWrapper): DomWrapper;
+  empty(): DomWrapper;
+  html(html: string): DomWrapper;
+  text(text: string): DomWrapper;
+  on(events: string, handler: (e: Event) => unknown): DomWrapper;
+}
+
+export interface ToolbarItem {
+  id?: string;
+  icon?: string;
+  label?: string;
+  tooltip?: string;
+  className?: string;
+  showLabel?: boolean;
+  shortcutKey?: string;
+  visible?: boolean | ((item: ViewerItem, viewer: ComponentViewer) => boolean);
+  onClick?: (item: ViewerItem, viewer: ComponentViewer) => void;
+}
+
+/** Header subtitle slot: text, a node, or a function returning either; null or '' hides it. */
+export type HeaderSlot = string | Node | DomWrapper | ((item: ViewerItem, viewer: ComponentViewer) => string | Node | DomWrapper | null) | null;
+
+export interface RendererResult {
+  toolbar?: Array<ToolbarItem | 'separator' | '-'>;
+  destroy?: () => void;
+  [key: string]: unknown;
+}
+
+export interface RendererDefinition {
+  match?: (item: ViewerItem, viewer: ComponentViewer) => boolean;
+  render: (item: ViewerItem, $stage: DomWrapper, viewer: ComponentViewer) => RendererResult | null | void;
+  toolbar?: Array<ToolbarItem | 'separator' | '-'> | ((item: ViewerItem, viewer: ComponentViewer, result: RendererResult) => Array<ToolbarItem | 'separator' | '-'>);
+  shortcuts?: Array<{ key: string; label?: string; handler: (item: ViewerItem, viewer: ComponentViewer) => void }> | ((item: ViewerItem, viewer: ComponentViewer) => Array<{ key: string; label?: string; handler: (item: ViewerItem, viewer: ComponentViewer) => void }>);
+  destroy?: (item: ViewerItem, viewer: ComponentViewer) => void;
+}
+
+export interface ZoomOptions {
+  min?: number;
+  max?: number;
+  step?: number;
+  wheelStep?: number;
+  fit?: ImageFit;
+  doubleClickZoom?: number | false;
+  minimap?: boolean;
+  showPercentage?: boolean;
+  onZoom?: ((zoom: number, item: ViewerItem, viewer: ComponentViewer) => void) | null;
+  loadHighResUrlAt?: number | false;
+}
+
+export interface AnalyticsEvent {
+  type: 'impression' | 'download' | 'copy' | 'slideshowComplete';
+  /** Date.now() when the event was queued. */
+  time: number;
+  index: number;
+  item: ViewerItem | null;
+  itemType: string | null;
+  title: string;
+  /** impression: ms the item was shown while the page was visible. */
+  dwell?: number;
+  openedBy?: 'open' | 'next' | 'prev' | 'goTo' | 'visible';
+  closedBy?: 'next' | 'prev' | 'goTo' | 'close' | 'hidden';
+  maxZoom?: number;
+  /** impression, PDF: page numbers shown, ascending. */
+  pages?: number[];
+  pageCount?: number;
+  /** impression, video/audio: percent of the media played (0-100). */
+  watched?: number;
+  /** download */
+  url?: string | null;
+  /** copy: copied text length. */
+  length?: number;
+  /** slideshowComplete */
+  slides?: number;
+  duration?: number;
+}
+
+export interface HistoryOptions {
+  /** 'hash' (default) or 'query'. */
+  mode?: 'hash' | 'query';
+  /** URL parameter name. Default 'cv'. */
+  param?: string;
+  /** Item property (or function) used as the URL key; defaults to the 1-based index. */
+  key?: string | ((item: ViewerItem, index: number) => string | number) | null;
+  /** Viewer id in the URL; defaults to the container id. */
+  id?: string | null;
+  /** Push an entry per navigation instead of replacing the current one. */
+  pushNavigation?: boolean;
+}
+
+export interface PersistOptions {
+  /** Storage key for the saved preferences JSON. Default 'componentViewer'. */
+  key?: string;
+  /** Synchronous storage adapter; defaults to localStorage. */
+  storage?: { getItem(key: string): string | null; setItem(key: string, value: string): void } | null;
+}
+
+export interface ThemeDefinition {
+  /** Built-in rules applied underneath. Default 'dark'. */
+  base?: 'dark' | 'light';
+  /** Name shown in the theme toggle tooltip. */
+  label?: string;
+  /** CSS custom properties set on the overlay, e.g. { '--cv-text': '#fff' }; the '--cv-' prefix is optional. */
+  vars?: Record<string, string>;
+}
+
+export type KeymapAction = 'close' | 'prev' | 'next' | 'zoomIn' | 'zoomOut' | 'actualSize' | 'rotateLeft' | 'rotateRight' | 'flipHorizontal' | 'flipVertical' | 'undo' | 'redo' | 'playPause' | 'mute' | 'speed' | 'hd' | 'download' | 'print' | 'fullscreen' | 'theme' | 'carousel' | 'info' | 'slideshow' | 'shortcuts';
+/** Key names as in KeyboardEvent.key, optionally with modifiers: 'Ctrl+Shift+D'. false disables the action. */
+export type KeyBinding = string | string[] | false | null;
+
+/** A string, or plural forms keyed by Intl.PluralRules category ('one', 'few', 'many', 'other', ...). */
+export type LocaleString = string | { [category: string]: string };
+export type LocaleStrings = Record<string, LocaleString>;
+
+export interface ComponentViewerOptions {
+  items?: ViewerItem[] | null;
+  itemsProvider?: ((offset: number, limit: number) => PromiseLike<{ items: ViewerItem[]; total: number }>) | null;
+  itemsPaging?: { pageSize?: number; prefetch?: number; maxPages?: number };
+  selector?: string;
+  loop?: boolean;
+  overlayClose?: boolean;
+  keyboardNav?: boolean;
+  showCounter?: boolean;
+  preloadAdjacentImages?: boolean;
+  stageOnly?: boolean | { enabled?: boolean; hideNavigation?: boolean };
+  mode?: 'overlay' | 'embedded';
+  mountTo?: Element | string | DomWrapper | null;
+  carousel?: { enabled?: boolean; navThreshold?: number };
+  slideshow?: { enabled?: boolean; interval?: number; autoStart?: boolean; advanceMedia?: 'interval' | 'onEnd'; showProgress?: boolean; hideSlideshowButton?: boolean } | null;
+  /** 'dark', 'light', 'auto' (prefers-color-scheme) or a name passed to ComponentViewer.registerTheme. */
+  theme?: 'dark' | 'light' | 'auto' | (string & {});
+  /** Themes the header toggle cycles through; null means ['dark', 'light']. */
+  themes?: string[] | null;
+  themeToggle?: boolean;
+  onThemeChange?: ((theme: string, viewer: ComponentViewer) => void) | null;
+  fullscreen?: boolean;
+  swipeNav?: boolean;
+  swipeToClose?: boolean;
+  canShowTooltip?: boolean;
+  isRTL?: boolean;
+  minimize?: boolean | { enabled?: boolean };
+  zoom?: ZoomOptions;
+  toolbar?: { download?: boolean; zoom?: boolean; rotate?: boolean; flip?: boolean; fit?: boolean; extractText?: boolean; toggleSource?: boolean };
+  toolbarItems?: Array<ToolbarItem | 'separator' | '-'>;
+  /** Starting mode and onion-skin opacity (0-1) for compare items. */
+  compare?: { mode?: CompareMode; opacity?: number };
+  headerItems?: Array<ToolbarItem | 'separator' | '-'>;
+  headerLeft?: HeaderSlot;
+  headerCenter?: HeaderSlot;
+  itemData?: (($el: DomWrapper, defaultItem: ViewerItem) => ViewerItem) | null;
+  onRender?: ((item: ViewerItem, $stage: DomWrapper, viewer: ComponentViewer) => RendererResult | null | void) | null;
+  onToolbar?: ((item: ViewerItem, toolbar: Array<ToolbarItem | string>, viewer: ComponentViewer) => Array<ToolbarItem | string> | void) | null;
+  onLoading?: ((item: ViewerItem, viewer: ComponentViewer) => void) | null;
+  onOpen?: ((item: ViewerItem, $stage: DomWrapper, viewer: ComponentViewer) => void) | null;
+  onComplete?: ((item: ViewerItem, viewer: ComponentViewer) => void) | null;
+  onCleanup?: ((item: ViewerItem, viewer: ComponentViewer) => void) | null;
+  onClose?: ((item: ViewerItem, viewer: ComponentViewer) => void) | null;
+  /** degrees: clockwise rotation (0, 90, 180 or 270). */
+  onImageRotate?: ((item: ViewerItem, degrees: number, viewer: ComponentViewer, flip: { horizontal: boolean; vertical: boolean }) => void) | null;
+  /** Blurred thumbnail placeholder while a built-in image loads. */
+  blurUp?: boolean;
+  /** Decoded playback for animated GIF / APNG (WebP and PNG with item.animated); decoder is used where ImageDecoder is missing. duration in ms. */
+  animation?: { enabled?: boolean; autoplay?: boolean; speed?: 0.25 | 0.5 | 1 | 1.5 | 2; loop?: boolean; decoder?: ((buffer: ArrayBuffer, mimeType: string, item: ViewerItem) => Promise<Array<{ image: CanvasImageSource | ImageData; duration: number }>>) | null };
+  onError?: ((info: { type: string; message: string; item: ViewerItem; $stage: DomWrapper }) => boolean | void) | null;
+  annotate?: { enabled?: boolean; tools?: AnnotationTool[] | null; colors?: string[] | null; color?: string | null; lineWidth?: number; fontSize?: number };
+  /** pngBlob is null when the canvas cannot be exported (e.g. a cross-origin image without CORS). */
+  onAnnotationsSave?: ((item: ViewerItem, result: { shapes: AnnotationShape[]; pngBlob: Blob | null }, viewer: ComponentViewer) => void) | null;
+  /** Header-toggled info panel; exif reads EXIF / IPTC / colour profile from built-in image files. */
+  info?: { enabled?: boolean; open?: boolean; exif?: boolean };
+  onAnalytics?: ((events: AnalyticsEvent[], viewer: ComponentViewer) => void) | null;
+  analytics?: { batchSize?: number };
+  wcag?: boolean;
+  shortcutsPopup?: boolean;
+  keymap?: Partial<Record<KeymapAction, KeyBinding>> | null;
+  beforeOpen?: ((item: ViewerItem, element: DomWrapper, proceed: (arg?: unknown) => void) => void) | null;
+  beforeCollectItems?: ((viewer: ComponentViewer, proceed?: () => void) => void) | null;
+  history?: boolean | HistoryOptions | null;
+  persist?: boolean | PersistOptions | null;
+  /** Locale pack code registered with ComponentViewer.registerLocale. */
+  locale?: string | null;
+  /** Per-instance string overrides; see ComponentViewer.defaultStrings for the keys. */
+  strings?: LocaleStrings | null;
+  /** pdf, markdown, inline, video, pollOption, extractText, resolveUrl and the other options in the README. */
+  [key: string]: unknown;
+}
+
+export type ViewerErrorCode = 'NO_ITEMS' | 'NOT_OPEN' | 'CANCELLED' | 'SUPERSEDED' | 'CLOSED' | 'DESTROYED' | 'LOAD_FAILED';
+
+export declare class ViewerError extends Error {
+  constructor(code: ViewerErrorCode, message?: string);
+  readonly name: 'ViewerError';
+  readonly code: ViewerErrorCode;
+}
+
+export declare class ComponentViewer {
+  /** container: element, selector or jQuery object. */
+  constructor(container: Element | string | DomWrapper, options?: ComponentViewerOptions);
+
+  readonly id: number;
+  readonly $container: DomWrapper;
+  opts: ComponentViewerOptions;
+  items: ViewerItem[];
+  idx: number;
+
+  open(indexOrElement?: number | Element | DomWrapper): Promise<ViewerItem>;
+  next(opts?: { transition?: boolean }): Promise<ViewerItem>;
+  prev(opts?: { transition?: boolean }): Promise<ViewerItem>;
+  goTo(index: number, opts?: { transition?: boolean }): Promise<ViewerItem>;
+  close(): Promise<void>;
+  currentItem(): ViewerItem | undefined;
+  /** Localized string; params is an array for %1, %2 or an object for {name} (and count for plural forms). */
+  t(key: string, params?: unknown[] | Record<string, unknown> | string | number): string;
+  setTheme(theme: 'dark' | 'light' | 'auto' | (string & {})): void;
+  refresh(): void;
+  setOptions(partial: ComponentViewerOptions): void;
+  option(key: string): unknown;
+  option(key: string, value: unknown): void;
+  option(partial: ComponentViewerOptions): void;
+  addItems(items: ViewerItem | Element | DomWrapper | Array<ViewerItem | Element>, index?: number): number;
+  removeItem(target: number | ViewerItem | Element | DomWrapper): ViewerItem | null;
+  updateItem(target: number | ViewerItem | Element | DomWrapper, changes: Partial<ViewerItem>): ViewerItem | null;
+  moveItem(from: number | ViewerItem | Element | DomWrapper, to: number): void;
+  showLoader(): void;
+  hideLoader(): void;
+  showStripMessage(text: string, durationMs?: number): void;
+  destroy(): void;
+
+  static defaults: ComponentViewerOptions;
+  static Icons: Record<string, string>;
+  static defaultStrings: LocaleStrings;
+  static ViewerError: typeof ViewerError;
+  static registerRenderer(type: string, definition: RendererDefinition | RendererDefinition['render']): void;
+  static unregisterRenderer(type: string): void;
+  static getRenderer(type: string): RendererDefinition | null;
+  static registerLocale(code: string, strings: LocaleStrings): boolean;
+  static unregisterLocale(code: string): boolean;
+  static getLocale(code: string): LocaleStrings | null;
+  static registerTheme(name: string, def?: ThemeDefinition): boolean;
+  static unregisterTheme(name: string): boolean;
+  static getTheme(name: string): Required<ThemeDefinition> | null;
+  static getActive(): ComponentViewer | null;
+  static getOpen(): ComponentViewer[];
+  static getInstance(container: Element | string | DomWrapper): ComponentViewer | null;
+}
+
+export declare const registerRenderer: typeof ComponentViewer.registerRenderer;
+export declare const unregisterRenderer: typeof ComponentViewer.unregisterRenderer;
+export declare const getRenderer: typeof ComponentViewer.getRenderer;
+export declare const registerLocale: typeof ComponentViewer.registerLocale;
+export declare const unregisterLocale: typeof ComponentViewer.unregisterLocale;
+export declare const getLocale: typeof ComponentViewer.getLocale;
+export declare const registerTheme: typeof ComponentViewer.registerTheme;
+export declare const unregisterTheme: typeof ComponentViewer.unregisterTheme;
+export declare const getTheme: typeof ComponentViewer.getTheme;
+export declare const getActive: typeof ComponentViewer.getActive;
+export declare const getOpen: typeof ComponentViewer.getOpen;
+export declare const getInstance: typeof ComponentViewer.getInstance;
+
+export default ComponentViewer;
+
+declare global {
+  interface JQuery {
+    componentViewer(options?: ComponentViewerOptions): this;
+    componentViewer(method: string, ...args: unknown[]): unknown;
+  }
+}
@@ -1,8 +1,21 @@
 /* ComponentViewer: overlay + toolbar; renderers: image, video (jPlayer), audio (jPlayer), pdf (pdf.js), markdown.
  * Priority: onRender -> built-in -> unsupported. Toolbar: onRender { toolbar } or built-in + toolbarItems + download/zoom.
- * onToolbar can modify. Per-container. (c) 2026 | MIT */
+ * onToolbar can modify. Per-container. UMD: CommonJS / AMD / global ComponentViewer; jQuery optional ($.fn adapter). (c) 2026 | MIT */
 /* No I18N */
-(function ($, window, document) {
+(function (root, factory) {
+  var api = factory(root.jQuery, root, root.document);
+  if (typeof module === 'object' && module.exports) {
+    module.exports = api;
+  } else if (typeof define === 'function' && define.amd) {
+    define([], function () {
+      return api;
+    });
+  }
+  /* Always expose the global in a browser so component-viewer.mjs can re-export it after a side-effect import */
+  if (root.document) {
+    root.ComponentViewer = api;
+  }
+}(typeof window !== 'undefined' ? window : this, function (jQuery, window, document) {
   'use strict'; // No I18N
 
   var HTTP_PREFIX = ['http', '://'].join('');
@@ -14,6 +27,624 @@
     return x === null || x === undefined;
   }
 
+  /* --- DOM HELPER --- */
+
+  /**
+   * Minimal stand-in for jQuery, used when jQuery is not on the page. It covers only what this file calls:
+   * selection and traversal, classes, attributes, data-* reads, css, show/hide, insertion and namespaced /
+   * delegated events. Selectors may end in :visible. Renderers and callbacks receive these wrappers in place
+   * of jQuery objects ($stage[0] is the element either way).
+   */
+  function createDomHelper (window, document) {
+    var slice = Array.prototype.slice;
+    var dataStore = new WeakMap();
+    var eventStore = new WeakMap();
+    var displayCache = {};
+    var CSS_UNITLESS = { zIndex: true, opacity: true, lineHeight: true, fontWeight: true, flexGrow: true, flexShrink: true, order: true, zoom: true };
+
+    function Dom (nodes) {
+      this.length = 0;
+      for (var i = 0; i < nodes.length; i++) {
+        this[this.length++] = nodes[i];
+      }
+    }
+
+    function camelCase (s) {
+      return String(s).replace(/-([a-z])/g, function (m, c) {
+        return c.toUpperCase();
+      });
+    }
+
+    function storeOf (map, el) {
+      var s = map.get(el);
+      if (!s) {
+        s = map === eventStore ? [] : {};
+        map.set(el, s);
+      }
+      return s;
+    }
+
+    function isVisible (el) {
+      return Boolean(el.offsetWidth || el.offsetHeight || (el.getClientRects && el.getClientRects().length));
+    }
+
+    function isHidden (el) {
+      return el.style.display === 'none' || (el.isConnected && window.getComputedStyle(el).display === 'none');
+    }
+
+    function defaultDisplay (el) {
+      var name = el.nodeName;
+      if (!displayCache[name]) {
+        var tmp = document.body.appendChild(document.createElement(name));
+        var d = window.getComputedStyle(tmp).display;
+        document.body.removeChild(tmp);
+        displayCache[name] = (!d || d === 'none') ? 'block' : d;
+      }
+      return displayCache[name];
+    }
+
+    /** querySelectorAll that also understands a trailing :visible on each comma-separated part. */
+    function query (root, selector) {
+      if (selector.indexOf(':visible') === -1) {
+        return slice.call(root.querySelectorAll(selector));
+      }
+      var out = [];
+      selector.split(',').forEach(function (part) {
+        var vis = part.indexOf(':visible') !== -1;
+        var base = part.replace(/:visible/g, '').trim() || '*';
+        slice.call(root.querySelectorAll(base)).forEach(function (el) {
+          if ((!vis || isVisible(el)) && out.indexOf(el) === -1) {
+            out.push(el);
+          }
+        });
+      });
+      return out;
+    }
+
+    function matches (el, selector) {
+      if (!el || el.nodeType !== 1) {
+        return false;
+      }
+      if (selector.indexOf(':visible') === -1) {
+        return el.matches(selector);
+      }
+      return selector.split(',').some(function (part) {
+        var base = part.replace(/:visible/g, '').trim();
+        return (!base || el.matches(base)) && (part.indexOf(':visible') === -1 || isVisible(el));
+      });
+    }
+
+    function parseHtml (html) {
+      var tpl = document.createElement('template');
+      tpl.innerHTML = html;
+      return slice.call(tpl.content.childNodes).filter(function (n) {
+        return n.nodeType === 1 || /\S/.test(n.nodeValue);
+      }).map(function (n) {
+        return document.adoptNode(n);
+      });
+    }
+
+    function toNodes (value) {
+      if (isNullish(value)) {
+        return [];
+      }
+      if (typeof value === 'string') {
+        return parseHtml(value);
+      }
+      if (value.nodeType) {
+        return [value];
+      }
+      return slice.call(value);
+    }
+
+    function parseDataValue (raw) {
+      if (raw === 'true') {
+        return true;
+      }
+      if (raw === 'false') {
+        return false;
+      }
+      if (raw === 'null') {
+        return null;
+      }
+      if (raw === String(Number(raw))) {
+        return Number(raw);
+      }
+      if (/^(?:\{[\w\W]*\}|\[[\w\W]*\])$/.test(raw)) {
+        try {
+          return JSON.parse(raw);
+        } catch (e) {}
+      }
+      return raw;
+    }
+
+    function parseTypes (types) {
+      return String(types || '').split(/\s+/).filter(Boolean).map(function (t) {
+        var parts = t.split('.');
+        return { type: parts[0], ns: parts.slice(1) };
+      });
+    }
+
+    /** Event passed to delegated handlers: currentTarget is the matched descendant, not the bound element. */
+    function delegatedEvent (e, target, type) {
+      return {
+        type: type, target: e.target, currentTarget: target, relatedTarget: e.relatedTarget, originalEvent: e,
+        clientX: e.clientX, clientY: e.clientY, pageX: e.pageX, pageY: e.pageY,
+        preventDefault: function () {
+          e.preventDefault();
+        },
+        stopPropagation: function () {
+          e.stopPropagation();
+        }
+      };
+    }
+
+    function bind (el, types, selector, fn, once) {
+      parseTypes(types).forEach(function (t) {
+        var rec = { type: t.type, ns: t.ns, fn: fn, domType: t.type };
+        /* mouseenter/mouseleave do not bubble; delegate through mouseover/mouseout like jQuery */
+        if (selector && (t.type === 'mouseenter' || t.type === 'mouseleave')) {
+          rec.domType = t.type === 'mouseenter' ? 'mouseover' : 'mouseout';
+        }
+        rec.listener = function (e) {
+          var target = el;
+          var evt = e;
+          if (selector) {
+            target = (e.target && e.target.nodeType === 1) ? e.target.closest(selector) : null;
+            if (!target || target === el || !el.contains(target)) {
+              return;
+            }
+            if (rec.domType !== t.type && e.relatedTarget && target.contains(e.relatedTarget)) {
+              return;
+            }
+            evt = delegatedEvent(e, target, t.type);
+          } else if (!e.originalEvent) {
+            e.originalEvent = e;
+          }
+          if (once) {
+            unbind(el, rec);
+          }
+          if (fn.call(target, evt) === false) {
+            e.preventDefault();
+            e.stopPropagation();
+          }
+        };
+        el.addEventListener(rec.domType, rec.listener, false);
+        storeOf(eventStore, el).push(rec);
+      });
+    }
+
+    function unbind (el, rec) {
+      var list = storeOf(eventStore, el);
+      var i = list.indexOf(rec);
+      if (i !== -1) {
+        list.splice(i, 1);
+      }
+      el.removeEventListener(rec.domType, rec.listener, false);
+    }
+
+    function $ (selector) {
+      if (isNullish(selector) || selector === '') {
+        return new Dom([]);
+      }
+      if (typeof selector === 'string') {
+        var s = selector.trim();
+        return new Dom(s.charAt(0) === '<' ? parseHtml(s) : query(document, s));
+      }
+      if (selector === window || selector.nodeType) {
+        return new Dom([selector]);
+      }
+      return new Dom(slice.call(selector));
+    }
+
+    /* Shared with $.prototype (as in jQuery) so wrappers pass `x instanceof $` */
+    $.fn = $.prototype = Dom.prototype = {
+      constructor: Dom,
+      jquery: 'dom-helper', // No I18N
+      each: function (fn) {
+        for (var i = 0; i < this.length; i++) {
+          if (fn.call(this[i], i, this[i]) === false) {
+            break;
+          }
+        }
+        return this;
+      },
+      toArray: function () {
+        return slice.call(this);
+      },
+      first: function () {
+        return new Dom(this.length ? [this[0]] : []);
+      },
+      add: function (other) {
+        var nodes = this.toArray();
+        $(other).each(function () {
+          if (nodes.indexOf(this) === -1) {
+            nodes.push(this);
+          }
+        });
+        return new Dom(nodes);
+      },
+      find: function (selector) {
+        var out = [];
+        this.each(function () {
+          query(this, selector).forEach(function (el) {
+            if (out.indexOf(el) === -1) {
+              out.push(el);
+            }
+          });
+        });
+        return new Dom(out);
+      },
+      filter: function (selector) {
+        return new Dom(this.toArray().filter(function (el, i) {
+          return typeof selector === 'function' ? selector.call(el, i, el) : matches(el, selector);
+        }));
+      },
+      is: function (selector) {
+        return this.filter(selector).length > 0;
+      },
+      closest: function (selector) {
+        var out = [];
+        var set = typeof selector === 'string' ? null : $(selector).toArray();
+        this.each(function () {
+          var el = this;
+          while (el && el.nodeType === 1 && !(set ? set.indexOf(el) !== -1 : matches(el, selector))) {
+            el = el.parentNode;
+          }
+          if (el && el.nodeType === 1 && out.indexOf(el) === -1) {
+            out.push(el);
+          }
+        });
+        return new Dom(out);
+      },
+      children: function (selector) {
+        var out = [];
+        this.each(function () {
+          slice.call(this.children || []).forEach(function (el) {
+            if (!selector || matches(el, selector)) {
+              out.push(el);
+            }
+          });
+        });
+        return new Dom(out);
+      },
+      parent: function () {
+        var out = [];
+        this.each(function () {
+          var p = this.parentNode;
+          if (p && p.nodeType === 1 && out.indexOf(p) === -1) {
+            out.push(p);
+          }
+        });
+        return new Dom(out);
+      },
+      attr: function (name, value) {
+        if (name && typeof name === 'object') {
+          for (var k in name) {
+            if (Object.prototype.hasOwnProperty.call(name, k)) {
+              this.attr(k, name[k]);
+            }
+          }
+          return this;
+        }
+        if (value === undefined) {
+          var v = this[0] && this[0].getAttribute ? this[0].getAttribute(name) : null;
+          return v === null ? undefined : v;
+        }
+        return this.each(function () {
+          if (value === null) {
+            this.removeAttribute(name);
+          } else {
+            this.setAttribute(name, String(value));
+          }
+        });
+      },
+      removeAttr: function (name) {
+        return this.each(function () {
+          this.removeAttribute(name);
+        });
+      },
+      data: function (key, value) {
+        var k = camelCase(key);
+        if (arguments.length > 1) {
+          return this.each(function () {
+            storeOf(dataStore, this)[k] = value;
+          });
+        }
+        var el = this[0];
+        if (!el) {
+          return undefined;
+        }
+        var store = storeOf(dataStore, el);
+        if (!(k in store) && el.getAttribute) {
+          var raw = el.getAttribute('data-' + k.replace(/[A-Z]/g, '-$&').toLowerCase());
+          if (raw === null) {
+            return undefined;
+          }
+          store[k] = parseDataValue(raw);
+        }
+        return store[k];
+      },
+      removeData: function (key) {
+        var k = camelCase(key);
+        return this.each(function () {
+          delete storeOf(dataStore, this)[k];
+        });
+      },
+      addClass: function (names) {
+        var list = String(names || '').split(/\s+/).filter(Boolean);
+        return this.each(function () {
+          if (this.classList && list.length) {
+            this.classList.add.apply(this.classList, list);
+          }
+        });
+      },
+      removeClass: function (names) {
+        var list = String(names || '').split(/\s+/).filter(Boolean);
+        return this.each(function () {
+          if (this.classList && list.length) {
+            this.classList.remove.apply(this.classList, list);
+          }
+        });
+      },
+      toggleClass: function (names, state) {
+        var list = String(names || '').split(/\s+/).filter(Boolean);
+        return this.each(function () {
+          var el = this;
+          list.forEach(function (c) {
+            el.classList.toggle(c, state === undefined ? !el.classList.contains(c) : Boolean(state));
+          });
+        });
+      },
+      hasClass: function (name) {
+        return this.toArray().some(function (el) {
+          return Boolean(el.classList && el.classList.contains(name));
+        });
+      },
+      css: function (name, value) {
+        if (typeof name === 'string' && value === undefined) {
+          return this[0] ? window.getComputedStyle(this[0])[camelCase(name)] : undefined;
+        }
+        var props = {};
+        if (typeof name === 'string') {
+          props[name] = value;
+        } else {
+          props = name;
+        }
+        return this.each(function () {
+          for (var p in props) {
+            if (Object.prototype.hasOwnProperty.call(props, p)) {
+              var prop = camelCase(p);
+              var v = props[p];
+              this.style[prop] = isNullish(v) ? '' : ((typeof v === 'number' && !CSS_UNITLESS[prop]) ? v + 'px' : v);
+            }
+          }
+        });
+      },
+      show: function () {
+        return this.each(function () {
+          if (this.style.display === 'none') {
+            this.style.display = '';
+          }
+          if (isHidden(this)) {
+            this.style.display = defaultDisplay(this);
+          }
+        });
+      },
+      hide: function () {
+        return this.each(function () {
+          this.style.display = 'none';
+        });
+      },
+      toggle: function (state) {
+        return this.each(function () {
+          var show = state === undefined ? isHidden(this) : Boolean(state);
+          $(this)[show ? 'show' : 'hide']();
+        });
+      },
+      width: function () {
+        return dimension(this[0], 'Width');
+      },
+      height: function () {
+        return dimension(this[0], 'Height');
+      },
+      text: function (value) {
+        if (value === undefined) {
+          return this.toArray().map(function (el) {
+            return el.textContent;
+          }).join('');
+        }
+        return this.each(function () {
+          this.textContent = isNullish(value) ? '' : String(value);
+        });
+      },
+      html: function (value) {
+        if (value === undefined) {
+          return this[0] ? this[0].innerHTML : undefined;
+        }
+        if (typeof value !== 'string') {
+          return this.empty().append(value);
+        }
+        return this.each(function () {
+          this.innerHTML = value;
+        });
+      },
+      val: function (value) {
+        if (value === undefined) {
+          return this[0] ? this[0].value : undefined;
+        }
+        return this.each(function () {
+          this.value = isNullish(value) ? '' : String(value);
+        });
+      },
+      empty: function () {
+        return this.each(function () {
+          while (this.firstChild) {
+            this.removeChild(this.firstChild);
+          }
+        });
+      },
+      remove: function () {
+        return this.each(function () {
+          if (this.parentNode) {
+            this.parentNode.removeChild(this);
+          }
+        });
+      },
+      append: function (content) {
+        return insert(this, content, function (el, node) {
+          el.appendChild(node);
+        });
+      },
+      prepend: function (content) {
+        return insert(this, content, function (el, node, first) {
+          el.insertBefore(node, first);
+        });
+      },
+      before: function (content) {
+        return insert(this, content, function (el, node) {
+          if (el.parentNode) {
+            el.parentNode.insertBefore(node, el);
+          }
+        });
+      },
+      after: function (content) {
+        return insert(this, content, function (el, node, first, last) {
+          if (el.parentNode) {
+            el.parentNode.insertBefore(node, last);
+          }
+        });
+      },
+      replaceWith: function (content) {
+        this.before(content);
+        return this.remove();
+      },
+      appendTo: function (target) {
+        $(target).append(this);
+        return this;
+      },
+      on: function (types, selector, fn) {
+        if (typeof selector === 'function') {
+          fn = selector; selector = null;
+        }
+        return this.each(function () {
+          bind(this, types, selector, fn, false);
+        });
+      },
+      one: function (types, selector, fn) {
+        if (typeof selector === 'function') {
+          fn = selector; selector = null;
+        }
+        return this.each(function () {
+          bind(this, types, selector, fn, true);
+        });
+      },
+      off: function (types, fn) {
+        var specs = types ? parseTypes(types) : [{ type: '', ns: [] }];
+        return this.each(function () {
+          var el = this;
+          storeOf(eventStore, el).slice().forEach(function (rec) {
+            var hit = specs.some(function (t) {
+              return (!t.type || t.type === rec.type) && t.ns.every(function (ns) {
+                return rec.ns.indexOf(ns) !== -1;
+              });
+            });
+            if (hit && (!fn || rec.fn === fn)) {
+              unbind(el, rec);
+            }
+          });
+        });
+      },
+      trigger: function (type) {
+        return this.each(function () {
+          if (type === 'click' && typeof this.click === 'function') {
+            this.click();
+          } else {
+            this.dispatchEvent(new window.Event(type, { bubbles: true, cancelable: true }));
+          }
+        });
+      }
+    };
+
+    /** Insert content into/around each element; every target but the last gets a deep clone, as in jQuery. */
+    function insert (set, content, place) {
+      var nodes = toNodes(content);
+      set.each(function (i) {
+        var el = this;
+        var first = el.firstChild;
+        var last = el.nextSibling;
+        nodes.forEach(function (node) {
+          place(el, i < set.length - 1 ? node.cloneNode(true) : node, first, last);
+        });
+      });
+      return set;
+    }
+
+    /** Content-box size, like jQuery's width()/height(). */
+    function dimension (el, dim) {
+      if (!el) {
+        return undefined;
+      }
+      if (el === window) {
+        return window['inner' + dim];
+      }
+      if (el.nodeType === 9) {
+        return el.documentElement['scroll' + dim];
+      }
+      var cs = window.getComputedStyle(el);
+      var pad = dim === 'Width' ? parseFloat(cs.paddingLeft) + parseFloat(cs.paddingRight) : parseFloat(cs.paddingTop) + parseFloat(cs.paddingBottom);
+      return Math.max(0, el['client' + dim] - (pad || 0));
+    }
+
+    $.extend = function () {
+      var args = slice.call(arguments);
+      var deep = false;
+      if (typeof args[0] === 'boolean') {
+        deep = args.shift();
+      }
+      var target = args[0] || {};
+      for (var i = 1; i < args.length; i++) {
+        var src = args[i];
+        if (isNullish(src)) {
+          continue;
+        }
+        for (var key in src) {
+          if (!Object.prototype.hasOwnProperty.call(src, key) || key === '__proto__') {
+            continue;
+          }
+          var val = src[key];
+          if (val === target) {
+            continue;
+          }
+          if (deep && val && (Array.isArray(val) || $.isPlainObject(val))) {
+            var base = target[key];
+            var clone = Array.isArray(val) ? (Array.isArray(base) ? base : []) : ($.isPlainObject(base) ? base : {});
+            target[key] = $.extend(true, clone, val);
+          } else if (val !== undefined) {
+            target[key] = val;
+          }
+        }
+      }
+      return target;
+    };
+
+    $.isPlainObject = function (obj) {
+      if (!obj || Object.prototype.toString.call(obj) !== '[object Object]') {
+        return false;
+      }
+      var proto = Object.getPrototypeOf(obj);
+      return proto === null || proto === Object.prototype;
+    };
+
+    $.contains = function (container, el) {
+      return container !== el && Boolean(container && container.contains && container.contains(el));
+    };
+
+    return $;
+  }
+
+  var $ = jQuery || createDomHelper(window, document);
+
   var PLUGIN_NAME = 'componentViewer'; // No I18N
   var jpCounter = 0;
   var SLIDESHOW_DEFAULT_INTERVAL = 4;
@@ -24,6 +655,14 @@
   var DEFAULTS = {
     /** When set to a non-empty array of item objects, used as the items list instead of collecting from DOM (selector). Each item: { type, title, src, ... }. */
     items: null,
+    /**
+     * itemsProvider(offset, limit): paged item source for long feeds; return a Promise of { items, total }.
+     * Takes precedence over items and the DOM scan. The counter shows total; pages are fetched on demand by
+     * open, next, prev, goTo and carousel scrolling.
+     */
+    itemsProvider: null,
+    /** Paging for itemsProvider: pageSize items per call, prefetch pages on each side of the current one, maxPages kept (farthest evicted first). */
+    itemsPaging: { pageSize: 50, prefetch: 1, maxPages: 10 },
     selector: '.cv-item',
     loop: true,
     overlayClose: true,
@@ -32,11 +671,21 @@
     preloadAdjacentImages: true, // when true, preload next/prev item if image so navigation is instant (Colorbox-style)
     /** When true, hide header/footer; only stage and prev/next. Close via Escape/backdrop. Object: { enabled, hideNavigation }. */
     stageOnly: { enabled: false, hideNavigation: false },
+    /**
+     * 'overlay' (fullscreen, default) or 'embedded': the viewer is mounted inside mountTo (element, selector or jQuery object)
+     * and sizes to it. Embedded viewers have no backdrop, scroll lock, close button or minimize, take keyboard shortcuts only
+     * while focus is inside the panel, and are not part of the overlay stack. Read on open.
+     */
+    mode: 'overlay',
+    mountTo: null,
     /** Carousel: thumbnails below stage. { enabled, navThreshold } (default 4). */
     carousel: { enabled: false, navThreshold: 4 },
     /** Slideshow: auto-advance. { enabled, interval, autoStart, advanceMedia: 'interval'|'onEnd', showProgress, hideSlideshowButton }. */
     slideshow: null,
+    /** 'dark', 'light', 'auto' (follows prefers-color-scheme) or a name passed to registerTheme. */
     theme: 'dark',
+    /** Themes the header toggle cycles through, e.g. ['light', 'dark', 'high-contrast']; null means ['dark', 'light']. */
+    themes: null,
     themeToggle: true,
     onThemeChange: null,
     /** When true, show a header button to toggle overlay fullscreen (native Fullscreen API). Does not affect video/audio fullscreen. Default true. */
@@ -58,21 +707,71 @@
     toolbar: {
       download: true,
       zoom: true,
+      /** Built-in images: rotate left / right buttons (and their shortcuts). */
+      rotate: false,
+      /** Built-in images: flip horizontal / vertical buttons (and their shortcuts). */
+      flip: false,
+      /** Built-in images: fit-mode menu (Fit, Fill, Fit width, Fit height, Actual size) next to the zoom controls. */
+      fit: true,
       extractText: false,
       /** When true and resolveMarkdownToggleUrl is set, html items with a .md-like extension and iframe src get a toolbar toggle (View Source / View Markdown) that swaps iframe URL. */
       toggleSource: false
     },
 
+    /**
+     * Image zoom. min / max / wheelStep are relative to the fit mode; the slider and percentage show true pixel scale
+     * (100% = one image pixel per screen pixel). fit: 'contain' (never above natural size), 'cover', 'fit-width',
+     * 'fit-height' or 'actual'. doubleClickZoom: zoom reached by double-click / double-tap on a point (again returns to
+     * the fit); false turns it off. minimap: navigator thumbnail in a stage corner while the image is larger than the
+     * stage; drag or click it to pan.
+     */
     zoom: {
       min: 1,
       max: 5,
       step: 0.01,
       wheelStep: 0.15,
       showPercentage: false,
+      fit: 'contain',
+      doubleClickZoom: 2,
+      minimap: false,
       onZoom: null,
       loadHighResUrlAt: false // number (e.g. 1.25) or false; when zoom exceeds this, reload image from item.zoomUrl (itemData) or item.downloadUrl
     },
 
+    /**
+     * onImageRotate(item, degrees, viewer, flip): called after the user rotates or flips a built-in image, e.g. to save the
+     * corrected orientation. degrees is the clockwise rotation (0, 90, 180, 270); flip is { horizontal, vertical }. Reset per item.
+     */
+    onImageRotate: null,
+
+    /**
+     * Built-in image: show the item's thumbnail (resolveUrl 'thumbnailUrl' / item.thumbnailUrl) blurred and scaled to the
+     * stage while the full image loads, then cross-fade once it has decoded. Opt-in.
+     */
+    blurUp: false,
+
+    /**
+     * Animated GIF / APNG (.apng; WebP, PNG or any other image with item.animated: true; item.animated: false opts out): frames are
+     * decoded onto a canvas with the browser's ImageDecoder, or decoder(buffer, mimeType, item) returning a Promise of
+     * [{ image, duration }] (duration in ms) where ImageDecoder is missing. The toolbar then gets play / pause, frame step,
+     * speed and loop controls, and Space plays / pauses. autoplay, speed (0.25, 0.5, 1, 1.5 or 2) and loop are the starting
+     * state. When nothing can decode the image the browser plays it as before, without controls.
+     */
+    animation: { enabled: true, autoplay: true, speed: 1, loop: true, decoder: null },
+
+    /**
+     * Markup layer for built-in images (not compare): an Annotate toolbar button switches on pen, arrow, rectangle, text and
+     * highlight tools with colour swatches, undo / redo and Save. tools / colors: null uses every tool and the built-in palette.
+     * lineWidth and fontSize are screen pixels at the zoom the mark is drawn at. item.annotations (shapes from a previous save)
+     * is drawn when the image loads.
+     */
+    annotate: { enabled: false, tools: null, colors: null, color: null, lineWidth: 3, fontSize: 18 },
+    /**
+     * onAnnotationsSave(item, { shapes, pngBlob }, viewer): called on Save. shapes use natural pixels of the item's image;
+     * pngBlob is that image with the markup burned in, or null when the canvas cannot be exported (e.g. cross-origin image).
+     */
+    onAnnotationsSave: null,
+
     pdf: {
       workerSrc: null,
       cMapUrl: null, // e.g. CDN URL for pdfjs cmaps (No I18N)
@@ -85,6 +784,12 @@
       extractText: false // when true, show the "Extract text" (text layer toggle) button for PDFs
     },
 
+    /**
+     * Compare items (type 'compare' with compareSrc or versions): initial mode 'split' (draggable divider), 'onion'
+     * (opacity blend) or 'side' (side by side), and the starting onion opacity (0-1). item.compareMode overrides mode.
+     */
+    compare: { mode: 'split', opacity: 0.5 },
+
     /** When true, markdown items get a toolbar button to toggle between rendered markdown and raw/source view. Default false. */
     markdown: { toggleRawView: false },
 
@@ -108,6 +813,26 @@
 
     toolbarItems: [],
 
+    /**
+     * onAnalytics(events, viewer): batched viewing metrics. Each event is { type, time, index, item, itemType, title, ... }:
+     *   'impression' — one item view: dwell (ms, page-visible time), openedBy / closedBy ('open', 'next', 'prev', 'goTo', 'close',
+     *     'hidden', 'visible'), maxZoom, and for PDFs pages (viewed page numbers) and pageCount, for video/audio watched (percent played);
+     *   'download' (url), 'copy' (length), 'slideshowComplete' (slides, duration ms).
+     * Queued events are delivered (also as cv:analytics) when analytics.batchSize is reached, on close, on destroy and when the page is hidden.
+     * Without onAnalytics nothing is queued and cv:analytics does not fire.
+     */
+    onAnalytics: null,
+    analytics: { batchSize: 20 },
+
+    /**
+     * Header buttons, same schema as toolbarItems; rendered before the built-in header buttons and re-evaluated per item.
+     * headerLeft / headerCenter: subtitle slots next to the counter and under the title. String (set as text), node,
+     * or function(item, viewer) returning either; null or '' hides the slot.
+     */
+    headerItems: [],
+    headerLeft: null,
+    headerCenter: null,
+
     /** onDownload(item, viewer): called when the user clicks Download. viewer is the ComponentViewer instance. If null, default link download. */
     onDownload: null,
     itemData: null,
@@ -117,6 +842,8 @@
      *   'src' — main content URL (image, video, audio, pdf, inline, html, markdown). Fallback: item.src.
      *   'zoomUrl' — high-res image when user zooms. Fallback: item.zoomUrl || item.downloadUrl || item.src.
      *   'thumbnailUrl' — poster/thumbnail (e.g. video poster, carousel thumb). Fallback: item.thumbnailUrl.
+     *   'sized' — built-in image without item.srcset, sized for the stage: resolveUrl(item, viewer, 'sized', { width, height })
+     *     in device pixels (stage size x devicePixelRatio). Fallback: the 'src' URL.
      * Return the URL string to use; if null/empty, the fallback is used. So the user can resolve the correct URL per use.
      */
     resolveUrl: null,
@@ -156,6 +883,13 @@
      */
     shortcutsPopup: true,
 
+    /**
+     * Remaps or disables built-in keyboard actions: { action: 'Key' | ['Key', 'Ctrl+Shift+K', ...] | false }.
+     * Actions: close, prev, next, zoomIn, zoomOut, rotateLeft, rotateRight, flipHorizontal, flipVertical, undo, redo, playPause,
+     * mute, speed, hd, download, print, fullscreen, theme, carousel, info, slideshow, shortcuts. Unlisted actions keep their defaults; keys freed here become available to shortcutKey.
+     */
+    keymap: null,
+
     /**
      * Poll-option UI: when enabled, shows option label + checkbox/radio above the toolbar
      * for items that have pollOptionLabel. Title remains the image name.
@@ -172,6 +906,14 @@
      */
     showAttachmentComment: false,
 
+    /**
+     * Info side panel toggled from the header (key I): file name, type, size and natural image dimensions, then
+     * item.metadata key/value pairs. With exif, built-in images also show camera, capture date, GPS, colour profile
+     * and IPTC fields parsed from the image file (fetched once per src; cross-origin files need CORS).
+     * open: initial state (the toggle is remembered with persist).
+     */
+    info: { enabled: false, open: false, exif: true },
+
     /**
      * Image extract-text (OCR overlay).
      * canShowExtractText(item, inst): return true to show the "Extract text" toolbar button for the current image.
@@ -198,7 +940,31 @@
      *   { trigger: 'init'|'click'|'open'|'next'|'prev'|'goTo'|'refresh', $element?, originalEvent?, openArg? }
      * For user clicks, trigger is 'click', $element is the matched attachment node (closest opts.selector to the click), originalEvent is the native click event (e.target may be a child).
      */
-    beforeCollectItems: null
+    beforeCollectItems: null,
+
+    /**
+     * Deep linking: write the open viewer and item to the URL and follow Back/Forward. true or
+     * { mode: 'hash'|'query', param: 'cv', key: null|'pollOptionId'|function (item, index), id: null, pushNavigation: false }.
+     * The URL holds '<id>/<key>' where id is history.id or the container's id attribute and key is the 1-based index unless history.key is set.
+     * Opening pushes one entry (Back closes); navigation replaces it unless pushNavigation is true. A matching URL opens the viewer on init.
+     */
+    history: null,
+
+    /**
+     * Remember viewer preferences across sessions: true or { key: 'componentViewer', storage: null }.
+     * storage is any synchronous { getItem, setItem } adapter (default localStorage); key namespaces the saved JSON.
+     * Saved: theme (header toggle), carousel open, comment panel visible, playback speed, volume, mute, PDF two-page view.
+     */
+    persist: null,
+
+    /**
+     * Localization. locale picks a pack registered with ComponentViewer.registerLocale(code, strings) ('pt-BR' falls back to 'pt').
+     * strings overrides individual keys for this instance only; see defaultStrings for the keys.
+     * Values may use %1, %2 or {name} placeholders, or be plural forms { one: '...', other: '...' } chosen with Intl.PluralRules.
+     * Lookup order: strings, locale pack, global defaultStrings, built-in English.
+     */
+    locale: null,
+    strings: null
   };
 
   /* --- DEFAULT STRINGS (I18N) --- */
@@ -216,9 +982,17 @@
     nextItem: 'Next item',
     zoomOut: 'Zoom out',
     zoomLevel: 'Zoom level',
+    fitMode: 'Fit mode',
+    fitContain: 'Fit',
+    fitCover: 'Fill',
+    fitWidth: 'Fit width',
+    fitHeight: 'Fit height',
+    fitActual: 'Actual size (100%)',
     zoomIn: 'Zoom in',
     switchToLightMode: 'Switch to light mode',
     switchToDarkMode: 'Switch to dark mode',
+    switchToAutoMode: 'Use system theme',
+    switchToTheme: 'Switch to %1 theme',
     minimize: 'Minimize',
     restoreViewer: 'Restore viewer',
     playSlideshow: 'Play slideshow',
@@ -239,6 +1013,33 @@
     previousPage: 'Previous Page',
     nextPage: 'Next Page',
     rotate: 'Rotate',
+    rotateLeft: 'Rotate left',
+    rotateRight: 'Rotate right',
+    flipHorizontal: 'Flip horizontally',
+    flipVertical: 'Flip vertically',
+    compareBefore: 'Before',
+    compareAfter: 'After',
+    compareVersion: 'Version %1',
+    compareSplit: 'Split view',
+    compareOnion: 'Onion skin',
+    compareSideBySide: 'Side by side',
+    compareOpacity: 'Opacity',
+    compareDivider: 'Split position',
+    compareNeedsTwo: 'Two image versions are needed to compare',
+    annotate: 'Annotate',
+    annotatePen: 'Pen',
+    annotateArrow: 'Arrow',
+    annotateRect: 'Rectangle',
+    annotateText: 'Text',
+    annotateHighlight: 'Highlight',
+    annotateColor: 'Color %1',
+    annotateTextPlaceholder: 'Type, then press Enter',
+    undo: 'Undo',
+    redo: 'Redo',
+    saveAnnotations: 'Save annotations',
+    previousFrame: 'Previous frame',
+    nextFrame: 'Next frame',
+    loopAnimation: 'Loop',
     print: 'Print',
     extractText: 'Extract text',
     twoPageView: 'Two-page view',
@@ -272,31 +1073,286 @@
     commentBy: 'by',
     commentPrev: 'Previous comment',
     commentNext: 'Next comment',
-    commentCounter: 'Comment %1 of %2'
+    commentCounter: 'Comment %1 of %2',
+    counter: '%1 / %2',
+    attachmentComment: 'Attachment comment',
+    info: 'Info',
+    toggleInfo: 'Toggle info',
+    infoLoading: 'Reading metadata…',
+    infoSectionFile: 'File',
+    infoSectionCamera: 'Camera',
+    infoSectionLocation: 'Location',
+    infoSectionDescription: 'Description',
+    infoSectionDetails: 'Details',
+    infoName: 'Name',
+    infoType: 'Type',
+    infoSize: 'Size',
+    infoDimensions: 'Dimensions',
+    infoDimensionsValue: '%1 × %2 px',
+    infoColorProfile: 'Color profile',
+    infoCamera: 'Camera',
+    infoLens: 'Lens',
+    infoDateTaken: 'Taken',
+    infoExposure: 'Exposure',
+    infoAperture: 'Aperture',
+    infoIso: 'ISO',
+    infoFocalLength: 'Focal length',
+    infoSoftware: 'Software',
+    infoCoordinates: 'Coordinates',
+    infoAltitude: 'Altitude',
+    infoCity: 'City',
+    infoCountry: 'Country',
+    infoTitle: 'Title',
+    infoHeadline: 'Headline',
+    infoCaption: 'Caption',
+    infoKeywords: 'Keywords',
+    infoCreator: 'Creator',
+    infoCopyright: 'Copyright',
+    infoCredit: 'Credit',
+    infoSource: 'Source',
+    hdOn: 'HD (on)',
+    zoom: 'Zoom',
+    autoFit: 'Auto Fit',
+    pdfLoadFailed: 'PDF could not be loaded',
+    noHtmlOrSrc: 'No HTML or src provided for html view',
+    couldNotLoadFileMarkdown: 'Could not load file for markdown view',
+    noContentMarkdown: 'No content or invalid URL for markdown view',
+    typeMarkdown: 'MD',
+    itemsLoadFailed: 'Items could not be loaded',
+    retry: 'Retry',
+    keySpace: 'Space',
+    keyEscape: 'Esc'
   };
 
+  /* --- LOCALIZATION --- */
+
+  /* Locale packs by lower-case code; registerLocale merges into an existing pack */
+  var localePacks = {};
+  var pluralRulesCache = {};
+
   /**
-   * Resolve a string by key from the registry (plugin defaultStrings or DEFAULT_STRINGS). Used for I18N.
+   * Register (or extend) a locale pack used by instances with opts.locale set to code.
+   * @param {string} code - locale code such as 'de' or 'pt-BR'; 'pt-BR' falls back to 'pt' when not registered
+   * @param {Object} strings - string key -> text or plural forms { one, few, many, other, ... }
+   * @returns {boolean} true when registered
    */
-  function str (inst, key) {
-    var reg = ($ && $.fn && $.fn[PLUGIN_NAME] && $.fn[PLUGIN_NAME].defaultStrings) || DEFAULT_STRINGS;
-    var v = reg[key];
-    return (!isNullish(v) && v !== '') ? String(v) : key;
+  function registerLocale (code, strings) {
+    if (isNullish(code) || String(code) === '' || !strings || typeof strings !== 'object') {
+      return false;
+    }
+    code = String(code).toLowerCase();
+    localePacks[code] = $.extend(localePacks[code] || {}, strings);
+    return true;
   }
 
-  /* --- ICONS --- */
-  /* No I18N */
+  function unregisterLocale (code) {
+    code = String(code).toLowerCase();
+    if (!Object.prototype.hasOwnProperty.call(localePacks, code)) {
+      return false;
+    }
+    delete localePacks[code];
+    return true;
+  }
 
-  var Icons = {
-    close: '&times;',
-    prev: '&#10094;',
-    next: '&#10095;',
-    zoomIn: '<svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><circle cx="11" cy="11" r="8"/><line x1="21" y1="21" x2="16.65" y2="16.65"/><line x1="11" y1="8" x2="11" y2="14"/><line x1="8" y1="11" x2="14" y2="11"/></svg>',
-    zoomOut: '<svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><circle cx="11" cy="11" r="8"/><line x1="21" y1="21" x2="16.65" y2="16.65"/><line x1="8" y1="11" x2="14" y2="11"/></svg>',
-    download: '<svg width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><path d="M21 15v4a2 2 0 0 1-2 2H5a2 2 0 0 1-2-2v-4"/><polyline points="7 10 12 15 17 10"/><line x1="12" y1="15" x2="12" y2="3"/></svg>',
-    fileIcon: '<svg width="64" height="64" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="1.2"><path d="M14 2H6a2 2 0 0 0-2 2v16a2 2 0 0 0 2 2h12a2 2 0 0 0 2-2V8z"/><polyline points="14 2 14 8 20 8"/></svg>',
-    error: '<svg width="48" height="48" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="1.5"><rect x="3" y="3" width="18" height="18" rx="2"/><line x1="9" y1="9" x2="15" y2="15"/><line x1="15" y1="9" x2="9" y2="15"/></svg>',
-    rotateCw: '<svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><polyline points="23 4 23 10 17 10"/><path d="M20.49 15a9 9 0 1 1-2.12-9.36L23 10"/></svg>',
+  /** Pack for code, else for its base language ('pt-BR' -> 'pt'), else null. */
+  function getLocale (code) {
+    if (isNullish(code) || String(code) === '') {
+      return null;
+    }
+    code = String(code).toLowerCase();
+    if (Object.prototype.hasOwnProperty.call(localePacks, code)) {
+      return localePacks[code];
+    }
+    var base = code.split('-')[0];
+    return Object.prototype.hasOwnProperty.call(localePacks, base) ? localePacks[base] : null;
+  }
+
+  /** Plural category of n for the instance locale (Intl.PluralRules when available, else English one/other). */
+  function pluralCategory (inst, n) {
+    var locale = (inst && inst.opts && inst.opts.locale) || '';
+    if (typeof Intl !== 'undefined' && typeof Intl.PluralRules === 'function') {
+      try {
+        if (!pluralRulesCache[locale]) {
+          pluralRulesCache[locale] = new Intl.PluralRules(locale || undefined);
+        }
+        return pluralRulesCache[locale].select(n);
+      } catch (e) {
+        pluralRulesCache[locale] = null;
+      }
+    }
+    return n === 1 ? 'one' : 'other';
+  }
+
+  /**
+   * Resolve a user-facing string for inst. Lookup order: opts.strings, the opts.locale pack,
+   * the global defaultStrings, then the built-in English strings; an unknown key returns the key.
+   * params fill placeholders: an array (or single value) for %1, %2, ... or an object for {name}.
+   * A value of plural forms { one, other, ... } is picked by params.count, or the first array value.
+   */
+  function str (inst, key, params) {
+    var opts = inst && inst.opts;
+    var sources = [opts && opts.strings, getLocale(opts && opts.locale), ($.fn[PLUGIN_NAME] || ComponentViewer).defaultStrings, DEFAULT_STRINGS];
+    var v = null;
+    for (var i = 0; i < sources.length && v === null; i++) {
+      var src = sources[i];
+      if (src && !isNullish(src[key]) && src[key] !== '') {
+        v = src[key];
+      }
+    }
+    if (v === null) {
+      return key;
+    }
+    var list = null;
+    if (!isNullish(params)) {
+      list = (typeof params === 'object' && !Array.isArray(params)) ? null : [].concat(params);
+    }
+    if (typeof v === 'object') {
+      var count = Number(list ? list[0] : (params && params.count));
+      var forms = v;
+      v = forms[pluralCategory(inst, isNaN(count) ? 0 : count)];
+      if (isNullish(v)) {
+        v = isNullish(forms.other) ? key : forms.other;
+      }
+    }
+    v = String(v);
+    if (isNullish(params)) {
+      return v;
+    }
+    return v.replace(/%(\d+)|\{(\w+)\}/g, function (match, num, name) {
+      var val = list ? (num ? list[num - 1] : undefined) : (name ? params[name] : undefined);
+      return isNullish(val) ? match : String(val);
+    });
+  }
+
+  /* --- THEMES --- */
+
+  /* Named themes by name: { base: 'dark' | 'light', label, vars: { '--cv-…': value } } */
+  var themeRegistry = {};
+  var COLOR_SCHEME_QUERY = '(prefers-color-scheme: dark)'; // No I18N
+
+  /**
+   * Register (or replace) a named theme usable as opts.theme, in opts.themes and with setTheme.
+   * The overlay gets cv-theme-<base> and cv-theme-<name>, so light/dark rules still apply underneath.
+   * @param {string} name - letters, digits, '-' and '_'; not 'dark', 'light' or 'auto'
+   * @param {Object} def - { base: 'dark'|'light' (default 'dark'), label, vars: { '--cv-text': '#fff', ... } }; the '--cv-' prefix is optional
+   * @returns {boolean} true when registered
+   */
+  function registerTheme (name, def) {
+    name = isNullish(name) ? '' : String(name);
+    if (!(/^[a-z0-9_-]+$/i).test(name) || name === 'dark' || name === 'light' || name === 'auto') {
+      return false;
+    }
+    def = def || {};
+    var vars = {};
+    for (var key in def.vars) {
+      if (Object.prototype.hasOwnProperty.call(def.vars, key)) {
+        vars[key.indexOf('--') === 0 ? key : '--cv-' + key] = String(def.vars[key]);
+      }
+    }
+    themeRegistry[name] = {
+      base: def.base === 'light' ? 'light' : 'dark',
+      label: isNullish(def.label) ? name : String(def.label),
+      vars: vars
+    };
+    return true;
+  }
+
+  function unregisterTheme (name) {
+    if (!Object.prototype.hasOwnProperty.call(themeRegistry, name)) {
+      return false;
+    }
+    delete themeRegistry[name];
+    return true;
+  }
+
+  function getTheme (name) {
+    return Object.prototype.hasOwnProperty.call(themeRegistry, name) ? themeRegistry[name] : null;
+  }
+
+  /** 'dark', 'light', 'auto' or a registered theme name. */
+  function isKnownTheme (name) {
+    return name === 'dark' || name === 'light' || name === 'auto' || Boolean(getTheme(name));
+  }
+
+  function prefersDarkScheme () {
+    if (typeof window.matchMedia !== 'function') {
+      return true;
+    }
+    return window.matchMedia(COLOR_SCHEME_QUERY).matches;
+  }
+
+  /** Concrete theme shown for inst: 'auto' follows prefers-color-scheme; unknown names fall back to 'dark'. */
+  function resolveTheme (inst) {
+    var theme = (inst && inst.opts && inst.opts.theme) || 'dark';
+    if (theme === 'auto') {
+      return prefersDarkScheme() ? 'dark' : 'light';
+    }
+    return isKnownTheme(theme) ? theme : 'dark';
+  }
+
+  function themeBase (name) {
+    var def = getTheme(name);
+    return def ? def.base : (name === 'light' ? 'light' : 'dark');
+  }
+
+  /** Themes the header toggle cycles through: opts.themes (known names only), default dark and light. */
+  function themeCycle (inst) {
+    var list = [];
+    var configured = inst.opts.themes;
+    if (Array.isArray(configured)) {
+      for (var i = 0; i < configured.length; i++) {
+        if (isKnownTheme(configured[i]) && list.indexOf(configured[i]) === -1) {
+          list.push(configured[i]);
+        }
+      }
+    }
+    return list.length ? list : ['dark', 'light'];
+  }
+
+  /** Theme after the current one in the cycle; a theme outside the cycle continues from its resolved theme. */
+  function nextTheme (inst) {
+    var cycle = themeCycle(inst);
+    var current = inst.opts.theme || 'dark';
+    var pos = cycle.indexOf(current);
+    if (pos === -1) {
+      pos = cycle.indexOf(resolveTheme(inst));
+    }
+    return cycle[(pos + 1) % cycle.length];
+  }
+
+  /* --- ICONS --- */
+  /* No I18N */
+
+  var Icons = {
+    close: '&times;',
+    prev: '&#10094;',
+    next: '&#10095;',
+    zoomIn: '<svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><circle cx="11" cy="11" r="8"/><line x1="21" y1="21" x2="16.65" y2="16.65"/><line x1="11" y1="8" x2="11" y2="14"/><line x1="8" y1="11" x2="14" y2="11"/></svg>',
+    zoomOut: '<svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><circle cx="11" cy="11" r="8"/><line x1="21" y1="21" x2="16.65" y2="16.65"/><line x1="8" y1="11" x2="14" y2="11"/></svg>',
+    download: '<svg width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><path d="M21 15v4a2 2 0 0 1-2 2H5a2 2 0 0 1-2-2v-4"/><polyline points="7 10 12 15 17 10"/><line x1="12" y1="15" x2="12" y2="3"/></svg>',
+    fileIcon: '<svg width="64" height="64" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="1.2"><path d="M14 2H6a2 2 0 0 0-2 2v16a2 2 0 0 0 2 2h12a2 2 0 0 0 2-2V8z"/><polyline points="14 2 14 8 20 8"/></svg>',
+    error: '<svg width="48" height="48" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="1.5"><rect x="3" y="3" width="18" height="18" rx="2"/><line x1="9" y1="9" x2="15" y2="15"/><line x1="15" y1="9" x2="9" y2="15"/></svg>',
+    rotateCw: '<svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><polyline points="23 4 23 10 17 10"/><path d="M20.49 15a9 9 0 1 1-2.12-9.36L23 10"/></svg>',
+    rotateCcw: '<svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><polyline points="1 4 1 10 7 10"/><path d="M3.51 15a9 9 0 1 0 2.13-9.36L1 10"/></svg>',
+    flipHorizontal: '<svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><line x1="12" y1="3" x2="12" y2="21" stroke-dasharray="2 2"/><path d="M8 7L3 17h5z"/><path d="M16 7l5 10h-5z"/></svg>',
+    flipVertical: '<svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><line x1="3" y1="12" x2="21" y2="12" stroke-dasharray="2 2"/><path d="M7 8L17 3v5z"/><path d="M7 16l10 5v-5z"/></svg>',
+    compareSplit: '<svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><rect x="3" y="4" width="18" height="16" rx="2"/><line x1="12" y1="2" x2="12" y2="22"/></svg>',
+    compareOnion: '<svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><rect x="3" y="3" width="12" height="12" rx="2"/><rect x="9" y="9" width="12" height="12" rx="2" stroke-dasharray="3 2"/></svg>',
+    compareSide: '<svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><rect x="2" y="5" width="9" height="14" rx="1.5"/><rect x="13" y="5" width="9" height="14" rx="1.5"/></svg>',
+    annotate: '<svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linejoin="round"><path d="M17 3a2.83 2.83 0 1 1 4 4L7.5 20.5 2 22l1.5-5.5z"/></svg>',
+    annotatePen: '<svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round"><path d="M3 17c3-7 5-7 7-2s4 5 7-1 3-5 4-4"/></svg>',
+    annotateArrow: '<svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><line x1="5" y1="19" x2="19" y2="5"/><polyline points="9 5 19 5 19 15"/></svg>',
+    annotateRect: '<svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><rect x="3" y="5" width="18" height="14" rx="1"/></svg>',
+    annotateText: '<svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><polyline points="4 7 4 4 20 4 20 7"/><line x1="9" y1="20" x2="15" y2="20"/><line x1="12" y1="4" x2="12" y2="20"/></svg>',
+    annotateHighlight: '<svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linejoin="round"><path d="M9 11l-6 6v3h9l3-3"/><path d="M22 12l-4.6 4.6a2 2 0 0 1-2.8 0l-5.2-5.2a2 2 0 0 1 0-2.8L14 4"/></svg>',
+    undo: '<svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><polyline points="9 14 4 9 9 4"/><path d="M20 20v-7a4 4 0 0 0-4-4H4"/></svg>',
+    redo: '<svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><polyline points="15 14 20 9 15 4"/><path d="M4 20v-7a4 4 0 0 1 4-4h12"/></svg>',
+    save: '<svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><path d="M19 21H5a2 2 0 0 1-2-2V5a2 2 0 0 1 2-2h11l5 5v11a2 2 0 0 1-2 2z"/><polyline points="17 21 17 13 7 13 7 21"/><polyline points="7 3 7 8 15 8"/></svg>',
+    animationPlay: '<svg width="16" height="16" viewBox="0 0 24 24" fill="currentColor"><polygon points="6 4 20 12 6 20"/></svg>',
+    animationPause: '<svg width="16" height="16" viewBox="0 0 24 24" fill="currentColor"><rect x="6" y="4" width="4" height="16"/><rect x="14" y="4" width="4" height="16"/></svg>',
+    previousFrame: '<svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linejoin="round"><polygon points="18 5 8 12 18 19 18 5" fill="currentColor"/><line x1="5" y1="5" x2="5" y2="19"/></svg>',
+    nextFrame: '<svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linejoin="round"><polygon points="6 5 16 12 6 19 6 5" fill="currentColor"/><line x1="19" y1="5" x2="19" y2="19"/></svg>',
+    loopAnimation: '<svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><polyline points="17 1 21 5 17 9"/><path d="M3 11V9a4 4 0 0 1 4-4h14"/><polyline points="7 23 3 19 7 15"/><path d="M21 13v2a4 4 0 0 1-4 4H3"/></svg>',
     prevPage: '<svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><polyline points="15 18 9 12 15 6"/></svg>',
     nextPage: '<svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><polyline points="9 18 15 12 9 6"/></svg>',
     thumbnails: '<svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><rect x="3" y="3" width="7" height="7"/><rect x="14" y="3" width="7" height="7"/><rect x="3" y="14" width="7" height="7"/><rect x="14" y="14" width="7" height="7"/></svg>',
@@ -311,7 +1367,8 @@
     minimize: '<svg width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><line x1="5" y1="12" x2="19" y2="12"/></svg>',
     restore: '<svg width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><rect x="3" y="7" width="14" height="12" rx="2"/><path d="M10 5h9v9"/></svg>',
     play: '<svg width="24" height="24" viewBox="0 0 24 24" fill="currentColor"><polygon points="5 3 19 12 5 21"/></svg>',
-    comment: '<svg width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><path d="M21 15a2 2 0 0 1-2 2H7l-4 4V5a2 2 0 0 1 2-2h14a2 2 0 0 1 2 2z"/></svg>'
+    comment: '<svg width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><path d="M21 15a2 2 0 0 1-2 2H7l-4 4V5a2 2 0 0 1 2-2h14a2 2 0 0 1 2 2z"/></svg>',
+    info: '<svg width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round"><circle cx="12" cy="12" r="10"/><line x1="12" y1="16" x2="12" y2="11"/><line x1="12" y1="8" x2="12.01" y2="8"/></svg>'
   };
 
   /**
@@ -430,6 +1487,10 @@
     if (url && isSafeDownloadUrl(url)) {
       return url;
     }
+    /* Tiled images: src is the tile descriptor, not a file worth downloading */
+    if (item.type === 'tiled') {
+      return null;
+    }
     if (inst) {
       url = getResolvedUrl(item, inst, 'src');
       if (url && isSafeDownloadUrl(url)) {
@@ -441,20 +1502,24 @@
   }
 
   /**
-   * Returns the URL to use for the given urlType. urlType: 'src' | 'zoomUrl' | 'thumbnailUrl'.
-   * If opts.resolveUrl(item, viewer, urlType) is set, it is called; if it returns a truthy string, that is used.
-   * Otherwise: 'src' -> item.src, 'zoomUrl' -> item.zoomUrl || item.downloadUrl || item.src, 'thumbnailUrl' -> item.thumbnailUrl.
+   * Returns the URL to use for the given urlType. urlType: 'src' | 'zoomUrl' | 'thumbnailUrl' | 'sized' (size: { width, height }).
+   * If opts.resolveUrl(item, viewer, urlType[, size]) is set, it is called; if it returns a truthy string, that is used.
+   * Otherwise: 'src' -> item.src, 'zoomUrl' -> item.zoomUrl || item.downloadUrl || item.src, 'thumbnailUrl' -> item.thumbnailUrl,
+   * 'sized' -> null (the caller keeps the 'src' URL).
    */
-  function getResolvedUrl (item, inst, urlType) {
+  function getResolvedUrl (item, inst, urlType, size) {
     if (!item) {
       return null;
     }
     if (inst && typeof inst.opts.resolveUrl === 'function') {
-      var resolved = inst.opts.resolveUrl(item, inst, urlType);
+      var resolved = size ? inst.opts.resolveUrl(item, inst, urlType, size) : inst.opts.resolveUrl(item, inst, urlType);
       if (resolved != null && resolved !== '') {
         return resolved;
       }
     }
+    if (urlType === 'sized') {
+      return null;
+    }
     if (urlType === 'zoomUrl') {
       return (item.zoomUrl && item.zoomUrl !== '') ? item.zoomUrl : (item.downloadUrl || item.src || null);
     }
@@ -469,7 +1534,61 @@
     return getResolvedUrl(item, inst, 'src');
   }
 
+  /* --- API ERRORS --- */
+
+  /* No I18N */
+  var VIEWER_ERROR_MESSAGES = {
+    NO_ITEMS: 'There are no items to show',
+    NOT_OPEN: 'The viewer is not open',
+    CANCELLED: 'Cancelled by a cv:* event listener',
+    SUPERSEDED: 'Superseded by a newer open or navigation call',
+    CLOSED: 'The viewer was closed before the item was shown',
+    DESTROYED: 'The viewer was destroyed',
+    LOAD_FAILED: 'The item could not be loaded'
+  };
+
+  /**
+   * Rejection reason for the Promise-returning API (open, next, prev, goTo, close).
+   * @param {string} code - one of the VIEWER_ERROR_MESSAGES keys
+   */
+  function ViewerError (code, message) {
+    this.name = 'ViewerError';
+    this.code = code;
+    this.message = message || VIEWER_ERROR_MESSAGES[code] || code;
+    this.stack = (new Error(this.message)).stack;
+  }
+  ViewerError.prototype = Object.create(Error.prototype);
+  ViewerError.prototype.constructor = ViewerError;
+
+  /** Mark p as handled so fire-and-forget calls (buttons, keys, slideshow) never log unhandled rejections; callers still see them. */
+  function quietPromise (p) {
+    p.catch(function () {});
+    return p;
+  }
+
+  /* --- CONTAINER EVENTS --- */
+
+  /**
+   * Dispatch a bubbling, cancelable 'cv:<name>' CustomEvent on the viewer's container, next to the matching option callback.
+   * detail always carries viewer and item (jQuery handlers read it as e.detail too).
+   * @returns {boolean} false when a listener called preventDefault()
+   */
+  function fireEvent (inst, name, detail) {
+    var el = inst && inst.$container && inst.$container[0];
+    if (!el || typeof window.CustomEvent !== 'function') {
+      return true;
+    }
+    detail = $.extend({ viewer: inst, item: (inst.items && inst.items[inst.idx]) || null }, detail);
+    return el.dispatchEvent(new window.CustomEvent('cv:' + name, { bubbles: true, cancelable: true, detail: detail }));
+  }
+
   function performDownload (item, inst) {
+    if (inst && !fireEvent(inst, 'download', { item: item, url: getItemDownloadUrl(item, inst) })) {
+      return;
+    }
+    if (inst && inst.items) {
+      trackEvent(inst, 'download', { item: item, index: inst.items.indexOf(item), url: getItemDownloadUrl(item, inst) });
+    }
     if (inst && typeof inst.opts.onDownload === 'function') {
       inst.opts.onDownload(item, inst); /* second arg: viewer */
       return;
@@ -488,9 +1607,11 @@
   }
 
   function copyTextToClipboard (text, inst) {
+    trackEvent(inst, 'copy', { length: String(text).length });
     function showCopied () {
-      if (inst && Overlay.$stripMessage && Overlay.$stripMessage.length) {
-        Overlay._showStripMessage(str(inst, 'copiedToClipboard'));
+      var ov = overlayOf(inst);
+      if (inst && ov && ov.$stripMessage && ov.$stripMessage.length) {
+        ov._showStripMessage(str(inst, 'copiedToClipboard'));
       }
     }
     if (navigator.clipboard && typeof navigator.clipboard.writeText === 'function') {
@@ -528,7 +1649,153 @@
     return document.fullscreenElement || document.webkitFullscreenElement || document.mozFullScreenElement || document.msFullscreenElement;
   }
 
-  var RESERVED_SHORTCUT_KEYS = { escape: 1, arrowleft: 1, arrowright: 1, ' ': 1, m: 1, r: 1, q: 1, d: 1, p: 1, '?': 1, '+': 1, '-': 1, '=': 1, f: 1, t: 1, c: 1, s: 1 };
+  /* --- KEYMAP --- */
+
+  /** Built-in keyboard actions and their default bindings; opts.keymap remaps them or disables them with false. */
+  var DEFAULT_KEYMAP = {
+    close: 'Escape',
+    prev: 'ArrowLeft',
+    next: 'ArrowRight',
+    zoomIn: ['+', '='],
+    zoomOut: '-',
+    rotateLeft: '[',
+    rotateRight: ']',
+    flipHorizontal: 'h',
+    flipVertical: 'v',
+    /* Unbound by default so a digit key stays free for hosts; keymap: { actualSize: '1' } turns it on */
+    actualSize: false,
+    undo: ['Ctrl+Z', 'Meta+Z'],
+    redo: ['Ctrl+Y', 'Ctrl+Shift+Z', 'Meta+Shift+Z'],
+    playPause: 'Space',
+    mute: 'm',
+    speed: 'r',
+    hd: 'q',
+    download: 'd',
+    print: 'p',
+    fullscreen: 'f',
+    theme: 't',
+    carousel: 'c',
+    info: 'i',
+    slideshow: 's',
+    shortcuts: '?'
+  };
+  /** Actions that still run while focus is in an input, textarea or select. */
+  var KEYMAP_IN_FIELDS = { close: 1, prev: 1, next: 1, shortcuts: 1 };
+  var KEY_ALIASES = { space: ' ', spacebar: ' ', esc: 'escape', left: 'arrowleft', right: 'arrowright', up: 'arrowup', down: 'arrowdown', plus: '+', minus: '-' };
+
+  /** 'Ctrl+Shift+D' -> { key: 'd', ctrl: true, shift: true, alt: false, meta: false }; null when invalid. */
+  function parseKeyBinding (binding) {
+    var s = String(binding);
+    var parts;
+    if (s === '+') {
+      parts = ['+'];
+    } else if (s.length > 2 && s.slice(-2) === '++') {
+      parts = s.slice(0, -2).split('+');
+      parts.push('+');
+    } else {
+      parts = s.split('+');
+    }
+    var out = { key: '', ctrl: false, alt: false, shift: false, meta: false };
+    for (var i = 0; i < parts.length - 1; i++) {
+      var mod = parts[i].trim().toLowerCase();
+      if (mod === 'ctrl' || mod === 'control') {
+        out.ctrl = true;
+      } else if (mod === 'alt' || mod === 'option') {
+        out.alt = true;
+      } else if (mod === 'shift') {
+        out.shift = true;
+      } else if (mod === 'meta' || mod === 'cmd' || mod === 'command') {
+        out.meta = true;
+      } else {
+        return null;
+      }
+    }
+    var key = parts[parts.length - 1];
+    key = (key.length > 1 ? key.trim() : key).toLowerCase();
+    out.key = KEY_ALIASES[key] || key;
+    return out.key ? out : null;
+  }
+
+  /** Effective bindings for inst: { action: [parsed binding, ...] }. In RTL the default prev/next arrows swap. */
+  function resolveKeymap (inst) {
+    var custom = (inst && inst.opts && inst.opts.keymap) || {};
+    var defaults = isRtlEnabled(inst) ? $.extend({}, DEFAULT_KEYMAP, { prev: 'ArrowRight', next: 'ArrowLeft' }) : DEFAULT_KEYMAP;
+    var map = {};
+    for (var action in DEFAULT_KEYMAP) {
+      if (!Object.prototype.hasOwnProperty.call(DEFAULT_KEYMAP, action)) {
+        continue;
+      }
+      var val = Object.prototype.hasOwnProperty.call(custom, action) ? custom[action] : defaults[action];
+      var list = Array.isArray(val) ? val : ((isNullish(val) || val === false || val === '') ? [] : [val]);
+      map[action] = [];
+      for (var i = 0; i < list.length; i++) {
+        var b = (isNullish(list[i]) || list[i] === '') ? null : parseKeyBinding(list[i]);
+        if (b) {
+          map[action].push(b);
+        }
+      }
+    }
+    return map;
+  }
+
+  function keyBindingMatches (b, e) {
+    var key = (e.key || '').toLowerCase();
+    if (key === '/' && e.shiftKey) {
+      key = '?';
+    }
+    /* Alt changes the produced character on macOS; fall back to the physical letter */
+    if (b.alt && e.code && (/^Key[A-Z]$/).test(e.code)) {
+      key = e.code.charAt(3).toLowerCase();
+    }
+    if (b.key !== key || b.ctrl !== Boolean(e.ctrlKey) || b.alt !== Boolean(e.altKey) || b.meta !== Boolean(e.metaKey)) {
+      return false;
+    }
+    /* Shift is implied by punctuation such as '?' or '+', so it is only compared for letters, digits, named keys and explicit Shift+ bindings */
+    if (b.shift || b.key.length > 1 || (/[a-z0-9]/).test(b.key)) {
+      return b.shift === Boolean(e.shiftKey);
+    }
+    return true;
+  }
+
+  /** Built-in actions bound to keydown e, in DEFAULT_KEYMAP order. */
+  function keymapActions (keymap, e) {
+    var out = [];
+    for (var action in keymap) {
+      if (!Object.prototype.hasOwnProperty.call(keymap, action)) {
+        continue;
+      }
+      for (var i = 0; i < keymap[action].length; i++) {
+        if (keyBindingMatches(keymap[action][i], e)) {
+          out.push(action);
+          break;
+        }
+      }
+    }
+    return out;
+  }
+
+  /**
+   * Single keys (no Ctrl/Alt/Meta) taken by the built-in keymap; custom shortcutKey and renderer shortcuts cannot use them.
+   * Rotate and flip keys stay free while their toolbar buttons are turned off.
+   */
+  function reservedShortcutKeys (inst) {
+    var keymap = resolveKeymap(inst);
+    var tb = (inst && inst.opts && inst.opts.toolbar) || {};
+    var off = { rotateLeft: tb.rotate !== true, rotateRight: tb.rotate !== true, flipHorizontal: tb.flip !== true, flipVertical: tb.flip !== true, actualSize: tb.zoom === false, info: !infoEnabled(inst) };
+    var out = {};
+    for (var action in keymap) {
+      if (!Object.prototype.hasOwnProperty.call(keymap, action) || off[action]) {
+        continue;
+      }
+      for (var i = 0; i < keymap[action].length; i++) {
+        var b = keymap[action][i];
+        if (!b.ctrl && !b.alt && !b.meta) {
+          out[b.key] = 1;
+        }
+      }
+    }
+    return out;
+  }
 
   /**
    * Sanitize HTML string for use as toolbar icon to prevent XSS (e.g. <svg onload="..."> or <script>).
@@ -601,8 +1868,10 @@
     return Boolean(inst && inst.opts && inst.opts.isRTL === true);
   }
 
+  /** theme is a concrete theme (see resolveTheme); named themes add their base class first. */
   function buildOverlayClassName (theme, visible, closing, inst) {
-    var cls = 'cv-overlay cv-theme-' + theme;
+    var base = themeBase(theme);
+    var cls = 'cv-overlay cv-theme-' + base + (theme !== base ? ' cv-theme-' + theme : '');
     if (isRtlEnabled(inst)) {
       cls += ' cv-rtl';
     }
@@ -612,6 +1881,16 @@
     if (closing) {
       cls += ' cv-closing';
     }
+    var ov = inst && inst._overlay;
+    if (ov && ov._minimized) {
+      cls += ' cv-minimized';
+    }
+    if (ov && ov._embedded) {
+      cls += ' cv-embedded';
+    }
+    if (ov && ov.visible && overlayStack.indexOf(ov) !== -1 && ov !== topOverlay()) {
+      cls += ' cv-stacked-below';
+    }
     return cls;
   }
 
@@ -645,314 +1924,649 @@
     }
   }
 
-  /* --- SHARED OVERLAY --- */
+  /* --- HISTORY --- */
 
-  var Overlay = {
-    built: false, visible: false, activeInstance: null,
-    _bodyOverflow: null,
-    _keydownCaptureBound: false,
-    _keydownCaptureHandler: null,
-    $el: null, $shell: null, $title: null, $counter: null,
-    $stageWrap: null, $stage: null, $loader: null,
-    $prev: null, $next: null, $footer: null,
-    $pollOption: null, $footerRow: null,
-    $toolbar: null, $zoomWidget: null, $zoomSlider: null, $zoomPct: null,
+  /* No I18N */
+  var HISTORY_DEFAULTS = { mode: 'hash', param: 'cv', key: null, id: null, pushNavigation: false };
+  var historyBackPending = 0;
 
-    _zoom: 1, _panX: 0, _panY: 0,
-    _isPanning: false, _panOriginX: 0, _panOriginY: 0, _panStartX: 0, _panStartY: 0,
-    _pinchStartDist: 0, _pinchStartZoom: 1,
-    _pinchMidX: 0, _pinchMidY: 0, _pinchPanStartX: 0, _pinchPanStartY: 0,
-    _pinchMidStartX: 0, _pinchMidStartY: 0,
-    _justEndedPinch: false,
-    _highResLoaded: false, _highResLoading: false, _highResSliderDebounceTimer: null,
-    _isImageItem: false, _isPdfItem: false, _isCustomRendered: false,
-    _swipeStartX: 0, _swipeStartY: 0, _swipeEndX: 0, _swipeEndY: 0, _swipeTracking: false,
-    _minimized: false, _minimizedSnapshot: null,
+  /** Id written to the URL for inst (history.id, else the container id), or null when history is off or unavailable. */
+  function historyId (inst) {
+    var cfg = inst.opts && inst.opts.history;
+    if (!cfg || !window.history || typeof window.history.pushState !== 'function') {
+      return null;
+    }
+    return cfg.id || inst.$container.attr('id') || null;
+  }
 
-    ensure: function () {
-      if (this.built) {
-        return;
-      }
-      var toolbarIconStyle = '<style id="cv-toolbar-icon-style">' +
-        '.cv-overlay .cv-toolbar .cv-tb-btn .cv-tb-icon,.cv-overlay .cv-toolbar .cv-tb-btn .cv-tb-icon::before,' +
-        '.cv-overlay .cv-toolbar .cv-tb-btn i.cv-tb-icon.ci-pencil,.cv-overlay .cv-toolbar .cv-tb-btn i.cv-tb-icon.ci-pencil::before' +
-        '{color:rgba(255,255,255,.95)!important;opacity:1!important}' +
-        '.cv-overlay.cv-theme-light .cv-toolbar .cv-tb-btn .cv-tb-icon,.cv-overlay.cv-theme-light .cv-toolbar .cv-tb-btn .cv-tb-icon::before,' +
-        '.cv-overlay.cv-theme-light .cv-toolbar .cv-tb-btn i.cv-tb-icon.ci-pencil,.cv-overlay.cv-theme-light .cv-toolbar .cv-tb-btn i.cv-tb-icon.ci-pencil::before' +
-        '{color:#444!important;opacity:1!important}' +
-        '.cv-overlay .cv-toolbar .cv-tb-btn{background:rgba(255,255,255,.08)!important;border:none!important;border-radius:6px!important;padding:6px 10px!important;min-width:32px!important;min-height:32px!important;display:inline-flex!important;align-items:center!important;justify-content:center!important}' +
-        '.cv-overlay .cv-toolbar .cv-tb-btn:hover{background:rgba(255,255,255,.2)!important}' +
-        '.cv-overlay.cv-theme-light .cv-toolbar .cv-tb-btn{background:rgba(0,0,0,.06)!important;color:#444!important}' +
-        '.cv-overlay.cv-theme-light .cv-toolbar .cv-tb-btn:hover{background:rgba(0,0,0,.12)!important}' +
-        '</style>';
-      var html =
-        '<div class="cv-overlay">' +
-          toolbarIconStyle +
-          '<div class="cv-backdrop" aria-hidden="true"></div>' +
-          '<div class="cv-shell" id="cv-dialog">' +
-            '<div class="cv-header">' +
-              '<div class="cv-header-left"><span class="cv-counter" id="cv-dialog-desc"></span></div>' +
-              '<div class="cv-header-center"><span class="cv-title" id="cv-dialog-title"></span></div>' +
-              '<div class="cv-header-right">' +
-              '<button class="cv-comment-toggle" type="button" style="display:none">' + Icons.comment + '</button>' +
-              '<button class="cv-carousel-toggle" type="button" style="display:none">' + Icons.thumbnails + '</button>' +
-              '<button class="cv-fullscreen-toggle" type="button" style="display:none">' + Icons.fullscreen + '</button>' +
-              '<button class="cv-minimize-toggle" type="button" style="display:none">' + Icons.minimize + '</button>' +
-              '<button class="cv-theme-toggle" type="button">' + Icons.themeLight + '</button>' +
-              '<button class="cv-close" type="button">' + Icons.close + '</button></div>' +
-            '</div>' +
-            '<div class="cv-body">' +
-              '<button class="cv-nav cv-nav-prev" type="button"><span class="cv-nav-icon">' + Icons.prev + '</span></button>' +
-              '<div class="cv-stage-wrap">' +
-                '<div class="cv-loader"><div class="cv-spinner"></div></div>' +
-                '<div class="cv-stage"></div>' +
-                '<div class="cv-comment-wrap" aria-hidden="true" role="region" aria-label="Attachment comment">' +
-                  '<div class="cv-comment-nav" style="display:none">' +
-                    '<button class="cv-comment-prev" type="button" aria-label="Previous comment">' + Icons.prev + '</button>' +
-                    '<span class="cv-comment-counter" aria-live="polite"></span>' +
-                    '<button class="cv-comment-next" type="button" aria-label="Next comment">' + Icons.next + '</button>' +
-              '</div>' +
-                  '<div class="cv-comment-title"></div>' +
-                  '<div class="cv-comment-author"></div>' +
-                  '<div class="cv-comment-sep"></div>' +
-                  '<div class="cv-comment-inner"></div>' +
-                '</div>' +
-              '</div>' +
-              '<button class="cv-nav cv-nav-next" type="button"><span class="cv-nav-icon">' + Icons.next + '</span></button>' +
-            '</div>' +
-            '<div class="cv-carousel-wrap">' +
-              '<button class="cv-carousel-nav cv-carousel-prev" type="button">' + Icons.prev + '</button>' +
-              '<div class="cv-carousel-inner">' +
-                '<div class="cv-carousel"></div>' +
-              '</div>' +
-              '<button class="cv-carousel-nav cv-carousel-next" type="button">' + Icons.next + '</button>' +
-            '</div>' +
-            '<div class="cv-footer">' +
-              '<div class="cv-slideshow-progress-wrap"><div class="cv-slideshow-progress-bar"></div></div>' +
-              '<div class="cv-poll-option"></div>' +
-              '<div class="cv-footer-row">' +
-              '<div class="cv-toolbar"></div>' +
-              '<div class="cv-zoom-widget">' +
-                '<button class="cv-tb-btn cv-zoom-out-btn" type="button">' + Icons.zoomOut + '</button>' +
-                '<input type="range" class="cv-zoom-slider" min="1" max="5" step="0.01" value="1" />' +
-                '<button class="cv-tb-btn cv-zoom-in-btn" type="button">' + Icons.zoomIn + '</button>' +
-                '<span class="cv-zoom-pct">100%</span>' +
-              '</div>' +
-              '</div>' +
-            '</div>' +
-            '<div class="cv-shortcuts-popup" role="dialog" aria-label="Keyboard shortcuts" aria-hidden="true"></div>' +
-            '<div class="cv-strip-message" id="cv-strip-message" aria-live="polite" role="status"></div>' +
-          '</div>' +
-          '<button class="cv-restore-fab" type="button" style="display:none">' + Icons.restore + '</button>' +
-        '</div>';
+  /** URL key for an item: history.key as property name or function, falling back to the 1-based index. */
+  function historyItemKey (inst, item, index) {
+    var key = inst.opts.history.key;
+    if (typeof key === 'function') {
+      return String(key(item, index));
+    }
+    if (key && item && !isNullish(item[key])) {
+      return String(item[key]);
+    }
+    return String(index + 1);
+  }
 
-      $('body').append(html);
-      this.$el = $('.cv-overlay').last();
-      var sel = { $backdrop: '.cv-backdrop', $shell: '.cv-shell', $title: '.cv-title', $counter: '.cv-counter', $themeToggle: '.cv-theme-toggle', $fullscreenToggle: '.cv-fullscreen-toggle', $minimizeToggle: '.cv-minimize-toggle', $restoreFab: '.cv-restore-fab', $stageWrap: '.cv-stage-wrap', $stage: '.cv-stage', $commentWrap: '.cv-comment-wrap', $commentNav: '.cv-comment-nav', $commentPrev: '.cv-comment-prev', $commentNext: '.cv-comment-next', $commentCounter: '.cv-comment-counter', $commentTitle: '.cv-comment-title', $commentAuthor: '.cv-comment-author', $commentSep: '.cv-comment-sep', $commentInner: '.cv-comment-inner', $commentToggle: '.cv-comment-toggle', $loader: '.cv-loader', $prev: '.cv-nav-prev', $next: '.cv-nav-next', $carouselWrap: '.cv-carousel-wrap', $carousel: '.cv-carousel', $carouselToggle: '.cv-carousel-toggle', $carouselPrev: '.cv-carousel-prev', $carouselNext: '.cv-carousel-next', $footer: '.cv-footer', $pollOption: '.cv-poll-option', $footerRow: '.cv-footer-row', $toolbar: '.cv-toolbar', $stripMessage: '.cv-strip-message', $zoomWidget: '.cv-zoom-widget', $zoomSlider: '.cv-zoom-slider', $zoomPct: '.cv-zoom-pct', $slideshowProgressWrap: '.cv-slideshow-progress-wrap', $slideshowProgressBar: '.cv-slideshow-progress-bar', $shortcutsPopup: '.cv-shortcuts-popup' };
-      for (var p in sel) {
-        this[p] = sel[p].charAt(0) === '#' ? $(sel[p]) : this.$el.find(sel[p]);
-      }
-      this.$tooltip = $();
-      this.$zoomPct.hide();
-      this._bindEvents();
-      this._bindTooltip();
-      this.built = true;
-    },
+  function historyToken (id, key) {
+    return encodeURIComponent(id) + '/' + encodeURIComponent(key);
+  }
 
-    _isRtl: function (inst) {
-      var ctx = inst || this.activeInstance;
-      return isRtlEnabled(ctx);
-    },
-    _canMinimize: function (inst) {
-      var cfg = inst && inst.opts && inst.opts.minimize;
-      return Boolean(cfg && cfg.enabled !== false);
-    },
-    _captureMinimizedSnapshot: function (inst) {
-      if (!inst || !inst.items || inst.idx < 0 || inst.idx >= inst.items.length) {
-        this._minimizedSnapshot = null;
-        return;
-      }
-      var listSnapshot = [];
-      for (var i = 0; i < inst.items.length; i++) {
-        var cloned = $.extend(true, {}, inst.items[i]);
-        if (cloned.$el) {
-          delete cloned.$el;
-        }
-        listSnapshot.push(cloned);
-      }
-      var current = inst.items[inst.idx];
-      var snapItem = $.extend(true, {}, current);
-      if (snapItem.$el) {
-        delete snapItem.$el;
-      }
-      this._minimizedSnapshot = {
-        items: listSnapshot,
-        item: snapItem,
-        $el: current && current.$el ? current.$el : null,
-        idx: inst.idx
-      };
-    },
-    _applyMinimizedUi: function (inst, minimized) {
-      this._minimized = Boolean(minimized);
-      this.$el.toggleClass('cv-minimized', this._minimized);
-      this.$restoreFab.toggle(this._minimized);
-      if (this.visible) {
-        if (this._minimized) {
-          document.body.style.overflow = !isNullish(this._bodyOverflow) ? this._bodyOverflow : '';
-        } else {
-          document.body.style.overflow = 'hidden';
-        }
+  /** Raw '<id>/<key>' token for cfg.param from the hash or query string, or null. */
+  function readHistoryToken (cfg) {
+    var loc = window.location;
+    var parts = (cfg.mode === 'query' ? loc.search : loc.hash).slice(1).split('&');
+    for (var i = 0; i < parts.length; i++) {
+      var eq = parts[i].indexOf('=');
+      if (eq > 0 && decodeURIComponent(parts[i].slice(0, eq)) === cfg.param) {
+        return parts[i].slice(eq + 1);
       }
-      if (!inst) {
-        return;
+    }
+    return null;
+  }
+
+  function parseHistoryToken (token) {
+    var slash = token ? token.indexOf('/') : -1;
+    if (slash < 1) {
+      return null;
+    }
+    try {
+      return { id: decodeURIComponent(token.slice(0, slash)), key: decodeURIComponent(token.slice(slash + 1)) };
+    } catch (e) {
+      return null;
+    }
+  }
+
+  /** Current URL with cfg.param set to token, or removed when token is null. Hash mode owns the whole hash while open. */
+  function historyUrl (cfg, token) {
+    var loc = window.location;
+    var pair = encodeURIComponent(cfg.param) + '=' + token;
+    if (cfg.mode !== 'query') {
+      return loc.pathname + loc.search + (token === null ? '' : '#' + pair);
+    }
+    var kept = loc.search.slice(1).split('&').filter(function (p) {
+      return p && decodeURIComponent(p.split('=')[0]) !== cfg.param;
+    });
+    if (token !== null) {
+      kept.push(pair);
+    }
+    return loc.pathname + (kept.length ? '?' + kept.join('&') : '') + loc.hash;
+  }
+
+  /** Step back over entries the viewers pushed; batched so nested viewers closing together make one history.go(). */
+  function historyGoBack (n) {
+    if (!historyBackPending) {
+      setTimeout(function () {
+        var d = historyBackPending;
+        historyBackPending = 0;
+        window.history.go(-d);
+      }, 0);
+    }
+    historyBackPending += n;
+  }
+
+  /* --- PREFERENCES --- */
+
+  /* No I18N */
+  var PERSIST_DEFAULTS = { key: 'componentViewer', storage: null };
+
+  /** Storage adapter for opts.persist, or null when persist is off or storage is unavailable (e.g. blocked cookies). */
+  function prefsStorage (inst) {
+    var cfg = inst && inst.opts && inst.opts.persist;
+    if (!cfg) {
+      return null;
+    }
+    if (cfg.storage) {
+      return cfg.storage;
+    }
+    try {
+      return window.localStorage || null;
+    } catch (e) {
+      return null;
+    }
+  }
+
+  /** Saved preferences for inst ({} when none): theme, carouselOpen, commentPanelVisible, playbackRate, volume, muted, pdfTwoPage. */
+  function loadPrefs (inst) {
+    var storage = prefsStorage(inst);
+    if (!storage) {
+      return {};
+    }
+    try {
+      var prefs = JSON.parse(storage.getItem(inst.opts.persist.key) || 'null');
+      return (prefs && typeof prefs === 'object') ? prefs : {};
+    } catch (e) {
+      return {};
+    }
+  }
+
+  function savePrefs (inst, changes) {
+    var storage = prefsStorage(inst);
+    if (!storage) {
+      return;
+    }
+    try {
+      storage.setItem(inst.opts.persist.key, JSON.stringify($.extend(loadPrefs(inst), changes)));
+    } catch (e) {}
+  }
+
+  /** Native <video>/<audio>: apply saved speed, volume and mute, and save them when the user changes them. */
+  function bindMediaPrefs (inst, el) {
+    if (!prefsStorage(inst) || !el) {
+      return;
+    }
+    var prefs = loadPrefs(inst);
+    if (typeof prefs.volume === 'number') {
+      el.volume = Math.max(0, Math.min(1, prefs.volume));
+    }
+    if (typeof prefs.muted === 'boolean') {
+      el.muted = prefs.muted;
+    }
+    if (typeof prefs.playbackRate === 'number' && prefs.playbackRate > 0) {
+      el.defaultPlaybackRate = prefs.playbackRate;
+      el.playbackRate = prefs.playbackRate;
+    }
+    el.addEventListener('volumechange', function () {
+      savePrefs(inst, { volume: el.volume, muted: el.muted });
+    });
+    el.addEventListener('ratechange', function () {
+      savePrefs(inst, { playbackRate: el.playbackRate });
+    });
+  }
+
+  /** jPlayer options volume / muted / playbackRate from saved preferences (empty when persist is off). */
+  function jPlayerPrefs (inst) {
+    var prefs = loadPrefs(inst);
+    var out = {};
+    if (typeof prefs.volume === 'number') {
+      out.volume = Math.max(0, Math.min(1, prefs.volume));
+    }
+    if (typeof prefs.muted === 'boolean') {
+      out.muted = prefs.muted;
+    }
+    if (typeof prefs.playbackRate === 'number' && prefs.playbackRate > 0) {
+      out.playbackRate = prefs.playbackRate;
+    }
+    return out;
+  }
+
+  /* --- ANALYTICS --- */
+
+  /**
+   * Per-instance analytics state: queue of undelivered events, view (the impression being timed) and slides
+   * (items shown during the current slideshow run). resume is set when a view was ended by the page being hidden.
+   */
+  function analyticsState (inst) {
+    if (!inst._analytics) {
+      inst._analytics = { queue: [], view: null, slides: null, resume: false };
+    }
+    return inst._analytics;
+  }
+
+  /** Analytics is off unless onAnalytics is set: nothing is queued and no cv:analytics fires. */
+  function analyticsEnabled (inst) {
+    return !!(inst && inst.opts && typeof inst.opts.onAnalytics === 'function');
+  }
+
+  /** Queue an analytics event for the current item (data may override item and index); delivers the batch once it is full. */
+  function trackEvent (inst, type, data) {
+    if (!analyticsEnabled(inst)) {
+      return;
+    }
+    var state = analyticsState(inst);
+    var evt = $.extend({ type: type, time: Date.now(), index: inst.idx, item: inst.items[inst.idx] || null }, data);
+    evt.itemType = evt.item ? (evt.item.type || 'image') : null;
+    evt.title = evt.item && !isNullish(evt.item.title) ? String(evt.item.title) : '';
+    state.queue.push(evt);
+    var cfg = inst.opts.analytics;
+    var size = (cfg && cfg.batchSize > 0) ? cfg.batchSize : DEFAULTS.analytics.batchSize;
+    if (state.queue.length >= size) {
+      flushAnalytics(inst, 'batch');
+    }
+  }
+
+  /** Deliver queued events: cv:analytics, then onAnalytics unless a listener called preventDefault(). reason: batch, close, hidden, destroy. */
+  function flushAnalytics (inst, reason) {
+    var state = inst && inst._analytics;
+    if (!state || !state.queue.length || !inst.opts) {
+      return;
+    }
+    var events = state.queue.splice(0, state.queue.length);
+    if (!analyticsEnabled(inst) || !fireEvent(inst, 'analytics', { events: events, reason: reason })) {
+      return;
+    }
+    inst.opts.onAnalytics(events, inst);
+  }
+
+  function beginView (inst, openedBy) {
+    var state = analyticsState(inst);
+    state.resume = false;
+    state.view = { item: inst.items[inst.idx], index: inst.idx, openedBy: openedBy, start: Date.now(), maxZoom: 1, pages: [], pageCount: 0 };
+  }
+
+  /** End the timed view with an 'impression' event; $stage is read for media watch progress before it is torn down. */
+  function endView (inst, closedBy, $stage) {
+    var state = inst && inst._analytics;
+    var view = state && state.view;
+    if (!view) {
+      return;
+    }
+    state.view = null;
+    var data = {
+      item: view.item,
+      index: view.index,
+      openedBy: view.openedBy,
+      closedBy: closedBy,
+      dwell: Date.now() - view.start,
+      maxZoom: view.maxZoom
+    };
+    if (view.pageCount) {
+      data.pages = view.pages.slice().sort(function (a, b) {
+        return a - b;
+      });
+      data.pageCount = view.pageCount;
+    }
+    var watched = mediaWatchedPercent($stage);
+    if (watched !== null) {
+      data.watched = watched;
+    }
+    trackEvent(inst, 'impression', data);
+  }
+
+  /** Percent (0-100) of the stage's video/audio covered by its played ranges; null when the stage has no media. */
+  function mediaWatchedPercent ($stage) {
+    var el = $stage && $stage.length ? $stage.find('video, audio')[0] : null;
+    if (!el) {
+      return null;
+    }
+    if (!el.played || !(el.duration > 0) || !isFinite(el.duration)) {
+      return 0;
+    }
+    var played = 0;
+    for (var i = 0; i < el.played.length; i++) {
+      played += el.played.end(i) - el.played.start(i);
+    }
+    return Math.min(100, Math.round(played / el.duration * 100));
+  }
+
+  function trackZoom (inst, zoom) {
+    var view = inst && inst._analytics && inst._analytics.view;
+    if (view && zoom > view.maxZoom) {
+      view.maxZoom = zoom;
+    }
+  }
+
+  /** Record a PDF page shown for item (ignored when item is no longer the one being viewed). */
+  function trackPdfPage (inst, item, num, total) {
+    var view = inst && inst._analytics && inst._analytics.view;
+    if (!view || view.item !== item || !num) {
+      return;
+    }
+    if (view.pages.indexOf(num) === -1) {
+      view.pages.push(num);
+    }
+    view.pageCount = total || view.pageCount;
+  }
+
+  /** Slideshow run: count distinct items shown; queue one 'slideshowComplete' once every item has been shown. */
+  function trackSlide (inst) {
+    var state = analyticsState(inst);
+    if (!state.slides) {
+      state.slides = { seen: {}, count: 0, start: Date.now(), done: false };
+    }
+    var run = state.slides;
+    if (!run.seen[inst.idx]) {
+      run.seen[inst.idx] = true;
+      run.count++;
+    }
+    if (!run.done && run.count >= inst.items.length) {
+      run.done = true;
+      trackEvent(inst, 'slideshowComplete', { slides: run.count, duration: Date.now() - run.start });
+    }
+  }
+
+  /* --- OVERLAY STACK --- */
+
+  /* Open overlays, bottom to top. The top one owns keyboard input and the focus trap. */
+  var overlayStack = [];
+  var bodyOverflowSaved = null;
+  var keydownCaptureBound = false;
+  var OVERLAY_Z_INDEX = 2147483647;
+
+  function topOverlay () {
+    return overlayStack.length ? overlayStack[overlayStack.length - 1] : null;
+  }
+
+  /** Mount element for mode: 'embedded', or null for the fullscreen overlay (also when mountTo matches nothing). */
+  function embeddedMount (inst) {
+    var opts = inst && inst.opts;
+    if (!opts || opts.mode !== 'embedded' || isNullish(opts.mountTo)) {
+      return null;
+    }
+    var $mount = $(opts.mountTo).first();
+    return $mount.length ? $mount : null;
+  }
+
+  /** Overlay hosting inst; for helpers without an instance, the overlay that contains $node. */
+  function overlayOf (inst, $node) {
+    if (inst && inst._overlay) {
+      return inst._overlay;
+    }
+    var $ov = ($node && $node.length) ? $node.closest('.cv-overlay') : null;
+    return ($ov && $ov.data('cv-overlay')) || topOverlay();
+  }
+
+  /** Topmost overlay keeps the max z-index; each one below steps down by one. Covered overlays are hidden from assistive tech. */
+  function restackOverlays () {
+    var n = overlayStack.length;
+    for (var i = 0; i < n; i++) {
+      var ov = overlayStack[i];
+      if (!ov.$el || !ov.$el.length) {
+        continue;
       }
-      if (inst.opts.canShowTooltip !== false) {
-        this.$minimizeToggle.attr('data-cv-tooltip', str(inst, 'minimize'));
-        this.$restoreFab.attr('data-cv-tooltip', str(inst, 'restoreViewer'));
-      } else {
-        this.$minimizeToggle.removeAttr('data-cv-tooltip');
-        this.$restoreFab.removeAttr('data-cv-tooltip');
+      var isTop = (i === n - 1);
+      ov.$el.css('z-index', OVERLAY_Z_INDEX - (n - 1 - i)).toggleClass('cv-stacked-below', !isTop);
+      if (ov.activeInstance && ov.activeInstance.opts.wcag) {
+        ov.$el[0].setAttribute('aria-hidden', isTop ? 'false' : 'true');
       }
-      if (inst.opts.wcag) {
-        this.$minimizeToggle.attr('aria-label', str(inst, 'minimize'));
-        this.$restoreFab.attr('aria-label', str(inst, 'restoreViewer'));
-      } else {
-        this.$minimizeToggle.removeAttr('aria-label');
-        this.$restoreFab.removeAttr('aria-label');
+    }
+  }
+
+  /** Lock body scroll while any open overlay is not minimized; restore the original value when none is. */
+  function syncBodyScrollLock () {
+    var lock = false;
+    for (var i = 0; i < overlayStack.length; i++) {
+      if (!overlayStack[i]._minimized) {
+        lock = true;
+        break;
       }
-    },
-    _restoreFromMinimized: function () {
-      var self = this;
-      var inst = this.activeInstance;
-      if (!inst) {
-        return;
+    }
+    if (lock) {
+      if (isNullish(bodyOverflowSaved)) {
+        bodyOverflowSaved = document.body.style.overflow;
       }
-      this._applyMinimizedUi(inst, false);
-      var snap = this._minimizedSnapshot;
-      inst._beforeCollectContext = { trigger: 'restore' };
-      inst._collectItems(function () {
-        if (!inst.items.length && snap && snap.items && snap.items.length) {
-          inst.items = $.extend(true, [], snap.items);
-          inst.idx = Math.max(0, Math.min((!isNullish(snap.idx) ? snap.idx : 0), inst.items.length - 1));
-          self.loadItem();
-          return;
-        }
-        if (!inst.items.length) {
-          return;
-        }
-        var restoreIdx = Math.max(0, Math.min(inst.idx, inst.items.length - 1));
-        if (snap && snap.$el && snap.$el.length) {
-          for (var i = 0; i < inst.items.length; i++) {
-            if (inst.items[i].$el && inst.items[i].$el[0] === snap.$el[0]) {
-              restoreIdx = i;
-              break;
-            }
-          }
-          if (snap.$el[0] && (!$.contains(document, snap.$el[0]) || !snap.$el.is(':visible')) && snap.items && snap.items.length) {
-            inst.items = $.extend(true, [], snap.items);
-            inst.idx = Math.max(0, Math.min((!isNullish(snap.idx) ? snap.idx : 0), inst.items.length - 1));
-            self.loadItem();
-            return;
-          }
-        }
-        inst.idx = restoreIdx;
-        self.loadItem();
-      });
-    },
+      document.body.style.overflow = 'hidden';
+    } else if (!isNullish(bodyOverflowSaved)) {
+      document.body.style.overflow = bodyOverflowSaved;
+      bodyOverflowSaved = null;
+    }
+  }
 
-    _bindKeydownCaptureOnce: function () {
-      if (this._keydownCaptureBound) {
-        return;
-      }
-      this._keydownCaptureBound = true;
-      var self = this;
-      var handler = function (e) {
-        if (self._handleKeydown(e)) {
+  /** One capture-phase keydown listener for all overlays; keys go to the topmost. */
+  function bindKeydownCaptureOnce () {
+    if (keydownCaptureBound) {
+      return;
+    }
+    keydownCaptureBound = true;
+    document.addEventListener('keydown', function (e) {
+      var ov = topOverlay();
+      if (ov && ov._handleKeydown(e)) {
         e.preventDefault();
         e.stopPropagation();
-          e.stopImmediatePropagation();
-        }
-      };
-      this._keydownCaptureHandler = handler;
-      document.addEventListener('keydown', handler, true);
-    },
-
-    _handleKeydown: function (e) {
-      if (!this.visible || !this.activeInstance) {
-        return false;
-      }
-      if (!this.activeInstance.opts.keyboardNav) {
-        return false;
-      }
-      var self = this;
-      var $popup = self.$shortcutsPopup;
-      var popupOpen = $popup && $popup.length && $popup.hasClass('cv-open');
-      if (e.key === '?' || (e.key === '/' && e.shiftKey)) {
-        if (self.activeInstance.opts.shortcutsPopup !== false) {
-          if (popupOpen) {
-            self._hideShortcutsPopup();
-          } else {
-            self._showShortcutsPopup();
-          }
-        }
-        return true;
+        e.stopImmediatePropagation();
       }
-      if (e.key === 'Escape') {
-        if (popupOpen) {
-          self._hideShortcutsPopup();
-          return true;
-        }
-        var fsEl = getFullscreenElement();
-        if (fsEl) {
-          if (document.exitFullscreen) {
-            document.exitFullscreen();
-          } else if (document.webkitExitFullscreen) {
-            document.webkitExitFullscreen();
-          } else if (document.mozCancelFullScreen) {
-            document.mozCancelFullScreen();
-          } else if (document.msExitFullscreen) {
-            document.msExitFullscreen();
-          }
-          setTimeout(function () {
-            self._syncFullscreenToggle();
-          }, 0);
-          return true;
-        }
-        self.close();
-        return true;
+    }, true);
+  }
+
+  /* --- OVERLAY --- */
+
+  /** One overlay per ComponentViewer; the DOM is built on open and removed on close. */
+  function Overlay () {
+    this.uid = ++Overlay._counter;
+    this._closeCallbacks = [];
+  }
+  Overlay._counter = 0;
+
+  Overlay.prototype = {
+    built: false, visible: false, activeInstance: null,
+    _closing: false,
+    $el: null, $shell: null, $title: null, $counter: null,
+    $stageWrap: null, $stage: null, $loader: null,
+    $prev: null, $next: null, $footer: null,
+    $pollOption: null, $footerRow: null,
+    $toolbar: null, $zoomWidget: null, $zoomSlider: null, $zoomPct: null,
+
+    _zoom: 1, _panX: 0, _panY: 0,
+    _rotation: 0, _flipX: false, _flipY: false,
+    _isPanning: false, _panOriginX: 0, _panOriginY: 0, _panStartX: 0, _panStartY: 0,
+    _pinchStartDist: 0, _pinchStartZoom: 1,
+    _pinchMidX: 0, _pinchMidY: 0, _pinchPanStartX: 0, _pinchPanStartY: 0,
+    _pinchMidStartX: 0, _pinchMidStartY: 0,
+    _justEndedPinch: false,
+    _highResLoaded: false, _highResLoading: false, _highResSliderDebounceTimer: null,
+    _isImageItem: false, _isPdfItem: false, _isCustomRendered: false,
+    _swipeStartX: 0, _swipeStartY: 0, _swipeEndX: 0, _swipeEndY: 0, _swipeTracking: false,
+    _minimized: false, _minimizedSnapshot: null, _embedded: false,
+    _themeVars: null, _colorSchemeQuery: null, _onColorSchemeChange: null,
+
+    ensure: function (instance) {
+      if (this.built) {
+        return;
       }
-      if (e.key === 'ArrowLeft') {
-        self._nav(self._isRtl() ? 'next' : 'prev');
-        return true;
-      }
-      if (e.key === 'ArrowRight') {
-        self._nav(self._isRtl() ? 'prev' : 'next');
-        return true;
+      var $mount = embeddedMount(instance);
+      this._embedded = Boolean($mount);
+      var html =
+        '<div class="cv-overlay">' +
+          '<div class="cv-backdrop" aria-hidden="true"></div>' +
+          '<div class="cv-shell" id="cv-dialog-' + this.uid + '">' +
+            '<div class="cv-header">' +
+              '<div class="cv-header-left"><span class="cv-counter" id="cv-dialog-desc-' + this.uid + '"></span><span class="cv-header-slot cv-header-slot-left"></span></div>' +
+              '<div class="cv-header-center"><span class="cv-title" id="cv-dialog-title-' + this.uid + '"></span><span class="cv-header-slot cv-header-slot-center"></span></div>' +
+              '<div class="cv-header-right">' +
+              '<span class="cv-header-items"></span>' +
+              '<button class="cv-comment-toggle" type="button" style="display:none">' + Icons.comment + '</button>' +
+              '<button class="cv-info-toggle" type="button" style="display:none">' + Icons.info + '</button>' +
+              '<button class="cv-carousel-toggle" type="button" style="display:none">' + Icons.thumbnails + '</button>' +
+              '<button class="cv-fullscreen-toggle" type="button" style="display:none">' + Icons.fullscreen + '</button>' +
+              '<button class="cv-minimize-toggle" type="button" style="display:none">' + Icons.minimize + '</button>' +
+              '<button class="cv-theme-toggle" type="button">' + Icons.themeLight + '</button>' +
+              '<button class="cv-close" type="button">' + Icons.close + '</button></div>' +
+            '</div>' +
+            '<div class="cv-body">' +
+              '<button class="cv-nav cv-nav-prev" type="button"><span class="cv-nav-icon">' + Icons.prev + '</span></button>' +
+              '<div class="cv-stage-wrap">' +
+                '<div class="cv-loader"><div class="cv-spinner"></div></div>' +
+                '<div class="cv-stage"></div>' +
+                '<div class="cv-minimap" aria-hidden="true" style="display:none">' +
+                  '<img class="cv-minimap-img" alt="" draggable="false" />' +
+                  '<div class="cv-minimap-view"></div>' +
+                '</div>' +
+                '<div class="cv-comment-wrap" aria-hidden="true" role="region">' +
+                  '<div class="cv-comment-nav" style="display:none">' +
+                    '<button class="cv-comment-prev" type="button">' + Icons.prev + '</button>' +
+                    '<span class="cv-comment-counter" aria-live="polite"></span>' +
+                    '<button class="cv-comment-next" type="button">' + Icons.next + '</button>' +
+              '</div>' +
+                  '<div class="cv-comment-title"></div>' +
+                  '<div class="cv-comment-author"></div>' +
+                  '<div class="cv-comment-sep"></div>' +
+                  '<div class="cv-comment-inner"></div>' +
+                '</div>' +
+              '</div>' +
+              '<button class="cv-nav cv-nav-next" type="button"><span class="cv-nav-icon">' + Icons.next + '</span></button>' +
+              '<div class="cv-info-panel" role="region" aria-hidden="true" style="display:none">' +
+                '<div class="cv-info-heading"></div>' +
+                '<div class="cv-info-content"></div>' +
+              '</div>' +
+            '</div>' +
+            '<div class="cv-carousel-wrap">' +
+              '<button class="cv-carousel-nav cv-carousel-prev" type="button">' + Icons.prev + '</button>' +
+              '<div class="cv-carousel-inner">' +
+                '<div class="cv-carousel"></div>' +
+              '</div>' +
+              '<button class="cv-carousel-nav cv-carousel-next" type="button">' + Icons.next + '</button>' +
+            '</div>' +
+            '<div class="cv-footer">' +
+              '<div class="cv-slideshow-progress-wrap"><div class="cv-slideshow-progress-bar"></div></div>' +
+              '<div class="cv-poll-option"></div>' +
+              '<div class="cv-footer-row">' +
+              '<div class="cv-toolbar"></div>' +
+              '<div class="cv-zoom-widget">' +
+                '<button class="cv-tb-btn cv-zoom-out-btn" type="button">' + Icons.zoomOut + '</button>' +
+                '<input type="range" class="cv-zoom-slider" min="1" max="5" step="0.01" value="1" />' +
+                '<button class="cv-tb-btn cv-zoom-in-btn" type="button">' + Icons.zoomIn + '</button>' +
+                '<span class="cv-zoom-pct">100%</span>' +
+              '</div>' +
+              '</div>' +
+            '</div>' +
+            '<div class="cv-shortcuts-popup" role="dialog" aria-hidden="true"></div>' +
+            '<div class="cv-strip-message" id="cv-strip-message-' + this.uid + '" aria-live="polite" role="status"></div>' +
+          '</div>' +
+          '<button class="cv-restore-fab" type="button" style="display:none">' + Icons.restore + '</button>' +
+        '</div>';
+
+      this.$el = $(html).appendTo($mount || 'body');
+      this.$el.data('cv-overlay', this);
+      var sel = { $backdrop: '.cv-backdrop', $shell: '.cv-shell', $title: '.cv-title', $counter: '.cv-counter', $headerSlotLeft: '.cv-header-slot-left', $headerSlotCenter: '.cv-header-slot-center', $headerItems: '.cv-header-items', $themeToggle: '.cv-theme-toggle', $fullscreenToggle: '.cv-fullscreen-toggle', $minimizeToggle: '.cv-minimize-toggle', $restoreFab: '.cv-restore-fab', $stageWrap: '.cv-stage-wrap', $stage: '.cv-stage', $minimap: '.cv-minimap', $minimapImg: '.cv-minimap-img', $minimapView: '.cv-minimap-view', $commentWrap: '.cv-comment-wrap', $commentNav: '.cv-comment-nav', $commentPrev: '.cv-comment-prev', $commentNext: '.cv-comment-next', $commentCounter: '.cv-comment-counter', $commentTitle: '.cv-comment-title', $commentAuthor: '.cv-comment-author', $commentSep: '.cv-comment-sep', $commentInner: '.cv-comment-inner', $commentToggle: '.cv-comment-toggle', $infoToggle: '.cv-info-toggle', $infoPanel: '.cv-info-panel', $infoContent: '.cv-info-content', $loader: '.cv-loader', $prev: '.cv-nav-prev', $next: '.cv-nav-next', $carouselWrap: '.cv-carousel-wrap', $carousel: '.cv-carousel', $carouselToggle: '.cv-carousel-toggle', $carouselPrev: '.cv-carousel-prev', $carouselNext: '.cv-carousel-next', $footer: '.cv-footer', $pollOption: '.cv-poll-option', $footerRow: '.cv-footer-row', $toolbar: '.cv-toolbar', $stripMessage: '.cv-strip-message', $zoomWidget: '.cv-zoom-widget', $zoomSlider: '.cv-zoom-slider', $zoomPct: '.cv-zoom-pct', $slideshowProgressWrap: '.cv-slideshow-progress-wrap', $slideshowProgressBar: '.cv-slideshow-progress-bar', $shortcutsPopup: '.cv-shortcuts-popup' };
+      for (var p in sel) {
+        this[p] = sel[p].charAt(0) === '#' ? $(sel[p]) : this.$el.find(sel[p]);
       }
-      var tag = (e.target && e.target.tagName) ? e.target.tagName.toLowerCase() : '';
-      if (!(/(input|textarea|select)/).test(tag) && (e.key === '+' || e.key === '=' || e.key === '-')) {
-        if (self._isImageItem) {
-          var zo = self._zoomOpts();
-          var step = (!isNullish(zo.wheelStep) ? zo.wheelStep : 0.25);
-          if (e.key === '-') {
-            self._setZoom(Math.max(zo.min, self._zoom - step));
-          } else {
-            self._setZoom(Math.min(zo.max, self._zoom + step));
+      this.$tooltip = $();
+      this.$zoomPct.hide();
+      if (this._embedded) {
+        /* Embedded panels are outside the overlay stack: shortcuts apply only while focus is inside */
+        var self = this;
+        this.$shell.attr('tabindex', '0');
+        this.$el[0].addEventListener('keydown', function (e) {
+          if (self._handleKeydown(e)) {
+            e.preventDefault();
+            e.stopPropagation();
           }
-          return true;
+        });
+      }
+      this._bindEvents();
+      this._bindTooltip();
+      this.built = true;
+    },
+
+    _isRtl: function (inst) {
+      var ctx = inst || this.activeInstance;
+      return isRtlEnabled(ctx);
+    },
+    _canMinimize: function (inst) {
+      var cfg = inst && inst.opts && inst.opts.minimize;
+      return Boolean(cfg && cfg.enabled !== false && !this._embedded);
+    },
+    _captureMinimizedSnapshot: function (inst) {
+      if (!inst || !inst.items || inst.idx < 0 || inst.idx >= inst.items.length) {
+        this._minimizedSnapshot = null;
+        return;
+      }
+      var listSnapshot = [];
+      for (var i = 0; i < inst.items.length; i++) {
+        var cloned = $.extend(true, {}, inst.items[i]);
+        if (cloned.$el) {
+          delete cloned.$el;
         }
-        if (self._isPdfItem) {
-          var $pdfZoomOut = self.$toolbar.find('.cv-tb-pdf-zoom-out:visible');
-          var $pdfZoomIn = self.$toolbar.find('.cv-tb-pdf-zoom-in:visible');
-          if (e.key === '-' && $pdfZoomOut.length) {
-            $pdfZoomOut.first().trigger('click');
-          } else if ((e.key === '+' || e.key === '=') && $pdfZoomIn.length) {
-            $pdfZoomIn.first().trigger('click');
+        listSnapshot.push(cloned);
+      }
+      var current = inst.items[inst.idx];
+      var snapItem = $.extend(true, {}, current);
+      if (snapItem.$el) {
+        delete snapItem.$el;
+      }
+      this._minimizedSnapshot = {
+        items: listSnapshot,
+        item: snapItem,
+        $el: current && current.$el ? current.$el : null,
+        idx: inst.idx
+      };
+    },
+    _applyMinimizedUi: function (inst, minimized) {
+      this._minimized = Boolean(minimized);
+      this.$el.toggleClass('cv-minimized', this._minimized);
+      this.$restoreFab.toggle(this._minimized);
+      if (this.visible) {
+        syncBodyScrollLock();
+      }
+      if (!inst) {
+        return;
+      }
+      if (inst.opts.canShowTooltip !== false) {
+        this.$minimizeToggle.attr('data-cv-tooltip', str(inst, 'minimize'));
+        this.$restoreFab.attr('data-cv-tooltip', str(inst, 'restoreViewer'));
+      } else {
+        this.$minimizeToggle.removeAttr('data-cv-tooltip');
+        this.$restoreFab.removeAttr('data-cv-tooltip');
+      }
+      if (inst.opts.wcag) {
+        this.$minimizeToggle.attr('aria-label', str(inst, 'minimize'));
+        this.$restoreFab.attr('aria-label', str(inst, 'restoreViewer'));
+      } else {
+        this.$minimizeToggle.removeAttr('aria-label');
+        this.$restoreFab.removeAttr('aria-label');
+      }
+    },
+    _restoreFromMinimized: function () {
+      var self = this;
+      var inst = this.activeInstance;
+      if (!inst) {
+        return;
+      }
+      this._applyMinimizedUi(inst, false);
+      var snap = this._minimizedSnapshot;
+      inst._beforeCollectContext = { trigger: 'restore' };
+      inst._collectItems(function () {
+        if (!inst.items.length && snap && snap.items && snap.items.length) {
+          inst.items = $.extend(true, [], snap.items);
+          inst.idx = Math.max(0, Math.min((!isNullish(snap.idx) ? snap.idx : 0), inst.items.length - 1));
+          self.loadItem();
+          return;
+        }
+        if (!inst.items.length) {
+          return;
+        }
+        var restoreIdx = Math.max(0, Math.min(inst.idx, inst.items.length - 1));
+        if (snap && snap.$el && snap.$el.length) {
+          for (var i = 0; i < inst.items.length; i++) {
+            if (inst.items[i].$el && inst.items[i].$el[0] === snap.$el[0]) {
+              restoreIdx = i;
+              break;
+            }
+          }
+          if (snap.$el[0] && (!$.contains(document, snap.$el[0]) || !snap.$el.is(':visible')) && snap.items && snap.items.length) {
+            inst.items = $.extend(true, [], snap.items);
+            inst.idx = Math.max(0, Math.min((!isNullish(snap.idx) ? snap.idx : 0), inst.items.length - 1));
+            self.loadItem();
+            return;
           }
+        }
+        inst.idx = restoreIdx;
+        self.loadItem();
+      });
+    },
+
+    _handleKeydown: function (e) {
+      if (!this.visible || !this.activeInstance) {
+        return false;
+      }
+      if (!this.activeInstance.opts.keyboardNav) {
+        return false;
+      }
+      var self = this;
+      var tag = (e.target && e.target.tagName) ? e.target.tagName.toLowerCase() : '';
+      var inField = (/(input|textarea|select)/).test(tag);
+      /* The annotation text box handles its own Enter / Escape */
+      if (inField && $(e.target).hasClass('cv-annotate-text-input')) {
+        return false;
+      }
+      /* The compare divider moves with the arrow keys instead of navigating */
+      if ($(e.target).hasClass('cv-compare-divider') && (/^(ArrowLeft|ArrowRight|Home|End)$/).test(e.key)) {
+        return false;
+      }
+      var actions = keymapActions(resolveKeymap(self.activeInstance), e);
+      for (var a = 0; a < actions.length; a++) {
+        if (inField && !KEYMAP_IN_FIELDS[actions[a]]) {
+          continue;
+        }
+        if (self._runKeyAction(actions[a])) {
           return true;
         }
       }
-        if (e.key === 'Tab' && self.activeInstance.opts.wcag) {
+        if (e.key === 'Tab' && self.activeInstance.opts.wcag && !self._embedded) {
         var isPopupOpen = self.$shortcutsPopup.hasClass('cv-open');
         var container = isPopupOpen ? self.$shortcutsPopup[0] : self.$shell[0];
         if (container) {
@@ -984,12 +2598,109 @@
           }
         }
       }
-      var evTag = (e.target && e.target.tagName) ? e.target.tagName.toLowerCase() : '';
-      if ((/(input|textarea|select)/).test(evTag)) {
+      if (inField) {
+        return false;
+      }
+      var customKey = (e.key || '').toLowerCase();
+      if (!reservedShortcutKeys(self.activeInstance)[customKey]) {
+        var rInst = self.activeInstance;
+        var rShortcuts = self._isCustomRendered ? [] : getRendererShortcuts(rInst._currentRenderer, rInst.items[rInst.idx], rInst);
+        for (var rs = 0; rs < rShortcuts.length; rs++) {
+          if (rShortcuts[rs].key === customKey) {
+            rShortcuts[rs].handler(rInst.items[rInst.idx], rInst);
+            return true;
+          }
+        }
+        var selKey = customKey.replace(/\\/g, '\\\\').replace(/"/g, '\\"');
+        var $customBtn = self.$toolbar.find('.cv-tb-btn[data-cv-shortcut="' + selKey + '"]:visible');
+        if (!$customBtn.length) {
+          $customBtn = self.$headerItems.find('.cv-tb-btn[data-cv-shortcut="' + selKey + '"]:visible');
+        }
+        if ($customBtn.length) {
+          $customBtn.first().trigger('click');
+          return true;
+        }
+      }
+      return false;
+    },
+
+    /** Runs a built-in keymap action; false when it does not apply to the current item so the key falls through. */
+    _runKeyAction: function (action) {
+      var self = this;
+      var $popup = self.$shortcutsPopup;
+      var popupOpen = $popup && $popup.length && $popup.hasClass('cv-open');
+      if (action === 'shortcuts') {
+        if (self.activeInstance.opts.shortcutsPopup !== false) {
+          if (popupOpen) {
+            self._hideShortcutsPopup();
+          } else {
+            self._showShortcutsPopup();
+          }
+        }
+        return true;
+      }
+      if (action === 'close') {
+        if (popupOpen) {
+          self._hideShortcutsPopup();
+          return true;
+        }
+        var fsEl = getFullscreenElement();
+        if (fsEl) {
+          if (document.exitFullscreen) {
+            document.exitFullscreen();
+          } else if (document.webkitExitFullscreen) {
+            document.webkitExitFullscreen();
+          } else if (document.mozCancelFullScreen) {
+            document.mozCancelFullScreen();
+          } else if (document.msExitFullscreen) {
+            document.msExitFullscreen();
+          }
+          setTimeout(function () {
+            self._syncFullscreenToggle();
+          }, 0);
+          return true;
+        }
+        if (self._embedded) {
+          return false;
+        }
+        self.close();
+        return true;
+      }
+      if (action === 'prev' || action === 'next') {
+        self._nav(action);
+        return true;
+      }
+      if (action === 'zoomIn' || action === 'zoomOut') {
+        if (self._isImageItem) {
+          var zo = self._zoomOpts();
+          var step = (!isNullish(zo.wheelStep) ? zo.wheelStep : 0.25);
+          self._setZoom(self._steppedZoom(action === 'zoomOut' ? -1 : 1, step));
+          return true;
+        }
+        if (self._isPdfItem) {
+          var $pdfZoom = self.$toolbar.find(action === 'zoomOut' ? '.cv-tb-pdf-zoom-out:visible' : '.cv-tb-pdf-zoom-in:visible');
+          if ($pdfZoom.length) {
+            $pdfZoom.first().trigger('click');
+          }
+          return true;
+        }
         return false;
       }
+      if (action === 'actualSize') {
+        return !self._isCustomRendered && self._toggleActualSize();
+      }
+      var animation = (!self._isCustomRendered && self._animation && self._animation.isReady()) ? self._animation : null;
+      if (action === 'playPause' && animation) {
+        animation.toggle();
+        self._showMediaStateFeedback(animation.isPlaying() ? 'play' : 'pause');
+        return true;
+      }
+      if (action === 'speed' && animation) {
+        animation.cycleSpeed();
+        return true;
+      }
       var hasBuiltInMedia = !self._isCustomRendered && self.$stage.find('.jp-play, .jp-pause, .jp-mute, .jp-unmute, .cv-native-video, .cv-native-audio').length > 0;
-      if (e.key === ' ' && hasBuiltInMedia) {
+      if (action === 'playPause' && hasBuiltInMedia) {
         var $pause = self.$stage.find('.jp-pause:visible');
         if ($pause.length) {
           $pause.first().trigger('click');
@@ -1014,7 +2725,7 @@
           return true;
         }
       }
-      if (e.key === 'm' && hasBuiltInMedia) {
+      if (action === 'mute' && hasBuiltInMedia) {
         var $unmute = self.$stage.find('.jp-unmute:visible');
         if ($unmute.length) {
           $unmute.first().trigger('click');
@@ -1034,7 +2745,7 @@
           return true;
         }
       }
-      if (e.key === 'r' && hasBuiltInMedia) {
+      if (action === 'speed' && hasBuiltInMedia) {
         var PLAYBACK_RATES = [0.5, 0.75, 1, 1.25, 1.5, 2];
         var $speed = self.$stage.find('.cv-jp-speed');
         if ($speed.length) {
@@ -1067,37 +2778,42 @@
           return true;
         }
       }
-      var keyShortcuts = { q: function () {
+      var actionButtons = { rotateLeft: function () {
+        return self.$toolbar.find('.cv-tb-rotate-left:visible');
+      }, rotateRight: function () {
+        return self.$toolbar.find('.cv-tb-rotate-right:visible');
+      }, flipHorizontal: function () {
+        return self.$toolbar.find('.cv-tb-flip-horizontal:visible');
+      }, flipVertical: function () {
+        return self.$toolbar.find('.cv-tb-flip-vertical:visible');
+      }, undo: function () {
+        return self.$toolbar.find('.cv-tb-annotate-undo:not(:disabled):visible');
+      }, redo: function () {
+        return self.$toolbar.find('.cv-tb-annotate-redo:not(:disabled):visible');
+      }, hd: function () {
         return self.$stage.find('.cv-jp-hd:visible');
-      }, d: function () {
+      }, download: function () {
         return self.$toolbar.find('.cv-tb-download:visible');
-      }, p: function () {
+      }, print: function () {
         return self.$toolbar.find('.cv-tb-pdf-print:visible');
-      }, f: function () {
+      }, fullscreen: function () {
         return self.$fullscreenToggle.filter(':visible');
-      }, t: function () {
+      }, theme: function () {
         return self.$themeToggle.filter(':visible');
-      }, c: function () {
+      }, carousel: function () {
         return self.$carouselToggle.filter(':visible');
-      }, s: function () {
+      }, info: function () {
+        return self.$infoToggle.filter(':visible');
+      }, slideshow: function () {
         return self.$toolbar.find('.cv-slideshow-btn:visible');
       } };
-      if (keyShortcuts[e.key]) {
-        var $btn = keyShortcuts[e.key]();
+      if (actionButtons[action]) {
+        var $btn = actionButtons[action]();
         if ($btn.length) {
           $btn.first().trigger('click');
           return true;
         }
       }
-      var customKey = (e.key || '').toLowerCase();
-      if (!RESERVED_SHORTCUT_KEYS[customKey]) {
-        var selKey = customKey.replace(/\\/g, '\\\\').replace(/"/g, '\\"');
-        var $customBtn = self.$toolbar.find('.cv-tb-btn[data-cv-shortcut="' + selKey + '"]:visible');
-        if ($customBtn.length) {
-          $customBtn.first().trigger('click');
-          return true;
-        }
-      }
       return false;
     },
 
@@ -1113,14 +2829,7 @@
           return;
         }
         var inst = self.activeInstance;
-        var current = inst.opts.theme || 'dark';
-        var next = current === 'dark' ? 'light' : 'dark';
-        inst.opts.theme = next;
-        self.$el[0].className = buildOverlayClassName(next, true, false, inst);
-        self._syncThemeToggle();
-        if (typeof inst.opts.onThemeChange === 'function') {
-          inst.opts.onThemeChange(next, inst);
-        }
+        inst.setTheme(nextTheme(inst));
         return false;
       });
       this.$carouselToggle.on('click', function (e) {
@@ -1136,6 +2845,7 @@
         }
         self.$carouselToggle.attr('aria-expanded', self._carouselOpen).toggleClass('cv-active', self._carouselOpen);
         self._updateCarouselNavVisibility(self.activeInstance);
+        savePrefs(self.activeInstance, { carouselOpen: self._carouselOpen });
       });
       this.$fullscreenToggle.on('click', function (e) {
         e.preventDefault();
@@ -1168,12 +2878,24 @@
           self._commentPanelVisible = true;
         }
         self._commentPanelVisible = !self._commentPanelVisible;
+        savePrefs(self.activeInstance, { commentPanelVisible: self._commentPanelVisible });
         self.$commentWrap.toggle(self._commentPanelVisible).attr('aria-hidden', !self._commentPanelVisible);
         self.$commentToggle.attr('aria-expanded', self._commentPanelVisible).toggleClass('cv-active', self._commentPanelVisible);
         if (self.activeInstance.opts.canShowTooltip !== false) {
           self.$commentToggle.attr('data-cv-tooltip', str(self.activeInstance, 'toggleComment'));
         }
       });
+      this.$infoToggle.on('click', function (e) {
+        e.preventDefault();
+        if (!self.activeInstance) {
+          return;
+        }
+        self._infoPanelOpen = !self._infoPanelOpen;
+        savePrefs(self.activeInstance, { infoPanelOpen: self._infoPanelOpen });
+        self._syncInfoPanel(self.activeInstance);
+        /* The stage narrows or widens: re-measure fit, pan and overlays */
+        self._relayout();
+      });
       this.$commentPrev.on('click', function (e) {
         e.preventDefault();
         if (!self.activeInstance || !self._commentList || self._commentList.length <= 1) {
@@ -1198,6 +2920,12 @@
         e.preventDefault();
         self._scrollCarouselBy((104 + 10) * 5);
       });
+      this.$carousel.on('scroll', function () {
+        clearTimeout(self._carouselScrollTimer);
+        self._carouselScrollTimer = setTimeout(function () {
+          self._fetchVisibleCarouselPages();
+        }, 150);
+      });
       this.$prev.on('click', function () {
         self._nav('prev');
       });
@@ -1214,7 +2942,8 @@
         }
         self.close();
       });
-      $(document).off('.cv-overlay-fullscreen').on('fullscreenchange.cv-overlay-fullscreen webkitfullscreenchange.cv-overlay-fullscreen mozfullscreenchange.cv-overlay-fullscreen msfullscreenchange.cv-overlay-fullscreen', function () {
+      var fsNs = '.cv-overlay-fullscreen-' + this.uid;
+      $(document).off(fsNs).on('fullscreenchange' + fsNs + ' webkitfullscreenchange' + fsNs + ' mozfullscreenchange' + fsNs + ' msfullscreenchange' + fsNs, function () {
         setTimeout(function () {
           if (self.$fullscreenToggle.length && self.$fullscreenToggle.is(':visible')) {
             self._syncFullscreenToggle();
@@ -1227,14 +2956,17 @@
         if (!self._isImageItem) {
           return;
         }
-        var nz = parseFloat(this.value);
+        /* The slider shows true pixel scale; _zoom is relative to the fit */
+        var nz = parseFloat(this.value) / self._zoomBase();
         if (self._zoom !== 0) {
           var r = nz / self._zoom; self._panX *= r; self._panY *= r;
         }
         self._zoom = nz;
         removeExtractOverlay(self.$stage);
         self.$toolbar.find('.cv-tb-extract-text').removeClass('cv-active');
-        self._clampPan(); self._applyTransform(); self._fireZoom();
+        self._clampPan(); self._applyTransform();
+        self.$zoomPct.text(Math.round(parseFloat(this.value) * 100) + '%');
+        self._fireZoom();
         /* debounce high-res load so dragging the slider only triggers one check/load after user pauses */
         if (self._highResSliderDebounceTimer != null) {
           clearTimeout(self._highResSliderDebounceTimer);
@@ -1248,13 +2980,13 @@
         if (!self._isImageItem) {
           return;
         }
-        self._setZoom(Math.max(self._zoomOpts().min, self._zoom - 0.25));
+        self._setZoom(self._steppedZoom(-1, 0.25));
       });
       this.$el.find('.cv-zoom-in-btn').on('click', function () {
         if (!self._isImageItem) {
           return;
         }
-        self._setZoom(Math.min(self._zoomOpts().max, self._zoom + 0.25));
+        self._setZoom(self._steppedZoom(1, 0.25));
       });
       this.$zoomPct.on('click', function () {
         if (self._isImageItem) {
@@ -1262,13 +2994,13 @@
         }
       });
 
-      /* double-click on stage to reset zoom to 100% */
+      /* double-click: zoom in on the clicked point, or back to the fit */
       this.$stageWrap.on('dblclick', function (e) {
         if (!self._isImageItem) {
           return;
         }
         e.preventDefault();
-        self._setZoom(1);
+        self._toggleZoomAt(e.clientX, e.clientY);
       });
 
       /* wheel zoom */
@@ -1277,35 +3009,16 @@
           return;
         }
         e.preventDefault();
-        var zo = self._zoomOpts();
-        var delta = e.deltaY < 0 ? zo.wheelStep : -zo.wheelStep;
-        var nz = Math.max(zo.min, Math.min(zo.max, self._zoom + delta));
+        var nz = self._steppedZoom(e.deltaY < 0 ? 1 : -1, self._zoomOpts().wheelStep);
         if (nz === self._zoom) {
           return;
         }
-        if (self._isGifItem()) {
-          self._panX = 0; self._panY = 0;
-        } else {
-        var rect = self.$stageWrap[0].getBoundingClientRect();
-        var cx = e.clientX - rect.left - rect.width / 2;
-          var cy = e.clientY - rect.top - rect.height / 2;
-        var ratio = nz / self._zoom;
-        self._panX = cx - ratio * (cx - self._panX);
-        self._panY = cy - ratio * (cy - self._panY);
-        }
-        self._zoom = nz;
-        removeExtractOverlay(self.$stage);
-        self.$toolbar.find('.cv-tb-extract-text').removeClass('cv-active');
-        self._clampPan(); self._syncSlider(); self._applyTransform();
-        self._loadHighResImageIfNeeded();
+        self._zoomAt(nz, e.clientX, e.clientY);
       }, { passive: false });
 
-      /* mouse drag pan (disabled for GIF – kept fixed at center) */
+      /* mouse drag pan */
       this.$stageWrap.on('mousedown', function (e) {
-        if (!self._isImageItem || self._zoom <= 1 || e.button !== 0) {
-          return;
-        }
-        if (self._isGifItem()) {
+        if (e.button !== 0 || !self._canPan()) {
           return;
         }
         e.preventDefault();
@@ -1313,7 +3026,8 @@
         self._panOriginX = e.clientX; self._panOriginY = e.clientY;
         self._panStartX = self._panX; self._panStartY = self._panY;
       });
-      $(document).off('.cv-pan').on('mousemove.cv-pan', function (e) {
+      var panNs = '.cv-pan-' + this.uid;
+      $(document).off(panNs).on('mousemove' + panNs, function (e) {
         if (!self._isPanning) {
           return;
         }
@@ -1321,16 +3035,51 @@
         self._panY = self._panStartY + (e.clientY - self._panOriginY);
         self._clampPan(); self._applyTransform();
       });
-      $(document).on('mouseup.cv-pan', function () {
+      $(document).on('mouseup' + panNs, function () {
         self._isPanning = false;
       });
 
+      /* zoom.minimap: click centers the stage on that point; dragging keeps the grab offset inside the viewport rectangle */
+      var minimapNs = '.cv-minimap-' + this.uid;
+      function minimapPoint (e, rect) {
+        var oe = e.originalEvent || e;
+        var t = (oe.touches && oe.touches[0]) || (oe.changedTouches && oe.changedTouches[0]) || oe;
+        return { x: t.clientX - rect.left, y: t.clientY - rect.top };
+      }
+      this.$minimap.on('mousedown touchstart', function (e) {
+        var oe = e.originalEvent || e;
+        if ((oe.touches && oe.touches.length > 1) || (e.type === 'mousedown' && e.button !== 0)) {
+          return;
+        }
+        e.preventDefault();
+        e.stopPropagation();
+        var rect = self.$minimap[0].getBoundingClientRect();
+        var p = minimapPoint(e, rect);
+        var v = self._minimapView;
+        var inView = v && p.x >= v.x && p.x <= v.x + v.w && p.y >= v.y && p.y <= v.y + v.h;
+        var offX = inView ? v.x + v.w / 2 - p.x : 0;
+        var offY = inView ? v.y + v.h / 2 - p.y : 0;
+        self.$minimap.addClass('cv-minimap-dragging');
+        self._panToMinimapPoint(p.x + offX, p.y + offY);
+        $(document).off(minimapNs).on('mousemove' + minimapNs + ' touchmove' + minimapNs, function (ev) {
+          var q = minimapPoint(ev, rect);
+          self._panToMinimapPoint(q.x + offX, q.y + offY);
+        }).on('mouseup' + minimapNs + ' touchend' + minimapNs + ' touchcancel' + minimapNs, function () {
+          self.$minimap.removeClass('cv-minimap-dragging');
+          $(document).off(minimapNs);
+        });
+      });
+      this.$minimap.on('dblclick wheel', function (e) {
+        e.stopPropagation();
+      });
+
       /* touch pinch + pan */
       this.$stageWrap.on('touchstart', function (e) {
         if (!self._isImageItem) {
           return;
         }
         var t = e.originalEvent.touches;
+        self._tapStart = t.length === 1 ? { x: t[0].clientX, y: t[0].clientY, time: Date.now() } : null;
         if (t.length === 2) {
           e.preventDefault();
           self._isPanning = false;
@@ -1341,7 +3090,7 @@
           var midY = (t[0].clientY + t[1].clientY) / 2;
           self._pinchMidStartX = midX - rect.left - rect.width / 2;
           self._pinchMidStartY = midY - rect.top - rect.height / 2;
-        } else if (t.length === 1 && self._zoom > 1 && !self._isGifItem()) {
+        } else if (t.length === 1 && self._canPan()) {
           self._isPanning = true;
           self._panOriginX = t[0].clientX; self._panOriginY = t[0].clientY;
           self._panStartX = self._panX; self._panStartY = self._panY;
@@ -1352,24 +3101,23 @@
           return;
         }
         var t = e.originalEvent.touches;
+        if (self._tapStart && (t.length !== 1 || Math.abs(t[0].clientX - self._tapStart.x) > 10 || Math.abs(t[0].clientY - self._tapStart.y) > 10)) {
+          self._tapStart = null;
+        }
         if (t.length === 2 && self._pinchStartDist) {
           e.preventDefault();
           self._justEndedPinch = false;
           var zo = self._zoomOpts();
           var dist = self._touchDist(t);
-          var nz = Math.max(zo.min, Math.min(zo.max, self._pinchStartZoom * (dist / self._pinchStartDist)));
-          if (self._isGifItem()) {
-            self._panX = 0; self._panY = 0;
-          } else {
+          var nz = Math.max(zo.min, Math.min(self._zoomMax(), self._pinchStartZoom * (dist / self._pinchStartDist)));
           var midX = (t[0].clientX + t[1].clientX) / 2;
           var midY = (t[0].clientY + t[1].clientY) / 2;
           var rect = self.$stageWrap[0].getBoundingClientRect();
           var cx = midX - rect.left - rect.width / 2;
           var cy = midY - rect.top - rect.height / 2;
           var ratio = nz / self._zoom;
-            self._panX = self._pinchMidStartX - ratio * (self._pinchMidStartX - self._pinchPanStartX) + (cx - self._pinchMidStartX);
-            self._panY = self._pinchMidStartY - ratio * (self._pinchMidStartY - self._pinchPanStartY) + (cy - self._pinchMidStartY);
-          }
+          self._panX = self._pinchMidStartX - ratio * (self._pinchMidStartX - self._pinchPanStartX) + (cx - self._pinchMidStartX);
+          self._panY = self._pinchMidStartY - ratio * (self._pinchMidStartY - self._pinchPanStartY) + (cy - self._pinchMidStartY);
           self._zoom = nz;
           removeExtractOverlay(self.$stage);
           self.$toolbar.find('.cv-tb-extract-text').removeClass('cv-active');
@@ -1390,7 +3138,7 @@
       });
       this.$stageWrap.on('touchend touchcancel', function (e) {
         var rem = e.originalEvent.touches;
-        if (rem.length === 1 && self._isImageItem && self._zoom > 1 && !self._isGifItem()) {
+        if (rem.length === 1 && self._canPan()) {
           self._isPanning = true;
           self._justEndedPinch = self._pinchStartDist > 0;
           self._panOriginX = rem[0].clientX;
@@ -1403,15 +3151,32 @@
         }
         self._pinchStartDist = 0;
 
+        /* double-tap: a second quick tap near the first zooms in on that point, or back to the fit */
+        if (rem.length === 0 && self._tapStart && self._isImageItem) {
+          var tap = self._tapStart;
+          var now = Date.now();
+          var last = self._lastTap;
+          self._tapStart = null;
+          if (now - tap.time < 300) {
+            if (last && now - last.time < 350 && Math.abs(tap.x - last.x) < 30 && Math.abs(tap.y - last.y) < 30) {
+              self._lastTap = null;
+              e.preventDefault();
+              self._toggleZoomAt(tap.x, tap.y);
+            } else {
+              self._lastTap = { x: tap.x, y: tap.y, time: now };
+            }
+          }
+        }
+
         /* swipe nav / swipe to close: on touchend when all fingers up */
         if (self._swipeTracking && rem.length === 0) {
           var dx = self._swipeEndX - self._swipeStartX,
             dy = self._swipeEndY - self._swipeStartY;
           var inst = self.activeInstance;
-          if (inst && inst.opts.overlayClose && inst.opts.swipeToClose !== false && dy >= 60 && dy > Math.abs(dx)) {
+          if (inst && inst.opts.overlayClose && inst.opts.swipeToClose !== false && !self._embedded && dy >= 60 && dy > Math.abs(dx)) {
             e.preventDefault();
             self.close();
-          } else if (inst && inst.items.length > 1 && inst.opts.swipeNav !== false && !(self._isImageItem && self._zoom > 1) && Math.abs(dx) >= 50 && Math.abs(dx) > Math.abs(dy)) {
+          } else if (inst && inst.items.length > 1 && inst.opts.swipeNav !== false && !self._blocksSwipeNav() && Math.abs(dx) >= 50 && Math.abs(dx) > Math.abs(dy)) {
             e.preventDefault();
             self._nav(self._isRtl(inst) ? (dx > 0 ? 'next' : 'prev') : (dx > 0 ? 'prev' : 'next'), true);
           }
@@ -1426,8 +3191,8 @@
           return;
         }
         var inst = self.activeInstance;
-        var canSwipeNav = inst.items.length > 1 && inst.opts.swipeNav !== false && !(self._isImageItem && self._zoom > 1);
-        var canSwipeClose = inst.opts.overlayClose && inst.opts.swipeToClose !== false;
+        var canSwipeNav = inst.items.length > 1 && inst.opts.swipeNav !== false && !self._blocksSwipeNav();
+        var canSwipeClose = inst.opts.overlayClose && inst.opts.swipeToClose !== false && !self._embedded;
         if (!canSwipeNav && !canSwipeClose) {
           return;
         }
@@ -1472,13 +3237,64 @@
       this.$commentAuthor.text(authorText ? (str(inst, 'commentBy') + ' ' + authorText) : '').toggle(authorText !== '');
       this.$commentSep.toggle(titleText !== '' || authorText !== '');
       this.$commentInner.text(text).toggle(text !== '');
-      this.$commentCounter.text(str(inst, 'commentCounter').replace('%1', String(index + 1)).replace('%2', String(list.length)));
+      this.$commentCounter.text(str(inst, 'commentCounter', [index + 1, list.length]));
       if (inst.opts.wcag) {
         this.$commentPrev.attr('aria-label', str(inst, 'commentPrev'));
         this.$commentNext.attr('aria-label', str(inst, 'commentNext'));
       }
     },
 
+    /** Info toggle and panel for inst; chromeOnly updates the header button and panel state without rendering rows. */
+    _syncInfoPanel: function (inst, chromeOnly) {
+      var enabled = infoEnabled(inst);
+      var open = enabled && Boolean(this._infoPanelOpen);
+      this.$infoToggle.toggle(enabled).attr('aria-expanded', open).toggleClass('cv-active', open);
+      if (enabled && inst.opts.wcag) {
+        this.$infoToggle.attr('aria-label', str(inst, 'toggleInfo'));
+      }
+      this.$infoPanel.toggle(open).attr('aria-hidden', !open);
+      this.$infoPanel.find('.cv-info-heading').text(str(inst, 'info'));
+      this.$shell.toggleClass('cv-info-open', open);
+      if (!open) {
+        this.$infoContent.empty();
+      } else if (!chromeOnly) {
+        this._renderInfoPanel(inst);
+      }
+    },
+
+    /** Rows for the current item; image EXIF / IPTC is read in the background and the panel re-renders when it arrives. */
+    _renderInfoPanel: function (inst) {
+      var self = this;
+      var item = inst.items[inst.idx];
+      if (!item || !this._infoPanelOpen || !infoEnabled(inst)) {
+        return;
+      }
+      var imgEl = this.$stage.find('.cv-image')[0];
+      var size = getNaturalSize(imgEl);
+      var src = getResolvedSrcUrl(item, inst);
+      var readExif = inst.opts.info.exif !== false && (item.type || 'image') === 'image' && src && isSafeResourceUrl(src) &&
+        typeof fetch === 'function' && typeof DataView === 'function';
+      var entry = readExif ? loadImageMetadata(inst, src) : null;
+      var sections = buildInfoSections(inst, item, size, entry && entry.meta);
+      var html = '';
+      for (var i = 0; i < sections.length; i++) {
+        html += '<div class="cv-info-section"><div class="cv-info-section-title">' + escHtml(sections[i].title) + '</div><dl class="cv-info-list">';
+        for (var r = 0; r < sections[i].rows.length; r++) {
+          html += '<dt>' + escHtml(sections[i].rows[r][0]) + '</dt><dd>' + escHtml(sections[i].rows[r][1]) + '</dd>';
+        }
+        html += '</dl></div>';
+      }
+      if (entry && !entry.done) {
+        html += '<div class="cv-info-loading">' + escHtml(str(inst, 'infoLoading')) + '</div>';
+        entry.promise.then(function () {
+          if (self.activeInstance === inst && inst.items[inst.idx] === item) {
+            self._renderInfoPanel(inst);
+          }
+        });
+      }
+      this.$infoContent.html(html);
+    },
+
     _bindTooltip: function () {
       var self = this;
       var hideTimer;
@@ -1489,7 +3305,7 @@
         }
         clearTimeout(hideTimer);
         if (!self.$tooltip || !self.$tooltip.length) {
-          var $tip = $('<div class="cv-tooltip" id="cv-tooltip" aria-hidden="true"></div>');
+          var $tip = $('<div class="cv-tooltip" id="cv-tooltip-' + self.uid + '" aria-hidden="true"></div>');
           var parent = getFullscreenElement() === self.$el[0] ? self.$el : $('body');
           parent.append($tip);
           $tip.on('mouseenter.cv-tooltip', function () {
@@ -1541,7 +3357,7 @@
       var fsEl = getFullscreenElement();
       var carouselPrevTip = this._isRtl(inst) ? 'scrollCarouselRight' : 'scrollCarouselLeft';
       var carouselNextTip = this._isRtl(inst) ? 'scrollCarouselLeft' : 'scrollCarouselRight';
-      var tips = [[this.$el.find('.cv-close'), 'close'], [this.$carouselToggle, 'attachments'], [this.$fullscreenToggle, fsEl === this.$el[0] ? 'exitFullscreen' : 'fullscreen'], [this.$themeToggle, (inst.opts.theme || 'dark') === 'dark' ? 'switchToLightMode' : 'switchToDarkMode'], [this.$prev, 'previousItem'], [this.$next, 'nextItem'], [this.$carouselPrev, carouselPrevTip], [this.$carouselNext, carouselNextTip], [this.$el.find('.cv-zoom-out-btn'), 'zoomOut'], [this.$zoomSlider, 'zoomLevel'], [this.$el.find('.cv-zoom-in-btn'), 'zoomIn']];
+      var tips = [[this.$el.find('.cv-close'), 'close'], [this.$carouselToggle, 'attachments'], [this.$fullscreenToggle, fsEl === this.$el[0] ? 'exitFullscreen' : 'fullscreen'], [this.$infoToggle, 'toggleInfo'], [this.$prev, 'previousItem'], [this.$next, 'nextItem'], [this.$carouselPrev, carouselPrevTip], [this.$carouselNext, carouselNextTip], [this.$el.find('.cv-zoom-out-btn'), 'zoomOut'], [this.$zoomSlider, 'zoomLevel'], [this.$el.find('.cv-zoom-in-btn'), 'zoomIn']];
       for (var i = 0; i < tips.length; i++) {
         set(tips[i][0], tips[i][1]);
       }
@@ -1559,6 +3375,26 @@
       }
     },
 
+    /** itemsProvider: fetch the page before the first or after the last button once the carousel is scrolled to that end. */
+    _fetchVisibleCarouselPages: function () {
+      var inst = this.activeInstance;
+      var el = this.$carousel && this.$carousel[0];
+      if (!inst || !inst._provider || !el || !el.children.length || !this._carouselEnabled(inst)) {
+        return;
+      }
+      var step = 104 + 10;
+      var left = Math.abs(el.scrollLeft);
+      var size = inst._providerPaging().pageSize;
+      var first = Number(el.firstElementChild.getAttribute('data-cv-index'));
+      var last = Number(el.lastElementChild.getAttribute('data-cv-index'));
+      if (left <= step && first > 0) {
+        inst._fetchProviderPage(Math.floor((first - 1) / size));
+      }
+      if (left + el.clientWidth >= el.scrollWidth - step && last + 1 < inst.items.length) {
+        inst._fetchProviderPage(Math.floor((last + 1) / size));
+      }
+    },
+
     _scrollCarouselBy: function (stepPx, inst) {
       var el = this.$carousel && this.$carousel[0];
       if (!el) {
@@ -1576,17 +3412,18 @@
     _zoomOpts: function () {
       return (this.activeInstance && this.activeInstance.opts.zoom) || DEFAULTS.zoom;
     },
-    _isGifItem: function () {
-      var inst = this.activeInstance;
-      if (!inst || !inst.items || inst.idx < 0) {
-        return false;
-      }
-      var item = inst.items[inst.idx];
-      return (item.type || 'image') === 'image' && item.src && (/\.gif$/i).test(item.src);
+    /** Upper zoom limit: zoom.max, or for tiled images at least twice the actual pixels. */
+    _zoomMax: function () {
+      var max = this._zoomOpts().max;
+      return this._isTiledItem ? Math.max(max, 2 / this._zoomBase()) : max;
+    },
+    /** Zoom after dir (+1 / -1) steps of step: added, or compounded for tiled images whose range spans many doublings. */
+    _steppedZoom: function (dir, step) {
+      var nz = this._isTiledItem ? this._zoom * Math.pow(1 + step, dir) : this._zoom + dir * step;
+      return Math.max(this._zoomOpts().min, Math.min(this._zoomMax(), nz));
     },
     _setZoom: function (val) {
-      var zo = this._zoomOpts();
-      var nz = Math.max(zo.min, Math.min(zo.max, val));
+      var nz = Math.max(this._zoomOpts().min, Math.min(this._zoomMax(), val));
       if (nz !== this._zoom) {
         var r = nz / this._zoom; this._panX *= r; this._panY *= r;
         removeExtractOverlay(this.$stage);
@@ -1595,65 +3432,315 @@
       this._zoom = nz; this._clampPan(); this._syncSlider(); this._applyTransform();
       this._loadHighResImageIfNeeded();
     },
+    /** Zoom to nz keeping the stage point under (clientX, clientY) still. */
+    _zoomAt: function (nz, clientX, clientY) {
+      var rect = this.$stageWrap[0].getBoundingClientRect();
+      var cx = clientX - rect.left - rect.width / 2;
+      var cy = clientY - rect.top - rect.height / 2;
+      var ratio = nz / this._zoom;
+      this._panX = cx - ratio * (cx - this._panX);
+      this._panY = cy - ratio * (cy - this._panY);
+      this._zoom = nz;
+      removeExtractOverlay(this.$stage);
+      this.$toolbar.find('.cv-tb-extract-text').removeClass('cv-active');
+      this._clampPan(); this._syncSlider(); this._applyTransform();
+      this._loadHighResImageIfNeeded();
+    },
+    /** Double-click / double-tap: zoom in on the point to zoom.doubleClickZoom, or back to the fit when already zoomed in. */
+    _toggleZoomAt: function (clientX, clientY) {
+      var zo = this._zoomOpts();
+      var target = zo.doubleClickZoom;
+      if (target === false || (this._annotator && this._annotator.isActive())) {
+        return;
+      }
+      if (this._zoom > 1) {
+        this._setZoom(1);
+        return;
+      }
+      var nz = Math.max(zo.min, Math.min(this._zoomMax(), parseFloat(target) || 2));
+      if (nz !== this._zoom) {
+        this._zoomAt(nz, clientX, clientY);
+      }
+    },
     _syncSlider: function () {
-      var z = Number(this._zoom);
-      this.$zoomSlider.val(z);
-      var pct = Math.round(z * 100);
-      this.$zoomPct.text(pct + '%');
+      this._syncZoomUi();
       this._fireZoom();
     },
+    /** Slider and percentage in true pixel scale: zoom x fit scale, so 100% is one image pixel per screen pixel. */
+    _syncZoomUi: function () {
+      var zo = this._zoomOpts();
+      var base = this._zoomBase();
+      this.$zoomSlider.attr({ min: zo.min * base, max: this._zoomMax() * base });
+      this.$zoomSlider.val(this._zoom * base);
+      this.$zoomPct.text(Math.round(this._zoom * base * 100) + '%');
+    },
+    /** Screen pixels per image pixel at zoom 1 (1 until a built-in image has loaded). */
+    _zoomBase: function () {
+      var img = this._isImageItem ? this.$stage.find('.cv-image')[0] : null;
+      var m = getNaturalSize(img) ? getCvImageContentMetrics(img) : null;
+      return m ? m.fitScale * this._fitScale(img) : 1;
+    },
+    _fitMode: function () {
+      return this._isCompareItem ? 'contain' : (this._imageFit || 'contain');
+    },
+    /** Built-in image: switch fit mode and return to zoom 1 (centered). */
+    _setImageFit: function (mode) {
+      if (IMAGE_FIT_MODES.indexOf(mode) === -1) {
+        return;
+      }
+      if (mode !== 'actual') {
+        this._imageFitBeforeActual = mode;
+      }
+      this._imageFit = mode;
+      this._zoom = 1; this._panX = 0; this._panY = 0;
+      removeExtractOverlay(this.$stage);
+      this.$toolbar.find('.cv-tb-extract-text').removeClass('cv-active');
+      this.$toolbar.find('.cv-image-fit-select').val(mode);
+      this._clampPan(); this._syncSlider(); this._applyTransform();
+      if (this._annotator) {
+        this._annotator.layout();
+      }
+    },
+    /** 1:1 action: actual pixels, or back to the previous fit mode when already there. */
+    _toggleActualSize: function () {
+      if (!this._isImageItem || this._isCompareItem) {
+        return false;
+      }
+      this._setImageFit(this._imageFit === 'actual' ? (this._imageFitBeforeActual || 'contain') : 'actual');
+      return true;
+    },
     _fireZoom: function () {
       var inst = this.activeInstance;
       if (!inst) {
         return;
       }
+      fireEvent(inst, 'zoom', { zoom: this._zoom });
+      trackZoom(inst, this._zoom);
       var cb = inst.opts.zoom && inst.opts.zoom.onZoom;
       if (typeof cb === 'function') {
         cb(this._zoom, inst.items[inst.idx], inst);
       }
     },
     _applyTransform: function () {
+      if (this._tiledViewer) {
+        this._tiledViewer.layout();
+      }
       var $img = this.$stage.find('.cv-image');
       if (!$img.length) {
+        this._syncMinimap();
         return;
       }
-      /* Center at stage (50%,50%), then pan, then scale from center so image/GIF stays fixed at center */
-      $img.css('transform', 'translate(-50%, -50%) translate(' + this._panX + 'px,' + this._panY + 'px) scale(' + this._zoom + ')');
-      $img.css('cursor', (this._zoom > 1 && !this._isGifItem()) ? 'grab' : '');
+      var transform = this._imageTransform($img[0]);
+      $img.css('transform', transform);
+      $img.css('cursor', this._canPan() ? 'grab' : '');
+      /* OCR overlay shares the image box, so the same transform keeps words on their pixels */
+      this.$stage.find('.cv-extract-overlay').css('transform', transform);
+      /* The annotation layer is sized to the displayed image and centered on the same point, so it scales with it */
+      this.$stage.find('.cv-annotate-layer').css('transform', transform);
+      /* Decoded animation frames sit in the img's box, over the hidden img */
+      this.$stage.find('.cv-anim-canvas').css({ transform: transform, cursor: this._canPan() ? 'grab' : '' });
+      this._syncMinimap();
     },
-    _clampPan: function () {
-      /* GIF: keep fixed at center – no pan, zoom only; static images can pan */
-      if (this._isGifItem()) {
-        this._panX = 0; this._panY = 0; return;
+    /**
+     * Displayed image box for the minimap: size on screen (W x H, after rotation), the stage size and the thumbnail
+     * scale k (thumbnail px per screen px). Null when zoom.minimap is off or the whole image fits the stage.
+     */
+    _minimapGeometry: function () {
+      var inst = this.activeInstance;
+      if (!inst || !this._isImageItem || this._isCompareItem || !this._zoomOpts().minimap || !this._canPan()) {
+        return null;
+      }
+      var img = this.$stage.find('.cv-image')[0];
+      var m = getNaturalSize(img) ? getCvImageContentMetrics(img) : null;
+      var sw = this.$stageWrap[0].clientWidth;
+      var sh = this.$stageWrap[0].clientHeight;
+      if (!m || !sw || !sh) {
+        return null;
+      }
+      var scale = this._zoom * this._fitScale(img);
+      var turned = this._rotation % 180 !== 0;
+      var W = (turned ? m.dispH : m.dispW) * scale;
+      var H = (turned ? m.dispW : m.dispH) * scale;
+      return { img: img, turned: turned, W: W, H: H, sw: sw, sh: sh, k: MINIMAP_SIZE / Math.max(W, H) };
+    },
+    /** Show / hide the minimap and move its viewport rectangle to the part of the image visible on the stage. */
+    _syncMinimap: function () {
+      if (!this.$minimap || !this.$stage) {
+        return;
+      }
+      var g = this._minimapGeometry();
+      if (!g) {
+        this.$minimap.hide();
+        return;
+      }
+      var mw = g.W * g.k;
+      var mh = g.H * g.k;
+      /* Tiled images offer their single-tile level as the preview */
+      var src = g.img.currentSrc || g.img.src || g.img.getAttribute('data-cv-preview') || '';
+      if ((this.$minimapImg.attr('src') || '') !== src) {
+        this.$minimapImg.attr('src', src);
+      }
+      this.$minimapImg.toggle(src !== '');
+      var t = 'translate(-50%, -50%)';
+      if (this._flipX || this._flipY) {
+        t += ' scale(' + (this._flipX ? -1 : 1) + ',' + (this._flipY ? -1 : 1) + ')';
+      }
+      if (this._rotation) {
+        t += ' rotate(' + this._rotation + 'deg)';
+      }
+      this.$minimapImg.css({ width: g.turned ? mh : mw, height: g.turned ? mw : mh, transform: t });
+      /* Image left / top edge sits at pan - size / 2 from the stage center; the stage spans -s / 2 .. s / 2 */
+      var x0 = Math.max(0, g.W / 2 - this._panX - g.sw / 2);
+      var x1 = Math.min(g.W, g.W / 2 - this._panX + g.sw / 2);
+      var y0 = Math.max(0, g.H / 2 - this._panY - g.sh / 2);
+      var y1 = Math.min(g.H, g.H / 2 - this._panY + g.sh / 2);
+      this._minimapView = { x: x0 * g.k, y: y0 * g.k, w: (x1 - x0) * g.k, h: (y1 - y0) * g.k };
+      this.$minimapView.css({ left: this._minimapView.x, top: this._minimapView.y, width: this._minimapView.w, height: this._minimapView.h });
+      this.$minimap.css({ width: mw, height: mh }).show();
+    },
+    /** The stage changed size (window resize, info panel): drop the extract overlay and re-fit the image and annotation layer. */
+    _relayout: function () {
+      if (!this.visible || !this.$stage || !this.$stage.length) {
+        return;
+      }
+      if (this.$stage.find('.cv-extract-overlay').length) {
+        removeExtractOverlay(this.$stage);
+        if (this.$toolbar && this.$toolbar.length) {
+          this.$toolbar.find('.cv-tb-extract-text').removeClass('cv-active');
+        }
+      }
+      if (this._isImageItem) {
+        this._clampPan(); this._applyTransform(); this._syncZoomUi();
+      }
+      if (this._annotator) {
+        this._annotator.layout();
+      }
+    },
+    /** Pan so the stage center shows the image point under minimap position (x, y), in thumbnail pixels. */
+    _panToMinimapPoint: function (x, y) {
+      var g = this._minimapGeometry();
+      if (!g) {
+        return;
+      }
+      this._panX = g.W / 2 - x / g.k;
+      this._panY = g.H / 2 - y / g.k;
+      this._clampPan(); this._applyTransform();
+    },
+    /** Center at stage (50%,50%), then pan, then scale from center (zoom x fit scale), then flip and rotate; the flip comes first so it stays on the screen axes after a quarter turn. */
+    _imageTransform: function (img) {
+      var t = 'translate(-50%, -50%) translate(' + (this._panX || 0) + 'px,' + (this._panY || 0) + 'px) scale(' + ((this._zoom || 1) * this._fitScale(img)) + ')';
+      if (this._flipX || this._flipY) {
+        t += ' scale(' + (this._flipX ? -1 : 1) + ',' + (this._flipY ? -1 : 1) + ')';
+      }
+      if (this._rotation) {
+        t += ' rotate(' + this._rotation + 'deg)';
+      }
+      return t;
+    },
+    /**
+     * Scale from the img box (CSS-contained, never above natural size, unrotated) to the fit mode's size for the image as
+     * displayed: quarter turns swap its sides, and cover / fit-width / fit-height / actual may overflow the stage.
+     */
+    _fitScale: function (img) {
+      var mode = this._fitMode();
+      if ((mode === 'contain' && this._rotation % 180 === 0) || !img || !this.$stageWrap || !this.$stageWrap[0]) {
+        return 1;
+      }
+      var w = img.offsetWidth;
+      var h = img.offsetHeight;
+      var sw = this.$stageWrap[0].clientWidth;
+      var sh = this.$stageWrap[0].clientHeight;
+      if (!w || !h || !sw || !sh) {
+        return 1;
+      }
+      var natural = getNaturalSize(img);
+      var nw = natural ? natural.width : w;
+      var nh = natural ? natural.height : h;
+      var turned = this._rotation % 180 !== 0;
+      return imageFitScale(mode, turned ? nh : nw, turned ? nw : nh, sw, sh) / (w / nw);
+    },
+    /** Built-in image: rotate by delta degrees (multiple of 90) around the stage center. */
+    _rotateImage: function (delta) {
+      if (!this._isImageItem) {
+        return;
+      }
+      this._rotation = (((this._rotation + delta) % 360) + 360) % 360;
+      this._panX = 0; this._panY = 0;
+      this._clampPan(); this._applyTransform(); this._syncZoomUi();
+      this._fireImageRotate();
+    },
+    /** Built-in image: toggle the horizontal ('x') or vertical ('y') flip. */
+    _flipImage: function (axis) {
+      if (!this._isImageItem) {
+        return;
+      }
+      if (axis === 'y') {
+        this._flipY = !this._flipY;
+      } else {
+        this._flipX = !this._flipX;
+      }
+      this.$toolbar.find('.cv-tb-flip-horizontal').toggleClass('cv-active', this._flipX);
+      this.$toolbar.find('.cv-tb-flip-vertical').toggleClass('cv-active', this._flipY);
+      this._applyTransform();
+      this._fireImageRotate();
+    },
+    _fireImageRotate: function () {
+      var inst = this.activeInstance;
+      if (!inst) {
+        return;
       }
-      if (this._zoom <= 1) {
-        this._panX = 0; this._panY = 0; return;
+      var flip = { horizontal: this._flipX, vertical: this._flipY };
+      fireEvent(inst, 'rotate', { degrees: this._rotation, flip: flip });
+      if (typeof inst.opts.onImageRotate === 'function') {
+        inst.opts.onImageRotate(inst.items[inst.idx], this._rotation, inst, flip);
       }
-      var stage = this.$stageWrap[0];
+    },
+    /** How far the displayed image may pan from center on each axis: half its overflow past the stage (or compare pane). */
+    _panLimits: function () {
+      var none = { x: 0, y: 0 };
       var img = this.$stage.find('.cv-image')[0];
+      if (this._zoom <= 1 && this._fitMode() === 'contain') {
+        return none;
+      }
+      /* Side-by-side compare panes are narrower than the stage */
+      var stage = (img && $(img.parentNode).hasClass('cv-compare-pane')) ? img.parentNode : this.$stageWrap[0];
       if (!stage) {
-        return;
+        return none;
       }
       var sw = stage.clientWidth;
       var sh = stage.clientHeight;
-      var maxX, maxY;
-      if (img && (img.naturalWidth || img.offsetWidth) && (img.naturalHeight || img.offsetHeight)) {
-        var nw = img.naturalWidth || img.offsetWidth;
-        var nh = img.naturalHeight || img.offsetHeight;
-        var scale = Math.min(sw / nw, sh / nh);
-        var displayW = nw * scale;
-        var displayH = nh * scale;
-        maxX = Math.max(0, (displayW * this._zoom - sw) / 2);
-        maxY = Math.max(0, (displayH * this._zoom - sh) / 2);
-      } else {
-        maxX = Math.max(0, (this._zoom - 1) * sw / 2);
-        maxY = Math.max(0, (this._zoom - 1) * sh / 2);
+      var m = getNaturalSize(img) ? getCvImageContentMetrics(img) : null;
+      if (!m) {
+        return { x: Math.max(0, (this._zoom - 1) * sw / 2), y: Math.max(0, (this._zoom - 1) * sh / 2) };
+      }
+      var scale = this._zoom * this._fitScale(img);
+      var turned = this._rotation % 180 !== 0;
+      var displayW = (turned ? m.dispH : m.dispW) * scale;
+      var displayH = (turned ? m.dispW : m.dispH) * scale;
+      return { x: Math.max(0, (displayW - sw) / 2), y: Math.max(0, (displayH - sh) / 2) };
+    },
+    /** Built-in image larger than the stage on either axis (drag and one-finger touch pan instead of swipe). */
+    _canPan: function () {
+      if (!this._isImageItem) {
+        return false;
       }
-      this._panX = Math.max(-maxX, Math.min(maxX, this._panX));
-      this._panY = Math.max(-maxY, Math.min(maxY, this._panY));
+      var lim = this._panLimits();
+      return lim.x > 0 || lim.y > 0;
+    },
+    /** Zoomed-in or horizontally overflowing images use one-finger swipes for panning. */
+    _blocksSwipeNav: function () {
+      return this._isImageItem && (this._zoom > 1 || this._panLimits().x > 0);
+    },
+    _clampPan: function () {
+      var lim = this._panLimits();
+      this._panX = Math.max(-lim.x, Math.min(lim.x, this._panX));
+      this._panY = Math.max(-lim.y, Math.min(lim.y, this._panY));
     },
     _resetZoomPan: function () {
       this._zoom = 1; this._panX = 0; this._panY = 0;
+      this._rotation = 0; this._flipX = false; this._flipY = false;
+      this._lastTap = null;
+      this._syncMinimap();
       this._isPanning = false; this._pinchStartDist = 0; this._justEndedPinch = false;
       this._highResLoaded = false; this._highResLoading = false;
       if (this._highResSliderDebounceTimer != null) {
@@ -1672,7 +3759,7 @@
       if (!inst || !inst.items || inst.idx < 0) {
         return;
       }
-      if (!this._isImageItem || this._isGifItem() || this._highResLoading) {
+      if (!this._isImageItem || this._isCompareItem || this._isTiledItem || this._animation || this._highResLoading) {
         return;
       }
       var zo = this._zoomOpts();
@@ -1691,7 +3778,7 @@
         return;
       }
       var currentSrc = $img.attr('src') || '';
-      if (currentSrc === highResUrl) {
+      if (currentSrc === highResUrl && !$img.attr('srcset')) {
         this._highResLoaded = true;
         return;
       }
@@ -1700,6 +3787,9 @@
       var self = this;
       /* Load in place so the browser uses the same img and cache; URL is never modified (no cache-busting) so repeat visits use cache */
       var imgEl = $img[0];
+      /* srcset wins over src, so drop the responsive candidates for the upgrade */
+      imgEl.removeAttribute('srcset');
+      imgEl.removeAttribute('sizes');
       var onDone = function () {
         if (!self.activeInstance || self.activeInstance !== inst) {
           self._highResLoading = false;
@@ -1730,18 +3820,22 @@
     },
 
     /* open / close */
-    open: function (instance) {
-      this.ensure();
-      this.activeInstance = instance;
-      this._swipeTracking = false;
-      this._minimizedSnapshot = null;
+    /** Apply option-driven chrome (ARIA, theme, zoom limits, nav, carousel, header buttons, tooltips, stage-only). Used by open and setOptions. */
+    _applyOptions: function (instance) {
+      this.$commentWrap.attr('aria-label', str(instance, 'attachmentComment'));
+      this.$commentPrev.attr('aria-label', str(instance, 'commentPrev'));
+      this.$commentNext.attr('aria-label', str(instance, 'commentNext'));
+      this.$shortcutsPopup.attr('aria-label', str(instance, 'keyboardShortcuts'));
       if (instance.opts.wcag) {
-        this._focusBeforeOpen = document.activeElement;
         this.$el[0].setAttribute('aria-hidden', 'false');
-        this.$shell[0].setAttribute('role', 'dialog');
-        this.$shell[0].setAttribute('aria-modal', 'true');
-        this.$shell[0].setAttribute('aria-labelledby', 'cv-dialog-title');
-        this.$shell[0].setAttribute('aria-describedby', 'cv-dialog-desc');
+        this.$shell[0].setAttribute('role', this._embedded ? 'region' : 'dialog');
+        if (this._embedded) {
+          this.$shell[0].removeAttribute('aria-modal');
+        } else {
+          this.$shell[0].setAttribute('aria-modal', 'true');
+        }
+        this.$shell[0].setAttribute('aria-labelledby', 'cv-dialog-title-' + this.uid);
+        this.$shell[0].setAttribute('aria-describedby', 'cv-dialog-desc-' + this.uid);
         this.$title[0].setAttribute('aria-live', 'polite');
         this.$counter[0].setAttribute('aria-live', 'polite');
         this.$el.find('.cv-close').attr('aria-label', str(instance, 'close'));
@@ -1766,32 +3860,33 @@
         this.$themeToggle.removeAttr('aria-label');
         this.$fullscreenToggle.removeAttr('aria-label');
         this.$commentToggle.removeAttr('aria-label');
+        this.$infoToggle.removeAttr('aria-label');
       }
-      var theme = instance.opts.theme || 'dark';
-      this.$el[0].className = buildOverlayClassName(theme, false, false, instance);
+      this._applyTheme(instance);
       this.$el.attr('dir', this._isRtl(instance) ? 'rtl' : 'ltr');
       this.$shell.attr('dir', this._isRtl(instance) ? 'rtl' : 'ltr');
       this.$themeToggle.toggle(instance.opts.themeToggle !== false);
-      this._syncThemeToggle();
       var zo = instance.opts.zoom || DEFAULTS.zoom;
       this.$zoomSlider.attr({ min: zo.min, max: zo.max, step: zo.step });
       this._updateNavButtons(instance);
-      this._carouselOpen = false;
       if (this._carouselEnabled(instance) && instance.items.length > 0) {
         this.$carouselToggle.show();
         this._buildCarousel(instance);
-        this.$carouselWrap.removeClass('cv-open');
-        this.$carouselToggle.attr('aria-expanded', 'false').removeClass('cv-active');
+        this.$carouselWrap.toggleClass('cv-open', Boolean(this._carouselOpen));
+        this.$carouselToggle.attr('aria-expanded', Boolean(this._carouselOpen)).toggleClass('cv-active', Boolean(this._carouselOpen));
         this._updateCarouselNavVisibility(instance);
       } else {
+        this._carouselOpen = false;
         this.$carouselToggle.hide().removeClass('cv-active');
         this.$carouselWrap.removeClass('cv-open');
       }
       this.$fullscreenToggle.toggle(instance.opts.fullscreen !== false);
       this.$minimizeToggle.toggle(this._canMinimize(instance));
+      this.$infoPanel.attr('aria-label', str(instance, 'info'));
+      this._syncInfoPanel(instance, !this.visible);
       this._syncFullscreenToggle();
       this._applyTooltips(instance);
-      this._applyMinimizedUi(instance, false);
+      this._applyMinimizedUi(instance, this._minimized);
       if (this._stageOnlyEnabled(instance)) {
         this.$shell.addClass('cv-stage-only');
       } else {
@@ -1802,24 +3897,54 @@
       } else {
         this.$shell.removeClass('cv-slideshow-visible');
       }
+    },
+
+    open: function (instance) {
+      this.ensure(instance);
+      this.activeInstance = instance;
+      this._swipeTracking = false;
+      this._minimizedSnapshot = null;
+      if (instance.opts.wcag && !this._embedded) {
+        this._focusBeforeOpen = document.activeElement;
+      }
+      this._carouselOpen = false;
+      this._minimized = false;
+      this._imageFit = this._imageFitBeforeActual = resolveImageFit(instance);
+      this._infoPanelOpen = Boolean(instance.opts.info && instance.opts.info.open);
+      var prefs = loadPrefs(instance);
+      if (instance.opts.themeToggle !== false && isKnownTheme(prefs.theme)) {
+        instance.opts.theme = prefs.theme;
+      }
+      if (typeof prefs.carouselOpen === 'boolean') {
+        this._carouselOpen = prefs.carouselOpen;
+      }
+      if (typeof prefs.commentPanelVisible === 'boolean') {
+        this._commentPanelVisible = prefs.commentPanelVisible;
+      }
+      if (typeof prefs.infoPanelOpen === 'boolean') {
+        this._infoPanelOpen = prefs.infoPanelOpen;
+      }
+      this._applyOptions(instance);
       this.$el.addClass('cv-visible');
       this.visible = true;
-      /* Prevent page scroll behind overlay (QMS / UX) */
-      if (isNullish(this._bodyOverflow)) {
-        this._bodyOverflow = document.body.style.overflow;
+      this._closing = false;
+      if (!this._embedded) {
+        /* Opening over another viewer stacks on top; reopening one already in the stack brings it to the front */
+        var stackIdx = overlayStack.indexOf(this);
+        if (stackIdx !== -1) {
+          overlayStack.splice(stackIdx, 1);
+        }
+        overlayStack.push(this);
+        restackOverlays();
+        /* Prevent page scroll behind overlay (QMS / UX) */
+        syncBodyScrollLock();
       }
-      document.body.style.overflow = 'hidden';
       var self = this;
-      $(window).off('resize.cv-extract-overlay').on('resize.cv-extract-overlay', function () {
-        if (!self.visible || !self.$stage || !self.$stage.length) {
-          return;
-        }
-        if (self.$stage.find('.cv-extract-overlay').length) {
-          removeExtractOverlay(self.$stage);
-          if (self.$toolbar && self.$toolbar.length) {
-            self.$toolbar.find('.cv-tb-extract-text').removeClass('cv-active');
-          }
-        }
+      $(document).off('visibilitychange.cv-analytics-' + this.uid).on('visibilitychange.cv-analytics-' + this.uid, function () {
+        self._onVisibilityChange();
+      });
+      $(window).off('resize.cv-extract-overlay-' + this.uid).on('resize.cv-extract-overlay-' + this.uid, function () {
+        self._relayout();
       });
       if (instance._beforeOpenPhase === 'loading') {
         this._enterBeforeOpenLoading(instance);
@@ -1828,7 +3953,7 @@
       } else {
       this.loadItem();
       }
-      if (instance.opts.wcag) {
+      if (instance.opts.wcag && !this._embedded) {
         var self = this;
         setTimeout(function () {
           var el;
@@ -1934,10 +4059,49 @@
       }
       return inst.opts.stageOnly.hideNavigation === true;
     },
+    /** With itemsProvider only the cached pages get buttons; scrolling to either end fetches the next page. */
     _buildCarousel: function (inst) {
-      var self = this;
       this.$carousel.empty();
-      var items = inst.items;
+      for (var i = 0; i < inst.items.length; i++) {
+        if (!inst.items[i]._cvPending) {
+          this.$carousel.append(this._carouselItem(inst, i));
+        }
+      }
+      this._updateCarouselSelection(inst);
+      this._updateCarouselNavVisibility(inst);
+    },
+
+    /** Swap the carousel buttons for indexes from..to-1 (itemsProvider pages that arrived or were evicted). */
+    _refreshCarouselItems: function (inst, from, to) {
+      var el = this.$carousel[0];
+      if (!el) {
+        return;
+      }
+      var before = null;
+      var nodes = [].slice.call(el.children);
+      for (var n = 0; n < nodes.length; n++) {
+        var at = Number(nodes[n].getAttribute('data-cv-index'));
+        if (at >= from && at < to) {
+          el.removeChild(nodes[n]);
+        } else if (at >= to && !before) {
+          before = nodes[n];
+        }
+      }
+      for (var idx = from; idx < to && idx < inst.items.length; idx++) {
+        if (inst.items[idx]._cvPending) {
+          continue;
+        }
+        var $item = this._carouselItem(inst, idx);
+        if (idx === inst.idx) {
+          $item.addClass('cv-active').attr('aria-current', 'true');
+        }
+        el.insertBefore($item[0], before);
+      }
+    },
+
+    _carouselItem: function (inst, idx) {
+      var self = this;
+      var item = inst.items[idx];
       var truncate = function (s, maxLen) {
         if (isNullish(s) || s === '') {
           return '';
@@ -1948,74 +4112,67 @@
         }
         return str.slice(0, maxLen - 1) + '…';
       };
-      for (var i = 0; i < items.length; i++) {
-        (function (idx) {
-          var item = items[idx];
-          var type = item.type || 'image';
-          if ((type === 'audio' || type === 'video') && isImageLikeExtension(item)) {
-            type = 'image';
-          }
-          var thumbSrc = null;
-          var resolvedThumb = getResolvedUrl(item, inst, 'thumbnailUrl') || item.thumbnailUrl;
-          var resolvedItemSrc = getResolvedUrl(item, inst, 'src') || item.src;
-          if (type === 'image' && (resolvedThumb || resolvedItemSrc) && isSafeResourceUrl(resolvedThumb || resolvedItemSrc)) {
-            thumbSrc = (resolvedThumb && isSafeResourceUrl(resolvedThumb)) ? resolvedThumb : resolvedItemSrc;
-          } else if ((type === 'video' || type === 'audio') && resolvedThumb && isSafeResourceUrl(resolvedThumb)) {
-            thumbSrc = resolvedThumb;
-          }
-          var typeLabel;
-          if (type === 'pdf') {
-            typeLabel = 'PDF';
-          } else if (type === 'video') {
-            typeLabel = 'Video';
-          } else if (type === 'audio') {
-            typeLabel = 'Audio';
-          } else if (type === 'inline') {
-            typeLabel = 'Code';
-          } else if (type === 'markdown') {
-            typeLabel = 'MD';
-          } else if (type === 'html') {
-            typeLabel = 'HTML';
-          } else if (type === 'error') {
-            typeLabel = '—';
-          } else {
-            typeLabel = (item.fileExt || type).slice(0, 4);
-          }
-          var title = (!isNullish(item.title) && item.title !== '') ? String(item.title).trim() : '';
-          var $item = $('<button type="button" class="cv-carousel-item" data-cv-index="' + idx + '"></button>');
-          if (thumbSrc) {
-            var $img = $('<img class="cv-carousel-thumb" alt="">').attr('src', thumbSrc);
-            $img.on('error', function () {
-              $item.addClass('cv-carousel-no-thumb');
-            });
-            $item.append($img);
-            if (type === 'video' || type === 'audio') {
-              $item.append($('<span class="cv-carousel-play-icon">' + Icons.play + '</span>'));
-            }
-          } else {
-            $item.addClass('cv-carousel-no-thumb').text(title ? truncate(title, 12) : typeLabel);
-          }
-          if (title) {
-            $item.attr('title', title);
-          }
-          if (inst.opts.wcag) {
-            $item.attr('aria-label', str(inst, 'carouselItemLabel').replace('%1', String(idx + 1)).replace('%2', String(inst.items.length)));
-          }
-          $item.on('click', function (e) {
-            e.preventDefault();
-            if (inst !== self.activeInstance) {
-              return;
-            }
-            if (idx === inst.idx) {
-              return;
-            }
-            inst.goTo(idx);
-          });
-          self.$carousel.append($item);
-        }(i));
+      var $item = $('<button type="button" class="cv-carousel-item" data-cv-index="' + idx + '"></button>');
+      if (inst.opts.wcag) {
+        $item.attr('aria-label', str(inst, 'carouselItemLabel', [idx + 1, inst.items.length]));
       }
-      this._updateCarouselSelection(inst);
-      this._updateCarouselNavVisibility(inst);
+      $item.on('click', function (e) {
+        e.preventDefault();
+        if (inst !== self.activeInstance) {
+          return;
+        }
+        if (idx === inst.idx) {
+          return;
+        }
+        inst.goTo(idx);
+      });
+      var type = item.type || 'image';
+      if ((type === 'audio' || type === 'video') && isImageLikeExtension(item)) {
+        type = 'image';
+      }
+      var thumbSrc = null;
+      var resolvedThumb = getResolvedUrl(item, inst, 'thumbnailUrl') || item.thumbnailUrl;
+      var resolvedItemSrc = getResolvedUrl(item, inst, 'src') || item.src;
+      if (type === 'image' && (resolvedThumb || resolvedItemSrc) && isSafeResourceUrl(resolvedThumb || resolvedItemSrc)) {
+        thumbSrc = (resolvedThumb && isSafeResourceUrl(resolvedThumb)) ? resolvedThumb : resolvedItemSrc;
+      } else if ((type === 'video' || type === 'audio' || type === 'tiled') && resolvedThumb && isSafeResourceUrl(resolvedThumb)) {
+        thumbSrc = resolvedThumb;
+      }
+      var typeLabel;
+      if (type === 'pdf') {
+        typeLabel = str(inst, 'pdf');
+      } else if (type === 'video') {
+        typeLabel = str(inst, 'typeVideo');
+      } else if (type === 'audio') {
+        typeLabel = str(inst, 'audio');
+      } else if (type === 'inline') {
+        typeLabel = str(inst, 'typeCode');
+      } else if (type === 'markdown') {
+        typeLabel = str(inst, 'typeMarkdown');
+      } else if (type === 'html') {
+        typeLabel = str(inst, 'typeHtml');
+      } else if (type === 'error') {
+        typeLabel = str(inst, 'typeError');
+      } else {
+        typeLabel = (item.fileExt || type).slice(0, 4);
+      }
+      var title = (!isNullish(item.title) && item.title !== '') ? String(item.title).trim() : '';
+      if (thumbSrc) {
+        var $img = $('<img class="cv-carousel-thumb" alt="">').attr('src', thumbSrc);
+        $img.on('error', function () {
+          $item.addClass('cv-carousel-no-thumb');
+        });
+        $item.append($img);
+        if (type === 'video' || type === 'audio') {
+          $item.append($('<span class="cv-carousel-play-icon">' + Icons.play + '</span>'));
+        }
+      } else {
+        $item.addClass('cv-carousel-no-thumb').text(title ? truncate(title, 12) : typeLabel);
+      }
+      if (title) {
+        $item.attr('title', title);
+      }
+      return $item;
     },
 
     _updateCarouselNavVisibility: function (inst) {
@@ -2041,33 +4198,90 @@
       }
     },
 
+    /** Theme classes and custom properties on the overlay, the toggle button, and the prefers-color-scheme watcher for 'auto'. */
+    _applyTheme: function (inst) {
+      var theme = resolveTheme(inst);
+      var el = this.$el[0];
+      el.className = buildOverlayClassName(theme, this.visible, this._closing, inst);
+      var prevVars = this._themeVars || {};
+      var def = getTheme(theme);
+      var vars = def ? def.vars : {};
+      for (var name in prevVars) {
+        if (Object.prototype.hasOwnProperty.call(prevVars, name) && !Object.prototype.hasOwnProperty.call(vars, name)) {
+          el.style.removeProperty(name);
+        }
+      }
+      for (var v in vars) {
+        if (Object.prototype.hasOwnProperty.call(vars, v)) {
+          el.style.setProperty(v, vars[v]);
+        }
+      }
+      this._themeVars = vars;
+      this._watchColorScheme(inst.opts.theme === 'auto');
+      this._syncThemeToggle();
+    },
+
+    _watchColorScheme: function (on) {
+      var self = this;
+      if (on === Boolean(this._colorSchemeQuery) || typeof window.matchMedia !== 'function') {
+        return;
+      }
+      if (on) {
+        this._colorSchemeQuery = window.matchMedia(COLOR_SCHEME_QUERY);
+        this._onColorSchemeChange = function () {
+          if (self.activeInstance && self.$el && self.activeInstance.opts.theme === 'auto') {
+            self._applyTheme(self.activeInstance);
+          }
+        };
+        if (this._colorSchemeQuery.addEventListener) {
+          this._colorSchemeQuery.addEventListener('change', this._onColorSchemeChange);
+        } else {
+          this._colorSchemeQuery.addListener(this._onColorSchemeChange);
+        }
+        return;
+      }
+      if (this._colorSchemeQuery.removeEventListener) {
+        this._colorSchemeQuery.removeEventListener('change', this._onColorSchemeChange);
+      } else {
+        this._colorSchemeQuery.removeListener(this._onColorSchemeChange);
+      }
+      this._colorSchemeQuery = null;
+      this._onColorSchemeChange = null;
+    },
+
+    /** Toggle icon and label describe the next theme in the cycle. */
     _syncThemeToggle: function () {
       var inst = this.activeInstance;
       if (!inst) {
         return;
       }
-      var theme = inst.opts.theme || 'dark';
-      var label = str(inst, theme === 'dark' ? 'switchToLightMode' : 'switchToDarkMode');
+      var next = nextTheme(inst);
+      var label;
+      if (next === 'dark' || next === 'light') {
+        label = str(inst, next === 'light' ? 'switchToLightMode' : 'switchToDarkMode');
+      } else if (next === 'auto') {
+        label = str(inst, 'switchToAutoMode');
+      } else {
+        label = str(inst, 'switchToTheme', [getTheme(next).label]);
+      }
+      var nextBase = next === 'auto' ? (prefersDarkScheme() ? 'dark' : 'light') : themeBase(next);
       if (inst.opts.wcag) {
         this.$themeToggle.attr('aria-label', label);
       }
-      this.$themeToggle.html(theme === 'dark' ? Icons.themeLight : Icons.themeDark);
-      this._applyTooltips(inst);
-    },
+      if (inst.opts.canShowTooltip !== false) {
+        this.$themeToggle.attr('data-cv-tooltip', label);
+      } else {
+        this.$themeToggle.removeAttr('data-cv-tooltip');
+      }
+      this.$themeToggle.html(nextBase === 'light' ? Icons.themeLight : Icons.themeDark);
+    },
 
     _syncFullscreenToggle: function () {
       var el = getFullscreenElement();
       var isOverlayFullscreen = (el === this.$el[0]);
       var inst = this.activeInstance;
       var key = isOverlayFullscreen ? 'exitFullscreen' : 'fullscreen';
-      var label;
-      if (inst) {
-        label = str(inst, key);
-      } else if (isOverlayFullscreen) {
-        label = 'Exit fullscreen';
-      } else {
-        label = 'Fullscreen';
-      }
+      var label = str(inst, key);
       if (inst && inst.opts.wcag) {
         this.$fullscreenToggle.attr('aria-label', label);
       }
@@ -2124,21 +4338,48 @@
       }
     },
 
-    close: function () {
+    /**
+     * Close this overlay (and any stacked above it).
+     * @param {boolean} [force] - ignore a cv:close veto; used when a parent viewer closes
+     * @param {Function} [done] - called once the overlay is torn down
+     * @returns {boolean} false when a cv:close listener vetoed the close
+     */
+    close: function (force, done) {
       if (this.$tooltip && this.$tooltip.length) {
         this.$tooltip.removeClass('cv-tooltip-visible').attr('aria-hidden', 'true').remove();
         this.$tooltip = $();
       }
       this._hideShortcutsPopup();
       if (!this.activeInstance) {
-        if (this._bodyOverflow !== null && this._bodyOverflow !== undefined) {
-          document.body.style.overflow = this._bodyOverflow;
-          this._bodyOverflow = null;
+        if (done) {
+          done();
         }
-        return;
+        return true;
+      }
+      if (this._closing) {
+        if (done) {
+          this._closeCallbacks.push(done);
+        }
+        return true;
+      }
+      if (!fireEvent(this.activeInstance, 'close') && !force) {
+        return false;
+      }
+      this._closeCallbacks = done ? [done] : [];
+      this.activeInstance._rejectLoad('CLOSED');
+      /* Nested viewers opened on top of this one close first, so their onClose fires before ours */
+      var stackIdx = overlayStack.indexOf(this);
+      if (stackIdx !== -1) {
+        for (var s = overlayStack.length - 1; s > stackIdx; s--) {
+          overlayStack[s].close(true);
+        }
+        overlayStack.splice(overlayStack.indexOf(this), 1);
+        restackOverlays();
       }
+      this._closing = true;
       var inst = this.activeInstance,
         item = inst.items[inst.idx];
+      inst._clearHistory();
       var hadWcag = inst.opts.wcag;
       if (inst._slideshowTimer) {
         clearTimeout(inst._slideshowTimer); inst._slideshowTimer = null;
@@ -2159,18 +4400,23 @@
       this._applyMinimizedUi(inst, false);
       this._minimizedSnapshot = null;
       this.$el.addClass('cv-closing');
+      $(document).off('visibilitychange.cv-analytics-' + this.uid);
+      endView(inst, 'close', this.$stage);
+      flushAnalytics(inst, 'close');
+      fireEvent(inst, 'cleanup');
       if (typeof inst.opts.onCleanup === 'function' && item) {
         inst.opts.onCleanup(item, inst);
       }
       setTimeout(function () {
-        $(window).off('resize.cv-extract-overlay');
+        $(window).off('resize.cv-extract-overlay-' + self.uid);
+        $(document).off('.cv-pan-' + self.uid).off('.cv-minimap-' + self.uid).off('.cv-overlay-fullscreen-' + self.uid);
         self._destroyCurrent(inst);
+        fireEvent(inst, 'closed', { item: item });
         if (typeof inst.opts.onClose === 'function' && item) {
           inst.opts.onClose(item, inst);
         }
         self.$el.removeClass('cv-visible cv-closing');
-        document.body.style.overflow = !isNullish(self._bodyOverflow) ? self._bodyOverflow : '';
-        self._bodyOverflow = null;
+        syncBodyScrollLock();
         if (hadWcag) {
           self.$el[0].setAttribute('aria-hidden', 'true');
         }
@@ -2191,7 +4437,9 @@
           inst._pendingGateContent = null;
           inst._beforeOpenPhase = null;
         }
-        self.visible = false; self.activeInstance = null;
+        self.visible = false; self.activeInstance = null; self._closing = false;
+        var closeCallbacks = self._closeCallbacks;
+        self._closeCallbacks = [];
         if (hadWcag && self._focusBeforeOpen && typeof self._focusBeforeOpen.focus === 'function') {
           self._focusBeforeOpen.focus();
         }
@@ -2199,6 +4447,8 @@
         if (self._stripMessageTimer) {
           clearTimeout(self._stripMessageTimer); self._stripMessageTimer = null;
         }
+        self._watchColorScheme(false);
+        self._themeVars = null;
         /* Remove overlay from DOM so it is recreated on next open (avoids keeping heavy content in DOM) */
         if (self.$el && self.$el.length) {
           self.$el.remove();
@@ -2207,7 +4457,11 @@
         self.$el = null;
         self.$shell = null; self.$stage = null; self.$stageWrap = null; self.$toolbar = null;
         self.$loader = null; self.$prev = null; self.$next = null; self.$footer = null;
+        for (var c = 0; c < closeCallbacks.length; c++) {
+          closeCallbacks[c]();
+        }
       }, 300);
+      return true;
     },
 
     _enterBeforeOpenLoading: function (instance) {
@@ -2216,6 +4470,7 @@
       this.$loader.addClass('cv-active');
       this.$footer.hide();
       this.$toolbar.empty();
+      this._clearHeaderExtras();
       this.$pollOption.removeClass('cv-active').empty().hide();
       this.$counter.closest('.cv-header-left').hide();
       this.$prev.hide();
@@ -2260,6 +4515,7 @@
       }
       this.$footer.hide();
       this.$toolbar.empty();
+      this._clearHeaderExtras();
       this.$pollOption.removeClass('cv-active').empty().hide();
       this.$loader.removeClass('cv-active');
       this._clearToolbarToggleActiveStates();
@@ -2310,35 +4566,26 @@
         return;
       }
 
+      fireEvent(inst, 'loading');
       if (typeof inst.opts.onLoading === 'function') {
         inst.opts.onLoading(item, inst);
       }
 
+      this._trackView(inst, item);
       this._destroyCurrent(inst);
       this.$stage.empty(); this.$loader.removeClass('cv-active');
       this._clearToolbarToggleActiveStates();
       this._resetZoomPan();
 
-      /* Use .text() so item.title (fileName) is never interpreted as HTML — XSS-safe */
-      this.$title.text(!isNullish(item.title) && item.title !== '' ? String(item.title) : '');
-      this.$counter.text((inst.idx + 1) + ' / ' + inst.items.length);
+      this._syncHeader(inst, item);
+      inst._syncHistory();
       var type = item.type || 'image';
-      /* For type html: hide title/counter when no title given */
-      if (type === 'html') {
-        var hasTitle = (!isNullish(item.title) && item.title !== '');
-        this.$title.closest('.cv-header-center').toggle(hasTitle);
-        this.$counter.closest('.cv-header-left').toggle(hasTitle);
-      } else {
-        this.$title.closest('.cv-header-center').show();
-        this.$counter.closest('.cv-header-left').show();
-      }
-      if (inst.opts.showCounter === false) {
-        this.$counter.closest('.cv-header-left').hide();
-      }
 
       var result = null;
       this._isCustomRendered = false;
       this._isImageItem = false;
+      this._isCompareItem = false;
+      this._isTiledItem = false;
       this._isPdfItem = false;
       this._isHtmlItem = false;
 
@@ -2350,33 +4597,25 @@
         }
       }
 
-      /* 2. Built-in renderers (if onRender didn't handle it) */
+      /* 2. Registered renderers (built-ins included), if onRender didn't handle it */
+      inst._currentRenderer = null;
       if (!this._isCustomRendered) {
-        this._isImageItem = (type === 'image');
-        this._isPdfItem = (type === 'pdf');
-        this._isHtmlItem = (type === 'html');
-        if (type === 'image') {
-          result = builtInImageRenderer(item, this.$stage);
-        } else if (type === 'video') {
-          result = builtInVideoRenderer(item, this.$stage, inst);
-        } else if (type === 'audio') {
-          result = builtInAudioRenderer(item, this.$stage, inst);
-        } else if (type === 'pdf') {
-          result = builtInPdfRenderer(item, this.$stage, inst);
-        } else if (type === 'inline') {
-          result = builtInInlineRenderer(item, this.$stage, inst);
-        } else if (type === 'markdown') {
-          result = builtInMarkdownRenderer(item, this.$stage, inst);
-        } else if (type === 'error') {
-          result = builtInErrorRenderer(item, this.$stage);
-        } else if (type === 'html') {
-          result = builtInHtmlRenderer(item, this.$stage);
+        var renderer = resolveRenderer(item, inst);
+        if (renderer) {
+          /* compare stacks two .cv-image elements and tiled sizes a .cv-image box; both reuse the image zoom / pan */
+          this._isCompareItem = (renderer.type === 'compare');
+          this._isTiledItem = (renderer.type === 'tiled');
+          this._isImageItem = (renderer.type === 'image' || this._isCompareItem || this._isTiledItem);
+          this._isPdfItem = (renderer.type === 'pdf');
+          this._isHtmlItem = (renderer.type === 'html');
+          inst._currentRenderer = { type: renderer.type, def: renderer.def, item: item };
+          result = renderer.def.render(item, this.$stage, inst);
         }
       }
 
       /* 3. Unsupported fallback */
       if (this.$stage.children().length === 0) {
-        builtInUnsupportedRenderer(item, this.$stage);
+        builtInUnsupportedRenderer(item, this.$stage, inst);
       }
 
       /* 3b. PDF: stretch body > stage-wrap > stage so .cv-pdf-main gets a bounded height and can scroll */
@@ -2392,7 +4631,7 @@
       }
 
       /* 4. Light-stage class so nav arrows are visible (image/inline/markdown often have light stage bg) */
-      if (type === 'image' || type === 'inline' || type === 'markdown') {
+      if (type === 'image' || type === 'compare' || type === 'tiled' || type === 'inline' || type === 'markdown') {
         this.$shell.addClass('cv-stage-light-bg');
       } else {
         this.$shell.removeClass('cv-stage-light-bg');
@@ -2435,6 +4674,9 @@
         this.$commentToggle.hide().removeClass('cv-active');
       }
 
+      /* 4c. Info panel (file details, item.metadata, image EXIF / IPTC) */
+      this._syncInfoPanel(inst);
+
       inst._currentResult = result || {};
       if (type === 'inline' && result && result.inlineContent !== null && result.inlineContent !== undefined) {
         inst._inlineContent = result.inlineContent;
@@ -2461,13 +4703,22 @@
       this._updateCarouselSelection(inst);
 
       /* 11. onOpen */
+      fireEvent(inst, 'open', { $stage: this.$stage });
       if (typeof inst.opts.onOpen === 'function') {
         inst.opts.onOpen(item, this.$stage, inst);
       }
 
-      /* 11b. onComplete — after content is displayed (sync when no fade, or after fade-in) */
-      if (!fadeIn && typeof inst.opts.onComplete === 'function') {
-        inst.opts.onComplete(item, inst);
+      /* 11b. onComplete — after content is displayed (sync when no fade, or after fade-in). A result with
+         settlesLoad (built-in image) resolves or rejects the pending Promise itself once the content has loaded. */
+      var settleHere = !(result && result.settlesLoad);
+      if (!fadeIn) {
+        fireEvent(inst, 'complete', { item: item });
+        if (typeof inst.opts.onComplete === 'function') {
+          inst.opts.onComplete(item, inst);
+        }
+        if (settleHere) {
+          inst._settleLoad(item);
+        }
       }
 
       /* 12. Slideshow — only run when not paused by user */
@@ -2479,6 +4730,7 @@
         var intervalMs = (!isNullish(ss.interval) && ss.interval > 0 ? ss.interval : SLIDESHOW_DEFAULT_INTERVAL) * 1000;
         var advanceMedia = ss.advanceMedia === 'onEnd' ? 'onEnd' : 'interval';
         inst._slideshowPlaying = true;
+        trackSlide(inst);
         if (advanceMedia === 'onEnd') {
           var $media = this.$stage.find('video, audio');
           if ($media.length) {
@@ -2486,25 +4738,25 @@
               if (inst._slideshowTimer) {
                 clearTimeout(inst._slideshowTimer); inst._slideshowTimer = null;
               }
-              if (Overlay.activeInstance === inst) {
+              if (inst._overlay.activeInstance === inst) {
                 inst.next({ transition: true });
               }
             });
             inst._slideshowTimer = setTimeout(function () {
-              if (Overlay.activeInstance === inst) {
+              if (inst._overlay.activeInstance === inst) {
                 inst.next({ transition: true });
               }
             }, intervalMs);
           } else {
             inst._slideshowTimer = setTimeout(function () {
-              if (Overlay.activeInstance === inst) {
+              if (inst._overlay.activeInstance === inst) {
                 inst.next({ transition: true });
               }
             }, intervalMs);
           }
         } else {
           inst._slideshowTimer = setTimeout(function () {
-            if (Overlay.activeInstance === inst) {
+            if (inst._overlay.activeInstance === inst) {
               inst.next({ transition: true });
             }
           }, intervalMs);
@@ -2519,6 +4771,7 @@
         }
       } else {
         this._stopSlideshowProgress();
+        analyticsState(inst).slides = null;
       }
 
       if (fadeIn && this.$stage.children().length > 0) {
@@ -2529,20 +4782,113 @@
             self.$stage.addClass('cv-stage-in-visible');
             setTimeout(function () {
               self.$stage.removeClass('cv-stage-in cv-stage-in-visible');
+              fireEvent(inst, 'complete', { item: item });
               if (typeof inst.opts.onComplete === 'function') {
                 inst.opts.onComplete(item, inst);
               }
+              if (settleHere) {
+                inst._settleLoad(item);
+              }
             }, 320);
           });
         });
       }
     },
 
+    /** Analytics: end the previous item's impression and start timing item (re-rendering the same item keeps its view). */
+    _trackView: function (inst, item) {
+      var trigger = inst._analyticsTrigger || 'open';
+      var view = inst._analytics && inst._analytics.view;
+      inst._analyticsTrigger = null;
+      if (view && view.item === item) {
+        return;
+      }
+      endView(inst, trigger, this.$stage);
+      beginView(inst, trigger);
+    },
+
+    /** Page hidden: end the current impression and deliver queued events; visible again: start a new impression. */
+    _onVisibilityChange: function () {
+      var inst = this.activeInstance;
+      if (!inst || !inst.opts || this._closing) {
+        return;
+      }
+      if (document.visibilityState === 'hidden') {
+        if (inst._analytics && inst._analytics.view) {
+          endView(inst, 'hidden', this.$stage);
+          inst._analytics.resume = true;
+        }
+        flushAnalytics(inst, 'hidden');
+      } else if (inst._analytics && inst._analytics.resume && inst.items[inst.idx]) {
+        beginView(inst, 'visible');
+      }
+    },
+
+    /** Title, counter, header slots and their visibility for item (showCounter, untitled html items). */
+    _syncHeader: function (inst, item) {
+      /* Use .text() so item.title (fileName) is never interpreted as HTML — XSS-safe */
+      this.$title.text(!isNullish(item.title) && item.title !== '' ? String(item.title) : '');
+      this.$counter.text(str(inst, 'counter', [inst.idx + 1, inst.items.length]));
+      var hasLeftSlot = this._fillHeaderSlot(this.$headerSlotLeft, inst.opts.headerLeft, inst, item);
+      this._fillHeaderSlot(this.$headerSlotCenter, inst.opts.headerCenter, inst, item);
+      this.$counter.toggle(inst.opts.showCounter !== false);
+      /* For type html: hide title/counter when no title given */
+      if ((item.type || 'image') === 'html') {
+        var hasTitle = (!isNullish(item.title) && item.title !== '');
+        this.$title.closest('.cv-header-center').toggle(hasTitle);
+        this.$counter.closest('.cv-header-left').toggle(hasTitle);
+      } else {
+        this.$title.closest('.cv-header-center').show();
+        this.$counter.closest('.cv-header-left').show();
+      }
+      if (inst.opts.showCounter === false && !hasLeftSlot) {
+        this.$counter.closest('.cv-header-left').hide();
+      }
+      this._syncHeaderItems(inst);
+    },
+
+    /** Custom header buttons (headerItems), rendered like toolbarItems and re-evaluated per item. */
+    _syncHeaderItems: function (inst) {
+      this.$headerItems.empty();
+      this._resolvedHeaderItems = inst.opts.headerItems || [];
+      this._renderToolbarItems(this.$headerItems, this._resolvedHeaderItems, inst);
+      this.$headerItems.toggle(this.$headerItems.children().length > 0);
+    },
+
+    /** Fills a header slot from a string, node or function(item, viewer); returns whether it has content. */
+    _fillHeaderSlot: function ($slot, slot, inst, item) {
+      var content = typeof slot === 'function' ? slot(item, inst) : slot;
+      $slot.empty();
+      if (isNullish(content) || content === '' || content === false) {
+        $slot.hide();
+        return false;
+      }
+      if (typeof content === 'string' || typeof content === 'number') {
+        $slot.text(String(content));
+      } else {
+        $slot.append(content);
+      }
+      $slot.show();
+      return true;
+    },
+
+    _clearHeaderExtras: function () {
+      this.$headerSlotLeft.empty().hide();
+      this.$headerSlotCenter.empty().hide();
+      this.$headerItems.empty().hide();
+      this._resolvedHeaderItems = [];
+    },
+
     _destroyCurrent: function (inst) {
       if (inst._currentResult && typeof inst._currentResult.destroy === 'function') {
         inst._currentResult.destroy();
       }
       inst._currentResult = null;
+      var renderer = inst._currentRenderer;
+      if (renderer && typeof renderer.def.destroy === 'function') {
+        renderer.def.destroy(renderer.item, inst);
+      }
+      inst._currentRenderer = null;
     },
 
     _startSlideshowProgress: function (intervalMs) {
@@ -2597,7 +4943,7 @@
             inst._slideshowPaused = false;
             inst._slideshowPlaying = true;
             inst._slideshowTimer = setTimeout(function () {
-              if (Overlay.activeInstance === inst) {
+              if (self.activeInstance === inst) {
                 inst.next({ transition: true });
               }
             }, intervalMs);
@@ -2704,6 +5050,7 @@
       } else {
         /* built-in renderer or default */
         var rendererTb = (result && result.toolbar) ? result.toolbar : [];
+        rendererTb = rendererTb.concat(getRendererToolbar(inst._currentRenderer, inst.items[inst.idx], inst, result));
         var items = [];
 
         if (rendererTb.length) {
@@ -2786,6 +5133,80 @@
           });
         }
 
+        /* Built-in image: fit-mode menu (toolbar.fit) */
+        if (showZoom && !this._isCompareItem && tbOpts.fit !== false) {
+          var $fit = $('<select class="cv-image-fit-select"></select>');
+          for (var fi = 0; fi < IMAGE_FIT_MODES.length; fi++) {
+            $fit.append($('<option></option>').attr('value', IMAGE_FIT_MODES[fi]).text(str(inst, IMAGE_FIT_KEYS[IMAGE_FIT_MODES[fi]])));
+          }
+          $fit.val(this._fitMode());
+          $fit.attr('aria-label', str(inst, 'fitMode'));
+          if (inst.opts.canShowTooltip !== false) {
+            $fit.attr('data-cv-tooltip', str(inst, 'fitMode'));
+          }
+          $fit.on('change', function () {
+            self._setImageFit(this.value);
+          });
+          if (items.length > 0) {
+            items.push('separator');
+          }
+          items.push($fit[0]);
+        }
+
+        /* Built-in image: rotate and flip buttons (toolbar.rotate / toolbar.flip) */
+        if (this._isImageItem && !this._isCompareItem) {
+          var orientItems = [];
+          if (tbOpts.rotate === true) {
+            orientItems.push(
+              { id: 'rotate-left', icon: Icons.rotateCcw, label: str(inst, 'rotateLeft'), showLabel: false, className: 'cv-tb-rotate-left', onClick: function () {
+                self._rotateImage(-90);
+              } },
+              { id: 'rotate-right', icon: Icons.rotateCw, label: str(inst, 'rotateRight'), showLabel: false, className: 'cv-tb-rotate-right', onClick: function () {
+                self._rotateImage(90);
+              } }
+            );
+          }
+          if (tbOpts.flip === true) {
+            orientItems.push(
+              { id: 'flip-horizontal', icon: Icons.flipHorizontal, label: str(inst, 'flipHorizontal'), showLabel: false, className: 'cv-tb-flip-horizontal', onClick: function () {
+                self._flipImage('x');
+              } },
+              { id: 'flip-vertical', icon: Icons.flipVertical, label: str(inst, 'flipVertical'), showLabel: false, className: 'cv-tb-flip-vertical', onClick: function () {
+                self._flipImage('y');
+              } }
+            );
+          }
+          if (orientItems.length) {
+            if (items.length > 0) {
+              items.push('separator');
+            }
+            items = items.concat(orientItems);
+          }
+        }
+
+        /* Animated image: playback controls once its frames are decoded (animation.enabled) */
+        if (this._isImageItem && this._animation && this._animation.isReady()) {
+          if (items.length > 0) {
+            items.push('separator');
+          }
+          items = items.concat(this._animation.toolbarItems());
+        }
+
+        /* Built-in image: Annotate toggle (annotate.enabled); while it is on, the markup tools follow it */
+        var annotator = this._annotator;
+        if (annotator) {
+          if (items.length > 0) {
+            items.push('separator');
+          }
+          items.push({ id: 'annotate', icon: Icons.annotate, label: str(inst, 'annotate'), showLabel: false, onClick: function () {
+            annotator.setActive(!annotator.isActive());
+            self._resolveToolbar(inst, inst._currentResult || {});
+          } });
+          if (annotator.isActive()) {
+            items = items.concat(annotator.toolbarItems());
+          }
+        }
+
         /* Image: Extract text button when toolbar.extractText is true and host provides canShowExtractText + extractText */
         if (currentType === 'image' || (!currentType && this._isImageItem)) {
           var canShowFn = inst.opts.canShowExtractText;
@@ -2833,7 +5254,7 @@
                                   width: syncMetrics.cw,
                                   height: syncMetrics.ch,
                                   transformOrigin: '50% 50%',
-                                  transform: 'translate(-50%, -50%) translate(' + (self._panX || 0) + 'px,' + (self._panY || 0) + 'px) scale(' + (self._zoom || 1) + ')'
+                                  transform: self._imageTransform(imgEl)
                                 });
                               }
                               $wrap.append($overlay);
@@ -2853,663 +5274,2658 @@
           }
         }
 
-        /* onToolbar callback — let customer modify */
-        if (typeof inst.opts.onToolbar === 'function') {
-          var modified = inst.opts.onToolbar(inst.items[inst.idx], items.slice(), inst);
-          if ($.isArray(modified)) {
-            items = modified;
-          }
-        }
+        /* onToolbar callback — let customer modify */
+        if (typeof inst.opts.onToolbar === 'function') {
+          var modified = inst.opts.onToolbar(inst.items[inst.idx], items.slice(), inst);
+          if (Array.isArray(modified)) {
+            items = modified;
+          }
+        }
+
+        /* Show download button only if toolbar.download is enabled and item has a download URL (from itemData) */
+        var ci = inst.items[inst.idx];
+        var showDownload = (tbOpts.download !== false) && getItemDownloadUrl(ci, inst);
+        this._buildToolbar(inst, items, showDownload);
+        if (annotator) {
+          annotator.syncToolbar();
+        }
+      }
+
+      var hasContent = this.$toolbar.children().length > 0 || showZoom;
+      this.$footer.toggle(hasContent);
+    },
+
+    _updatePollOption: function (inst, item) {
+      var opts = inst.opts.pollOption;
+      this.$pollOption.removeClass('cv-active').empty();
+      if (this._isHtmlItem) {
+        return;
+      }
+      if (!opts || !opts.enabled || isNullish(item.pollOptionLabel) || String(item.pollOptionLabel).trim() === '') {
+        return;
+      }
+
+      var mode = (opts.mode === 'checkbox') ? 'checkbox' : 'radio';
+      var value = (!isNullish(item.pollOptionId)) ? String(item.pollOptionId) : ('idx-' + inst.idx);
+
+      if (mode === 'radio') {
+        if (inst._pollSelectedValue === undefined) {
+          inst._pollSelectedValue = null;
+        }
+      } else if (!inst._pollSelectedSet) {
+        inst._pollSelectedSet = new Set();
+      }
+
+      var isSelected = item.pollOptionSelected === true || item.pollOptionSelected === 'true' || item.pollOptionSelected === 1;
+      if (isSelected) {
+        if (mode === 'radio') {
+          inst._pollSelectedValue = value;
+      } else {
+          inst._pollSelectedSet.add(value);
+        }
+      }
+
+      var isChecked = mode === 'radio' ?
+        (inst._pollSelectedValue === value) :
+        inst._pollSelectedSet.has(value);
+
+      var radioName = 'cv-poll-' + inst.id;
+      var inputId = 'cv-poll-input-' + inst.id + '-' + value.replace(/[^a-z0-9-]/gi, '-');
+      var inputHtml = mode === 'radio' ?
+        '<input type="radio" name="' + escHtml(radioName) + '" value="' + escHtml(value) + '" id="' + escHtml(inputId) + '"' + (isChecked ? ' checked' : '') + '>' :
+        '<input type="checkbox" id="' + escHtml(inputId) + '" value="' + escHtml(value) + '"' + (isChecked ? ' checked' : '') + '>';
+
+      var updatedText = str(inst, 'pollUpdated');
+      var $wrap = $(
+        '<div class="cv-poll-option-inner">' +
+          '<label class="cv-poll-option-label-wrap">' + inputHtml +
+          '<span class="cv-poll-option-label">' + escHtml(String(item.pollOptionLabel)) + '</span></label>' +
+          '<span class="cv-poll-option-updated cv-hidden" aria-live="polite">' + escHtml(updatedText) + '</span>' +
+        '</div>'
+      );
+      this.$pollOption.append($wrap).addClass('cv-active');
+
+      var $updatedSpan = $wrap.find('.cv-poll-option-updated');
+      $wrap.find('input').on('change', function () {
+        var checked = this.checked;
+        if (!fireEvent(inst, 'pollselect', { item: item, selected: checked, element: item.$el ? item.$el[0] : null })) {
+          this.checked = !checked;
+          return;
+        }
+        if (mode === 'radio') {
+          inst._pollSelectedValue = checked ? value : null;
+        } else if (checked) {
+          inst._pollSelectedSet.add(value);
+        } else {
+          inst._pollSelectedSet.delete(value);
+        }
+        if (typeof opts.onSelect === 'function') {
+          opts.onSelect(item, checked, inst, item.$el ? item.$el[0] : null);
+        }
+        $updatedSpan.removeClass('cv-hidden');
+        clearTimeout(inst._pollUpdatedTimer);
+        inst._pollUpdatedTimer = setTimeout(function () {
+          $updatedSpan.addClass('cv-hidden');
+        }, 3000);
+      });
+    },
+
+    _buildToolbar: function (inst, items, showDownload) {
+      var $tb = this.$toolbar;
+      $tb.empty();
+      this._resolvedToolbarItems = items || [];
+
+      this._renderToolbarItems($tb, items, inst);
+
+      if (showDownload) {
+        if ($tb.children().length > 0) {
+          $tb.append('<span class="cv-tb-sep"></span>');
+        }
+        var dlTitle = (inst.opts.canShowTooltip !== false) ? (' data-cv-tooltip="' + escHtml(str(inst, 'download')) + '"') : '';
+        var $dl = $('<button class="cv-tb-btn cv-tb-download" type="button"' + dlTitle + '>' + Icons.download + '</button>');
+        $dl.on('click', function (e) {
+          e.preventDefault();
+          performDownload(inst.items[inst.idx], inst);
+        });
+        $tb.append($dl);
+      }
+    },
+
+    _isToolbarBtnVisible: function (sel) {
+      var $b = this.$toolbar.find(sel);
+      return $b.length && $b.is(':visible');
+    },
+
+    /** Remove cv-active from all toolbar toggle-style buttons (extract text, PDF extract, two-page, carousel, comment, info). Call when disabling or clearing content. */
+    _clearToolbarToggleActiveStates: function () {
+      if (this.$toolbar && this.$toolbar.length) {
+        this.$toolbar.find('.cv-tb-extract-text, .cv-tb-pdf-extract, .cv-tb-pdf-twopage').removeClass('cv-active');
+      }
+      if (this.$carouselToggle && this.$carouselToggle.length) {
+        this.$carouselToggle.removeClass('cv-active');
+      }
+      if (this.$commentToggle && this.$commentToggle.length) {
+        this.$commentToggle.removeClass('cv-active');
+      }
+      if (this.$infoToggle && this.$infoToggle.length) {
+        this.$infoToggle.removeClass('cv-active');
+      }
+    },
+
+    _getShortcutsList: function (inst) {
+      var list = [];
+      if (!inst || !inst.opts.keyboardNav) {
+        return list;
+      }
+      var self = this;
+      var opts = inst.opts;
+      var currentItem = inst.items[inst.idx];
+      var tbOpts = opts.toolbar || {};
+      var keymap = resolveKeymap(inst);
+      var add = function (action, label) {
+        var keys = [];
+        for (var k = 0; k < keymap[action].length; k++) {
+          keys.push(self._keyBindingDisplay(keymap[action][k], inst));
+        }
+        if (keys.length) {
+          list.push({ key: keys.join(' / '), label: label });
+        }
+      };
+
+      add('close', str(inst, 'close'));
+      if (inst.items.length > 1) {
+        add('prev', str(inst, 'previousItem'));
+        add('next', str(inst, 'nextItem'));
+      }
+      if ((this._isImageItem && !this._isCustomRendered && tbOpts.zoom !== false) || (this._isPdfItem && this.$toolbar.find('.cv-tb-pdf-zoom-in').length)) {
+        add('zoomIn', str(inst, 'zoomIn'));
+        add('zoomOut', str(inst, 'zoomOut'));
+      }
+      if (this._isImageItem && !this._isCustomRendered && !this._isCompareItem) {
+        add('actualSize', str(inst, 'fitActual'));
+      }
+      if (this._isToolbarBtnVisible('.cv-tb-rotate-left')) {
+        add('rotateLeft', str(inst, 'rotateLeft'));
+        add('rotateRight', str(inst, 'rotateRight'));
+      }
+      if (this._isToolbarBtnVisible('.cv-tb-flip-horizontal')) {
+        add('flipHorizontal', str(inst, 'flipHorizontal'));
+        add('flipVertical', str(inst, 'flipVertical'));
+      }
+      if (this._isToolbarBtnVisible('.cv-tb-annotate-undo')) {
+        add('undo', str(inst, 'undo'));
+        add('redo', str(inst, 'redo'));
+      }
+      if (this._isToolbarBtnVisible('.cv-tb-pdf-print')) {
+        add('print', str(inst, 'print'));
+      }
+      var hasBuiltInMedia = !this._isCustomRendered && this.$stage.find('.jp-play, .jp-pause, .jp-mute, .jp-unmute, .cv-native-video, .cv-native-audio').length > 0;
+      if (hasBuiltInMedia) {
+        add('playPause', str(inst, 'playPause'));
+        add('mute', str(inst, 'muteUnmute'));
+        add('speed', str(inst, 'cyclePlaybackSpeed'));
+      } else if (!this._isCustomRendered && this._animation && this._animation.isReady()) {
+        add('playPause', str(inst, 'playPause'));
+        add('speed', str(inst, 'cyclePlaybackSpeed'));
+      }
+      if (this.$stage.find('.cv-jp-hd').length) {
+        add('hd', str(inst, 'toggleHd'));
+      }
+      if (this._isToolbarBtnVisible('.cv-tb-download')) {
+        add('download', str(inst, 'download'));
+      }
+      if (opts.fullscreen !== false && this.$fullscreenToggle.length && this.$fullscreenToggle.is(':visible')) {
+        var fsEl = getFullscreenElement();
+        add('fullscreen', fsEl === this.$el[0] ? str(inst, 'exitFullscreen') : str(inst, 'fullscreen'));
+      }
+      if (opts.themeToggle !== false && this.$themeToggle.length && this.$themeToggle.is(':visible')) {
+        add('theme', str(inst, 'toggleTheme'));
+      }
+      if (opts.carousel && opts.carousel.enabled && this.$carouselToggle.length && this.$carouselToggle.is(':visible')) {
+        add('carousel', str(inst, 'attachments'));
+      }
+      if (infoEnabled(inst) && this.$infoToggle.is(':visible')) {
+        add('info', str(inst, 'toggleInfo'));
+      }
+      if (opts.slideshow && opts.slideshow.enabled && inst.items.length > 1 && this.$toolbar.find('.cv-slideshow-btn').length) {
+        add('slideshow', str(inst, 'toggleSlideshow'));
+      }
+      var rendererShortcuts = getRendererShortcuts(inst._currentRenderer, currentItem, inst);
+      for (var r = 0; r < rendererShortcuts.length; r++) {
+        list.push({ key: this._shortcutKeyDisplay(rendererShortcuts[r].key, inst), label: rendererShortcuts[r].label });
+      }
+      var reserved = reservedShortcutKeys(inst);
+      var items = (this._resolvedToolbarItems || []).concat(this._resolvedHeaderItems || []);
+      for (var i = 0; i < items.length; i++) {
+        var tbItem = items[i];
+        if (tbItem === 'separator' || tbItem === '-' || tbItem instanceof HTMLElement || tbItem instanceof $) {
+          continue;
+        }
+        if (!tbItem.shortcutKey) {
+          continue;
+        }
+        var isVisible = true;
+        if (typeof tbItem.visible === 'function') {
+          isVisible = tbItem.visible(currentItem, inst);
+        } else if (tbItem.visible === false) {
+          isVisible = false;
+        }
+        if (!isVisible) {
+          continue;
+        }
+        var sk = String(tbItem.shortcutKey).toLowerCase().charAt(0);
+        if (sk && !reserved[sk]) {
+          list.push({ key: this._shortcutKeyDisplay(sk, inst), label: tbItem.label || (tbItem.id ? String(tbItem.id) : sk) });
+        }
+      }
+      if (opts.shortcutsPopup !== false) {
+        add('shortcuts', str(inst, 'showShortcuts'));
+      }
+      return list;
+    },
+
+    _showMediaStateFeedback: function (type) {
+      var $wrap = this.$stage.find('.cv-video-wrap, .cv-img-wrap').first();
+      if (!$wrap.length) {
+        return;
+      }
+      $wrap.find('.cv-jp-state-feedback').remove();
+      var svg = '';
+      if (type === 'play') {
+        svg = '<svg width="24" height="24" viewBox="0 0 24 24" fill="currentColor"><polygon points="5 3 19 12 5 21"/></svg>';
+      } else if (type === 'pause') {
+        svg = '<svg width="24" height="24" viewBox="0 0 24 24" fill="currentColor"><rect x="6" y="4" width="4" height="16"/><rect x="14" y="4" width="4" height="16"/></svg>';
+      } else if (type === 'mute') {
+        svg = '<svg width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><polygon points="11 5 6 9 2 9 2 15 6 15 11 19 11 5"/><line x1="23" y1="9" x2="17" y2="15"/><line x1="17" y1="9" x2="23" y2="15"/></svg>';
+      } else if (type === 'unmute') {
+        svg = '<svg width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><polygon points="11 5 6 9 2 9 2 15 6 15 11 19 11 5"/><path d="M19.07 4.93a10 10 0 0 1 0 14.14"/><path d="M15.54 8.46a5 5 0 0 1 0 7.07"/></svg>';
+          } else {
+        return;
+      }
+      var $el = $('<div class="cv-jp-state-feedback">' + svg + '</div>');
+      $wrap.append($el);
+      var t1 = setTimeout(function () {
+        $el.addClass('cv-jp-state-feedback-out');
+      }, 900);
+      setTimeout(function () {
+        clearTimeout(t1);
+        $el.remove();
+      }, 1300);
+    },
+
+    _showStripMessage: function (text, durationMs) {
+      if (!this.$stripMessage || !this.$stripMessage.length) {
+        return;
+      }
+      if (this._stripMessageTimer) {
+        clearTimeout(this._stripMessageTimer);
+        this._stripMessageTimer = null;
+      }
+      var ms = (durationMs != null && durationMs > 0) ? durationMs : 2000;
+      this.$stripMessage.text(text).addClass('cv-strip-visible');
+      var self = this;
+      this._stripMessageTimer = setTimeout(function () {
+        self.$stripMessage.removeClass('cv-strip-visible');
+        self._stripMessageTimer = null;
+      }, ms);
+    },
+
+    _shortcutKeyDisplay: function (key, inst) {
+      var lower = key.toLowerCase();
+      if (key === ' ') {
+        return str(inst, 'keySpace');
+      }
+      if (lower === 'escape') {
+        return str(inst, 'keyEscape');
+      }
+      var arrows = { arrowleft: '←', arrowright: '→', arrowup: '↑', arrowdown: '↓' };
+      if (arrows[lower]) {
+        return arrows[lower];
+      }
+      return key.length === 1 ? key.toUpperCase() : key.charAt(0).toUpperCase() + key.slice(1);
+    },
+
+    /** Display text for a parsed keymap binding, e.g. 'Ctrl+Shift+D'. */
+    _keyBindingDisplay: function (b, inst) {
+      var parts = [];
+      if (b.ctrl) {
+        parts.push('Ctrl');
+      }
+      if (b.alt) {
+        parts.push('Alt');
+      }
+      if (b.shift) {
+        parts.push('Shift');
+      }
+      if (b.meta) {
+        parts.push('Meta');
+      }
+      parts.push(this._shortcutKeyDisplay(b.key, inst));
+      return parts.join('+');
+    },
+
+    _showShortcutsPopup: function () {
+      var self = this;
+      var inst = this.activeInstance;
+      if (!inst) {
+        return;
+      }
+      this._focusBeforeShortcutsPopup = document.activeElement;
+      var list = this._getShortcutsList(inst);
+      var title = str(inst, 'keyboardShortcuts');
+      var useWcag = Boolean(inst.opts.wcag);
+      var html = '<div class="cv-shortcuts-popup-inner"' + (useWcag ? ' tabindex="-1"' : '') + '><div class="cv-shortcuts-popup-title">' + escHtml(title) + '</div><ul class="cv-shortcuts-list">';
+      for (var i = 0; i < list.length; i++) {
+        html += '<li><kbd>' + escHtml(list[i].key) + '</kbd> <span>' + escHtml(list[i].label) + '</span></li>';
+      }
+      html += '</ul>';
+      if (useWcag) {
+        html += '<button type="button" class="cv-shortcuts-popup-close" aria-label="' + escHtml(str(inst, 'close')) + '">' + escHtml(str(inst, 'close')) + '</button>';
+      }
+      html += '</div>';
+      this.$shortcutsPopup.html(html).addClass('cv-open').attr('aria-hidden', 'false');
+      if (useWcag) {
+        this.$shortcutsPopup.attr('aria-modal', 'true');
+        var $closeBtn = this.$shortcutsPopup.find('.cv-shortcuts-popup-close');
+        if ($closeBtn.length) {
+          $closeBtn.on('click', function () {
+            self._hideShortcutsPopup();
+          });
+        }
+      }
+      this.$shortcutsPopup.off('click.cv-shortcuts').on('click.cv-shortcuts', function (e) {
+        if (e.target === self.$shortcutsPopup[0] || $(e.target).closest('.cv-shortcuts-popup-inner').length === 0) {
+          self._hideShortcutsPopup();
+        }
+      });
+      if (useWcag) {
+        var $focusTarget = this.$shortcutsPopup.find('.cv-shortcuts-popup-close');
+        if ($focusTarget.length) {
+          $focusTarget[0].focus();
+        } else {
+          this.$shortcutsPopup.find('.cv-shortcuts-popup-inner')[0].focus();
+        }
+      }
+      if (inst._slideshowTimer) {
+        clearTimeout(inst._slideshowTimer);
+        inst._slideshowTimer = null;
+        inst._slideshowHeldByShortcutsPopup = true;
+        this._stopSlideshowProgress();
+      }
+    },
+
+    _hideShortcutsPopup: function () {
+      var hadFocus = this._focusBeforeShortcutsPopup;
+      this.$shortcutsPopup.removeClass('cv-open').attr('aria-hidden', 'true').removeAttr('aria-modal').empty();
+      this._focusBeforeShortcutsPopup = null;
+      if (hadFocus && typeof hadFocus.focus === 'function') {
+        try {
+          hadFocus.focus();
+        } catch (err) {}
+      }
+      var inst = this.activeInstance;
+      if (inst && inst._slideshowHeldByShortcutsPopup) {
+        inst._slideshowHeldByShortcutsPopup = false;
+        var ss = inst.opts.slideshow;
+        if (ss && ss.enabled && inst.items.length > 1 && !inst._slideshowPaused && (ss.autoStart !== false || inst._slideshowPlaying)) {
+          var intervalMs = (!isNullish(ss.interval) && ss.interval > 0 ? ss.interval : SLIDESHOW_DEFAULT_INTERVAL) * 1000;
+          inst._slideshowTimer = setTimeout(function () {
+            if (inst._overlay.activeInstance === inst) {
+              inst.next({ transition: true });
+            }
+          }, intervalMs);
+          if (ss.showProgress) {
+            this._startSlideshowProgress(intervalMs);
+          }
+        }
+      }
+    },
+
+    _renderToolbarItems: function ($tb, items, inst) {
+      if (!items || !items.length) {
+        return;
+      }
+      var currentItem = inst.items[inst.idx];
+
+      for (var i = 0; i < items.length; i++) {
+        var tbItem = items[i];
+        if (tbItem === 'separator' || tbItem === '-') {
+          $tb.append('<span class="cv-tb-sep"></span>'); continue;
+        }
+        if (tbItem instanceof HTMLElement || tbItem instanceof $) {
+          $tb.append(tbItem); continue;
+        }
+
+        var isVisible = true;
+        if (typeof tbItem.visible === 'function') {
+          isVisible = tbItem.visible(currentItem, inst);
+        } else if (tbItem.visible === false) {
+          isVisible = false;
+        }
+        if (!isVisible) {
+          continue;
+        }
+
+        var iconHtml = '';
+        if (tbItem.icon) {
+          if (tbItem.icon.charAt(0) === '<') {
+            iconHtml = sanitizeIconHtml(tbItem.icon);
+          } else {
+            iconHtml = '<i class="cv-tb-icon ' + escHtml(tbItem.icon) + '"></i>';
+          }
+        }
+        var label = tbItem.label || '';
+        var tooltipText = (!isNullish(tbItem.tooltip) && tbItem.tooltip !== '') ? String(tbItem.tooltip) : label;
+        var showTooltip = inst.opts.canShowTooltip !== false && tooltipText !== '';
+        var ariaLabel = (tooltipText || (tbItem.id ? String(tbItem.id) : '')) && inst.opts.wcag ? ' aria-label="' + escHtml(tooltipText || tbItem.id || '') + '"' : '';
+        var dataTooltip = showTooltip ? ' data-cv-tooltip="' + escHtml(tooltipText) + '"' : '';
+        var btnHtml = iconHtml;
+        if (tbItem.showLabel && label) {
+          btnHtml += ' <span class="cv-tb-label">' + escHtml(label) + '</span>';
+        }
+
+        var shortcutAttr = '';
+        if (!isNullish(tbItem.shortcutKey) && String(tbItem.shortcutKey).trim() !== '') {
+          var sk = String(tbItem.shortcutKey).toLowerCase().charAt(0);
+          if (sk) {
+            shortcutAttr = ' data-cv-shortcut="' + escHtml(sk) + '"';
+          }
+        }
+        var $btn = $(
+          '<button class="cv-tb-btn' +
+            (tbItem.id ? ' cv-tb-' + escHtml(String(tbItem.id)) : '') +
+            (tbItem.className ? ' ' + escHtml(String(tbItem.className)) : '') +
+          '" type="button"' + shortcutAttr + dataTooltip + ariaLabel + '>' + btnHtml + '</button>'
+        );
+        if (typeof tbItem.onClick === 'function') {
+          (function (fn, btn) {
+            btn.on('click', function (e) {
+              e.preventDefault(); fn(inst.items[inst.idx], inst);
+            });
+          }(tbItem.onClick, $btn));
+        }
+        $tb.append($btn);
+      }
+    }
+  };
+
+  /* --- IMAGE EXTRACT-TEXT OVERLAY --- */
+
+  function parsePositiveDim (v) {
+    if (v === null || v === undefined || v === '') {
+      return 0;
+    }
+    var n = (typeof v === 'number') ? v : parseFloat(String(v).replace(/,/g, ''));
+    return (isFinite(n) && n > 0) ? n : 0;
+  }
+
+  /** Axis-aligned bbox from 4 (or N) corner points — order-independent vs fixed [tl,tr,br,bl]. */
+  function extractWordBboxFromBox (box) {
+    if (!box || !box.length) {
+      return null;
+    }
+    var minX = Infinity;
+    var minY = Infinity;
+    var maxX = -Infinity;
+    var maxY = -Infinity;
+    for (var i = 0; i < box.length; i++) {
+      var pt = box[i];
+      if (!pt || pt.length < 2) {
+        continue;
+      }
+      var x = Number(pt[0]);
+      var y = Number(pt[1]);
+      if (isNaN(x) || isNaN(y)) {
+        continue;
+      }
+      minX = Math.min(minX, x);
+      minY = Math.min(minY, y);
+      maxX = Math.max(maxX, x);
+      maxY = Math.max(maxY, y);
+    }
+    if (!isFinite(minX) || !isFinite(minY)) {
+      return null;
+    }
+    return { x: minX, y: minY, w: Math.max(0, maxX - minX), h: Math.max(0, maxY - minY) };
+  }
+
+  function scanLinesMaxExtents (lines) {
+    var maxX = 0;
+    var maxY = 0;
+    for (var i = 0, il = lines.length; i < il; i++) {
+      var line = lines[i];
+      if (!line || !line.length) {
+        continue;
+      }
+      for (var w = 0, wl = line.length; w < wl; w++) {
+        var box = (line[w] && line[w].box) || [];
+        for (var b = 0; b < box.length; b++) {
+          var pt = box[b];
+          if (!pt || pt.length < 2) {
+            continue;
+          }
+          var x = Number(pt[0]);
+          var y = Number(pt[1]);
+          if (!isNaN(x)) {
+            maxX = Math.max(maxX, x);
+          }
+          if (!isNaN(y)) {
+            maxY = Math.max(maxY, y);
+          }
+        }
+      }
+    }
+    return { maxX: maxX, maxY: maxY };
+  }
+
+  /**
+   * Map OCR coords to the on-screen &lt;img&gt; element.
+   * .cv-image uses object-fit:contain — letterboxing inside clientWidth × clientHeight.
+   */
+  /** Natural pixel size of a stage .cv-image: the img's own, or data-cv-natural-width / -height on a tiled image box. */
+  function getNaturalSize (el) {
+    var w = el && (el.naturalWidth || parseFloat(el.getAttribute('data-cv-natural-width')));
+    var h = el && (el.naturalHeight || parseFloat(el.getAttribute('data-cv-natural-height')));
+    return (w && h) ? { width: w, height: h } : null;
+  }
+
+  function getCvImageContentMetrics (imgEl) {
+    /* Force layout so clientWidth/height match current box (offset read must run before client*) */
+    var reflowTrigger = imgEl.offsetWidth + imgEl.offsetHeight;
+    if (!isFinite(reflowTrigger)) {
+      return null;
+    }
+    var natural = getNaturalSize(imgEl);
+    var nw = natural && natural.width;
+    var nh = natural && natural.height;
+    var cw = imgEl.clientWidth;
+    var ch = imgEl.clientHeight;
+    if (!nw || !nh || !cw || !ch) {
+      return null;
+    }
+    var fitScale = Math.min(cw / nw, ch / nh);
+    var dispW = nw * fitScale;
+    var dispH = nh * fitScale;
+    return {
+      nw: nw,
+      nh: nh,
+      cw: cw,
+      ch: ch,
+      fitScale: fitScale,
+      dispW: dispW,
+      dispH: dispH,
+      offsetX: (cw - dispW) / 2,
+      offsetY: (ch - dispH) / 2
+    };
+  }
+
+  function resolveOcrReferenceSize (data, resp, lines, nw, nh) {
+    var refW = parsePositiveDim(
+      data.imageWidth || data.sourceWidth || data.width || data.pageWidth ||
+      data.ocrWidth || (resp && (resp.imageWidth || resp.sourceWidth || resp.width))
+    );
+    var refH = parsePositiveDim(
+      data.imageHeight || data.sourceHeight || data.height || data.pageHeight ||
+      data.ocrHeight || (resp && (resp.imageHeight || resp.sourceHeight || resp.height))
+    );
+    if (!refW) {
+      refW = nw;
+    }
+    if (!refH) {
+      refH = nh;
+    }
+    /* OCR often runs on the full file while the viewer shows a smaller preview — coords can exceed naturalWidth */
+    var ext = scanLinesMaxExtents(lines);
+    if (ext.maxX > nw + 0.5) {
+      refW = Math.max(refW, ext.maxX);
+    }
+    if (ext.maxY > nh + 0.5) {
+      refH = Math.max(refH, ext.maxY);
+    }
+    return { refW: refW, refH: refH };
+  }
+
+  function buildExtractOverlay ($img, resp) {
+    var data = (resp && resp.data) || {};
+    var lines = data.lines || (resp && resp.lines);
+    if (!lines || !lines.length) {
+      return null;
+    }
+    var el = $img[0];
+    if (!el) {
+      return null;
+    }
+    var m = getCvImageContentMetrics(el);
+    if (!m) {
+      return null;
+    }
+    var ref = resolveOcrReferenceSize(data, resp, lines, m.nw, m.nh);
+    /* Scale from OCR pixel space → displayed &lt;img&gt; CSS pixels (then object-fit offsets) */
+    var sx = m.fitScale * (m.nw / ref.refW);
+    var sy = m.fitScale * (m.nh / ref.refH);
+    var HEIGHT_PAD = 5;
+    var html = '';
+    var fsMin = 8;
+    for (var i = 0, len = lines.length; i < len; i++) {
+      var line = lines[i];
+      if (!line || !line.length) {
+        continue;
+      }
+      for (var w = 0, wl = line.length; w < wl; w++) {
+        var info = line[w];
+        var box = (info && info.box) || [];
+        var bb = extractWordBboxFromBox(box);
+        if (!bb) {
+          continue;
+        }
+        var left = Math.round(m.offsetX + bb.x * sx);
+        var top = Math.round(m.offsetY + (bb.y - 2) * sy);
+        var width = Math.round(bb.w * sx);
+        var rawH = bb.h;
+        var height = Math.round((rawH + HEIGHT_PAD) * sy);
+        var fs = Math.max(fsMin, Math.floor((rawH - HEIGHT_PAD) * sy));
+        var br = (w === wl - 1) ? '<br>' : '';
+        html += '<span class="cv-extract-word" style="left:' + left + 'px;top:' + top + 'px;width:' + width + 'px;height:' + height + 'px;font-size:' + fs + 'px">' + escHtml((info && info.word) || '') + ' ' + br + '</span>';
+      }
+    }
+    if (!html) {
+      return null;
+    }
+    var $overlay = $('<div class="cv-extract-overlay"><div class="cv-extract-layer">' + html + '</div></div>');
+    $overlay.find('.cv-extract-layer').css({
+      width: m.cw,
+      height: m.ch
+    });
+    return $overlay;
+  }
+
+  function removeExtractOverlay ($stage) {
+    $stage.find('.cv-extract-overlay').remove();
+  }
 
-        /* Show download button only if toolbar.download is enabled and item has a download URL (from itemData) */
-        var ci = inst.items[inst.idx];
-        var showDownload = (tbOpts.download !== false) && getItemDownloadUrl(ci, inst);
-        this._buildToolbar(inst, items, showDownload);
+  /* --- IMAGE METADATA --- */
+
+  /* EXIF tag id -> field, per IFD */
+  var EXIF_TAGS = {
+    ifd0: { 0x010F: 'make', 0x0110: 'model', 0x0131: 'software', 0x013B: 'artist', 0x8298: 'copyright', 0x0132: 'dateTime' },
+    exif: { 0x829A: 'exposureTime', 0x829D: 'fNumber', 0x8827: 'iso', 0x9003: 'dateTaken', 0x920A: 'focalLength', 0xA001: 'colorSpace', 0xA434: 'lens' },
+    gps: { 1: 'latitudeRef', 2: 'latitude', 3: 'longitudeRef', 4: 'longitude', 5: 'altitudeRef', 6: 'altitude' }
+  }; /* No I18N */
+  var EXIF_IFD_POINTER = 0x8769;
+  var GPS_IFD_POINTER = 0x8825;
+  /* TIFF field type -> byte size (BYTE, ASCII, SHORT, LONG, RATIONAL, UNDEFINED, SLONG, SRATIONAL) */
+  var TIFF_TYPE_SIZES = { 1: 1, 2: 1, 3: 2, 4: 4, 5: 8, 7: 1, 9: 4, 10: 8 };
+  /* IPTC-IIM record 2 dataset -> field */
+  var IPTC_TAGS = { 5: 'title', 25: 'keywords', 80: 'creator', 90: 'city', 101: 'country', 105: 'headline', 110: 'credit', 115: 'source', 116: 'copyright', 120: 'caption' }; /* No I18N */
+  var EXIF_COLOR_SPACES = { 1: 'sRGB', 2: 'Adobe RGB' }; /* No I18N */
+
+  function infoEnabled (inst) {
+    var o = inst && inst.opts.info;
+    return Boolean(o && o.enabled === true);
+  }
+
+  /** Bytes as a Latin-1 string, stopping at the first NUL. */
+  function readByteString (view, start, len) {
+    var s = '';
+    for (var i = 0; i < len; i++) {
+      var c = view.getUint8(start + i);
+      if (c === 0) {
+        break;
       }
+      s += String.fromCharCode(c);
+    }
+    return s;
+  }
 
-      var hasContent = this.$toolbar.children().length > 0 || showZoom;
-      this.$footer.toggle(hasContent);
-    },
+  function decodeUtf8 (s) {
+    try {
+      return decodeURIComponent(escape(s));
+    } catch (e) {
+      return s;
+    }
+  }
 
-    _updatePollOption: function (inst, item) {
-      var opts = inst.opts.pollOption;
-      this.$pollOption.removeClass('cv-active').empty();
-      if (this._isHtmlItem) {
-        return;
+  /** EXIF TIFF block at base: 0th IFD, then the Exif and GPS sub-IFDs it points to. */
+  function readExifTiff (view, base, meta) {
+    var le = view.getUint16(base) === 0x4949;
+    function u16 (o) {
+      return view.getUint16(o, le);
+    }
+    function u32 (o) {
+      return view.getUint32(o, le);
+    }
+    function readValue (entry) {
+      var type = u16(entry + 2);
+      var count = u32(entry + 4);
+      var size = TIFF_TYPE_SIZES[type];
+      if (!size) {
+        return null;
       }
-      if (!opts || !opts.enabled || isNullish(item.pollOptionLabel) || String(item.pollOptionLabel).trim() === '') {
-        return;
+      var at = size * count > 4 ? base + u32(entry + 8) : entry + 8;
+      if (type === 2) {
+        return decodeUtf8(readByteString(view, at, count)).trim();
+      }
+      var vals = [];
+      for (var i = 0; i < count && i < 8; i++) {
+        var o = at + i * size;
+        if (type === 3) {
+          vals.push(u16(o));
+        } else if (type === 4) {
+          vals.push(u32(o));
+        } else if (type === 9) {
+          vals.push(view.getInt32(o, le));
+        } else if (type === 5 || type === 10) {
+          var num = type === 5 ? u32(o) : view.getInt32(o, le);
+          var den = type === 5 ? u32(o + 4) : view.getInt32(o + 4, le);
+          vals.push(den ? num / den : 0);
+        } else {
+          vals.push(view.getUint8(o));
+        }
+      }
+      return count === 1 ? vals[0] : vals;
+    }
+    function readIfd (offset, tags, out) {
+      var pointers = {};
+      var n = u16(base + offset);
+      for (var i = 0; i < n; i++) {
+        var entry = base + offset + 2 + i * 12;
+        var tag = u16(entry);
+        if (tag === EXIF_IFD_POINTER || tag === GPS_IFD_POINTER) {
+          pointers[tag] = u32(entry + 8);
+        } else if (tags[tag]) {
+          var v = readValue(entry);
+          if (!isNullish(v) && v !== '') {
+            out[tags[tag]] = v;
+          }
+        }
       }
+      return pointers;
+    }
+    var ptr = readIfd(u32(base + 4), EXIF_TAGS.ifd0, meta);
+    if (ptr[EXIF_IFD_POINTER]) {
+      readIfd(ptr[EXIF_IFD_POINTER], EXIF_TAGS.exif, meta);
+    }
+    if (ptr[GPS_IFD_POINTER]) {
+      meta.gps = {};
+      readIfd(ptr[GPS_IFD_POINTER], EXIF_TAGS.gps, meta.gps);
+    }
+  }
 
-      var mode = (opts.mode === 'checkbox') ? 'checkbox' : 'radio';
-      var value = (!isNullish(item.pollOptionId)) ? String(item.pollOptionId) : ('idx-' + inst.idx);
+  function readIptc (view, start, end, meta) {
+    var iptc = meta.iptc || (meta.iptc = {});
+    var o = start;
+    while (o + 5 <= end && view.getUint8(o) === 0x1C) {
+      var len = view.getUint16(o + 3);
+      var field = view.getUint8(o + 1) === 2 && IPTC_TAGS[view.getUint8(o + 2)];
+      if (field) {
+        var v = decodeUtf8(readByteString(view, o + 5, len)).trim();
+        if (field === 'keywords') {
+          (iptc.keywords = iptc.keywords || []).push(v);
+        } else {
+          iptc[field] = v;
+        }
+      }
+      o += 5 + len;
+    }
+  }
 
-      if (mode === 'radio') {
-        if (inst._pollSelectedValue === undefined) {
-          inst._pollSelectedValue = null;
+  /** Photoshop image resources (JPEG APP13): the IPTC block is resource 0x0404. */
+  function readPhotoshopResources (view, start, end, meta) {
+    var o = start;
+    while (o + 12 <= end && readByteString(view, o, 4) === '8BIM') {
+      var id = view.getUint16(o + 4);
+      var nameLen = view.getUint8(o + 6);
+      var p = o + 7 + nameLen + ((nameLen + 1) % 2);
+      var size = view.getUint32(p);
+      p += 4;
+      if (id === 0x0404) {
+        readIptc(view, p, Math.min(p + size, end), meta);
+      }
+      o = p + size + (size % 2);
+    }
+  }
+
+  /** Profile description ('desc' tag, v2 text or v4 multi-localized) of an ICC profile at start. */
+  function readIccDescription (view, start, end) {
+    var count = view.getUint32(start + 128);
+    for (var i = 0; i < count && start + 144 + i * 12 <= end; i++) {
+      var t = start + 132 + i * 12;
+      if (readByteString(view, t, 4) !== 'desc') {
+        continue;
+      }
+      var at = start + view.getUint32(t + 4);
+      if (at + 28 > end) {
+        return '';
+      }
+      var type = readByteString(view, at, 4);
+      if (type === 'desc') {
+        return readByteString(view, at + 12, Math.min(view.getUint32(at + 8), end - at - 12)).trim();
+      }
+      if (type === 'mluc') {
+        var len = view.getUint32(at + 20);
+        var from = at + view.getUint32(at + 24);
+        var s = '';
+        for (var j = 0; j + 1 < len && from + j + 2 <= end; j += 2) {
+          s += String.fromCharCode(view.getUint16(from + j));
         }
-      } else if (!inst._pollSelectedSet) {
-        inst._pollSelectedSet = new Set();
+        return s.replace(/\0+$/, '').trim();
       }
+    }
+    return '';
+  }
 
-      var isSelected = item.pollOptionSelected === true || item.pollOptionSelected === 'true' || item.pollOptionSelected === 1;
-      if (isSelected) {
-        if (mode === 'radio') {
-          inst._pollSelectedValue = value;
-      } else {
-          inst._pollSelectedSet.add(value);
+  /**
+   * EXIF, GPS, IPTC and colour profile from JPEG (APP1 / APP13 / APP2) or PNG (eXIf / iCCP / sRGB) bytes.
+   * Unknown formats give {}; a truncated or malformed block keeps whatever was read before it.
+   */
+  function readImageMetadata (buffer) {
+    var meta = {};
+    try {
+      var view = new DataView(buffer);
+      var len = view.byteLength;
+      var o;
+      if (len > 4 && view.getUint16(0) === 0xFFD8) {
+        o = 2;
+        while (o + 4 <= len) {
+          var marker = view.getUint16(o);
+          if ((marker & 0xFF00) !== 0xFF00 || marker === 0xFFDA || marker === 0xFFD9) {
+            break;
+          }
+          var start = o + 4;
+          var end = Math.min(o + 2 + view.getUint16(o + 2), len);
+          if (marker === 0xFFE1 && readByteString(view, start, 6) === 'Exif') {
+            readExifTiff(view, start + 6, meta);
+          } else if (marker === 0xFFED && readByteString(view, start, 14) === 'Photoshop 3.0') {
+            readPhotoshopResources(view, start + 14, end, meta);
+          } else if (marker === 0xFFE2 && readByteString(view, start, 12) === 'ICC_PROFILE' && view.getUint8(start + 12) === 1) {
+            meta.iccProfile = readIccDescription(view, start + 14, end);
+          }
+          o = end;
+        }
+      } else if (len > 8 && view.getUint32(0) === 0x89504E47) {
+        o = 8;
+        while (o + 8 <= len) {
+          var size = view.getUint32(o);
+          var type = readByteString(view, o + 4, 4);
+          if (type === 'eXIf') {
+            readExifTiff(view, o + 8, meta);
+          } else if (type === 'iCCP') {
+            meta.iccProfile = readByteString(view, o + 8, Math.min(size, 79));
+          } else if (type === 'sRGB' && !meta.iccProfile) {
+            meta.iccProfile = 'sRGB';
+          } else if (type === 'IEND') {
+            break;
+          }
+          o += 12 + size;
         }
       }
+    } catch (e) {}
+    return meta;
+  }
 
-      var isChecked = mode === 'radio' ?
-        (inst._pollSelectedValue === value) :
-        inst._pollSelectedSet.has(value);
+  /** Bytes requested for the info panel's EXIF / IPTC read. */
+  var IMAGE_METADATA_BYTES = 131072;
 
-      var radioName = 'cv-poll-' + inst.id;
-      var inputId = 'cv-poll-input-' + inst.id + '-' + value.replace(/[^a-z0-9-]/gi, '-');
-      var inputHtml = mode === 'radio' ?
-        '<input type="radio" name="' + escHtml(radioName) + '" value="' + escHtml(value) + '" id="' + escHtml(inputId) + '"' + (isChecked ? ' checked' : '') + '>' :
-        '<input type="checkbox" id="' + escHtml(inputId) + '" value="' + escHtml(value) + '"' + (isChecked ? ' checked' : '') + '>';
+  /**
+   * Metadata for url, fetched once per viewer: { done, meta, promise }. meta stays null when the file cannot be read
+   * (network error, missing CORS headers).
+   */
+  function loadImageMetadata (inst, url) {
+    var cache = inst._imageMetadata || (inst._imageMetadata = {});
+    if (!cache[url]) {
+      var entry = cache[url] = { done: false, meta: null };
+      /* EXIF / IPTC sit near the start of the file; a server that ignores Range sends the whole body, which parses the same */
+      entry.promise = fetch(url, { method: 'GET', credentials: 'include', headers: { Range: 'bytes=0-' + (IMAGE_METADATA_BYTES - 1) } })
+        .then(function (r) {
+          if (!r.ok) {
+            throw new Error(String(r.status));
+          }
+          return r.arrayBuffer();
+        })
+        .then(readImageMetadata)
+        .catch(function () {
+          return null;
+        })
+        .then(function (meta) {
+          entry.done = true;
+          entry.meta = meta;
+          return meta;
+        });
+    }
+    return cache[url];
+  }
 
-      var updatedText = str(inst, 'pollUpdated');
-      var $wrap = $(
-        '<div class="cv-poll-option-inner">' +
-          '<label class="cv-poll-option-label-wrap">' + inputHtml +
-          '<span class="cv-poll-option-label">' + escHtml(String(item.pollOptionLabel)) + '</span></label>' +
-          '<span class="cv-poll-option-updated cv-hidden" aria-live="polite">' + escHtml(updatedText) + '</span>' +
-        '</div>'
-      );
-      this.$pollOption.append($wrap).addClass('cv-active');
+  /** 'YYYY:MM:DD HH:MM:SS' in the viewer locale; the raw value when it does not parse. */
+  function formatExifDate (value, inst) {
+    var m = /^(\d{4}):(\d{2}):(\d{2})[ T](\d{2}):(\d{2})(?::(\d{2}))?/.exec(String(value));
+    if (!m) {
+      return String(value);
+    }
+    var d = new Date(+m[1], m[2] - 1, +m[3], +m[4], +m[5], +(m[6] || 0));
+    try {
+      return d.toLocaleString(inst.opts.locale || undefined);
+    } catch (e) {
+      return d.toLocaleString();
+    }
+  }
 
-      var $updatedSpan = $wrap.find('.cv-poll-option-updated');
-      $wrap.find('input').on('change', function () {
-        var checked = this.checked;
-        if (mode === 'radio') {
-          inst._pollSelectedValue = checked ? value : null;
-        } else if (checked) {
-          inst._pollSelectedSet.add(value);
-        } else {
-          inst._pollSelectedSet.delete(value);
-        }
-        if (typeof opts.onSelect === 'function') {
-          opts.onSelect(item, checked, inst, item.$el ? item.$el[0] : null);
-        }
-        $updatedSpan.removeClass('cv-hidden');
-        clearTimeout(inst._pollUpdatedTimer);
-        inst._pollUpdatedTimer = setTimeout(function () {
-          $updatedSpan.addClass('cv-hidden');
-        }, 3000);
-      });
-    },
+  function gpsDegrees (dms, ref) {
+    if (!Array.isArray(dms) || dms.length < 3) {
+      return NaN;
+    }
+    var deg = dms[0] + dms[1] / 60 + dms[2] / 3600;
+    return ref === 'S' || ref === 'W' ? -deg : deg;
+  }
 
-    _buildToolbar: function (inst, items, showDownload) {
-      var $tb = this.$toolbar;
-      $tb.empty();
-      this._resolvedToolbarItems = items || [];
+  function roundTo (v, places) {
+    var f = Math.pow(10, places);
+    return Math.round(v * f) / f;
+  }
 
-      this._renderToolbarItems($tb, items, inst);
+  /**
+   * Info panel sections as [{ title, rows: [[label, value]] }]: file details and natural size, then (when meta is given)
+   * camera, location and IPTC description, then item.metadata. Empty values and sections are left out.
+   */
+  function buildInfoSections (inst, item, size, meta) {
+    var sections = [];
+    var rows;
+    function add (key, value) {
+      if (!isNullish(value) && value === value && String(value) !== '') {
+        rows.push([str(inst, key), String(value)]);
+      }
+    }
+    function section (key) {
+      if (rows.length) {
+        sections.push({ title: str(inst, key), rows: rows });
+      }
+      rows = [];
+    }
+    meta = meta || {};
+    var iptc = meta.iptc || {};
+    var gps = meta.gps || {};
+    rows = [];
+    add('infoName', item.title);
+    add('infoType', item.mimeType || (item.fileExt ? String(item.fileExt).toUpperCase() : null));
+    add('infoSize', item.fileSize);
+    if (size) {
+      add('infoDimensions', str(inst, 'infoDimensionsValue', [size.width, size.height]));
+    }
+    add('infoColorProfile', meta.iccProfile || EXIF_COLOR_SPACES[meta.colorSpace]);
+    section('infoSectionFile');
+    var make = meta.make || '';
+    var model = meta.model || '';
+    add('infoCamera', model.indexOf(make) === 0 ? model : (make + ' ' + model).trim());
+    add('infoLens', meta.lens);
+    add('infoDateTaken', meta.dateTaken || meta.dateTime ? formatExifDate(meta.dateTaken || meta.dateTime, inst) : null);
+    if (typeof meta.exposureTime === 'number' && meta.exposureTime > 0) {
+      add('infoExposure', (meta.exposureTime >= 1 ? roundTo(meta.exposureTime, 1) : '1/' + Math.round(1 / meta.exposureTime)) + ' s'); // No I18N
+    }
+    if (typeof meta.fNumber === 'number' && meta.fNumber > 0) {
+      add('infoAperture', 'f/' + roundTo(meta.fNumber, 1)); // No I18N
+    }
+    add('infoIso', Array.isArray(meta.iso) ? meta.iso[0] : meta.iso);
+    if (typeof meta.focalLength === 'number' && meta.focalLength > 0) {
+      add('infoFocalLength', roundTo(meta.focalLength, 1) + ' mm'); // No I18N
+    }
+    add('infoSoftware', meta.software);
+    section('infoSectionCamera');
+    var lat = gpsDegrees(gps.latitude, gps.latitudeRef);
+    var lon = gpsDegrees(gps.longitude, gps.longitudeRef);
+    if (isFinite(lat) && isFinite(lon)) {
+      add('infoCoordinates', roundTo(lat, 6) + ', ' + roundTo(lon, 6));
+    }
+    if (typeof gps.altitude === 'number') {
+      add('infoAltitude', roundTo(gps.altitudeRef === 1 ? -gps.altitude : gps.altitude, 1) + ' m'); // No I18N
+    }
+    add('infoCity', iptc.city);
+    add('infoCountry', iptc.country);
+    section('infoSectionLocation');
+    add('infoTitle', iptc.title);
+    add('infoHeadline', iptc.headline);
+    add('infoCaption', iptc.caption);
+    add('infoKeywords', iptc.keywords ? iptc.keywords.join(', ') : null);
+    add('infoCreator', iptc.creator || meta.artist);
+    add('infoCopyright', meta.copyright || iptc.copyright);
+    add('infoCredit', iptc.credit);
+    add('infoSource', iptc.source);
+    section('infoSectionDescription');
+    var md = item.metadata;
+    if (md && typeof md === 'object') {
+      for (var k in md) {
+        if (Object.prototype.hasOwnProperty.call(md, k) && !isNullish(md[k]) && md[k] !== '') {
+          var v = md[k];
+          rows.push([k, Array.isArray(v) ? v.join(', ') : (typeof v === 'object' ? JSON.stringify(v) : String(v))]);
+        }
+      }
+    }
+    section('infoSectionDetails');
+    return sections;
+  }
 
-      if (showDownload) {
-        if ($tb.children().length > 0) {
-          $tb.append('<span class="cv-tb-sep"></span>');
-        }
-        var dlTitle = (inst.opts.canShowTooltip !== false) ? (' data-cv-tooltip="' + escHtml(str(inst, 'download')) + '"') : '';
-        var $dl = $('<button class="cv-tb-btn cv-tb-download" type="button"' + dlTitle + '>' + Icons.download + '</button>');
-        $dl.on('click', function (e) {
-          e.preventDefault();
-          performDownload(inst.items[inst.idx], inst);
-        });
-        $tb.append($dl);
-      }
-    },
+  /* --- IMAGE ANNOTATIONS --- */
 
-    _isToolbarBtnVisible: function (sel) {
-      var $b = this.$toolbar.find(sel);
-      return $b.length && $b.is(':visible');
-    },
+  var SVG_NS = 'http://www.w3.org/2000/svg'; // No I18N
+  var ANNOTATE_TOOLS = ['pen', 'arrow', 'rect', 'text', 'highlight'];
+  /* Tool -> string key; the icon uses the same key */
+  var ANNOTATE_TOOL_KEYS = { pen: 'annotatePen', arrow: 'annotateArrow', rect: 'annotateRect', text: 'annotateText', highlight: 'annotateHighlight' }; /* No I18N */
+  var ANNOTATE_COLORS = ['#e53935', '#fdd835', '#43a047', '#1e88e5', '#212121', '#ffffff'];
+  var ANNOTATE_FONT = 'Arial, Helvetica, sans-serif'; // No I18N
+  var HIGHLIGHT_WIDTH_FACTOR = 4;
+  var HIGHLIGHT_OPACITY = 0.35;
 
-    /** Remove cv-active from all toolbar toggle-style buttons (extract text, PDF extract, two-page, carousel, comment). Call when disabling or clearing content. */
-    _clearToolbarToggleActiveStates: function () {
-      if (this.$toolbar && this.$toolbar.length) {
-        this.$toolbar.find('.cv-tb-extract-text, .cv-tb-pdf-extract, .cv-tb-pdf-twopage').removeClass('cv-active');
-      }
-      if (this.$carouselToggle && this.$carouselToggle.length) {
-        this.$carouselToggle.removeClass('cv-active');
-      }
-      if (this.$commentToggle && this.$commentToggle.length) {
-        this.$commentToggle.removeClass('cv-active');
-      }
-    },
+  function annotateEnabled (inst) {
+    var a = inst && inst.opts.annotate;
+    return Boolean(a && a.enabled === true);
+  }
 
-    _getShortcutsList: function (inst) {
-      var list = [];
-      if (!inst || !inst.opts.keyboardNav) {
-        return list;
-      }
-      var opts = inst.opts;
-      var currentItem = inst.items[inst.idx];
-      var tbOpts = opts.toolbar || {};
+  function roundImagePx (v) {
+    return Math.round(v * 10) / 10;
+  }
 
-      list.push({ key: 'Escape', label: str(inst, 'close') });
-      if (inst.items.length > 1) {
-        if (this._isRtl(inst)) {
-          list.push({ key: 'ArrowLeft', label: str(inst, 'nextItem') });
-          list.push({ key: 'ArrowRight', label: str(inst, 'previousItem') });
-        } else {
-          list.push({ key: 'ArrowLeft', label: str(inst, 'previousItem') });
-          list.push({ key: 'ArrowRight', label: str(inst, 'nextItem') });
-        }
-      }
-      if (this._isImageItem && !this._isCustomRendered && tbOpts.zoom !== false) {
-        list.push({ key: '+', label: str(inst, 'zoomIn') });
-        list.push({ key: '-', label: str(inst, 'zoomOut') });
-      }
-      if (this._isPdfItem && this.$toolbar.find('.cv-tb-pdf-zoom-in').length) {
-        list.push({ key: '+', label: str(inst, 'zoomIn') });
-        list.push({ key: '-', label: str(inst, 'zoomOut') });
-      }
-      if (this._isToolbarBtnVisible('.cv-tb-pdf-print')) {
-        list.push({ key: 'p', label: str(inst, 'print') });
-      }
-      var hasBuiltInMedia = !this._isCustomRendered && this.$stage.find('.jp-play, .jp-pause, .jp-mute, .jp-unmute, .cv-native-video, .cv-native-audio').length > 0;
-      if (hasBuiltInMedia) {
-        list.push({ key: ' ', label: str(inst, 'playPause') });
-        list.push({ key: 'm', label: str(inst, 'muteUnmute') });
-        list.push({ key: 'r', label: str(inst, 'cyclePlaybackSpeed') });
-      }
-      if (this.$stage.find('.cv-jp-hd').length) {
-        list.push({ key: 'q', label: str(inst, 'toggleHd') });
-      }
-      if (this._isToolbarBtnVisible('.cv-tb-download')) {
-        list.push({ key: 'd', label: str(inst, 'download') });
-      }
-      if (opts.fullscreen !== false && this.$fullscreenToggle.length && this.$fullscreenToggle.is(':visible')) {
-        var fsEl = getFullscreenElement();
-        list.push({ key: 'f', label: fsEl === this.$el[0] ? str(inst, 'exitFullscreen') : str(inst, 'fullscreen') });
+  /** Screen offset from the image center -> image-pixel offset: undo the scale s, then the flip, then the rotation applied by _imageTransform. */
+  function unprojectImageOffset (dx, dy, s, rotation, flipX, flipY) {
+    var ux = dx / s * (flipX ? -1 : 1);
+    var uy = dy / s * (flipY ? -1 : 1);
+    var rad = -(rotation || 0) * Math.PI / 180;
+    return [ux * Math.cos(rad) - uy * Math.sin(rad), ux * Math.sin(rad) + uy * Math.cos(rad)];
+  }
+
+  /** Valid shapes from item.annotations, copied so drawing never mutates the host's array. */
+  function normalizeAnnotationShapes (list) {
+    var out = [];
+    if (!Array.isArray(list)) {
+      return out;
+    }
+    for (var i = 0; i < list.length; i++) {
+      var sh = list[i];
+      if (!sh || ANNOTATE_TOOLS.indexOf(sh.type) === -1 || !Array.isArray(sh.points)) {
+        continue;
       }
-      if (opts.themeToggle !== false && this.$themeToggle.length && this.$themeToggle.is(':visible')) {
-        list.push({ key: 't', label: str(inst, 'toggleTheme') });
+      var pts = [];
+      for (var j = 0; j < sh.points.length; j++) {
+        var p = sh.points[j];
+        var x = Array.isArray(p) ? parseFloat(p[0]) : NaN;
+        var y = Array.isArray(p) ? parseFloat(p[1]) : NaN;
+        if (isFinite(x) && isFinite(y)) {
+          pts.push([x, y]);
+        }
       }
-      if (opts.carousel && opts.carousel.enabled && this.$carouselToggle.length && this.$carouselToggle.is(':visible')) {
-        list.push({ key: 'c', label: str(inst, 'attachments') });
+      if (!pts.length || (sh.type === 'text' && (isNullish(sh.text) || String(sh.text) === ''))) {
+        continue;
       }
-      if (opts.slideshow && opts.slideshow.enabled && inst.items.length > 1 && this.$toolbar.find('.cv-slideshow-btn').length) {
-        list.push({ key: 's', label: str(inst, 'toggleSlideshow') });
+      var copy = { type: sh.type, color: isNullish(sh.color) ? ANNOTATE_COLORS[0] : String(sh.color), points: pts };
+      if (sh.type === 'text') {
+        copy.text = String(sh.text);
+        copy.size = parseFloat(sh.size) > 0 ? parseFloat(sh.size) : 18;
+      } else {
+        copy.width = parseFloat(sh.width) > 0 ? parseFloat(sh.width) : 3;
       }
-      var items = this._resolvedToolbarItems || [];
-      for (var i = 0; i < items.length; i++) {
-        var tbItem = items[i];
-        if (tbItem === 'separator' || tbItem === '-' || tbItem instanceof HTMLElement || tbItem instanceof $) {
-          continue;
-        }
-        if (!tbItem.shortcutKey) {
-          continue;
-        }
-        var isVisible = true;
-        if (typeof tbItem.visible === 'function') {
-          isVisible = tbItem.visible(currentItem, inst);
-        } else if (tbItem.visible === false) {
-          isVisible = false;
-        }
-        if (!isVisible) {
-          continue;
-        }
-        var sk = String(tbItem.shortcutKey).toLowerCase().charAt(0);
-        if (sk && !RESERVED_SHORTCUT_KEYS[sk]) {
-          list.push({ key: sk, label: tbItem.label || (tbItem.id ? String(tbItem.id) : sk) });
+      out.push(copy);
+    }
+    return out;
+  }
+
+  /** Stroked shapes as polylines: pen / highlight are their points, rect its outline, arrow the shaft plus the head. */
+  function annotationPolylines (sh) {
+    var p = sh.points;
+    var a = p[0];
+    var b = p[p.length - 1];
+    if (sh.type === 'rect') {
+      return [[a, [b[0], a[1]], b, [a[0], b[1]], a]];
+    }
+    if (sh.type === 'arrow') {
+      var len = sh.width * 4;
+      var ang = Math.atan2(b[1] - a[1], b[0] - a[0]);
+      var left = [b[0] - len * Math.cos(ang - Math.PI / 6), b[1] - len * Math.sin(ang - Math.PI / 6)];
+      var right = [b[0] - len * Math.cos(ang + Math.PI / 6), b[1] - len * Math.sin(ang + Math.PI / 6)];
+      return [[a, b], [left, b, right]];
+    }
+    return [p.length > 1 ? p : [a, a]];
+  }
+
+  function annotationShapeNode (sh) {
+    var el;
+    if (sh.type === 'text') {
+      el = document.createElementNS(SVG_NS, 'text');
+      el.setAttribute('x', sh.points[0][0]);
+      el.setAttribute('y', sh.points[0][1]);
+      el.setAttribute('fill', sh.color);
+      el.setAttribute('font-size', sh.size);
+      el.setAttribute('font-family', ANNOTATE_FONT);
+      el.setAttribute('dominant-baseline', 'hanging');
+      el.textContent = sh.text;
+      return el;
+    }
+    var lines = annotationPolylines(sh);
+    var d = [];
+    for (var i = 0; i < lines.length; i++) {
+      for (var j = 0; j < lines[i].length; j++) {
+        d.push((j ? 'L' : 'M') + lines[i][j][0] + ' ' + lines[i][j][1]);
+      }
+    }
+    el = document.createElementNS(SVG_NS, 'path');
+    el.setAttribute('d', d.join(' '));
+    el.setAttribute('fill', 'none');
+    el.setAttribute('stroke', sh.color);
+    el.setAttribute('stroke-width', sh.width);
+    el.setAttribute('stroke-linecap', 'round');
+    el.setAttribute('stroke-linejoin', 'round');
+    if (sh.type === 'highlight') {
+      el.setAttribute('stroke-opacity', HIGHLIGHT_OPACITY);
+    }
+    return el;
+  }
+
+  /** Same drawing as annotationShapeNode, on a 2D canvas context in image pixels (PNG export). */
+  function drawAnnotationShape (ctx, sh) {
+    ctx.save();
+    ctx.globalAlpha = sh.type === 'highlight' ? HIGHLIGHT_OPACITY : 1;
+    if (sh.type === 'text') {
+      ctx.fillStyle = sh.color;
+      ctx.font = sh.size + 'px ' + ANNOTATE_FONT;
+      ctx.textBaseline = 'hanging';
+      ctx.fillText(sh.text, sh.points[0][0], sh.points[0][1]);
+    } else {
+      var lines = annotationPolylines(sh);
+      ctx.strokeStyle = sh.color;
+      ctx.lineWidth = sh.width;
+      ctx.lineCap = 'round';
+      ctx.lineJoin = 'round';
+      ctx.beginPath();
+      for (var i = 0; i < lines.length; i++) {
+        for (var j = 0; j < lines[i].length; j++) {
+          ctx[j ? 'lineTo' : 'moveTo'](lines[i][j][0], lines[i][j][1]);
         }
       }
-      if (opts.shortcutsPopup !== false) {
-        list.push({ key: '?', label: str(inst, 'showShortcuts') });
+      ctx.stroke();
+    }
+    ctx.restore();
+  }
+
+  /**
+   * PNG of the loaded image at its natural size with shapes drawn on top; shapes are in baseW x baseH pixels (the first
+   * load, before any high-res swap). done(null) when canvas is unavailable or tainted by a cross-origin image.
+   */
+  function exportAnnotatedPng (imgEl, shapes, baseW, baseH, done) {
+    var w = imgEl.naturalWidth;
+    var h = imgEl.naturalHeight;
+    var canvas = document.createElement('canvas');
+    var ctx = (w && h && typeof canvas.toBlob === 'function') ? canvas.getContext('2d') : null;
+    if (!ctx) {
+      done(null);
+      return;
+    }
+    canvas.width = w;
+    canvas.height = h;
+    try {
+      ctx.drawImage(imgEl, 0, 0, w, h);
+      ctx.scale(w / baseW, h / baseH);
+      for (var i = 0; i < shapes.length; i++) {
+        drawAnnotationShape(ctx, shapes[i]);
       }
-      return list;
-    },
+      canvas.toBlob(function (blob) {
+        done(blob || null);
+      }, 'image/png');
+    } catch (err) {
+      done(null);
+    }
+  }
 
-    _showMediaStateFeedback: function (type) {
-      var $wrap = this.$stage.find('.cv-video-wrap').first();
-      if (!$wrap.length) {
-        return;
+  /**
+   * Markup layer for one built-in image: an SVG in the image's natural pixel space that gets the image transform, so marks
+   * stay on their pixels through zoom, pan, rotate and flip. Returns the controller the overlay toolbar drives.
+   */
+  function createAnnotator (ov, inst, item, $wrap, $img) {
+    var aOpts = inst.opts.annotate || {};
+    var tools = Array.isArray(aOpts.tools) ? aOpts.tools.filter(function (t) {
+      return ANNOTATE_TOOLS.indexOf(t) !== -1;
+    }) : [];
+    if (!tools.length) {
+      tools = ANNOTATE_TOOLS.slice();
+    }
+    var colors = (Array.isArray(aOpts.colors) && aOpts.colors.length) ? aOpts.colors.map(String) : ANNOTATE_COLORS;
+    var lineWidth = parseFloat(aOpts.lineWidth) > 0 ? parseFloat(aOpts.lineWidth) : 3;
+    var fontSize = parseFloat(aOpts.fontSize) > 0 ? parseFloat(aOpts.fontSize) : 18;
+    var imgEl = $img[0];
+    var dragNs = '.cv-annotate-' + ov.uid;
+    var active = false;
+    var tool = tools[0];
+    var color = isNullish(aOpts.color) ? colors[0] : String(aOpts.color);
+    var shapes = normalizeAnnotationShapes(item.annotations);
+    var undoStack = [];
+    var redoStack = [];
+    var draft = null;
+    var $textInput = null;
+    var textAt = null;
+    var baseW = 0;
+    var baseH = 0;
+
+    var svg = document.createElementNS(SVG_NS, 'svg');
+    svg.setAttribute('class', 'cv-annotate-layer');
+    $wrap.append(svg);
+
+    function render () {
+      while (svg.firstChild) {
+        svg.removeChild(svg.firstChild);
       }
-      $wrap.find('.cv-jp-state-feedback').remove();
-      var svg = '';
-      if (type === 'play') {
-        svg = '<svg width="24" height="24" viewBox="0 0 24 24" fill="currentColor"><polygon points="5 3 19 12 5 21"/></svg>';
-      } else if (type === 'pause') {
-        svg = '<svg width="24" height="24" viewBox="0 0 24 24" fill="currentColor"><rect x="6" y="4" width="4" height="16"/><rect x="14" y="4" width="4" height="16"/></svg>';
-      } else if (type === 'mute') {
-        svg = '<svg width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><polygon points="11 5 6 9 2 9 2 15 6 15 11 19 11 5"/><line x1="23" y1="9" x2="17" y2="15"/><line x1="17" y1="9" x2="23" y2="15"/></svg>';
-      } else if (type === 'unmute') {
-        svg = '<svg width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><polygon points="11 5 6 9 2 9 2 15 6 15 11 19 11 5"/><path d="M19.07 4.93a10 10 0 0 1 0 14.14"/><path d="M15.54 8.46a5 5 0 0 1 0 7.07"/></svg>';
-          } else {
-        return;
+      for (var i = 0; i < shapes.length; i++) {
+        svg.appendChild(annotationShapeNode(shapes[i]));
       }
-      var $el = $('<div class="cv-jp-state-feedback">' + svg + '</div>');
-      $wrap.append($el);
-      var t1 = setTimeout(function () {
-        $el.addClass('cv-jp-state-feedback-out');
-      }, 900);
-      setTimeout(function () {
-        clearTimeout(t1);
-        $el.remove();
-      }, 1300);
-    },
-
-    _showStripMessage: function (text, durationMs) {
-      if (!this.$stripMessage || !this.$stripMessage.length) {
-        return;
+      if (draft) {
+        svg.appendChild(annotationShapeNode(draft));
       }
-      if (this._stripMessageTimer) {
-        clearTimeout(this._stripMessageTimer);
-        this._stripMessageTimer = null;
+    }
+
+    /** Screen pixels per image pixel at the current zoom. */
+    function screenScale () {
+      var m = getCvImageContentMetrics(imgEl);
+      if (!m || !baseW) {
+        return 0;
       }
-      var ms = (durationMs != null && durationMs > 0) ? durationMs : 2000;
-      this.$stripMessage.text(text).addClass('cv-strip-visible');
-      var self = this;
-      this._stripMessageTimer = setTimeout(function () {
-        self.$stripMessage.removeClass('cv-strip-visible');
-        self._stripMessageTimer = null;
-      }, ms);
-    },
+      return (ov._zoom || 1) * ov._fitScale(imgEl) * (m.dispW / baseW);
+    }
 
-    _shortcutKeyDisplay: function (key) {
-      if (key === ' ') {
-        return 'Space';
+    /** Client point -> image pixels, clamped to the image. */
+    function toImagePoint (clientX, clientY) {
+      var s = screenScale();
+      if (!s) {
+        return null;
       }
-      if (key === 'Escape') {
-        return 'Esc';
+      var r = svg.getBoundingClientRect();
+      var d = unprojectImageOffset(clientX - (r.left + r.width / 2), clientY - (r.top + r.height / 2), s, ov._rotation, ov._flipX, ov._flipY);
+      return [roundImagePx(Math.max(0, Math.min(baseW, baseW / 2 + d[0]))), roundImagePx(Math.max(0, Math.min(baseH, baseH / 2 + d[1])))];
+    }
+
+    function pointerOf (e) {
+      var oe = e.originalEvent || e;
+      return (oe.touches && oe.touches[0]) || (oe.changedTouches && oe.changedTouches[0]) || oe;
+    }
+
+    function commit (next) {
+      undoStack.push(shapes);
+      shapes = next;
+      redoStack = [];
+      render();
+      api.syncToolbar();
+    }
+
+    function closeText () {
+      var $t = $textInput;
+      $textInput = null;
+      textAt = null;
+      if ($t) {
+        $t.remove();
       }
-      if (key === 'ArrowLeft') {
-        return '←';
+    }
+
+    function commitText () {
+      if (!$textInput) {
+        return;
       }
-      if (key === 'ArrowRight') {
-        return '→';
+      var val = String($textInput.val() || '').trim();
+      var at = textAt;
+      closeText();
+      if (val) {
+        commit(shapes.concat([{ type: 'text', color: at.color, points: [at.point], text: val, size: roundImagePx(at.size) }]));
       }
-      return key.length === 1 ? key.toUpperCase() : key;
-    },
+    }
 
-    _showShortcutsPopup: function () {
-      var self = this;
-      var inst = this.activeInstance;
-      if (!inst) {
+    function openText (point, pt, s) {
+      var box = $wrap[0].getBoundingClientRect();
+      textAt = { point: point, color: color, size: fontSize / s };
+      $textInput = $('<input type="text" class="cv-annotate-text-input" />');
+      $textInput.attr('placeholder', str(inst, 'annotateTextPlaceholder')).css({
+        left: (pt.clientX - box.left) + 'px',
+        top: (pt.clientY - box.top) + 'px',
+        color: color,
+        fontSize: fontSize + 'px'
+      });
+      /* Keep clicks in the box from panning the image or starting another mark */
+      $textInput.on('mousedown touchstart dblclick', function (e) {
+        e.stopPropagation();
+      }).on('keydown', function (e) {
+        if (e.key === 'Enter') {
+          e.preventDefault();
+          commitText();
+        } else if (e.key === 'Escape') {
+          e.preventDefault();
+          closeText();
+        }
+      }).on('blur', commitText);
+      $wrap.append($textInput);
+      $textInput[0].focus();
+    }
+
+    function finishDraft () {
+      var d = draft;
+      draft = null;
+      if (!d) {
         return;
       }
-      this._focusBeforeShortcutsPopup = document.activeElement;
-      var list = this._getShortcutsList(inst);
-      var title = str(inst, 'keyboardShortcuts');
-      var useWcag = Boolean(inst.opts.wcag);
-      var html = '<div class="cv-shortcuts-popup-inner"' + (useWcag ? ' tabindex="-1"' : '') + '><div class="cv-shortcuts-popup-title">' + escHtml(title) + '</div><ul class="cv-shortcuts-list">';
-      for (var i = 0; i < list.length; i++) {
-        var displayKey = this._shortcutKeyDisplay(list[i].key);
-        html += '<li><kbd>' + escHtml(displayKey) + '</kbd> <span>' + escHtml(list[i].label) + '</span></li>';
+      var a = d.points[0];
+      var b = d.points[d.points.length - 1];
+      if ((d.type === 'rect' || d.type === 'arrow') && a[0] === b[0] && a[1] === b[1]) {
+        render();
+        return;
       }
-      html += '</ul>';
-      if (useWcag) {
-        html += '<button type="button" class="cv-shortcuts-popup-close" aria-label="' + escHtml(str(inst, 'close')) + '">' + escHtml(str(inst, 'close')) + '</button>';
+      d.width = roundImagePx(d.width);
+      commit(shapes.concat([d]));
+    }
+
+    /* Stop propagation so drawing neither pans the image, swipes to another item nor double-click resets the zoom */
+    $(svg).on('mousedown touchstart', function (e) {
+      var oe = e.originalEvent || e;
+      if (!active || (oe.touches && oe.touches.length > 1) || (e.type === 'mousedown' && e.button !== 0)) {
+        return;
       }
-      html += '</div>';
-      this.$shortcutsPopup.html(html).addClass('cv-open').attr('aria-hidden', 'false');
-      if (useWcag) {
-        this.$shortcutsPopup.attr('aria-modal', 'true');
-        var $closeBtn = this.$shortcutsPopup.find('.cv-shortcuts-popup-close');
-        if ($closeBtn.length) {
-          $closeBtn.on('click', function () {
-            self._hideShortcutsPopup();
-          });
-        }
+      e.preventDefault();
+      e.stopPropagation();
+      commitText();
+      var pt = pointerOf(e);
+      var p = toImagePoint(pt.clientX, pt.clientY);
+      if (!p) {
+        return;
       }
-      this.$shortcutsPopup.off('click.cv-shortcuts').on('click.cv-shortcuts', function (e) {
-        if (e.target === self.$shortcutsPopup[0] || $(e.target).closest('.cv-shortcuts-popup-inner').length === 0) {
-          self._hideShortcutsPopup();
+      var s = screenScale();
+      if (tool === 'text') {
+        openText(p, pt, s);
+        return;
+      }
+      draft = { type: tool, color: color, width: lineWidth * (tool === 'highlight' ? HIGHLIGHT_WIDTH_FACTOR : 1) / s, points: (tool === 'rect' || tool === 'arrow') ? [p, p] : [p] };
+      render();
+      $(document).off(dragNs).on('mousemove' + dragNs + ' touchmove' + dragNs, function (ev) {
+        var q = pointerOf(ev);
+        var np = draft && toImagePoint(q.clientX, q.clientY);
+        if (!np) {
+          return;
         }
-      });
-      if (useWcag) {
-        var $focusTarget = this.$shortcutsPopup.find('.cv-shortcuts-popup-close');
-        if ($focusTarget.length) {
-          $focusTarget[0].focus();
+        ev.preventDefault();
+        if (draft.type === 'rect' || draft.type === 'arrow') {
+          draft.points[1] = np;
         } else {
-          this.$shortcutsPopup.find('.cv-shortcuts-popup-inner')[0].focus();
+          draft.points.push(np);
         }
+        render();
+      }).on('mouseup' + dragNs + ' touchend' + dragNs + ' touchcancel' + dragNs, function () {
+        $(document).off(dragNs);
+        finishDraft();
+      });
+    }).on('dblclick', function (e) {
+      if (active) {
+        e.stopPropagation();
       }
-      if (inst._slideshowTimer) {
-        clearTimeout(inst._slideshowTimer);
-        inst._slideshowTimer = null;
-        inst._slideshowHeldByShortcutsPopup = true;
-        this._stopSlideshowProgress();
+    });
+
+    var api = {
+      /** Size the layer to the displayed image; the viewBox stays in the first load's natural pixels. */
+      layout: function () {
+        var m = getCvImageContentMetrics(imgEl);
+        if (!m) {
+          return;
+        }
+        if (!baseW) {
+          baseW = m.nw;
+          baseH = m.nh;
+          svg.setAttribute('viewBox', '0 0 ' + baseW + ' ' + baseH);
+          render();
+        }
+        $(svg).css({ width: m.dispW + 'px', height: m.dispH + 'px' });
+        ov._applyTransform();
+      },
+      isActive: function () {
+        return active;
+      },
+      setActive: function (on) {
+        active = Boolean(on);
+        if (!active) {
+          commitText();
+        }
+        $(svg).toggleClass('cv-active', active);
+      },
+      undo: function () {
+        commitText();
+        if (undoStack.length) {
+          redoStack.push(shapes);
+          shapes = undoStack.pop();
+          render();
+          api.syncToolbar();
+        }
+      },
+      redo: function () {
+        if (redoStack.length) {
+          undoStack.push(shapes);
+          shapes = redoStack.pop();
+          render();
+          api.syncToolbar();
+        }
+      },
+      getShapes: function () {
+        return JSON.parse(JSON.stringify(shapes));
+      },
+      save: function () {
+        commitText();
+        var saved = api.getShapes();
+        exportAnnotatedPng(imgEl, shapes, baseW || imgEl.naturalWidth, baseH || imgEl.naturalHeight, function (blob) {
+          var result = { shapes: saved, pngBlob: blob };
+          if (!fireEvent(inst, 'annotationssave', result)) {
+            return;
+          }
+          item.annotations = saved;
+          if (typeof inst.opts.onAnnotationsSave === 'function') {
+            inst.opts.onAnnotationsSave(item, result, inst);
+          }
+        });
+      },
+      /** Tool, colour, undo / redo and Save items shown while annotating. */
+      toolbarItems: function () {
+        var out = [];
+        tools.forEach(function (t) {
+          out.push({ id: 'annotate-' + t, icon: Icons[ANNOTATE_TOOL_KEYS[t]], label: str(inst, ANNOTATE_TOOL_KEYS[t]), showLabel: false, className: 'cv-tb-annotate-tool', onClick: function () {
+            commitText();
+            tool = t;
+            api.syncToolbar();
+          } });
+        });
+        out.push('separator');
+        colors.forEach(function (c, i) {
+          out.push({ id: 'annotate-color-' + i, icon: '<span class="cv-annotate-swatch" style="background:' + escHtml(c) + '"></span>', label: str(inst, 'annotateColor', [c]), showLabel: false, className: 'cv-tb-annotate-swatch', onClick: function () {
+            color = c;
+            if ($textInput) {
+              textAt.color = c;
+              $textInput.css('color', c);
+              $textInput[0].focus();
+            }
+            api.syncToolbar();
+          } });
+        });
+        out.push('separator');
+        out.push(
+          { id: 'annotate-undo', icon: Icons.undo, label: str(inst, 'undo'), showLabel: false, onClick: api.undo },
+          { id: 'annotate-redo', icon: Icons.redo, label: str(inst, 'redo'), showLabel: false, onClick: api.redo },
+          { id: 'annotate-save', icon: Icons.save, label: str(inst, 'saveAnnotations'), showLabel: false, onClick: api.save }
+        );
+        return out;
+      },
+      /** Reflect the active tool / colour and undo / redo availability on the rendered toolbar. */
+      syncToolbar: function () {
+        var $tb = ov.$toolbar;
+        $tb.find('.cv-tb-annotate').toggleClass('cv-active', active);
+        $tb.find('.cv-tb-annotate-tool').removeClass('cv-active');
+        $tb.find('.cv-tb-annotate-' + tool).addClass('cv-active');
+        $tb.find('.cv-tb-annotate-swatch').removeClass('cv-active');
+        $tb.find('.cv-tb-annotate-color-' + colors.indexOf(color)).addClass('cv-active');
+        var undoBtn = $tb.find('.cv-tb-annotate-undo')[0];
+        var redoBtn = $tb.find('.cv-tb-annotate-redo')[0];
+        if (undoBtn) {
+          undoBtn.disabled = !undoStack.length;
+        }
+        if (redoBtn) {
+          redoBtn.disabled = !redoStack.length;
+        }
+      },
+      destroy: function () {
+        $(document).off(dragNs);
+        closeText();
+        if (ov._annotator === api) {
+          ov._annotator = null;
+        }
       }
-    },
+    };
+    return api;
+  }
 
-    _hideShortcutsPopup: function () {
-      var hadFocus = this._focusBeforeShortcutsPopup;
-      this.$shortcutsPopup.removeClass('cv-open').attr('aria-hidden', 'true').removeAttr('aria-modal').empty();
-      this._focusBeforeShortcutsPopup = null;
-      if (hadFocus && typeof hadFocus.focus === 'function') {
-        try {
-          hadFocus.focus();
-        } catch (err) {}
+  /* --- ANIMATED IMAGES --- */
+
+  var ANIMATION_SPEEDS = [0.25, 0.5, 1, 1.5, 2];
+  /* Extension -> MIME type for the decoder; .png only with item.animated, as nearly all PNGs are stills */
+  var ANIMATED_IMAGE_TYPES = { gif: 'image/gif', webp: 'image/webp', apng: 'image/apng', png: 'image/png' }; /* No I18N */
+
+  /** MIME type to decode item's frames as ('' = take it from the response), or null when it is not treated as animated. */
+  function animatedImageType (item, inst) {
+    var aOpts = inst && inst.opts.animation;
+    if (!aOpts || aOpts.enabled === false || item.animated === false || (item.type || 'image') !== 'image') {
+      return null;
+    }
+    var ext = (item.fileExt || (item.src || '').split(/[?#]/)[0].split('.').pop() || '').toLowerCase();
+    /* Most PNG and WebP files are stills, so only decode them (a full fetch) when the item says they animate */
+    if ((ext === 'png' || ext === 'webp') && item.animated !== true) {
+      return null;
+    }
+    return ANIMATED_IMAGE_TYPES[ext] || (item.animated === true ? '' : null);
+  }
+
+  /** Browsers play GIF frame delays of 0-10 ms at 100 ms; do the same so decoded playback keeps the usual pace. */
+  function animationFrameDelay (ms) {
+    return ms > 10 ? ms : 100;
+  }
+
+  /**
+   * Frames of an animated image as { count, frame(i) -> Promise of { image, duration }, release(frame), close() }. Uses
+   * ImageDecoder when it supports the type, else animation.decoder. Resolves null for single-frame images or no decoder.
+   */
+  function decodeAnimationFrames (buffer, type, item, inst) {
+    var custom = inst.opts.animation.decoder;
+    var Decoder = window.ImageDecoder;
+    var supported = (typeof Decoder === 'function' && type) ? Promise.resolve(typeof Decoder.isTypeSupported === 'function' ? Decoder.isTypeSupported(type) : true) : Promise.resolve(false);
+    return supported.then(function (ok) {
+      if (!ok) {
+        if (typeof custom !== 'function') {
+          return null;
+        }
+        return Promise.resolve(custom(buffer, type, item)).then(function (frames) {
+          if (!Array.isArray(frames) || frames.length < 2) {
+            return null;
+          }
+          return {
+            count: frames.length,
+            frame: function (i) {
+              return Promise.resolve({ image: frames[i].image, duration: parseFloat(frames[i].duration) || 0 });
+            },
+            release: function () {},
+            close: function () {}
+          };
+        });
       }
-      var inst = this.activeInstance;
-      if (inst && inst._slideshowHeldByShortcutsPopup) {
-        inst._slideshowHeldByShortcutsPopup = false;
-        var ss = inst.opts.slideshow;
-        if (ss && ss.enabled && inst.items.length > 1 && !inst._slideshowPaused && (ss.autoStart !== false || inst._slideshowPlaying)) {
-          var intervalMs = (!isNullish(ss.interval) && ss.interval > 0 ? ss.interval : SLIDESHOW_DEFAULT_INTERVAL) * 1000;
-          inst._slideshowTimer = setTimeout(function () {
-            if (Overlay.activeInstance === inst) {
-              inst.next({ transition: true });
+      var decoder = new Decoder({ data: buffer, type: type });
+      return decoder.tracks.ready.then(function () {
+        return decoder.completed;
+      }).then(function () {
+        var track = decoder.tracks.selectedTrack;
+        if (!track || !track.animated || track.frameCount < 2) {
+          decoder.close();
+          return null;
+        }
+        return {
+          count: track.frameCount,
+          frame: function (i) {
+            return decoder.decode({ frameIndex: i }).then(function (r) {
+              /* VideoFrame duration is in microseconds */
+              return { image: r.image, duration: (r.image.duration || 0) / 1000 };
+            });
+          },
+          release: function (f) {
+            if (f.image && typeof f.image.close === 'function') {
+              f.image.close();
             }
-          }, intervalMs);
-          if (ss.showProgress) {
-            this._startSlideshowProgress(intervalMs);
+          },
+          close: function () {
+            decoder.close();
           }
+        };
+      });
+    });
+  }
+
+  /**
+   * Decoded playback for an animated built-in image. The img keeps its box (zoom, pan, minimap and annotations still measure
+   * it) but is hidden once the first frame is drawn on a .cv-anim-canvas laid over it with the same size and transform.
+   */
+  function createAnimationPlayer (ov, inst, item, $img, type) {
+    var aOpts = inst.opts.animation || {};
+    var imgEl = $img[0];
+    var source = null;
+    var $canvas = null;
+    var ctx = null;
+    var index = 0;
+    var delay = 100;
+    var playing = aOpts.autoplay !== false;
+    var speed = ANIMATION_SPEEDS.indexOf(parseFloat(aOpts.speed)) !== -1 ? parseFloat(aOpts.speed) : 1;
+    var loop = aOpts.loop !== false;
+    var timer = null;
+    var token = 0;
+    var started = false;
+    var destroyed = false;
+    var bytes = null;
+    var objectUrl = null;
+
+    function draw (image) {
+      var c = $canvas[0];
+      ctx.clearRect(0, 0, c.width, c.height);
+      if (typeof ImageData === 'function' && image instanceof ImageData) {
+        ctx.putImageData(image, 0, 0);
+      } else {
+        ctx.drawImage(image, 0, 0, c.width, c.height);
+      }
+    }
+
+    /** Draw frame i; resolves its delay in ms, or null when a newer request or destroy overtook it. */
+    function show (i) {
+      var t = ++token;
+      var src = source;
+      return src.frame(i).then(function (f) {
+        if (destroyed || t !== token) {
+          src.release(f);
+          return null;
         }
+        draw(f.image);
+        src.release(f);
+        index = i;
+        delay = animationFrameDelay(f.duration);
+        ov.$toolbar.find('.cv-anim-frame').text((index + 1) + ' / ' + src.count);
+        return delay;
+      });
+    }
+
+    function closeSource () {
+      if (source) {
+        source.close();
+        source = null;
       }
-    },
+    }
 
-    _renderToolbarItems: function ($tb, items, inst) {
-      if (!items || !items.length) {
+    /* destroy() closes the decoder, which rejects a decode still running; any other failure hands the img back to the browser */
+    function onShowError () {
+      if (destroyed) {
         return;
       }
-      var currentItem = inst.items[inst.idx];
+      destroyed = true;
+      stopTimer();
+      closeSource();
+      detach();
+      $img.removeClass('cv-anim-source');
+      if ($canvas) {
+        $canvas.remove();
+      }
+      if (ov.activeInstance === inst) {
+        ov._resolveToolbar(inst, inst._currentResult || {});
+      }
+    }
 
-      for (var i = 0; i < items.length; i++) {
-        var tbItem = items[i];
-        if (tbItem === 'separator' || tbItem === '-') {
-          $tb.append('<span class="cv-tb-sep"></span>'); continue;
+    function stopTimer () {
+      if (timer) {
+        clearTimeout(timer);
+        timer = null;
+      }
+    }
+
+    function schedule () {
+      stopTimer();
+      timer = setTimeout(tick, delay / speed);
+    }
+
+    function tick () {
+      timer = null;
+      var next = index + 1;
+      if (next >= source.count) {
+        if (!loop) {
+          playing = false;
+          api.syncToolbar();
+          return;
         }
-        if (tbItem instanceof HTMLElement || tbItem instanceof $) {
-          $tb.append(tbItem); continue;
+        next = 0;
+      }
+      show(next).then(function (d) {
+        if (d !== null && playing) {
+          schedule();
         }
+      }).catch(onShowError);
+    }
 
-        var isVisible = true;
-        if (typeof tbItem.visible === 'function') {
-          isVisible = tbItem.visible(currentItem, inst);
-        } else if (tbItem.visible === false) {
-          isVisible = false;
+    function detach () {
+      if (ov._animation === api) {
+        ov._animation = null;
+      }
+    }
+
+    var api = {
+      /**
+       * Download the image once: done(blobUrl) gives the img the fetched bytes and start() decodes the same ones.
+       * done(null) (no CORS, HTTP error) means the img loads url itself and plays without controls.
+       */
+      load: function (url, done) {
+        fetch(url, { method: 'GET', credentials: 'include' })
+          .then(function (r) {
+            if (!r.ok) {
+              throw new Error(String(r.status));
+            }
+            type = type || String(r.headers.get('Content-Type') || '').split(';')[0].trim();
+            return r.arrayBuffer();
+          })
+          .then(function (buffer) {
+            if (destroyed) {
+              return;
+            }
+            bytes = buffer;
+            objectUrl = URL.createObjectURL(new Blob([buffer], type ? { type: type } : {}));
+            done(objectUrl);
+          }, function () {
+            if (destroyed) {
+              return;
+            }
+            started = true;
+            detach();
+            done(null);
+          });
+      },
+      /** Decode the bytes load() fetched once the img shows them; without a decoder or with a single frame the img is left to the browser. */
+      start: function () {
+        if (started || destroyed) {
+          return;
+        }
+        started = true;
+        var url = objectUrl;
+        var buffer = bytes;
+        bytes = null;
+        if (!buffer) {
+          detach();
+          return;
+        }
+        decodeAnimationFrames(buffer, type, item, inst)
+          .then(function (src) {
+            if (destroyed || !src || (imgEl.currentSrc || imgEl.src) !== url) {
+              if (src) {
+                src.close();
+              }
+              detach();
+              return null;
+            }
+            source = src;
+            var size = getNaturalSize(imgEl);
+            $canvas = $('<canvas class="cv-anim-canvas" aria-hidden="true"></canvas>');
+            $canvas.attr({ width: size ? size.width : 1, height: size ? size.height : 1 });
+            ctx = $canvas[0].getContext && $canvas[0].getContext('2d');
+            if (!ctx) {
+              throw new Error('canvas'); // No I18N
+            }
+            return show(0);
+          })
+          .then(function (d) {
+            if (d === null || d === undefined || destroyed) {
+              return;
+            }
+            $img.after($canvas);
+            $img.addClass('cv-anim-source');
+            ov._applyTransform();
+            if (ov.activeInstance === inst) {
+              ov._resolveToolbar(inst, inst._currentResult || {});
+            }
+            if (playing) {
+              schedule();
+            }
+          })
+          .catch(function () {
+            /* An undecodable file: the browser keeps playing the img */
+            closeSource();
+            detach();
+          });
+      },
+      /** True once frames are decoded and the canvas is showing. */
+      isReady: function () {
+        return Boolean(source && $canvas && !destroyed && $canvas[0].parentNode);
+      },
+      isPlaying: function () {
+        return playing;
+      },
+      play: function () {
+        if (!api.isReady() || playing) {
+          return;
+        }
+        playing = true;
+        api.syncToolbar();
+        /* Without loop, playing from the last frame starts over */
+        if (!loop && index >= source.count - 1) {
+          index = -1;
+          tick();
+        } else {
+          schedule();
+        }
+      },
+      pause: function () {
+        playing = false;
+        stopTimer();
+        api.syncToolbar();
+      },
+      toggle: function () {
+        if (playing) {
+          api.pause();
+        } else {
+          api.play();
         }
-        if (!isVisible) {
-          continue;
+      },
+      /** Pause and show the previous (-1) or next (+1) frame, wrapping around. */
+      step: function (dir) {
+        if (!api.isReady()) {
+          return;
         }
-
-        var iconHtml = '';
-        if (tbItem.icon) {
-          if (tbItem.icon.charAt(0) === '<') {
-            iconHtml = sanitizeIconHtml(tbItem.icon);
-          } else {
-            iconHtml = '<i class="cv-tb-icon ' + escHtml(tbItem.icon) + '"></i>';
-          }
+        api.pause();
+        show((index + dir + source.count) % source.count).catch(onShowError);
+      },
+      setSpeed: function (s) {
+        if (ANIMATION_SPEEDS.indexOf(s) === -1) {
+          return;
         }
-        var label = tbItem.label || '';
-        var tooltipText = (!isNullish(tbItem.tooltip) && tbItem.tooltip !== '') ? String(tbItem.tooltip) : label;
-        var showTooltip = inst.opts.canShowTooltip !== false && tooltipText !== '';
-        var ariaLabel = (tooltipText || (tbItem.id ? String(tbItem.id) : '')) && inst.opts.wcag ? ' aria-label="' + escHtml(tooltipText || tbItem.id || '') + '"' : '';
-        var dataTooltip = showTooltip ? ' data-cv-tooltip="' + escHtml(tooltipText) + '"' : '';
-        var btnHtml = iconHtml;
-        if (tbItem.showLabel && label) {
-          btnHtml += ' <span class="cv-tb-label">' + escHtml(label) + '</span>';
+        speed = s;
+        ov.$toolbar.find('.cv-anim-speed-select').val(String(speed));
+        if (playing && timer) {
+          schedule();
+        }
+      },
+      /** Next speed in ANIMATION_SPEEDS, wrapping back to the slowest. */
+      cycleSpeed: function () {
+        api.setSpeed(ANIMATION_SPEEDS[(ANIMATION_SPEEDS.indexOf(speed) + 1) % ANIMATION_SPEEDS.length]);
+      },
+      setLoop: function (on) {
+        loop = Boolean(on);
+        api.syncToolbar();
+      },
+      toolbarItems: function () {
+        var $speed = $('<select class="cv-anim-speed-select"></select>');
+        for (var i = 0; i < ANIMATION_SPEEDS.length; i++) {
+          $speed.append($('<option></option>').attr('value', String(ANIMATION_SPEEDS[i])).text(ANIMATION_SPEEDS[i] + 'x'));
+        }
+        $speed.val(String(speed));
+        $speed.attr('aria-label', str(inst, 'playbackSpeed'));
+        if (inst.opts.canShowTooltip !== false) {
+          $speed.attr('data-cv-tooltip', str(inst, 'playbackSpeed'));
         }
-
-        var shortcutAttr = '';
-        if (!isNullish(tbItem.shortcutKey) && String(tbItem.shortcutKey).trim() !== '') {
-          var sk = String(tbItem.shortcutKey).toLowerCase().charAt(0);
-          if (sk) {
-            shortcutAttr = ' data-cv-shortcut="' + escHtml(sk) + '"';
-          }
+        $speed.on('change', function () {
+          api.setSpeed(parseFloat(this.value));
+        });
+        var $frame = $('<span class="cv-anim-frame"></span>').text((index + 1) + ' / ' + source.count);
+        return [
+          { id: 'anim-play', icon: playing ? Icons.animationPause : Icons.animationPlay, label: str(inst, playing ? 'pause' : 'play'), showLabel: false, onClick: api.toggle },
+          { id: 'anim-prev-frame', icon: Icons.previousFrame, label: str(inst, 'previousFrame'), showLabel: false, onClick: function () {
+            api.step(-1);
+          } },
+          $frame[0],
+          { id: 'anim-next-frame', icon: Icons.nextFrame, label: str(inst, 'nextFrame'), showLabel: false, onClick: function () {
+            api.step(1);
+          } },
+          $speed[0],
+          { id: 'anim-loop', icon: Icons.loopAnimation, label: str(inst, 'loopAnimation'), showLabel: false, className: loop ? 'cv-active' : '', onClick: function () {
+            api.setLoop(!loop);
+          } }
+        ];
+      },
+      /** Reflect play state and loop on the rendered toolbar. */
+      syncToolbar: function () {
+        var $tb = ov.$toolbar;
+        var $play = $tb.find('.cv-tb-anim-play');
+        if ($play.length) {
+          $play.html(sanitizeIconHtml(playing ? Icons.animationPause : Icons.animationPlay));
+          setToolbarBtnPresentation($play, inst, { tooltip: str(inst, playing ? 'pause' : 'play') });
         }
-        var $btn = $(
-          '<button class="cv-tb-btn' +
-            (tbItem.id ? ' cv-tb-' + escHtml(String(tbItem.id)) : '') +
-            (tbItem.className ? ' ' + escHtml(String(tbItem.className)) : '') +
-          '" type="button"' + shortcutAttr + dataTooltip + ariaLabel + '>' + btnHtml + '</button>'
-        );
-        if (typeof tbItem.onClick === 'function') {
-          (function (fn, btn) {
-            btn.on('click', function (e) {
-              e.preventDefault(); fn(inst.items[inst.idx], inst);
-            });
-          }(tbItem.onClick, $btn));
+        $tb.find('.cv-tb-anim-loop').toggleClass('cv-active', loop);
+      },
+      destroy: function () {
+        destroyed = true;
+        stopTimer();
+        closeSource();
+        bytes = null;
+        if (objectUrl) {
+          URL.revokeObjectURL(objectUrl);
+          objectUrl = null;
         }
-        $tb.append($btn);
+        detach();
       }
-    }
-  };
+    };
+    return api;
+  }
 
-  /* --- IMAGE EXTRACT-TEXT OVERLAY --- */
+  /* --- BUILT-IN: IMAGE --- */
 
-  function parsePositiveDim (v) {
-    if (v === null || v === undefined || v === '') {
-      return 0;
+  var IMAGE_FIT_MODES = ['contain', 'cover', 'fit-width', 'fit-height', 'actual'];
+  var IMAGE_FIT_KEYS = { contain: 'fitContain', cover: 'fitCover', 'fit-width': 'fitWidth', 'fit-height': 'fitHeight', actual: 'fitActual' }; /* No I18N */
+  /** Longest side of the zoom.minimap thumbnail, in CSS pixels. */
+  var MINIMAP_SIZE = 160;
+
+  function resolveImageFit (inst) {
+    var fit = inst && inst.opts.zoom && inst.opts.zoom.fit;
+    return IMAGE_FIT_MODES.indexOf(fit) !== -1 ? fit : 'contain';
+  }
+
+  /** Screen pixels per image pixel for a fit mode, with nw x nh the image as displayed (after quarter turns) on a sw x sh stage. */
+  function imageFitScale (mode, nw, nh, sw, sh) {
+    if (mode === 'actual') {
+      return 1;
     }
-    var n = (typeof v === 'number') ? v : parseFloat(String(v).replace(/,/g, ''));
-    return (isFinite(n) && n > 0) ? n : 0;
+    if (mode === 'cover') {
+      return Math.max(sw / nw, sh / nh);
+    }
+    if (mode === 'fit-width') {
+      return sw / nw;
+    }
+    if (mode === 'fit-height') {
+      return sh / nh;
+    }
+    return Math.min(1, sw / nw, sh / nh);
   }
 
-  /** Axis-aligned bbox from 4 (or N) corner points — order-independent vs fixed [tl,tr,br,bl]. */
-  function extractWordBboxFromBox (box) {
-    if (!box || !box.length) {
+  /** item.srcset as an img srcset string: a string as given, or [{ src, width }] / URL strings. Unsafe candidates are dropped; null when none remain. */
+  function getImageSrcset (item) {
+    var list = item.srcset;
+    if (typeof list === 'string') {
+      list = list.split(/\s*,\s*/);
+    }
+    if (!Array.isArray(list)) {
       return null;
     }
-    var minX = Infinity;
-    var minY = Infinity;
-    var maxX = -Infinity;
-    var maxY = -Infinity;
-    for (var i = 0; i < box.length; i++) {
-      var pt = box[i];
-      if (!pt || pt.length < 2) {
-        continue;
-      }
-      var x = Number(pt[0]);
-      var y = Number(pt[1]);
-      if (isNaN(x) || isNaN(y)) {
-        continue;
+    var out = [];
+    for (var i = 0; i < list.length; i++) {
+      var c = list[i];
+      var candidate = (c && typeof c === 'object') ? (c.src ? String(c.src) + (c.width ? ' ' + parseInt(c.width, 10) + 'w' : '') : '') : String(c || '').trim();
+      if (candidate && isSafeResourceUrl(candidate.split(/\s+/)[0])) {
+        out.push(candidate);
       }
-      minX = Math.min(minX, x);
-      minY = Math.min(minY, y);
-      maxX = Math.max(maxX, x);
-      maxY = Math.max(maxY, y);
     }
-    if (!isFinite(minX) || !isFinite(minY)) {
+    return out.length ? out.join(', ') : null;
+  }
+
+  /** Stage size in device pixels (what a sized image should cover at zoom 1), or null before the stage has laid out. */
+  function getStageDeviceSize (ov) {
+    var el = ov.$stageWrap && ov.$stageWrap[0];
+    var dpr = window.devicePixelRatio || 1;
+    if (!el || !el.clientWidth || !el.clientHeight) {
       return null;
     }
-    return { x: minX, y: minY, w: Math.max(0, maxX - minX), h: Math.max(0, maxY - minY) };
+    return { width: Math.round(el.clientWidth * dpr), height: Math.round(el.clientHeight * dpr) };
   }
 
-  function scanLinesMaxExtents (lines) {
-    var maxX = 0;
-    var maxY = 0;
-    for (var i = 0, il = lines.length; i < il; i++) {
-      var line = lines[i];
-      if (!line || !line.length) {
-        continue;
+  function builtInImageRenderer (item, $stage, inst) {
+    var ov = overlayOf(inst, $stage);
+    inst = inst || ov.activeInstance;
+    var srcUrl = getResolvedSrcUrl(item, inst);
+    if (!srcUrl || !isSafeResourceUrl(srcUrl)) {
+      showError($stage, 'image', str(inst, 'invalidImageUrl'), item, { noDownload: true });
+      return { imageError: true };
+    }
+    var srcset = getImageSrcset(item);
+    var stageSize = getStageDeviceSize(ov);
+    var sizedUrl = (!srcset && stageSize) ? getResolvedUrl(item, inst, 'sized', stageSize) : null;
+    if (sizedUrl && isSafeResourceUrl(sizedUrl)) {
+      srcUrl = sizedUrl;
+    }
+    var $wrap = $('<div class="cv-img-wrap"></div>');
+    ov.$loader.addClass('cv-active');
+    var altText = (!isNullish(item.title) && String(item.title).trim() !== '') ? String(item.title) : '';
+    var $img = $('<img class="cv-image" alt="' + escHtml(altText) + '" />');
+    var imgEl = $img[0];
+    /* Blur-up: the (often cached) thumbnail fills the stage until the full image has decoded */
+    var thumbUrl = inst.opts.blurUp === true ? getResolvedUrl(item, inst, 'thumbnailUrl') : null;
+    var $placeholder = null;
+    if (thumbUrl && thumbUrl !== srcUrl && isSafeResourceUrl(thumbUrl)) {
+      $placeholder = $('<img class="cv-image-placeholder" alt="" aria-hidden="true" />');
+      $placeholder.css('object-fit', ov._fitMode() === 'cover' ? 'cover' : 'contain');
+      $placeholder[0].onerror = function () {
+        $placeholder.remove();
+      };
+      $placeholder.attr('src', thumbUrl);
+      $wrap.append($placeholder);
+    }
+    function onImageReady () {
+      ov.$loader.removeClass('cv-active');
+      $img.addClass('cv-loaded');
+      if ($placeholder) {
+        var $ph = $placeholder;
+        $placeholder = null;
+        $ph.addClass('cv-image-placeholder-out');
+        setTimeout(function () {
+          $ph.remove();
+        }, 300);
       }
-      for (var w = 0, wl = line.length; w < wl; w++) {
-        var box = (line[w] && line[w].box) || [];
-        for (var b = 0; b < box.length; b++) {
-          var pt = box[b];
-          if (!pt || pt.length < 2) {
-            continue;
-          }
-          var x = Number(pt[0]);
-          var y = Number(pt[1]);
-          if (!isNaN(x)) {
-            maxX = Math.max(maxX, x);
-          }
-          if (!isNaN(y)) {
-            maxY = Math.max(maxY, y);
-          }
-        }
+      ov._clampPan();
+      ov._applyTransform();
+      ov._syncZoomUi();
+      if (annotator) {
+        annotator.layout();
+      }
+      if (animation) {
+        animation.start();
       }
+      ov._renderInfoPanel(inst);
+      inst._settleLoad(item);
     }
-    return { maxX: maxX, maxY: maxY };
-  }
-
-  /**
-   * Map OCR coords to the on-screen &lt;img&gt; element.
-   * .cv-image uses object-fit:contain — letterboxing inside clientWidth × clientHeight.
-   */
-  function getCvImageContentMetrics (imgEl) {
-    /* Force layout so clientWidth/height match current box (offset read must run before client*) */
-    var reflowTrigger = imgEl.offsetWidth + imgEl.offsetHeight;
-    if (!isFinite(reflowTrigger)) {
-      return null;
+    imgEl.onload = function () {
+      if (ov.activeInstance !== inst) {
+        return;
+      }
+      if (typeof imgEl.decode === 'function') {
+        imgEl.decode().then(onImageReady).catch(function () {
+          requestAnimationFrame(onImageReady);
+        });
+      } else {
+        requestAnimationFrame(onImageReady);
+      }
+    };
+    imgEl.onerror = function () {
+      ov.$loader.removeClass('cv-active');
+      if (annotator) {
+        annotator.destroy();
+      }
+      if (animation) {
+        animation.destroy();
+      }
+      $wrap.remove();
+      $stage.empty();
+      showError($stage, 'image', str(inst, 'imageLoadFailed'), item, { noDownload: !getItemDownloadUrl(item, inst) });
+      if (inst) {
+        ov._resolveToolbar(inst, { imageError: true });
+      }
+    };
+    $wrap.append($img);
+    var annotator = annotateEnabled(inst) ? createAnnotator(ov, inst, item, $wrap, $img) : null;
+    ov._annotator = annotator;
+    var animType = animatedImageType(item, inst);
+    var animation = (animType !== null && typeof fetch === 'function' && window.URL && typeof URL.createObjectURL === 'function') ? createAnimationPlayer(ov, inst, item, $img, animType) : null;
+    ov._animation = animation;
+    $stage.append($wrap);
+    function setSource () {
+      if (srcset) {
+        /* Without item.sizes the image is at most as wide as the stage; the browser applies devicePixelRatio */
+        imgEl.setAttribute('sizes', item.sizes || (stageSize ? Math.round(stageSize.width / (window.devicePixelRatio || 1)) + 'px' : '100vw'));
+        imgEl.setAttribute('srcset', srcset);
+      }
+      imgEl.src = srcUrl;
+    }
+    if (animation) {
+      /* The frame decoder needs the bytes, so fetch them once and show the img from the same download */
+      animation.load(srcUrl, function (blobUrl) {
+        if (blobUrl) {
+          imgEl.src = blobUrl;
+        } else {
+          setSource();
+        }
+      });
+    } else {
+      setSource();
     }
-    var nw = imgEl.naturalWidth;
-    var nh = imgEl.naturalHeight;
-    var cw = imgEl.clientWidth;
-    var ch = imgEl.clientHeight;
-    if (!nw || !nh || !cw || !ch) {
-      return null;
+    if (!annotator && !animation) {
+      return { settlesLoad: true };
     }
-    var fitScale = Math.min(cw / nw, ch / nh);
-    var dispW = nw * fitScale;
-    var dispH = nh * fitScale;
     return {
-      nw: nw,
-      nh: nh,
-      cw: cw,
-      ch: ch,
-      fitScale: fitScale,
-      dispW: dispW,
-      dispH: dispH,
-      offsetX: (cw - dispW) / 2,
-      offsetY: (ch - dispH) / 2
+      settlesLoad: true,
+      destroy: function () {
+        if (annotator) {
+          annotator.destroy();
+        }
+        if (animation) {
+          animation.destroy();
+        }
+      }
     };
   }
 
-  function resolveOcrReferenceSize (data, resp, lines, nw, nh) {
-    var refW = parsePositiveDim(
-      data.imageWidth || data.sourceWidth || data.width || data.pageWidth ||
-      data.ocrWidth || (resp && (resp.imageWidth || resp.sourceWidth || resp.width))
-    );
-    var refH = parsePositiveDim(
-      data.imageHeight || data.sourceHeight || data.height || data.pageHeight ||
-      data.ocrHeight || (resp && (resp.imageHeight || resp.sourceHeight || resp.height))
-    );
-    if (!refW) {
-      refW = nw;
+  /* --- BUILT-IN: COMPARE --- */
+
+  var COMPARE_MODES = ['split', 'onion', 'side'];
+  var COMPARE_MODE_UI = { split: ['compareSplit', 'compareSplit'], onion: ['compareOnion', 'compareOnion'], side: ['compareSideBySide', 'compareSide'] }; /* No I18N */
+
+  /** Versions to compare as [{ src, label }]: item.versions (objects or URL strings), else item.src and item.compareSrc. Unsafe URLs are dropped. */
+  function getCompareVersions (item, inst) {
+    var list = (Array.isArray(item.versions) && item.versions.length) ?
+      item.versions :
+      [{ src: getResolvedSrcUrl(item, inst) || item.src, label: item.label }, { src: item.compareSrc, label: item.compareLabel }];
+    var out = [];
+    for (var i = 0; i < list.length; i++) {
+      var v = (typeof list[i] === 'string') ? { src: list[i] } : (list[i] || {});
+      if (!v.src || !isSafeResourceUrl(String(v.src))) {
+        continue;
+      }
+      out.push({ src: String(v.src), label: !isNullish(v.label) && v.label !== '' ? String(v.label) : null });
     }
-    if (!refH) {
-      refH = nh;
+    for (var j = 0; j < out.length; j++) {
+      if (out[j].label === null) {
+        out[j].label = out.length === 2 ? str(inst, j === 0 ? 'compareBefore' : 'compareAfter') : str(inst, 'compareVersion', [j + 1]);
+      }
     }
-    /* OCR often runs on the full file while the viewer shows a smaller preview — coords can exceed naturalWidth */
-    var ext = scanLinesMaxExtents(lines);
-    if (ext.maxX > nw + 0.5) {
-      refW = Math.max(refW, ext.maxX);
+    return out;
+  }
+
+  /**
+   * Two image versions stacked in one box. split clips the top version at a draggable divider, onion blends it by opacity,
+   * side puts the versions in two panes. Both images are .cv-image, so the overlay's zoom, pan and pinch apply to both.
+   */
+  function builtInCompareRenderer (item, $stage, inst) {
+    var ov = overlayOf(inst, $stage);
+    inst = inst || ov.activeInstance;
+    var versions = getCompareVersions(item, inst);
+    if (versions.length < 2) {
+      showError($stage, 'compare', str(inst, 'compareNeedsTwo'), item, { noDownload: true });
+      return { imageError: true };
     }
-    if (ext.maxY > nh + 0.5) {
-      refH = Math.max(refH, ext.maxY);
+    var cmpOpts = inst.opts.compare || {};
+    var mode = [item.compareMode, inst._compareMode, cmpOpts.mode].filter(function (m) {
+      return COMPARE_MODES.indexOf(m) !== -1;
+    })[0] || 'split';
+    var opacity = typeof cmpOpts.opacity === 'number' ? Math.max(0, Math.min(1, cmpOpts.opacity)) : 0.5;
+    var split = 50;
+    var shown = [0, 1];
+    var dragNs = '.cv-compare-' + ov.uid;
+
+    var $wrap = $('<div class="cv-compare"></div>');
+    var $panes = [];
+    for (var p = 0; p < 2; p++) {
+      $panes.push($('<div class="cv-compare-pane ' + (p === 0 ? 'cv-compare-base' : 'cv-compare-top') + '"><img class="cv-image" alt="" /><span class="cv-compare-label"></span></div>'));
+      $wrap.append($panes[p]);
+    }
+    var $divider = $('<div class="cv-compare-divider" role="slider" tabindex="0" aria-valuemin="0" aria-valuemax="100"><span class="cv-compare-handle"></span></div>');
+    $divider.attr('aria-label', str(inst, 'compareDivider'));
+    $wrap.append($divider);
+
+    /** False once the user has moved to another item (or the stage was rebuilt) while a version was still loading. */
+    function isCurrent () {
+      return ov.activeInstance === inst && inst.items[inst.idx] === item && Boolean($wrap[0].parentNode);
+    }
+
+    var pending = 0;
+    function loadVersion (pane, vIdx) {
+      var $img = $panes[pane].find('.cv-image');
+      var imgEl = $img[0];
+      shown[pane] = vIdx;
+      pending++;
+      ov.$loader.addClass('cv-active');
+      $img.removeClass('cv-loaded').attr('alt', versions[vIdx].label);
+      $panes[pane].find('.cv-compare-label').text(versions[vIdx].label);
+      imgEl.onload = function () {
+        if (!isCurrent()) {
+          return;
+        }
+        $img.addClass('cv-loaded');
+        if (--pending <= 0) {
+          pending = 0;
+          ov.$loader.removeClass('cv-active');
+          ov._clampPan();
+          ov._applyTransform();
+          inst._settleLoad(item);
+        }
+      };
+      /* showError rejects the pending open / navigation Promise with LOAD_FAILED */
+      imgEl.onerror = function () {
+        if (!isCurrent()) {
+          return;
+        }
+        ov.$loader.removeClass('cv-active');
+        $wrap.remove();
+        $stage.empty();
+        showError($stage, 'compare', str(inst, 'imageLoadFailed'), item, { noDownload: !getItemDownloadUrl(item, inst) });
+        ov._resolveToolbar(inst, { imageError: true });
+      };
+      imgEl.src = versions[vIdx].src;
+    }
+
+    function applyMode () {
+      $wrap.removeClass('cv-compare-split cv-compare-onion cv-compare-side').addClass('cv-compare-' + mode);
+      var top = $panes[1][0];
+      top.style.clipPath = mode === 'split' ? 'inset(0 0 0 ' + split + '%)' : '';
+      top.style.opacity = mode === 'onion' ? String(opacity) : '';
+      $divider[0].style.left = split + '%';
+      $divider.attr('aria-valuenow', String(Math.round(split)));
+      for (var m in $modeBtns) {
+        if (Object.prototype.hasOwnProperty.call($modeBtns, m)) {
+          $modeBtns[m].toggleClass('cv-active', m === mode).attr('aria-pressed', m === mode ? 'true' : 'false');
+        }
+      }
+      $opacity.toggle(mode === 'onion');
+      ov._clampPan();
+      ov._applyTransform();
+    }
+
+    function dragTo (clientX) {
+      var rect = $wrap[0].getBoundingClientRect();
+      if (rect.width > 0) {
+        split = Math.max(0, Math.min(100, (clientX - rect.left) / rect.width * 100));
+        applyMode();
+      }
+    }
+    function pointX (e) {
+      var oe = e.originalEvent || e;
+      var t = (oe.touches && oe.touches[0]) || (oe.changedTouches && oe.changedTouches[0]);
+      return t ? t.clientX : oe.clientX;
+    }
+    /* Stop propagation so dragging the divider neither pans the image nor swipes to another item */
+    $divider.on('mousedown touchstart', function (e) {
+      e.preventDefault();
+      e.stopPropagation();
+      $(document).off(dragNs).on('mousemove' + dragNs + ' touchmove' + dragNs, function (ev) {
+        dragTo(pointX(ev));
+      }).on('mouseup' + dragNs + ' touchend' + dragNs + ' touchcancel' + dragNs, function () {
+        $(document).off(dragNs);
+      });
+    });
+    /* Keyboard: arrows move the split by 5%, Home / End jump to the edges */
+    $divider.on('keydown', function (e) {
+      var oe = e.originalEvent || e;
+      var keys = { ArrowLeft: split - 5, ArrowRight: split + 5, Home: 0, End: 100 };
+      if (!Object.prototype.hasOwnProperty.call(keys, oe.key)) {
+        return;
+      }
+      e.preventDefault();
+      e.stopPropagation();
+      split = Math.max(0, Math.min(100, keys[oe.key]));
+      applyMode();
+    });
+
+    /* toolbar items */
+    var tipAttr = (inst && inst.opts.canShowTooltip !== false) ? function (k) {
+      return ' data-cv-tooltip="' + escHtml(str(inst, k)) + '"';
+    } : function () {
+      return '';
+    };
+    var ariaAttr = (inst && inst.opts.wcag) ? function (k) {
+      return ' aria-label="' + escHtml(str(inst, k)) + '"';
+    } : function () {
+      return '';
+    };
+    var toolbarItems = [];
+    var $modeBtns = {};
+    function addModeButton (m) {
+      var ui = COMPARE_MODE_UI[m];
+      var $btn = $('<button type="button" class="cv-tb-btn cv-tb-compare-' + m + '"' + tipAttr(ui[0]) + ariaAttr(ui[0]) + '>' + Icons[ui[1]] + '</button>');
+      $btn.on('click', function () {
+        mode = m;
+        inst._compareMode = m;
+        applyMode();
+      });
+      $modeBtns[m] = $btn;
+      toolbarItems.push($btn[0]);
     }
-    return { refW: refW, refH: refH };
+    for (var mi = 0; mi < COMPARE_MODES.length; mi++) {
+      addModeButton(COMPARE_MODES[mi]);
+    }
+    var $opacity = $('<input type="range" class="cv-compare-opacity" min="0" max="100" step="1"' + tipAttr('compareOpacity') + ' aria-label="' + escHtml(str(inst, 'compareOpacity')) + '" />');
+    $opacity.val(String(Math.round(opacity * 100)));
+    $opacity.on('input', function () {
+      opacity = (parseFloat(this.value) || 0) / 100;
+      applyMode();
+    });
+    toolbarItems.push($opacity[0]);
+
+    /* More than two versions: pick which pair is compared */
+    if (versions.length > 2) {
+      toolbarItems.push('separator');
+      for (var si = 0; si < 2; si++) {
+        (function (pane) {
+          var $sel = $('<select class="cv-compare-select"></select>');
+          for (var v = 0; v < versions.length; v++) {
+            $sel.append($('<option></option>').attr('value', String(v)).text(versions[v].label));
+          }
+          $sel.val(String(shown[pane]));
+          $sel.attr('aria-label', pane === 0 ? str(inst, 'compareBefore') : str(inst, 'compareAfter'));
+          $sel.on('change', function () {
+            loadVersion(pane, parseInt(this.value, 10) || 0);
+          });
+          toolbarItems.push($sel[0]);
+        }(si));
+      }
+    }
+
+    $stage.append($wrap);
+    loadVersion(0, 0);
+    loadVersion(1, 1);
+    applyMode();
+
+    return {
+      settlesLoad: true,
+      toolbar: toolbarItems,
+      destroy: function () {
+        $(document).off(dragNs);
+      }
+    };
   }
 
-  function buildExtractOverlay ($img, resp) {
-    var data = (resp && resp.data) || {};
-    var lines = data.lines || (resp && resp.lines);
-    if (!lines || !lines.length) {
+  /* --- BUILT-IN: TILED IMAGE (DZI / IIIF) --- */
+
+  /**
+   * Tile pyramid as { width, height, tileW, tileH, overlap, levels } with levels from coarsest to full resolution; each level
+   * is { factor, url(col, row) } where factor is full-resolution pixels per level pixel.
+   */
+  function dziTileSource (url, image) {
+    var size = image.Size || {};
+    var width = parseInt(size.Width, 10);
+    var height = parseInt(size.Height, 10);
+    if (!(width > 0 && height > 0)) {
       return null;
     }
-    var el = $img[0];
-    if (!el) {
+    var tileSize = parseInt(image.TileSize, 10) || 254;
+    var format = image.Format || 'jpg';
+    /* Tiles live next to the descriptor: foo.dzi -> foo_files/<level>/<col>_<row>.<format> */
+    var path = url.split('?')[0].split('#')[0];
+    var base = image.Url ? String(image.Url).replace(/\/?$/, '/') : path.replace(/\.[^.\/]*$/, '') + '_files/';
+    var maxLevel = Math.ceil(Math.log(Math.max(width, height)) / Math.LN2);
+    var levels = [];
+    for (var l = 0; l <= maxLevel; l++) {
+      levels.push({ factor: Math.pow(2, maxLevel - l), url: dziTileUrl(base, l, format) });
+    }
+    return { width: width, height: height, tileW: tileSize, tileH: tileSize, overlap: parseInt(image.Overlap, 10) || 0, levels: levels };
+  }
+
+  function dziTileUrl (base, level, format) {
+    return function (col, row) {
+      return base + level + '/' + col + '_' + row + '.' + format;
+    };
+  }
+
+  /** IIIF Image API 2 / 3 info.json; tiles are region requests at each scale factor. */
+  function iiifTileSource (url, info) {
+    var width = parseInt(info.width, 10);
+    var height = parseInt(info.height, 10);
+    var id = String(info.id || info['@id'] || url.split('?')[0].replace(/\/info\.json$/i, '')).replace(/\/$/, '');
+    if (!(width > 0 && height > 0) || !isSafeResourceUrl(id)) {
       return null;
     }
-    var m = getCvImageContentMetrics(el);
-    if (!m) {
-      return null;
+    var v3 = info.type === 'ImageService3' || /\/image\/3\//.test(String(info['@context'] || ''));
+    var tile = (Array.isArray(info.tiles) && info.tiles[0]) || {};
+    var tileW = parseInt(tile.width, 10) || 512;
+    var tileH = parseInt(tile.height, 10) || tileW;
+    var factors = Array.isArray(tile.scaleFactors) && tile.scaleFactors.length ? tile.scaleFactors.slice() : [];
+    /* No scale factors listed: halve until the whole image fits one tile */
+    if (!factors.length) {
+      var f = 1;
+      factors.push(f);
+      while (Math.max(width, height) / f > Math.max(tileW, tileH)) {
+        f *= 2;
+        factors.push(f);
+      }
+    }
+    factors.sort(function (a, b) {
+      return b - a;
+    });
+    var levels = [];
+    for (var i = 0; i < factors.length; i++) {
+      levels.push({ factor: factors[i], url: iiifTileUrl(id, factors[i], width, height, tileW, tileH, v3) });
     }
-    var ref = resolveOcrReferenceSize(data, resp, lines, m.nw, m.nh);
-    /* Scale from OCR pixel space → displayed &lt;img&gt; CSS pixels (then object-fit offsets) */
-    var sx = m.fitScale * (m.nw / ref.refW);
-    var sy = m.fitScale * (m.nh / ref.refH);
-    var HEIGHT_PAD = 5;
-    var html = '';
-    var fsMin = 8;
-    for (var i = 0, len = lines.length; i < len; i++) {
-      var line = lines[i];
-      if (!line || !line.length) {
-        continue;
-      }
-      for (var w = 0, wl = line.length; w < wl; w++) {
-        var info = line[w];
-        var box = (info && info.box) || [];
-        var bb = extractWordBboxFromBox(box);
-        if (!bb) {
-          continue;
-        }
-        var left = Math.round(m.offsetX + bb.x * sx);
-        var top = Math.round(m.offsetY + (bb.y - 2) * sy);
-        var width = Math.round(bb.w * sx);
-        var rawH = bb.h;
-        var height = Math.round((rawH + HEIGHT_PAD) * sy);
-        var fs = Math.max(fsMin, Math.floor((rawH - HEIGHT_PAD) * sy));
-        var br = (w === wl - 1) ? '<br>' : '';
-        html += '<span class="cv-extract-word" style="left:' + left + 'px;top:' + top + 'px;width:' + width + 'px;height:' + height + 'px;font-size:' + fs + 'px">' + escHtml((info && info.word) || '') + ' ' + br + '</span>';
+    return { width: width, height: height, tileW: tileW, tileH: tileH, overlap: 0, levels: levels };
+  }
+
+  function iiifTileUrl (id, factor, width, height, tileW, tileH, v3) {
+    return function (col, row) {
+      var x = col * tileW * factor;
+      var y = row * tileH * factor;
+      var w = Math.min(tileW * factor, width - x);
+      var h = Math.min(tileH * factor, height - y);
+      var outW = Math.ceil(w / factor);
+      return id + '/' + x + ',' + y + ',' + w + ',' + h + '/' + (v3 ? outW + ',' + Math.ceil(h / factor) : outW + ',') + '/0/default.jpg';
+    };
+  }
+
+  /** Tile source from a DZI descriptor (XML or JSON) or an IIIF info.json; null when the text is neither. */
+  function parseTileSource (text, url) {
+    var body = String(text || '').trim();
+    if (body.charAt(0) === '<') {
+      var doc = new DOMParser().parseFromString(body, 'application/xml');
+      var image = doc.getElementsByTagName('Image')[0];
+      var size = doc.getElementsByTagName('Size')[0];
+      if (!image || !size) {
+        return null;
       }
+      return dziTileSource(url, {
+        TileSize: image.getAttribute('TileSize'),
+        Overlap: image.getAttribute('Overlap'),
+        Format: image.getAttribute('Format'),
+        Size: { Width: size.getAttribute('Width'), Height: size.getAttribute('Height') }
+      });
     }
-    if (!html) {
+    var json;
+    try {
+      json = JSON.parse(body);
+    } catch (e) {
       return null;
     }
-    var $overlay = $('<div class="cv-extract-overlay"><div class="cv-extract-layer">' + html + '</div></div>');
-    $overlay.find('.cv-extract-layer').css({
-      width: m.cw,
-      height: m.ch
-    });
-    return $overlay;
+    if (json && json.Image) {
+      return dziTileSource(url, json.Image);
+    }
+    return (json && json.width && json.height) ? iiifTileSource(url, json) : null;
   }
 
-  function removeExtractOverlay ($stage) {
-    $stage.find('.cv-extract-overlay').remove();
+  function levelGrid (source, level) {
+    var cols = Math.ceil(Math.ceil(source.width / level.factor) / source.tileW);
+    var rows = Math.ceil(Math.ceil(source.height / level.factor) / source.tileH);
+    return { cols: cols, rows: rows };
   }
 
-  /* --- BUILT-IN: IMAGE --- */
+  /** Full-resolution rectangle a tile image covers, including its DZI overlap. */
+  function tileRect (source, level, col, row) {
+    var f = level.factor;
+    var o = source.overlap;
+    var x0 = col * source.tileW - (col ? o : 0);
+    var y0 = row * source.tileH - (row ? o : 0);
+    var x1 = Math.min(source.width, ((col + 1) * source.tileW + o) * f);
+    var y1 = Math.min(source.height, ((row + 1) * source.tileH + o) * f);
+    return { x: x0 * f, y: y0 * f, w: x1 - x0 * f, h: y1 - y0 * f };
+  }
 
-  function builtInImageRenderer (item, $stage) {
-    var inst = Overlay.activeInstance;
+  /**
+   * Deep-zoom image (type 'tiled'): item.src is a DZI descriptor or an IIIF info.json. The .cv-image is a box sized like a
+   * contained image, so the overlay's zoom, pan, pinch, rotate and fit modes apply as for a plain image; after each
+   * transform only the tiles covering the stage are loaded, at the level matching the zoom and devicePixelRatio, over
+   * the coarsest single-tile level as a backdrop. Zoom goes past zoom.max up to twice the actual pixels.
+   */
+  function builtInTiledRenderer (item, $stage, inst) {
+    var ov = overlayOf(inst, $stage);
+    inst = inst || ov.activeInstance;
     var srcUrl = getResolvedSrcUrl(item, inst);
     if (!srcUrl || !isSafeResourceUrl(srcUrl)) {
-      showError($stage, 'image', 'Invalid or unsafe image URL', item, { noDownload: true });
+      showError($stage, 'tiled', str(inst, 'invalidImageUrl'), item, { noDownload: true });
       return { imageError: true };
     }
     var $wrap = $('<div class="cv-img-wrap"></div>');
-    Overlay.$loader.addClass('cv-active');
+    var $box = $('<div class="cv-image cv-tiled-image" role="img"></div>');
     var altText = (!isNullish(item.title) && String(item.title).trim() !== '') ? String(item.title) : '';
-    var $img = $('<img class="cv-image" alt="' + escHtml(altText) + '" />');
-    var imgEl = $img[0];
-    function onImageReady () {
-      Overlay.$loader.removeClass('cv-active');
-      $img.addClass('cv-loaded');
-      Overlay._clampPan();
-      Overlay._applyTransform();
+    if (altText) {
+      $box.attr('aria-label', altText);
     }
-    imgEl.onload = function () {
-      if (Overlay.activeInstance !== inst) {
+    $wrap.append($box);
+    $stage.append($wrap);
+    ov.$loader.addClass('cv-active');
+
+    var source = null;
+    var baseLevel = 0;
+    var boxW = 0;
+    var boxH = 0;
+    var tiles = {};
+    var frame = null;
+    var destroyed = false;
+    var drawn = false;
+
+    /* showError rejects the pending open / navigation Promise with LOAD_FAILED */
+    function fail () {
+      if (destroyed) {
         return;
       }
-      if (typeof imgEl.decode === 'function') {
-        imgEl.decode().then(onImageReady).catch(function () {
-          requestAnimationFrame(onImageReady);
-        });
-      } else {
-        requestAnimationFrame(onImageReady);
-      }
-    };
-    imgEl.onerror = function () {
-      Overlay.$loader.removeClass('cv-active');
+      ov.$loader.removeClass('cv-active');
       $wrap.remove();
       $stage.empty();
-      showError($stage, 'image', 'Image could not be loaded', item, { noDownload: !getItemDownloadUrl(item, inst) });
-      if (inst) {
-        Overlay._resolveToolbar(inst, { imageError: true });
+      showError($stage, 'tiled', str(inst, 'imageLoadFailed'), item, { noDownload: !getItemDownloadUrl(item, inst) });
+      ov._resolveToolbar(inst, { imageError: true });
+    }
+
+    /* Visible part of the image in full-resolution pixels: the stage corners mapped back through pan, scale, flip and rotate */
+    function visibleRect (scale) {
+      var sw = ov.$stageWrap[0].clientWidth;
+      var sh = ov.$stageWrap[0].clientHeight;
+      var rad = (ov._rotation || 0) * Math.PI / 180;
+      var cos = Math.cos(rad);
+      var sin = Math.sin(rad);
+      var k = source.width / boxW;
+      var minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+      var corners = [[-sw / 2, -sh / 2], [sw / 2, -sh / 2], [sw / 2, sh / 2], [-sw / 2, sh / 2]];
+      for (var i = 0; i < corners.length; i++) {
+        var x = (corners[i][0] - ov._panX) / scale * (ov._flipX ? -1 : 1);
+        var y = (corners[i][1] - ov._panY) / scale * (ov._flipY ? -1 : 1);
+        var lx = x * cos + y * sin;
+        var ly = -x * sin + y * cos;
+        var ix = (lx + boxW / 2) * k;
+        var iy = (ly + boxH / 2) * k;
+        minX = Math.min(minX, ix); maxX = Math.max(maxX, ix);
+        minY = Math.min(minY, iy); maxY = Math.max(maxY, iy);
+      }
+      return { x0: Math.max(0, minX), y0: Math.max(0, minY), x1: Math.min(source.width, maxX), y1: Math.min(source.height, maxY) };
+    }
+
+    function addTile (key, levelIdx, col, row) {
+      var level = source.levels[levelIdx];
+      var r = tileRect(source, level, col, row);
+      var tileImg = document.createElement('img');
+      tileImg.className = 'cv-tile';
+      tileImg.alt = '';
+      tileImg.draggable = false;
+      tileImg.style.left = (r.x / source.width * 100) + '%';
+      tileImg.style.top = (r.y / source.height * 100) + '%';
+      tileImg.style.width = (r.w / source.width * 100) + '%';
+      tileImg.style.height = (r.h / source.height * 100) + '%';
+      tileImg.style.zIndex = String(levelIdx);
+      tileImg.onload = function () {
+        $(tileImg).addClass('cv-loaded');
+        settleWhenDrawn();
+      };
+      tileImg.onerror = function () {
+        $(tileImg).addClass('cv-tile-failed');
+        settleWhenDrawn();
+      };
+      tileImg.src = level.url(col, row);
+      $box[0].appendChild(tileImg);
+      tiles[key] = tileImg;
+    }
+
+    /** Resolve the pending Promise once every backdrop (base level) tile has loaded or failed. */
+    function settleWhenDrawn () {
+      if (drawn || destroyed) {
+        return;
+      }
+      var prefix = baseLevel + '/';
+      for (var key in tiles) {
+        if (Object.prototype.hasOwnProperty.call(tiles, key) && key.indexOf(prefix) === 0 &&
+            !$(tiles[key]).hasClass('cv-loaded') && !$(tiles[key]).hasClass('cv-tile-failed')) {
+          return;
+        }
+      }
+      drawn = true;
+      inst._settleLoad(item);
+    }
+
+    function refresh () {
+      if (destroyed || !source || !boxW) {
+        return;
+      }
+      var scale = (ov._zoom || 1) * ov._fitScale($box[0]);
+      var want = source.width / (boxW * scale) / (window.devicePixelRatio || 1);
+      var levelIdx = source.levels.length - 1;
+      for (var li = 0; li < source.levels.length; li++) {
+        if (source.levels[li].factor <= want) {
+          levelIdx = li;
+          break;
+        }
+      }
+      levelIdx = Math.max(levelIdx, baseLevel);
+      var needed = {};
+      var base = levelGrid(source, source.levels[baseLevel]);
+      for (var bc = 0; bc < base.cols; bc++) {
+        for (var br = 0; br < base.rows; br++) {
+          needed[baseLevel + '/' + bc + '_' + br] = [baseLevel, bc, br];
+        }
+      }
+      if (levelIdx !== baseLevel) {
+        var level = source.levels[levelIdx];
+        var grid = levelGrid(source, level);
+        var vis = visibleRect(scale);
+        var spanW = source.tileW * level.factor;
+        var spanH = source.tileH * level.factor;
+        var c0 = Math.max(0, Math.floor(vis.x0 / spanW));
+        var c1 = Math.min(grid.cols - 1, Math.floor(vis.x1 / spanW));
+        var r0 = Math.max(0, Math.floor(vis.y0 / spanH));
+        var r1 = Math.min(grid.rows - 1, Math.floor(vis.y1 / spanH));
+        for (var c = c0; c <= c1; c++) {
+          for (var r = r0; r <= r1; r++) {
+            needed[levelIdx + '/' + c + '_' + r] = [levelIdx, c, r];
+          }
+        }
+      }
+      for (var key in tiles) {
+        if (Object.prototype.hasOwnProperty.call(tiles, key) && !needed[key]) {
+          $(tiles[key]).remove();
+          delete tiles[key];
+        }
+      }
+      for (var nk in needed) {
+        if (Object.prototype.hasOwnProperty.call(needed, nk) && !tiles[nk]) {
+          addTile(nk, needed[nk][0], needed[nk][1], needed[nk][2]);
+        }
+      }
+    }
+
+    /* Called by the overlay before each transform: size the box like a contained image, then pick tiles on the next frame */
+    function layout () {
+      if (destroyed || !source) {
+        return;
+      }
+      var sw = ov.$stageWrap[0].clientWidth;
+      var sh = ov.$stageWrap[0].clientHeight;
+      if (sw && sh) {
+        var fit = Math.min(sw / source.width, sh / source.height);
+        boxW = source.width * fit;
+        boxH = source.height * fit;
+        $box.css({ width: boxW, height: boxH });
+      }
+      if (frame === null) {
+        frame = requestAnimationFrame(function () {
+          frame = null;
+          refresh();
+        });
+      }
+    }
+
+    var viewer = { layout: layout };
+    ov._tiledViewer = viewer;
+
+    if (typeof fetch !== 'function') {
+      fail();
+      return { imageError: true };
+    }
+    fetch(srcUrl, { method: 'GET', credentials: 'include' })
+      .then(function (r) {
+        if (!r.ok) {
+          throw new Error(String(r.status));
+        }
+        return r.text();
+      })
+      .then(function (text) {
+        if (destroyed) {
+          return;
+        }
+        source = parseTileSource(text, srcUrl);
+        if (!source) {
+          fail();
+          return;
+        }
+        /* Backdrop: the most detailed level that is still a single tile (else the coarsest) */
+        for (var li = 0; li < source.levels.length; li++) {
+          var g = levelGrid(source, source.levels[li]);
+          if (g.cols * g.rows === 1) {
+            baseLevel = li;
+          }
+        }
+        var baseGrid = levelGrid(source, source.levels[baseLevel]);
+        if (baseGrid.cols * baseGrid.rows === 1) {
+          $box.attr('data-cv-preview', source.levels[baseLevel].url(0, 0));
+        }
+        $box.attr({ 'data-cv-natural-width': source.width, 'data-cv-natural-height': source.height }).addClass('cv-loaded');
+        ov.$loader.removeClass('cv-active');
+        ov._clampPan();
+        ov._applyTransform();
+        ov._syncZoomUi();
+        ov._renderInfoPanel(inst);
+      })
+      .catch(fail);
+
+    return {
+      settlesLoad: true,
+      destroy: function () {
+        destroyed = true;
+        if (frame !== null) {
+          cancelAnimationFrame(frame);
+          frame = null;
+        }
+        if (ov._tiledViewer === viewer) {
+          ov._tiledViewer = null;
+        }
       }
     };
-    $wrap.append($img);
-    $stage.append($wrap);
-    imgEl.src = srcUrl;
-    return {};
   }
 
   /* --- BUILT-IN: VIDEO (jPlayer) --- */
 
-  function builtInVideoNativeRenderer (item, $stage) {
-    var inst = Overlay.activeInstance;
+  function builtInVideoNativeRenderer (item, $stage, inst) {
+    inst = inst || overlayOf(null, $stage).activeInstance;
     var srcUrl = getResolvedSrcUrl(item, inst);
     if (!srcUrl || !isSafeResourceUrl(srcUrl)) {
       return null;
@@ -3523,6 +7939,7 @@
     if (poster) {
       $video.attr('poster', poster);
     }
+    bindMediaPrefs(inst, $video[0]);
     $wrap.append($video);
     $stage.append($wrap);
     return {};
@@ -3530,7 +7947,7 @@
 
   function builtInVideoRenderer (item, $stage, inst) {
     if (typeof $.fn.jPlayer === 'undefined') {
-      return builtInVideoNativeRenderer(item, $stage);
+      return builtInVideoNativeRenderer(item, $stage, inst);
     }
     var srcUrl = getResolvedSrcUrl(item, inst);
     if (!srcUrl || !isSafeResourceUrl(srcUrl)) {
@@ -3607,6 +8024,10 @@
     var $bigPlay = $wrap.find('.cv-jp-big-play');
     var $screen = $wrap.find('.cv-jp-video-screen');
     var $speed = $wrap.find('.cv-jp-speed');
+    var jpPrefs = jPlayerPrefs(inst);
+    if (jpPrefs.playbackRate) {
+      $speed.val(String(jpPrefs.playbackRate));
+    }
     var isPlaying = false;
     var jpInited = false;
     var videoGateActive = false;
@@ -3624,7 +8045,7 @@
         $wrap.prepend($playerDiv);
         $jp = $playerDiv;
       }
-      $jp.jPlayer({
+      $jp.jPlayer($.extend({
         ready: function () {
           $(this).jPlayer('setMedia', media);
           $(this).jPlayer('play');
@@ -3645,6 +8066,9 @@
           var opts = e.jPlayer && e.jPlayer.options;
           var muted = (opts && opts.muted) || (opts && opts.volume === 0);
           syncMuteUI(Boolean(muted));
+          if (opts) {
+            savePrefs(inst, { volume: opts.volume, muted: Boolean(opts.muted) });
+          }
         },
         supplied: supplied,
         cssSelectorAncestor: '#' + containerId,
@@ -3653,8 +8077,9 @@
         smoothPlayBar: true,
         keyEnabled: false,
         globalVolume: true,
-        playbackRate: 1
-      });
+        playbackRate: parseFloat($speed.val()) || 1
+      }, jpPrefs));
+      syncMuteUI(Boolean(jpPrefs.muted));
     }
 
     function initJPlayerAndPlay () {
@@ -3723,6 +8148,7 @@
     $wrap.find('.jp-pause').on('click', togglePlay);
 
     $speed.on('change', function () {
+      savePrefs(inst, { playbackRate: parseFloat(this.value) });
       if (jpInited) {
       $jp.jPlayer('option', 'playbackRate', parseFloat(this.value));
       }
@@ -3735,7 +8161,7 @@
       var setHdButtonActive = function (active) {
         isHdCurrentlyPlaying = Boolean(active);
         $hdBtn.toggleClass('cv-jp-hd-active', isHdCurrentlyPlaying);
-        var label = str(inst, 'hd') + (isHdCurrentlyPlaying ? ' (on)' : '');
+        var label = str(inst, isHdCurrentlyPlaying ? 'hdOn' : 'hd');
         if (inst && inst.opts.canShowTooltip !== false) {
           $hdBtn.attr('data-cv-tooltip', label);
         }
@@ -3832,19 +8258,20 @@
         $restoreBtn.attr('aria-label', str(inst, 'exitFullscreen'));
       }
       /* Move tooltip into video wrapper when video is fullscreen so it appears above video layer */
-      if (Overlay.$tooltip && Overlay.$tooltip.length) {
+      var ov = overlayOf(inst, $stage);
+      if (ov.$tooltip && ov.$tooltip.length) {
         if (isVideoFullscreen) {
-          if (Overlay.$tooltip.parent()[0] !== wrapEl) {
-            $wrap.append(Overlay.$tooltip);
+          if (ov.$tooltip.parent()[0] !== wrapEl) {
+            $wrap.append(ov.$tooltip);
           }
         } else {
-          var overlayEl = Overlay.$el && Overlay.$el[0];
+          var overlayEl = ov.$el && ov.$el[0];
           if (fsEl === overlayEl) {
-            if (Overlay.$tooltip.parent()[0] !== overlayEl) {
-              Overlay.$el.append(Overlay.$tooltip);
+            if (ov.$tooltip.parent()[0] !== overlayEl) {
+              ov.$el.append(ov.$tooltip);
             }
-          } else if (Overlay.$tooltip.parent()[0] !== document.body) {
-            $('body').append(Overlay.$tooltip);
+          } else if (ov.$tooltip.parent()[0] !== document.body) {
+            $('body').append(ov.$tooltip);
           }
         }
       }
@@ -3903,8 +8330,8 @@
 
   /* --- BUILT-IN: AUDIO (jPlayer) --- */
 
-  function builtInAudioNativeRenderer (item, $stage) {
-    var inst = Overlay.activeInstance;
+  function builtInAudioNativeRenderer (item, $stage, inst) {
+    inst = inst || overlayOf(null, $stage).activeInstance;
     var srcUrl = getResolvedSrcUrl(item, inst);
     if (!srcUrl || !isSafeResourceUrl(srcUrl)) {
       return null;
@@ -3914,7 +8341,7 @@
       '<div class="cv-audio-wrap">' +
         '<div class="cv-audio-artwork">' +
           '<div class="cv-audio-icon"><svg width="60" height="60" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="1" opacity=".4"><path d="M9 18V5l12-2v13"/><circle cx="6" cy="18" r="3"/><circle cx="18" cy="16" r="3"/></svg></div>' +
-          '<div class="cv-audio-title">' + escHtml(item.title || 'Audio') + '</div>' +
+          '<div class="cv-audio-title">' + escHtml(item.title || str(inst, 'audio')) + '</div>' +
           '<div class="cv-audio-meta"><span>' + escHtml(ext) + '</span></div>' +
         '</div>' +
         '<div class="cv-audio-native-controls"></div>' +
@@ -3922,6 +8349,7 @@
     );
     var $audio = $('<audio controls preload="metadata"></audio>');
     $audio.attr('src', srcUrl);
+    bindMediaPrefs(inst, $audio[0]);
     $wrap.find('.cv-audio-native-controls').append($audio);
     $stage.append($wrap);
     return {};
@@ -3929,7 +8357,7 @@
 
   function builtInAudioRenderer (item, $stage, inst) {
     if (typeof $.fn.jPlayer === 'undefined') {
-      return builtInAudioNativeRenderer(item, $stage);
+      return builtInAudioNativeRenderer(item, $stage, inst);
     }
     var srcUrl = getResolvedSrcUrl(item, inst);
     if (!srcUrl || !isSafeResourceUrl(srcUrl)) {
@@ -3950,7 +8378,7 @@
       '<div class="cv-audio-wrap">' +
         '<div class="cv-audio-artwork">' +
           '<div class="cv-audio-icon"><svg width="60" height="60" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="1" opacity=".4"><path d="M9 18V5l12-2v13"/><circle cx="6" cy="18" r="3"/><circle cx="18" cy="16" r="3"/></svg></div>' +
-          '<div class="cv-audio-title">' + escHtml(item.title || 'Audio') + '</div>' +
+          '<div class="cv-audio-title">' + escHtml(item.title || str(inst, 'audio')) + '</div>' +
           '<div class="cv-audio-meta">' +
             (item.fileSize ? '<span>' + escHtml(item.fileSize) + '</span>' : '') +
             '<span>' + escHtml(ext) + '</span>' +
@@ -3988,6 +8416,10 @@
 
     var $jp = $();
     var $speed = $wrap.find('.cv-jp-speed');
+    var jpPrefs = jPlayerPrefs(inst);
+    if (jpPrefs.playbackRate) {
+      $speed.val(String(jpPrefs.playbackRate));
+    }
     var jpInited = false;
 
     function syncAudioPlayPauseUI (playing) {
@@ -4009,7 +8441,7 @@
         $wrap.prepend($playerDiv);
         $jp = $playerDiv;
       }
-    $jp.jPlayer({
+    $jp.jPlayer($.extend({
         ready: function () {
           $(this).jPlayer('setMedia', media);
           $(this).jPlayer('play');
@@ -4027,14 +8459,18 @@
           var opts = e.jPlayer && e.jPlayer.options;
           var muted = (opts && opts.muted) || (opts && opts.volume === 0);
           syncAudioMuteUI(Boolean(muted));
+          if (opts) {
+            savePrefs(inst, { volume: opts.volume, muted: Boolean(opts.muted) });
+          }
         },
       supplied: supplied,
       cssSelectorAncestor: '#' + containerId,
       smoothPlayBar: true,
       keyEnabled: false,
       globalVolume: true,
-      playbackRate: 1
-      });
+      playbackRate: parseFloat($speed.val()) || 1
+      }, jpPrefs));
+      syncAudioMuteUI(Boolean(jpPrefs.muted));
     }
 
     function toggleAudioPlay () {
@@ -4056,6 +8492,7 @@
     $wrap.find('.jp-pause').on('click', toggleAudioPlay);
 
     $speed.on('change', function () {
+      savePrefs(inst, { playbackRate: parseFloat(this.value) });
       if (jpInited) {
         $jp.jPlayer('option', 'playbackRate', parseFloat(this.value));
       }
@@ -4073,14 +8510,15 @@
 
   /* --- BUILT-IN: PDF (pdf.js) --- */
 
-  function builtInPdfIframeRenderer (item, $stage) {
-    var inst = Overlay.activeInstance;
+  function builtInPdfIframeRenderer (item, $stage, inst) {
+    inst = inst || overlayOf(null, $stage).activeInstance;
     var srcUrl = getResolvedSrcUrl(item, inst);
     if (!srcUrl || !isSafeResourceUrl(srcUrl)) {
       return null;
     }
     var $wrap = $('<div class="cv-pdf-iframe-wrap"></div>');
-    var $iframe = $('<iframe class="cv-pdf-iframe" title="PDF"></iframe>');
+    var $iframe = $('<iframe class="cv-pdf-iframe"></iframe>');
+    $iframe.attr('title', str(inst, 'pdf'));
     $iframe.attr('src', srcUrl);
     $wrap.append($iframe);
     $stage.append($wrap);
@@ -4089,13 +8527,14 @@
 
   function builtInPdfRenderer (item, $stage, inst) {
     if (typeof window.pdfjsLib === 'undefined') {
-      return builtInPdfIframeRenderer(item, $stage);
+      return builtInPdfIframeRenderer(item, $stage, inst);
     }
     var srcUrl = getResolvedSrcUrl(item, inst) || item.src;
     if (!srcUrl || !isSafeResourceUrl(srcUrl)) {
       return null;
     }
 
+    var ov = overlayOf(inst, $stage);
     var pdfOpts = inst.opts.pdf || {};
     var showAnnotations = pdfOpts.annotations !== false;
     var useAutoFit = pdfOpts.autoFit !== false;
@@ -4103,7 +8542,8 @@
     var maxScale = (typeof pdfOpts.autoFitMaxScale === 'number' ? pdfOpts.autoFitMaxScale : 2.5);
     var enableTextLayer = pdfOpts.textLayer !== false;
     var onPrint = typeof pdfOpts.onPrint === 'function' ? pdfOpts.onPrint : null;
-    var twoPageView = false; // always start single-page; toggle shown only when pdfOpts.twoPageView is true
+    /* Single-page unless the user last chose two-page (persist); the toggle is shown only when pdfOpts.twoPageView is true */
+    var twoPageView = pdfOpts.twoPageView === true && loadPrefs(inst).pdfTwoPage === true;
     var TWO_PAGE_GAP = 12;
 
     var $container = $(
@@ -4510,6 +8950,7 @@
     }
 
     function updatePageInfoDisplay () {
+      trackPdfPage(inst, item, pageNum, totalPages);
       if (!$pageInfo || pageEditing) {
         return;
       }
@@ -4537,7 +8978,7 @@
       }
     }
 
-    Overlay.$loader.addClass('cv-active');
+    ov.$loader.addClass('cv-active');
     if (pdfOpts.workerSrc) {
       pdfjsLib.GlobalWorkerOptions.workerSrc = pdfOpts.workerSrc;
     }
@@ -4549,7 +8990,7 @@
     }
 
     function getStageSize () {
-      var $wrap = Overlay.$stageWrap;
+      var $wrap = ov.$stageWrap;
       return {
         w: ($wrap && $wrap.length ? $wrap.width() : 0) || $stage.width() || 600,
         h: ($wrap && $wrap.length ? $wrap.height() : 0) || $stage.height() || 800
@@ -4560,7 +9001,7 @@
     var loadPromise = loadingTask.promise || loadingTask;
     loadPromise.then(function (pdf) {
       pdfDoc = pdf; totalPages = pdf.numPages;
-      Overlay.$loader.removeClass('cv-active');
+      ov.$loader.removeClass('cv-active');
 
       function checkPdfHasText (cb) {
         var pagesToCheck = Math.min(3, Math.max(1, totalPages));
@@ -4591,12 +9032,12 @@
       }
       if (enableTextLayer && totalPages > 0) {
         checkPdfHasText(function (hasText) {
-          if (hasText && $tbExtract && Overlay.$toolbar && Overlay.$toolbar.length) {
-            var $print = Overlay.$toolbar.find('.cv-tb-pdf-print');
+          if (hasText && $tbExtract && ov.$toolbar && ov.$toolbar.length) {
+            var $print = ov.$toolbar.find('.cv-tb-pdf-print');
             if ($print.length) {
               $print.after($tbExtract);
             } else {
-              Overlay.$toolbar.append($tbExtract);
+              ov.$toolbar.append($tbExtract);
             }
           }
         });
@@ -4639,12 +9080,12 @@
         requestAnimationFrame(runInitialScaleAndRender);
       });
     }, function () {
-      Overlay.$loader.removeClass('cv-active');
+      ov.$loader.removeClass('cv-active');
       /* Remove shell so .cv-error-card is not a flex sibling of .cv-pdf-wrap (row layout pushed error to the side). */
       if ($container && $container.length) {
         $container.remove();
       }
-      showError($stage, 'pdf', 'PDF could not be loaded', item);
+      showError($stage, 'pdf', str(inst, 'pdfLoadFailed'), item);
     });
 
     $stage.append($container);
@@ -4732,7 +9173,7 @@
     toolbarItems.push($tbZoomOut[0]);
 
     $zoomSelect = $('<select class="cv-pdf-zoom-select"' + ariaAttr('zoom') + '></select>');
-    $zoomSelect.append('<option value="autofit">Auto Fit</option>');
+    $zoomSelect.append('<option value="autofit">' + escHtml(str(inst, 'autoFit')) + '</option>');
     for (var zi = 0; zi < zoomPresetsPct.length; zi++) {
       var zp = zoomPresetsPct[zi];
       $zoomSelect.append('<option value="' + zp + '">' + zp + '%</option>');
@@ -4777,6 +9218,7 @@
       };
       $tbTwoPage.on('click', function () {
         twoPageView = !twoPageView;
+        savePrefs(inst, { pdfTwoPage: twoPageView });
         updateTwoPageToggleState();
         useAutoFit = true;
         applyAutoFitScale();
@@ -5000,17 +9442,17 @@
         })
         .catch(function () {
           $placeholder.remove();
-          showError($stage, 'inline', 'Could not load file for inline view', item);
+          showError($stage, 'inline', str(inst, 'couldNotLoadFileInline'), item);
         });
       return {};
     }
-    showError($stage, 'inline', 'No content or invalid URL for inline view', item);
+    showError($stage, 'inline', str(inst, 'noContentInline'), item);
     return null;
   }
 
   /* --- BUILT-IN: UNSUPPORTED / ERROR --- */
 
-  function getErrorMessage (item) {
+  function getErrorMessage (item, inst) {
     var m;
     if (!isNullish(item.message) && item.message !== '') {
       m = item.message;
@@ -5019,37 +9461,49 @@
     } else {
       m = null;
     }
-    return (m !== null && m !== undefined) ? String(m) : 'Preview is not available for this file';
+    return (m !== null && m !== undefined) ? String(m) : str(inst, 'previewNotAvailable');
   }
 
   function buildUnsupportedCard (item, message, $stage) {
     var ext = (item.fileExt || (item.title || '').split('.').pop() || '').toUpperCase();
     var size = item.fileSize || '';
-    var showDl = Boolean(getItemDownloadUrl(item, Overlay.activeInstance));
+    var ov = overlayOf(null, $stage);
+    var inst = ov ? ov.activeInstance : null;
+    var showDl = Boolean(getItemDownloadUrl(item, inst));
     var $card = $(
       '<div class="cv-unsupported">' +
         '<div class="cv-unsupported-icon">' + Icons.fileIcon + '</div>' +
         (ext ? '<div class="cv-unsupported-ext">' + escHtml(ext) + '</div>' : '') +
-        '<div class="cv-unsupported-name">' + escHtml(item.title || 'File') + '</div>' +
+        '<div class="cv-unsupported-name">' + escHtml(item.title || str(inst, 'file')) + '</div>' +
         (size ? '<div class="cv-unsupported-size">' + escHtml(size) + '</div>' : '') +
         '<p class="cv-unsupported-msg">' + escHtml(message) + '</p>' +
-        (showDl ? '<button class="cv-unsupported-dl" type="button">' + Icons.download + ' Download</button>' : '') +
+        (showDl ? '<button class="cv-unsupported-dl" type="button">' + Icons.download + ' ' + escHtml(str(inst, 'download')) + '</button>' : '') +
       '</div>'
     );
     if (showDl) {
       $card.find('.cv-unsupported-dl').on('click', function () {
-        performDownload(item, Overlay.activeInstance);
+        performDownload(item, inst);
       });
     }
     $stage.append($card);
   }
 
-  function builtInUnsupportedRenderer (item, $stage) {
-    buildUnsupportedCard(item, 'Preview is not available for this file', $stage);
+  function builtInUnsupportedRenderer (item, $stage, inst) {
+    buildUnsupportedCard(item, str(inst, 'previewNotAvailable'), $stage);
   }
 
-  function builtInErrorRenderer (item, $stage) {
-    buildUnsupportedCard(item, getErrorMessage(item), $stage);
+  function builtInErrorRenderer (item, $stage, inst) {
+    buildUnsupportedCard(item, getErrorMessage(item, inst), $stage);
+    if (inst && item._cvPending && item.message) {
+      /* A placeholder whose itemsProvider page failed: offer to fetch it again */
+      var $retry = $('<button class="cv-unsupported-dl cv-unsupported-retry" type="button"></button>').text(str(inst, 'retry'));
+      $retry.on('click', function () {
+        $retry[0].disabled = true;
+        inst._retryProviderItem();
+      });
+      $stage.find('.cv-unsupported').append($retry);
+      inst._rejectLoad('LOAD_FAILED', item.message);
+    }
     return {};
   }
 
@@ -5090,8 +9544,9 @@
     return isHtmlMarkdownFileItem(item, inst) && htmlItemHasIframeSrc(item, inst);
   }
 
-  function builtInHtmlRenderer (item, $stage) {
-    var inst = Overlay.activeInstance;
+  function builtInHtmlRenderer (item, $stage, inst) {
+    var ov = overlayOf(inst, $stage);
+    inst = inst || ov.activeInstance;
     var src = getResolvedSrcUrl(item, inst) || item.src;
     var html = item.html;
     if (src && isSafeResourceUrl(src)) {
@@ -5154,10 +9609,10 @@
       };
     }
     if (isNullish(html) || (typeof html === 'string' && String(html).trim() === '')) {
-      showError($stage, 'html', 'No HTML or src provided for html view', item);
+      showError($stage, 'html', str(inst, 'noHtmlOrSrc'), item);
       return null;
     }
-    Overlay.$loader.addClass('cv-active');
+    ov.$loader.addClass('cv-active');
     if (typeof html === 'string') {
       $stage.append($(html));
     } else if (html.jquery) {
@@ -5165,12 +9620,12 @@
     } else if (html.nodeType) {
       $stage.append(html);
     } else {
-      Overlay.$loader.removeClass('cv-active');
-      showError($stage, 'html', 'No HTML provided for html view', item);
+      ov.$loader.removeClass('cv-active');
+      showError($stage, 'html', str(inst, 'noHtmlProvided'), item);
       return null;
     }
     setTimeout(function () {
-      Overlay.$loader.removeClass('cv-active');
+      ov.$loader.removeClass('cv-active');
     }, 120);
     return {};
   }
@@ -5178,6 +9633,7 @@
   /* --- BUILT-IN: MARKDOWN --- */
 
   function builtInMarkdownRenderer (item, $stage, inst) {
+    var ov = overlayOf(inst, $stage);
     function getMarkdownRenderer () {
       if (typeof window.marked === 'function' || (window.marked && typeof window.marked.parse === 'function')) {
         return function (md) {
@@ -5217,7 +9673,7 @@
         inst._markdownRaw = null;
         inst._markdownHtml = null;
       }
-      Overlay.$loader.addClass('cv-active');
+      ov.$loader.addClass('cv-active');
       var $placeholder = $('<div class="cv-markdown-body"><div class="cv-inline-loading"><div class="cv-inline-spinner"></div></div></div>');
       $stage.append($placeholder);
       fetch(fetchUrl, { method: 'GET', credentials: 'include' })
@@ -5235,22 +9691,30 @@
             inst._markdownHtml = html;
           }
           $placeholder.html(html);
-          Overlay.$loader.removeClass('cv-active');
+          ov.$loader.removeClass('cv-active');
         })
         .catch(function () {
           $placeholder.remove();
-          Overlay.$loader.removeClass('cv-active');
-          showError($stage, 'markdown', 'Could not load file for markdown view', item);
+          ov.$loader.removeClass('cv-active');
+          showError($stage, 'markdown', str(inst, 'couldNotLoadFileMarkdown'), item);
         });
       return {};
     }
-    showError($stage, 'markdown', 'No content or invalid URL for markdown view', item);
+    showError($stage, 'markdown', str(inst, 'noContentMarkdown'), item);
     return null;
   }
 
   function showError ($stage, type, message, item, options) {
     options = options || {};
-    var inst = Overlay.activeInstance;
+    var ov = overlayOf(null, $stage);
+    var inst = ov ? ov.activeInstance : null;
+    /* The pending open / navigation Promise fails even when a listener or onError replaces the card */
+    if (inst && item && item === inst.items[inst.idx]) {
+      inst._rejectLoad('LOAD_FAILED', message);
+    }
+    if (inst && !fireEvent(inst, 'error', { type: type, message: message, item: item, $stage: $stage })) {
+      return;
+    }
     if (inst && typeof inst.opts.onError === 'function') {
       var handled = inst.opts.onError({ type: type, message: message, item: item, $stage: $stage });
       if (handled === true) {
@@ -5262,48 +9726,193 @@
 
   function builtInErrorCard ($stage, message, item, options) {
     options = options || {};
-    var showDl = !options.noDownload && getItemDownloadUrl(item, Overlay.activeInstance);
+    var ov = overlayOf(null, $stage);
+    var inst = ov ? ov.activeInstance : null;
+    var showDl = !options.noDownload && getItemDownloadUrl(item, inst);
     var $card = $(
       '<div class="cv-error-card">' + Icons.error +
         '<p class="cv-error-text">' + escHtml(message) + '</p>' +
-        (showDl ? '<button class="cv-error-dl" type="button">' + Icons.download + ' Download source</button>' : '') +
+        (showDl ? '<button class="cv-error-dl" type="button">' + Icons.download + ' ' + escHtml(str(inst, 'downloadSource')) + '</button>' : '') +
       '</div>'
     );
     if (showDl) {
       $card.find('.cv-error-dl').on('click', function () {
-        performDownload(item, Overlay.activeInstance);
+        performDownload(item, inst);
       });
     }
     $stage.append($card);
   }
 
+  /* --- RENDERER REGISTRY --- */
+
+  /* type -> renderer definition; rendererOrder keeps registration order so later match() renderers win */
+  var renderers = {};
+  var rendererOrder = [];
+
+  /**
+   * Register (or replace) the renderer for a content type. Built-in types use this same registry.
+   * @param {string} type - item.type handled by this renderer
+   * @param {Object|Function} def - { match, render, toolbar, destroy, shortcuts } or a render function
+   * @returns {boolean} true when registered
+   */
+  function registerRenderer (type, def) {
+    if (isNullish(type) || String(type) === '') {
+      return false;
+    }
+    if (typeof def === 'function') {
+      def = { render: def };
+    }
+    if (!def || typeof def.render !== 'function') {
+      return false;
+    }
+    type = String(type);
+    unregisterRenderer(type);
+    renderers[type] = def;
+    rendererOrder.push(type);
+    return true;
+  }
+
+  function unregisterRenderer (type) {
+    type = String(type);
+    if (!Object.prototype.hasOwnProperty.call(renderers, type)) {
+      return false;
+    }
+    delete renderers[type];
+    var i = rendererOrder.indexOf(type);
+    if (i !== -1) {
+      rendererOrder.splice(i, 1);
+    }
+    return true;
+  }
+
+  function getRenderer (type) {
+    return Object.prototype.hasOwnProperty.call(renderers, String(type)) ? renderers[String(type)] : null;
+  }
+
+  /** Renderers with match() are asked first (latest registration first); otherwise look up by item.type. Returns { type, def } or null. */
+  function resolveRenderer (item, inst) {
+    for (var i = rendererOrder.length - 1; i >= 0; i--) {
+      var def = renderers[rendererOrder[i]];
+      if (typeof def.match === 'function' && def.match(item, inst)) {
+        return { type: rendererOrder[i], def: def };
+      }
+    }
+    var type = item.type || 'image';
+    var byType = getRenderer(type);
+    return byType ? { type: type, def: byType } : null;
+  }
+
+  /** Renderer-level toolbar items (def.toolbar as array or function(item, viewer, result)). */
+  function getRendererToolbar (renderer, item, inst, result) {
+    if (!renderer || !renderer.def.toolbar) {
+      return [];
+    }
+    var tb = renderer.def.toolbar;
+    if (typeof tb === 'function') {
+      tb = tb(item, inst, result);
+    }
+    return Array.isArray(tb) ? tb : [];
+  }
+
+  /** Renderer-level shortcuts normalized to [{ key, label, handler }]; reserved keys are dropped. */
+  function getRendererShortcuts (renderer, item, inst) {
+    if (!renderer || !renderer.def.shortcuts) {
+      return [];
+    }
+    var list = renderer.def.shortcuts;
+    if (typeof list === 'function') {
+      list = list(item, inst);
+    }
+    var out = [];
+    if (!Array.isArray(list)) {
+      return out;
+    }
+    var reserved = reservedShortcutKeys(inst);
+    for (var i = 0; i < list.length; i++) {
+      var sc = list[i];
+      var key = sc && !isNullish(sc.key) ? String(sc.key).toLowerCase() : '';
+      if (!key || reserved[key] || typeof sc.handler !== 'function') {
+        continue;
+      }
+      out.push({ key: key, label: sc.label || key, handler: sc.handler });
+    }
+    return out;
+  }
+
+  registerRenderer('image', { render: builtInImageRenderer });
+  registerRenderer('compare', { render: builtInCompareRenderer });
+  registerRenderer('tiled', { render: builtInTiledRenderer });
+  registerRenderer('video', { render: builtInVideoRenderer });
+  registerRenderer('audio', { render: builtInAudioRenderer });
+  registerRenderer('pdf', { render: builtInPdfRenderer });
+  registerRenderer('inline', { render: builtInInlineRenderer });
+  registerRenderer('markdown', { render: builtInMarkdownRenderer });
+  registerRenderer('error', { render: builtInErrorRenderer });
+  registerRenderer('html', { render: builtInHtmlRenderer });
+
   /* --- COMPONENTVIEWER CLASS --- */
 
-  function ComponentViewer ($container, options) {
-    this.id = ++ComponentViewer._counter;
-    this.$container = $container;
-    this.opts = $.extend(true, {}, DEFAULTS, options);
-    var so = this.opts.stageOnly;
+  /** Expand boolean shorthands (stageOnly: true, minimize: false) into their object form, in place. */
+  function normalizeOptions (opts) {
+    var so = opts.stageOnly;
     if (so === true || so === false) {
-      this.opts.stageOnly = { enabled: Boolean(so), hideNavigation: false };
+      opts.stageOnly = { enabled: Boolean(so), hideNavigation: false };
     } else if (so && typeof so === 'object') {
-      this.opts.stageOnly = $.extend({}, DEFAULTS.stageOnly, so);
+      opts.stageOnly = $.extend({}, DEFAULTS.stageOnly, so);
     } else {
-      this.opts.stageOnly = $.extend({}, DEFAULTS.stageOnly);
+      opts.stageOnly = $.extend({}, DEFAULTS.stageOnly);
     }
-    var minCfg = this.opts.minimize;
+    var persist = opts.persist;
+    opts.persist = persist ? $.extend({}, PERSIST_DEFAULTS, persist === true ? {} : persist) : null;
+    var hist = opts.history;
+    opts.history = hist ? $.extend({}, HISTORY_DEFAULTS, hist === true ? {} : hist) : null;
+    var minCfg = opts.minimize;
     if (minCfg === true || minCfg === false) {
-      this.opts.minimize = { enabled: Boolean(minCfg) };
+      opts.minimize = { enabled: Boolean(minCfg) };
     } else if (minCfg && typeof minCfg === 'object') {
-      this.opts.minimize = $.extend({}, DEFAULTS.minimize, minCfg);
+      opts.minimize = $.extend({}, DEFAULTS.minimize, minCfg);
     } else {
-      this.opts.minimize = $.extend({}, DEFAULTS.minimize);
+      opts.minimize = $.extend({}, DEFAULTS.minimize);
+    }
+    return opts;
+  }
+
+  /** Deep-merge src into target: plain objects merge recursively; arrays, functions and other values replace. */
+  function mergeOptions (target, src) {
+    for (var key in src) {
+      if (!Object.prototype.hasOwnProperty.call(src, key)) {
+        continue;
+      }
+      var val = src[key];
+      if ($.isPlainObject(val) && $.isPlainObject(target[key])) {
+        mergeOptions(target[key], val);
+      } else if ($.isPlainObject(val)) {
+        target[key] = mergeOptions({}, val);
+      } else {
+        target[key] = val;
+      }
     }
+    return target;
+  }
+
+  /**
+   * Core viewer for one container. container: element, selector or jQuery object. Usable without jQuery;
+   * $(el).componentViewer(options) is an adapter that constructs one of these.
+   */
+  function ComponentViewer (container, options) {
+    this.id = ++ComponentViewer._counter;
+    this.$container = $(container);
+    this.opts = $.extend(true, {}, DEFAULTS, options);
+    normalizeOptions(this.opts);
     this.items = []; this.idx = 0; this._currentResult = null;
+    this._overlay = new Overlay();
+    this.$container.data('cv-instance', this);
+    bindKeydownCaptureOnce();
     var cvSelf = this;
     this._beforeCollectContext = { trigger: 'init' };
     this._collectItems(function () {
       cvSelf._bindClicks();
+      cvSelf._restoreHistory();
     });
   }
   ComponentViewer._counter = 0;
@@ -5320,83 +9929,349 @@
           return i;
         }
       }
-      return -1;
+      return -1;
+    },
+    /**
+     * Rebuild inst.items from opts.items (if non-empty array) or from DOM (.cv-item etc.).
+     * When opts.beforeCollectItems is set, it runs first; pass done to run after collection (required for async hook).
+     * With itemsProvider, done runs once the page holding the target item has been fetched (init fetches nothing; the first page waits for open).
+     */
+    _collectItems: function (done) {
+      var self = this;
+      var finish = function () {
+        var ctx = self._beforeCollectContext;
+        self._doCollectItems();
+        self._beforeCollectContext = null;
+        if (self._usesProvider() && !(ctx && ctx.trigger === 'init')) {
+          self._ensureProviderItem(self._providerTarget(ctx), done);
+          return;
+        }
+        if (typeof done === 'function') {
+          done();
+        }
+      };
+      var bci = self.opts.beforeCollectItems;
+      if (typeof bci === 'function') {
+        if (bci.length >= 2) {
+          bci(self, finish);
+        } else {
+          bci(self);
+          finish();
+        }
+      } else {
+        finish();
+      }
+    },
+    _doCollectItems: function () {
+      var self = this;
+      /* DOM-mode items changed through addItems/removeItem/moveItem stay as-is until refresh() rescans */
+      var trigger = this._beforeCollectContext && this._beforeCollectContext.trigger;
+      if (this._itemsPinned && trigger !== 'init' && trigger !== 'refresh') {
+        return;
+      }
+      this._itemsPinned = false;
+      if (this._usesProvider()) {
+        /* paged items persist between collections; init and refresh start from an empty cache */
+        if (trigger === 'init' || trigger === 'refresh' || !this._provider) {
+          this._resetProvider();
+        }
+        return;
+      }
+      this._provider = null;
+      this.items = [];
+      if (this._usesItemsOption()) {
+        self.items = self.opts.items.slice();
+        return;
+      }
+      this.$container.find(this.opts.selector).each(function () {
+        self.items.push(self._itemFromElement($(this)));
+      });
+    },
+    _usesItemsOption: function () {
+      return Boolean(this.opts.items && Array.isArray(this.opts.items) && this.opts.items.length > 0);
+    },
+    _usesProvider: function () {
+      return typeof this.opts.itemsProvider === 'function';
+    },
+
+    /* items provider: this.items holds total entries; pages not in the cache are placeholders. pages maps page -> last-use tick */
+    _resetProvider: function () {
+      this._provider = { total: null, pages: {}, waiting: {}, tick: 0 };
+      this.items = [];
+    },
+    _providerPaging: function () {
+      var p = this.opts.itemsPaging || {};
+      var num = function (v, min, dflt) {
+        v = Math.floor(Number(v));
+        return isNaN(v) ? dflt : Math.max(min, v);
+      };
+      return { pageSize: num(p.pageSize, 1, 50), prefetch: num(p.prefetch, 0, 1), maxPages: num(p.maxPages, 1, 10) };
+    },
+    /** Index the pending collection is heading to, from _beforeCollectContext. */
+    _providerTarget: function (ctx) {
+      var trigger = ctx && ctx.trigger;
+      var total = this._provider.total;
+      var idx = this.idx;
+      if (trigger === 'open') {
+        idx = typeof ctx.openArg === 'number' ? ctx.openArg : 0;
+      } else if (trigger === 'goTo') {
+        idx = Number(ctx.index) || 0;
+      } else if (trigger === 'next') {
+        idx = (this.opts.loop && total !== null && idx + 1 >= total) ? 0 : idx + 1;
+      } else if (trigger === 'prev') {
+        idx = (this.opts.loop && total !== null && idx <= 0) ? total - 1 : idx - 1;
+      } else if (trigger !== 'refresh') {
+        idx = 0;
+      }
+      if (total !== null) {
+        idx = Math.min(idx, total - 1);
+      }
+      return Math.max(0, idx);
+    },
+    /** Fetch the page holding index (and prefetch its neighbours), then call done. */
+    _ensureProviderItem: function (index, done) {
+      var self = this;
+      var page = Math.floor(index / this._providerPaging().pageSize);
+      this._fetchProviderPage(page, function (ok) {
+        self._prefetchProviderPages(page);
+        if (typeof done === 'function') {
+          done(ok);
+        }
+      });
+    },
+    _prefetchProviderPages: function (page) {
+      var paging = this._providerPaging();
+      var total = this._provider.total;
+      var lastPage = total === null ? page + paging.prefetch : Math.ceil(total / paging.pageSize) - 1;
+      for (var d = 1; d <= paging.prefetch; d++) {
+        if (page + d <= lastPage) {
+          this._fetchProviderPage(page + d);
+        }
+        if (page - d >= 0) {
+          this._fetchProviderPage(page - d);
+        }
+      }
+    },
+    /** Call itemsProvider for one page unless it is cached or already requested; done(ok) runs when it settles. */
+    _fetchProviderPage: function (page, done) {
+      var self = this;
+      var prov = this._provider;
+      if (prov.pages[page]) {
+        prov.pages[page] = ++prov.tick;
+        if (done) {
+          done(true);
+        }
+        return;
+      }
+      if (prov.waiting[page]) {
+        if (done) {
+          prov.waiting[page].push(done);
+        }
+        return;
+      }
+      var waiting = prov.waiting[page] = done ? [done] : [];
+      var size = this._providerPaging().pageSize;
+      var settle = function (res, ok) {
+        if (prov !== self._provider || prov.waiting[page] !== waiting) {
+          return;
+        }
+        delete prov.waiting[page];
+        if (ok) {
+          self._storeProviderPage(page, res);
+        } else {
+          self._providerFailed(page);
+        }
+        for (var i = 0; i < waiting.length; i++) {
+          waiting[i](ok);
+        }
+      };
+      var result;
+      try {
+        result = this.opts.itemsProvider.call(this, page * size, size);
+      } catch (e) {
+        settle(null, false);
+        return;
+      }
+      Promise.resolve(result).then(function (res) {
+        settle(res, true);
+      }, function () {
+        settle(null, false);
+      });
     },
-    /**
-     * Rebuild inst.items from opts.items (if non-empty array) or from DOM (.cv-item etc.).
-     * When opts.beforeCollectItems is set, it runs first; pass done to run after collection (required for async hook).
-     */
-    _collectItems: function (done) {
-      var self = this;
-      var finish = function () {
-        self._doCollectItems();
-        self._beforeCollectContext = null;
-        if (typeof done === 'function') {
-          done();
+    _providerPlaceholder: function () {
+      return { type: 'error', title: '', message: null, _cvPending: true };
+    },
+    _storeProviderPage: function (page, res) {
+      var prov = this._provider;
+      var size = this._providerPaging().pageSize;
+      var list = (res && Array.isArray(res.items)) ? res.items : [];
+      var offset = page * size;
+      var total = Math.floor(Number(res && res.total));
+      if (isNaN(total) || total < 0) {
+        total = Math.max(prov.total || 0, offset + list.length);
+      }
+      var oldTotal = prov.total;
+      prov.total = total;
+      this.items.length = Math.min(this.items.length, total);
+      for (var i = this.items.length; i < total; i++) {
+        this.items[i] = this._providerPlaceholder();
+      }
+      for (var j = 0; j < list.length && offset + j < total; j++) {
+        this.items[offset + j] = list[j];
+      }
+      prov.pages[page] = ++prov.tick;
+      var evicted = this._evictProviderPages(page);
+      this.idx = Math.max(0, Math.min(this.idx, total - 1));
+      this._providerChanged(oldTotal !== total, evicted.concat([page]));
+    },
+    /** Drop the pages farthest from the current item once more than itemsPaging.maxPages are cached. */
+    _evictProviderPages: function (keepPage) {
+      var prov = this._provider;
+      var paging = this._providerPaging();
+      var current = Math.floor(this.idx / paging.pageSize);
+      var cached = Object.keys(prov.pages).map(Number);
+      var evicted = [];
+      cached.sort(function (a, b) {
+        return Math.abs(b - current) - Math.abs(a - current) || prov.pages[a] - prov.pages[b];
+      });
+      for (var i = 0; i < cached.length && cached.length - evicted.length > paging.maxPages; i++) {
+        var page = cached[i];
+        if (page === current || page === keepPage) {
+          continue;
         }
-      };
-      var bci = self.opts.beforeCollectItems;
-      if (typeof bci === 'function') {
-        if (bci.length >= 2) {
-          bci(self, finish);
-        } else {
-          bci(self);
-          finish();
+        delete prov.pages[page];
+        var end = Math.min(this.items.length, (page + 1) * paging.pageSize);
+        for (var k = page * paging.pageSize; k < end; k++) {
+          this.items[k] = this._providerPlaceholder();
         }
-      } else {
-        finish();
+        evicted.push(page);
       }
+      return evicted;
     },
-    _doCollectItems: function () {
+    /** Mark a failed page's placeholders so the error card explains why the item is missing. */
+    _providerFailed: function (page) {
+      var size = this._providerPaging().pageSize;
+      var end = Math.min(this.items.length, (page + 1) * size);
+      for (var k = page * size; k < end; k++) {
+        if (this.items[k] && this.items[k]._cvPending) {
+          this.items[k].message = str(this, 'itemsLoadFailed');
+        }
+      }
+    },
+    /** Error-card Retry: fetch the failed page behind the current item again, then show the item. */
+    _retryProviderItem: function () {
       var self = this;
-      this.items = [];
-      if (self.opts.items && Array.isArray(self.opts.items) && self.opts.items.length > 0) {
-        self.items = self.opts.items.slice();
+      var prov = this._provider;
+      if (!prov) {
         return;
       }
-      this.$container.find(this.opts.selector).each(function () {
-        var $el = $(this);
-        var src = $el.attr('data-src') || $el.data('src') || $el.attr('href') || $el.find('img').attr('src');
-        var fileExt = ($el.data('ext') || (src || '').split('.').pop() || '').toLowerCase();
-        var defaultType = $el.data('type') || (fileExt === 'md' ? 'markdown' : 'image');
-        var defaultItem = {
-          type: defaultType,
-          src: src,
-          title: $el.data('title') || $el.attr('title') || '',
-          downloadUrl: $el.data('download') || $el.attr('data-download') || null,
-          zoomUrl: $el.data('zoomurl') || $el.data('zoom-url') || null,
-          fileExt: $el.data('ext') || null,
-          fileSize: $el.data('size') || null,
-          mimeType: $el.data('mime') || null,
-          thumbnailUrl: $el.data('thumbnail') || $el.data('poster') || null,
-          message: $el.data('message') || null,
-          html: $el.data('html') || null,
-          content: $el.data('content') || null,
-          comment: $el.data('comment') || null,
-          author: $el.data('author') || null,
-          comments: (function () {
-            try {
-              var c = $el.data('comments');
-              if (Array.isArray(c)) {
-                return c;
-              }
-              if (typeof c === 'string') {
-                return JSON.parse(c);
-              }
-            } catch (e) {}
-            return undefined;
-          }()),
-          pollOptionLabel: $el.data('pollOptionLabel') || null,
-          pollOptionId: !isNullish($el.data('pollOptionId')) ? $el.data('pollOptionId') : null,
-          pollOptionSelected: $el.data('pollOptionSelected') || $el.data('poll-option-selected') || false
-        };
-        var item = typeof self.opts.itemData === 'function' ? self.opts.itemData($el, defaultItem) : defaultItem;
-        if (isNullish(item)) {
-          item = defaultItem;
+      var at = this.idx;
+      var index = prov.total === null ? (prov.retryIndex || 0) : at;
+      var size = this._providerPaging().pageSize;
+      var start = Math.floor(index / size) * size;
+      for (var k = Math.min(start, at); k < Math.min(this.items.length, start + size); k++) {
+        if (this.items[k] && this.items[k]._cvPending) {
+          this.items[k].message = null;
+        }
+      }
+      this._ensureProviderItem(index, function (ok) {
+        if (prov !== self._provider || self._overlay.activeInstance !== self) {
+          return;
         }
-        item.$el = $el; self.items.push(item);
+        if (self.items.length === 0) {
+          self._overlay.close();
+          return;
+        }
+        /* the user moved on while the page was loading */
+        if (self.idx !== Math.min(at, self.items.length - 1)) {
+          return;
+        }
+        if (ok) {
+          self.idx = Math.min(index, self.items.length - 1);
+        } else if (self.items[self.idx]._cvPending) {
+          self.items[self.idx].message = str(self, 'itemsLoadFailed');
+        }
+        self._overlay.loadItem();
       });
     },
+    /** Update counter, nav and the changed carousel pages after the provider cache changes. */
+    _providerChanged: function (totalChanged, pages) {
+      var ov = this._overlay;
+      if (!ov.built || ov.activeInstance !== this || this._beforeOpenPhase) {
+        return;
+      }
+      var item = this.items[this.idx];
+      if (totalChanged && item) {
+        ov._syncHeader(this, item);
+      }
+      ov._updateNavButtons(this);
+      if (!ov._carouselEnabled(this)) {
+        return;
+      }
+      if (totalChanged) {
+        ov._buildCarousel(this);
+        return;
+      }
+      var size = this._providerPaging().pageSize;
+      for (var i = 0; i < pages.length; i++) {
+        ov._refreshCarouselItems(this, pages[i] * size, (pages[i] + 1) * size);
+      }
+    },
+    /** Build an item from a DOM attachment (data-* attributes), passed through opts.itemData. */
+    _itemFromElement: function ($el) {
+      var self = this;
+      var src = $el.attr('data-src') || $el.data('src') || $el.attr('href') || $el.find('img').attr('src');
+      var fileExt = ($el.data('ext') || (src || '').split('.').pop() || '').toLowerCase();
+      var defaultType = $el.data('type') || (fileExt === 'md' ? 'markdown' : 'image');
+      var defaultItem = {
+        type: defaultType,
+        src: src,
+        title: $el.data('title') || $el.attr('title') || '',
+        downloadUrl: $el.data('download') || $el.attr('data-download') || null,
+        zoomUrl: $el.data('zoomurl') || $el.data('zoom-url') || null,
+        fileExt: $el.data('ext') || null,
+        fileSize: $el.data('size') || null,
+        mimeType: $el.data('mime') || null,
+        thumbnailUrl: $el.data('thumbnail') || $el.data('poster') || null,
+        srcset: $el.attr('data-srcset') || null,
+        sizes: $el.attr('data-sizes') || null,
+        animated: { 'true': true, 'false': false }[$el.attr('data-animated')],
+        message: $el.data('message') || null,
+        html: $el.data('html') || null,
+        content: $el.data('content') || null,
+        comment: $el.data('comment') || null,
+        author: $el.data('author') || null,
+        comments: (function () {
+          try {
+            var c = $el.data('comments');
+            if (Array.isArray(c)) {
+              return c;
+            }
+            if (typeof c === 'string') {
+              return JSON.parse(c);
+            }
+          } catch (e) {}
+          return undefined;
+        }()),
+        metadata: (function () {
+          try {
+            var m = $el.data('metadata');
+            return typeof m === 'string' ? JSON.parse(m) : (m || null);
+          } catch (e) {}
+          return null;
+        }()),
+        compareSrc: $el.data('compareSrc') || null,
+        pollOptionLabel: $el.data('pollOptionLabel') || null,
+        pollOptionId: !isNullish($el.data('pollOptionId')) ? $el.data('pollOptionId') : null,
+        pollOptionSelected: $el.data('pollOptionSelected') || $el.data('poll-option-selected') || false
+      };
+      var item = typeof self.opts.itemData === 'function' ? self.opts.itemData($el, defaultItem) : defaultItem;
+      if (isNullish(item)) {
+        item = defaultItem;
+      }
+      item.$el = $el;
+      return item;
+    },
     _bindClicks: function () {
       var self = this;
       var containerEl = this.$container[0];
@@ -5433,8 +10308,8 @@
           if (typeof self.opts.beforeOpen !== 'function') {
             self._openContext = {};
           }
-          if (Overlay.visible && Overlay.activeInstance === self && Overlay._minimized) {
-            Overlay._applyMinimizedUi(self, false);
+          if (self._overlay.visible && self._overlay.activeInstance === self && self._overlay._minimized) {
+            self._overlay._applyMinimizedUi(self, false);
           }
           self.open($matched);
         });
@@ -5442,11 +10317,24 @@
       this._containerCaptureClick = handler;
       containerEl.addEventListener('click', handler, true);
     },
+    /**
+     * Open the overlay at an index or item element.
+     * @returns {Promise} resolves with the item after onComplete; rejects with a ViewerError (NO_ITEMS, CANCELLED, SUPERSEDED, CLOSED)
+     */
     open: function (indexOrElement) {
       var self = this;
+      var loaded = this._trackLoad();
       this._beforeCollectContext = { trigger: 'open', openArg: indexOrElement };
       this._collectItems(function () {
+        if (self.items.length === 0 && self._provider && self._provider.total === null) {
+          /* the first itemsProvider page failed: open on its error card so the user can retry */
+          self._provider.retryIndex = typeof indexOrElement === 'number' ? Math.max(0, indexOrElement) : 0;
+          self.items = [self._providerPlaceholder()];
+          self._providerFailed(0);
+          indexOrElement = 0;
+        }
         if (self.items.length === 0) {
+          self._rejectLoad('NO_ITEMS');
           return;
         }
         var idx = 0;
@@ -5465,6 +10353,10 @@
         }
         var item = self.items[idx];
         var $matched = (item && item.$el && item.$el.length) ? item.$el : $();
+        if (!fireEvent(self, 'beforeopen', { item: item, index: idx })) {
+          self._rejectLoad('CANCELLED');
+          return;
+        }
         if (typeof self.opts.beforeOpen === 'function') {
           self.idx = idx;
           self._slideshowPaused = false;
@@ -5472,7 +10364,7 @@
           self._beforeOpenPhase = 'loading';
           self._pendingGateContent = null;
           self._openContext = {};
-          Overlay.open(self);
+          self._overlay.open(self);
           setTimeout(function () {
             if (typeof self.opts.beforeOpen !== 'function') {
               return;
@@ -5485,7 +10377,7 @@
                 self._openContext = arg || {};
                 self._pendingGateContent = null;
               }
-              Overlay._finishBeforeOpenProceed(self);
+              self._overlay._finishBeforeOpenProceed(self);
             });
           }, 0);
           return;
@@ -5494,61 +10386,91 @@
         self._slideshowPaused = false;
         self._slideshowPlaying = false;
         self._openContext = {};
-        Overlay.open(self);
+        self._overlay.open(self);
       });
+      return loaded;
     },
+    /** @returns {Promise} resolves once the overlay is torn down (after onClose); rejects with CANCELLED when a cv:close listener vetoes. */
     close: function () {
-      Overlay.close();
+      var ov = this._overlay;
+      return quietPromise(new Promise(function (resolve, reject) {
+        if (!ov.close(false, resolve)) {
+          reject(new ViewerError('CANCELLED'));
+        }
+      }));
     },
+    /** @returns {Promise} see goTo */
     next: function (opts) {
       var self = this;
+      var loaded = this._trackLoad();
       this._beforeCollectContext = { trigger: 'next' };
       this._collectItems(function () {
-        if (self.items.length < 2) {
+        if (!self._navigable(self.items.length < 2)) {
           return;
         }
-        if (self._slideshowTimer) {
-          clearTimeout(self._slideshowTimer); self._slideshowTimer = null;
-        }
         var currentItem = self.items[self.idx];
         var currentIdx = (currentItem && currentItem.$el) ? self._indexOfItemByElement(currentItem.$el) : self.idx;
         if (currentIdx < 0) {
           currentIdx = 0;
         }
+        var toIdx = self.opts.loop ? (currentIdx + 1) % self.items.length : Math.min(self.items.length - 1, currentIdx + 1);
+        if (!self._fireNavigate(currentIdx, toIdx, 'next')) {
+          self._rejectLoad('CANCELLED');
+          return;
+        }
+        if (self._slideshowTimer) {
+          clearTimeout(self._slideshowTimer); self._slideshowTimer = null;
+        }
         self._firePrevClose(self.items[currentIdx]);
-        self.idx = self.opts.loop ? (currentIdx + 1) % self.items.length : Math.min(self.items.length - 1, currentIdx + 1);
-        Overlay.loadItem((opts && opts.transition) ? { transition: true } : undefined);
+        self.idx = toIdx;
+        self._loadCurrent(opts);
       });
+      return loaded;
     },
+    /** @returns {Promise} see goTo */
     prev: function (opts) {
       var self = this;
+      var loaded = this._trackLoad();
       this._beforeCollectContext = { trigger: 'prev' };
       this._collectItems(function () {
-        if (self.items.length < 2) {
+        if (!self._navigable(self.items.length < 2)) {
           return;
         }
-        if (self._slideshowTimer) {
-          clearTimeout(self._slideshowTimer); self._slideshowTimer = null;
-        }
         var currentItem = self.items[self.idx];
         var currentIdx = (currentItem && currentItem.$el) ? self._indexOfItemByElement(currentItem.$el) : self.idx;
         if (currentIdx < 0) {
           currentIdx = self.items.length - 1;
         }
+        var toIdx = self.opts.loop ? (currentIdx - 1 + self.items.length) % self.items.length : Math.max(0, currentIdx - 1);
+        if (!self._fireNavigate(currentIdx, toIdx, 'prev')) {
+          self._rejectLoad('CANCELLED');
+          return;
+        }
+        if (self._slideshowTimer) {
+          clearTimeout(self._slideshowTimer); self._slideshowTimer = null;
+        }
         self._firePrevClose(self.items[currentIdx]);
-        self.idx = self.opts.loop ? (currentIdx - 1 + self.items.length) % self.items.length : Math.max(0, currentIdx - 1);
-        Overlay.loadItem((opts && opts.transition) ? { transition: true } : undefined);
+        self.idx = toIdx;
+        self._loadCurrent(opts);
       });
+      return loaded;
     },
+    /**
+     * Show the item at index. Like open, next and prev, the Promise resolves with the item after its onComplete,
+     * or rejects with a ViewerError: NOT_OPEN, NO_ITEMS, CANCELLED (cv:navigate veto), SUPERSEDED or CLOSED.
+     * Navigating to the item already shown resolves right away.
+     */
     goTo: function (index, opts) {
       var self = this;
+      var loaded = this._trackLoad();
       this._beforeCollectContext = { trigger: 'goTo', index: index };
       this._collectItems(function () {
-        if (self.items.length === 0) {
+        var idx = Math.max(0, Math.min(index, self.items.length - 1));
+        if (!self._navigable(idx === self.idx)) {
           return;
         }
-        var idx = Math.max(0, Math.min(index, self.items.length - 1));
-        if (idx === self.idx) {
+        if (!self._fireNavigate(self.idx, idx, 'goTo')) {
+          self._rejectLoad('CANCELLED');
           return;
         }
         if (self._slideshowTimer) {
@@ -5556,49 +10478,268 @@
         }
         self._firePrevClose(self.items[self.idx]);
         self.idx = idx;
-        Overlay.loadItem((opts && opts.transition) ? { transition: true } : undefined);
+        self._loadCurrent(opts);
       });
+      return loaded;
     },
     currentItem: function () {
       return this.items[this.idx];
     },
+    /** Localized string for this viewer (strings option, locale pack, defaultStrings), for custom renderers and toolbar items. */
+    t: function (key, params) {
+      return str(this, key, params);
+    },
+    /** theme: 'dark', 'light', 'auto' or a registered theme name. */
     setTheme: function (theme) {
-      if (theme !== 'dark' && theme !== 'light') {
+      if (!isKnownTheme(theme)) {
+        return;
+      }
+      if (!fireEvent(this, 'themechange', { theme: theme, previousTheme: this.opts.theme || 'dark' })) {
         return;
       }
       this.opts.theme = theme;
-      if (Overlay.activeInstance === this) {
-        Overlay.$el[0].className = buildOverlayClassName(theme, Overlay.visible, Overlay.$el.hasClass('cv-closing'), this);
-        Overlay._syncThemeToggle();
+      savePrefs(this, { theme: theme });
+      var ov = this._overlay;
+      if (ov.activeInstance === this && ov.built) {
+        ov._applyTheme(this);
       }
       if (typeof this.opts.onThemeChange === 'function') {
         this.opts.onThemeChange(theme, this);
       }
     },
     refresh: function () {
-      var wasOpen = Overlay.visible && Overlay.activeInstance === this;
+      var wasOpen = this._overlay.visible && this._overlay.activeInstance === this;
       var self = this;
       this._beforeCollectContext = { trigger: 'refresh' };
       this._collectItems(function () {
         self._bindClicks();
         if (wasOpen && self.items.length) {
           self.idx = Math.min(self.idx, self.items.length - 1);
-          Overlay.loadItem();
+          self._overlay.loadItem();
         } else if (wasOpen) {
           self.close();
         }
       });
     },
+    /**
+     * Insert items at index (default: the end). Each entry is an item object or an attachment element / jQuery
+     * object (built like the DOM scan, through itemData). The item being viewed stays current.
+     * @returns {number} the new item count
+     */
+    addItems: function (items, index) {
+      if (this._usesProvider()) {
+        return this.items.length;
+      }
+      var list = (items && items.jquery) ? items.toArray() : (Array.isArray(items) ? items : [items]);
+      var added = [];
+      for (var i = 0; i < list.length; i++) {
+        var entry = list[i];
+        if (isNullish(entry)) {
+          continue;
+        }
+        if (entry.jquery || entry.nodeType === 1) {
+          added.push(this._itemFromElement($(entry)));
+        } else {
+          added.push(entry);
+        }
+      }
+      var len = this.items.length;
+      var at = (typeof index === 'number') ? Math.max(0, Math.min(index, len)) : len;
+      if (!added.length) {
+        return len;
+      }
+      [].splice.apply(this.items, [at, 0].concat(added));
+      if (len && at <= this.idx) {
+        this.idx += added.length;
+      }
+      this._itemsChanged();
+      return this.items.length;
+    },
+    /**
+     * Remove one item by index, element or item object. Removing the item being viewed shows the next one
+     * (or the previous one at the end), or closes the viewer when none are left.
+     * @returns {Object|null} the removed item
+     */
+    removeItem: function (target) {
+      var i = this._resolveItemIndex(target);
+      if (i < 0 || this._usesProvider()) {
+        return null;
+      }
+      var removed = this.items.splice(i, 1)[0];
+      var wasCurrent = i === this.idx;
+      if (i < this.idx) {
+        this.idx--;
+      }
+      this.idx = Math.max(0, Math.min(this.idx, this.items.length - 1));
+      this._itemsChanged();
+      var ov = this._overlay;
+      if (wasCurrent && ov.visible && ov.activeInstance === this) {
+        this._firePrevClose(removed);
+        if (this.items.length) {
+          ov.loadItem();
+        } else {
+          this.close();
+        }
+      }
+      return removed;
+    },
+    /**
+     * Merge changes into an item (by index, element or item object). The item being viewed is reloaded;
+     * other items only refresh their carousel thumbnail.
+     * @returns {Object|null} the updated item
+     */
+    updateItem: function (target, changes) {
+      var i = this._resolveItemIndex(target);
+      if (i < 0 || !changes || typeof changes !== 'object') {
+        return null;
+      }
+      var item = $.extend(this.items[i], changes);
+      this._itemsChanged();
+      var ov = this._overlay;
+      if (i === this.idx && ov.visible && ov.activeInstance === this && !this._beforeOpenPhase) {
+        ov.loadItem();
+      }
+      return item;
+    },
+    /** Move an item to a new index; the item being viewed stays current (its index follows the move). */
+    moveItem: function (from, to) {
+      var i = this._resolveItemIndex(from);
+      var len = this.items.length;
+      if (i < 0 || typeof to !== 'number' || this._usesProvider()) {
+        return;
+      }
+      to = Math.max(0, Math.min(to, len - 1));
+      if (i === to) {
+        return;
+      }
+      this.items.splice(to, 0, this.items.splice(i, 1)[0]);
+      if (i === this.idx) {
+        this.idx = to;
+      } else if (i < this.idx && to >= this.idx) {
+        this.idx--;
+      } else if (i > this.idx && to <= this.idx) {
+        this.idx++;
+      }
+      this._itemsChanged();
+    },
+    /** Index of target (index, item object, element or jQuery object) in items, or -1. */
+    _resolveItemIndex: function (target) {
+      if (typeof target === 'number') {
+        return (target >= 0 && target < this.items.length) ? Math.floor(target) : -1;
+      }
+      if (target && (target.jquery || target.nodeType === 1)) {
+        return this._indexOfItemByElement(target);
+      }
+      return this.items.indexOf(target);
+    },
+    /**
+     * Keep the item source in step with this.items and update counter, nav and carousel in place.
+     * With itemsProvider (updateItem only) the change lives in the page cache until the page is evicted or refreshed.
+     */
+    _itemsChanged: function () {
+      if (!this._usesProvider()) {
+        if (this._usesItemsOption() || !this.$container.find(this.opts.selector).length) {
+          this.opts.items = this.items.slice();
+        } else {
+          this._itemsPinned = true;
+        }
+      }
+      var ov = this._overlay;
+      if (!ov.built || ov.activeInstance !== this || this._beforeOpenPhase) {
+        return;
+      }
+      var item = this.items[this.idx];
+      if (item) {
+        ov._syncHeader(this, item);
+      }
+      ov._updateNavButtons(this);
+      if (ov._carouselEnabled(this)) {
+        ov._buildCarousel(this);
+      }
+      ov._preloadAdjacentImages(this);
+    },
+    /**
+     * Deep-merge partial into opts and re-apply the affected UI while the overlay is open
+     * (toolbar, carousel, counter, nav, zoom limits, tooltips, ARIA, theme, stage-only). Arrays replace rather than merge.
+     * Passing items re-collects them like refresh(); renderer options apply from the next item load.
+     */
+    setOptions: function (partial) {
+      if (!partial || typeof partial !== 'object' || !this.opts) {
+        return;
+      }
+      mergeOptions(this.opts, partial);
+      normalizeOptions(this.opts);
+      if (Object.prototype.hasOwnProperty.call(partial, 'items') || Object.prototype.hasOwnProperty.call(partial, 'itemsProvider')) {
+        this.refresh();
+        return;
+      }
+      var ov = this._overlay;
+      if (ov.activeInstance !== this || !ov.built) {
+        return;
+      }
+      var ss = this.opts.slideshow;
+      if (this._slideshowTimer && !(ss && ss.enabled)) {
+        clearTimeout(this._slideshowTimer); this._slideshowTimer = null;
+        this._slideshowPlaying = false;
+        ov._stopSlideshowProgress();
+      }
+      ov._applyOptions(this);
+      restackOverlays();
+      if (this._beforeOpenPhase) {
+        return;
+      }
+      if (partial.zoom && Object.prototype.hasOwnProperty.call(partial.zoom, 'fit') && ov._isImageItem) {
+        ov._setImageFit(resolveImageFit(this));
+      }
+      var zo = ov._zoomOpts();
+      if (ov._zoom < zo.min || ov._zoom > ov._zoomMax()) {
+        ov._setZoom(Math.max(zo.min, Math.min(ov._zoomMax(), ov._zoom)));
+      }
+      ov._syncMinimap();
+      var item = this.items[this.idx];
+      if (item) {
+        ov._syncHeader(this, item);
+        ov._resolveToolbar(this, this._currentResult || {});
+        ov._updatePollOption(this, item);
+      }
+    },
+    /**
+     * jQuery-UI style accessor: option(key) reads, option(key, value) writes, option({ ... }) merges.
+     * key may be a dotted path such as 'zoom.max'.
+     */
+    option: function (key, value) {
+      if (key && typeof key === 'object') {
+        this.setOptions(key);
+        return;
+      }
+      var path = String(key).split('.');
+      if (arguments.length < 2) {
+        var cur = this.opts;
+        for (var i = 0; i < path.length && cur !== null && cur !== undefined; i++) {
+          cur = cur[path[i]];
+        }
+        return cur;
+      }
+      var partial = {};
+      var node = partial;
+      for (var j = 0; j < path.length - 1; j++) {
+        node = node[path[j]] = {};
+      }
+      node[path[path.length - 1]] = value;
+      this.setOptions(partial);
+    },
     /** Show the circle loader over the stage. No-op if this instance is not the active viewer. */
     showLoader: function () {
-      if (Overlay.activeInstance === this && Overlay.$loader && Overlay.$loader.length) {
-        Overlay.$loader.addClass('cv-active');
+      var ov = this._overlay;
+      if (ov.activeInstance === this && ov.$loader && ov.$loader.length) {
+        ov.$loader.addClass('cv-active');
       }
     },
     /** Hide the circle loader. No-op if this instance is not the active viewer. */
     hideLoader: function () {
-      if (Overlay.activeInstance === this && Overlay.$loader && Overlay.$loader.length) {
-        Overlay.$loader.removeClass('cv-active');
+      var ov = this._overlay;
+      if (ov.activeInstance === this && ov.$loader && ov.$loader.length) {
+        ov.$loader.removeClass('cv-active');
       }
     },
     /**
@@ -5607,13 +10748,14 @@
      * @param {number} [durationMs] - How long to show the message in ms; default 2000.
      */
     showStripMessage: function (text, durationMs) {
-      if (Overlay.activeInstance !== this) {
+      var ov = this._overlay;
+      if (ov.activeInstance !== this) {
         return;
       }
-      if (!Overlay.$stripMessage || !Overlay.$stripMessage.length) {
+      if (!ov.$stripMessage || !ov.$stripMessage.length) {
         return;
       }
-      Overlay._showStripMessage(text, durationMs);
+      ov._showStripMessage(text, durationMs);
     },
     destroy: function () {
       var containerEl = this.$container && this.$container[0];
@@ -5622,21 +10764,187 @@
         this._containerCaptureClick = null;
       }
       this.$container.removeData('cv-instance');
-      if (Overlay.$tooltip && Overlay.$tooltip.length) {
-        Overlay.$tooltip.removeClass('cv-tooltip-visible').attr('aria-hidden', 'true').remove();
-        Overlay.$tooltip = $();
-      }
-      $('body .cv-tooltip').remove();
-      if (Overlay.activeInstance === this) {
-        Overlay.close();
-      } else if (!Overlay.activeInstance && Overlay.$el && Overlay.$el.length) {
-        Overlay.$el.remove();
-        Overlay.built = false;
-        Overlay.$el = null;
-        Overlay.$shell = null; Overlay.$stage = null; Overlay.$stageWrap = null; Overlay.$toolbar = null;
-        Overlay.$loader = null; Overlay.$prev = null; Overlay.$next = null; Overlay.$footer = null;
-      }
-      this.items = []; this.opts = null;
+      $(window).off('popstate.cv-history-' + this.id);
+      var ov = this._overlay;
+      if (ov.$tooltip && ov.$tooltip.length) {
+        ov.$tooltip.removeClass('cv-tooltip-visible').attr('aria-hidden', 'true').remove();
+        ov.$tooltip = $();
+      }
+      this._rejectLoad('DESTROYED');
+      if (ov.activeInstance === this) {
+        ov.close(true);
+      } else if (!ov.activeInstance && ov.$el && ov.$el.length) {
+        ov.$el.remove();
+        ov.built = false;
+        ov.$el = null;
+        ov.$shell = null; ov.$stage = null; ov.$stageWrap = null; ov.$toolbar = null;
+        ov.$loader = null; ov.$prev = null; ov.$next = null; ov.$footer = null;
+      }
+      flushAnalytics(this, 'destroy');
+      this.items = []; this.opts = null; this._provider = null;
+    },
+    /** New Promise for the next item shown; supersedes (rejects) any earlier pending one. */
+    _trackLoad: function () {
+      var self = this;
+      this._rejectLoad('SUPERSEDED');
+      return quietPromise(new Promise(function (resolve, reject) {
+        self._pendingLoad = { resolve: resolve, reject: reject };
+      }));
+    },
+    /** Resolve the pending Promise once item (still the current one) has completed. */
+    _settleLoad: function (item) {
+      var pending = this._pendingLoad;
+      if (pending && item === this.items[this.idx]) {
+        this._pendingLoad = null;
+        pending.resolve(item);
+      }
+    },
+    _rejectLoad: function (code, message) {
+      var pending = this._pendingLoad;
+      if (pending) {
+        this._pendingLoad = null;
+        pending.reject(new ViewerError(code, message));
+      }
+    },
+    /** Shared next/prev/goTo guard: settles the pending Promise and returns false when there is nothing to load. */
+    _navigable: function (stay) {
+      if (this.items.length === 0) {
+        this._rejectLoad('NO_ITEMS');
+        return false;
+      }
+      if (stay) {
+        if (this._overlay.activeInstance === this) {
+          this._settleLoad(this.items[this.idx]);
+        } else {
+          this._rejectLoad('NOT_OPEN');
+        }
+        return false;
+      }
+      return true;
+    },
+    /** Load items[idx] into the overlay; while closed only the index moves and the pending Promise rejects. */
+    _loadCurrent: function (opts) {
+      if (this._overlay.activeInstance !== this) {
+        this._analyticsTrigger = null;
+        this._rejectLoad('NOT_OPEN');
+        return;
+      }
+      this._overlay.loadItem((opts && opts.transition) ? { transition: true } : undefined);
+    },
+    /** cv:navigate before moving from index to toIndex; false when a listener vetoed it. */
+    _fireNavigate: function (index, toIndex, direction) {
+      if (!fireEvent(this, 'navigate', { item: this.items[index], index: index, toItem: this.items[toIndex], toIndex: toIndex, direction: direction })) {
+        return false;
+      }
+      this._analyticsTrigger = direction;
+      return true;
+    },
+    /** Open from the URL on init when it names this viewer, and start following popstate. */
+    _restoreHistory: function () {
+      var self = this;
+      if (!historyId(this)) {
+        return;
+      }
+      this._bindHistory();
+      var cur = parseHistoryToken(readHistoryToken(this.opts.history));
+      if (cur && cur.id === historyId(this)) {
+        if (this._usesProvider() && this.items.length === 0) {
+          /* itemsProvider fetches nothing on init, so load the first page before looking up the linked item */
+          this._ensureProviderItem(0, function () {
+            self._onHistoryPop(window.history.state);
+          });
+          return;
+        }
+        this._onHistoryPop(window.history.state);
+      }
+    },
+    _bindHistory: function () {
+      var self = this;
+      if (this._historyBound) {
+        return;
+      }
+      this._historyBound = true;
+      $(window).on('popstate.cv-history-' + this.id, function (e) {
+        self._onHistoryPop((e.originalEvent || e).state);
+      });
+    },
+    /** Back/Forward: close when the URL no longer names this viewer, otherwise open or move to the item it names. */
+    _onHistoryPop: function (state) {
+      var id = this.opts && historyId(this);
+      if (!id) {
+        return;
+      }
+      var self = this;
+      var ov = this._overlay;
+      var isOpen = ov.visible && ov.activeInstance === this && !ov._closing;
+      var cur = parseHistoryToken(readHistoryToken(this.opts.history));
+      if (!cur || cur.id !== id) {
+        if (isOpen && this._historyOpen) {
+          this._historyOpen = false; this._historyDepth = 0;
+          /* A vetoed close keeps the viewer open, so put its entry back */
+          this.close().catch(function () {
+            self._syncHistory();
+          });
+        }
+        return;
+      }
+      var idx = -1;
+      for (var i = 0; i < this.items.length; i++) {
+        if (historyItemKey(this, this.items[i], i) === cur.key) {
+          idx = i;
+          break;
+        }
+      }
+      if (idx < 0) {
+        return;
+      }
+      this._historyOpen = true;
+      this._historyDepth = (state && state.cvHistory === readHistoryToken(this.opts.history) && state.cvDepth) || 0;
+      if (!isOpen) {
+        this.open(idx);
+      } else if (idx !== this.idx) {
+        this.goTo(idx);
+      }
+    },
+    /** Write the shown item to the URL: the first item after open pushes an entry, later ones replace it unless pushNavigation. */
+    _syncHistory: function () {
+      var id = historyId(this);
+      var item = this.items[this.idx];
+      if (!id || !item) {
+        return;
+      }
+      this._bindHistory();
+      var cfg = this.opts.history;
+      var token = historyToken(id, historyItemKey(this, item, this.idx));
+      if (readHistoryToken(cfg) === token) {
+        this._historyOpen = true;
+        return;
+      }
+      var push = !this._historyOpen || cfg.pushNavigation;
+      if (push) {
+        this._historyDepth = (this._historyDepth || 0) + 1;
+      }
+      this._historyOpen = true;
+      window.history[push ? 'pushState' : 'replaceState']({ cvHistory: token, cvDepth: this._historyDepth }, '', historyUrl(cfg, token));
+    },
+    /** On close: step back over the entries this viewer pushed, or strip its token when the page was opened from a link. */
+    _clearHistory: function () {
+      var id = historyId(this);
+      var depth = this._historyDepth || 0;
+      var wasOpen = this._historyOpen;
+      this._historyOpen = false; this._historyDepth = 0;
+      if (!id || !wasOpen) {
+        return;
+      }
+      var cur = parseHistoryToken(readHistoryToken(this.opts.history));
+      if (!cur || cur.id !== id) {
+        return;
+      }
+      if (depth > 0) {
+        historyGoBack(depth);
+      } else {
+        window.history.replaceState(null, '', historyUrl(this.opts.history, null));
+      }
     },
     _firePrevClose: function (item) {
       if (typeof this.opts.onClose === 'function' && item) {
@@ -5645,45 +10953,102 @@
     }
   };
 
-  /* --- JQUERY PLUGIN --- */
+  /* --- PUBLIC API --- */
 
-  $.fn[PLUGIN_NAME] = function (methodOrOptions) {
-    if (typeof methodOrOptions === 'string') {
-      var args = [].slice.call(arguments, 1),
-        ret;
-      this.each(function () {
-        var inst = $(this).data('cv-instance');
-        if (inst && typeof inst[methodOrOptions] === 'function') {
-          ret = inst[methodOrOptions].apply(inst, args);
-        }
-      });
-      return ret !== undefined ? ret : this;
-    }
-    Overlay._bindKeydownCaptureOnce();
-    return this.each(function () {
-      var $el = $(this);
-      var existing = $el.data('cv-instance');
-      if (existing && typeof existing.destroy === 'function') {
-        existing.destroy();
-      }
-      $el.data('cv-instance', new ComponentViewer($el, methodOrOptions));
-    });
+  ComponentViewer.defaults = DEFAULTS;
+  ComponentViewer.Icons = Icons;
+  ComponentViewer.defaultStrings = DEFAULT_STRINGS;
+  ComponentViewer.ViewerError = ViewerError;
+
+  /** Renderer registry: registerRenderer(type, { match, render, toolbar, destroy, shortcuts }). Re-registering a built-in type overrides it. */
+  ComponentViewer.registerRenderer = registerRenderer;
+  ComponentViewer.unregisterRenderer = unregisterRenderer;
+  ComponentViewer.getRenderer = getRenderer;
+
+  /** Locale packs: registerLocale(code, strings) adds or extends a pack selected per instance with opts.locale. */
+  ComponentViewer.registerLocale = registerLocale;
+  ComponentViewer.unregisterLocale = unregisterLocale;
+  ComponentViewer.getLocale = getLocale;
+
+  /** Named themes: registerTheme(name, { base, label, vars }) adds a theme usable as opts.theme, in opts.themes and with setTheme. */
+  ComponentViewer.registerTheme = registerTheme;
+  ComponentViewer.unregisterTheme = unregisterTheme;
+  ComponentViewer.getTheme = getTheme;
+
+  /** Return the topmost open ComponentViewer instance, or null if no overlay is open. */
+  ComponentViewer.getActive = function () {
+    var ov = topOverlay();
+    return ov ? ov.activeInstance : null;
   };
 
-  $.fn[PLUGIN_NAME].defaults = DEFAULTS;
-  $.fn[PLUGIN_NAME].Icons = Icons;
-  $.fn[PLUGIN_NAME].defaultStrings = DEFAULT_STRINGS;
+  /** Return all open ComponentViewer instances, bottom to top. */
+  ComponentViewer.getOpen = function () {
+    var list = [];
+    for (var i = 0; i < overlayStack.length; i++) {
+      list.push(overlayStack[i].activeInstance);
+    }
+    return list;
+  };
 
-  /** Return the currently open ComponentViewer instance, or null if the overlay is closed. */
-  $.fn[PLUGIN_NAME].getActive = function () {
-    return Overlay.visible ? Overlay.activeInstance : null;
+  /** Return the instance created on a container element (or selector / jQuery object), or null. */
+  ComponentViewer.getInstance = function (container) {
+    return $(container).data('cv-instance') || null;
   };
 
-  /** Static API: $.componentViewer(options) creates a throwaway container, inits the plugin, returns it. Chain .componentViewer('open', 0) to open. */
-  $[PLUGIN_NAME] = function (options) {
-    var $container = $('<div>');
-    $container[PLUGIN_NAME](options);
-    return $container;
+  /** Pure helpers exposed for the unit tests in test/. Not public API: names and signatures may change in any release. */
+  ComponentViewer._internals = {
+    parseKeyBinding: parseKeyBinding,
+    resolveKeymap: resolveKeymap,
+    keyBindingMatches: keyBindingMatches,
+    imageTransform: Overlay.prototype._imageTransform,
+    unprojectImageOffset: unprojectImageOffset,
+    readImageMetadata: readImageMetadata,
+    dziTileSource: dziTileSource,
+    iiifTileSource: iiifTileSource,
+    levelGrid: levelGrid
   };
 
-}(jQuery, window, document));
\ No newline at end of file
+  /* --- JQUERY PLUGIN --- */
+
+  if (jQuery) {
+    $.fn[PLUGIN_NAME] = function (methodOrOptions) {
+      if (typeof methodOrOptions === 'string') {
+        var args = [].slice.call(arguments, 1),
+          ret;
+        this.each(function () {
+          var inst = $(this).data('cv-instance');
+          if (inst && typeof inst[methodOrOptions] === 'function') {
+            ret = inst[methodOrOptions].apply(inst, args);
+          }
+        });
+        /* open/close/next/prev/goTo return Promises on the instance; keep the jQuery call chainable */
+        if (ret && typeof ret.then === 'function') {
+          ret = undefined;
+        }
+        return ret !== undefined ? ret : this;
+      }
+      return this.each(function () {
+        var existing = $(this).data('cv-instance');
+        if (existing && typeof existing.destroy === 'function') {
+          existing.destroy();
+        }
+        $(this).data('cv-instance', new ComponentViewer(this, methodOrOptions));
+      });
+    };
+
+    /* Same statics as the core class; Core is the class itself for new ComponentViewer(el, options) */
+    ['defaults', 'Icons', 'defaultStrings', 'ViewerError', 'registerRenderer', 'unregisterRenderer', 'getRenderer', 'registerLocale', 'unregisterLocale', 'getLocale', 'registerTheme', 'unregisterTheme', 'getTheme', 'getActive', 'getOpen', 'getInstance'].forEach(function (name) {
+      $.fn[PLUGIN_NAME][name] = ComponentViewer[name];
+    });
+    $.fn[PLUGIN_NAME].Core = ComponentViewer;
+
+    /** Static API: $.componentViewer(options) creates a throwaway container, inits the plugin, returns it. Chain .componentViewer('open', 0) to open. */
+    $[PLUGIN_NAME] = function (options) {
+      var $container = $('<div>');
+      $container[PLUGIN_NAME](options);
+      return $container;
+    };
+  }
+
+  return ComponentViewer;
+}));
@@ -1 +1 @@
-!function(t,e,i){"use strict";var o=["http","://"].join(""),n=["https","://"].join(""),a=["javascript",":"].join(""),s=["vbscript",":"].join("");function l(t){return null==t}var r="componentViewer",c=0,d={items:null,selector:".cv-item",loop:!0,overlayClose:!0,keyboardNav:!0,showCounter:!0,preloadAdjacentImages:!0,stageOnly:{enabled:!1,hideNavigation:!1},carousel:{enabled:!1,navThreshold:4},slideshow:null,theme:"dark",themeToggle:!0,onThemeChange:null,fullscreen:!0,swipeNav:!0,swipeToClose:!0,canShowTooltip:!0,toolbar:{download:!0,zoom:!0,extractText:!1},zoom:{min:1,max:5,step:.01,wheelStep:.15,showPercentage:!1,onZoom:null,loadHighResUrlAt:!1},pdf:{workerSrc:null,cMapUrl:null,cMapPacked:!0,annotations:!0,autoFit:!0,autoFitMinScale:.75,autoFitMaxScale:2.5,twoPageView:!1,extractText:!1},markdown:{toggleRawView:!1},inline:{syntaxHighlight:!1,getLanguage:null},onInlineHtml:null,video:{onGetHdUrl:null,canShowHDButton:null,beforeVideoPlay:null},supportedVideoFormats:null,supportedAudioFormats:null,toolbarItems:[],onDownload:null,itemData:null,resolveUrl:null,onRender:null,onToolbar:null,onLoading:null,onOpen:null,onComplete:null,onCleanup:null,onClose:null,onError:null,wcag:!1,shortcutsPopup:!0,pollOption:null,showAttachmentComment:!1,canShowExtractText:null,extractText:null,beforeCollectItems:null,beforeOpen:null},p={close:"Close",fullscreen:"Fullscreen",exitFullscreen:"Exit fullscreen",attachments:"Attachments",showAttachments:"Show attachments",scrollCarouselLeft:"Scroll carousel left",scrollCarouselRight:"Scroll carousel right",previousItem:"Previous item",nextItem:"Next item",zoomOut:"Zoom out",zoomLevel:"Zoom level",zoomIn:"Zoom in",switchToLightMode:"Switch to light mode",switchToDarkMode:"Switch to dark mode",playSlideshow:"Play slideshow",pauseSlideshow:"Pause slideshow",download:"Download",downloadSource:"Download source",invalidImageUrl:"Invalid or unsafe image URL",imageLoadFailed:"Image could not be loaded",play:"Play",pause:"Pause",playbackSpeed:"Playback Speed",cyclePlaybackSpeed:"Cycle playback speed",hd:"HD",toggleHd:"Toggle HD",mute:"Mute",unmute:"Unmute",thumbnails:"Thumbnails",previousPage:"Previous Page",nextPage:"Next Page",rotate:"Rotate",print:"Print",extractText:"Extract text",twoPageView:"Two-page view",singlePageView:"Single-page view",copy:"Copy",copiedToClipboard:"Copied to clipboard",viewSource:"View source",viewMarkdown:"View as Markdown",pdf:"PDF",previewNotAvailable:"Preview is not available for this file",file:"File",audio:"Audio",couldNotLoadFileInline:"Could not load file for inline view",noContentInline:"No content or invalid URL for inline view",noHtmlProvided:"No HTML provided for html view",typeVideo:"Video",typeCode:"Code",typeHtml:"HTML",typeError:"—",carouselItemLabel:"Item %1 of %2",playPause:"Play / Pause",muteUnmute:"Mute / Unmute",showShortcuts:"Show shortcuts",keyboardShortcuts:"Keyboard shortcuts",toggleTheme:"Toggle theme",toggleSlideshow:"Play / Pause slideshow",pollUpdated:"Updated",toggleComment:"Toggle comment",commentBy:"by",commentPrev:"Previous comment",commentNext:"Next comment",commentCounter:"Comment %1 of %2"};function h(e,i){var o=(t&&t.fn&&t.fn[r]&&t.fn[r].defaultStrings||p)[i];return l(o)||""===o?i:String(o)}var u={close:"&times;",prev:"&#10094;",next:"&#10095;",zoomIn:'<svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><circle cx="11" cy="11" r="8"/><line x1="21" y1="21" x2="16.65" y2="16.65"/><line x1="11" y1="8" x2="11" y2="14"/><line x1="8" y1="11" x2="14" y2="11"/></svg>',zoomOut:'<svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><circle cx="11" cy="11" r="8"/><line x1="21" y1="21" x2="16.65" y2="16.65"/><line x1="8" y1="11" x2="14" y2="11"/></svg>',download:'<svg width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><path d="M21 15v4a2 2 0 0 1-2 2H5a2 2 0 0 1-2-2v-4"/><polyline points="7 10 12 15 17 10"/><line x1="12" y1="15" x2="12" y2="3"/></svg>',fileIcon:'<svg width="64" height="64" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="1.2"><path d="M14 2H6a2 2 0 0 0-2 2v16a2 2 0 0 0 2 2h12a2 2 0 0 0 2-2V8z"/><polyline points="14 2 14 8 20 8"/></svg>',error:'<svg width="48" height="48" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="1.5"><rect x="3" y="3" width="18" height="18" rx="2"/><line x1="9" y1="9" x2="15" y2="15"/><line x1="15" y1="9" x2="9" y2="15"/></svg>',rotateCw:'<svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><polyline points="23 4 23 10 17 10"/><path d="M20.49 15a9 9 0 1 1-2.12-9.36L23 10"/></svg>',prevPage:'<svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><polyline points="15 18 9 12 15 6"/></svg>',nextPage:'<svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><polyline points="9 18 15 12 9 6"/></svg>',thumbnails:'<svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><rect x="3" y="3" width="7" height="7"/><rect x="14" y="3" width="7" height="7"/><rect x="3" y="14" width="7" height="7"/><rect x="14" y="14" width="7" height="7"/></svg>',print:'<svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><polyline points="6 9 6 2 18 2 18 9"/><path d="M6 18H4a2 2 0 0 1-2-2v-5a2 2 0 0 1 2-2h16a2 2 0 0 1 2 2v5a2 2 0 0 1-2 2h-2"/><rect x="6" y="14" width="12" height="8"/></svg>',copy:'<svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><rect x="9" y="9" width="13" height="13" rx="2" ry="2"/><path d="M5 15H4a2 2 0 0 1-2-2V4a2 2 0 0 1 2-2h9a2 2 0 0 1 2 2v1"/></svg>',extractText:'<svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><path d="M14 2H6a2 2 0 0 0-2 2v16a2 2 0 0 0 2 2h12a2 2 0 0 0 2-2V8z"/><polyline points="14 2 14 8 20 8"/><line x1="16" y1="13" x2="8" y2="13"/><line x1="16" y1="17" x2="8" y2="17"/><line x1="10" y1="9" x2="8" y2="9"/></svg>',twoPageView:'<svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><rect x="2" y="3" width="9" height="18" rx="1"/><rect x="13" y="3" width="9" height="18" rx="1"/></svg>',themeLight:'<svg width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><circle cx="12" cy="12" r="5"/><line x1="12" y1="1" x2="12" y2="3"/><line x1="12" y1="21" x2="12" y2="23"/><line x1="4.22" y1="4.22" x2="5.64" y2="5.64"/><line x1="18.36" y1="18.36" x2="19.78" y2="19.78"/><line x1="1" y1="12" x2="3" y2="12"/><line x1="21" y1="12" x2="23" y2="12"/><line x1="4.22" y1="19.78" x2="5.64" y2="18.36"/><line x1="18.36" y1="5.64" x2="19.78" y2="4.22"/></svg>',themeDark:'<svg width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><path d="M21 12.79A9 9 0 1 1 11.21 3 7 7 0 0 0 21 12.79z"/></svg>',fullscreen:'<svg width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><path d="M8 3H5a2 2 0 0 0-2 2v3m18 0V5a2 2 0 0 0-2-2h-3m0 18h3a2 2 0 0 0 2-2v-3M3 16v3a2 2 0 0 0 2 2h3"/></svg>',fullscreenExit:'<svg width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2.5" stroke-linecap="round" stroke-linejoin="round"><rect x="3" y="3" width="18" height="18" rx="2"/><line x1="9" y1="9" x2="15" y2="15"/><line x1="15" y1="9" x2="9" y2="15"/></svg>',play:'<svg width="24" height="24" viewBox="0 0 24 24" fill="currentColor"><polygon points="5 3 19 12 5 21"/></svg>',comment:'<svg width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><path d="M21 15a2 2 0 0 1-2 2H7l-4 4V5a2 2 0 0 1 2-2h14a2 2 0 0 1 2 2z"/></svg>'};function v(t){var e;e=l(t)||""===t?"":"string"==typeof t?t:String(t);var o=i.createElement("div");return o.appendChild(i.createTextNode(e)),o.innerHTML}function m(t){if(l(t)||"string"!=typeof t)return!1;var e=t.trim(),i=e.toLowerCase();if(0===i.indexOf(a)||0===i.indexOf(s))return!1;if(0===i.indexOf(o)||0===i.indexOf(n)||0===i.indexOf("blob:"))return!0;if(0===i.indexOf("//"))return!0;if(0===i.indexOf("data:")){var r=i.slice(5).split(",")[0].split(";")[0].trim();return 0===r.indexOf("image/")||0===r.indexOf("video/")||0===r.indexOf("audio/")||"application/pdf"===r}return e.indexOf(":")<0||0===e.indexOf("/")||0===e.indexOf("./")||0===e.indexOf("../")}function f(t){if(l(t)||"string"!=typeof t)return!1;var e=t.trim(),i=e.toLowerCase();return 0!==i.indexOf(a)&&0!==i.indexOf(s)&&0!==i.indexOf("data:")&&(0===i.indexOf(o)||0===i.indexOf(n)||0===i.indexOf("blob:")||0===i.indexOf("//")||e.indexOf(":")<0||0===e.indexOf("/")||0===e.indexOf("./")||0===e.indexOf("../"))}function g(t,e){if(!t)return null;var i=t.downloadUrl||t.download;return i&&f(i)||e&&(i=b(t,e,"src"))&&f(i)||(i=t.src)&&f(i)?i:null}function b(t,e,i){if(!t)return null;if(e&&"function"==typeof e.opts.resolveUrl){var o=e.opts.resolveUrl(t,e,i);if(null!=o&&""!==o)return o}return"zoomUrl"===i?t.zoomUrl&&""!==t.zoomUrl?t.zoomUrl:t.downloadUrl||t.src||null:"thumbnailUrl"===i?t.thumbnailUrl||null:t.src||null}function y(t,e){return b(t,e,"src")}function w(t,e){if(e&&"function"==typeof e.opts.onDownload)e.opts.onDownload(t,e);else{var o=g(t,e);if(o){var n=i.createElement("a");n.href=o,n.download=function(t){var e;e=l(t)||""===t?"file":"string"==typeof t?t:String(t);for(var i=new RegExp('[<>:"/\\\\|?*]',"g"),o="",n=0;n<e.length;n++){var a=e.charCodeAt(n);a>=32&&127!==a&&(o+=e.charAt(n))}return o.replace(i,"").trim()||"file"}(t.title),n.target="_blank",i.body.appendChild(n),n.click(),i.body.removeChild(n)}}}function _(){return i.fullscreenElement||i.webkitFullscreenElement||i.mozFullScreenElement||i.msFullscreenElement}var x={escape:1,arrowleft:1,arrowright:1," ":1,m:1,r:1,q:1,d:1,p:1,"?":1,"+":1,"-":1,"=":1,f:1,t:1,c:1,s:1};function $(t){if(l(t)||"string"!=typeof t)return"";var e=i.createElement("div");e.innerHTML=t;for(var o=e.querySelectorAll("script"),n=0;n<o.length;n++)o[n].remove();for(var r=e.querySelectorAll("*"),c=0;c<r.length;c++){for(var d=r[c],p=[],h=0;h<d.attributes.length;h++)p.push(d.attributes[h].name);(function(t,e){e.forEach(function(e){if(0===e.toLowerCase().indexOf("on"))t.removeAttribute(e);else if(("href"===e||"xlink:href"===e)&&t.getAttribute(e)){var i=(t.getAttribute(e)||"").trim().toLowerCase();0!==i.indexOf(a)&&0!==i.indexOf(s)||t.setAttribute(e,"#")}})})(d,p)}return e.innerHTML}function k(t,e){if(t.supplied)return String(t.supplied).split(",")[0].trim();var i=t.type||"video",o={mp4:"m4v",m4v:"m4v",webm:"webmv",ogv:"ogv",flv:"flv",mp3:"mp3",m4a:"m4a",ogg:"oga",oga:"oga",wav:"wav",fla:"fla"}[(t.fileExt||(t.src||"").split(".").pop()||"").toLowerCase()]||("video"===i?"m4v":"mp3");if(e){var n="video"===i?e.opts.supportedVideoFormats:e.opts.supportedAudioFormats;if(n){var a=n.split(",").map(function(t){return t.trim()}).filter(Boolean);if(a.length)return a.indexOf(o)>=0?o:a[0]}}return o}function C(t){var e=(t.fileExt||(t.src||"").split(".").pop()||(t.title||"").split(".").pop()||"").toLowerCase();return/^(png|jpe?g|gif|webp|bmp|ico|svg)$/.test(e)}var T={built:!1,visible:!1,activeInstance:null,_bodyOverflow:null,_keydownCaptureBound:!1,_keydownCaptureHandler:null,$el:null,$shell:null,$title:null,$counter:null,$stageWrap:null,$stage:null,$loader:null,$prev:null,$next:null,$footer:null,$pollOption:null,$footerRow:null,$toolbar:null,$zoomWidget:null,$zoomSlider:null,$zoomPct:null,_zoom:1,_panX:0,_panY:0,_isPanning:!1,_panOriginX:0,_panOriginY:0,_panStartX:0,_panStartY:0,_pinchStartDist:0,_pinchStartZoom:1,_pinchMidX:0,_pinchMidY:0,_pinchPanStartX:0,_pinchPanStartY:0,_pinchMidStartX:0,_pinchMidStartY:0,_justEndedPinch:!1,_highResLoaded:!1,_highResLoading:!1,_highResSliderDebounceTimer:null,_isImageItem:!1,_isPdfItem:!1,_isCustomRendered:!1,_swipeStartX:0,_swipeStartY:0,_swipeEndX:0,_swipeEndY:0,_swipeTracking:!1,ensure:function(){if(!this.built){var e='<div class="cv-overlay"><style id="cv-toolbar-icon-style">.cv-overlay .cv-toolbar .cv-tb-btn .cv-tb-icon,.cv-overlay .cv-toolbar .cv-tb-btn .cv-tb-icon::before,.cv-overlay .cv-toolbar .cv-tb-btn i.cv-tb-icon.ci-pencil,.cv-overlay .cv-toolbar .cv-tb-btn i.cv-tb-icon.ci-pencil::before{color:rgba(255,255,255,.95)!important;opacity:1!important}.cv-overlay.cv-theme-light .cv-toolbar .cv-tb-btn .cv-tb-icon,.cv-overlay.cv-theme-light .cv-toolbar .cv-tb-btn .cv-tb-icon::before,.cv-overlay.cv-theme-light .cv-toolbar .cv-tb-btn i.cv-tb-icon.ci-pencil,.cv-overlay.cv-theme-light .cv-toolbar .cv-tb-btn i.cv-tb-icon.ci-pencil::before{color:#444!important;opacity:1!important}.cv-overlay .cv-toolbar .cv-tb-btn{background:rgba(255,255,255,.08)!important;border:none!important;border-radius:6px!important;padding:6px 10px!important;min-width:32px!important;min-height:32px!important;display:inline-flex!important;align-items:center!important;justify-content:center!important}.cv-overlay .cv-toolbar .cv-tb-btn:hover{background:rgba(255,255,255,.2)!important}.cv-overlay.cv-theme-light .cv-toolbar .cv-tb-btn{background:rgba(0,0,0,.06)!important;color:#444!important}.cv-overlay.cv-theme-light .cv-toolbar .cv-tb-btn:hover{background:rgba(0,0,0,.12)!important}</style><div class="cv-backdrop" aria-hidden="true"></div><div class="cv-shell" id="cv-dialog"><div class="cv-header"><div class="cv-header-left"><span class="cv-counter" id="cv-dialog-desc"></span></div><div class="cv-header-center"><span class="cv-title" id="cv-dialog-title"></span></div><div class="cv-header-right"><button class="cv-comment-toggle" type="button" style="display:none">'+u.comment+'</button><button class="cv-carousel-toggle" type="button" style="display:none">'+u.thumbnails+'</button><button class="cv-fullscreen-toggle" type="button" style="display:none">'+u.fullscreen+'</button><button class="cv-theme-toggle" type="button">'+u.themeLight+'</button><button class="cv-close" type="button">'+u.close+'</button></div></div><div class="cv-body"><button class="cv-nav cv-nav-prev" type="button"><span class="cv-nav-icon">'+u.prev+'</span></button><div class="cv-stage-wrap"><div class="cv-loader"><div class="cv-spinner"></div></div><div class="cv-stage"></div><div class="cv-comment-wrap" aria-hidden="true" role="region" aria-label="Attachment comment"><div class="cv-comment-nav" style="display:none"><button class="cv-comment-prev" type="button" aria-label="Previous comment">'+u.prev+'</button><span class="cv-comment-counter" aria-live="polite"></span><button class="cv-comment-next" type="button" aria-label="Next comment">'+u.next+'</button></div><div class="cv-comment-title"></div><div class="cv-comment-author"></div><div class="cv-comment-sep"></div><div class="cv-comment-inner"></div></div></div><button class="cv-nav cv-nav-next" type="button"><span class="cv-nav-icon">'+u.next+'</span></button></div><div class="cv-carousel-wrap"><button class="cv-carousel-nav cv-carousel-prev" type="button">'+u.prev+'</button><div class="cv-carousel-inner"><div class="cv-carousel"></div></div><button class="cv-carousel-nav cv-carousel-next" type="button">'+u.next+'</button></div><div class="cv-footer"><div class="cv-slideshow-progress-wrap"><div class="cv-slideshow-progress-bar"></div></div><div class="cv-poll-option"></div><div class="cv-footer-row"><div class="cv-toolbar"></div><div class="cv-zoom-widget"><button class="cv-tb-btn cv-zoom-out-btn" type="button">'+u.zoomOut+'</button><input type="range" class="cv-zoom-slider" min="1" max="5" step="0.01" value="1" /><button class="cv-tb-btn cv-zoom-in-btn" type="button">'+u.zoomIn+'</button><span class="cv-zoom-pct">100%</span></div></div></div><div class="cv-shortcuts-popup" role="dialog" aria-label="Keyboard shortcuts" aria-hidden="true"></div><div class="cv-strip-message" id="cv-strip-message" aria-live="polite" role="status"></div></div></div>';t("body").append(e),this.$el=t(".cv-overlay").last();var i={$backdrop:".cv-backdrop",$shell:".cv-shell",$title:".cv-title",$counter:".cv-counter",$themeToggle:".cv-theme-toggle",$fullscreenToggle:".cv-fullscreen-toggle",$stageWrap:".cv-stage-wrap",$stage:".cv-stage",$commentWrap:".cv-comment-wrap",$commentNav:".cv-comment-nav",$commentPrev:".cv-comment-prev",$commentNext:".cv-comment-next",$commentCounter:".cv-comment-counter",$commentTitle:".cv-comment-title",$commentAuthor:".cv-comment-author",$commentSep:".cv-comment-sep",$commentInner:".cv-comment-inner",$commentToggle:".cv-comment-toggle",$loader:".cv-loader",$prev:".cv-nav-prev",$next:".cv-nav-next",$carouselWrap:".cv-carousel-wrap",$carousel:".cv-carousel",$carouselToggle:".cv-carousel-toggle",$carouselPrev:".cv-carousel-prev",$carouselNext:".cv-carousel-next",$footer:".cv-footer",$pollOption:".cv-poll-option",$footerRow:".cv-footer-row",$toolbar:".cv-toolbar",$stripMessage:".cv-strip-message",$zoomWidget:".cv-zoom-widget",$zoomSlider:".cv-zoom-slider",$zoomPct:".cv-zoom-pct",$slideshowProgressWrap:".cv-slideshow-progress-wrap",$slideshowProgressBar:".cv-slideshow-progress-bar",$shortcutsPopup:".cv-shortcuts-popup"};for(var o in i)this[o]="#"===i[o].charAt(0)?t(i[o]):this.$el.find(i[o]);this.$tooltip=t(),this.$zoomPct.hide(),this._bindEvents(),this._bindTooltip(),this.built=!0}},_bindKeydownCaptureOnce:function(){if(!this._keydownCaptureBound){this._keydownCaptureBound=!0;var t=this,e=function(e){t._handleKeydown(e)&&(e.preventDefault(),e.stopPropagation(),e.stopImmediatePropagation())};this._keydownCaptureHandler=e,i.addEventListener("keydown",e,!0)}},_handleKeydown:function(t){if(!this.visible||!this.activeInstance)return!1;if(!this.activeInstance.opts.keyboardNav)return!1;var o=this,n=o.$shortcutsPopup,a=n&&n.length&&n.hasClass("cv-open");if("?"===t.key||"/"===t.key&&t.shiftKey)return!1!==o.activeInstance.opts.shortcutsPopup&&(a?o._hideShortcutsPopup():o._showShortcutsPopup()),!0;if("Escape"===t.key)return a?(o._hideShortcutsPopup(),!0):_()?(i.exitFullscreen?i.exitFullscreen():i.webkitExitFullscreen?i.webkitExitFullscreen():i.mozCancelFullScreen?i.mozCancelFullScreen():i.msExitFullscreen&&i.msExitFullscreen(),setTimeout(function(){o._syncFullscreenToggle()},0),!0):(o.close(),!0);if("ArrowLeft"===t.key)return o._nav("prev"),!0;if("ArrowRight"===t.key)return o._nav("next"),!0;var s=t.target&&t.target.tagName?t.target.tagName.toLowerCase():"";if(!/(input|textarea|select)/.test(s)&&("+"===t.key||"="===t.key||"-"===t.key)){if(o._isImageItem){var r=o._zoomOpts(),c=l(r.wheelStep)?.25:r.wheelStep;return"-"===t.key?o._setZoom(Math.max(r.min,o._zoom-c)):o._setZoom(Math.min(r.max,o._zoom+c)),!0}if(o._isPdfItem){var d=o.$toolbar.find(".cv-tb-pdf-zoom-out:visible"),p=o.$toolbar.find(".cv-tb-pdf-zoom-in:visible");return"-"===t.key&&d.length?d.first().trigger("click"):"+"!==t.key&&"="!==t.key||!p.length||p.first().trigger("click"),!0}}if("Tab"===t.key&&o.activeInstance.opts.wcag){var h=o.$shortcutsPopup.hasClass("cv-open")?o.$shortcutsPopup[0]:o.$shell[0];if(h){var u=h.querySelectorAll('button, [href], input:not([disabled]), select, textarea, [tabindex]:not([tabindex="-1"])'),v=[].slice.call(u).filter(function(t){var i=e.getComputedStyle(t);return"none"!==i.display&&"hidden"!==i.visibility&&(null!==t.offsetParent||t.getBoundingClientRect().width>0)});if(v.length>0){var m=h.contains(t.target),f=v.indexOf(t.target);if(!m||-1===f)return t.preventDefault(),v[0].focus(),!0;if(t.shiftKey){if(0===f)return t.preventDefault(),v[v.length-1].focus(),!0}else if(f===v.length-1)return t.preventDefault(),v[0].focus(),!0;return!0}}}var g=t.target&&t.target.tagName?t.target.tagName.toLowerCase():"";if(/(input|textarea|select)/.test(g))return!1;var b=!o._isCustomRendered&&o.$stage.find(".jp-play, .jp-pause, .jp-mute, .jp-unmute, .cv-native-video, .cv-native-audio").length>0;if(" "===t.key&&b){var y=o.$stage.find(".jp-pause:visible");if(y.length)return y.first().trigger("click"),o._showMediaStateFeedback("pause"),!0;var w=o.$stage.find(".jp-play:visible, .cv-jp-big-play:visible");if(w.length)return w.first().trigger("click"),o._showMediaStateFeedback("play"),!0;var $=o.$stage.find(".cv-native-video")[0];if($)return $.paused?($.play(),o._showMediaStateFeedback("play")):($.pause(),o._showMediaStateFeedback("pause")),!0}if("m"===t.key&&b){var k=o.$stage.find(".jp-unmute:visible");if(k.length)return k.first().trigger("click"),o._showMediaStateFeedback("unmute"),!0;var C=o.$stage.find(".jp-mute:visible");if(C.length)return C.first().trigger("click"),o._showMediaStateFeedback("mute"),!0;var T=o.$stage.find(".cv-native-video")[0];if(T)return T.muted=!T.muted,o._showMediaStateFeedback(T.muted?"mute":"unmute"),!0}if("r"===t.key&&b){var S=[.5,.75,1,1.25,1.5,2],P=o.$stage.find(".cv-jp-speed");if(P.length){var I=parseFloat(P.val())||1,j=S.indexOf(I);j<0&&(j=S.indexOf(1)),j<0&&(j=2);var M=S[(j+1)%S.length];return P.val(String(M)).trigger("change"),!0}var z=o.$stage.find(".cv-native-video")[0]||o.$stage.find(".cv-audio-wrap audio")[0];if(z){var O=z.playbackRate||1,E=S.indexOf(O);if(E<0){for(E=0;E<S.length&&S[E]<O;)E+=1;E=Math.min(E,S.length-1)}var L=(E+1)%S.length;return z.playbackRate=S[L],!0}}var F={q:function(){return o.$stage.find(".cv-jp-hd:visible")},d:function(){return o.$toolbar.find(".cv-tb-download:visible")},p:function(){return o.$toolbar.find(".cv-tb-pdf-print:visible")},f:function(){return o.$fullscreenToggle.filter(":visible")},t:function(){return o.$themeToggle.filter(":visible")},c:function(){return o.$carouselToggle.filter(":visible")},s:function(){return o.$toolbar.find(".cv-slideshow-btn:visible")}};if(F[t.key]){var B=F[t.key]();if(B.length)return B.first().trigger("click"),!0}var A=(t.key||"").toLowerCase();if(!x[A]){var R=A.replace(/\\/g,"\\\\").replace(/"/g,'\\"'),N=o.$toolbar.find('.cv-tb-btn[data-cv-shortcut="'+R+'"]:visible');if(N.length)return N.first().trigger("click"),!0}return!1},_bindEvents:function(){var e=this;this.$el.find(".cv-close").on("click",function(){e.close()}),this.$themeToggle.on("click",function(t){if(t.preventDefault(),t.stopPropagation(),e.activeInstance){var i=e.activeInstance,o="dark"===(i.opts.theme||"dark")?"light":"dark";return i.opts.theme=o,e.$el[0].className="cv-overlay cv-visible cv-theme-"+o,e._syncThemeToggle(),"function"==typeof i.opts.onThemeChange&&i.opts.onThemeChange(o,i),!1}}),this.$carouselToggle.on("click",function(t){t.preventDefault(),e.activeInstance&&(e._carouselOpen=!e._carouselOpen,e._carouselOpen?e.$carouselWrap.addClass("cv-open"):e.$carouselWrap.removeClass("cv-open"),e.$carouselToggle.attr("aria-expanded",e._carouselOpen).toggleClass("cv-active",e._carouselOpen),e._updateCarouselNavVisibility(e.activeInstance))}),this.$fullscreenToggle.on("click",function(t){t.preventDefault(),e.activeInstance&&e._toggleOverlayFullscreen()}),this.$commentToggle.on("click",function(t){t.preventDefault(),e.activeInstance&&(void 0===e._commentPanelVisible&&(e._commentPanelVisible=!0),e._commentPanelVisible=!e._commentPanelVisible,e.$commentWrap.toggle(e._commentPanelVisible).attr("aria-hidden",!e._commentPanelVisible),e.$commentToggle.attr("aria-expanded",e._commentPanelVisible).toggleClass("cv-active",e._commentPanelVisible),!1!==e.activeInstance.opts.canShowTooltip&&e.$commentToggle.attr("data-cv-tooltip",h(e.activeInstance,"toggleComment")))}),this.$commentPrev.on("click",function(t){t.preventDefault(),!e.activeInstance||!e._commentList||e._commentList.length<=1||(e._commentIndex=e._commentIndex<=0?e._commentList.length-1:e._commentIndex-1,e._renderCommentAt(e.activeInstance,e._commentList,e._commentIndex))}),this.$commentNext.on("click",function(t){t.preventDefault(),!e.activeInstance||!e._commentList||e._commentList.length<=1||(e._commentIndex=e._commentIndex>=e._commentList.length-1?0:e._commentIndex+1,e._renderCommentAt(e.activeInstance,e._commentList,e._commentIndex))}),this.$carouselPrev.on("click",function(t){t.preventDefault();var i=e.$carousel[0];i&&(i.scrollLeft-=570)}),this.$carouselNext.on("click",function(t){t.preventDefault();var i=e.$carousel[0];i&&(i.scrollLeft+=570)}),this.$prev.on("click",function(){e._nav("prev")}),this.$next.on("click",function(){e._nav("next")}),this.$backdrop[0].addEventListener("click",function(t){t.target===e.$backdrop[0]&&e.activeInstance&&e.activeInstance.opts.overlayClose&&e.close()}),t(i).off(".cv-overlay-fullscreen").on("fullscreenchange.cv-overlay-fullscreen webkitfullscreenchange.cv-overlay-fullscreen mozfullscreenchange.cv-overlay-fullscreen msfullscreenchange.cv-overlay-fullscreen",function(){setTimeout(function(){e.$fullscreenToggle.length&&e.$fullscreenToggle.is(":visible")&&e._syncFullscreenToggle()},0)}),this.$zoomSlider.on("input",function(){if(e._isImageItem){var t=parseFloat(this.value);if(0!==e._zoom){var i=t/e._zoom;e._panX*=i,e._panY*=i}e._zoom=t,j(e.$stage),e.$toolbar.find(".cv-tb-extract-text").removeClass("cv-active"),e._clampPan(),e._applyTransform(),e._fireZoom(),null!=e._highResSliderDebounceTimer&&clearTimeout(e._highResSliderDebounceTimer),e._highResSliderDebounceTimer=setTimeout(function(){e._highResSliderDebounceTimer=null,e._loadHighResImageIfNeeded()},350)}}),this.$el.find(".cv-zoom-out-btn").on("click",function(){e._isImageItem&&e._setZoom(Math.max(e._zoomOpts().min,e._zoom-.25))}),this.$el.find(".cv-zoom-in-btn").on("click",function(){e._isImageItem&&e._setZoom(Math.min(e._zoomOpts().max,e._zoom+.25))}),this.$zoomPct.on("click",function(){e._isImageItem&&e._setZoom(1)}),this.$stageWrap.on("dblclick",function(t){e._isImageItem&&(t.preventDefault(),e._setZoom(1))}),this.$stageWrap[0].addEventListener("wheel",function(t){if(e.visible&&e._isImageItem){t.preventDefault();var i=e._zoomOpts(),o=t.deltaY<0?i.wheelStep:-i.wheelStep,n=Math.max(i.min,Math.min(i.max,e._zoom+o));if(n!==e._zoom){if(e._isGifItem())e._panX=0,e._panY=0;else{var a=e.$stageWrap[0].getBoundingClientRect(),s=t.clientX-a.left-a.width/2,l=t.clientY-a.top-a.height/2,r=n/e._zoom;e._panX=s-r*(s-e._panX),e._panY=l-r*(l-e._panY)}e._zoom=n,j(e.$stage),e.$toolbar.find(".cv-tb-extract-text").removeClass("cv-active"),e._clampPan(),e._syncSlider(),e._applyTransform(),e._loadHighResImageIfNeeded()}}},{passive:!1}),this.$stageWrap.on("mousedown",function(t){!e._isImageItem||e._zoom<=1||0!==t.button||e._isGifItem()||(t.preventDefault(),e._isPanning=!0,e._panOriginX=t.clientX,e._panOriginY=t.clientY,e._panStartX=e._panX,e._panStartY=e._panY)}),t(i).off(".cv-pan").on("mousemove.cv-pan",function(t){e._isPanning&&(e._panX=e._panStartX+(t.clientX-e._panOriginX),e._panY=e._panStartY+(t.clientY-e._panOriginY),e._clampPan(),e._applyTransform())}),t(i).on("mouseup.cv-pan",function(){e._isPanning=!1}),this.$stageWrap.on("touchstart",function(t){if(e._isImageItem){var i=t.originalEvent.touches;if(2===i.length){t.preventDefault(),e._isPanning=!1,e._pinchStartDist=e._touchDist(i),e._pinchStartZoom=e._zoom,e._pinchPanStartX=e._panX,e._pinchPanStartY=e._panY;var o=e.$stageWrap[0].getBoundingClientRect(),n=(i[0].clientX+i[1].clientX)/2,a=(i[0].clientY+i[1].clientY)/2;e._pinchMidStartX=n-o.left-o.width/2,e._pinchMidStartY=a-o.top-o.height/2}else 1===i.length&&e._zoom>1&&!e._isGifItem()&&(e._isPanning=!0,e._panOriginX=i[0].clientX,e._panOriginY=i[0].clientY,e._panStartX=e._panX,e._panStartY=e._panY)}}),this.$stageWrap.on("touchmove",function(t){if(e._isImageItem){var i=t.originalEvent.touches;if(2===i.length&&e._pinchStartDist){t.preventDefault(),e._justEndedPinch=!1;var o=e._zoomOpts(),n=e._touchDist(i),a=Math.max(o.min,Math.min(o.max,e._pinchStartZoom*(n/e._pinchStartDist)));if(e._isGifItem())e._panX=0,e._panY=0;else{var s=(i[0].clientX+i[1].clientX)/2,l=(i[0].clientY+i[1].clientY)/2,r=e.$stageWrap[0].getBoundingClientRect(),c=s-r.left-r.width/2,d=l-r.top-r.height/2,p=a/e._zoom;e._panX=e._pinchMidStartX-p*(e._pinchMidStartX-e._pinchPanStartX)+(c-e._pinchMidStartX),e._panY=e._pinchMidStartY-p*(e._pinchMidStartY-e._pinchPanStartY)+(d-e._pinchMidStartY)}e._zoom=a,j(e.$stage),e.$toolbar.find(".cv-tb-extract-text").removeClass("cv-active"),e._clampPan(),e._syncSlider(),e._applyTransform(),e._loadHighResImageIfNeeded()}else 1===i.length&&e._isPanning&&(e._justEndedPinch&&(e._panOriginX=i[0].clientX,e._panOriginY=i[0].clientY,e._panStartX=e._panX,e._panStartY=e._panY,e._justEndedPinch=!1),e._panX=e._panStartX+(i[0].clientX-e._panOriginX),e._panY=e._panStartY+(i[0].clientY-e._panOriginY),e._clampPan(),e._applyTransform())}}),this.$stageWrap.on("touchend touchcancel",function(t){var i=t.originalEvent.touches;if(1===i.length&&e._isImageItem&&e._zoom>1&&!e._isGifItem()?(e._isPanning=!0,e._justEndedPinch=e._pinchStartDist>0,e._panOriginX=i[0].clientX,e._panOriginY=i[0].clientY,e._panStartX=e._panX,e._panStartY=e._panY):0===i.length&&(e._isPanning=!1,e._justEndedPinch=!1),e._pinchStartDist=0,e._swipeTracking&&0===i.length){var o=e._swipeEndX-e._swipeStartX,n=e._swipeEndY-e._swipeStartY,a=e.activeInstance;a&&a.opts.overlayClose&&!1!==a.opts.swipeToClose&&n>=60&&n>Math.abs(o)?(t.preventDefault(),e.close()):a&&a.items.length>1&&!1!==a.opts.swipeNav&&!(e._isImageItem&&e._zoom>1)&&Math.abs(o)>=50&&Math.abs(o)>Math.abs(n)&&(t.preventDefault(),e._nav(o>0?"prev":"next",!0)),e._swipeTracking=!1}}),this.$stageWrap.on("touchstart",function(t){var i=t.originalEvent.touches;if(1===i.length&&e.activeInstance){var o=e.activeInstance,n=o.items.length>1&&!1!==o.opts.swipeNav&&!(e._isImageItem&&e._zoom>1),a=o.opts.overlayClose&&!1!==o.opts.swipeToClose;(n||a)&&(e._swipeStartX=i[0].clientX,e._swipeStartY=i[0].clientY,e._swipeEndX=e._swipeStartX,e._swipeEndY=e._swipeStartY,e._swipeTracking=!0)}}),this.$stageWrap.on("touchmove",function(t){e._swipeTracking&&1===t.originalEvent.touches.length&&(e._swipeEndX=t.originalEvent.touches[0].clientX,e._swipeEndY=t.originalEvent.touches[0].clientY)})},_normalizeComments:function(t){return t.comments&&Array.isArray(t.comments)&&0!==t.comments.length?t.comments.map(function(t){var e=t&&null!==t.text&&void 0!==t.text?String(t.text).trim():"";return{title:t&&null!==t.title&&void 0!==t.title?String(t.title).trim():"",author:t&&null!==t.author&&void 0!==t.author?String(t.author).trim():"",text:e}}).filter(function(t){return""!==t.title||""!==t.author||""!==t.text}):[]},_renderCommentAt:function(t,e,i){if(!(!e||!e.length||i<0||i>=e.length)){var o=e[i],n=l(o.title)?"":String(o.title).trim(),a=l(o.author)?"":String(o.author).trim(),s=l(o.text)?"":String(o.text).trim();this.$commentTitle.text(n).toggle(""!==n),this.$commentAuthor.text(a?h(0,"commentBy")+" "+a:"").toggle(""!==a),this.$commentSep.toggle(""!==n||""!==a),this.$commentInner.text(s).toggle(""!==s),this.$commentCounter.text(h(0,"commentCounter").replace("%1",String(i+1)).replace("%2",String(e.length))),t.opts.wcag&&(this.$commentPrev.attr("aria-label",h(0,"commentPrev")),this.$commentNext.attr("aria-label",h(0,"commentNext")))}},_bindTooltip:function(){var e,i=this;function o(){e=setTimeout(function(){i.$tooltip&&i.$tooltip.length&&(i.$tooltip.removeClass("cv-tooltip-visible").attr("aria-hidden","true").remove(),i.$tooltip=t())},50)}this.$el.on("mouseenter.cv-tooltip","[data-cv-tooltip]",function(n){!function(n){var a=n.attr("data-cv-tooltip");if(a){if(clearTimeout(e),!i.$tooltip||!i.$tooltip.length){var s=t('<div class="cv-tooltip" id="cv-tooltip" aria-hidden="true"></div>');(_()===i.$el[0]?i.$el:t("body")).append(s),s.on("mouseenter.cv-tooltip",function(){clearTimeout(e)}),s.on("mouseleave.cv-tooltip",o),i.$tooltip=s}i.$tooltip.text(a).attr("aria-hidden","false").addClass("cv-tooltip-visible");var l=n[0].getBoundingClientRect(),r=i.$tooltip[0].getBoundingClientRect(),c=l.left+l.width/2-r.width/2,d=l.top-r.height-6;d<8&&(d=l.bottom+6),i.$tooltip.css({left:c+"px",top:d+"px"})}}(t(n.currentTarget))}),this.$el.on("mouseleave.cv-tooltip","[data-cv-tooltip]",function(t){o()})},_applyTooltips:function(t){if(t&&this.$el.length)for(var e=!1!==t.opts.canShowTooltip,i=function(t,i){e?t.attr("data-cv-tooltip",h(0,i)):t.removeAttr("data-cv-tooltip")},o=_(),n=[[this.$el.find(".cv-close"),"close"],[this.$carouselToggle,"attachments"],[this.$fullscreenToggle,o===this.$el[0]?"exitFullscreen":"fullscreen"],[this.$themeToggle,"dark"===(t.opts.theme||"dark")?"switchToLightMode":"switchToDarkMode"],[this.$prev,"previousItem"],[this.$next,"nextItem"],[this.$carouselPrev,"scrollCarouselLeft"],[this.$carouselNext,"scrollCarouselRight"],[this.$el.find(".cv-zoom-out-btn"),"zoomOut"],[this.$zoomSlider,"zoomLevel"],[this.$el.find(".cv-zoom-in-btn"),"zoomIn"]],a=0;a<n.length;a++)i(n[a][0],n[a][1])},_nav:function(t,e){if(this.activeInstance){var i=e?{transition:!0}:void 0;"prev"===t?this.activeInstance.prev(i):this.activeInstance.next(i)}},_zoomOpts:function(){return this.activeInstance&&this.activeInstance.opts.zoom||d.zoom},_isGifItem:function(){var t=this.activeInstance;if(!t||!t.items||t.idx<0)return!1;var e=t.items[t.idx];return"image"===(e.type||"image")&&e.src&&/\.gif$/i.test(e.src)},_setZoom:function(t){var e=this._zoomOpts(),i=Math.max(e.min,Math.min(e.max,t));if(i!==this._zoom){var o=i/this._zoom;this._panX*=o,this._panY*=o,j(this.$stage),this.$toolbar.find(".cv-tb-extract-text").removeClass("cv-active")}this._zoom=i,this._clampPan(),this._syncSlider(),this._applyTransform(),this._loadHighResImageIfNeeded()},_syncSlider:function(){var t=Number(this._zoom);this.$zoomSlider.val(t);var e=Math.round(100*t);this.$zoomPct.text(e+"%"),this._fireZoom()},_fireZoom:function(){var t=this.activeInstance;if(t){var e=t.opts.zoom&&t.opts.zoom.onZoom;"function"==typeof e&&e(this._zoom,t.items[t.idx],t)}},_applyTransform:function(){var t=this.$stage.find(".cv-image");t.length&&(t.css("transform","translate(-50%, -50%) translate("+this._panX+"px,"+this._panY+"px) scale("+this._zoom+")"),t.css("cursor",this._zoom>1&&!this._isGifItem()?"grab":""))},_clampPan:function(){if(this._isGifItem())return this._panX=0,void(this._panY=0);if(this._zoom<=1)return this._panX=0,void(this._panY=0);var t=this.$stageWrap[0],e=this.$stage.find(".cv-image")[0];if(t){var i,o,n=t.clientWidth,a=t.clientHeight;if(e&&(e.naturalWidth||e.offsetWidth)&&(e.naturalHeight||e.offsetHeight)){var s=e.naturalWidth||e.offsetWidth,l=e.naturalHeight||e.offsetHeight,r=Math.min(n/s,a/l),c=s*r,d=l*r;i=Math.max(0,(c*this._zoom-n)/2),o=Math.max(0,(d*this._zoom-a)/2)}else i=Math.max(0,(this._zoom-1)*n/2),o=Math.max(0,(this._zoom-1)*a/2);this._panX=Math.max(-i,Math.min(i,this._panX)),this._panY=Math.max(-o,Math.min(o,this._panY))}},_resetZoomPan:function(){this._zoom=1,this._panX=0,this._panY=0,this._isPanning=!1,this._pinchStartDist=0,this._justEndedPinch=!1,this._highResLoaded=!1,this._highResLoading=!1,null!=this._highResSliderDebounceTimer&&(clearTimeout(this._highResSliderDebounceTimer),this._highResSliderDebounceTimer=null),this._syncSlider()},_touchDist:function(t){var e=t[0].clientX-t[1].clientX,i=t[0].clientY-t[1].clientY;return Math.sqrt(e*e+i*i)},_loadHighResImageIfNeeded:function(){var t=this.activeInstance;if(t&&t.items&&!(t.idx<0)&&this._isImageItem&&!this._isGifItem()&&!this._highResLoading){var e=this._zoomOpts().loadHighResUrlAt;if(!(!1===e||null==e||this._zoom<=e||this._highResLoaded)){var i=t.items[t.idx],o=b(i,t,"zoomUrl"),n=o&&m(o)?o:(i.zoomUrl&&m(i.zoomUrl)?i.zoomUrl:null)||g(i,t);if(n){var a=this.$stage.find(".cv-image");if(a.length)if((a.attr("src")||"")!==n){this._highResLoading=!0,this.$loader.addClass("cv-active");var s=this,l=a[0],r=function(){if(!s.activeInstance||s.activeInstance!==t)return s._highResLoading=!1,void s.$loader.removeClass("cv-active");s._highResLoading=!1,s._highResLoaded=!0,s.$loader.removeClass("cv-active"),s._clampPan(),s._applyTransform()};a.one("load",r).one("error",function(){s._highResLoading=!1,s.$loader.removeClass("cv-active")}),l.src=n,setTimeout(function(){s._highResLoading&&l.complete&&l.naturalWidth&&(a.off("load error"),r())},0)}else this._highResLoaded=!0}}}},open:function(o){this.ensure(),this.activeInstance=o,this._swipeTracking=!1,o.opts.wcag?(this._focusBeforeOpen=i.activeElement,this.$el[0].setAttribute("aria-hidden","false"),this.$shell[0].setAttribute("role","dialog"),this.$shell[0].setAttribute("aria-modal","true"),this.$shell[0].setAttribute("aria-labelledby","cv-dialog-title"),this.$shell[0].setAttribute("aria-describedby","cv-dialog-desc"),this.$title[0].setAttribute("aria-live","polite"),this.$counter[0].setAttribute("aria-live","polite"),this.$el.find(".cv-close").attr("aria-label",h(0,"close")),this.$el.find(".cv-carousel-toggle").attr("aria-label",h(0,"attachments")),this.$el.find(".cv-nav-prev").attr("aria-label",h(0,"previousItem")),this.$el.find(".cv-nav-next").attr("aria-label",h(0,"nextItem")),this.$el.find(".cv-zoom-out-btn").attr("aria-label",h(0,"zoomOut")),this.$el.find(".cv-zoom-slider").attr("aria-label",h(0,"zoomLevel")),this.$el.find(".cv-zoom-in-btn").attr("aria-label",h(0,"zoomIn")),this.$carouselPrev.attr("aria-label",h(0,"scrollCarouselLeft")),this.$carouselNext.attr("aria-label",h(0,"scrollCarouselRight"))):(this.$el[0].removeAttribute("aria-hidden"),this.$shell[0].removeAttribute("role"),this.$shell[0].removeAttribute("aria-modal"),this.$shell[0].removeAttribute("aria-labelledby"),this.$shell[0].removeAttribute("aria-describedby"),this.$title[0].removeAttribute("aria-live"),this.$counter[0].removeAttribute("aria-live"),this.$el.find(".cv-close, .cv-carousel-toggle, .cv-nav-prev, .cv-nav-next, .cv-zoom-out-btn, .cv-zoom-slider, .cv-zoom-in-btn").removeAttr("aria-label"),this.$carouselPrev.add(this.$carouselNext).removeAttr("aria-label"),this.$themeToggle.removeAttr("aria-label"),this.$fullscreenToggle.removeAttr("aria-label"),this.$commentToggle.removeAttr("aria-label"));var n=o.opts.theme||"dark";this.$el[0].className="cv-overlay cv-theme-"+n,this.$themeToggle.toggle(!1!==o.opts.themeToggle),this._syncThemeToggle();var a=o.opts.zoom||d.zoom;this.$zoomSlider.attr({min:a.min,max:a.max,step:a.step}),this._updateNavButtons(o),this._carouselOpen=!1,this._carouselEnabled(o)&&o.items.length>0?(this.$carouselToggle.show(),this._buildCarousel(o),this.$carouselWrap.removeClass("cv-open"),this.$carouselToggle.attr("aria-expanded","false").removeClass("cv-active"),this._updateCarouselNavVisibility(o)):(this.$carouselToggle.hide().removeClass("cv-active"),this.$carouselWrap.removeClass("cv-open")),this.$fullscreenToggle.toggle(!1!==o.opts.fullscreen),this._syncFullscreenToggle(),this._applyTooltips(o),this._stageOnlyEnabled(o)?this.$shell.addClass("cv-stage-only"):this.$shell.removeClass("cv-stage-only"),this._stageOnlyEnabled(o)&&o.opts.slideshow&&o.opts.slideshow.enabled&&o.items.length>1?this.$shell.addClass("cv-slideshow-visible"):this.$shell.removeClass("cv-slideshow-visible"),this.$el.addClass("cv-visible"),this.visible=!0,this._bodyOverflow=i.body.style.overflow,i.body.style.overflow="hidden";var s=this;t(e).off("resize.cv-extract-overlay").on("resize.cv-extract-overlay",function(){s.visible&&s.$stage&&s.$stage.length&&s.$stage.find(".cv-extract-overlay").length&&(j(s.$stage),s.$toolbar&&s.$toolbar.length&&s.$toolbar.find(".cv-tb-extract-text").removeClass("cv-active"))}),"loading"===o._beforeOpenPhase?this._enterBeforeOpenLoading(o):o._pendingGateContent&&o._pendingGateContent.html?this._showGateContent(o):this.loadItem(),o.opts.wcag&&(s=this,setTimeout(function(){var t;(t=s._stageOnlyEnabled(o)&&!s._stageOnlyHideNav(o)?s.$prev.is(":visible")?s.$prev[0]:s.$next[0]:s._stageOnlyEnabled(o)?s.$el.find(".cv-close")[0]||s.$stage[0]:s.$el.find(".cv-close")[0])&&t.focus()},0))},_updateNavButtons:function(t){return!t||t.items.length<=1||this._stageOnlyEnabled(t)&&this._stageOnlyHideNav(t)?(this.$prev.hide(),void this.$next.hide()):void(t.opts.loop?(this.$prev.show(),this.$next.show()):(this.$prev.toggle(t.idx>0),this.$next.toggle(t.idx<t.items.length-1)))},_preloadAdjacentImages:function(t){if(t&&t.items.length&&!1!==t.opts.preloadAdjacentImages){var e,i,o=t.items.length;t.opts.loop?(e=(t.idx+1)%o,i=(t.idx-1+o)%o):(e=t.idx+1<o?t.idx+1:-1,i=t.idx-1>=0?t.idx-1:-1);var n=function(e){if(e&&"image"===(e.type||"image")){var i=y(e,t)||e.src;i&&m(i)&&((new Image).src=i)}};e>=0&&n(t.items[e]),i>=0&&i!==e&&n(t.items[i])}},_carouselEnabled:function(t){if(!t)return!1;var e=t.opts.carousel;return Boolean(e&&e.enabled)},_carouselNavThreshold:function(t){if(!t)return 4;var e=t.opts.carousel;return e&&null!==e.navThreshold&&void 0!==e.navThreshold?e.navThreshold:4},_stageOnlyEnabled:function(t){if(!t||!t.opts.stageOnly)return!1;var e=t.opts.stageOnly;return!0===e||e&&!0===e.enabled},_stageOnlyHideNav:function(t){return!(!t||!t.opts.stageOnly||"object"!=typeof t.opts.stageOnly)&&!0===t.opts.stageOnly.hideNavigation},_buildCarousel:function(e){var i=this;this.$carousel.empty();for(var o=e.items,n=function(t,e){if(l(t)||""===t)return"";var i=String(t).trim();return i.length<=e?i:i.slice(0,e-1)+"…"},a=0;a<o.length;a++)(function(a){var s=o[a],r=s.type||"image";"audio"!==r&&"video"!==r||!C(s)||(r="image");var c,d=null,p=b(s,e,"thumbnailUrl")||s.thumbnailUrl,v=b(s,e,"src")||s.src;"image"===r&&(p||v)&&m(p||v)?d=p&&m(p)?p:v:("video"===r||"audio"===r)&&p&&m(p)&&(d=p),c="pdf"===r?"PDF":"video"===r?"Video":"audio"===r?"Audio":"inline"===r?"Code":"markdown"===r?"MD":"html"===r?"HTML":"error"===r?"—":(s.fileExt||r).slice(0,4);var f=l(s.title)||""===s.title?"":String(s.title).trim(),g=t('<button type="button" class="cv-carousel-item" data-cv-index="'+a+'"></button>');if(d){var y=t('<img class="cv-carousel-thumb" alt="">').attr("src",d);y.on("error",function(){g.addClass("cv-carousel-no-thumb")}),g.append(y),"video"!==r&&"audio"!==r||g.append(t('<span class="cv-carousel-play-icon">'+u.play+"</span>"))}else g.addClass("cv-carousel-no-thumb").text(f?n(f,12):c);f&&g.attr("title",f),e.opts.wcag&&g.attr("aria-label",h(0,"carouselItemLabel").replace("%1",String(a+1)).replace("%2",String(e.items.length))),g.on("click",function(t){t.preventDefault(),e===i.activeInstance&&a!==e.idx&&e.goTo(a)}),i.$carousel.append(g)})(a);this._updateCarouselSelection(e),this._updateCarouselNavVisibility(e)},_updateCarouselNavVisibility:function(t){if(t&&this._carouselEnabled(t)){var e=this._carouselNavThreshold(t),i=t.items.length>e;this.$carouselPrev.toggle(i),this.$carouselNext.toggle(i)}},_updateCarouselSelection:function(t){if(t&&this._carouselEnabled(t)){this.$carousel.find(".cv-carousel-item").removeClass("cv-active").attr("aria-current",null);var e=this.$carousel.find('.cv-carousel-item[data-cv-index="'+t.idx+'"]');e.addClass("cv-active").attr("aria-current","true");var i=e[0];i&&i.scrollIntoView({block:"nearest",inline:"center",behavior:"smooth"})}},_syncThemeToggle:function(){var t=this.activeInstance;if(t){var e=t.opts.theme||"dark",i=h(0,"dark"===e?"switchToLightMode":"switchToDarkMode");t.opts.wcag&&this.$themeToggle.attr("aria-label",i),this.$themeToggle.html("dark"===e?u.themeLight:u.themeDark),this._applyTooltips(t)}},_syncFullscreenToggle:function(){var e,o=_()===this.$el[0],n=this.activeInstance;e=n?h(0,o?"exitFullscreen":"fullscreen"):o?"Exit fullscreen":"Fullscreen",n&&n.opts.wcag&&this.$fullscreenToggle.attr("aria-label",e),this.$fullscreenToggle.html(o?u.fullscreenExit:u.fullscreen),n&&!1!==n.opts.canShowTooltip?this.$fullscreenToggle.attr("data-cv-tooltip",e):n&&this.$fullscreenToggle.removeAttr("data-cv-tooltip"),n&&this._applyTooltips(n),this.$tooltip&&this.$tooltip.length&&(o&&this.$tooltip.parent()[0]!==this.$el[0]?this.$el.append(this.$tooltip):o||this.$tooltip.parent()[0]===i.body||t("body").append(this.$tooltip))},_toggleOverlayFullscreen:function(){var t=this.$el[0],e=_(),o=this;e&&e===t?(i.exitFullscreen?i.exitFullscreen():i.webkitExitFullscreen?i.webkitExitFullscreen():i.mozCancelFullScreen?i.mozCancelFullScreen():i.msExitFullscreen&&i.msExitFullscreen(),setTimeout(function(){o._syncFullscreenToggle()},50)):(t.requestFullscreen?t.requestFullscreen():t.webkitRequestFullscreen?t.webkitRequestFullscreen():t.mozRequestFullScreen?t.mozRequestFullScreen():t.msRequestFullscreen&&t.msRequestFullscreen(),setTimeout(function(){o._syncFullscreenToggle()},100))},close:function(){if(this.$tooltip&&this.$tooltip.length&&(this.$tooltip.removeClass("cv-tooltip-visible").attr("aria-hidden","true").remove(),this.$tooltip=t()),this._hideShortcutsPopup(),this.activeInstance){var o=this.activeInstance,n=o.items[o.idx],a=o.opts.wcag;o._slideshowTimer&&(clearTimeout(o._slideshowTimer),o._slideshowTimer=null),_()===this.$el[0]&&(i.exitFullscreen?i.exitFullscreen():i.webkitExitFullscreen?i.webkitExitFullscreen():i.mozCancelFullScreen?i.mozCancelFullScreen():i.msExitFullscreen&&i.msExitFullscreen());var s=this;this.$el.addClass("cv-closing"),"function"==typeof o.opts.onCleanup&&n&&o.opts.onCleanup(n,o),setTimeout(function(){t(e).off("resize.cv-extract-overlay"),s._destroyCurrent(o),"function"==typeof o.opts.onClose&&n&&o.opts.onClose(n,o),s.$el.removeClass("cv-visible cv-closing"),i.body.style.overflow=l(s._bodyOverflow)?"":s._bodyOverflow,s._bodyOverflow=null,a&&s.$el[0].setAttribute("aria-hidden","true"),a&&(s.$title[0]&&s.$title[0].removeAttribute("aria-live"),s.$counter[0]&&s.$counter[0].removeAttribute("aria-live")),s.$stage.empty(),s.$loader.removeClass("cv-active"),s._clearToolbarToggleActiveStates(),s._resetZoomPan(),s._swipeTracking=!1,o&&(o._openContext=null,o._pendingGateContent=null,o._beforeOpenPhase=null),s.visible=!1,s.activeInstance=null,a&&s._focusBeforeOpen&&"function"==typeof s._focusBeforeOpen.focus&&s._focusBeforeOpen.focus(),s._focusBeforeOpen=null,s._stripMessageTimer&&(clearTimeout(s._stripMessageTimer),s._stripMessageTimer=null),s.$el&&s.$el.length&&s.$el.remove(),s.built=!1,s.$el=null,s.$shell=null,s.$stage=null,s.$stageWrap=null,s.$toolbar=null,s.$loader=null,s.$prev=null,s.$next=null,s.$footer=null},300)}else null!==this._bodyOverflow&&void 0!==this._bodyOverflow&&(i.body.style.overflow=this._bodyOverflow,this._bodyOverflow=null)},_enterBeforeOpenLoading:function(t){this._destroyCurrent(t),this.$stage.empty(),this.$loader.addClass("cv-active"),this.$footer.hide(),this.$toolbar.empty(),this.$pollOption.removeClass("cv-active").empty().hide(),this.$counter.closest(".cv-header-left").hide(),this.$prev.hide(),this.$next.hide(),this._carouselEnabled(t)&&this.$carouselToggle.hide(),this._clearToolbarToggleActiveStates();var e=t.items[t.idx];this.$title.text(e&&!l(e.title)&&""!==e.title?String(e.title):""),this.$title.closest(".cv-header-center").show()},_finishBeforeOpenProceed:function(t){t&&this.activeInstance===t&&(t._pendingGateContent&&t._pendingGateContent.html?(t._beforeOpenPhase="gate",this._showGateContent(t)):(t._beforeOpenPhase=null,this.loadItem()))},_showGateContent:function(t){var e=t._pendingGateContent;if(!e||!e.html)return t._beforeOpenPhase=null,void this.loadItem();var i=this;this.$stage.empty().append(e.html),this.$title.text(""),this.$counter.closest(".cv-header-left").hide(),this.$prev.hide(),this.$next.hide(),this._carouselEnabled(t)&&this.$carouselToggle.hide(),this.$footer.hide(),this.$toolbar.empty(),this.$pollOption.removeClass("cv-active").empty().hide(),this.$loader.removeClass("cv-active"),this._clearToolbarToggleActiveStates();var o=this.$stage.find("[data-cv-gate-proceed]");o.off("click.cv-gate").on("click.cv-gate",function(n){n.preventDefault();var a="function"==typeof e.onProceed?e.onProceed():{};t._openContext=a||{},t._pendingGateContent=null,t._beforeOpenPhase=null,o.off("click.cv-gate"),i.loadItem()})},loadItem:function(t){var e=this.activeInstance;if(e&&e.items[e.idx]){if(this._carouselEnabled(e)&&e.items.length>0&&(this._buildCarousel(e),this._updateCarouselSelection(e),this._updateCarouselNavVisibility(e)),(t=t||{}).transition&&this.$stage.children().length>0){var i=this;return this.$stageWrap.addClass("cv-stage-out"),void setTimeout(function(){i.$stageWrap.removeClass("cv-stage-out"),i._loadItemCore(e,!0)},280)}this._loadItemCore(e,!1)}},_loadItemCore:function(o,n){var a=o.items[o.idx];if(a){"function"==typeof o.opts.onLoading&&o.opts.onLoading(a,o),this._destroyCurrent(o),this.$stage.empty(),this.$loader.removeClass("cv-active"),this._clearToolbarToggleActiveStates(),this._resetZoomPan(),this.$title.text(l(a.title)||""===a.title?"":String(a.title)),this.$counter.text(o.idx+1+" / "+o.items.length);var s=a.type||"image";if("html"===s){var r=!l(a.title)&&""!==a.title;this.$title.closest(".cv-header-center").toggle(r),this.$counter.closest(".cv-header-left").toggle(r)}else this.$title.closest(".cv-header-center").show(),this.$counter.closest(".cv-header-left").show();!1===o.opts.showCounter&&this.$counter.closest(".cv-header-left").hide();var d=null;this._isCustomRendered=!1,this._isImageItem=!1,this._isPdfItem=!1,this._isHtmlItem=!1,"function"==typeof o.opts.onRender&&(d=o.opts.onRender(a,this.$stage,o),this.$stage.children().length>0&&(this._isCustomRendered=!0)),this._isCustomRendered||(this._isImageItem="image"===s,this._isPdfItem="pdf"===s,this._isHtmlItem="html"===s,"image"===s?d=function(e,i){var o=T.activeInstance,n=y(e,o);if(!n||!m(n))return L(i,"image","Invalid or unsafe image URL",e,{noDownload:!0}),{imageError:!0};var a=t('<div class="cv-img-wrap"></div>');T.$loader.addClass("cv-active");var s=l(e.title)||""===String(e.title).trim()?"":String(e.title),r=t('<img class="cv-image" alt="'+v(s)+'" />'),c=r[0];function d(){T.$loader.removeClass("cv-active"),r.addClass("cv-loaded"),T._clampPan(),T._applyTransform()}return c.onload=function(){T.activeInstance===o&&("function"==typeof c.decode?c.decode().then(d).catch(function(){requestAnimationFrame(d)}):requestAnimationFrame(d))},c.onerror=function(){T.$loader.removeClass("cv-active"),a.remove(),i.empty(),L(i,"image","Image could not be loaded",e,{noDownload:!g(e,o)}),o&&T._resolveToolbar(o,{imageError:!0})},a.append(r),i.append(a),c.src=n,{}}(a,this.$stage):"video"===s?d=function(e,o,n){if(void 0===t.fn.jPlayer)return function(e,i){var o=T.activeInstance,n=y(e,o);if(!n||!m(n))return null;var a=t('<div class="cv-video-wrap"></div>'),s=b(e,o,"thumbnailUrl")||e.thumbnailUrl,l=s&&m(s)?s:"",r=t('<video class="cv-native-video" controls playsinline preload="none"></video>');return r.attr("src",n),l&&r.attr("poster",l),a.append(r),i.append(a),{}}(e,o);var a=y(e,n);if(!a||!m(a))return null;var s="cv-jp-v-"+ ++c,l=s+"-ui",r=k(e,n),d={};d[r]=a;var p=b(e,n,"thumbnailUrl")||e.thumbnailUrl;p&&m(p)&&(d.poster=p);var u=n&&!1!==n.opts.canShowTooltip,f=function(t){return u?' data-cv-tooltip="'+v(h(0,t))+'"':""},g=n&&n.opts.video||{},w=e.hdUrl&&m(e.hdUrl),x=g.onGetHdUrl&&"function"==typeof g.onGetHdUrl,$=g.canShowHDButton&&"function"==typeof g.canShowHDButton,C=!!w&&(!$||Boolean(g.canShowHDButton(e,n)))||Boolean(x)&&!w,S=C?'<button class="cv-jp-btn cv-jp-hd" type="button"'+f("hd")+">HD</button>":"",P=p&&m(p)?p:"",I=t('<div class="cv-video-wrap"><div id="'+l+'" class="cv-jp-video-ui">'+(P?'<div class="cv-jp-poster" aria-hidden="true"></div>':"")+'<div class="cv-jp-video-screen"></div>'+(C?'<span class="cv-jp-hd-badge" aria-hidden="true">HD</span>':"")+'<div class="cv-jp-big-play"><svg width="48" height="48" viewBox="0 0 24 24" fill="currentColor"><g transform="translate(12 12) scale(0.65) translate(-12 -12)"><polygon points="5 3 19 12 5 21" transform="translate(2.33 0)"/></g></svg></div><div class="cv-jp-controls"><button class="cv-jp-btn jp-play" type="button"'+f("play")+'><svg width="18" height="18" viewBox="0 0 24 24" fill="currentColor"><polygon points="5 3 19 12 5 21"/></svg></button><button class="cv-jp-btn jp-pause" type="button"'+f("pause")+' style="display:none"><svg width="18" height="18" viewBox="0 0 24 24" fill="currentColor"><rect x="6" y="4" width="4" height="16"/><rect x="14" y="4" width="4" height="16"/></svg></button><span class="cv-jp-time jp-current-time">0:00</span><div class="cv-jp-progress jp-seek-bar"><div class="cv-jp-play-bar jp-play-bar"></div></div><span class="cv-jp-time jp-duration">0:00</span><select class="cv-jp-speed"'+f("playbackSpeed")+'><option value="0.5">0.5x</option><option value="0.75">0.75x</option><option value="1" selected>1x</option><option value="1.25">1.25x</option><option value="1.5">1.5x</option><option value="2">2x</option></select>'+S+'<button class="cv-jp-btn jp-mute" type="button"'+f("mute")+'><svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><polygon points="11 5 6 9 2 9 2 15 6 15 11 19 11 5"/><path d="M19.07 4.93a10 10 0 0 1 0 14.14"/><path d="M15.54 8.46a5 5 0 0 1 0 7.07"/></svg></button><button class="cv-jp-btn jp-unmute" type="button"'+f("unmute")+' style="display:none"><svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><polygon points="11 5 6 9 2 9 2 15 6 15 11 19 11 5"/><line x1="23" y1="9" x2="17" y2="15"/><line x1="17" y1="9" x2="23" y2="15"/></svg></button><div class="cv-jp-volume jp-volume-bar"><div class="cv-jp-volume-val jp-volume-bar-value"></div></div><button class="cv-jp-btn jp-full-screen" type="button"'+f("fullscreen")+'><svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><polyline points="15 3 21 3 21 9"/><polyline points="9 21 3 21 3 15"/><line x1="21" y1="3" x2="14" y2="10"/><line x1="3" y1="21" x2="10" y2="14"/></svg></button><button class="cv-jp-btn jp-restore-screen" type="button"'+f("exitFullscreen")+' style="display:none"><svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><polyline points="4 14 10 14 10 20"/><polyline points="20 10 14 10 14 4"/><line x1="14" y1="10" x2="21" y2="3"/><line x1="3" y1="21" x2="10" y2="14"/></svg></button></div></div></div>');P&&I.find(".cv-jp-poster").css("background-image",'url("'+P.replace(/"/g,"%22")+'")'),o.append(I),n&&n.opts.wcag&&(I.find(".jp-play").attr("aria-label",h(0,"play")),I.find(".jp-pause").attr("aria-label",h(0,"pause")),I.find(".cv-jp-speed").attr("aria-label",h(0,"playbackSpeed")),I.find(".cv-jp-hd").attr("aria-label",h(0,"hd")),I.find(".jp-mute").attr("aria-label",h(0,"mute")),I.find(".jp-unmute").attr("aria-label",h(0,"unmute")),I.find(".jp-full-screen").attr("aria-label",h(0,"fullscreen")),I.find(".jp-restore-screen").attr("aria-label",h(0,"exitFullscreen")));var j=t(),M=I.find(".cv-jp-big-play"),z=I.find(".cv-jp-video-screen"),O=I.find(".cv-jp-speed"),E=!1,L=!1,F=!1,B="function"==typeof g.beforeVideoPlay?g.beforeVideoPlay:null;function A(){if(!L){if(L=!0,F=!1,I.find(".cv-jp-poster").addClass("cv-hidden"),!j.length){var e=t('<div id="'+s+'" class="cv-jp-player"></div>');I.prepend(e),j=e}j.jPlayer({ready:function(){t(this).jPlayer("setMedia",d),t(this).jPlayer("play")},play:function(){E=!0,G(!0)},pause:function(){E=!1,G(!1)},ended:function(){E=!1,G(!1)},volumechange:function(t){var e=t.jPlayer&&t.jPlayer.options,i=e&&e.muted||e&&0===e.volume;!function(t){I.find(".jp-mute").toggle(!t),I.find(".jp-unmute").toggle(Boolean(t))}(Boolean(i))},supplied:r,cssSelectorAncestor:"#"+l,size:{width:"100%",height:"100%",cssClass:"cv-jp-video-size"},sizeFull:{width:"100%",height:"100%",cssClass:"cv-jp-video-size-full"},smoothPlayBar:!0,keyEnabled:!1,globalVolume:!0,playbackRate:1})}}function R(){E?j.jPlayer("pause"):L?j.jPlayer("play"):L||F||(B?B(e,n,function(e){if(!L)if(e&&e.gateContent&&e.gateContent.html){F=!0;var i=e.gateContent,o=t('<div class="cv-video-gate"></div>'),a=i.html;"string"==typeof a?o.html(a):a&&a.jquery||a&&a.nodeType?o.append(a):o.html(String(a)),I.append(o);var s=o.find("[data-cv-gate-proceed]");s.off("click.cv-videoplay-gate").on("click.cv-videoplay-gate",function(t){t.preventDefault();var e="function"==typeof i.onProceed?i.onProceed():{};n&&(n._videoBeforePlayContext=e||{}),s.off("click.cv-videoplay-gate"),o.remove(),F=!1,L||A()})}else A()},o):A())}M.on("click",R),z.on("click",R),I.find(".jp-play").on("click",R),I.find(".jp-pause").on("click",R),O.on("change",function(){L&&j.jPlayer("option","playbackRate",parseFloat(this.value))});var N=I.find(".cv-jp-hd"),H=d,D=!1;if(N.length){var V=function(t){D=Boolean(t),N.toggleClass("cv-jp-hd-active",D);var e=h(0,"hd")+(D?" (on)":"");n&&!1!==n.opts.canShowTooltip&&N.attr("data-cv-tooltip",e),n&&n.opts.wcag&&N.attr("aria-label",e);var i=I.find(".cv-jp-hd-badge");i.length&&i.toggle(D)},Y=function(){if(L){var t=j.data("jPlayer"),i=t&&t.status&&"number"==typeof t.status.currentTime?t.status.currentTime:0,o=E;j.jPlayer("pause");var a,s=!1,l=function(){s||(s=!0,clearTimeout(a),j.jPlayer("pause",i),o&&j.jPlayer("play"))};if(D)return j.one("jPlayer_loadeddata",function(){l(),V(!1)}),a=setTimeout(function(){l(),V(!1)},1200),void j.jPlayer("setMedia",H);var c=(w?e.hdUrl:null)||(x?g.onGetHdUrl(e,n):null);if(c&&m(c)){var d={};d[r]=c,H.poster&&(d.poster=H.poster),j.one("jPlayer_loadeddata",function(){l(),V(!0)}),a=setTimeout(function(){l(),V(!0)},1200),j.jPlayer("setMedia",d)}}};N.on("click",function(){if(L)if(D)Y();else{var t=(w?e.hdUrl:null)||(x?g.onGetHdUrl(e,n):null);t&&m(t)&&Y()}})}var X=I.find(".jp-full-screen"),U=I.find(".jp-restore-screen"),W=I[0];function q(){var e=_(),o=e===W;if(X.toggle(!o),U.toggle(o),n&&!1!==n.opts.canShowTooltip&&(X.attr("data-cv-tooltip",h(0,"fullscreen")),U.attr("data-cv-tooltip",h(0,"exitFullscreen"))),n&&n.opts.wcag&&(X.attr("aria-label",h(0,"fullscreen")),U.attr("aria-label",h(0,"exitFullscreen"))),T.$tooltip&&T.$tooltip.length)if(o)T.$tooltip.parent()[0]!==W&&I.append(T.$tooltip);else{var a=T.$el&&T.$el[0];e===a?T.$tooltip.parent()[0]!==a&&T.$el.append(T.$tooltip):T.$tooltip.parent()[0]!==i.body&&t("body").append(T.$tooltip)}}function G(t){M.toggleClass("cv-hidden",Boolean(t)),I.find(".jp-play").toggle(!t),I.find(".jp-pause").toggle(Boolean(t))}return X.on("click",function(){W.requestFullscreen?W.requestFullscreen():W.webkitRequestFullscreen?W.webkitRequestFullscreen():W.mozRequestFullScreen?W.mozRequestFullScreen():W.msRequestFullscreen&&W.msRequestFullscreen()}),U.on("click",function(){i.exitFullscreen?i.exitFullscreen():i.webkitExitFullscreen?i.webkitExitFullscreen():i.mozCancelFullScreen?i.mozCancelFullScreen():i.msExitFullscreen&&i.msExitFullscreen()}),t(i).on("fullscreenchange webkitfullscreenchange mozfullscreenchange msfullscreenchange.cv-video",function(){q()}),q(),{destroy:function(){t(i).off("fullscreenchange webkitfullscreenchange mozfullscreenchange msfullscreenchange.cv-video"),I.find(".cv-video-gate").remove(),F=!1,L&&j.length&&(j.jPlayer("destroy"),j.remove())}}}(a,this.$stage,o):"audio"===s?d=function(e,i,o){if(void 0===t.fn.jPlayer)return function(e,i){var o=y(e,T.activeInstance);if(!o||!m(o))return null;var n=(e.fileExt||e.title||"").split(".").pop().toUpperCase()||"AUDIO",a=t('<div class="cv-audio-wrap"><div class="cv-audio-artwork"><div class="cv-audio-icon"><svg width="60" height="60" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="1" opacity=".4"><path d="M9 18V5l12-2v13"/><circle cx="6" cy="18" r="3"/><circle cx="18" cy="16" r="3"/></svg></div><div class="cv-audio-title">'+v(e.title||"Audio")+'</div><div class="cv-audio-meta"><span>'+v(n)+'</span></div></div><div class="cv-audio-native-controls"></div></div>'),s=t('<audio controls preload="metadata"></audio>');return s.attr("src",o),a.find(".cv-audio-native-controls").append(s),i.append(a),{}}(e,i);var n=y(e,o);if(!n||!m(n))return null;var a="cv-jp-a-"+ ++c,s=a+"-ui",l=k(e,o),r={};r[l]=n;var d=(e.fileExt||e.title||"").split(".").pop().toUpperCase()||"AUDIO",p=o&&!1!==o.opts.canShowTooltip,u=function(t){return p?' data-cv-tooltip="'+v(h(0,t))+'"':""},f=t('<div class="cv-audio-wrap"><div class="cv-audio-artwork"><div class="cv-audio-icon"><svg width="60" height="60" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="1" opacity=".4"><path d="M9 18V5l12-2v13"/><circle cx="6" cy="18" r="3"/><circle cx="18" cy="16" r="3"/></svg></div><div class="cv-audio-title">'+v(e.title||"Audio")+'</div><div class="cv-audio-meta">'+(e.fileSize?"<span>"+v(e.fileSize)+"</span>":"")+"<span>"+v(d)+'</span></div></div><div id="'+s+'" class="cv-jp-audio-ui"><div class="cv-jp-controls"><button class="cv-jp-btn cv-jp-btn-lg jp-play" type="button"'+u("play")+'><svg width="28" height="28" viewBox="0 0 24 24" fill="currentColor"><polygon points="5 3 19 12 5 21"/></svg></button><button class="cv-jp-btn cv-jp-btn-lg jp-pause" type="button"'+u("pause")+' style="display:none"><svg width="28" height="28" viewBox="0 0 24 24" fill="currentColor"><rect x="6" y="4" width="4" height="16"/><rect x="14" y="4" width="4" height="16"/></svg></button><span class="cv-jp-time jp-current-time">0:00</span><div class="cv-jp-progress jp-seek-bar"><div class="cv-jp-play-bar jp-play-bar"></div></div><span class="cv-jp-time jp-duration">0:00</span><select class="cv-jp-speed"'+u("playbackSpeed")+'><option value="0.5">0.5x</option><option value="0.75">0.75x</option><option value="1" selected>1x</option><option value="1.25">1.25x</option><option value="1.5">1.5x</option><option value="2">2x</option></select><button class="cv-jp-btn jp-mute" type="button"'+u("mute")+'><svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><polygon points="11 5 6 9 2 9 2 15 6 15 11 19 11 5"/><path d="M19.07 4.93a10 10 0 0 1 0 14.14"/><path d="M15.54 8.46a5 5 0 0 1 0 7.07"/></svg></button><button class="cv-jp-btn jp-unmute" type="button"'+u("unmute")+' style="display:none"><svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><polygon points="11 5 6 9 2 9 2 15 6 15 11 19 11 5"/><line x1="23" y1="9" x2="17" y2="15"/><line x1="17" y1="9" x2="23" y2="15"/></svg></button><div class="cv-jp-volume jp-volume-bar"><div class="cv-jp-volume-val jp-volume-bar-value"></div></div></div></div></div>');i.append(f),o&&o.opts.wcag&&(f.find(".jp-play").attr("aria-label",h(0,"play")),f.find(".jp-pause").attr("aria-label",h(0,"pause")),f.find(".cv-jp-speed").attr("aria-label",h(0,"playbackSpeed")),f.find(".jp-mute").attr("aria-label",h(0,"mute")),f.find(".jp-unmute").attr("aria-label",h(0,"unmute")));var g=t(),b=f.find(".cv-jp-speed"),w=!1;function _(t){f.find(".jp-play").toggle(!t),f.find(".jp-pause").toggle(Boolean(t))}function x(){if(!w){if(w=!0,!g.length){var e=t('<div id="'+a+'" class="cv-jp-player"></div>');f.prepend(e),g=e}g.jPlayer({ready:function(){t(this).jPlayer("setMedia",r),t(this).jPlayer("play")},play:function(){_(!0)},pause:function(){_(!1)},ended:function(){_(!1)},volumechange:function(t){var e=t.jPlayer&&t.jPlayer.options,i=e&&e.muted||e&&0===e.volume;!function(t){f.find(".jp-mute").toggle(!t),f.find(".jp-unmute").toggle(Boolean(t))}(Boolean(i))},supplied:l,cssSelectorAncestor:"#"+s,smoothPlayBar:!0,keyEnabled:!1,globalVolume:!0,playbackRate:1})}}function $(){if(w){var t=g.data("jPlayer"),e=t&&t.status?t.status:{};void 0===e.paused||e.paused?g.jPlayer("play"):g.jPlayer("pause")}else x()}return f.find(".jp-play").on("click",$),f.find(".jp-pause").on("click",$),b.on("change",function(){w&&g.jPlayer("option","playbackRate",parseFloat(this.value))}),{destroy:function(){w&&g.length&&(g.jPlayer("destroy"),g.remove())}}}(a,this.$stage,o):"pdf"===s?d=function(o,n,a){if(void 0===e.pdfjsLib)return function(e,i){var o=y(e,T.activeInstance);if(!o||!m(o))return null;var n=t('<div class="cv-pdf-iframe-wrap"></div>'),a=t('<iframe class="cv-pdf-iframe" title="PDF"></iframe>');return a.attr("src",o),n.append(a),i.append(n),{}}(o,n);var s=y(o,a)||o.src;if(!s||!m(s))return null;var l=a.opts.pdf||{},r=!1!==l.annotations,c=!1!==l.autoFit,d="number"==typeof l.autoFitMinScale?l.autoFitMinScale:.75,p="number"==typeof l.autoFitMaxScale?l.autoFitMaxScale:2.5,f=!1!==l.textLayer,g="function"==typeof l.onPrint?l.onPrint:null,b=!1,w=t('<div class="cv-pdf-wrap"><div class="cv-pdf-sidebar" style="display:none"><div class="cv-pdf-thumbs"></div></div><div class="cv-pdf-main"><div class="cv-pdf-main-inner"><div class="cv-pdf-canvas-wrap"></div></div></div></div>'),_=w.find(".cv-pdf-sidebar"),x=w.find(".cv-pdf-thumbs"),$=w.find(".cv-pdf-main"),k=w.find(".cv-pdf-canvas-wrap"),C=null,S=1,P=0,I=1,j=0,M=!1,z=null,O=null,E=null,F=!1,B=!1,A=null,R=[50,75,100,125,150,175,200,225,250],N=null,H=!1,D=null;function V(){A&&A.length&&(c?A.val("autofit"):A.val(String(function(t){for(var e=Math.round(100*t),i=R[0],o=Math.abs(e-i),n=1;n<R.length;n++){var a=Math.abs(e-R[n]);a<o&&(o=a,i=R[n])}return i}(I))))}function Y(){E=null,F&&(F=!1,Z(function(){V(),Y()}))}function X(){clearTimeout(E),E=setTimeout(function(){M?F=!0:Z(function(){V(),Y()})},100)}function U(t){var e;c=!1,e=t,I=Math.max(.25,Math.min(5,e)),V(),X()}function W(){if(c&&C){var t=nt();C.getPage(1).then(function(e){var i,o=e.getViewport({scale:1,rotation:j});t.w>0&&t.h>0&&(i=b?Math.min((t.w-12)/(2*o.width),t.h/o.height):Math.min(t.w/o.width,t.h/o.height),I=Math.max(d,Math.min(i,p))),Z(),V()})}}function q(){if(C&&!(P<1)){var t=$[0];if(t){for(var e=t.getBoundingClientRect(),i=k.find(".cv-pdf-page"),o=1,n=0,a=0;a<i.length;a++){var s=i[a],l=parseInt(s.getAttribute("data-page"));if(l){var r=s.getBoundingClientRect(),c=Math.max(e.top,r.top),d=Math.min(e.bottom,r.bottom),p=Math.max(0,d-c);p>n&&(n=p,o=l)}}S!==o&&(S=o,et(),x.find(".cv-pdf-thumb").removeClass("cv-active"),x.find('[data-page="'+S+'"]').addClass("cv-active"))}}}function G(e,o,n){C.getPage(o).then(function(a){var s=a.getViewport({scale:I,rotation:j}),l=t('<div class="cv-pdf-page"></div>');l.attr("data-page",o),l.css({position:"relative",width:s.width+"px",height:s.height+"px"});var c=i.createElement("canvas");c.width=s.width,c.height=s.height,c.className="cv-pdf-canvas",l.append(c),e.append(l);var d=a.render({canvasContext:c.getContext("2d"),viewport:s});(d.promise||d).then(function(){r&&function(e,i,o){e.getAnnotations().then(function(e){if(e&&e.length){var n=i.convertToViewportRectangle||i.convertToViewport;if(n){var a=void 0!==pdfjsLib.Util&&"function"==typeof pdfjsLib.Util.normalizeRect?pdfjsLib.Util.normalizeRect:K,s=t('<div class="cv-pdf-annotations"></div>');s.css({position:"absolute",top:0,left:0,width:"100%",height:"100%"});for(var l=0;l<e.length;l++){var r=e[l];if(r.rect){var c=a(n.call(i,r.rect)),d=t('<div class="cv-pdf-annot"></div>');if(d.css({position:"absolute",left:c[0]+"px",top:c[1]+"px",width:c[2]-c[0]+"px",height:c[3]-c[1]+"px"}),"Link"===r.subtype&&r.url&&m(r.url)){var p=t('<a class="cv-pdf-annot-link"></a>');p.attr({href:r.url,target:"_blank"}),p.css({display:"block",width:"100%",height:"100%"}),d.append(p)}else"Link"===r.subtype&&r.dest&&function(t,e,i){e.css("cursor","pointer"),e.on("click",function(){"number"==typeof t?it(t+1):Array.isArray(t)&&i.getPageIndex(t[0]).then(function(t){it(t+1)})})}(r.dest,d,C);"Highlight"===r.subtype&&d.addClass("cv-pdf-annot-highlight"),s.append(d)}}o.append(s)}}})}(a,s,l),f&&B&&"function"==typeof a.getTextContent&&a.getTextContent().then(function(t){Q(t,s,l)}),n&&n()})})}function Z(e){if(!M&&C)if(M=!0,k.empty(),b){var i=0,o=Math.ceil(P/2),n=function(){if(++i>o)return M=!1,et(),$.off("scroll.cv-pdf-page").on("scroll.cv-pdf-page",function(){clearTimeout(O),O=setTimeout(q,80)}),q(),void(e&&e());var a=2*(i-1)+1;!function(e,i,o){var n=t('<div class="cv-pdf-spread"></div>');k.append(n);var a=i?2:1;function s(){0===--a&&o&&o()}G(n,e,s),i&&G(n,i,s)}(a,a+1<=P?a+1:null,n)};n()}else{var a=0,s=function(){if(++a>P)return M=!1,et(),$.off("scroll.cv-pdf-page").on("scroll.cv-pdf-page",function(){clearTimeout(O),O=setTimeout(q,80)}),q(),void(e&&e());!function(t,e){G(k,t,e)}(a,s)};s()}}function K(t){if(!t||t.length<4)return[0,0,0,0];var e=t[0],i=t[1],o=t[2],n=t[3];return[Math.min(e,o),Math.min(i,n),Math.max(e,o),Math.max(i,n)]}function J(t,e){return!t||t.length<6||!e||e.length<6?e||t:[t[0]*e[0]+t[2]*e[1],t[1]*e[0]+t[3]*e[1],t[0]*e[2]+t[2]*e[3],t[1]*e[2]+t[3]*e[3],t[0]*e[4]+t[2]*e[5]+t[4],t[1]*e[4]+t[3]*e[5]+t[5]]}function Q(e,o,n){if(e&&e.items&&o){var a="undefined"!=typeof pdfjsLib&&pdfjsLib.Util&&"function"==typeof pdfjsLib.Util.transform?pdfjsLib.Util:null,s=o.transform;(!s||s.length<6)&&(s=[1,0,0,1,0,0]);var l=t('<div class="cv-pdf-text-layer"></div>');l.css({position:"absolute",left:0,top:0,width:o.width+"px",height:o.height+"px",overflow:"hidden",pointerEvents:"auto",userSelect:"text",WebkitUserSelect:"text"});for(var r=e.items,c=0;c<r.length;c++){var d=r[c],p=d&&null!==d.str&&void 0!==d.str?String(d.str):"",h=d&&null!==d.transform&&void 0!==d.transform&&d.transform.length>=6?d.transform:[1,0,0,1,0,0],u=a?a.transform(s,h):J(s,h),v=u[4],m=Math.sqrt(u[2]*u[2]+u[3]*u[3])||12,f=u[5]-m,g=i.createElement("span");g.className="cv-pdf-text-span",g.style.cssText="position:absolute;left:"+v+"px;top:"+f+"px;font-size:"+m+"px;line-height:1.15;white-space:pre;pointer-events:auto;",g.textContent=p,l[0].appendChild(g)}var b=n.find(".cv-pdf-annotations");b.length?b.before(l):n.append(l)}}function tt(e){C.getPage(e).then(function(o){var n=o.getViewport({scale:.25}),a=i.createElement("canvas");a.width=n.width,a.height=n.height;var s=t('<div class="cv-pdf-thumb'+(1===e?" cv-active":"")+'" data-page="'+e+'"></div>');s.append(a).append('<span class="cv-pdf-thumb-num">'+e+"</span>"),s.on("click",function(){it(e)}),x.append(s),o.render({canvasContext:a.getContext("2d"),viewport:n})})}function et(){if(N&&!H){var t=N.find(".cv-pdf-page-current"),e=N.find(".cv-pdf-page-total");t.length&&t.text(S),e.length&&e.text(P||"-")}}function it(t){if(!(P<1)){t=Math.max(1,Math.min(P,t)),S=t,et(),x.find(".cv-pdf-thumb").removeClass("cv-active"),x.find('[data-page="'+S+'"]').addClass("cv-active");var e=k.find('.cv-pdf-page[data-page="'+t+'"]');e.length&&e[0].scrollIntoView({behavior:"smooth",block:"start"})}}T.$loader.addClass("cv-active"),l.workerSrc&&(pdfjsLib.GlobalWorkerOptions.workerSrc=l.workerSrc);var ot={url:s,withCredentials:!0};function nt(){var t=T.$stageWrap;return{w:(t&&t.length?t.width():0)||n.width()||600,h:(t&&t.length?t.height():0)||n.height()||800}}l.cMapUrl&&(ot.cMapUrl=l.cMapUrl,ot.cMapPacked=!1!==l.cMapPacked);var at="object"==typeof ot&&ot.url?pdfjsLib.getDocument(ot):pdfjsLib.getDocument(s);(at.promise||at).then(function(i){function o(){var o=nt(),n=o.w,a=o.h;i.getPage(1).then(function(i){var o=i.getViewport({scale:1});if(c&&n>0&&a>0){var s=b?Math.min((n-12)/(2*o.width),a/o.height):Math.min(n/o.width,a/o.height);I=Math.max(d,Math.min(s,p))}else I=!c&&n>0?Math.max(.25,Math.min(b?(n-12)/(2*o.width):n/o.width,p)):Math.min(1,p);V(),Z(function(){for(var t=1;t<=P;t++)tt(t)}),c&&t(e).on("resize.cv-pdf-autofit",function(){clearTimeout(z),z=setTimeout(W,150)})})}var n,a,s;C=i,P=i.numPages,T.$loader.removeClass("cv-active"),f&&P>0&&(n=function(t){if(t&&D&&T.$toolbar&&T.$toolbar.length){var e=T.$toolbar.find(".cv-tb-pdf-print");e.length?e.after(D):T.$toolbar.append(D)}},a=Math.min(3,Math.max(1,P)),s=0,function t(){s>=a?n(!1):i.getPage(s+1).then(function(e){if("function"!=typeof e.getTextContent)return s++,void t();var i=e.getTextContent();(i&&i.then?i:Promise.resolve(i)).then(function(e){e&&e.items&&e.items.length>0?n(!0):(s++,t())}).catch(function(){s++,t()})}).catch(function(){s++,t()})}()),requestAnimationFrame(function(){requestAnimationFrame(o)})},function(){T.$loader.removeClass("cv-active"),w&&w.length&&w.remove(),L(n,"pdf","PDF could not be loaded",o)}),n.append(w);var st=a&&!1!==a.opts.canShowTooltip?function(t){return' data-cv-tooltip="'+v(h(0,t))+'"'}:function(){return""},lt=a&&a.opts.wcag?function(t){return' aria-label="'+v(h(0,t))+'"'}:function(){return""},rt=[],ct=t('<button class="cv-tb-btn"'+st("thumbnails")+lt("thumbnails")+">"+u.thumbnails+"</button>");ct.on("click",function(){_.toggle(),ct.toggleClass("cv-active")}),rt.push(ct[0]);var dt=t('<button class="cv-tb-btn"'+st("previousPage")+lt("previousPage")+">"+u.prevPage+"</button>");dt.on("click",function(){it(S-1)}),rt.push(dt[0]),(N=t('<span class="cv-pdf-page-info"><span class="cv-pdf-page-current">1</span> / <span class="cv-pdf-page-total">-</span></span>')).on("click",function(){if(!H){H=!0;var e=String(S||1),i=t('<input class="cv-pdf-page-input" type="text" inputmode="numeric" autocomplete="off" spellcheck="false" />');i.val(e),N.find(".cv-pdf-page-current").replaceWith(i),i[0].focus(),i.on("keydown",function(t){"Enter"===t.key?(t.preventDefault(),n()):"Escape"===t.key&&(t.preventDefault(),o())}),i.on("blur",function(){n()})}function o(){var e=t('<span class="cv-pdf-page-current"></span>').text(S);i.replaceWith(e),N.find(".cv-pdf-page-total").text(P||"-"),H=!1}function n(){var t=String(i.val()||"").trim(),e=parseInt(t);isNaN(e)?o():(e=Math.max(1,Math.min(P||1,e)),o(),P&&it(e))}}),rt.push(N[0]);var pt=t('<button class="cv-tb-btn"'+st("nextPage")+lt("nextPage")+">"+u.nextPage+"</button>");pt.on("click",function(){it(S+1)}),rt.push(pt[0]),rt.push("separator");var ht=t('<button class="cv-tb-btn cv-tb-pdf-zoom-out"'+st("zoomOut")+lt("zoomOut")+">"+u.zoomOut+"</button>");ht.on("click",function(){U(I-.25)}),rt.push(ht[0]),(A=t('<select class="cv-pdf-zoom-select"'+lt("zoom")+"></select>")).append('<option value="autofit">Auto Fit</option>');for(var ut=0;ut<R.length;ut++){var vt=R[ut];A.append('<option value="'+vt+'">'+vt+"%</option>")}A.on("change",function(){var e=String(t(this).val()||"");if("autofit"===e)return c=!0,W(),void V();var i=parseInt(e);!isNaN(i)&&i>0&&U(i/100)}),V(),rt.push(A[0]);var mt=t('<button class="cv-tb-btn cv-tb-pdf-zoom-in"'+st("zoomIn")+lt("zoomIn")+">"+u.zoomIn+"</button>");mt.on("click",function(){U(I+.25)}),rt.push(mt[0]);var ft=t('<button class="cv-tb-btn"'+st("rotate")+lt("rotate")+">"+u.rotateCw+"</button>");if(ft.on("click",function(){j=(j+90)%360,Z()}),rt.push(ft[0]),!0===l.twoPageView){var gt=t('<button class="cv-tb-btn cv-tb-pdf-twopage"'+st("twoPageView")+lt("twoPageView")+">"+u.twoPageView+"</button>"),bt=function(){gt.toggleClass("cv-active",b);var t=h(0,b?"singlePageView":"twoPageView");gt.attr("data-cv-tooltip",t),a.opts.wcag&&gt.attr("aria-label",t)};gt.on("click",function(){b=!b,bt(),c=!0,W()}),bt(),rt.push(gt[0])}function yt(){var t=k.find('.cv-pdf-page[data-page="'+S+'"]'),i=t.length?t.find("canvas")[0]:k.find("canvas")[0];if(i){var o=e.open(""),n=i.toDataURL().replace(/"/g,"&quot;");o.document.write('<img src="'+n+'" onload="window.print();window.close();" />')}}var wt=t('<button class="cv-tb-btn cv-tb-pdf-print"'+st("print")+lt("print")+">"+u.print+"</button>");return wt.on("click",function(){g?g({item:o,pdfDoc:C,pageNum:S,totalPages:P,$canvasWrap:k,defaultPrint:yt}):yt()}),rt.push(wt[0]),f&&!0===l.extractText&&(D=t('<button class="cv-tb-btn cv-tb-pdf-extract"'+st("extractText")+lt("extractText")+">"+u.extractText+"</button>")).on("click",function(){(B=!B)?C&&"function"==typeof C.getPage&&k.find(".cv-pdf-page").each(function(){var e=t(this),i=parseInt(e.attr("data-page"));i&&C.getPage(i).then(function(t){var i=t.getViewport({scale:I,rotation:j});"function"==typeof t.getTextContent&&t.getTextContent().then(function(t){Q(t,i,e)})})}):k.find(".cv-pdf-text-layer").remove(),t(this).toggleClass("cv-active",B)}),{toolbar:rt,destroy:function(){clearTimeout(z),clearTimeout(O),clearTimeout(E),t(e).off("resize.cv-pdf-autofit"),$.off("scroll.cv-pdf-page"),C&&C.destroy()}}}(a,this.$stage,o):"inline"===s?d=function(e,i,o){if(!l(e.content)&&"string"==typeof e.content)return n=e.content,a=O(n,e,o),s=t('<div class="cv-inline-wrap"><div class="cv-inline-body">'+a+"</div></div>"),i.append(s),{inlineContent:e.content};var n,a,s,r=y(e,o)||e.src;if(r&&m(r)){var c=t('<div class="cv-inline-wrap"><div class="cv-inline-loading"><div class="cv-inline-spinner"></div></div></div>');return i.append(c),fetch(r,{method:"GET",credentials:"include"}).then(function(t){return t.text()}).then(function(i){o&&(o._inlineContent=i),c.find(".cv-inline-loading").replaceWith(t('<div class="cv-inline-body">').html(O(i,e,o)))}).catch(function(){c.remove(),L(i,"inline","Could not load file for inline view",e)}),{}}return L(i,"inline","No content or invalid URL for inline view",e),null}(a,this.$stage,o):"markdown"===s?d=function(i,o,n){function a(){return"function"==typeof e.marked||e.marked&&"function"==typeof e.marked.parse?function(t){return e.marked.parse?e.marked.parse(t):e.marked(t)}:M}if(!l(i.content)&&"string"==typeof i.content){var s=a(),r=i.content,c=s(r);return n&&(n._markdownRaw=r,n._markdownHtml=c,n._markdownViewMode="rendered"),function(e){var i=t('<div class="cv-markdown-body"></div>').html(e);o.append(i)}(c),{}}var d=y(i,n)||i.src;if(d&&m(d)){var p=d;if(0!==p.indexOf("http")&&0!==p.indexOf("blob")&&0!==p.indexOf("data:"))try{p=new URL(p,e.location.href).href}catch(t){}n&&(n._markdownViewMode="rendered",n._markdownRaw=null,n._markdownHtml=null),T.$loader.addClass("cv-active");var h=t('<div class="cv-markdown-body"><div class="cv-inline-loading"><div class="cv-inline-spinner"></div></div></div>');return o.append(h),fetch(p,{method:"GET",credentials:"include"}).then(function(t){if(!t.ok)throw new Error("HTTP "+t.status);return t.text()}).then(function(t){var e=a()(t);n&&(n._markdownRaw=t,n._markdownHtml=e),h.html(e),T.$loader.removeClass("cv-active")}).catch(function(){h.remove(),T.$loader.removeClass("cv-active"),L(o,"markdown","Could not load file for markdown view",i)}),{}}return L(o,"markdown","No content or invalid URL for markdown view",i),null}(a,this.$stage,o):"error"===s?d=function(t,e){return E(t,function(t){var e;return null!=(e=l(t.message)||""===t.message?l(t.errorMessage)||""===t.errorMessage?null:t.errorMessage:t.message)?String(e):"Preview is not available for this file"}(t),e),{}}(a,this.$stage):"html"===s&&(d=function(e,i){var o=T.activeInstance,n=y(e,o)||e.src,a=e.html;if(n&&m(n)){var s=l(e.title)||""===String(e.title).trim()?"":String(e.title).trim().replace(/"/g,"&quot;"),r=t('<div class="cv-html-iframe-wrap cv-html-iframe-loading"></div>'),c=t('<div class="cv-html-iframe-loader" aria-hidden="true"><div class="cv-spinner" role="presentation"></div></div>'),d=t('<iframe class="cv-html-iframe cv-stage-iframe"></iframe>');s&&d.attr("title",s),o&&o.opts&&o.opts.wcag&&d.attr("aria-busy","true");var p=!1,h=null,u=function(){p||(p=!0,null!==h&&(clearTimeout(h),h=null),d.off(".cvHtmlSrc"),setTimeout(function(){c&&c.length&&c.remove(),r.removeClass("cv-html-iframe-loading")},500),o&&o.opts&&o.opts.wcag&&d.removeAttr("aria-busy"))};return d.on("load.cvHtmlSrc",u),d.on("error.cvHtmlSrc",u),r.append(c),r.append(d),i.append(r),d.attr("src",n),h=setTimeout(u,12e4),{destroy:function(){null!==h&&(clearTimeout(h),h=null),d.off(".cvHtmlSrc"),p||u()}}}if(l(a)||"string"==typeof a&&""===String(a).trim())return L(i,"html","No HTML or src provided for html view",e),null;if(T.$loader.addClass("cv-active"),"string"==typeof a)i.append(t(a));else if(a.jquery)i.append(a);else{if(!a.nodeType)return T.$loader.removeClass("cv-active"),L(i,"html","No HTML provided for html view",e),null;i.append(a)}return setTimeout(function(){T.$loader.removeClass("cv-active")},120),{}}(a,this.$stage))),0===this.$stage.children().length&&function(t,e){E(t,"Preview is not available for this file",e)}(a,this.$stage);var p=this.$el.find(".cv-body");this._isPdfItem?(p.addClass("cv-body-pdf"),this.$stageWrap.addClass("cv-stage-wrap-pdf"),this.$stage.addClass("cv-stage-pdf")):(p.removeClass("cv-body-pdf"),this.$stageWrap.removeClass("cv-stage-wrap-pdf"),this.$stage.removeClass("cv-stage-pdf")),"image"===s||"inline"===s||"markdown"===s?this.$shell.addClass("cv-stage-light-bg"):this.$shell.removeClass("cv-stage-light-bg");var f=this._normalizeComments(a);Boolean(o.opts.showAttachmentComment)&&f.length>0?(this._commentList=f,this._commentIndex=0,this._renderCommentAt(o,f,0),f.length>1?(this.$commentNav.show(),o.opts.wcag&&(this.$commentPrev.attr("aria-label",h(0,"commentPrev")),this.$commentNext.attr("aria-label",h(0,"commentNext")))):this.$commentNav.hide(),void 0===this._commentPanelVisible&&(this._commentPanelVisible=!0),this.$commentWrap.toggle(this._commentPanelVisible).attr("aria-hidden",!this._commentPanelVisible),this.$commentToggle.show().attr("aria-expanded",this._commentPanelVisible).toggleClass("cv-active",this._commentPanelVisible),!1!==o.opts.canShowTooltip&&this.$commentToggle.attr("data-cv-tooltip",h(0,"toggleComment")),o.opts.wcag&&this.$commentToggle.attr("aria-label",h(0,"toggleComment"))):(this._commentList=null,this.$commentTitle.empty(),this.$commentAuthor.empty(),this.$commentInner.empty(),this.$commentNav.hide(),this.$commentWrap.hide().attr("aria-hidden","true"),this.$commentToggle.hide().removeClass("cv-active")),o._currentResult=d||{},"inline"===s&&d&&null!==d.inlineContent&&void 0!==d.inlineContent&&(o._inlineContent=d.inlineContent),this._resolveToolbar(o,d||{}),this._updatePollOption(o,a),!this.$pollOption.hasClass("cv-active")||d&&d.imageError||this.$footer.show(),this._updateNavButtons(o),this._preloadAdjacentImages(o),this._updateCarouselSelection(o),"function"==typeof o.opts.onOpen&&o.opts.onOpen(a,this.$stage,o),n||"function"!=typeof o.opts.onComplete||o.opts.onComplete(a,o),o._slideshowTimer&&(clearTimeout(o._slideshowTimer),o._slideshowTimer=null);var w=o.opts.slideshow;if(w&&w.enabled&&o.items.length>1&&!o._slideshowPaused&&(!1!==w.autoStart||o._slideshowPlaying)){var x=1e3*(!l(w.interval)&&w.interval>0?w.interval:4),$="onEnd"===w.advanceMedia?"onEnd":"interval";if(o._slideshowPlaying=!0,"onEnd"===$){var C=this.$stage.find("video, audio");C.length?(C.one("ended",function(){o._slideshowTimer&&(clearTimeout(o._slideshowTimer),o._slideshowTimer=null),T.activeInstance===o&&o.next({transition:!0})}),o._slideshowTimer=setTimeout(function(){T.activeInstance===o&&o.next({transition:!0})},x)):o._slideshowTimer=setTimeout(function(){T.activeInstance===o&&o.next({transition:!0})},x)}else o._slideshowTimer=setTimeout(function(){T.activeInstance===o&&o.next({transition:!0})},x);w.showProgress&&this._startSlideshowProgress(x);var S=this.$toolbar.find(".cv-slideshow-btn");S.length&&(S.find(".cv-tb-label").text(h(0,"pauseSlideshow")),!1!==o.opts.canShowTooltip&&S.attr("data-cv-tooltip",h(0,"pauseSlideshow")))}else this._stopSlideshowProgress();if(n&&this.$stage.children().length>0){var P=this;this.$stage.addClass("cv-stage-in"),requestAnimationFrame(function(){requestAnimationFrame(function(){P.$stage.addClass("cv-stage-in-visible"),setTimeout(function(){P.$stage.removeClass("cv-stage-in cv-stage-in-visible"),"function"==typeof o.opts.onComplete&&o.opts.onComplete(a,o)},320)})})}}},_destroyCurrent:function(t){t._currentResult&&"function"==typeof t._currentResult.destroy&&t._currentResult.destroy(),t._currentResult=null},_startSlideshowProgress:function(t){if(this.$slideshowProgressWrap&&this.$slideshowProgressBar.length){this.$slideshowProgressBar.css({transition:"none",width:"0%"}),this.$slideshowProgressWrap.show();var e=this.$slideshowProgressBar[0];e&&e.getBoundingClientRect(),this.$slideshowProgressBar.css({transition:"width "+t+"ms linear",width:"100%"})}},_stopSlideshowProgress:function(){this.$slideshowProgressWrap&&this.$slideshowProgressBar.length&&(this.$slideshowProgressWrap.hide(),this.$slideshowProgressBar.css({transition:"none",width:"0%"}))},_slideshowButtonItem:function(t){var e=this,i=t.opts.slideshow;if(!i||!i.enabled||!t.items||t.items.length<2)return null;if(!0===i.autoStart&&!0===i.hideSlideshowButton)return null;var o=!t._slideshowPaused&&(!1!==i.autoStart||t._slideshowPlaying),n=1e3*(!l(i.interval)&&i.interval>0?i.interval:4);return{id:"slideshow",className:"cv-slideshow-btn",showLabel:!0,label:h(0,o?"pauseSlideshow":"playSlideshow"),onClick:function(){var o=!t._slideshowPaused&&(!1!==i.autoStart||t._slideshowPlaying),a=e.$toolbar.find(".cv-slideshow-btn");o?(t._slideshowPaused=!0,t._slideshowTimer&&(clearTimeout(t._slideshowTimer),t._slideshowTimer=null),e._stopSlideshowProgress(),a.find(".cv-tb-label").text(h(0,"playSlideshow")),!1!==t.opts.canShowTooltip&&a.attr("data-cv-tooltip",h(0,"playSlideshow"))):(t._slideshowPaused=!1,t._slideshowPlaying=!0,t._slideshowTimer=setTimeout(function(){T.activeInstance===t&&t.next({transition:!0})},n),i.showProgress&&e._startSlideshowProgress(n),a.find(".cv-tb-label").text(h(0,"pauseSlideshow")),!1!==t.opts.canShowTooltip&&a.attr("data-cv-tooltip",h(0,"pauseSlideshow")))}}},_resolveToolbar:function(e,o){if(this._isHtmlItem){this.$zoomWidget.hide(),this.$zoomPct.hide();var n=this._slideshowButtonItem(e),a=e.items[e.idx],s=!1!==(e.opts.toolbar||{}).download&&g(a,e),r=n?[n]:[];this._buildToolbar(e,r,s);var c=this.$toolbar.children().length>0,d=e.opts.slideshow,p=Boolean(d&&d.enabled&&d.showProgress&&e.items&&e.items.length>1);c||p?this.$footer.show():this.$footer.hide()}else{if(o&&o.imageError)return this.$zoomWidget.hide(),this.$zoomPct.hide(),this._buildToolbar(e,[],!1),void this.$footer.hide();var m;if(this._stageOnlyEnabled(e)&&(m=this._slideshowButtonItem(e)))return this.$zoomWidget.hide(),this.$zoomPct.hide(),this._buildToolbar(e,[m],!1),void this.$footer.show();if(this._stageOnlyEnabled(e))return this.$zoomWidget.hide(),this.$zoomPct.hide(),this._buildToolbar(e,[],!1),void this.$footer.hide();var f,b=e.opts.toolbar||{},y=this._isImageItem&&!this._isCustomRendered&&!1!==b.zoom,w=e.opts.zoom||{},_=Boolean(w.showPercentage);if(this.$zoomWidget.toggle(y),this.$zoomPct.toggle(y&&_),this._isCustomRendered){var x=o.toolbar||[];this._buildToolbar(e,x,!1)}else{var $=o&&o.toolbar?o.toolbar:[],k=[];$.length&&(k=k.concat($));var C=e.opts.toolbarItems||[];C.length&&(k.length&&k.push("separator"),k=k.concat(C));var M=this._slideshowButtonItem(e);M&&(k.length>0&&k.unshift("separator"),k.unshift(M));var z=e.items[e.idx]&&e.items[e.idx].type||"",E=this;"inline"!==z&&"markdown"!==z||(k.length>0&&k.push("separator"),k.push({id:"copy",icon:u.copy,label:h(0,"copy"),showLabel:!1,className:"cv-tb-copy",onClick:function(){var t="inline"===z?e._inlineContent:e._markdownRaw;l(t)||function(t,e){function o(){e&&T.$stripMessage&&T.$stripMessage.length&&T._showStripMessage(h(0,"copiedToClipboard"))}if(navigator.clipboard&&"function"==typeof navigator.clipboard.writeText)navigator.clipboard.writeText(t).then(o).catch(function(){var e=i.createElement("textarea");e.value=t,e.style.position="fixed",e.style.left="-9999px",i.body.appendChild(e),e.select();try{i.execCommand("copy")&&o()}catch(t){}i.body.removeChild(e)});else{var n=i.createElement("textarea");n.value=t,n.style.position="fixed",n.style.left="-9999px",i.body.appendChild(n),n.select();try{i.execCommand("copy")&&o()}catch(t){}i.body.removeChild(n)}}(t,e)}}));var L=e.opts.markdown;if("markdown"===z&&L&&L.toggleRawView&&(l(e._markdownViewMode)&&(e._markdownViewMode="rendered"),k.length>0&&k.push("separator"),k.push({id:"markdown-toggle",icon:u.extractText,label:"rendered"===e._markdownViewMode?h(0,"viewSource"):h(0,"viewMarkdown"),showLabel:!1,className:"cv-tb-markdown-toggle",onClick:function(){"rendered"===e._markdownViewMode?l(e._markdownRaw)||(E.$stage.empty().append(t('<div class="cv-inline-wrap"><div class="cv-inline-body">'+O(e._markdownRaw,e.items&&e.items[e.idx]?e.items[e.idx]:{},e)+"</div></div>")),e._markdownViewMode="raw"):l(e._markdownHtml)||(E.$stage.empty().append(t('<div class="cv-markdown-body"></div>').html(e._markdownHtml)),e._markdownViewMode="rendered");var i=E.$toolbar.find(".cv-tb-markdown-toggle");if(i.length&&!1!==e.opts.canShowTooltip){var o="rendered"===e._markdownViewMode?h(0,"viewSource"):h(0,"viewMarkdown");i.attr("data-cv-tooltip",o)}}})),"image"===z||!z&&this._isImageItem){var F=e.opts.canShowExtractText,B=e.opts.extractText;!0===b.extractText&&"function"==typeof F&&"function"==typeof B&&F(e.items[e.idx],e)&&(k.length>0&&k.push("separator"),k.push({id:"extract-text",icon:u.extractText,label:h(0,"extractText"),showLabel:!1,className:"cv-tb-extract-text",onClick:(f=B,function(e,i){var o=E.$stage.find(".cv-extract-overlay");if(o.length)return o.remove(),void E.$toolbar.find(".cv-tb-extract-text").removeClass("cv-active");E.$loader.addClass("cv-active"),f(e,i,function(e){E.$loader.removeClass("cv-active"),e&&e.data&&(j(E.$stage),requestAnimationFrame(function(){requestAnimationFrame(function(){var i=E.$stage.find(".cv-image"),o=function(e,i){var o=i&&i.data||{},n=o.lines||i&&i.lines;if(!n||!n.length)return null;var a=e[0];if(!a)return null;var s=I(a);if(!s)return null;for(var l=function(t,e,i,o,n){var a=S(t.imageWidth||t.sourceWidth||t.width||t.pageWidth||t.ocrWidth||e&&(e.imageWidth||e.sourceWidth||e.width)),s=S(t.imageHeight||t.sourceHeight||t.height||t.pageHeight||t.ocrHeight||e&&(e.imageHeight||e.sourceHeight||e.height));a||(a=o),s||(s=n);var l=function(t){for(var e=0,i=0,o=0,n=t.length;o<n;o++){var a=t[o];if(a&&a.length)for(var s=0,l=a.length;s<l;s++)for(var r=a[s]&&a[s].box||[],c=0;c<r.length;c++){var d=r[c];if(d&&!(d.length<2)){var p=Number(d[0]),h=Number(d[1]);isNaN(p)||(e=Math.max(e,p)),isNaN(h)||(i=Math.max(i,h))}}}return{maxX:e,maxY:i}}(i);return l.maxX>o+.5&&(a=Math.max(a,l.maxX)),l.maxY>n+.5&&(s=Math.max(s,l.maxY)),{refW:a,refH:s}}(o,i,n,s.nw,s.nh),r=s.fitScale*(s.nw/l.refW),c=s.fitScale*(s.nh/l.refH),d="",p=0,h=n.length;p<h;p++){var u=n[p];if(u&&u.length)for(var m=0,f=u.length;m<f;m++){var g=u[m],b=P(g&&g.box||[]);if(b){var y=Math.round(s.offsetX+b.x*r),w=Math.round(s.offsetY+(b.y-2)*c),_=Math.round(b.w*r),x=b.h,$=m===f-1?"<br>":"";d+='<span class="cv-extract-word" style="left:'+y+"px;top:"+w+"px;width:"+_+"px;height:"+Math.round((x+5)*c)+"px;font-size:"+Math.max(8,Math.floor((x-5)*c))+'px">'+v(g&&g.word||"")+" "+$+"</span>"}}}if(!d)return null;var k=t('<div class="cv-extract-overlay"><div class="cv-extract-layer">'+d+"</div></div>");return k.find(".cv-extract-layer").css({width:s.cw,height:s.ch}),k}(i,e);if(o){var n=i.closest(".cv-img-wrap");if(n.length){var a=i[0],s=a?I(a):null;s&&o.css({width:s.cw,height:s.ch,transformOrigin:"50% 50%",transform:"translate(-50%, -50%) translate("+(E._panX||0)+"px,"+(E._panY||0)+"px) scale("+(E._zoom||1)+")"}),n.append(o),E.$toolbar.find(".cv-tb-extract-text").addClass("cv-active")}}})}))},function(t){E.$loader.removeClass("cv-active"),E._showStripMessage(t||"")})})}))}if("function"==typeof e.opts.onToolbar){var A=e.opts.onToolbar(e.items[e.idx],k.slice(),e);t.isArray(A)&&(k=A)}var R=e.items[e.idx],N=!1!==b.download&&g(R,e);this._buildToolbar(e,k,N)}var H=this.$toolbar.children().length>0||y;this.$footer.toggle(H)}},_updatePollOption:function(e,i){var o=e.opts.pollOption;if(this.$pollOption.removeClass("cv-active").empty(),!this._isHtmlItem&&o&&o.enabled&&!l(i.pollOptionLabel)&&""!==String(i.pollOptionLabel).trim()){var n="checkbox"===o.mode?"checkbox":"radio",a=l(i.pollOptionId)?"idx-"+e.idx:String(i.pollOptionId);"radio"===n?void 0===e._pollSelectedValue&&(e._pollSelectedValue=null):e._pollSelectedSet||(e._pollSelectedSet=new Set),(!0===i.pollOptionSelected||"true"===i.pollOptionSelected||1===i.pollOptionSelected)&&("radio"===n?e._pollSelectedValue=a:e._pollSelectedSet.add(a));var s="radio"===n?e._pollSelectedValue===a:e._pollSelectedSet.has(a),r="cv-poll-"+e.id,c="cv-poll-input-"+e.id+"-"+a.replace(/[^a-z0-9-]/gi,"-"),d="radio"===n?'<input type="radio" name="'+v(r)+'" value="'+v(a)+'" id="'+v(c)+'"'+(s?" checked":"")+">":'<input type="checkbox" id="'+v(c)+'" value="'+v(a)+'"'+(s?" checked":"")+">",p=h(0,"pollUpdated"),u=t('<div class="cv-poll-option-inner"><label class="cv-poll-option-label-wrap">'+d+'<span class="cv-poll-option-label">'+v(String(i.pollOptionLabel))+'</span></label><span class="cv-poll-option-updated cv-hidden" aria-live="polite">'+v(p)+"</span></div>");this.$pollOption.append(u).addClass("cv-active");var m=u.find(".cv-poll-option-updated");u.find("input").on("change",function(){var t=this.checked;"radio"===n?e._pollSelectedValue=t?a:null:t?e._pollSelectedSet.add(a):e._pollSelectedSet.delete(a),"function"==typeof o.onSelect&&o.onSelect(i,t,e,i.$el?i.$el[0]:null),m.removeClass("cv-hidden"),clearTimeout(e._pollUpdatedTimer),e._pollUpdatedTimer=setTimeout(function(){m.addClass("cv-hidden")},3e3)})}},_buildToolbar:function(e,i,o){var n=this.$toolbar;if(n.empty(),this._resolvedToolbarItems=i||[],this._renderToolbarItems(n,i,e),o){n.children().length>0&&n.append('<span class="cv-tb-sep"></span>');var a=!1!==e.opts.canShowTooltip?' data-cv-tooltip="'+v(h(0,"download"))+'"':"",s=t('<button class="cv-tb-btn cv-tb-download" type="button"'+a+">"+u.download+"</button>");s.on("click",function(t){t.preventDefault(),w(e.items[e.idx],e)}),n.append(s)}},_isToolbarBtnVisible:function(t){var e=this.$toolbar.find(t);return e.length&&e.is(":visible")},_clearToolbarToggleActiveStates:function(){this.$toolbar&&this.$toolbar.length&&this.$toolbar.find(".cv-tb-extract-text, .cv-tb-pdf-extract, .cv-tb-pdf-twopage").removeClass("cv-active"),this.$carouselToggle&&this.$carouselToggle.length&&this.$carouselToggle.removeClass("cv-active"),this.$commentToggle&&this.$commentToggle.length&&this.$commentToggle.removeClass("cv-active")},_getShortcutsList:function(e){var i=[];if(!e||!e.opts.keyboardNav)return i;var o=e.opts,n=e.items[e.idx],a=o.toolbar||{};if(i.push({key:"Escape",label:h(0,"close")}),e.items.length>1&&(i.push({key:"ArrowLeft",label:h(0,"previousItem")}),i.push({key:"ArrowRight",label:h(0,"nextItem")})),this._isImageItem&&!this._isCustomRendered&&!1!==a.zoom&&(i.push({key:"+",label:h(0,"zoomIn")}),i.push({key:"-",label:h(0,"zoomOut")})),this._isPdfItem&&this.$toolbar.find(".cv-tb-pdf-zoom-in").length&&(i.push({key:"+",label:h(0,"zoomIn")}),i.push({key:"-",label:h(0,"zoomOut")})),this._isToolbarBtnVisible(".cv-tb-pdf-print")&&i.push({key:"p",label:h(0,"print")}),!this._isCustomRendered&&this.$stage.find(".jp-play, .jp-pause, .jp-mute, .jp-unmute, .cv-native-video, .cv-native-audio").length>0&&(i.push({key:" ",label:h(0,"playPause")}),i.push({key:"m",label:h(0,"muteUnmute")}),i.push({key:"r",label:h(0,"cyclePlaybackSpeed")})),this.$stage.find(".cv-jp-hd").length&&i.push({key:"q",label:h(0,"toggleHd")}),this._isToolbarBtnVisible(".cv-tb-download")&&i.push({key:"d",label:h(0,"download")}),!1!==o.fullscreen&&this.$fullscreenToggle.length&&this.$fullscreenToggle.is(":visible")){var s=_();i.push({key:"f",label:s===this.$el[0]?h(0,"exitFullscreen"):h(0,"fullscreen")})}!1!==o.themeToggle&&this.$themeToggle.length&&this.$themeToggle.is(":visible")&&i.push({key:"t",label:h(0,"toggleTheme")}),o.carousel&&o.carousel.enabled&&this.$carouselToggle.length&&this.$carouselToggle.is(":visible")&&i.push({key:"c",label:h(0,"attachments")}),o.slideshow&&o.slideshow.enabled&&e.items.length>1&&this.$toolbar.find(".cv-slideshow-btn").length&&i.push({key:"s",label:h(0,"toggleSlideshow")});for(var l=this._resolvedToolbarItems||[],r=0;r<l.length;r++){var c=l[r];if(!("separator"===c||"-"===c||c instanceof HTMLElement||c instanceof t)&&c.shortcutKey){var d=!0;if("function"==typeof c.visible?d=c.visible(n,e):!1===c.visible&&(d=!1),d){var p=String(c.shortcutKey).toLowerCase().charAt(0);p&&!x[p]&&i.push({key:p,label:c.label||(c.id?String(c.id):p)})}}}return!1!==o.shortcutsPopup&&i.push({key:"?",label:h(0,"showShortcuts")}),i},_showMediaStateFeedback:function(e){var i=this.$stage.find(".cv-video-wrap").first();if(i.length){i.find(".cv-jp-state-feedback").remove();var o="";if("play"===e)o='<svg width="24" height="24" viewBox="0 0 24 24" fill="currentColor"><polygon points="5 3 19 12 5 21"/></svg>';else if("pause"===e)o='<svg width="24" height="24" viewBox="0 0 24 24" fill="currentColor"><rect x="6" y="4" width="4" height="16"/><rect x="14" y="4" width="4" height="16"/></svg>';else if("mute"===e)o='<svg width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><polygon points="11 5 6 9 2 9 2 15 6 15 11 19 11 5"/><line x1="23" y1="9" x2="17" y2="15"/><line x1="17" y1="9" x2="23" y2="15"/></svg>';else{if("unmute"!==e)return;o='<svg width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><polygon points="11 5 6 9 2 9 2 15 6 15 11 19 11 5"/><path d="M19.07 4.93a10 10 0 0 1 0 14.14"/><path d="M15.54 8.46a5 5 0 0 1 0 7.07"/></svg>'}var n=t('<div class="cv-jp-state-feedback">'+o+"</div>");i.append(n);var a=setTimeout(function(){n.addClass("cv-jp-state-feedback-out")},900);setTimeout(function(){clearTimeout(a),n.remove()},1300)}},_showStripMessage:function(t,e){if(this.$stripMessage&&this.$stripMessage.length){this._stripMessageTimer&&(clearTimeout(this._stripMessageTimer),this._stripMessageTimer=null);var i=null!=e&&e>0?e:2e3;this.$stripMessage.text(t).addClass("cv-strip-visible");var o=this;this._stripMessageTimer=setTimeout(function(){o.$stripMessage.removeClass("cv-strip-visible"),o._stripMessageTimer=null},i)}},_shortcutKeyDisplay:function(t){return" "===t?"Space":"Escape"===t?"Esc":"ArrowLeft"===t?"←":"ArrowRight"===t?"→":1===t.length?t.toUpperCase():t},_showShortcutsPopup:function(){var e=this,o=this.activeInstance;if(o){this._focusBeforeShortcutsPopup=i.activeElement;for(var n=this._getShortcutsList(o),a=h(0,"keyboardShortcuts"),s=Boolean(o.opts.wcag),l='<div class="cv-shortcuts-popup-inner"'+(s?' tabindex="-1"':"")+'><div class="cv-shortcuts-popup-title">'+v(a)+'</div><ul class="cv-shortcuts-list">',r=0;r<n.length;r++)l+="<li><kbd>"+v(this._shortcutKeyDisplay(n[r].key))+"</kbd> <span>"+v(n[r].label)+"</span></li>";if(l+="</ul>",s&&(l+='<button type="button" class="cv-shortcuts-popup-close" aria-label="'+v(h(0,"close"))+'">'+v(h(0,"close"))+"</button>"),l+="</div>",this.$shortcutsPopup.html(l).addClass("cv-open").attr("aria-hidden","false"),s){this.$shortcutsPopup.attr("aria-modal","true");var c=this.$shortcutsPopup.find(".cv-shortcuts-popup-close");c.length&&c.on("click",function(){e._hideShortcutsPopup()})}if(this.$shortcutsPopup.off("click.cv-shortcuts").on("click.cv-shortcuts",function(i){i.target!==e.$shortcutsPopup[0]&&0!==t(i.target).closest(".cv-shortcuts-popup-inner").length||e._hideShortcutsPopup()}),s){var d=this.$shortcutsPopup.find(".cv-shortcuts-popup-close");d.length?d[0].focus():this.$shortcutsPopup.find(".cv-shortcuts-popup-inner")[0].focus()}o._slideshowTimer&&(clearTimeout(o._slideshowTimer),o._slideshowTimer=null,o._slideshowHeldByShortcutsPopup=!0,this._stopSlideshowProgress())}},_hideShortcutsPopup:function(){var t=this._focusBeforeShortcutsPopup;if(this.$shortcutsPopup.removeClass("cv-open").attr("aria-hidden","true").removeAttr("aria-modal").empty(),this._focusBeforeShortcutsPopup=null,t&&"function"==typeof t.focus)try{t.focus()}catch(t){}var e=this.activeInstance;if(e&&e._slideshowHeldByShortcutsPopup){e._slideshowHeldByShortcutsPopup=!1;var i=e.opts.slideshow;if(i&&i.enabled&&e.items.length>1&&!e._slideshowPaused&&(!1!==i.autoStart||e._slideshowPlaying)){var o=1e3*(!l(i.interval)&&i.interval>0?i.interval:4);e._slideshowTimer=setTimeout(function(){T.activeInstance===e&&e.next({transition:!0})},o),i.showProgress&&this._startSlideshowProgress(o)}}},_renderToolbarItems:function(e,i,o){if(i&&i.length)for(var n=o.items[o.idx],a=0;a<i.length;a++){var s=i[a];if("separator"!==s&&"-"!==s)if(s instanceof HTMLElement||s instanceof t)e.append(s);else{var r=!0;if("function"==typeof s.visible?r=s.visible(n,o):!1===s.visible&&(r=!1),r){var c="";s.icon&&(c="<"===s.icon.charAt(0)?$(s.icon):'<i class="cv-tb-icon '+v(s.icon)+'"></i>');var d=s.label||"",p=l(s.tooltip)||""===s.tooltip?d:String(s.tooltip),h=!1!==o.opts.canShowTooltip&&""!==p,u=(p||s.id&&String(s.id))&&o.opts.wcag?' aria-label="'+v(p||s.id||"")+'"':"",m=h?' data-cv-tooltip="'+v(p)+'"':"",f=c;s.showLabel&&d&&(f+=' <span class="cv-tb-label">'+v(d)+"</span>");var g="";if(!l(s.shortcutKey)&&""!==String(s.shortcutKey).trim()){var b=String(s.shortcutKey).toLowerCase().charAt(0);b&&(g=' data-cv-shortcut="'+v(b)+'"')}var y=t('<button class="cv-tb-btn'+(s.id?" cv-tb-"+v(String(s.id)):"")+(s.className?" "+v(String(s.className)):"")+'" type="button"'+g+m+u+">"+f+"</button>");"function"==typeof s.onClick&&function(t,e){e.on("click",function(e){e.preventDefault(),t(o.items[o.idx],o)})}(s.onClick,y),e.append(y)}}else e.append('<span class="cv-tb-sep"></span>')}}};function S(t){if(null==t||""===t)return 0;var e="number"==typeof t?t:parseFloat(String(t).replace(/,/g,""));return isFinite(e)&&e>0?e:0}function P(t){if(!t||!t.length)return null;for(var e=1/0,i=1/0,o=-1/0,n=-1/0,a=0;a<t.length;a++){var s=t[a];if(s&&!(s.length<2)){var l=Number(s[0]),r=Number(s[1]);isNaN(l)||isNaN(r)||(e=Math.min(e,l),i=Math.min(i,r),o=Math.max(o,l),n=Math.max(n,r))}}return isFinite(e)&&isFinite(i)?{x:e,y:i,w:Math.max(0,o-e),h:Math.max(0,n-i)}:null}function I(t){var e=t.offsetWidth+t.offsetHeight;if(!isFinite(e))return null;var i=t.naturalWidth,o=t.naturalHeight,n=t.clientWidth,a=t.clientHeight;if(!(i&&o&&n&&a))return null;var s=Math.min(n/i,a/o),l=i*s,r=o*s;return{nw:i,nh:o,cw:n,ch:a,fitScale:s,dispW:l,dispH:r,offsetX:(n-l)/2,offsetY:(a-r)/2}}function j(t){t.find(".cv-extract-overlay").remove()}function M(t){if(l(t)||"string"!=typeof t)return"";var e=v(t);return(e=(e=(e=(e=(e=(e=(e=e.replace(/^### (.+)$/gm,"<h3>$1</h3>")).replace(/^## (.+)$/gm,"<h2>$1</h2>")).replace(/^# (.+)$/gm,"<h1>$1</h1>")).replace(/\*\*(.+?)\*\*/g,"<strong>$1</strong>")).replace(/\*(.+?)\*/g,"<em>$1</em>")).replace(/`([^`]+)`/g,"<code>$1</code>")).replace(/\[([^\]]+)\]\(([^)]+)\)/g,'<a href="$2" target="_blank" rel="noopener">$1</a>')).replace(/\n/g,"<br>\n")}var z={js:"javascript",mjs:"javascript",cjs:"javascript",jsx:"jsx",ts:"typescript",tsx:"tsx",mts:"typescript",cts:"typescript",java:"java",jsp:"jsp",py:"python",pyw:"python",pyi:"python",html:"html",htm:"html",xhtml:"xml",css:"css",scss:"scss",less:"less",sass:"scss",styl:"stylus",xml:"xml",xsd:"xml",xsl:"xml",rss:"xml",atom:"xml",svg:"xml",plist:"xml",json:"json",jsonc:"json",php:"php",phtml:"php",rb:"ruby",gemspec:"ruby",rake:"ruby",go:"go",golang:"go",rs:"rust",cs:"csharp",c:"c",h:"c",cpp:"cpp",cc:"cpp",cxx:"cpp",hpp:"cpp",hh:"cpp",hxx:"cpp",kt:"kotlin",kts:"kotlin",swift:"swift",scala:"scala",sc:"scala",clj:"clojure",cljs:"clojure",cljc:"clojure",hs:"haskell",lhs:"haskell",lua:"lua",r:"r",rdata:"r",rds:"r",dart:"dart",ex:"elixir",exs:"elixir",erl:"erlang",hrl:"erlang",pl:"perl",pm:"perl",sql:"sql",sh:"bash",bash:"bash",zsh:"bash",yaml:"yaml",yml:"yaml",md:"markdown",mkdown:"markdown",mkd:"markdown",toml:"ini",ini:"ini",cfg:"ini",dockerfile:"dockerfile",docker:"dockerfile",makefile:"makefile",mk:"makefile",mak:"makefile",gradle:"gradle",groovy:"groovy",gvy:"groovy",graphql:"graphql",gql:"graphql",handlebars:"handlebars",hbs:"handlebars",haml:"haml",coffeescript:"coffeescript",coffee:"coffeescript",cson:"coffeescript",diff:"diff",patch:"diff",proto:"protobuf",protobuf:"protobuf",vb:"vbnet",vbs:"vbscript",ps1:"powershell",ps:"powershell",psm1:"powershell",fs:"fsharp",fsx:"fsharp",fsi:"fsharp",nim:"nim",nimrod:"nim",cr:"crystal",v:"verilog",sv:"verilog",svh:"verilog",jl:"julia",elm:"elm",vue:"xml",svelte:"svelte",tf:"terraform",hcl:"terraform",sol:"solidity",adoc:"asciidoc",asciidoc:"asciidoc",nginx:"nginx",nginxconf:"nginx",apache:"apache",apacheconf:"apache",env:"ini",csv:"plaintext"};function O(t,i,o){var n=l(t)?"":String(t);if(o&&o.opts&&"function"==typeof o.opts.onInlineHtml)return o.opts.onInlineHtml(n,i,o);if(!(o&&o.opts&&o.opts.inline&&o.opts.inline.syntaxHighlight&&void 0!==e&&e.hljs&&"function"==typeof e.hljs.highlight))return function(t){for(var e=(l(t)?"":String(t)).split(/\r\n|\n|\r/),i="",o=0;o<e.length;o++)i+='<div class="cv-inline-line"><span class="cv-inline-num">'+(o+1)+'</span><span class="cv-inline-code">'+v(e[o])+"</span></div>";return i}(n);var a,s=function(t,e){if(e&&e.opts&&e.opts.inline&&"function"==typeof e.opts.inline.getLanguage){var i=e.opts.inline.getLanguage(t);if(i&&"string"==typeof i)return i.trim().toLowerCase()}var o=(t.fileExt||(t.title||"").split(".").pop()||"").toLowerCase();return z[o]||o||null}(i,o)||"plaintext";"function"!=typeof e.hljs.getLanguage||e.hljs.getLanguage(s)||(s="plaintext");try{a=e.hljs.highlight(s,n,!0)}catch(t){a={value:v(n)}}for(var r=a.value.split(/\r\n|\n|\r/),c="",d=0;d<r.length;d++)c+='<div class="cv-inline-line"><span class="cv-inline-num">'+(d+1)+'</span><span class="cv-inline-code">'+r[d]+"</span></div>";return c}function E(e,i,o){var n=(e.fileExt||(e.title||"").split(".").pop()||"").toUpperCase(),a=e.fileSize||"",s=Boolean(g(e,T.activeInstance)),l=t('<div class="cv-unsupported"><div class="cv-unsupported-icon">'+u.fileIcon+"</div>"+(n?'<div class="cv-unsupported-ext">'+v(n)+"</div>":"")+'<div class="cv-unsupported-name">'+v(e.title||"File")+"</div>"+(a?'<div class="cv-unsupported-size">'+v(a)+"</div>":"")+'<p class="cv-unsupported-msg">'+v(i)+"</p>"+(s?'<button class="cv-unsupported-dl" type="button">'+u.download+" Download</button>":"")+"</div>");s&&l.find(".cv-unsupported-dl").on("click",function(){w(e,T.activeInstance)}),o.append(l)}function L(e,i,o,n,a){a=a||{};var s=T.activeInstance;s&&"function"==typeof s.opts.onError&&!0===s.opts.onError({type:i,message:o,item:n,$stage:e})||function(e,i,o,n){var a=!(n=n||{}).noDownload&&g(o,T.activeInstance),s=t('<div class="cv-error-card">'+u.error+'<p class="cv-error-text">'+v(i)+"</p>"+(a?'<button class="cv-error-dl" type="button">'+u.download+" Download source</button>":"")+"</div>");a&&s.find(".cv-error-dl").on("click",function(){w(o,T.activeInstance)}),e.append(s)}(e,o,n,a)}function F(e,i){this.id=++F._counter,this.$container=e,this.opts=t.extend(!0,{},d,i);var o=this.opts.stageOnly;this.opts.stageOnly=!0===o||!1===o?{enabled:Boolean(o),hideNavigation:!1}:o&&"object"==typeof o?t.extend({},d.stageOnly,o):t.extend({},d.stageOnly),this.items=[],this.idx=0,this._currentResult=null,this._collectItems(),this._bindClicks()}F._counter=0,F.prototype={constructor:F,_indexOfItemByElement:function(t){var e=t&&t.jquery?t[0]:t;if(!e)return-1;for(var i=0;i<this.items.length;i++)if(this.items[i].$el&&this.items[i].$el[0]===e)return i;return-1},_collectItems:function(){var e=this;"function"==typeof e.opts.beforeCollectItems&&e.opts.beforeCollectItems(e),this.items=[],e.opts.items&&Array.isArray(e.opts.items)&&e.opts.items.length>0?e.items=e.opts.items.slice():this.$container.find(this.opts.selector).each(function(){var i=t(this),o=i.attr("data-src")||i.data("src")||i.attr("href")||i.find("img").attr("src"),n=(i.data("ext")||(o||"").split(".").pop()||"").toLowerCase(),a={type:i.data("type")||("md"===n?"markdown":"image"),src:o,title:i.data("title")||i.attr("title")||"",downloadUrl:i.data("download")||i.attr("data-download")||null,zoomUrl:i.data("zoomurl")||i.data("zoom-url")||null,fileExt:i.data("ext")||null,fileSize:i.data("size")||null,mimeType:i.data("mime")||null,thumbnailUrl:i.data("thumbnail")||i.data("poster")||null,message:i.data("message")||null,html:i.data("html")||null,content:i.data("content")||null,comment:i.data("comment")||null,author:i.data("author")||null,comments:function(){try{var t=i.data("comments");if(Array.isArray(t))return t;if("string"==typeof t)return JSON.parse(t)}catch(t){}}(),pollOptionLabel:i.data("pollOptionLabel")||null,pollOptionId:l(i.data("pollOptionId"))?null:i.data("pollOptionId"),pollOptionSelected:i.data("pollOptionSelected")||i.data("poll-option-selected")||!1},s="function"==typeof e.opts.itemData?e.opts.itemData(i,a):a;l(s)&&(s=a),s.$el=i,e.items.push(s)})},_bindClicks:function(){var e=this,i=this.$container[0];if(i){this._containerCaptureClick&&(i.removeEventListener("click",this._containerCaptureClick,!0),this._containerCaptureClick=null);var o=function(i){var o=t(i.target).closest(e.opts.selector);if(o.length&&o.closest(e.$container).length){i.preventDefault(),i.stopImmediatePropagation(),e._collectItems();for(var n=null,a=0;a<e.items.length;a++)if(e.items[a].$el&&e.items[a].$el[0]===o[0]){n=e.items[a];break}!n&&e.items.length>0&&(n=e.items[0]),"function"!=typeof e.opts.beforeOpen&&(e._openContext={}),e.open(o)}};this._containerCaptureClick=o,i.addEventListener("click",o,!0)}},open:function(e){if(this._collectItems(),0!==this.items.length){var i=this,o=0;if(null!=e)if("number"==typeof e)o=Math.max(0,Math.min(e,this.items.length-1));else for(var n=e&&e.jquery?e[0]:e,a=0;a<this.items.length;a++)if(this.items[a].$el&&this.items[a].$el[0]===n){o=a;break}var s=this.items[o],l=s&&s.$el&&s.$el.length?s.$el:t();if("function"==typeof this.opts.beforeOpen)return this.idx=o,this._slideshowPaused=!1,this._slideshowPlaying=!1,this._beforeOpenPhase="loading",this._pendingGateContent=null,this._openContext={},T.open(this),void setTimeout(function(){"function"==typeof i.opts.beforeOpen&&i.opts.beforeOpen(s,l,function(t){t&&t.gateContent?(i._pendingGateContent=t.gateContent,i._openContext={}):(i._openContext=t||{},i._pendingGateContent=null),T._finishBeforeOpenProceed(i)})},0);this.idx=o,this._slideshowPaused=!1,this._slideshowPlaying=!1,this._openContext={},T.open(this)}},close:function(){T.close()},next:function(t){if(this._collectItems(),!(this.items.length<2)){this._slideshowTimer&&(clearTimeout(this._slideshowTimer),this._slideshowTimer=null);var e=this.items[this.idx],i=e&&e.$el?this._indexOfItemByElement(e.$el):this.idx;i<0&&(i=0),this._firePrevClose(this.items[i]),this.idx=this.opts.loop?(i+1)%this.items.length:Math.min(this.items.length-1,i+1),T.loadItem(t&&t.transition?{transition:!0}:void 0)}},prev:function(t){if(this._collectItems(),!(this.items.length<2)){this._slideshowTimer&&(clearTimeout(this._slideshowTimer),this._slideshowTimer=null);var e=this.items[this.idx],i=e&&e.$el?this._indexOfItemByElement(e.$el):this.idx;i<0&&(i=this.items.length-1),this._firePrevClose(this.items[i]),this.idx=this.opts.loop?(i-1+this.items.length)%this.items.length:Math.max(0,i-1),T.loadItem(t&&t.transition?{transition:!0}:void 0)}},goTo:function(t,e){if(this._collectItems(),0!==this.items.length){var i=Math.max(0,Math.min(t,this.items.length-1));i!==this.idx&&(this._slideshowTimer&&(clearTimeout(this._slideshowTimer),this._slideshowTimer=null),this._firePrevClose(this.items[this.idx]),this.idx=i,T.loadItem(e&&e.transition?{transition:!0}:void 0))}},currentItem:function(){return this.items[this.idx]},setTheme:function(t){"dark"!==t&&"light"!==t||(this.opts.theme=t,T.activeInstance===this&&(T.$el[0].className="cv-overlay cv-theme-"+t,T._syncThemeToggle()),"function"==typeof this.opts.onThemeChange&&this.opts.onThemeChange(t,this))},refresh:function(){var t=T.visible&&T.activeInstance===this;this._collectItems(),this._bindClicks(),t&&this.items.length?(this.idx=Math.min(this.idx,this.items.length-1),T.loadItem()):t&&this.close()},showLoader:function(){T.activeInstance===this&&T.$loader&&T.$loader.length&&T.$loader.addClass("cv-active")},hideLoader:function(){T.activeInstance===this&&T.$loader&&T.$loader.length&&T.$loader.removeClass("cv-active")},showStripMessage:function(t,e){T.activeInstance===this&&T.$stripMessage&&T.$stripMessage.length&&T._showStripMessage(t,e)},destroy:function(){var e=this.$container&&this.$container[0];e&&this._containerCaptureClick&&(e.removeEventListener("click",this._containerCaptureClick,!0),this._containerCaptureClick=null),this.$container.removeData("cv-instance"),T.$tooltip&&T.$tooltip.length&&(T.$tooltip.removeClass("cv-tooltip-visible").attr("aria-hidden","true").remove(),T.$tooltip=t()),t("body .cv-tooltip").remove(),T.activeInstance===this?T.close():!T.activeInstance&&T.$el&&T.$el.length&&(T.$el.remove(),T.built=!1,T.$el=null,T.$shell=null,T.$stage=null,T.$stageWrap=null,T.$toolbar=null,T.$loader=null,T.$prev=null,T.$next=null,T.$footer=null),this.items=[],this.opts=null},_firePrevClose:function(t){"function"==typeof this.opts.onClose&&t&&this.opts.onClose(t,this)}},t.fn[r]=function(e){if("string"==typeof e){var i,o=[].slice.call(arguments,1);return this.each(function(){var n=t(this).data("cv-instance");n&&"function"==typeof n[e]&&(i=n[e].apply(n,o))}),void 0!==i?i:this}return T._bindKeydownCaptureOnce(),this.each(function(){var i=t(this),o=i.data("cv-instance");o&&"function"==typeof o.destroy&&o.destroy(),i.data("cv-instance",new F(i,e))})},t.fn[r].defaults=d,t.fn[r].Icons=u,t.fn[r].defaultStrings=p,t.fn[r].getActive=function(){return T.visible?T.activeInstance:null},t[r]=function(e){var i=t("<div>");return i[r](e),i}}(jQuery,window,document);
\ No newline at end of file
+!function(t){var e=function(t,e,i){"use strict";var n=["http","://"].join(""),o=["https","://"].join(""),a=["javascript",":"].join(""),r=["vbscript",":"].join("");function s(t){return null==t}var l=t||function(t,e){var i=Array.prototype.slice,n=new WeakMap,o=new WeakMap,a={},r={zIndex:!0,opacity:!0,lineHeight:!0,fontWeight:!0,flexGrow:!0,flexShrink:!0,order:!0,zoom:!0};function l(t){this.length=0;for(var e=0;e<t.length;e++)this[this.length++]=t[e]}function c(t){return String(t).replace(/-([a-z])/g,function(t,e){return e.toUpperCase()})}function h(t,e){var i=t.get(e);return i||(i=t===o?[]:{},t.set(e,i)),i}function u(t){return Boolean(t.offsetWidth||t.offsetHeight||t.getClientRects&&t.getClientRects().length)}function d(e){return"none"===e.style.display||e.isConnected&&"none"===t.getComputedStyle(e).display}function p(t,e){if(-1===e.indexOf(":visible"))return i.call(t.querySelectorAll(e));var n=[];return e.split(",").forEach(function(e){var o=-1!==e.indexOf(":visible"),a=e.replace(/:visible/g,"").trim()||"*";i.call(t.querySelectorAll(a)).forEach(function(t){o&&!u(t)||-1!==n.indexOf(t)||n.push(t)})}),n}function v(t,e){return!(!t||1!==t.nodeType)&&(-1===e.indexOf(":visible")?t.matches(e):e.split(",").some(function(e){var i=e.replace(/:visible/g,"").trim();return(!i||t.matches(i))&&(-1===e.indexOf(":visible")||u(t))}))}function f(t){var n=e.createElement("template");return n.innerHTML=t,i.call(n.content.childNodes).filter(function(t){return 1===t.nodeType||/\S/.test(t.nodeValue)}).map(function(t){return e.adoptNode(t)})}function m(t){return String(t||"").split(/\s+/).filter(Boolean).map(function(t){var e=t.split(".");return{type:e[0],ns:e.slice(1)}})}function g(t,e,i,n,a){m(e).forEach(function(e){var r={type:e.type,ns:e.ns,fn:n,domType:e.type};!i||"mouseenter"!==e.type&&"mouseleave"!==e.type||(r.domType="mouseenter"===e.type?"mouseover":"mouseout"),r.listener=function(o){var s=t,l=o;if(i){if(!(s=o.target&&1===o.target.nodeType?o.target.closest(i):null)||s===t||!t.contains(s))return;if(r.domType!==e.type&&o.relatedTarget&&s.contains(o.relatedTarget))return;l=function(t,e,i){return{type:i,target:t.target,currentTarget:e,relatedTarget:t.relatedTarget,originalEvent:t,clientX:t.clientX,clientY:t.clientY,pageX:t.pageX,pageY:t.pageY,preventDefault:function(){t.preventDefault()},stopPropagation:function(){t.stopPropagation()}}}(o,s,e.type)}else o.originalEvent||(o.originalEvent=o);a&&y(t,r),!1===n.call(s,l)&&(o.preventDefault(),o.stopPropagation())},t.addEventListener(r.domType,r.listener,!1),h(o,t).push(r)})}function y(t,e){var i=h(o,t),n=i.indexOf(e);-1!==n&&i.splice(n,1),t.removeEventListener(e.domType,e.listener,!1)}function _(n){if(s(n)||""===n)return new l([]);if("string"==typeof n){var o=n.trim();return new l("<"===o.charAt(0)?f(o):p(e,o))}return n===t||n.nodeType?new l([n]):new l(i.call(n))}function b(t,e,n){var o,a=s(o=e)?[]:"string"==typeof o?f(o):o.nodeType?[o]:i.call(o);return t.each(function(e){var i=this,o=i.firstChild,r=i.nextSibling;a.forEach(function(a){n(i,e<t.length-1?a.cloneNode(!0):a,o,r)})}),t}function w(e,i){if(e){if(e===t)return t["inner"+i];if(9===e.nodeType)return e.documentElement["scroll"+i];var n=t.getComputedStyle(e),o="Width"===i?parseFloat(n.paddingLeft)+parseFloat(n.paddingRight):parseFloat(n.paddingTop)+parseFloat(n.paddingBottom);return Math.max(0,e["client"+i]-(o||0))}}return _.fn=_.prototype=l.prototype={constructor:l,jquery:"dom-helper",each:function(t){for(var e=0;e<this.length&&!1!==t.call(this[e],e,this[e]);e++);return this},toArray:function(){return i.call(this)},first:function(){return new l(this.length?[this[0]]:[])},add:function(t){var e=this.toArray();return _(t).each(function(){-1===e.indexOf(this)&&e.push(this)}),new l(e)},find:function(t){var e=[];return this.each(function(){p(this,t).forEach(function(t){-1===e.indexOf(t)&&e.push(t)})}),new l(e)},filter:function(t){return new l(this.toArray().filter(function(e,i){return"function"==typeof t?t.call(e,i,e):v(e,t)}))},is:function(t){return this.filter(t).length>0},closest:function(t){var e=[],i="string"==typeof t?null:_(t).toArray();return this.each(function(){for(var n=this;n&&1===n.nodeType&&!(i?-1!==i.indexOf(n):v(n,t));)n=n.parentNode;n&&1===n.nodeType&&-1===e.indexOf(n)&&e.push(n)}),new l(e)},children:function(t){var e=[];return this.each(function(){i.call(this.children||[]).forEach(function(i){t&&!v(i,t)||e.push(i)})}),new l(e)},parent:function(){var t=[];return this.each(function(){var e=this.parentNode;e&&1===e.nodeType&&-1===t.indexOf(e)&&t.push(e)}),new l(t)},attr:function(t,e){if(t&&"object"==typeof t){for(var i in t)Object.prototype.hasOwnProperty.call(t,i)&&this.attr(i,t[i]);return this}if(void 0===e){var n=this[0]&&this[0].getAttribute?this[0].getAttribute(t):null;return null===n?void 0:n}return this.each(function(){null===e?this.removeAttribute(t):this.setAttribute(t,String(e))})},removeAttr:function(t){return this.each(function(){this.removeAttribute(t)})},data:function(t,e){var i=c(t);if(arguments.length>1)return this.each(function(){h(n,this)[i]=e});var o=this[0];if(o){var a=h(n,o);if(!(i in a)&&o.getAttribute){var r=o.getAttribute("data-"+i.replace(/[A-Z]/g,"-$&").toLowerCase());if(null===r)return;a[i]=function(t){if("true"===t)return!0;if("false"===t)return!1;if("null"===t)return null;if(t===String(Number(t)))return Number(t);if(/^(?:\{[\w\W]*\}|\[[\w\W]*\])$/.test(t))try{return JSON.parse(t)}catch(t){}return t}(r)}return a[i]}},removeData:function(t){var e=c(t);return this.each(function(){delete h(n,this)[e]})},addClass:function(t){var e=String(t||"").split(/\s+/).filter(Boolean);return this.each(function(){this.classList&&e.length&&this.classList.add.apply(this.classList,e)})},removeClass:function(t){var e=String(t||"").split(/\s+/).filter(Boolean);return this.each(function(){this.classList&&e.length&&this.classList.remove.apply(this.classList,e)})},toggleClass:function(t,e){var i=String(t||"").split(/\s+/).filter(Boolean);return this.each(function(){var t=this;i.forEach(function(i){t.classList.toggle(i,void 0===e?!t.classList.contains(i):Boolean(e))})})},hasClass:function(t){return this.toArray().some(function(e){return Boolean(e.classList&&e.classList.contains(t))})},css:function(e,i){if("string"==typeof e&&void 0===i)return this[0]?t.getComputedStyle(this[0])[c(e)]:void 0;var n={};return"string"==typeof e?n[e]=i:n=e,this.each(function(){for(var t in n)if(Object.prototype.hasOwnProperty.call(n,t)){var e=c(t),i=n[t];this.style[e]=s(i)?"":"number"!=typeof i||r[e]?i:i+"px"}})},show:function(){return this.each(function(){"none"===this.style.display&&(this.style.display=""),d(this)&&(this.style.display=function(i){var n=i.nodeName;if(!a[n]){var o=e.body.appendChild(e.createElement(n)),r=t.getComputedStyle(o).display;e.body.removeChild(o),a[n]=r&&"none"!==r?r:"block"}return a[n]}(this))})},hide:function(){return this.each(function(){this.style.display="none"})},toggle:function(t){return this.each(function(){var e=void 0===t?d(this):Boolean(t);_(this)[e?"show":"hide"]()})},width:function(){return w(this[0],"Width")},height:function(){return w(this[0],"Height")},text:function(t){return void 0===t?this.toArray().map(function(t){return t.textContent}).join(""):this.each(function(){this.textContent=s(t)?"":String(t)})},html:function(t){return void 0===t?this[0]?this[0].innerHTML:void 0:"string"!=typeof t?this.empty().append(t):this.each(function(){this.innerHTML=t})},val:function(t){return void 0===t?this[0]?this[0].value:void 0:this.each(function(){this.value=s(t)?"":String(t)})},empty:function(){return this.each(function(){for(;this.firstChild;)this.removeChild(this.firstChild)})},remove:function(){return this.each(function(){this.parentNode&&this.parentNode.removeChild(this)})},append:function(t){return b(this,t,function(t,e){t.appendChild(e)})},prepend:function(t){return b(this,t,function(t,e,i){t.insertBefore(e,i)})},before:function(t){return b(this,t,function(t,e){t.parentNode&&t.parentNode.insertBefore(e,t)})},after:function(t){return b(this,t,function(t,e,i,n){t.parentNode&&t.parentNode.insertBefore(e,n)})},replaceWith:function(t){return this.before(t),this.remove()},appendTo:function(t){return _(t).append(this),this},on:function(t,e,i){return"function"==typeof e&&(i=e,e=null),this.each(function(){g(this,t,e,i,!1)})},one:function(t,e,i){return"function"==typeof e&&(i=e,e=null),this.each(function(){g(this,t,e,i,!0)})},off:function(t,e){var i=t?m(t):[{type:"",ns:[]}];return this.each(function(){var t=this;h(o,t).slice().forEach(function(n){!i.some(function(t){return(!t.type||t.type===n.type)&&t.ns.every(function(t){return-1!==n.ns.indexOf(t)})})||e&&n.fn!==e||y(t,n)})})},trigger:function(e){return this.each(function(){"click"===e&&"function"==typeof this.click?this.click():this.dispatchEvent(new t.Event(e,{bubbles:!0,cancelable:!0}))})}},_.extend=function(){var t=i.call(arguments),e=!1;"boolean"==typeof t[0]&&(e=t.shift());for(var n=t[0]||{},o=1;o<t.length;o++){var a=t[o];if(!s(a))for(var r in a)if(Object.prototype.hasOwnProperty.call(a,r)&&"__proto__"!==r){var l=a[r];if(l!==n)if(e&&l&&(Array.isArray(l)||_.isPlainObject(l))){var c=n[r],h=Array.isArray(l)?Array.isArray(c)?c:[]:_.isPlainObject(c)?c:{};n[r]=_.extend(!0,h,l)}else void 0!==l&&(n[r]=l)}}return n},_.isPlainObject=function(t){if(!t||"[object Object]"!==Object.prototype.toString.call(t))return!1;var e=Object.getPrototypeOf(t);return null===e||e===Object.prototype},_.contains=function(t,e){return t!==e&&Boolean(t&&t.contains&&t.contains(e))},_}(e,i),c="componentViewer",h=0,u={items:null,itemsProvider:null,itemsPaging:{pageSize:50,prefetch:1,maxPages:10},selector:".cv-item",loop:!0,overlayClose:!0,keyboardNav:!0,showCounter:!0,preloadAdjacentImages:!0,stageOnly:{enabled:!1,hideNavigation:!1},mode:"overlay",mountTo:null,carousel:{enabled:!1,navThreshold:4},slideshow:null,theme:"dark",themes:null,themeToggle:!0,onThemeChange:null,fullscreen:!0,swipeNav:!0,swipeToClose:!0,canShowTooltip:!0,isRTL:!1,minimize:{enabled:!1},toolbar:{download:!0,zoom:!0,rotate:!1,flip:!1,fit:!0,extractText:!1,toggleSource:!1},zoom:{min:1,max:5,step:.01,wheelStep:.15,showPercentage:!1,fit:"contain",doubleClickZoom:2,minimap:!1,onZoom:null,loadHighResUrlAt:!1},onImageRotate:null,blurUp:!1,animation:{enabled:!0,autoplay:!0,speed:1,loop:!0,decoder:null},annotate:{enabled:!1,tools:null,colors:null,color:null,lineWidth:3,fontSize:18},onAnnotationsSave:null,pdf:{workerSrc:null,cMapUrl:null,cMapPacked:!0,annotations:!0,autoFit:!0,autoFitMinScale:.75,autoFitMaxScale:2.5,twoPageView:!1,extractText:!1},compare:{mode:"split",opacity:.5},markdown:{toggleRawView:!1},inline:{syntaxHighlight:!1,getLanguage:null},onInlineHtml:null,video:{onGetHdUrl:null,canShowHDButton:null,beforeVideoPlay:null},supportedVideoFormats:null,supportedAudioFormats:null,toolbarItems:[],onAnalytics:null,analytics:{batchSize:20},headerItems:[],headerLeft:null,headerCenter:null,onDownload:null,itemData:null,resolveUrl:null,resolveMarkdownToggleUrl:null,onRender:null,onToolbar:null,onLoading:null,onOpen:null,onComplete:null,onCleanup:null,onClose:null,onError:null,wcag:!1,shortcutsPopup:!0,keymap:null,pollOption:null,showAttachmentComment:!1,info:{enabled:!1,open:!1,exif:!0},canShowExtractText:null,extractText:null,beforeOpen:null,beforeCollectItems:null,history:null,persist:null,locale:null,strings:null},d={close:"Close",fullscreen:"Fullscreen",exitFullscreen:"Exit fullscreen",attachments:"Attachments",showAttachments:"Show attachments",scrollCarouselLeft:"Scroll carousel left",scrollCarouselRight:"Scroll carousel right",previousItem:"Previous item",nextItem:"Next item",zoomOut:"Zoom out",zoomLevel:"Zoom level",fitMode:"Fit mode",fitContain:"Fit",fitCover:"Fill",fitWidth:"Fit width",fitHeight:"Fit height",fitActual:"Actual size (100%)",zoomIn:"Zoom in",switchToLightMode:"Switch to light mode",switchToDarkMode:"Switch to dark mode",switchToAutoMode:"Use system theme",switchToTheme:"Switch to %1 theme",minimize:"Minimize",restoreViewer:"Restore viewer",playSlideshow:"Play slideshow",pauseSlideshow:"Pause slideshow",download:"Download",downloadSource:"Download source",invalidImageUrl:"Invalid or unsafe image URL",imageLoadFailed:"Image could not be loaded",play:"Play",pause:"Pause",playbackSpeed:"Playback Speed",cyclePlaybackSpeed:"Cycle playback speed",hd:"HD",toggleHd:"Toggle HD",mute:"Mute",unmute:"Unmute",thumbnails:"Thumbnails",previousPage:"Previous Page",nextPage:"Next Page",rotate:"Rotate",rotateLeft:"Rotate left",rotateRight:"Rotate right",flipHorizontal:"Flip horizontally",flipVertical:"Flip vertically",compareBefore:"Before",compareAfter:"After",compareVersion:"Version %1",compareSplit:"Split view",compareOnion:"Onion skin",compareSideBySide:"Side by side",compareOpacity:"Opacity",compareDivider:"Split position",compareNeedsTwo:"Two image versions are needed to compare",annotate:"Annotate",annotatePen:"Pen",annotateArrow:"Arrow",annotateRect:"Rectangle",annotateText:"Text",annotateHighlight:"Highlight",annotateColor:"Color %1",annotateTextPlaceholder:"Type, then press Enter",undo:"Undo",redo:"Redo",saveAnnotations:"Save annotations",previousFrame:"Previous frame",nextFrame:"Next frame",loopAnimation:"Loop",print:"Print",extractText:"Extract text",twoPageView:"Two-page view",singlePageView:"Single-page view",copy:"Copy",copiedToClipboard:"Copied to clipboard",viewSource:"View source",viewMarkdown:"View as Markdown",htmlMdToggleSource:"View Source",htmlMdToggleMarkdown:"View Markdown",pdf:"PDF",previewNotAvailable:"Preview is not available for this file",file:"File",audio:"Audio",couldNotLoadFileInline:"Could not load file for inline view",noContentInline:"No content or invalid URL for inline view",noHtmlProvided:"No HTML provided for html view",typeVideo:"Video",typeCode:"Code",typeHtml:"HTML",typeError:"—",carouselItemLabel:"Item %1 of %2",playPause:"Play / Pause",muteUnmute:"Mute / Unmute",showShortcuts:"Show shortcuts",keyboardShortcuts:"Keyboard shortcuts",toggleTheme:"Toggle theme",toggleSlideshow:"Play / Pause slideshow",pollUpdated:"Updated",toggleComment:"Toggle comment",commentBy:"by",commentPrev:"Previous comment",commentNext:"Next comment",commentCounter:"Comment %1 of %2",counter:"%1 / %2",attachmentComment:"Attachment comment",info:"Info",toggleInfo:"Toggle info",infoLoading:"Reading metadata…",infoSectionFile:"File",infoSectionCamera:"Camera",infoSectionLocation:"Location",infoSectionDescription:"Description",infoSectionDetails:"Details",infoName:"Name",infoType:"Type",infoSize:"Size",infoDimensions:"Dimensions",infoDimensionsValue:"%1 × %2 px",infoColorProfile:"Color profile",infoCamera:"Camera",infoLens:"Lens",infoDateTaken:"Taken",infoExposure:"Exposure",infoAperture:"Aperture",infoIso:"ISO",infoFocalLength:"Focal length",infoSoftware:"Software",infoCoordinates:"Coordinates",infoAltitude:"Altitude",infoCity:"City",infoCountry:"Country",infoTitle:"Title",infoHeadline:"Headline",infoCaption:"Caption",infoKeywords:"Keywords",infoCreator:"Creator",infoCopyright:"Copyright",infoCredit:"Credit",infoSource:"Source",hdOn:"HD (on)",zoom:"Zoom",autoFit:"Auto Fit",pdfLoadFailed:"PDF could not be loaded",noHtmlOrSrc:"No HTML or src provided for html view",couldNotLoadFileMarkdown:"Could not load file for markdown view",noContentMarkdown:"No content or invalid URL for markdown view",typeMarkdown:"MD",itemsLoadFailed:"Items could not be loaded",retry:"Retry",keySpace:"Space",keyEscape:"Esc"},p={},v={};function f(t){if(s(t)||""===String(t))return null;if(t=String(t).toLowerCase(),Object.prototype.hasOwnProperty.call(p,t))return p[t];var e=t.split("-")[0];return Object.prototype.hasOwnProperty.call(p,e)?p[e]:null}function m(t,e,i){for(var n=t&&t.opts,o=[n&&n.strings,f(n&&n.locale),(l.fn[c]||Ie).defaultStrings,d],a=null,r=0;r<o.length&&null===a;r++){var h=o[r];h&&!s(h[e])&&""!==h[e]&&(a=h[e])}if(null===a)return e;var u=null;if(s(i)||(u="object"!=typeof i||Array.isArray(i)?[].concat(i):null),"object"==typeof a){var p=Number(u?u[0]:i&&i.count),m=a;s(a=m[function(t,e){var i=t&&t.opts&&t.opts.locale||"";if("undefined"!=typeof Intl&&"function"==typeof Intl.PluralRules)try{return v[i]||(v[i]=new Intl.PluralRules(i||void 0)),v[i].select(e)}catch(t){v[i]=null}return 1===e?"one":"other"}(t,isNaN(p)?0:p)])&&(a=s(m.other)?e:m.other)}return a=String(a),s(i)?a:a.replace(/%(\d+)|\{(\w+)\}/g,function(t,e,n){var o=u?e?u[e-1]:void 0:n?i[n]:void 0;return s(o)?t:String(o)})}var g={},y="(prefers-color-scheme: dark)";function _(t){return Object.prototype.hasOwnProperty.call(g,t)?g[t]:null}function b(t){return"dark"===t||"light"===t||"auto"===t||Boolean(_(t))}function w(){return"function"!=typeof e.matchMedia||e.matchMedia(y).matches}function x(t){var e=t&&t.opts&&t.opts.theme||"dark";return"auto"===e?w()?"dark":"light":b(e)?e:"dark"}function $(t){var e=_(t);return e?e.base:"light"===t?"light":"dark"}function C(t){var e=function(t){var e=[],i=t.opts.themes;if(Array.isArray(i))for(var n=0;n<i.length;n++)b(i[n])&&-1===e.indexOf(i[n])&&e.push(i[n]);return e.length?e:["dark","light"]}(t),i=t.opts.theme||"dark",n=e.indexOf(i);return-1===n&&(n=e.indexOf(x(t))),e[(n+1)%e.length]}var S={close:"&times;",prev:"&#10094;",next:"&#10095;",zoomIn:'<svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><circle cx="11" cy="11" r="8"/><line x1="21" y1="21" x2="16.65" y2="16.65"/><line x1="11" y1="8" x2="11" y2="14"/><line x1="8" y1="11" x2="14" y2="11"/></svg>',zoomOut:'<svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><circle cx="11" cy="11" r="8"/><line x1="21" y1="21" x2="16.65" y2="16.65"/><line x1="8" y1="11" x2="14" y2="11"/></svg>',download:'<svg width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><path d="M21 15v4a2 2 0 0 1-2 2H5a2 2 0 0 1-2-2v-4"/><polyline points="7 10 12 15 17 10"/><line x1="12" y1="15" x2="12" y2="3"/></svg>',fileIcon:'<svg width="64" height="64" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="1.2"><path d="M14 2H6a2 2 0 0 0-2 2v16a2 2 0 0 0 2 2h12a2 2 0 0 0 2-2V8z"/><polyline points="14 2 14 8 20 8"/></svg>',error:'<svg width="48" height="48" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="1.5"><rect x="3" y="3" width="18" height="18" rx="2"/><line x1="9" y1="9" x2="15" y2="15"/><line x1="15" y1="9" x2="9" y2="15"/></svg>',rotateCw:'<svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><polyline points="23 4 23 10 17 10"/><path d="M20.49 15a9 9 0 1 1-2.12-9.36L23 10"/></svg>',rotateCcw:'<svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><polyline points="1 4 1 10 7 10"/><path d="M3.51 15a9 9 0 1 0 2.13-9.36L1 10"/></svg>',flipHorizontal:'<svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><line x1="12" y1="3" x2="12" y2="21" stroke-dasharray="2 2"/><path d="M8 7L3 17h5z"/><path d="M16 7l5 10h-5z"/></svg>',flipVertical:'<svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><line x1="3" y1="12" x2="21" y2="12" stroke-dasharray="2 2"/><path d="M7 8L17 3v5z"/><path d="M7 16l10 5v-5z"/></svg>',compareSplit:'<svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><rect x="3" y="4" width="18" height="16" rx="2"/><line x1="12" y1="2" x2="12" y2="22"/></svg>',compareOnion:'<svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><rect x="3" y="3" width="12" height="12" rx="2"/><rect x="9" y="9" width="12" height="12" rx="2" stroke-dasharray="3 2"/></svg>',compareSide:'<svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><rect x="2" y="5" width="9" height="14" rx="1.5"/><rect x="13" y="5" width="9" height="14" rx="1.5"/></svg>',annotate:'<svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linejoin="round"><path d="M17 3a2.83 2.83 0 1 1 4 4L7.5 20.5 2 22l1.5-5.5z"/></svg>',annotatePen:'<svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round"><path d="M3 17c3-7 5-7 7-2s4 5 7-1 3-5 4-4"/></svg>',annotateArrow:'<svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><line x1="5" y1="19" x2="19" y2="5"/><polyline points="9 5 19 5 19 15"/></svg>',annotateRect:'<svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><rect x="3" y="5" width="18" height="14" rx="1"/></svg>',annotateText:'<svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><polyline points="4 7 4 4 20 4 20 7"/><line x1="9" y1="20" x2="15" y2="20"/><line x1="12" y1="4" x2="12" y2="20"/></svg>',annotateHighlight:'<svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linejoin="round"><path d="M9 11l-6 6v3h9l3-3"/><path d="M22 12l-4.6 4.6a2 2 0 0 1-2.8 0l-5.2-5.2a2 2 0 0 1 0-2.8L14 4"/></svg>',undo:'<svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><polyline points="9 14 4 9 9 4"/><path d="M20 20v-7a4 4 0 0 0-4-4H4"/></svg>',redo:'<svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><polyline points="15 14 20 9 15 4"/><path d="M4 20v-7a4 4 0 0 1 4-4h12"/></svg>',save:'<svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><path d="M19 21H5a2 2 0 0 1-2-2V5a2 2 0 0 1 2-2h11l5 5v11a2 2 0 0 1-2 2z"/><polyline points="17 21 17 13 7 13 7 21"/><polyline points="7 3 7 8 15 8"/></svg>',animationPlay:'<svg width="16" height="16" viewBox="0 0 24 24" fill="currentColor"><polygon points="6 4 20 12 6 20"/></svg>',animationPause:'<svg width="16" height="16" viewBox="0 0 24 24" fill="currentColor"><rect x="6" y="4" width="4" height="16"/><rect x="14" y="4" width="4" height="16"/></svg>',previousFrame:'<svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linejoin="round"><polygon points="18 5 8 12 18 19 18 5" fill="currentColor"/><line x1="5" y1="5" x2="5" y2="19"/></svg>',nextFrame:'<svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linejoin="round"><polygon points="6 5 16 12 6 19 6 5" fill="currentColor"/><line x1="19" y1="5" x2="19" y2="19"/></svg>',loopAnimation:'<svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><polyline points="17 1 21 5 17 9"/><path d="M3 11V9a4 4 0 0 1 4-4h14"/><polyline points="7 23 3 19 7 15"/><path d="M21 13v2a4 4 0 0 1-4 4H3"/></svg>',prevPage:'<svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><polyline points="15 18 9 12 15 6"/></svg>',nextPage:'<svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><polyline points="9 18 15 12 9 6"/></svg>',thumbnails:'<svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><rect x="3" y="3" width="7" height="7"/><rect x="14" y="3" width="7" height="7"/><rect x="3" y="14" width="7" height="7"/><rect x="14" y="14" width="7" height="7"/></svg>',print:'<svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><polyline points="6 9 6 2 18 2 18 9"/><path d="M6 18H4a2 2 0 0 1-2-2v-5a2 2 0 0 1 2-2h16a2 2 0 0 1 2 2v5a2 2 0 0 1-2 2h-2"/><rect x="6" y="14" width="12" height="8"/></svg>',copy:'<svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><rect x="9" y="9" width="13" height="13" rx="2" ry="2"/><path d="M5 15H4a2 2 0 0 1-2-2V4a2 2 0 0 1 2-2h9a2 2 0 0 1 2 2v1"/></svg>',extractText:'<svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><path d="M14 2H6a2 2 0 0 0-2 2v16a2 2 0 0 0 2 2h12a2 2 0 0 0 2-2V8z"/><polyline points="14 2 14 8 20 8"/><line x1="16" y1="13" x2="8" y2="13"/><line x1="16" y1="17" x2="8" y2="17"/><line x1="10" y1="9" x2="8" y2="9"/></svg>',twoPageView:'<svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><rect x="2" y="3" width="9" height="18" rx="1"/><rect x="13" y="3" width="9" height="18" rx="1"/></svg>',themeLight:'<svg width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><circle cx="12" cy="12" r="5"/><line x1="12" y1="1" x2="12" y2="3"/><line x1="12" y1="21" x2="12" y2="23"/><line x1="4.22" y1="4.22" x2="5.64" y2="5.64"/><line x1="18.36" y1="18.36" x2="19.78" y2="19.78"/><line x1="1" y1="12" x2="3" y2="12"/><line x1="21" y1="12" x2="23" y2="12"/><line x1="4.22" y1="19.78" x2="5.64" y2="18.36"/><line x1="18.36" y1="5.64" x2="19.78" y2="4.22"/></svg>',themeDark:'<svg width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><path d="M21 12.79A9 9 0 1 1 11.21 3 7 7 0 0 0 21 12.79z"/></svg>',fullscreen:'<svg width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><path d="M8 3H5a2 2 0 0 0-2 2v3m18 0V5a2 2 0 0 0-2-2h-3m0 18h3a2 2 0 0 0 2-2v-3M3 16v3a2 2 0 0 0 2 2h3"/></svg>',fullscreenExit:'<svg width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2.5" stroke-linecap="round" stroke-linejoin="round"><rect x="3" y="3" width="18" height="18" rx="2"/><line x1="9" y1="9" x2="15" y2="15"/><line x1="15" y1="9" x2="9" y2="15"/></svg>',minimize:'<svg width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><line x1="5" y1="12" x2="19" y2="12"/></svg>',restore:'<svg width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><rect x="3" y="7" width="14" height="12" rx="2"/><path d="M10 5h9v9"/></svg>',play:'<svg width="24" height="24" viewBox="0 0 24 24" fill="currentColor"><polygon points="5 3 19 12 5 21"/></svg>',comment:'<svg width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><path d="M21 15a2 2 0 0 1-2 2H7l-4 4V5a2 2 0 0 1 2-2h14a2 2 0 0 1 2 2z"/></svg>',info:'<svg width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round"><circle cx="12" cy="12" r="10"/><line x1="12" y1="16" x2="12" y2="11"/><line x1="12" y1="8" x2="12.01" y2="8"/></svg>'};function k(t){var e;e=s(t)||""===t?"":"string"==typeof t?t:String(t);var n=i.createElement("div");return n.appendChild(i.createTextNode(e)),n.innerHTML}function T(t){if(s(t)||"string"!=typeof t)return!1;var e=t.trim(),i=e.toLowerCase();if(0===i.indexOf(a)||0===i.indexOf(r))return!1;if(0===i.indexOf(n)||0===i.indexOf(o)||0===i.indexOf("blob:"))return!0;if(0===i.indexOf("//"))return!0;if(0===i.indexOf("data:")){var l=i.slice(5).split(",")[0].split(";")[0].trim();return 0===l.indexOf("image/")||0===l.indexOf("video/")||0===l.indexOf("audio/")||"application/pdf"===l}return e.indexOf(":")<0||0===e.indexOf("/")||0===e.indexOf("./")||0===e.indexOf("../")}function P(t){if(s(t)||"string"!=typeof t)return!1;var e=t.trim(),i=e.toLowerCase();return 0!==i.indexOf(a)&&0!==i.indexOf(r)&&0!==i.indexOf("data:")&&(0===i.indexOf(n)||0===i.indexOf(o)||0===i.indexOf("blob:")||0===i.indexOf("//")||e.indexOf(":")<0||0===e.indexOf("/")||0===e.indexOf("./")||0===e.indexOf("../"))}function I(t,e){if(!t)return null;var i=t.downloadUrl||t.download;return i&&P(i)?i:"tiled"===t.type?null:e&&(i=M(t,e,"src"))&&P(i)||(i=t.src)&&P(i)?i:null}function M(t,e,i,n){if(!t)return null;if(e&&"function"==typeof e.opts.resolveUrl){var o=n?e.opts.resolveUrl(t,e,i,n):e.opts.resolveUrl(t,e,i);if(null!=o&&""!==o)return o}return"sized"===i?null:"zoomUrl"===i?t.zoomUrl&&""!==t.zoomUrl?t.zoomUrl:t.downloadUrl||t.src||null:"thumbnailUrl"===i?t.thumbnailUrl||null:t.src||null}function O(t,e){return M(t,e,"src")}var z={NO_ITEMS:"There are no items to show",NOT_OPEN:"The viewer is not open",CANCELLED:"Cancelled by a cv:* event listener",SUPERSEDED:"Superseded by a newer open or navigation call",CLOSED:"The viewer was closed before the item was shown",DESTROYED:"The viewer was destroyed",LOAD_FAILED:"The item could not be loaded"};function j(t,e){this.name="ViewerError",this.code=t,this.message=e||z[t]||t,this.stack=new Error(this.message).stack}function L(t){return t.catch(function(){}),t}function A(t,i,n){var o=t&&t.$container&&t.$container[0];return!o||"function"!=typeof e.CustomEvent||(n=l.extend({viewer:t,item:t.items&&t.items[t.idx]||null},n),o.dispatchEvent(new e.CustomEvent("cv:"+i,{bubbles:!0,cancelable:!0,detail:n})))}function E(t,e){if(!e||A(e,"download",{item:t,url:I(t,e)}))if(e&&e.items&&ht(e,"download",{item:t,index:e.items.indexOf(t),url:I(t,e)}),e&&"function"==typeof e.opts.onDownload)e.opts.onDownload(t,e);else{var n=I(t,e);if(n){var o=i.createElement("a");o.href=n,o.download=function(t){var e;e=s(t)||""===t?"file":"string"==typeof t?t:String(t);for(var i=new RegExp('[<>:"/\\\\|?*]',"g"),n="",o=0;o<e.length;o++){var a=e.charCodeAt(o);a>=32&&127!==a&&(n+=e.charAt(o))}return n.replace(i,"").trim()||"file"}(t.title),o.target="_blank",i.body.appendChild(o),o.click(),i.body.removeChild(o)}}}function B(){return i.fullscreenElement||i.webkitFullscreenElement||i.mozFullScreenElement||i.msFullscreenElement}j.prototype=Object.create(Error.prototype),j.prototype.constructor=j;var R={close:"Escape",prev:"ArrowLeft",next:"ArrowRight",zoomIn:["+","="],zoomOut:"-",rotateLeft:"[",rotateRight:"]",flipHorizontal:"h",flipVertical:"v",actualSize:!1,undo:["Ctrl+Z","Meta+Z"],redo:["Ctrl+Y","Ctrl+Shift+Z","Meta+Shift+Z"],playPause:"Space",mute:"m",speed:"r",hd:"q",download:"d",print:"p",fullscreen:"f",theme:"t",carousel:"c",info:"i",slideshow:"s",shortcuts:"?"},F={close:1,prev:1,next:1,shortcuts:1},N={space:" ",spacebar:" ",esc:"escape",left:"arrowleft",right:"arrowright",up:"arrowup",down:"arrowdown",plus:"+",minus:"-"};function H(t){var e,i=String(t);"+"===i?e=["+"]:i.length>2&&"++"===i.slice(-2)?(e=i.slice(0,-2).split("+")).push("+"):e=i.split("+");for(var n={key:"",ctrl:!1,alt:!1,shift:!1,meta:!1},o=0;o<e.length-1;o++){var a=e[o].trim().toLowerCase();if("ctrl"===a||"control"===a)n.ctrl=!0;else if("alt"===a||"option"===a)n.alt=!0;else if("shift"===a)n.shift=!0;else{if("meta"!==a&&"cmd"!==a&&"command"!==a)return null;n.meta=!0}}var r=e[e.length-1];return r=(r.length>1?r.trim():r).toLowerCase(),n.key=N[r]||r,n.key?n:null}function D(t){var e=t&&t.opts&&t.opts.keymap||{},i=X(t)?l.extend({},R,{prev:"ArrowRight",next:"ArrowLeft"}):R,n={};for(var o in R)if(Object.prototype.hasOwnProperty.call(R,o)){var a=Object.prototype.hasOwnProperty.call(e,o)?e[o]:i[o],r=Array.isArray(a)?a:s(a)||!1===a||""===a?[]:[a];n[o]=[];for(var c=0;c<r.length;c++){var h=s(r[c])||""===r[c]?null:H(r[c]);h&&n[o].push(h)}}return n}function V(t,e){var i=(e.key||"").toLowerCase();return"/"===i&&e.shiftKey&&(i="?"),t.alt&&e.code&&/^Key[A-Z]$/.test(e.code)&&(i=e.code.charAt(3).toLowerCase()),t.key===i&&t.ctrl===Boolean(e.ctrlKey)&&t.alt===Boolean(e.altKey)&&t.meta===Boolean(e.metaKey)&&(!(t.shift||t.key.length>1||/[a-z0-9]/.test(t.key))||t.shift===Boolean(e.shiftKey))}function U(t){var e=D(t),i=t&&t.opts&&t.opts.toolbar||{},n={rotateLeft:!0!==i.rotate,rotateRight:!0!==i.rotate,flipHorizontal:!0!==i.flip,flipVertical:!0!==i.flip,actualSize:!1===i.zoom,info:!Lt(t)},o={};for(var a in e)if(Object.prototype.hasOwnProperty.call(e,a)&&!n[a])for(var r=0;r<e[a].length;r++){var s=e[a][r];s.ctrl||s.alt||s.meta||(o[s.key]=1)}return o}function W(t){if(s(t)||"string"!=typeof t)return"";var e=i.createElement("div");e.innerHTML=t;for(var n=e.querySelectorAll("script"),o=0;o<n.length;o++)n[o].remove();for(var l=e.querySelectorAll("*"),c=0;c<l.length;c++){for(var h=l[c],u=[],d=0;d<h.attributes.length;d++)u.push(h.attributes[d].name);(function(t,e){e.forEach(function(e){if(0===e.toLowerCase().indexOf("on"))t.removeAttribute(e);else if(("href"===e||"xlink:href"===e)&&t.getAttribute(e)){var i=(t.getAttribute(e)||"").trim().toLowerCase();0!==i.indexOf(a)&&0!==i.indexOf(r)||t.setAttribute(e,"#")}})})(h,u)}return e.innerHTML}function Y(t,e){if(t.supplied)return String(t.supplied).split(",")[0].trim();var i=t.type||"video",n={mp4:"m4v",m4v:"m4v",webm:"webmv",ogv:"ogv",flv:"flv",mp3:"mp3",m4a:"m4a",ogg:"oga",oga:"oga",wav:"wav",fla:"fla"}[(t.fileExt||(t.src||"").split(".").pop()||"").toLowerCase()]||("video"===i?"m4v":"mp3");if(e){var o="video"===i?e.opts.supportedVideoFormats:e.opts.supportedAudioFormats;if(o){var a=o.split(",").map(function(t){return t.trim()}).filter(Boolean);if(a.length)return a.indexOf(n)>=0?n:a[0]}}return n}function X(t){return Boolean(t&&t.opts&&!0===t.opts.isRTL)}function q(t,e,i){if(t&&t.length&&e&&e.opts&&i){var n=void 0!==i.label&&null!==i.label?String(i.label):"",o=void 0!==i.tooltip&&null!==i.tooltip?String(i.tooltip):n,a=o||n;if(n||o){var r=t.find(".cv-tb-label");r.length&&""!==n&&r.text(n),!1!==e.opts.canShowTooltip&&""!==o&&t.attr("data-cv-tooltip",o),e.opts.wcag&&""!==a&&t.attr("aria-label",a)}}}var Z={mode:"hash",param:"cv",key:null,id:null,pushNavigation:!1},G=0;function K(t){var i=t.opts&&t.opts.history;return i&&e.history&&"function"==typeof e.history.pushState&&(i.id||t.$container.attr("id"))||null}function Q(t,e,i){var n=t.opts.history.key;return"function"==typeof n?String(n(e,i)):n&&e&&!s(e[n])?String(e[n]):String(i+1)}function J(t){for(var i=e.location,n=("query"===t.mode?i.search:i.hash).slice(1).split("&"),o=0;o<n.length;o++){var a=n[o].indexOf("=");if(a>0&&decodeURIComponent(n[o].slice(0,a))===t.param)return n[o].slice(a+1)}return null}function tt(t){var e=t?t.indexOf("/"):-1;if(e<1)return null;try{return{id:decodeURIComponent(t.slice(0,e)),key:decodeURIComponent(t.slice(e+1))}}catch(t){return null}}function et(t,i){var n=e.location,o=encodeURIComponent(t.param)+"="+i;if("query"!==t.mode)return n.pathname+n.search+(null===i?"":"#"+o);var a=n.search.slice(1).split("&").filter(function(e){return e&&decodeURIComponent(e.split("=")[0])!==t.param});return null!==i&&a.push(o),n.pathname+(a.length?"?"+a.join("&"):"")+n.hash}var it={key:"componentViewer",storage:null};function nt(t){var i=t&&t.opts&&t.opts.persist;if(!i)return null;if(i.storage)return i.storage;try{return e.localStorage||null}catch(t){return null}}function ot(t){var e=nt(t);if(!e)return{};try{var i=JSON.parse(e.getItem(t.opts.persist.key)||"null");return i&&"object"==typeof i?i:{}}catch(t){return{}}}function at(t,e){var i=nt(t);if(i)try{i.setItem(t.opts.persist.key,JSON.stringify(l.extend(ot(t),e)))}catch(t){}}function rt(t,e){if(nt(t)&&e){var i=ot(t);"number"==typeof i.volume&&(e.volume=Math.max(0,Math.min(1,i.volume))),"boolean"==typeof i.muted&&(e.muted=i.muted),"number"==typeof i.playbackRate&&i.playbackRate>0&&(e.defaultPlaybackRate=i.playbackRate,e.playbackRate=i.playbackRate),e.addEventListener("volumechange",function(){at(t,{volume:e.volume,muted:e.muted})}),e.addEventListener("ratechange",function(){at(t,{playbackRate:e.playbackRate})})}}function st(t){var e=ot(t),i={};return"number"==typeof e.volume&&(i.volume=Math.max(0,Math.min(1,e.volume))),"boolean"==typeof e.muted&&(i.muted=e.muted),"number"==typeof e.playbackRate&&e.playbackRate>0&&(i.playbackRate=e.playbackRate),i}function lt(t){return t._analytics||(t._analytics={queue:[],view:null,slides:null,resume:!1}),t._analytics}function ct(t){return!(!t||!t.opts||"function"!=typeof t.opts.onAnalytics)}function ht(t,e,i){if(ct(t)){var n=lt(t),o=l.extend({type:e,time:Date.now(),index:t.idx,item:t.items[t.idx]||null},i);o.itemType=o.item?o.item.type||"image":null,o.title=o.item&&!s(o.item.title)?String(o.item.title):"",n.queue.push(o);var a=t.opts.analytics,r=a&&a.batchSize>0?a.batchSize:u.analytics.batchSize;n.queue.length>=r&&ut(t,"batch")}}function ut(t,e){var i=t&&t._analytics;if(i&&i.queue.length&&t.opts){var n=i.queue.splice(0,i.queue.length);ct(t)&&A(t,"analytics",{events:n,reason:e})&&t.opts.onAnalytics(n,t)}}function dt(t,e){var i=lt(t);i.resume=!1,i.view={item:t.items[t.idx],index:t.idx,openedBy:e,start:Date.now(),maxZoom:1,pages:[],pageCount:0}}function pt(t,e,i){var n=t&&t._analytics,o=n&&n.view;if(o){n.view=null;var a={item:o.item,index:o.index,openedBy:o.openedBy,closedBy:e,dwell:Date.now()-o.start,maxZoom:o.maxZoom};o.pageCount&&(a.pages=o.pages.slice().sort(function(t,e){return t-e}),a.pageCount=o.pageCount);var r=function(t){var e=t&&t.length?t.find("video, audio")[0]:null;if(!e)return null;if(!(e.played&&e.duration>0&&isFinite(e.duration)))return 0;for(var i=0,n=0;n<e.played.length;n++)i+=e.played.end(n)-e.played.start(n);return Math.min(100,Math.round(i/e.duration*100))}(i);null!==r&&(a.watched=r),ht(t,"impression",a)}}var vt=[],ft=null,mt=!1;function gt(){return vt.length?vt[vt.length-1]:null}function yt(t,e){if(t&&t._overlay)return t._overlay;var i=e&&e.length?e.closest(".cv-overlay"):null;return i&&i.data("cv-overlay")||gt()}function _t(){for(var t=vt.length,e=0;e<t;e++){var i=vt[e];if(i.$el&&i.$el.length){var n=e===t-1;i.$el.css("z-index",2147483647-(t-1-e)).toggleClass("cv-stacked-below",!n),i.activeInstance&&i.activeInstance.opts.wcag&&i.$el[0].setAttribute("aria-hidden",n?"false":"true")}}}function bt(){for(var t=!1,e=0;e<vt.length;e++)if(!vt[e]._minimized){t=!0;break}t?(s(ft)&&(ft=i.body.style.overflow),i.body.style.overflow="hidden"):s(ft)||(i.body.style.overflow=ft,ft=null)}function wt(){this.uid=++wt._counter,this._closeCallbacks=[]}function xt(t){if(null==t||""===t)return 0;var e="number"==typeof t?t:parseFloat(String(t).replace(/,/g,""));return isFinite(e)&&e>0?e:0}function $t(t){if(!t||!t.length)return null;for(var e=1/0,i=1/0,n=-1/0,o=-1/0,a=0;a<t.length;a++){var r=t[a];if(r&&!(r.length<2)){var s=Number(r[0]),l=Number(r[1]);isNaN(s)||isNaN(l)||(e=Math.min(e,s),i=Math.min(i,l),n=Math.max(n,s),o=Math.max(o,l))}}return isFinite(e)&&isFinite(i)?{x:e,y:i,w:Math.max(0,n-e),h:Math.max(0,o-i)}:null}function Ct(t){var e=t&&(t.naturalWidth||parseFloat(t.getAttribute("data-cv-natural-width"))),i=t&&(t.naturalHeight||parseFloat(t.getAttribute("data-cv-natural-height")));return e&&i?{width:e,height:i}:null}function St(t){var e=t.offsetWidth+t.offsetHeight;if(!isFinite(e))return null;var i=Ct(t),n=i&&i.width,o=i&&i.height,a=t.clientWidth,r=t.clientHeight;if(!(n&&o&&a&&r))return null;var s=Math.min(a/n,r/o),l=n*s,c=o*s;return{nw:n,nh:o,cw:a,ch:r,fitScale:s,dispW:l,dispH:c,offsetX:(a-l)/2,offsetY:(r-c)/2}}function kt(t,e,i,n,o){var a=xt(t.imageWidth||t.sourceWidth||t.width||t.pageWidth||t.ocrWidth||e&&(e.imageWidth||e.sourceWidth||e.width)),r=xt(t.imageHeight||t.sourceHeight||t.height||t.pageHeight||t.ocrHeight||e&&(e.imageHeight||e.sourceHeight||e.height));a||(a=n),r||(r=o);var s=function(t){for(var e=0,i=0,n=0,o=t.length;n<o;n++){var a=t[n];if(a&&a.length)for(var r=0,s=a.length;r<s;r++)for(var l=a[r]&&a[r].box||[],c=0;c<l.length;c++){var h=l[c];if(h&&!(h.length<2)){var u=Number(h[0]),d=Number(h[1]);isNaN(u)||(e=Math.max(e,u)),isNaN(d)||(i=Math.max(i,d))}}}return{maxX:e,maxY:i}}(i);return s.maxX>n+.5&&(a=Math.max(a,s.maxX)),s.maxY>o+.5&&(r=Math.max(r,s.maxY)),{refW:a,refH:r}}function Tt(t){t.find(".cv-extract-overlay").remove()}wt._counter=0,wt.prototype={built:!1,visible:!1,activeInstance:null,_closing:!1,$el:null,$shell:null,$title:null,$counter:null,$stageWrap:null,$stage:null,$loader:null,$prev:null,$next:null,$footer:null,$pollOption:null,$footerRow:null,$toolbar:null,$zoomWidget:null,$zoomSlider:null,$zoomPct:null,_zoom:1,_panX:0,_panY:0,_rotation:0,_flipX:!1,_flipY:!1,_isPanning:!1,_panOriginX:0,_panOriginY:0,_panStartX:0,_panStartY:0,_pinchStartDist:0,_pinchStartZoom:1,_pinchMidX:0,_pinchMidY:0,_pinchPanStartX:0,_pinchPanStartY:0,_pinchMidStartX:0,_pinchMidStartY:0,_justEndedPinch:!1,_highResLoaded:!1,_highResLoading:!1,_highResSliderDebounceTimer:null,_isImageItem:!1,_isPdfItem:!1,_isCustomRendered:!1,_swipeStartX:0,_swipeStartY:0,_swipeEndX:0,_swipeEndY:0,_swipeTracking:!1,_minimized:!1,_minimizedSnapshot:null,_embedded:!1,_themeVars:null,_colorSchemeQuery:null,_onColorSchemeChange:null,ensure:function(t){if(!this.built){var e=function(t){var e=t&&t.opts;if(!e||"embedded"!==e.mode||s(e.mountTo))return null;var i=l(e.mountTo).first();return i.length?i:null}(t);this._embedded=Boolean(e);var i='<div class="cv-overlay"><div class="cv-backdrop" aria-hidden="true"></div><div class="cv-shell" id="cv-dialog-'+this.uid+'"><div class="cv-header"><div class="cv-header-left"><span class="cv-counter" id="cv-dialog-desc-'+this.uid+'"></span><span class="cv-header-slot cv-header-slot-left"></span></div><div class="cv-header-center"><span class="cv-title" id="cv-dialog-title-'+this.uid+'"></span><span class="cv-header-slot cv-header-slot-center"></span></div><div class="cv-header-right"><span class="cv-header-items"></span><button class="cv-comment-toggle" type="button" style="display:none">'+S.comment+'</button><button class="cv-info-toggle" type="button" style="display:none">'+S.info+'</button><button class="cv-carousel-toggle" type="button" style="display:none">'+S.thumbnails+'</button><button class="cv-fullscreen-toggle" type="button" style="display:none">'+S.fullscreen+'</button><button class="cv-minimize-toggle" type="button" style="display:none">'+S.minimize+'</button><button class="cv-theme-toggle" type="button">'+S.themeLight+'</button><button class="cv-close" type="button">'+S.close+'</button></div></div><div class="cv-body"><button class="cv-nav cv-nav-prev" type="button"><span class="cv-nav-icon">'+S.prev+'</span></button><div class="cv-stage-wrap"><div class="cv-loader"><div class="cv-spinner"></div></div><div class="cv-stage"></div><div class="cv-minimap" aria-hidden="true" style="display:none"><img class="cv-minimap-img" alt="" draggable="false" /><div class="cv-minimap-view"></div></div><div class="cv-comment-wrap" aria-hidden="true" role="region"><div class="cv-comment-nav" style="display:none"><button class="cv-comment-prev" type="button">'+S.prev+'</button><span class="cv-comment-counter" aria-live="polite"></span><button class="cv-comment-next" type="button">'+S.next+'</button></div><div class="cv-comment-title"></div><div class="cv-comment-author"></div><div class="cv-comment-sep"></div><div class="cv-comment-inner"></div></div></div><button class="cv-nav cv-nav-next" type="button"><span class="cv-nav-icon">'+S.next+'</span></button><div class="cv-info-panel" role="region" aria-hidden="true" style="display:none"><div class="cv-info-heading"></div><div class="cv-info-content"></div></div></div><div class="cv-carousel-wrap"><button class="cv-carousel-nav cv-carousel-prev" type="button">'+S.prev+'</button><div class="cv-carousel-inner"><div class="cv-carousel"></div></div><button class="cv-carousel-nav cv-carousel-next" type="button">'+S.next+'</button></div><div class="cv-footer"><div class="cv-slideshow-progress-wrap"><div class="cv-slideshow-progress-bar"></div></div><div class="cv-poll-option"></div><div class="cv-footer-row"><div class="cv-toolbar"></div><div class="cv-zoom-widget"><button class="cv-tb-btn cv-zoom-out-btn" type="button">'+S.zoomOut+'</button><input type="range" class="cv-zoom-slider" min="1" max="5" step="0.01" value="1" /><button class="cv-tb-btn cv-zoom-in-btn" type="button">'+S.zoomIn+'</button><span class="cv-zoom-pct">100%</span></div></div></div><div class="cv-shortcuts-popup" role="dialog" aria-hidden="true"></div><div class="cv-strip-message" id="cv-strip-message-'+this.uid+'" aria-live="polite" role="status"></div></div><button class="cv-restore-fab" type="button" style="display:none">'+S.restore+"</button></div>";this.$el=l(i).appendTo(e||"body"),this.$el.data("cv-overlay",this);var n={$backdrop:".cv-backdrop",$shell:".cv-shell",$title:".cv-title",$counter:".cv-counter",$headerSlotLeft:".cv-header-slot-left",$headerSlotCenter:".cv-header-slot-center",$headerItems:".cv-header-items",$themeToggle:".cv-theme-toggle",$fullscreenToggle:".cv-fullscreen-toggle",$minimizeToggle:".cv-minimize-toggle",$restoreFab:".cv-restore-fab",$stageWrap:".cv-stage-wrap",$stage:".cv-stage",$minimap:".cv-minimap",$minimapImg:".cv-minimap-img",$minimapView:".cv-minimap-view",$commentWrap:".cv-comment-wrap",$commentNav:".cv-comment-nav",$commentPrev:".cv-comment-prev",$commentNext:".cv-comment-next",$commentCounter:".cv-comment-counter",$commentTitle:".cv-comment-title",$commentAuthor:".cv-comment-author",$commentSep:".cv-comment-sep",$commentInner:".cv-comment-inner",$commentToggle:".cv-comment-toggle",$infoToggle:".cv-info-toggle",$infoPanel:".cv-info-panel",$infoContent:".cv-info-content",$loader:".cv-loader",$prev:".cv-nav-prev",$next:".cv-nav-next",$carouselWrap:".cv-carousel-wrap",$carousel:".cv-carousel",$carouselToggle:".cv-carousel-toggle",$carouselPrev:".cv-carousel-prev",$carouselNext:".cv-carousel-next",$footer:".cv-footer",$pollOption:".cv-poll-option",$footerRow:".cv-footer-row",$toolbar:".cv-toolbar",$stripMessage:".cv-strip-message",$zoomWidget:".cv-zoom-widget",$zoomSlider:".cv-zoom-slider",$zoomPct:".cv-zoom-pct",$slideshowProgressWrap:".cv-slideshow-progress-wrap",$slideshowProgressBar:".cv-slideshow-progress-bar",$shortcutsPopup:".cv-shortcuts-popup"};for(var o in n)this[o]="#"===n[o].charAt(0)?l(n[o]):this.$el.find(n[o]);if(this.$tooltip=l(),this.$zoomPct.hide(),this._embedded){var a=this;this.$shell.attr("tabindex","0"),this.$el[0].addEventListener("keydown",function(t){a._handleKeydown(t)&&(t.preventDefault(),t.stopPropagation())})}this._bindEvents(),this._bindTooltip(),this.built=!0}},_isRtl:function(t){return X(t||this.activeInstance)},_canMinimize:function(t){var e=t&&t.opts&&t.opts.minimize;return Boolean(e&&!1!==e.enabled&&!this._embedded)},_captureMinimizedSnapshot:function(t){if(!t||!t.items||t.idx<0||t.idx>=t.items.length)this._minimizedSnapshot=null;else{for(var e=[],i=0;i<t.items.length;i++){var n=l.extend(!0,{},t.items[i]);n.$el&&delete n.$el,e.push(n)}var o=t.items[t.idx],a=l.extend(!0,{},o);a.$el&&delete a.$el,this._minimizedSnapshot={items:e,item:a,$el:o&&o.$el?o.$el:null,idx:t.idx}}},_applyMinimizedUi:function(t,e){this._minimized=Boolean(e),this.$el.toggleClass("cv-minimized",this._minimized),this.$restoreFab.toggle(this._minimized),this.visible&&bt(),t&&(!1!==t.opts.canShowTooltip?(this.$minimizeToggle.attr("data-cv-tooltip",m(t,"minimize")),this.$restoreFab.attr("data-cv-tooltip",m(t,"restoreViewer"))):(this.$minimizeToggle.removeAttr("data-cv-tooltip"),this.$restoreFab.removeAttr("data-cv-tooltip")),t.opts.wcag?(this.$minimizeToggle.attr("aria-label",m(t,"minimize")),this.$restoreFab.attr("aria-label",m(t,"restoreViewer"))):(this.$minimizeToggle.removeAttr("aria-label"),this.$restoreFab.removeAttr("aria-label")))},_restoreFromMinimized:function(){var t=this,e=this.activeInstance;if(e){this._applyMinimizedUi(e,!1);var n=this._minimizedSnapshot;e._beforeCollectContext={trigger:"restore"},e._collectItems(function(){if(!e.items.length&&n&&n.items&&n.items.length)return e.items=l.extend(!0,[],n.items),e.idx=Math.max(0,Math.min(s(n.idx)?0:n.idx,e.items.length-1)),void t.loadItem();if(e.items.length){var o=Math.max(0,Math.min(e.idx,e.items.length-1));if(n&&n.$el&&n.$el.length){for(var a=0;a<e.items.length;a++)if(e.items[a].$el&&e.items[a].$el[0]===n.$el[0]){o=a;break}if(n.$el[0]&&(!l.contains(i,n.$el[0])||!n.$el.is(":visible"))&&n.items&&n.items.length)return e.items=l.extend(!0,[],n.items),e.idx=Math.max(0,Math.min(s(n.idx)?0:n.idx,e.items.length-1)),void t.loadItem()}e.idx=o,t.loadItem()}})}},_handleKeydown:function(t){if(!this.visible||!this.activeInstance)return!1;if(!this.activeInstance.opts.keyboardNav)return!1;var i=this,n=t.target&&t.target.tagName?t.target.tagName.toLowerCase():"",o=/(input|textarea|select)/.test(n);if(o&&l(t.target).hasClass("cv-annotate-text-input"))return!1;if(l(t.target).hasClass("cv-compare-divider")&&/^(ArrowLeft|ArrowRight|Home|End)$/.test(t.key))return!1;for(var a=function(t,e){var i=[];for(var n in t)if(Object.prototype.hasOwnProperty.call(t,n))for(var o=0;o<t[n].length;o++)if(V(t[n][o],e)){i.push(n);break}return i}(D(i.activeInstance),t),r=0;r<a.length;r++)if((!o||F[a[r]])&&i._runKeyAction(a[r]))return!0;if("Tab"===t.key&&i.activeInstance.opts.wcag&&!i._embedded){var s=i.$shortcutsPopup.hasClass("cv-open")?i.$shortcutsPopup[0]:i.$shell[0];if(s){var c=s.querySelectorAll('button, [href], input:not([disabled]), select, textarea, [tabindex]:not([tabindex="-1"])'),h=[].slice.call(c).filter(function(t){var i=e.getComputedStyle(t);return"none"!==i.display&&"hidden"!==i.visibility&&(null!==t.offsetParent||t.getBoundingClientRect().width>0)});if(h.length>0){var u=s.contains(t.target),d=h.indexOf(t.target);if(!u||-1===d)return t.preventDefault(),h[0].focus(),!0;if(t.shiftKey){if(0===d)return t.preventDefault(),h[h.length-1].focus(),!0}else if(d===h.length-1)return t.preventDefault(),h[0].focus(),!0;return!0}}}if(o)return!1;var p=(t.key||"").toLowerCase();if(!U(i.activeInstance)[p]){for(var v=i.activeInstance,f=i._isCustomRendered?[]:ke(v._currentRenderer,v.items[v.idx],v),m=0;m<f.length;m++)if(f[m].key===p)return f[m].handler(v.items[v.idx],v),!0;var g=p.replace(/\\/g,"\\\\").replace(/"/g,'\\"'),y=i.$toolbar.find('.cv-tb-btn[data-cv-shortcut="'+g+'"]:visible');if(y.length||(y=i.$headerItems.find('.cv-tb-btn[data-cv-shortcut="'+g+'"]:visible')),y.length)return y.first().trigger("click"),!0}return!1},_runKeyAction:function(t){var e=this,n=e.$shortcutsPopup,o=n&&n.length&&n.hasClass("cv-open");if("shortcuts"===t)return!1!==e.activeInstance.opts.shortcutsPopup&&(o?e._hideShortcutsPopup():e._showShortcutsPopup()),!0;if("close"===t)return o?(e._hideShortcutsPopup(),!0):B()?(i.exitFullscreen?i.exitFullscreen():i.webkitExitFullscreen?i.webkitExitFullscreen():i.mozCancelFullScreen?i.mozCancelFullScreen():i.msExitFullscreen&&i.msExitFullscreen(),setTimeout(function(){e._syncFullscreenToggle()},0),!0):!e._embedded&&(e.close(),!0);if("prev"===t||"next"===t)return e._nav(t),!0;if("zoomIn"===t||"zoomOut"===t){if(e._isImageItem){var a=e._zoomOpts(),r=s(a.wheelStep)?.25:a.wheelStep;return e._setZoom(e._steppedZoom("zoomOut"===t?-1:1,r)),!0}if(e._isPdfItem){var l=e.$toolbar.find("zoomOut"===t?".cv-tb-pdf-zoom-out:visible":".cv-tb-pdf-zoom-in:visible");return l.length&&l.first().trigger("click"),!0}return!1}if("actualSize"===t)return!e._isCustomRendered&&e._toggleActualSize();var c=!e._isCustomRendered&&e._animation&&e._animation.isReady()?e._animation:null;if("playPause"===t&&c)return c.toggle(),e._showMediaStateFeedback(c.isPlaying()?"play":"pause"),!0;if("speed"===t&&c)return c.cycleSpeed(),!0;var h=!e._isCustomRendered&&e.$stage.find(".jp-play, .jp-pause, .jp-mute, .jp-unmute, .cv-native-video, .cv-native-audio").length>0;if("playPause"===t&&h){var u=e.$stage.find(".jp-pause:visible");if(u.length)return u.first().trigger("click"),e._showMediaStateFeedback("pause"),!0;var d=e.$stage.find(".jp-play:visible, .cv-jp-big-play:visible");if(d.length)return d.first().trigger("click"),e._showMediaStateFeedback("play"),!0;var p=e.$stage.find(".cv-native-video")[0];if(p)return p.paused?(p.play(),e._showMediaStateFeedback("play")):(p.pause(),e._showMediaStateFeedback("pause")),!0}if("mute"===t&&h){var v=e.$stage.find(".jp-unmute:visible");if(v.length)return v.first().trigger("click"),e._showMediaStateFeedback("unmute"),!0;var f=e.$stage.find(".jp-mute:visible");if(f.length)return f.first().trigger("click"),e._showMediaStateFeedback("mute"),!0;var m=e.$stage.find(".cv-native-video")[0];if(m)return m.muted=!m.muted,e._showMediaStateFeedback(m.muted?"mute":"unmute"),!0}if("speed"===t&&h){var g=[.5,.75,1,1.25,1.5,2],y=e.$stage.find(".cv-jp-speed");if(y.length){var _=parseFloat(y.val())||1,b=g.indexOf(_);b<0&&(b=g.indexOf(1)),b<0&&(b=2);var w=g[(b+1)%g.length];return y.val(String(w)).trigger("change"),!0}var x=e.$stage.find(".cv-native-video")[0]||e.$stage.find(".cv-audio-wrap audio")[0];if(x){var $=x.playbackRate||1,C=g.indexOf($);if(C<0){for(C=0;C<g.length&&g[C]<$;)C+=1;C=Math.min(C,g.length-1)}var S=(C+1)%g.length;return x.playbackRate=g[S],!0}}var k={rotateLeft:function(){return e.$toolbar.find(".cv-tb-rotate-left:visible")},rotateRight:function(){return e.$toolbar.find(".cv-tb-rotate-right:visible")},flipHorizontal:function(){return e.$toolbar.find(".cv-tb-flip-horizontal:visible")},flipVertical:function(){return e.$toolbar.find(".cv-tb-flip-vertical:visible")},undo:function(){return e.$toolbar.find(".cv-tb-annotate-undo:not(:disabled):visible")},redo:function(){return e.$toolbar.find(".cv-tb-annotate-redo:not(:disabled):visible")},hd:function(){return e.$stage.find(".cv-jp-hd:visible")},download:function(){return e.$toolbar.find(".cv-tb-download:visible")},print:function(){return e.$toolbar.find(".cv-tb-pdf-print:visible")},fullscreen:function(){return e.$fullscreenToggle.filter(":visible")},theme:function(){return e.$themeToggle.filter(":visible")},carousel:function(){return e.$carouselToggle.filter(":visible")},info:function(){return e.$infoToggle.filter(":visible")},slideshow:function(){return e.$toolbar.find(".cv-slideshow-btn:visible")}};if(k[t]){var T=k[t]();if(T.length)return T.first().trigger("click"),!0}return!1},_bindEvents:function(){var t=this;this.$el.find(".cv-close").on("click",function(){t.close()}),this.$themeToggle.on("click",function(e){if(e.preventDefault(),e.stopPropagation(),t.activeInstance){var i=t.activeInstance;return i.setTheme(C(i)),!1}}),this.$carouselToggle.on("click",function(e){e.preventDefault(),t.activeInstance&&(t._carouselOpen=!t._carouselOpen,t._carouselOpen?t.$carouselWrap.addClass("cv-open"):t.$carouselWrap.removeClass("cv-open"),t.$carouselToggle.attr("aria-expanded",t._carouselOpen).toggleClass("cv-active",t._carouselOpen),t._updateCarouselNavVisibility(t.activeInstance),at(t.activeInstance,{carouselOpen:t._carouselOpen}))}),this.$fullscreenToggle.on("click",function(e){e.preventDefault(),t.activeInstance&&t._toggleOverlayFullscreen()}),this.$minimizeToggle.on("click",function(e){e.preventDefault(),t.activeInstance&&t._canMinimize(t.activeInstance)&&(t._captureMinimizedSnapshot(t.activeInstance),t._applyMinimizedUi(t.activeInstance,!0))}),this.$restoreFab.on("click",function(e){e.preventDefault(),t.activeInstance&&t._restoreFromMinimized()}),this.$commentToggle.on("click",function(e){e.preventDefault(),t.activeInstance&&(void 0===t._commentPanelVisible&&(t._commentPanelVisible=!0),t._commentPanelVisible=!t._commentPanelVisible,at(t.activeInstance,{commentPanelVisible:t._commentPanelVisible}),t.$commentWrap.toggle(t._commentPanelVisible).attr("aria-hidden",!t._commentPanelVisible),t.$commentToggle.attr("aria-expanded",t._commentPanelVisible).toggleClass("cv-active",t._commentPanelVisible),!1!==t.activeInstance.opts.canShowTooltip&&t.$commentToggle.attr("data-cv-tooltip",m(t.activeInstance,"toggleComment")))}),this.$infoToggle.on("click",function(e){e.preventDefault(),t.activeInstance&&(t._infoPanelOpen=!t._infoPanelOpen,at(t.activeInstance,{infoPanelOpen:t._infoPanelOpen}),t._syncInfoPanel(t.activeInstance),t._relayout())}),this.$commentPrev.on("click",function(e){e.preventDefault(),!t.activeInstance||!t._commentList||t._commentList.length<=1||(t._commentIndex=t._commentIndex<=0?t._commentList.length-1:t._commentIndex-1,t._renderCommentAt(t.activeInstance,t._commentList,t._commentIndex))}),this.$commentNext.on("click",function(e){e.preventDefault(),!t.activeInstance||!t._commentList||t._commentList.length<=1||(t._commentIndex=t._commentIndex>=t._commentList.length-1?0:t._commentIndex+1,t._renderCommentAt(t.activeInstance,t._commentList,t._commentIndex))}),this.$carouselPrev.on("click",function(e){e.preventDefault(),t._scrollCarouselBy(-570)}),this.$carouselNext.on("click",function(e){e.preventDefault(),t._scrollCarouselBy(570)}),this.$carousel.on("scroll",function(){clearTimeout(t._carouselScrollTimer),t._carouselScrollTimer=setTimeout(function(){t._fetchVisibleCarouselPages()},150)}),this.$prev.on("click",function(){t._nav("prev")}),this.$next.on("click",function(){t._nav("next")}),this.$backdrop[0].addEventListener("click",function(e){e.target===t.$backdrop[0]&&t.activeInstance&&t.activeInstance.opts.overlayClose&&t.close()});var e=".cv-overlay-fullscreen-"+this.uid;l(i).off(e).on("fullscreenchange"+e+" webkitfullscreenchange"+e+" mozfullscreenchange"+e+" msfullscreenchange"+e,function(){setTimeout(function(){t.$fullscreenToggle.length&&t.$fullscreenToggle.is(":visible")&&t._syncFullscreenToggle()},0)}),this.$zoomSlider.on("input",function(){if(t._isImageItem){var e=parseFloat(this.value)/t._zoomBase();if(0!==t._zoom){var i=e/t._zoom;t._panX*=i,t._panY*=i}t._zoom=e,Tt(t.$stage),t.$toolbar.find(".cv-tb-extract-text").removeClass("cv-active"),t._clampPan(),t._applyTransform(),t.$zoomPct.text(Math.round(100*parseFloat(this.value))+"%"),t._fireZoom(),null!=t._highResSliderDebounceTimer&&clearTimeout(t._highResSliderDebounceTimer),t._highResSliderDebounceTimer=setTimeout(function(){t._highResSliderDebounceTimer=null,t._loadHighResImageIfNeeded()},350)}}),this.$el.find(".cv-zoom-out-btn").on("click",function(){t._isImageItem&&t._setZoom(t._steppedZoom(-1,.25))}),this.$el.find(".cv-zoom-in-btn").on("click",function(){t._isImageItem&&t._setZoom(t._steppedZoom(1,.25))}),this.$zoomPct.on("click",function(){t._isImageItem&&t._setZoom(1)}),this.$stageWrap.on("dblclick",function(e){t._isImageItem&&(e.preventDefault(),t._toggleZoomAt(e.clientX,e.clientY))}),this.$stageWrap[0].addEventListener("wheel",function(e){if(t.visible&&t._isImageItem){e.preventDefault();var i=t._steppedZoom(e.deltaY<0?1:-1,t._zoomOpts().wheelStep);i!==t._zoom&&t._zoomAt(i,e.clientX,e.clientY)}},{passive:!1}),this.$stageWrap.on("mousedown",function(e){0===e.button&&t._canPan()&&(e.preventDefault(),t._isPanning=!0,t._panOriginX=e.clientX,t._panOriginY=e.clientY,t._panStartX=t._panX,t._panStartY=t._panY)});var n=".cv-pan-"+this.uid;l(i).off(n).on("mousemove"+n,function(e){t._isPanning&&(t._panX=t._panStartX+(e.clientX-t._panOriginX),t._panY=t._panStartY+(e.clientY-t._panOriginY),t._clampPan(),t._applyTransform())}),l(i).on("mouseup"+n,function(){t._isPanning=!1});var o=".cv-minimap-"+this.uid;function a(t,e){var i=t.originalEvent||t,n=i.touches&&i.touches[0]||i.changedTouches&&i.changedTouches[0]||i;return{x:n.clientX-e.left,y:n.clientY-e.top}}this.$minimap.on("mousedown touchstart",function(e){var n=e.originalEvent||e;if(!(n.touches&&n.touches.length>1||"mousedown"===e.type&&0!==e.button)){e.preventDefault(),e.stopPropagation();var r=t.$minimap[0].getBoundingClientRect(),s=a(e,r),c=t._minimapView,h=c&&s.x>=c.x&&s.x<=c.x+c.w&&s.y>=c.y&&s.y<=c.y+c.h,u=h?c.x+c.w/2-s.x:0,d=h?c.y+c.h/2-s.y:0;t.$minimap.addClass("cv-minimap-dragging"),t._panToMinimapPoint(s.x+u,s.y+d),l(i).off(o).on("mousemove"+o+" touchmove"+o,function(e){var i=a(e,r);t._panToMinimapPoint(i.x+u,i.y+d)}).on("mouseup"+o+" touchend"+o+" touchcancel"+o,function(){t.$minimap.removeClass("cv-minimap-dragging"),l(i).off(o)})}}),this.$minimap.on("dblclick wheel",function(t){t.stopPropagation()}),this.$stageWrap.on("touchstart",function(e){if(t._isImageItem){var i=e.originalEvent.touches;if(t._tapStart=1===i.length?{x:i[0].clientX,y:i[0].clientY,time:Date.now()}:null,2===i.length){e.preventDefault(),t._isPanning=!1,t._pinchStartDist=t._touchDist(i),t._pinchStartZoom=t._zoom,t._pinchPanStartX=t._panX,t._pinchPanStartY=t._panY;var n=t.$stageWrap[0].getBoundingClientRect(),o=(i[0].clientX+i[1].clientX)/2,a=(i[0].clientY+i[1].clientY)/2;t._pinchMidStartX=o-n.left-n.width/2,t._pinchMidStartY=a-n.top-n.height/2}else 1===i.length&&t._canPan()&&(t._isPanning=!0,t._panOriginX=i[0].clientX,t._panOriginY=i[0].clientY,t._panStartX=t._panX,t._panStartY=t._panY)}}),this.$stageWrap.on("touchmove",function(e){if(t._isImageItem){var i=e.originalEvent.touches;if(t._tapStart&&(1!==i.length||Math.abs(i[0].clientX-t._tapStart.x)>10||Math.abs(i[0].clientY-t._tapStart.y)>10)&&(t._tapStart=null),2===i.length&&t._pinchStartDist){e.preventDefault(),t._justEndedPinch=!1;var n=t._zoomOpts(),o=t._touchDist(i),a=Math.max(n.min,Math.min(t._zoomMax(),t._pinchStartZoom*(o/t._pinchStartDist))),r=(i[0].clientX+i[1].clientX)/2,s=(i[0].clientY+i[1].clientY)/2,l=t.$stageWrap[0].getBoundingClientRect(),c=r-l.left-l.width/2,h=s-l.top-l.height/2,u=a/t._zoom;t._panX=t._pinchMidStartX-u*(t._pinchMidStartX-t._pinchPanStartX)+(c-t._pinchMidStartX),t._panY=t._pinchMidStartY-u*(t._pinchMidStartY-t._pinchPanStartY)+(h-t._pinchMidStartY),t._zoom=a,Tt(t.$stage),t.$toolbar.find(".cv-tb-extract-text").removeClass("cv-active"),t._clampPan(),t._syncSlider(),t._applyTransform(),t._loadHighResImageIfNeeded()}else 1===i.length&&t._isPanning&&(t._justEndedPinch&&(t._panOriginX=i[0].clientX,t._panOriginY=i[0].clientY,t._panStartX=t._panX,t._panStartY=t._panY,t._justEndedPinch=!1),t._panX=t._panStartX+(i[0].clientX-t._panOriginX),t._panY=t._panStartY+(i[0].clientY-t._panOriginY),t._clampPan(),t._applyTransform())}}),this.$stageWrap.on("touchend touchcancel",function(e){var i=e.originalEvent.touches;if(1===i.length&&t._canPan()?(t._isPanning=!0,t._justEndedPinch=t._pinchStartDist>0,t._panOriginX=i[0].clientX,t._panOriginY=i[0].clientY,t._panStartX=t._panX,t._panStartY=t._panY):0===i.length&&(t._isPanning=!1,t._justEndedPinch=!1),t._pinchStartDist=0,0===i.length&&t._tapStart&&t._isImageItem){var n=t._tapStart,o=Date.now(),a=t._lastTap;t._tapStart=null,o-n.time<300&&(a&&o-a.time<350&&Math.abs(n.x-a.x)<30&&Math.abs(n.y-a.y)<30?(t._lastTap=null,e.preventDefault(),t._toggleZoomAt(n.x,n.y)):t._lastTap={x:n.x,y:n.y,time:o})}if(t._swipeTracking&&0===i.length){var r=t._swipeEndX-t._swipeStartX,s=t._swipeEndY-t._swipeStartY,l=t.activeInstance;l&&l.opts.overlayClose&&!1!==l.opts.swipeToClose&&!t._embedded&&s>=60&&s>Math.abs(r)?(e.preventDefault(),t.close()):l&&l.items.length>1&&!1!==l.opts.swipeNav&&!t._blocksSwipeNav()&&Math.abs(r)>=50&&Math.abs(r)>Math.abs(s)&&(e.preventDefault(),t._nav(t._isRtl(l)?r>0?"next":"prev":r>0?"prev":"next",!0)),t._swipeTracking=!1}}),this.$stageWrap.on("touchstart",function(e){var i=e.originalEvent.touches;if(1===i.length&&t.activeInstance){var n=t.activeInstance,o=n.items.length>1&&!1!==n.opts.swipeNav&&!t._blocksSwipeNav(),a=n.opts.overlayClose&&!1!==n.opts.swipeToClose&&!t._embedded;(o||a)&&(t._swipeStartX=i[0].clientX,t._swipeStartY=i[0].clientY,t._swipeEndX=t._swipeStartX,t._swipeEndY=t._swipeStartY,t._swipeTracking=!0)}}),this.$stageWrap.on("touchmove",function(e){t._swipeTracking&&1===e.originalEvent.touches.length&&(t._swipeEndX=e.originalEvent.touches[0].clientX,t._swipeEndY=e.originalEvent.touches[0].clientY)})},_normalizeComments:function(t){return t.comments&&Array.isArray(t.comments)&&0!==t.comments.length?t.comments.map(function(t){var e=t&&null!==t.text&&void 0!==t.text?String(t.text).trim():"";return{title:t&&null!==t.title&&void 0!==t.title?String(t.title).trim():"",author:t&&null!==t.author&&void 0!==t.author?String(t.author).trim():"",text:e}}).filter(function(t){return""!==t.title||""!==t.author||""!==t.text}):[]},_renderCommentAt:function(t,e,i){if(!(!e||!e.length||i<0||i>=e.length)){var n=e[i],o=s(n.title)?"":String(n.title).trim(),a=s(n.author)?"":String(n.author).trim(),r=s(n.text)?"":String(n.text).trim();this.$commentTitle.text(o).toggle(""!==o),this.$commentAuthor.text(a?m(t,"commentBy")+" "+a:"").toggle(""!==a),this.$commentSep.toggle(""!==o||""!==a),this.$commentInner.text(r).toggle(""!==r),this.$commentCounter.text(m(t,"commentCounter",[i+1,e.length])),t.opts.wcag&&(this.$commentPrev.attr("aria-label",m(t,"commentPrev")),this.$commentNext.attr("aria-label",m(t,"commentNext")))}},_syncInfoPanel:function(t,e){var i=Lt(t),n=i&&Boolean(this._infoPanelOpen);this.$infoToggle.toggle(i).attr("aria-expanded",n).toggleClass("cv-active",n),i&&t.opts.wcag&&this.$infoToggle.attr("aria-label",m(t,"toggleInfo")),this.$infoPanel.toggle(n).attr("aria-hidden",!n),this.$infoPanel.find(".cv-info-heading").text(m(t,"info")),this.$shell.toggleClass("cv-info-open",n),n?e||this._renderInfoPanel(t):this.$infoContent.empty()},_renderInfoPanel:function(t){var e=this,i=t.items[t.idx];if(i&&this._infoPanelOpen&&Lt(t)){for(var n=Ct(this.$stage.find(".cv-image")[0]),o=O(i,t),a=!1!==t.opts.info.exif&&"image"===(i.type||"image")&&o&&T(o)&&"function"==typeof fetch&&"function"==typeof DataView?function(t,e){var i=t._imageMetadata||(t._imageMetadata={});if(!i[e]){var n=i[e]={done:!1,meta:null};n.promise=fetch(e,{method:"GET",credentials:"include",headers:{Range:"bytes=0-"+(Dt-1)}}).then(function(t){if(!t.ok)throw new Error(String(t.status));return t.arrayBuffer()}).then(Ht).catch(function(){return null}).then(function(t){return n.done=!0,n.meta=t,t})}return i[e]}(t,o):null,r=function(t,e,i,n){var o,a=[];function r(e,i){s(i)||i!=i||""===String(i)||o.push([m(t,e),String(i)])}function l(e){o.length&&a.push({title:m(t,e),rows:o}),o=[]}var c=(n=n||{}).iptc||{},h=n.gps||{};o=[],r("infoName",e.title),r("infoType",e.mimeType||(e.fileExt?String(e.fileExt).toUpperCase():null)),r("infoSize",e.fileSize),i&&r("infoDimensions",m(t,"infoDimensionsValue",[i.width,i.height])),r("infoColorProfile",n.iccProfile||jt[n.colorSpace]),l("infoSectionFile");var u=n.make||"",d=n.model||"";r("infoCamera",0===d.indexOf(u)?d:(u+" "+d).trim()),r("infoLens",n.lens),r("infoDateTaken",n.dateTaken||n.dateTime?function(t,e){var i=/^(\d{4}):(\d{2}):(\d{2})[ T](\d{2}):(\d{2})(?::(\d{2}))?/.exec(String(t));if(!i)return String(t);var n=new Date(+i[1],i[2]-1,+i[3],+i[4],+i[5],+(i[6]||0));try{return n.toLocaleString(e.opts.locale||void 0)}catch(t){return n.toLocaleString()}}(n.dateTaken||n.dateTime,t):null),"number"==typeof n.exposureTime&&n.exposureTime>0&&r("infoExposure",(n.exposureTime>=1?Ut(n.exposureTime,1):"1/"+Math.round(1/n.exposureTime))+" s"),"number"==typeof n.fNumber&&n.fNumber>0&&r("infoAperture","f/"+Ut(n.fNumber,1)),r("infoIso",Array.isArray(n.iso)?n.iso[0]:n.iso),"number"==typeof n.focalLength&&n.focalLength>0&&r("infoFocalLength",Ut(n.focalLength,1)+" mm"),r("infoSoftware",n.software),l("infoSectionCamera");var p=Vt(h.latitude,h.latitudeRef),v=Vt(h.longitude,h.longitudeRef);isFinite(p)&&isFinite(v)&&r("infoCoordinates",Ut(p,6)+", "+Ut(v,6)),"number"==typeof h.altitude&&r("infoAltitude",Ut(1===h.altitudeRef?-h.altitude:h.altitude,1)+" m"),r("infoCity",c.city),r("infoCountry",c.country),l("infoSectionLocation"),r("infoTitle",c.title),r("infoHeadline",c.headline),r("infoCaption",c.caption),r("infoKeywords",c.keywords?c.keywords.join(", "):null),r("infoCreator",c.creator||n.artist),r("infoCopyright",n.copyright||c.copyright),r("infoCredit",c.credit),r("infoSource",c.source),l("infoSectionDescription");var f=e.metadata;if(f&&"object"==typeof f)for(var g in f)if(Object.prototype.hasOwnProperty.call(f,g)&&!s(f[g])&&""!==f[g]){var y=f[g];o.push([g,Array.isArray(y)?y.join(", "):"object"==typeof y?JSON.stringify(y):String(y)])}return l("infoSectionDetails"),a}(t,i,n,a&&a.meta),l="",c=0;c<r.length;c++){l+='<div class="cv-info-section"><div class="cv-info-section-title">'+k(r[c].title)+'</div><dl class="cv-info-list">';for(var h=0;h<r[c].rows.length;h++)l+="<dt>"+k(r[c].rows[h][0])+"</dt><dd>"+k(r[c].rows[h][1])+"</dd>";l+="</dl></div>"}a&&!a.done&&(l+='<div class="cv-info-loading">'+k(m(t,"infoLoading"))+"</div>",a.promise.then(function(){e.activeInstance===t&&t.items[t.idx]===i&&e._renderInfoPanel(t)})),this.$infoContent.html(l)}},_bindTooltip:function(){var t,i=this;function n(){t=setTimeout(function(){i.$tooltip&&i.$tooltip.length&&(i.$tooltip.removeClass("cv-tooltip-visible").attr("aria-hidden","true").remove(),i.$tooltip=l())},50)}this.$el.on("mouseenter.cv-tooltip","[data-cv-tooltip]",function(o){!function(o){var a=o.attr("data-cv-tooltip");if(a){if(clearTimeout(t),!i.$tooltip||!i.$tooltip.length){var r=l('<div class="cv-tooltip" id="cv-tooltip-'+i.uid+'" aria-hidden="true"></div>');(B()===i.$el[0]?i.$el:l("body")).append(r),r.on("mouseenter.cv-tooltip",function(){clearTimeout(t)}),r.on("mouseleave.cv-tooltip",n),i.$tooltip=r}i.$tooltip.text(a).attr("aria-hidden","false").addClass("cv-tooltip-visible");var s=o[0].getBoundingClientRect(),c=i.$tooltip[0].getBoundingClientRect(),h=s.left+s.width/2-c.width/2,u=s.top-c.height-6;u<8&&(u=s.bottom+6);var d=Math.max(8,e.innerWidth-c.width-8);h=Math.max(8,Math.min(d,h)),i.$tooltip.css({left:h+"px",top:u+"px"})}}(l(o.currentTarget))}),this.$el.on("mouseleave.cv-tooltip","[data-cv-tooltip]",function(t){n()})},_applyTooltips:function(t){if(t&&this.$el.length)for(var e=!1!==t.opts.canShowTooltip,i=function(i,n){e?i.attr("data-cv-tooltip",m(t,n)):i.removeAttr("data-cv-tooltip")},n=B(),o=this._isRtl(t)?"scrollCarouselRight":"scrollCarouselLeft",a=this._isRtl(t)?"scrollCarouselLeft":"scrollCarouselRight",r=[[this.$el.find(".cv-close"),"close"],[this.$carouselToggle,"attachments"],[this.$fullscreenToggle,n===this.$el[0]?"exitFullscreen":"fullscreen"],[this.$infoToggle,"toggleInfo"],[this.$prev,"previousItem"],[this.$next,"nextItem"],[this.$carouselPrev,o],[this.$carouselNext,a],[this.$el.find(".cv-zoom-out-btn"),"zoomOut"],[this.$zoomSlider,"zoomLevel"],[this.$el.find(".cv-zoom-in-btn"),"zoomIn"]],s=0;s<r.length;s++)i(r[s][0],r[s][1])},_nav:function(t,e){if(this.activeInstance){var i=e?{transition:!0}:void 0;"prev"===t?this.activeInstance.prev(i):this.activeInstance.next(i)}},_fetchVisibleCarouselPages:function(){var t=this.activeInstance,e=this.$carousel&&this.$carousel[0];if(t&&t._provider&&e&&e.children.length&&this._carouselEnabled(t)){var i=Math.abs(e.scrollLeft),n=t._providerPaging().pageSize,o=Number(e.firstElementChild.getAttribute("data-cv-index")),a=Number(e.lastElementChild.getAttribute("data-cv-index"));i<=114&&o>0&&t._fetchProviderPage(Math.floor((o-1)/n)),i+e.clientWidth>=e.scrollWidth-114&&a+1<t.items.length&&t._fetchProviderPage(Math.floor((a+1)/n))}},_scrollCarouselBy:function(t,e){var i=this.$carousel&&this.$carousel[0];if(i){var n=this._isRtl(e)?-t:t;"function"==typeof i.scrollBy?i.scrollBy({left:n,behavior:"smooth"}):i.scrollLeft+=n}},_zoomOpts:function(){return this.activeInstance&&this.activeInstance.opts.zoom||u.zoom},_zoomMax:function(){var t=this._zoomOpts().max;return this._isTiledItem?Math.max(t,2/this._zoomBase()):t},_steppedZoom:function(t,e){var i=this._isTiledItem?this._zoom*Math.pow(1+e,t):this._zoom+t*e;return Math.max(this._zoomOpts().min,Math.min(this._zoomMax(),i))},_setZoom:function(t){var e=Math.max(this._zoomOpts().min,Math.min(this._zoomMax(),t));if(e!==this._zoom){var i=e/this._zoom;this._panX*=i,this._panY*=i,Tt(this.$stage),this.$toolbar.find(".cv-tb-extract-text").removeClass("cv-active")}this._zoom=e,this._clampPan(),this._syncSlider(),this._applyTransform(),this._loadHighResImageIfNeeded()},_zoomAt:function(t,e,i){var n=this.$stageWrap[0].getBoundingClientRect(),o=e-n.left-n.width/2,a=i-n.top-n.height/2,r=t/this._zoom;this._panX=o-r*(o-this._panX),this._panY=a-r*(a-this._panY),this._zoom=t,Tt(this.$stage),this.$toolbar.find(".cv-tb-extract-text").removeClass("cv-active"),this._clampPan(),this._syncSlider(),this._applyTransform(),this._loadHighResImageIfNeeded()},_toggleZoomAt:function(t,e){var i=this._zoomOpts(),n=i.doubleClickZoom;if(!(!1===n||this._annotator&&this._annotator.isActive()))if(this._zoom>1)this._setZoom(1);else{var o=Math.max(i.min,Math.min(this._zoomMax(),parseFloat(n)||2));o!==this._zoom&&this._zoomAt(o,t,e)}},_syncSlider:function(){this._syncZoomUi(),this._fireZoom()},_syncZoomUi:function(){var t=this._zoomOpts(),e=this._zoomBase();this.$zoomSlider.attr({min:t.min*e,max:this._zoomMax()*e}),this.$zoomSlider.val(this._zoom*e),this.$zoomPct.text(Math.round(this._zoom*e*100)+"%")},_zoomBase:function(){var t=this._isImageItem?this.$stage.find(".cv-image")[0]:null,e=Ct(t)?St(t):null;return e?e.fitScale*this._fitScale(t):1},_fitMode:function(){return this._isCompareItem?"contain":this._imageFit||"contain"},_setImageFit:function(t){-1!==ae.indexOf(t)&&("actual"!==t&&(this._imageFitBeforeActual=t),this._imageFit=t,this._zoom=1,this._panX=0,this._panY=0,Tt(this.$stage),this.$toolbar.find(".cv-tb-extract-text").removeClass("cv-active"),this.$toolbar.find(".cv-image-fit-select").val(t),this._clampPan(),this._syncSlider(),this._applyTransform(),this._annotator&&this._annotator.layout())},_toggleActualSize:function(){return!(!this._isImageItem||this._isCompareItem||(this._setImageFit("actual"===this._imageFit?this._imageFitBeforeActual||"contain":"actual"),0))},_fireZoom:function(){var t=this.activeInstance;if(t){A(t,"zoom",{zoom:this._zoom}),function(t,e){var i=t&&t._analytics&&t._analytics.view;i&&e>i.maxZoom&&(i.maxZoom=e)}(t,this._zoom);var e=t.opts.zoom&&t.opts.zoom.onZoom;"function"==typeof e&&e(this._zoom,t.items[t.idx],t)}},_applyTransform:function(){this._tiledViewer&&this._tiledViewer.layout();var t=this.$stage.find(".cv-image");if(t.length){var e=this._imageTransform(t[0]);t.css("transform",e),t.css("cursor",this._canPan()?"grab":""),this.$stage.find(".cv-extract-overlay").css("transform",e),this.$stage.find(".cv-annotate-layer").css("transform",e),this.$stage.find(".cv-anim-canvas").css({transform:e,cursor:this._canPan()?"grab":""}),this._syncMinimap()}else this._syncMinimap()},_minimapGeometry:function(){if(!this.activeInstance||!this._isImageItem||this._isCompareItem||!this._zoomOpts().minimap||!this._canPan())return null;var t=this.$stage.find(".cv-image")[0],e=Ct(t)?St(t):null,i=this.$stageWrap[0].clientWidth,n=this.$stageWrap[0].clientHeight;if(!e||!i||!n)return null;var o=this._zoom*this._fitScale(t),a=this._rotation%180!=0,r=(a?e.dispH:e.dispW)*o,s=(a?e.dispW:e.dispH)*o;return{img:t,turned:a,W:r,H:s,sw:i,sh:n,k:se/Math.max(r,s)}},_syncMinimap:function(){if(this.$minimap&&this.$stage){var t=this._minimapGeometry();if(t){var e=t.W*t.k,i=t.H*t.k,n=t.img.currentSrc||t.img.src||t.img.getAttribute("data-cv-preview")||"";(this.$minimapImg.attr("src")||"")!==n&&this.$minimapImg.attr("src",n),this.$minimapImg.toggle(""!==n);var o="translate(-50%, -50%)";(this._flipX||this._flipY)&&(o+=" scale("+(this._flipX?-1:1)+","+(this._flipY?-1:1)+")"),this._rotation&&(o+=" rotate("+this._rotation+"deg)"),this.$minimapImg.css({width:t.turned?i:e,height:t.turned?e:i,transform:o});var a=Math.max(0,t.W/2-this._panX-t.sw/2),r=Math.min(t.W,t.W/2-this._panX+t.sw/2),s=Math.max(0,t.H/2-this._panY-t.sh/2),l=Math.min(t.H,t.H/2-this._panY+t.sh/2);this._minimapView={x:a*t.k,y:s*t.k,w:(r-a)*t.k,h:(l-s)*t.k},this.$minimapView.css({left:this._minimapView.x,top:this._minimapView.y,width:this._minimapView.w,height:this._minimapView.h}),this.$minimap.css({width:e,height:i}).show()}else this.$minimap.hide()}},_relayout:function(){this.visible&&this.$stage&&this.$stage.length&&(this.$stage.find(".cv-extract-overlay").length&&(Tt(this.$stage),this.$toolbar&&this.$toolbar.length&&this.$toolbar.find(".cv-tb-extract-text").removeClass("cv-active")),this._isImageItem&&(this._clampPan(),this._applyTransform(),this._syncZoomUi()),this._annotator&&this._annotator.layout())},_panToMinimapPoint:function(t,e){var i=this._minimapGeometry();i&&(this._panX=i.W/2-t/i.k,this._panY=i.H/2-e/i.k,this._clampPan(),this._applyTransform())},_imageTransform:function(t){var e="translate(-50%, -50%) translate("+(this._panX||0)+"px,"+(this._panY||0)+"px) scale("+(this._zoom||1)*this._fitScale(t)+")";return(this._flipX||this._flipY)&&(e+=" scale("+(this._flipX?-1:1)+","+(this._flipY?-1:1)+")"),this._rotation&&(e+=" rotate("+this._rotation+"deg)"),e},_fitScale:function(t){var e=this._fitMode();if("contain"===e&&this._rotation%180==0||!t||!this.$stageWrap||!this.$stageWrap[0])return 1;var i=t.offsetWidth,n=t.offsetHeight,o=this.$stageWrap[0].clientWidth,a=this.$stageWrap[0].clientHeight;if(!(i&&n&&o&&a))return 1;var r=Ct(t),s=r?r.width:i,l=r?r.height:n,c=this._rotation%180!=0;return function(t,e,i,n,o){return"actual"===t?1:"cover"===t?Math.max(n/e,o/i):"fit-width"===t?n/e:"fit-height"===t?o/i:Math.min(1,n/e,o/i)}(e,c?l:s,c?s:l,o,a)/(i/s)},_rotateImage:function(t){this._isImageItem&&(this._rotation=((this._rotation+t)%360+360)%360,this._panX=0,this._panY=0,this._clampPan(),this._applyTransform(),this._syncZoomUi(),this._fireImageRotate())},_flipImage:function(t){this._isImageItem&&("y"===t?this._flipY=!this._flipY:this._flipX=!this._flipX,this.$toolbar.find(".cv-tb-flip-horizontal").toggleClass("cv-active",this._flipX),this.$toolbar.find(".cv-tb-flip-vertical").toggleClass("cv-active",this._flipY),this._applyTransform(),this._fireImageRotate())},_fireImageRotate:function(){var t=this.activeInstance;if(t){var e={horizontal:this._flipX,vertical:this._flipY};A(t,"rotate",{degrees:this._rotation,flip:e}),"function"==typeof t.opts.onImageRotate&&t.opts.onImageRotate(t.items[t.idx],this._rotation,t,e)}},_panLimits:function(){var t={x:0,y:0},e=this.$stage.find(".cv-image")[0];if(this._zoom<=1&&"contain"===this._fitMode())return t;var i=e&&l(e.parentNode).hasClass("cv-compare-pane")?e.parentNode:this.$stageWrap[0];if(!i)return t;var n=i.clientWidth,o=i.clientHeight,a=Ct(e)?St(e):null;if(!a)return{x:Math.max(0,(this._zoom-1)*n/2),y:Math.max(0,(this._zoom-1)*o/2)};var r=this._zoom*this._fitScale(e),s=this._rotation%180!=0,c=(s?a.dispH:a.dispW)*r,h=(s?a.dispW:a.dispH)*r;return{x:Math.max(0,(c-n)/2),y:Math.max(0,(h-o)/2)}},_canPan:function(){if(!this._isImageItem)return!1;var t=this._panLimits();return t.x>0||t.y>0},_blocksSwipeNav:function(){return this._isImageItem&&(this._zoom>1||this._panLimits().x>0)},_clampPan:function(){var t=this._panLimits();this._panX=Math.max(-t.x,Math.min(t.x,this._panX)),this._panY=Math.max(-t.y,Math.min(t.y,this._panY))},_resetZoomPan:function(){this._zoom=1,this._panX=0,this._panY=0,this._rotation=0,this._flipX=!1,this._flipY=!1,this._lastTap=null,this._syncMinimap(),this._isPanning=!1,this._pinchStartDist=0,this._justEndedPinch=!1,this._highResLoaded=!1,this._highResLoading=!1,null!=this._highResSliderDebounceTimer&&(clearTimeout(this._highResSliderDebounceTimer),this._highResSliderDebounceTimer=null),this._syncSlider()},_touchDist:function(t){var e=t[0].clientX-t[1].clientX,i=t[0].clientY-t[1].clientY;return Math.sqrt(e*e+i*i)},_loadHighResImageIfNeeded:function(){var t=this.activeInstance;if(t&&t.items&&!(t.idx<0)&&!(!this._isImageItem||this._isCompareItem||this._isTiledItem||this._animation||this._highResLoading)){var e=this._zoomOpts().loadHighResUrlAt;if(!(!1===e||null==e||this._zoom<=e||this._highResLoaded)){var i=t.items[t.idx],n=M(i,t,"zoomUrl"),o=n&&T(n)?n:(i.zoomUrl&&T(i.zoomUrl)?i.zoomUrl:null)||I(i,t);if(o){var a=this.$stage.find(".cv-image");if(a.length)if((a.attr("src")||"")!==o||a.attr("srcset")){this._highResLoading=!0,this.$loader.addClass("cv-active");var r=this,s=a[0];s.removeAttribute("srcset"),s.removeAttribute("sizes");var l=function(){if(!r.activeInstance||r.activeInstance!==t)return r._highResLoading=!1,void r.$loader.removeClass("cv-active");r._highResLoading=!1,r._highResLoaded=!0,r.$loader.removeClass("cv-active"),r._clampPan(),r._applyTransform()};a.one("load",l).one("error",function(){r._highResLoading=!1,r.$loader.removeClass("cv-active")}),s.src=o,setTimeout(function(){r._highResLoading&&s.complete&&s.naturalWidth&&(a.off("load error"),l())},0)}else this._highResLoaded=!0}}}},_applyOptions:function(t){this.$commentWrap.attr("aria-label",m(t,"attachmentComment")),this.$commentPrev.attr("aria-label",m(t,"commentPrev")),this.$commentNext.attr("aria-label",m(t,"commentNext")),this.$shortcutsPopup.attr("aria-label",m(t,"keyboardShortcuts")),t.opts.wcag?(this.$el[0].setAttribute("aria-hidden","false"),this.$shell[0].setAttribute("role",this._embedded?"region":"dialog"),this._embedded?this.$shell[0].removeAttribute("aria-modal"):this.$shell[0].setAttribute("aria-modal","true"),this.$shell[0].setAttribute("aria-labelledby","cv-dialog-title-"+this.uid),this.$shell[0].setAttribute("aria-describedby","cv-dialog-desc-"+this.uid),this.$title[0].setAttribute("aria-live","polite"),this.$counter[0].setAttribute("aria-live","polite"),this.$el.find(".cv-close").attr("aria-label",m(t,"close")),this.$el.find(".cv-carousel-toggle").attr("aria-label",m(t,"attachments")),this.$el.find(".cv-nav-prev").attr("aria-label",m(t,"previousItem")),this.$el.find(".cv-nav-next").attr("aria-label",m(t,"nextItem")),this.$el.find(".cv-zoom-out-btn").attr("aria-label",m(t,"zoomOut")),this.$el.find(".cv-zoom-slider").attr("aria-label",m(t,"zoomLevel")),this.$el.find(".cv-zoom-in-btn").attr("aria-label",m(t,"zoomIn")),this.$carouselPrev.attr("aria-label",m(t,this._isRtl(t)?"scrollCarouselRight":"scrollCarouselLeft")),this.$carouselNext.attr("aria-label",m(t,this._isRtl(t)?"scrollCarouselLeft":"scrollCarouselRight"))):(this.$el[0].removeAttribute("aria-hidden"),this.$shell[0].removeAttribute("role"),this.$shell[0].removeAttribute("aria-modal"),this.$shell[0].removeAttribute("aria-labelledby"),this.$shell[0].removeAttribute("aria-describedby"),this.$title[0].removeAttribute("aria-live"),this.$counter[0].removeAttribute("aria-live"),this.$el.find(".cv-close, .cv-carousel-toggle, .cv-nav-prev, .cv-nav-next, .cv-zoom-out-btn, .cv-zoom-slider, .cv-zoom-in-btn").removeAttr("aria-label"),this.$carouselPrev.add(this.$carouselNext).removeAttr("aria-label"),this.$themeToggle.removeAttr("aria-label"),this.$fullscreenToggle.removeAttr("aria-label"),this.$commentToggle.removeAttr("aria-label"),this.$infoToggle.removeAttr("aria-label")),this._applyTheme(t),this.$el.attr("dir",this._isRtl(t)?"rtl":"ltr"),this.$shell.attr("dir",this._isRtl(t)?"rtl":"ltr"),this.$themeToggle.toggle(!1!==t.opts.themeToggle);var e=t.opts.zoom||u.zoom;this.$zoomSlider.attr({min:e.min,max:e.max,step:e.step}),this._updateNavButtons(t),this._carouselEnabled(t)&&t.items.length>0?(this.$carouselToggle.show(),this._buildCarousel(t),this.$carouselWrap.toggleClass("cv-open",Boolean(this._carouselOpen)),this.$carouselToggle.attr("aria-expanded",Boolean(this._carouselOpen)).toggleClass("cv-active",Boolean(this._carouselOpen)),this._updateCarouselNavVisibility(t)):(this._carouselOpen=!1,this.$carouselToggle.hide().removeClass("cv-active"),this.$carouselWrap.removeClass("cv-open")),this.$fullscreenToggle.toggle(!1!==t.opts.fullscreen),this.$minimizeToggle.toggle(this._canMinimize(t)),this.$infoPanel.attr("aria-label",m(t,"info")),this._syncInfoPanel(t,!this.visible),this._syncFullscreenToggle(),this._applyTooltips(t),this._applyMinimizedUi(t,this._minimized),this._stageOnlyEnabled(t)?this.$shell.addClass("cv-stage-only"):this.$shell.removeClass("cv-stage-only"),this._stageOnlyEnabled(t)&&t.opts.slideshow&&t.opts.slideshow.enabled&&t.items.length>1?this.$shell.addClass("cv-slideshow-visible"):this.$shell.removeClass("cv-slideshow-visible")},open:function(t){this.ensure(t),this.activeInstance=t,this._swipeTracking=!1,this._minimizedSnapshot=null,t.opts.wcag&&!this._embedded&&(this._focusBeforeOpen=i.activeElement),this._carouselOpen=!1,this._minimized=!1,this._imageFit=this._imageFitBeforeActual=le(t),this._infoPanelOpen=Boolean(t.opts.info&&t.opts.info.open);var n=ot(t);if(!1!==t.opts.themeToggle&&b(n.theme)&&(t.opts.theme=n.theme),"boolean"==typeof n.carouselOpen&&(this._carouselOpen=n.carouselOpen),"boolean"==typeof n.commentPanelVisible&&(this._commentPanelVisible=n.commentPanelVisible),"boolean"==typeof n.infoPanelOpen&&(this._infoPanelOpen=n.infoPanelOpen),this._applyOptions(t),this.$el.addClass("cv-visible"),this.visible=!0,this._closing=!1,!this._embedded){var o=vt.indexOf(this);-1!==o&&vt.splice(o,1),vt.push(this),_t(),bt()}var a=this;l(i).off("visibilitychange.cv-analytics-"+this.uid).on("visibilitychange.cv-analytics-"+this.uid,function(){a._onVisibilityChange()}),l(e).off("resize.cv-extract-overlay-"+this.uid).on("resize.cv-extract-overlay-"+this.uid,function(){a._relayout()}),"loading"===t._beforeOpenPhase?this._enterBeforeOpenLoading(t):t._pendingGateContent&&t._pendingGateContent.html?this._showGateContent(t):this.loadItem(),t.opts.wcag&&!this._embedded&&(a=this,setTimeout(function(){var e;(e=a._stageOnlyEnabled(t)&&!a._stageOnlyHideNav(t)?a.$prev.is(":visible")?a.$prev[0]:a.$next[0]:a._stageOnlyEnabled(t)?a.$el.find(".cv-close")[0]||a.$stage[0]:a.$el.find(".cv-close")[0])&&e.focus()},0))},_updateNavButtons:function(t){return!t||t.items.length<=1||this._stageOnlyEnabled(t)&&this._stageOnlyHideNav(t)?(this.$prev.hide(),void this.$next.hide()):void(t.opts.loop?(this.$prev.show(),this.$next.show()):(this.$prev.toggle(t.idx>0),this.$next.toggle(t.idx<t.items.length-1)))},_preloadAdjacentImages:function(t){if(t&&t.items.length&&!1!==t.opts.preloadAdjacentImages){var e,i,n=t.items.length;t.opts.loop?(e=(t.idx+1)%n,i=(t.idx-1+n)%n):(e=t.idx+1<n?t.idx+1:-1,i=t.idx-1>=0?t.idx-1:-1);var o=function(e){if(e&&"image"===(e.type||"image")){var i=O(e,t)||e.src;i&&T(i)&&((new Image).src=i)}};e>=0&&o(t.items[e]),i>=0&&i!==e&&o(t.items[i])}},_carouselEnabled:function(t){if(!t)return!1;var e=t.opts.carousel;return Boolean(e&&e.enabled)},_carouselNavThreshold:function(t){if(!t)return 4;var e=t.opts.carousel;return e&&null!==e.navThreshold&&void 0!==e.navThreshold?e.navThreshold:4},_stageOnlyEnabled:function(t){if(!t||!t.opts.stageOnly)return!1;var e=t.opts.stageOnly;return!0===e||e&&!0===e.enabled},_stageOnlyHideNav:function(t){return!(!t||!t.opts.stageOnly||"object"!=typeof t.opts.stageOnly)&&!0===t.opts.stageOnly.hideNavigation},_buildCarousel:function(t){this.$carousel.empty();for(var e=0;e<t.items.length;e++)t.items[e]._cvPending||this.$carousel.append(this._carouselItem(t,e));this._updateCarouselSelection(t),this._updateCarouselNavVisibility(t)},_refreshCarouselItems:function(t,e,i){var n=this.$carousel[0];if(n){for(var o=null,a=[].slice.call(n.children),r=0;r<a.length;r++){var s=Number(a[r].getAttribute("data-cv-index"));s>=e&&s<i?n.removeChild(a[r]):s>=i&&!o&&(o=a[r])}for(var l=e;l<i&&l<t.items.length;l++)if(!t.items[l]._cvPending){var c=this._carouselItem(t,l);l===t.idx&&c.addClass("cv-active").attr("aria-current","true"),n.insertBefore(c[0],o)}}},_carouselItem:function(t,e){var i=this,n=t.items[e],o=l('<button type="button" class="cv-carousel-item" data-cv-index="'+e+'"></button>');t.opts.wcag&&o.attr("aria-label",m(t,"carouselItemLabel",[e+1,t.items.length])),o.on("click",function(n){n.preventDefault(),t===i.activeInstance&&e!==t.idx&&t.goTo(e)});var a=n.type||"image";"audio"!==a&&"video"!==a||!function(t){var e=(t.fileExt||(t.src||"").split(".").pop()||(t.title||"").split(".").pop()||"").toLowerCase();return/^(png|jpe?g|gif|webp|bmp|ico|svg)$/.test(e)}(n)||(a="image");var r,c=null,h=M(n,t,"thumbnailUrl")||n.thumbnailUrl,u=M(n,t,"src")||n.src;"image"===a&&(h||u)&&T(h||u)?c=h&&T(h)?h:u:("video"===a||"audio"===a||"tiled"===a)&&h&&T(h)&&(c=h),r="pdf"===a?m(t,"pdf"):"video"===a?m(t,"typeVideo"):"audio"===a?m(t,"audio"):"inline"===a?m(t,"typeCode"):"markdown"===a?m(t,"typeMarkdown"):"html"===a?m(t,"typeHtml"):"error"===a?m(t,"typeError"):(n.fileExt||a).slice(0,4);var d=s(n.title)||""===n.title?"":String(n.title).trim();if(c){var p=l('<img class="cv-carousel-thumb" alt="">').attr("src",c);p.on("error",function(){o.addClass("cv-carousel-no-thumb")}),o.append(p),"video"!==a&&"audio"!==a||o.append(l('<span class="cv-carousel-play-icon">'+S.play+"</span>"))}else o.addClass("cv-carousel-no-thumb").text(d?function(t,e){if(s(t)||""===t)return"";var i=String(t).trim();return i.length<=e?i:i.slice(0,e-1)+"…"}(d,12):r);return d&&o.attr("title",d),o},_updateCarouselNavVisibility:function(t){if(t&&this._carouselEnabled(t)){var e=this._carouselNavThreshold(t),i=t.items.length>e;this.$carouselPrev.toggle(i),this.$carouselNext.toggle(i)}},_updateCarouselSelection:function(t){if(t&&this._carouselEnabled(t)){this.$carousel.find(".cv-carousel-item").removeClass("cv-active").attr("aria-current",null);var e=this.$carousel.find('.cv-carousel-item[data-cv-index="'+t.idx+'"]');e.addClass("cv-active").attr("aria-current","true");var i=e[0];i&&i.scrollIntoView({block:"nearest",inline:"center",behavior:"smooth"})}},_applyTheme:function(t){var e=x(t),i=this.$el[0];i.className=function(t,e,i,n){var o=$(t),a="cv-overlay cv-theme-"+o+(t!==o?" cv-theme-"+t:"");X(n)&&(a+=" cv-rtl"),e&&(a+=" cv-visible"),i&&(a+=" cv-closing");var r=n&&n._overlay;return r&&r._minimized&&(a+=" cv-minimized"),r&&r._embedded&&(a+=" cv-embedded"),r&&r.visible&&-1!==vt.indexOf(r)&&r!==gt()&&(a+=" cv-stacked-below"),a}(e,this.visible,this._closing,t);var n=this._themeVars||{},o=_(e),a=o?o.vars:{};for(var r in n)Object.prototype.hasOwnProperty.call(n,r)&&!Object.prototype.hasOwnProperty.call(a,r)&&i.style.removeProperty(r);for(var s in a)Object.prototype.hasOwnProperty.call(a,s)&&i.style.setProperty(s,a[s]);this._themeVars=a,this._watchColorScheme("auto"===t.opts.theme),this._syncThemeToggle()},_watchColorScheme:function(t){var i=this;if(t!==Boolean(this._colorSchemeQuery)&&"function"==typeof e.matchMedia){if(t)return this._colorSchemeQuery=e.matchMedia(y),this._onColorSchemeChange=function(){i.activeInstance&&i.$el&&"auto"===i.activeInstance.opts.theme&&i._applyTheme(i.activeInstance)},void(this._colorSchemeQuery.addEventListener?this._colorSchemeQuery.addEventListener("change",this._onColorSchemeChange):this._colorSchemeQuery.addListener(this._onColorSchemeChange));this._colorSchemeQuery.removeEventListener?this._colorSchemeQuery.removeEventListener("change",this._onColorSchemeChange):this._colorSchemeQuery.removeListener(this._onColorSchemeChange),this._colorSchemeQuery=null,this._onColorSchemeChange=null}},_syncThemeToggle:function(){var t=this.activeInstance;if(t){var e,i=C(t);e="dark"===i||"light"===i?m(t,"light"===i?"switchToLightMode":"switchToDarkMode"):"auto"===i?m(t,"switchToAutoMode"):m(t,"switchToTheme",[_(i).label]);var n="auto"===i?w()?"dark":"light":$(i);t.opts.wcag&&this.$themeToggle.attr("aria-label",e),!1!==t.opts.canShowTooltip?this.$themeToggle.attr("data-cv-tooltip",e):this.$themeToggle.removeAttr("data-cv-tooltip"),this.$themeToggle.html("light"===n?S.themeLight:S.themeDark)}},_syncFullscreenToggle:function(){var t=B()===this.$el[0],e=this.activeInstance,n=m(e,t?"exitFullscreen":"fullscreen");e&&e.opts.wcag&&this.$fullscreenToggle.attr("aria-label",n),this.$fullscreenToggle.html(t?S.fullscreenExit:S.fullscreen),e&&!1!==e.opts.canShowTooltip?this.$fullscreenToggle.attr("data-cv-tooltip",n):e&&this.$fullscreenToggle.removeAttr("data-cv-tooltip"),e&&this._applyTooltips(e),this.$tooltip&&this.$tooltip.length&&(t&&this.$tooltip.parent()[0]!==this.$el[0]?this.$el.append(this.$tooltip):t||this.$tooltip.parent()[0]===i.body||l("body").append(this.$tooltip))},_toggleOverlayFullscreen:function(){var t=this.$el[0],e=B(),n=this;e&&e===t?(i.exitFullscreen?i.exitFullscreen():i.webkitExitFullscreen?i.webkitExitFullscreen():i.mozCancelFullScreen?i.mozCancelFullScreen():i.msExitFullscreen&&i.msExitFullscreen(),setTimeout(function(){n._syncFullscreenToggle()},50)):(t.requestFullscreen?t.requestFullscreen():t.webkitRequestFullscreen?t.webkitRequestFullscreen():t.mozRequestFullScreen?t.mozRequestFullScreen():t.msRequestFullscreen&&t.msRequestFullscreen(),setTimeout(function(){n._syncFullscreenToggle()},100))},close:function(t,n){if(this.$tooltip&&this.$tooltip.length&&(this.$tooltip.removeClass("cv-tooltip-visible").attr("aria-hidden","true").remove(),this.$tooltip=l()),this._hideShortcutsPopup(),!this.activeInstance)return n&&n(),!0;if(this._closing)return n&&this._closeCallbacks.push(n),!0;if(!A(this.activeInstance,"close")&&!t)return!1;this._closeCallbacks=n?[n]:[],this.activeInstance._rejectLoad("CLOSED");var o=vt.indexOf(this);if(-1!==o){for(var a=vt.length-1;a>o;a--)vt[a].close(!0);vt.splice(vt.indexOf(this),1),_t()}this._closing=!0;var r=this.activeInstance,s=r.items[r.idx];r._clearHistory();var c=r.opts.wcag;r._slideshowTimer&&(clearTimeout(r._slideshowTimer),r._slideshowTimer=null),B()===this.$el[0]&&(i.exitFullscreen?i.exitFullscreen():i.webkitExitFullscreen?i.webkitExitFullscreen():i.mozCancelFullScreen?i.mozCancelFullScreen():i.msExitFullscreen&&i.msExitFullscreen());var h=this;return this._applyMinimizedUi(r,!1),this._minimizedSnapshot=null,this.$el.addClass("cv-closing"),l(i).off("visibilitychange.cv-analytics-"+this.uid),pt(r,"close",this.$stage),ut(r,"close"),A(r,"cleanup"),"function"==typeof r.opts.onCleanup&&s&&r.opts.onCleanup(s,r),setTimeout(function(){l(e).off("resize.cv-extract-overlay-"+h.uid),l(i).off(".cv-pan-"+h.uid).off(".cv-minimap-"+h.uid).off(".cv-overlay-fullscreen-"+h.uid),h._destroyCurrent(r),A(r,"closed",{item:s}),"function"==typeof r.opts.onClose&&s&&r.opts.onClose(s,r),h.$el.removeClass("cv-visible cv-closing"),bt(),c&&h.$el[0].setAttribute("aria-hidden","true"),c&&(h.$title[0]&&h.$title[0].removeAttribute("aria-live"),h.$counter[0]&&h.$counter[0].removeAttribute("aria-live")),h.$stage.empty(),h.$loader.removeClass("cv-active"),h._clearToolbarToggleActiveStates(),h._resetZoomPan(),h._swipeTracking=!1,r&&(r._openContext=null,r._pendingGateContent=null,r._beforeOpenPhase=null),h.visible=!1,h.activeInstance=null,h._closing=!1;var t=h._closeCallbacks;h._closeCallbacks=[],c&&h._focusBeforeOpen&&"function"==typeof h._focusBeforeOpen.focus&&h._focusBeforeOpen.focus(),h._focusBeforeOpen=null,h._stripMessageTimer&&(clearTimeout(h._stripMessageTimer),h._stripMessageTimer=null),h._watchColorScheme(!1),h._themeVars=null,h.$el&&h.$el.length&&h.$el.remove(),h.built=!1,h.$el=null,h.$shell=null,h.$stage=null,h.$stageWrap=null,h.$toolbar=null,h.$loader=null,h.$prev=null,h.$next=null,h.$footer=null;for(var n=0;n<t.length;n++)t[n]()},300),!0},_enterBeforeOpenLoading:function(t){this._destroyCurrent(t),this.$stage.empty(),this.$loader.addClass("cv-active"),this.$footer.hide(),this.$toolbar.empty(),this._clearHeaderExtras(),this.$pollOption.removeClass("cv-active").empty().hide(),this.$counter.closest(".cv-header-left").hide(),this.$prev.hide(),this.$next.hide(),this._carouselEnabled(t)&&this.$carouselToggle.hide(),this._clearToolbarToggleActiveStates();var e=t.items[t.idx];this.$title.text(e&&!s(e.title)&&""!==e.title?String(e.title):""),this.$title.closest(".cv-header-center").show()},_finishBeforeOpenProceed:function(t){t&&this.activeInstance===t&&(t._pendingGateContent&&t._pendingGateContent.html?(t._beforeOpenPhase="gate",this._showGateContent(t)):(t._beforeOpenPhase=null,this.loadItem()))},_showGateContent:function(t){var e=t._pendingGateContent;if(!e||!e.html)return t._beforeOpenPhase=null,void this.loadItem();var i=this;this.$stage.empty().append(e.html),this.$title.text(""),this.$counter.closest(".cv-header-left").hide(),this.$prev.hide(),this.$next.hide(),this._carouselEnabled(t)&&this.$carouselToggle.hide(),this.$footer.hide(),this.$toolbar.empty(),this._clearHeaderExtras(),this.$pollOption.removeClass("cv-active").empty().hide(),this.$loader.removeClass("cv-active"),this._clearToolbarToggleActiveStates();var n=this.$stage.find("[data-cv-gate-proceed]");n.off("click.cv-gate").on("click.cv-gate",function(o){o.preventDefault();var a="function"==typeof e.onProceed?e.onProceed():{};t._openContext=a||{},t._pendingGateContent=null,t._beforeOpenPhase=null,n.off("click.cv-gate"),i.loadItem()})},loadItem:function(t){var e=this.activeInstance;if(e&&e.items[e.idx]){if(this._carouselEnabled(e)&&e.items.length>0&&(this._buildCarousel(e),this._updateCarouselSelection(e),this._updateCarouselNavVisibility(e)),(t=t||{}).transition&&this.$stage.children().length>0){var i=this;return this.$stageWrap.addClass("cv-stage-out"),void setTimeout(function(){i.$stageWrap.removeClass("cv-stage-out"),i._loadItemCore(e,!0)},280)}this._loadItemCore(e,!1)}},_loadItemCore:function(t,e){var i=t.items[t.idx];if(i){A(t,"loading"),"function"==typeof t.opts.onLoading&&t.opts.onLoading(i,t),this._trackView(t,i),this._destroyCurrent(t),this.$stage.empty(),this.$loader.removeClass("cv-active"),this._clearToolbarToggleActiveStates(),this._resetZoomPan(),this._syncHeader(t,i),t._syncHistory();var n=i.type||"image",o=null;if(this._isCustomRendered=!1,this._isImageItem=!1,this._isCompareItem=!1,this._isTiledItem=!1,this._isPdfItem=!1,this._isHtmlItem=!1,"function"==typeof t.opts.onRender&&(o=t.opts.onRender(i,this.$stage,t),this.$stage.children().length>0&&(this._isCustomRendered=!0)),t._currentRenderer=null,!this._isCustomRendered){var a=function(t,e){for(var i=xe.length-1;i>=0;i--){var n=we[xe[i]];if("function"==typeof n.match&&n.match(t,e))return{type:xe[i],def:n}}var o=t.type||"image",a=Se(o);return a?{type:o,def:a}:null}(i,t);a&&(this._isCompareItem="compare"===a.type,this._isTiledItem="tiled"===a.type,this._isImageItem="image"===a.type||this._isCompareItem||this._isTiledItem,this._isPdfItem="pdf"===a.type,this._isHtmlItem="html"===a.type,t._currentRenderer={type:a.type,def:a.def,item:i},o=a.def.render(i,this.$stage,t))}0===this.$stage.children().length&&function(t,e,i){_e(t,m(i,"previewNotAvailable"),e)}(i,this.$stage,t);var r=this.$el.find(".cv-body");this._isPdfItem?(r.addClass("cv-body-pdf"),this.$stageWrap.addClass("cv-stage-wrap-pdf"),this.$stage.addClass("cv-stage-pdf")):(r.removeClass("cv-body-pdf"),this.$stageWrap.removeClass("cv-stage-wrap-pdf"),this.$stage.removeClass("cv-stage-pdf")),"image"===n||"compare"===n||"tiled"===n||"inline"===n||"markdown"===n?this.$shell.addClass("cv-stage-light-bg"):this.$shell.removeClass("cv-stage-light-bg");var l=this._normalizeComments(i);Boolean(t.opts.showAttachmentComment)&&l.length>0?(this._commentList=l,this._commentIndex=0,this._renderCommentAt(t,l,0),l.length>1?(this.$commentNav.show(),t.opts.wcag&&(this.$commentPrev.attr("aria-label",m(t,"commentPrev")),this.$commentNext.attr("aria-label",m(t,"commentNext")))):this.$commentNav.hide(),void 0===this._commentPanelVisible&&(this._commentPanelVisible=!0),this.$commentWrap.toggle(this._commentPanelVisible).attr("aria-hidden",!this._commentPanelVisible),this.$commentToggle.show().attr("aria-expanded",this._commentPanelVisible).toggleClass("cv-active",this._commentPanelVisible),!1!==t.opts.canShowTooltip&&this.$commentToggle.attr("data-cv-tooltip",m(t,"toggleComment")),t.opts.wcag&&this.$commentToggle.attr("aria-label",m(t,"toggleComment"))):(this._commentList=null,this.$commentTitle.empty(),this.$commentAuthor.empty(),this.$commentInner.empty(),this.$commentNav.hide(),this.$commentWrap.hide().attr("aria-hidden","true"),this.$commentToggle.hide().removeClass("cv-active")),this._syncInfoPanel(t),t._currentResult=o||{},"inline"===n&&o&&null!==o.inlineContent&&void 0!==o.inlineContent&&(t._inlineContent=o.inlineContent),this._resolveToolbar(t,o||{}),this._updatePollOption(t,i),!this.$pollOption.hasClass("cv-active")||o&&o.imageError||this.$footer.show(),this._updateNavButtons(t),this._preloadAdjacentImages(t),this._updateCarouselSelection(t),A(t,"open",{$stage:this.$stage}),"function"==typeof t.opts.onOpen&&t.opts.onOpen(i,this.$stage,t);var c=!(o&&o.settlesLoad);e||(A(t,"complete",{item:i}),"function"==typeof t.opts.onComplete&&t.opts.onComplete(i,t),c&&t._settleLoad(i)),t._slideshowTimer&&(clearTimeout(t._slideshowTimer),t._slideshowTimer=null);var h=t.opts.slideshow;if(h&&h.enabled&&t.items.length>1&&!t._slideshowPaused&&(!1!==h.autoStart||t._slideshowPlaying)){var u=1e3*(!s(h.interval)&&h.interval>0?h.interval:4),d="onEnd"===h.advanceMedia?"onEnd":"interval";if(t._slideshowPlaying=!0,function(t){var e=lt(t);e.slides||(e.slides={seen:{},count:0,start:Date.now(),done:!1});var i=e.slides;i.seen[t.idx]||(i.seen[t.idx]=!0,i.count++),!i.done&&i.count>=t.items.length&&(i.done=!0,ht(t,"slideshowComplete",{slides:i.count,duration:Date.now()-i.start}))}(t),"onEnd"===d){var p=this.$stage.find("video, audio");p.length?(p.one("ended",function(){t._slideshowTimer&&(clearTimeout(t._slideshowTimer),t._slideshowTimer=null),t._overlay.activeInstance===t&&t.next({transition:!0})}),t._slideshowTimer=setTimeout(function(){t._overlay.activeInstance===t&&t.next({transition:!0})},u)):t._slideshowTimer=setTimeout(function(){t._overlay.activeInstance===t&&t.next({transition:!0})},u)}else t._slideshowTimer=setTimeout(function(){t._overlay.activeInstance===t&&t.next({transition:!0})},u);h.showProgress&&this._startSlideshowProgress(u);var v=this.$toolbar.find(".cv-slideshow-btn");if(v.length){var f=m(t,"pauseSlideshow");q(v,t,{label:f,tooltip:f})}}else this._stopSlideshowProgress(),lt(t).slides=null;if(e&&this.$stage.children().length>0){var g=this;this.$stage.addClass("cv-stage-in"),requestAnimationFrame(function(){requestAnimationFrame(function(){g.$stage.addClass("cv-stage-in-visible"),setTimeout(function(){g.$stage.removeClass("cv-stage-in cv-stage-in-visible"),A(t,"complete",{item:i}),"function"==typeof t.opts.onComplete&&t.opts.onComplete(i,t),c&&t._settleLoad(i)},320)})})}}},_trackView:function(t,e){var i=t._analyticsTrigger||"open",n=t._analytics&&t._analytics.view;t._analyticsTrigger=null,n&&n.item===e||(pt(t,i,this.$stage),dt(t,i))},_onVisibilityChange:function(){var t=this.activeInstance;t&&t.opts&&!this._closing&&("hidden"===i.visibilityState?(t._analytics&&t._analytics.view&&(pt(t,"hidden",this.$stage),t._analytics.resume=!0),ut(t,"hidden")):t._analytics&&t._analytics.resume&&t.items[t.idx]&&dt(t,"visible"))},_syncHeader:function(t,e){this.$title.text(s(e.title)||""===e.title?"":String(e.title)),this.$counter.text(m(t,"counter",[t.idx+1,t.items.length]));var i=this._fillHeaderSlot(this.$headerSlotLeft,t.opts.headerLeft,t,e);if(this._fillHeaderSlot(this.$headerSlotCenter,t.opts.headerCenter,t,e),this.$counter.toggle(!1!==t.opts.showCounter),"html"===(e.type||"image")){var n=!s(e.title)&&""!==e.title;this.$title.closest(".cv-header-center").toggle(n),this.$counter.closest(".cv-header-left").toggle(n)}else this.$title.closest(".cv-header-center").show(),this.$counter.closest(".cv-header-left").show();!1!==t.opts.showCounter||i||this.$counter.closest(".cv-header-left").hide(),this._syncHeaderItems(t)},_syncHeaderItems:function(t){this.$headerItems.empty(),this._resolvedHeaderItems=t.opts.headerItems||[],this._renderToolbarItems(this.$headerItems,this._resolvedHeaderItems,t),this.$headerItems.toggle(this.$headerItems.children().length>0)},_fillHeaderSlot:function(t,e,i,n){var o="function"==typeof e?e(n,i):e;return t.empty(),s(o)||""===o||!1===o?(t.hide(),!1):("string"==typeof o||"number"==typeof o?t.text(String(o)):t.append(o),t.show(),!0)},_clearHeaderExtras:function(){this.$headerSlotLeft.empty().hide(),this.$headerSlotCenter.empty().hide(),this.$headerItems.empty().hide(),this._resolvedHeaderItems=[]},_destroyCurrent:function(t){t._currentResult&&"function"==typeof t._currentResult.destroy&&t._currentResult.destroy(),t._currentResult=null;var e=t._currentRenderer;e&&"function"==typeof e.def.destroy&&e.def.destroy(e.item,t),t._currentRenderer=null},_startSlideshowProgress:function(t){if(this.$slideshowProgressWrap&&this.$slideshowProgressBar.length){this.$slideshowProgressBar.css({transition:"none",width:"0%"}),this.$slideshowProgressWrap.show();var e=this.$slideshowProgressBar[0];e&&e.getBoundingClientRect(),this.$slideshowProgressBar.css({transition:"width "+t+"ms linear",width:"100%"})}},_stopSlideshowProgress:function(){this.$slideshowProgressWrap&&this.$slideshowProgressBar.length&&(this.$slideshowProgressWrap.hide(),this.$slideshowProgressBar.css({transition:"none",width:"0%"}))},_slideshowButtonItem:function(t){var e=this,i=t.opts.slideshow;if(!i||!i.enabled||!t.items||t.items.length<2)return null;if(!0===i.autoStart&&!0===i.hideSlideshowButton)return null;var n=!t._slideshowPaused&&(!1!==i.autoStart||t._slideshowPlaying),o=1e3*(!s(i.interval)&&i.interval>0?i.interval:4);return{id:"slideshow",className:"cv-slideshow-btn",showLabel:!0,label:m(t,n?"pauseSlideshow":"playSlideshow"),onClick:function(){var n=!t._slideshowPaused&&(!1!==i.autoStart||t._slideshowPlaying),a=e.$toolbar.find(".cv-slideshow-btn");if(n){t._slideshowPaused=!0,t._slideshowTimer&&(clearTimeout(t._slideshowTimer),t._slideshowTimer=null),e._stopSlideshowProgress();var r=m(t,"playSlideshow");q(a,t,{label:r,tooltip:r})}else{t._slideshowPaused=!1,t._slideshowPlaying=!0,t._slideshowTimer=setTimeout(function(){e.activeInstance===t&&t.next({transition:!0})},o),i.showProgress&&e._startSlideshowProgress(o);var s=m(t,"pauseSlideshow");q(a,t,{label:s,tooltip:s})}}}},_resolveToolbar:function(t,e){if(this._isHtmlItem){this.$zoomWidget.hide(),this.$zoomPct.hide();var n=this._slideshowButtonItem(t),o=t.items[t.idx],a=!1!==(t.opts.toolbar||{}).download&&I(o,t),r=n?[n]:[],c=this;(function(t,e){return!(!e||!e.opts)&&!0===(e.opts.toolbar||{}).toggleSource&&"function"==typeof e.opts.resolveMarkdownToggleUrl&&function(t,e){if(!t||"html"!==t.type)return!1;var i=String(t.fileExt||"").toLowerCase().replace(/^\./,"");if("md"===i||"markdown"===i)return!0;if(/\.(md|markdown)$/i.test(String(t.title||"")))return!0;var n=String(e&&O(t,e)||t.src||"");return/\.(md|markdown)(\?|#|$)/i.test(n)}(t,e)&&function(t,e){var i=O(t,e)||t.src;return Boolean(i&&T(i))}(t,e)})(o,t)&&(t._htmlMdShowingSource=!1,r.length&&r.push("separator"),r.push({id:"html-md-source",icon:S.extractText,label:m(t,"htmlMdToggleSource"),showLabel:!1,onClick:function(t,e){var i=e.opts.resolveMarkdownToggleUrl;if("function"==typeof i){var n=!e._htmlMdShowingSource,o=i(t,e,n);if(!s(o)&&""!==String(o).trim()){e._htmlMdShowingSource=n;var a=c.$stage.find("iframe.cv-html-iframe");a.length&&a.attr("src",String(o).trim());var r=c.$toolbar.find(".cv-tb-html-md-source"),l=e._htmlMdShowingSource,h=m(e,l?"htmlMdToggleMarkdown":"htmlMdToggleSource");r.toggleClass("cv-active",Boolean(l)),q(r,e,{tooltip:h})}}}})),this._buildToolbar(t,r,a);var h=this.$toolbar.children().length>0,u=t.opts.slideshow,d=Boolean(u&&u.enabled&&u.showProgress&&t.items&&t.items.length>1);h||d?this.$footer.show():this.$footer.hide()}else{if(e&&e.imageError)return this.$zoomWidget.hide(),this.$zoomPct.hide(),this._buildToolbar(t,[],!1),void this.$footer.hide();var p;if(this._stageOnlyEnabled(t)&&(p=this._slideshowButtonItem(t)))return this.$zoomWidget.hide(),this.$zoomPct.hide(),this._buildToolbar(t,[p],!1),void this.$footer.show();if(this._stageOnlyEnabled(t))return this.$zoomWidget.hide(),this.$zoomPct.hide(),this._buildToolbar(t,[],!1),void this.$footer.hide();var v,f=t.opts.toolbar||{},g=this._isImageItem&&!this._isCustomRendered&&!1!==f.zoom,y=t.opts.zoom||{},_=Boolean(y.showPercentage);if(this.$zoomWidget.toggle(g),this.$zoomPct.toggle(g&&_),this._isCustomRendered){var b=e.toolbar||[];this._buildToolbar(t,b,!1)}else{var w=e&&e.toolbar?e.toolbar:[],x=[];(w=w.concat(function(t,e,i,n){if(!t||!t.def.toolbar)return[];var o=t.def.toolbar;return"function"==typeof o&&(o=o(e,i,n)),Array.isArray(o)?o:[]}(t._currentRenderer,t.items[t.idx],t,e))).length&&(x=x.concat(w));var $=t.opts.toolbarItems||[];$.length&&(x.length&&x.push("separator"),x=x.concat($));var C=this._slideshowButtonItem(t);C&&(x.length>0&&x.unshift("separator"),x.unshift(C));var P=t.items[t.idx]&&t.items[t.idx].type||"",M=this;"inline"!==P&&"markdown"!==P||(x.length>0&&x.push("separator"),x.push({id:"copy",icon:S.copy,label:m(t,"copy"),showLabel:!1,className:"cv-tb-copy",onClick:function(){var e="inline"===P?t._inlineContent:t._markdownRaw;s(e)||function(t,e){function n(){var t=yt(e);e&&t&&t.$stripMessage&&t.$stripMessage.length&&t._showStripMessage(m(e,"copiedToClipboard"))}if(ht(e,"copy",{length:String(t).length}),navigator.clipboard&&"function"==typeof navigator.clipboard.writeText)navigator.clipboard.writeText(t).then(n).catch(function(){var e=i.createElement("textarea");e.value=t,e.style.position="fixed",e.style.left="-9999px",i.body.appendChild(e),e.select();try{i.execCommand("copy")&&n()}catch(t){}i.body.removeChild(e)});else{var o=i.createElement("textarea");o.value=t,o.style.position="fixed",o.style.left="-9999px",i.body.appendChild(o),o.select();try{i.execCommand("copy")&&n()}catch(t){}i.body.removeChild(o)}}(e,t)}}));var z=t.opts.markdown;if("markdown"===P&&z&&z.toggleRawView&&(s(t._markdownViewMode)&&(t._markdownViewMode="rendered"),x.length>0&&x.push("separator"),x.push({id:"markdown-toggle",icon:S.extractText,label:"rendered"===t._markdownViewMode?m(t,"viewSource"):m(t,"viewMarkdown"),showLabel:!1,className:"cv-tb-markdown-toggle",onClick:function(){"rendered"===t._markdownViewMode?s(t._markdownRaw)||(M.$stage.empty().append(l('<div class="cv-inline-wrap"><div class="cv-inline-body">'+ye(t._markdownRaw,t.items&&t.items[t.idx]?t.items[t.idx]:{},t)+"</div></div>")),t._markdownViewMode="raw"):s(t._markdownHtml)||(M.$stage.empty().append(l('<div class="cv-markdown-body"></div>').html(t._markdownHtml)),t._markdownViewMode="rendered");var e=M.$toolbar.find(".cv-tb-markdown-toggle");if(e.length){var i="rendered"===t._markdownViewMode?m(t,"viewSource"):m(t,"viewMarkdown");q(e,t,{tooltip:i})}}})),g&&!this._isCompareItem&&!1!==f.fit){for(var j=l('<select class="cv-image-fit-select"></select>'),L=0;L<ae.length;L++)j.append(l("<option></option>").attr("value",ae[L]).text(m(t,re[ae[L]])));j.val(this._fitMode()),j.attr("aria-label",m(t,"fitMode")),!1!==t.opts.canShowTooltip&&j.attr("data-cv-tooltip",m(t,"fitMode")),j.on("change",function(){M._setImageFit(this.value)}),x.length>0&&x.push("separator"),x.push(j[0])}if(this._isImageItem&&!this._isCompareItem){var A=[];!0===f.rotate&&A.push({id:"rotate-left",icon:S.rotateCcw,label:m(t,"rotateLeft"),showLabel:!1,className:"cv-tb-rotate-left",onClick:function(){M._rotateImage(-90)}},{id:"rotate-right",icon:S.rotateCw,label:m(t,"rotateRight"),showLabel:!1,className:"cv-tb-rotate-right",onClick:function(){M._rotateImage(90)}}),!0===f.flip&&A.push({id:"flip-horizontal",icon:S.flipHorizontal,label:m(t,"flipHorizontal"),showLabel:!1,className:"cv-tb-flip-horizontal",onClick:function(){M._flipImage("x")}},{id:"flip-vertical",icon:S.flipVertical,label:m(t,"flipVertical"),showLabel:!1,className:"cv-tb-flip-vertical",onClick:function(){M._flipImage("y")}}),A.length&&(x.length>0&&x.push("separator"),x=x.concat(A))}this._isImageItem&&this._animation&&this._animation.isReady()&&(x.length>0&&x.push("separator"),x=x.concat(this._animation.toolbarItems()));var E=this._annotator;if(E&&(x.length>0&&x.push("separator"),x.push({id:"annotate",icon:S.annotate,label:m(t,"annotate"),showLabel:!1,onClick:function(){E.setActive(!E.isActive()),M._resolveToolbar(t,t._currentResult||{})}}),E.isActive()&&(x=x.concat(E.toolbarItems()))),"image"===P||!P&&this._isImageItem){var B=t.opts.canShowExtractText,R=t.opts.extractText;!0===f.extractText&&"function"==typeof B&&"function"==typeof R&&B(t.items[t.idx],t)&&(x.length>0&&x.push("separator"),x.push({id:"extract-text",icon:S.extractText,label:m(t,"extractText"),showLabel:!1,className:"cv-tb-extract-text",onClick:(v=R,function(t,e){var i=M.$stage.find(".cv-extract-overlay");if(i.length)return i.remove(),void M.$toolbar.find(".cv-tb-extract-text").removeClass("cv-active");M.$loader.addClass("cv-active"),v(t,e,function(t){M.$loader.removeClass("cv-active"),t&&t.data&&(Tt(M.$stage),requestAnimationFrame(function(){requestAnimationFrame(function(){var e=M.$stage.find(".cv-image"),i=function(t,e){var i=e&&e.data||{},n=i.lines||e&&e.lines;if(!n||!n.length)return null;var o=t[0];if(!o)return null;var a=St(o);if(!a)return null;for(var r=kt(i,e,n,a.nw,a.nh),s=a.fitScale*(a.nw/r.refW),c=a.fitScale*(a.nh/r.refH),h="",u=0,d=n.length;u<d;u++){var p=n[u];if(p&&p.length)for(var v=0,f=p.length;v<f;v++){var m=p[v],g=$t(m&&m.box||[]);if(g){var y=Math.round(a.offsetX+g.x*s),_=Math.round(a.offsetY+(g.y-2)*c),b=Math.round(g.w*s),w=g.h,x=v===f-1?"<br>":"";h+='<span class="cv-extract-word" style="left:'+y+"px;top:"+_+"px;width:"+b+"px;height:"+Math.round((w+5)*c)+"px;font-size:"+Math.max(8,Math.floor((w-5)*c))+'px">'+k(m&&m.word||"")+" "+x+"</span>"}}}if(!h)return null;var $=l('<div class="cv-extract-overlay"><div class="cv-extract-layer">'+h+"</div></div>");return $.find(".cv-extract-layer").css({width:a.cw,height:a.ch}),$}(e,t);if(i){var n=e.closest(".cv-img-wrap");if(n.length){var o=e[0],a=o?St(o):null;a&&i.css({width:a.cw,height:a.ch,transformOrigin:"50% 50%",transform:M._imageTransform(o)}),n.append(i),M.$toolbar.find(".cv-tb-extract-text").addClass("cv-active")}}})}))},function(t){M.$loader.removeClass("cv-active"),M._showStripMessage(t||"")})})}))}if("function"==typeof t.opts.onToolbar){var F=t.opts.onToolbar(t.items[t.idx],x.slice(),t);Array.isArray(F)&&(x=F)}var N=t.items[t.idx],H=!1!==f.download&&I(N,t);this._buildToolbar(t,x,H),E&&E.syncToolbar()}var D=this.$toolbar.children().length>0||g;this.$footer.toggle(D)}},_updatePollOption:function(t,e){var i=t.opts.pollOption;if(this.$pollOption.removeClass("cv-active").empty(),!this._isHtmlItem&&i&&i.enabled&&!s(e.pollOptionLabel)&&""!==String(e.pollOptionLabel).trim()){var n="checkbox"===i.mode?"checkbox":"radio",o=s(e.pollOptionId)?"idx-"+t.idx:String(e.pollOptionId);"radio"===n?void 0===t._pollSelectedValue&&(t._pollSelectedValue=null):t._pollSelectedSet||(t._pollSelectedSet=new Set),(!0===e.pollOptionSelected||"true"===e.pollOptionSelected||1===e.pollOptionSelected)&&("radio"===n?t._pollSelectedValue=o:t._pollSelectedSet.add(o));var a="radio"===n?t._pollSelectedValue===o:t._pollSelectedSet.has(o),r="cv-poll-"+t.id,c="cv-poll-input-"+t.id+"-"+o.replace(/[^a-z0-9-]/gi,"-"),h="radio"===n?'<input type="radio" name="'+k(r)+'" value="'+k(o)+'" id="'+k(c)+'"'+(a?" checked":"")+">":'<input type="checkbox" id="'+k(c)+'" value="'+k(o)+'"'+(a?" checked":"")+">",u=m(t,"pollUpdated"),d=l('<div class="cv-poll-option-inner"><label class="cv-poll-option-label-wrap">'+h+'<span class="cv-poll-option-label">'+k(String(e.pollOptionLabel))+'</span></label><span class="cv-poll-option-updated cv-hidden" aria-live="polite">'+k(u)+"</span></div>");this.$pollOption.append(d).addClass("cv-active");var p=d.find(".cv-poll-option-updated");d.find("input").on("change",function(){var a=this.checked;A(t,"pollselect",{item:e,selected:a,element:e.$el?e.$el[0]:null})?("radio"===n?t._pollSelectedValue=a?o:null:a?t._pollSelectedSet.add(o):t._pollSelectedSet.delete(o),"function"==typeof i.onSelect&&i.onSelect(e,a,t,e.$el?e.$el[0]:null),p.removeClass("cv-hidden"),clearTimeout(t._pollUpdatedTimer),t._pollUpdatedTimer=setTimeout(function(){p.addClass("cv-hidden")},3e3)):this.checked=!a})}},_buildToolbar:function(t,e,i){var n=this.$toolbar;if(n.empty(),this._resolvedToolbarItems=e||[],this._renderToolbarItems(n,e,t),i){n.children().length>0&&n.append('<span class="cv-tb-sep"></span>');var o=!1!==t.opts.canShowTooltip?' data-cv-tooltip="'+k(m(t,"download"))+'"':"",a=l('<button class="cv-tb-btn cv-tb-download" type="button"'+o+">"+S.download+"</button>");a.on("click",function(e){e.preventDefault(),E(t.items[t.idx],t)}),n.append(a)}},_isToolbarBtnVisible:function(t){var e=this.$toolbar.find(t);return e.length&&e.is(":visible")},_clearToolbarToggleActiveStates:function(){this.$toolbar&&this.$toolbar.length&&this.$toolbar.find(".cv-tb-extract-text, .cv-tb-pdf-extract, .cv-tb-pdf-twopage").removeClass("cv-active"),this.$carouselToggle&&this.$carouselToggle.length&&this.$carouselToggle.removeClass("cv-active"),this.$commentToggle&&this.$commentToggle.length&&this.$commentToggle.removeClass("cv-active"),this.$infoToggle&&this.$infoToggle.length&&this.$infoToggle.removeClass("cv-active")},_getShortcutsList:function(t){var e=[];if(!t||!t.opts.keyboardNav)return e;var i=this,n=t.opts,o=t.items[t.idx],a=n.toolbar||{},r=D(t),s=function(n,o){for(var a=[],s=0;s<r[n].length;s++)a.push(i._keyBindingDisplay(r[n][s],t));a.length&&e.push({key:a.join(" / "),label:o})};s("close",m(t,"close")),t.items.length>1&&(s("prev",m(t,"previousItem")),s("next",m(t,"nextItem"))),(this._isImageItem&&!this._isCustomRendered&&!1!==a.zoom||this._isPdfItem&&this.$toolbar.find(".cv-tb-pdf-zoom-in").length)&&(s("zoomIn",m(t,"zoomIn")),s("zoomOut",m(t,"zoomOut"))),!this._isImageItem||this._isCustomRendered||this._isCompareItem||s("actualSize",m(t,"fitActual")),this._isToolbarBtnVisible(".cv-tb-rotate-left")&&(s("rotateLeft",m(t,"rotateLeft")),s("rotateRight",m(t,"rotateRight"))),this._isToolbarBtnVisible(".cv-tb-flip-horizontal")&&(s("flipHorizontal",m(t,"flipHorizontal")),s("flipVertical",m(t,"flipVertical"))),this._isToolbarBtnVisible(".cv-tb-annotate-undo")&&(s("undo",m(t,"undo")),s("redo",m(t,"redo"))),this._isToolbarBtnVisible(".cv-tb-pdf-print")&&s("print",m(t,"print")),!this._isCustomRendered&&this.$stage.find(".jp-play, .jp-pause, .jp-mute, .jp-unmute, .cv-native-video, .cv-native-audio").length>0?(s("playPause",m(t,"playPause")),s("mute",m(t,"muteUnmute")),s("speed",m(t,"cyclePlaybackSpeed"))):!this._isCustomRendered&&this._animation&&this._animation.isReady()&&(s("playPause",m(t,"playPause")),s("speed",m(t,"cyclePlaybackSpeed"))),this.$stage.find(".cv-jp-hd").length&&s("hd",m(t,"toggleHd")),this._isToolbarBtnVisible(".cv-tb-download")&&s("download",m(t,"download")),!1!==n.fullscreen&&this.$fullscreenToggle.length&&this.$fullscreenToggle.is(":visible")&&s("fullscreen",B()===this.$el[0]?m(t,"exitFullscreen"):m(t,"fullscreen")),!1!==n.themeToggle&&this.$themeToggle.length&&this.$themeToggle.is(":visible")&&s("theme",m(t,"toggleTheme")),n.carousel&&n.carousel.enabled&&this.$carouselToggle.length&&this.$carouselToggle.is(":visible")&&s("carousel",m(t,"attachments")),Lt(t)&&this.$infoToggle.is(":visible")&&s("info",m(t,"toggleInfo")),n.slideshow&&n.slideshow.enabled&&t.items.length>1&&this.$toolbar.find(".cv-slideshow-btn").length&&s("slideshow",m(t,"toggleSlideshow"));for(var c=ke(t._currentRenderer,o,t),h=0;h<c.length;h++)e.push({key:this._shortcutKeyDisplay(c[h].key,t),label:c[h].label});for(var u=U(t),d=(this._resolvedToolbarItems||[]).concat(this._resolvedHeaderItems||[]),p=0;p<d.length;p++){var v=d[p];if(!("separator"===v||"-"===v||v instanceof HTMLElement||v instanceof l)&&v.shortcutKey){var f=!0;if("function"==typeof v.visible?f=v.visible(o,t):!1===v.visible&&(f=!1),f){var g=String(v.shortcutKey).toLowerCase().charAt(0);g&&!u[g]&&e.push({key:this._shortcutKeyDisplay(g,t),label:v.label||(v.id?String(v.id):g)})}}}return!1!==n.shortcutsPopup&&s("shortcuts",m(t,"showShortcuts")),e},_showMediaStateFeedback:function(t){var e=this.$stage.find(".cv-video-wrap, .cv-img-wrap").first();if(e.length){e.find(".cv-jp-state-feedback").remove();var i="";if("play"===t)i='<svg width="24" height="24" viewBox="0 0 24 24" fill="currentColor"><polygon points="5 3 19 12 5 21"/></svg>';else if("pause"===t)i='<svg width="24" height="24" viewBox="0 0 24 24" fill="currentColor"><rect x="6" y="4" width="4" height="16"/><rect x="14" y="4" width="4" height="16"/></svg>';else if("mute"===t)i='<svg width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><polygon points="11 5 6 9 2 9 2 15 6 15 11 19 11 5"/><line x1="23" y1="9" x2="17" y2="15"/><line x1="17" y1="9" x2="23" y2="15"/></svg>';else{if("unmute"!==t)return;i='<svg width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><polygon points="11 5 6 9 2 9 2 15 6 15 11 19 11 5"/><path d="M19.07 4.93a10 10 0 0 1 0 14.14"/><path d="M15.54 8.46a5 5 0 0 1 0 7.07"/></svg>'}var n=l('<div class="cv-jp-state-feedback">'+i+"</div>");e.append(n);var o=setTimeout(function(){n.addClass("cv-jp-state-feedback-out")},900);setTimeout(function(){clearTimeout(o),n.remove()},1300)}},_showStripMessage:function(t,e){if(this.$stripMessage&&this.$stripMessage.length){this._stripMessageTimer&&(clearTimeout(this._stripMessageTimer),this._stripMessageTimer=null);var i=null!=e&&e>0?e:2e3;this.$stripMessage.text(t).addClass("cv-strip-visible");var n=this;this._stripMessageTimer=setTimeout(function(){n.$stripMessage.removeClass("cv-strip-visible"),n._stripMessageTimer=null},i)}},_shortcutKeyDisplay:function(t,e){var i=t.toLowerCase();if(" "===t)return m(e,"keySpace");if("escape"===i)return m(e,"keyEscape");var n={arrowleft:"←",arrowright:"→",arrowup:"↑",arrowdown:"↓"};return n[i]?n[i]:1===t.length?t.toUpperCase():t.charAt(0).toUpperCase()+t.slice(1)},_keyBindingDisplay:function(t,e){var i=[];return t.ctrl&&i.push("Ctrl"),t.alt&&i.push("Alt"),t.shift&&i.push("Shift"),t.meta&&i.push("Meta"),i.push(this._shortcutKeyDisplay(t.key,e)),i.join("+")},_showShortcutsPopup:function(){var t=this,e=this.activeInstance;if(e){this._focusBeforeShortcutsPopup=i.activeElement;for(var n=this._getShortcutsList(e),o=m(e,"keyboardShortcuts"),a=Boolean(e.opts.wcag),r='<div class="cv-shortcuts-popup-inner"'+(a?' tabindex="-1"':"")+'><div class="cv-shortcuts-popup-title">'+k(o)+'</div><ul class="cv-shortcuts-list">',s=0;s<n.length;s++)r+="<li><kbd>"+k(n[s].key)+"</kbd> <span>"+k(n[s].label)+"</span></li>";if(r+="</ul>",a&&(r+='<button type="button" class="cv-shortcuts-popup-close" aria-label="'+k(m(e,"close"))+'">'+k(m(e,"close"))+"</button>"),r+="</div>",this.$shortcutsPopup.html(r).addClass("cv-open").attr("aria-hidden","false"),a){this.$shortcutsPopup.attr("aria-modal","true");var c=this.$shortcutsPopup.find(".cv-shortcuts-popup-close");c.length&&c.on("click",function(){t._hideShortcutsPopup()})}if(this.$shortcutsPopup.off("click.cv-shortcuts").on("click.cv-shortcuts",function(e){e.target!==t.$shortcutsPopup[0]&&0!==l(e.target).closest(".cv-shortcuts-popup-inner").length||t._hideShortcutsPopup()}),a){var h=this.$shortcutsPopup.find(".cv-shortcuts-popup-close");h.length?h[0].focus():this.$shortcutsPopup.find(".cv-shortcuts-popup-inner")[0].focus()}e._slideshowTimer&&(clearTimeout(e._slideshowTimer),e._slideshowTimer=null,e._slideshowHeldByShortcutsPopup=!0,this._stopSlideshowProgress())}},_hideShortcutsPopup:function(){var t=this._focusBeforeShortcutsPopup;if(this.$shortcutsPopup.removeClass("cv-open").attr("aria-hidden","true").removeAttr("aria-modal").empty(),this._focusBeforeShortcutsPopup=null,t&&"function"==typeof t.focus)try{t.focus()}catch(t){}var e=this.activeInstance;if(e&&e._slideshowHeldByShortcutsPopup){e._slideshowHeldByShortcutsPopup=!1;var i=e.opts.slideshow;if(i&&i.enabled&&e.items.length>1&&!e._slideshowPaused&&(!1!==i.autoStart||e._slideshowPlaying)){var n=1e3*(!s(i.interval)&&i.interval>0?i.interval:4);e._slideshowTimer=setTimeout(function(){e._overlay.activeInstance===e&&e.next({transition:!0})},n),i.showProgress&&this._startSlideshowProgress(n)}}},_renderToolbarItems:function(t,e,i){if(e&&e.length)for(var n=i.items[i.idx],o=0;o<e.length;o++){var a=e[o];if("separator"!==a&&"-"!==a)if(a instanceof HTMLElement||a instanceof l)t.append(a);else{var r=!0;if("function"==typeof a.visible?r=a.visible(n,i):!1===a.visible&&(r=!1),r){var c="";a.icon&&(c="<"===a.icon.charAt(0)?W(a.icon):'<i class="cv-tb-icon '+k(a.icon)+'"></i>');var h=a.label||"",u=s(a.tooltip)||""===a.tooltip?h:String(a.tooltip),d=!1!==i.opts.canShowTooltip&&""!==u,p=(u||a.id&&String(a.id))&&i.opts.wcag?' aria-label="'+k(u||a.id||"")+'"':"",v=d?' data-cv-tooltip="'+k(u)+'"':"",f=c;a.showLabel&&h&&(f+=' <span class="cv-tb-label">'+k(h)+"</span>");var m="";if(!s(a.shortcutKey)&&""!==String(a.shortcutKey).trim()){var g=String(a.shortcutKey).toLowerCase().charAt(0);g&&(m=' data-cv-shortcut="'+k(g)+'"')}var y=l('<button class="cv-tb-btn'+(a.id?" cv-tb-"+k(String(a.id)):"")+(a.className?" "+k(String(a.className)):"")+'" type="button"'+m+v+p+">"+f+"</button>");"function"==typeof a.onClick&&function(t,e){e.on("click",function(e){e.preventDefault(),t(i.items[i.idx],i)})}(a.onClick,y),t.append(y)}}else t.append('<span class="cv-tb-sep"></span>')}}};var Pt={ifd0:{271:"make",272:"model",305:"software",315:"artist",33432:"copyright",306:"dateTime"},exif:{33434:"exposureTime",33437:"fNumber",34855:"iso",36867:"dateTaken",37386:"focalLength",40961:"colorSpace",42036:"lens"},gps:{1:"latitudeRef",2:"latitude",3:"longitudeRef",4:"longitude",5:"altitudeRef",6:"altitude"}},It=34665,Mt=34853,Ot={1:1,2:1,3:2,4:4,5:8,7:1,9:4,10:8},zt={5:"title",25:"keywords",80:"creator",90:"city",101:"country",105:"headline",110:"credit",115:"source",116:"copyright",120:"caption"},jt={1:"sRGB",2:"Adobe RGB"};function Lt(t){var e=t&&t.opts.info;return Boolean(e&&!0===e.enabled)}function At(t,e,i){for(var n="",o=0;o<i;o++){var a=t.getUint8(e+o);if(0===a)break;n+=String.fromCharCode(a)}return n}function Et(t){try{return decodeURIComponent(escape(t))}catch(e){return t}}function Bt(t,e,i){var n=18761===t.getUint16(e);function o(e){return t.getUint16(e,n)}function a(e){return t.getUint32(e,n)}function r(i){var r=o(i+2),s=a(i+4),l=Ot[r];if(!l)return null;var c=l*s>4?e+a(i+8):i+8;if(2===r)return Et(At(t,c,s)).trim();for(var h=[],u=0;u<s&&u<8;u++){var d=c+u*l;if(3===r)h.push(o(d));else if(4===r)h.push(a(d));else if(9===r)h.push(t.getInt32(d,n));else if(5===r||10===r){var p=5===r?a(d):t.getInt32(d,n),v=5===r?a(d+4):t.getInt32(d+4,n);h.push(v?p/v:0)}else h.push(t.getUint8(d))}return 1===s?h[0]:h}function l(t,i,n){for(var l={},c=o(e+t),h=0;h<c;h++){var u=e+t+2+12*h,d=o(u);if(d===It||d===Mt)l[d]=a(u+8);else if(i[d]){var p=r(u);s(p)||""===p||(n[i[d]]=p)}}return l}var c=l(a(e+4),Pt.ifd0,i);c[It]&&l(c[It],Pt.exif,i),c[Mt]&&(i.gps={},l(c[Mt],Pt.gps,i.gps))}function Rt(t,e,i,n){for(var o=n.iptc||(n.iptc={}),a=e;a+5<=i&&28===t.getUint8(a);){var r=t.getUint16(a+3),s=2===t.getUint8(a+1)&&zt[t.getUint8(a+2)];if(s){var l=Et(At(t,a+5,r)).trim();"keywords"===s?(o.keywords=o.keywords||[]).push(l):o[s]=l}a+=5+r}}function Ft(t,e,i,n){for(var o=e;o+12<=i&&"8BIM"===At(t,o,4);){var a=t.getUint16(o+4),r=t.getUint8(o+6),s=o+7+r+(r+1)%2,l=t.getUint32(s);s+=4,1028===a&&Rt(t,s,Math.min(s+l,i),n),o=s+l+l%2}}function Nt(t,e,i){for(var n=t.getUint32(e+128),o=0;o<n&&e+144+12*o<=i;o++){var a=e+132+12*o;if("desc"===At(t,a,4)){var r=e+t.getUint32(a+4);if(r+28>i)return"";var s=At(t,r,4);if("desc"===s)return At(t,r+12,Math.min(t.getUint32(r+8),i-r-12)).trim();if("mluc"===s){for(var l=t.getUint32(r+20),c=r+t.getUint32(r+24),h="",u=0;u+1<l&&c+u+2<=i;u+=2)h+=String.fromCharCode(t.getUint16(c+u));return h.replace(/\0+$/,"").trim()}}}return""}function Ht(t){var e={};try{var i,n=new DataView(t),o=n.byteLength;if(o>4&&65496===n.getUint16(0))for(i=2;i+4<=o;){var a=n.getUint16(i);if(65280&~a||65498===a||65497===a)break;var r=i+4,s=Math.min(i+2+n.getUint16(i+2),o);65505===a&&"Exif"===At(n,r,6)?Bt(n,r+6,e):65517===a&&"Photoshop 3.0"===At(n,r,14)?Ft(n,r+14,s,e):65506===a&&"ICC_PROFILE"===At(n,r,12)&&1===n.getUint8(r+12)&&(e.iccProfile=Nt(n,r+14,s)),i=s}else if(o>8&&2303741511===n.getUint32(0))for(i=8;i+8<=o;){var l=n.getUint32(i),c=At(n,i+4,4);if("eXIf"===c)Bt(n,i+8,e);else if("iCCP"===c)e.iccProfile=At(n,i+8,Math.min(l,79));else if("sRGB"!==c||e.iccProfile){if("IEND"===c)break}else e.iccProfile="sRGB";i+=12+l}}catch(t){}return e}var Dt=131072;function Vt(t,e){if(!Array.isArray(t)||t.length<3)return NaN;var i=t[0]+t[1]/60+t[2]/3600;return"S"===e||"W"===e?-i:i}function Ut(t,e){var i=Math.pow(10,e);return Math.round(t*i)/i}var Wt="http://www.w3.org/2000/svg",Yt=["pen","arrow","rect","text","highlight"],Xt={pen:"annotatePen",arrow:"annotateArrow",rect:"annotateRect",text:"annotateText",highlight:"annotateHighlight"},qt=["#e53935","#fdd835","#43a047","#1e88e5","#212121","#ffffff"],Zt="Arial, Helvetica, sans-serif";function Gt(t){return Math.round(10*t)/10}function Kt(t,e,i,n,o,a){var r=t/i*(o?-1:1),s=e/i*(a?-1:1),l=-(n||0)*Math.PI/180;return[r*Math.cos(l)-s*Math.sin(l),r*Math.sin(l)+s*Math.cos(l)]}function Qt(t){var e=t.points,i=e[0],n=e[e.length-1];if("rect"===t.type)return[[i,[n[0],i[1]],n,[i[0],n[1]],i]];if("arrow"===t.type){var o=4*t.width,a=Math.atan2(n[1]-i[1],n[0]-i[0]);return[[i,n],[[n[0]-o*Math.cos(a-Math.PI/6),n[1]-o*Math.sin(a-Math.PI/6)],n,[n[0]-o*Math.cos(a+Math.PI/6),n[1]-o*Math.sin(a+Math.PI/6)]]]}return[e.length>1?e:[i,i]]}function Jt(t){var e;if("text"===t.type)return(e=i.createElementNS(Wt,"text")).setAttribute("x",t.points[0][0]),e.setAttribute("y",t.points[0][1]),e.setAttribute("fill",t.color),e.setAttribute("font-size",t.size),e.setAttribute("font-family",Zt),e.setAttribute("dominant-baseline","hanging"),e.textContent=t.text,e;for(var n=Qt(t),o=[],a=0;a<n.length;a++)for(var r=0;r<n[a].length;r++)o.push((r?"L":"M")+n[a][r][0]+" "+n[a][r][1]);return(e=i.createElementNS(Wt,"path")).setAttribute("d",o.join(" ")),e.setAttribute("fill","none"),e.setAttribute("stroke",t.color),e.setAttribute("stroke-width",t.width),e.setAttribute("stroke-linecap","round"),e.setAttribute("stroke-linejoin","round"),"highlight"===t.type&&e.setAttribute("stroke-opacity",.35),e}function te(t,e){if(t.save(),t.globalAlpha="highlight"===e.type?.35:1,"text"===e.type)t.fillStyle=e.color,t.font=e.size+"px "+Zt,t.textBaseline="hanging",t.fillText(e.text,e.points[0][0],e.points[0][1]);else{var i=Qt(e);t.strokeStyle=e.color,t.lineWidth=e.width,t.lineCap="round",t.lineJoin="round",t.beginPath();for(var n=0;n<i.length;n++)for(var o=0;o<i[n].length;o++)t[o?"lineTo":"moveTo"](i[n][o][0],i[n][o][1]);t.stroke()}t.restore()}function ee(t,e,n,o,a){var r=e.opts.annotate||{},c=Array.isArray(r.tools)?r.tools.filter(function(t){return-1!==Yt.indexOf(t)}):[];c.length||(c=Yt.slice());var h=Array.isArray(r.colors)&&r.colors.length?r.colors.map(String):qt,u=parseFloat(r.lineWidth)>0?parseFloat(r.lineWidth):3,d=parseFloat(r.fontSize)>0?parseFloat(r.fontSize):18,p=a[0],v=".cv-annotate-"+t.uid,f=!1,g=c[0],y=s(r.color)?h[0]:String(r.color),_=function(t){var e=[];if(!Array.isArray(t))return e;for(var i=0;i<t.length;i++){var n=t[i];if(n&&-1!==Yt.indexOf(n.type)&&Array.isArray(n.points)){for(var o=[],a=0;a<n.points.length;a++){var r=n.points[a],l=Array.isArray(r)?parseFloat(r[0]):NaN,c=Array.isArray(r)?parseFloat(r[1]):NaN;isFinite(l)&&isFinite(c)&&o.push([l,c])}if(o.length&&("text"!==n.type||!s(n.text)&&""!==String(n.text))){var h={type:n.type,color:s(n.color)?qt[0]:String(n.color),points:o};"text"===n.type?(h.text=String(n.text),h.size=parseFloat(n.size)>0?parseFloat(n.size):18):h.width=parseFloat(n.width)>0?parseFloat(n.width):3,e.push(h)}}}return e}(n.annotations),b=[],w=[],x=null,$=null,C=null,T=0,P=0,I=i.createElementNS(Wt,"svg");function M(){for(;I.firstChild;)I.removeChild(I.firstChild);for(var t=0;t<_.length;t++)I.appendChild(Jt(_[t]));x&&I.appendChild(Jt(x))}function O(){var e=St(p);return e&&T?(t._zoom||1)*t._fitScale(p)*(e.dispW/T):0}function z(e,i){var n=O();if(!n)return null;var o=I.getBoundingClientRect(),a=Kt(e-(o.left+o.width/2),i-(o.top+o.height/2),n,t._rotation,t._flipX,t._flipY);return[Gt(Math.max(0,Math.min(T,T/2+a[0]))),Gt(Math.max(0,Math.min(P,P/2+a[1])))]}function j(t){var e=t.originalEvent||t;return e.touches&&e.touches[0]||e.changedTouches&&e.changedTouches[0]||e}function L(t){b.push(_),_=t,w=[],M(),R.syncToolbar()}function E(){var t=$;$=null,C=null,t&&t.remove()}function B(){if($){var t=String($.val()||"").trim(),e=C;E(),t&&L(_.concat([{type:"text",color:e.color,points:[e.point],text:t,size:Gt(e.size)}]))}}I.setAttribute("class","cv-annotate-layer"),o.append(I),l(I).on("mousedown touchstart",function(t){var n=t.originalEvent||t;if(!(!f||n.touches&&n.touches.length>1||"mousedown"===t.type&&0!==t.button)){t.preventDefault(),t.stopPropagation(),B();var a=j(t),r=z(a.clientX,a.clientY);if(r){var s=O();"text"!==g?(x={type:g,color:y,width:u*("highlight"===g?4:1)/s,points:"rect"===g||"arrow"===g?[r,r]:[r]},M(),l(i).off(v).on("mousemove"+v+" touchmove"+v,function(t){var e=j(t),i=x&&z(e.clientX,e.clientY);i&&(t.preventDefault(),"rect"===x.type||"arrow"===x.type?x.points[1]=i:x.points.push(i),M())}).on("mouseup"+v+" touchend"+v+" touchcancel"+v,function(){l(i).off(v),function(){var t=x;if(x=null,t){var e=t.points[0],i=t.points[t.points.length-1];"rect"!==t.type&&"arrow"!==t.type||e[0]!==i[0]||e[1]!==i[1]?(t.width=Gt(t.width),L(_.concat([t]))):M()}}()})):function(t,i,n){var a=o[0].getBoundingClientRect();C={point:t,color:y,size:d/n},($=l('<input type="text" class="cv-annotate-text-input" />')).attr("placeholder",m(e,"annotateTextPlaceholder")).css({left:i.clientX-a.left+"px",top:i.clientY-a.top+"px",color:y,fontSize:d+"px"}),$.on("mousedown touchstart dblclick",function(t){t.stopPropagation()}).on("keydown",function(t){"Enter"===t.key?(t.preventDefault(),B()):"Escape"===t.key&&(t.preventDefault(),E())}).on("blur",B),o.append($),$[0].focus()}(r,a,s)}}}).on("dblclick",function(t){f&&t.stopPropagation()});var R={layout:function(){var e=St(p);e&&(T||(T=e.nw,P=e.nh,I.setAttribute("viewBox","0 0 "+T+" "+P),M()),l(I).css({width:e.dispW+"px",height:e.dispH+"px"}),t._applyTransform())},isActive:function(){return f},setActive:function(t){(f=Boolean(t))||B(),l(I).toggleClass("cv-active",f)},undo:function(){B(),b.length&&(w.push(_),_=b.pop(),M(),R.syncToolbar())},redo:function(){w.length&&(b.push(_),_=w.pop(),M(),R.syncToolbar())},getShapes:function(){return JSON.parse(JSON.stringify(_))},save:function(){B();var t=R.getShapes();!function(t,e,n,o,a){var r=t.naturalWidth,s=t.naturalHeight,l=i.createElement("canvas"),c=r&&s&&"function"==typeof l.toBlob?l.getContext("2d"):null;if(c){l.width=r,l.height=s;try{c.drawImage(t,0,0,r,s),c.scale(r/n,s/o);for(var h=0;h<e.length;h++)te(c,e[h]);l.toBlob(function(t){a(t||null)},"image/png")}catch(t){a(null)}}else a(null)}(p,_,T||p.naturalWidth,P||p.naturalHeight,function(i){var o={shapes:t,pngBlob:i};A(e,"annotationssave",o)&&(n.annotations=t,"function"==typeof e.opts.onAnnotationsSave&&e.opts.onAnnotationsSave(n,o,e))})},toolbarItems:function(){var t=[];return c.forEach(function(i){t.push({id:"annotate-"+i,icon:S[Xt[i]],label:m(e,Xt[i]),showLabel:!1,className:"cv-tb-annotate-tool",onClick:function(){B(),g=i,R.syncToolbar()}})}),t.push("separator"),h.forEach(function(i,n){t.push({id:"annotate-color-"+n,icon:'<span class="cv-annotate-swatch" style="background:'+k(i)+'"></span>',label:m(e,"annotateColor",[i]),showLabel:!1,className:"cv-tb-annotate-swatch",onClick:function(){y=i,$&&(C.color=i,$.css("color",i),$[0].focus()),R.syncToolbar()}})}),t.push("separator"),t.push({id:"annotate-undo",icon:S.undo,label:m(e,"undo"),showLabel:!1,onClick:R.undo},{id:"annotate-redo",icon:S.redo,label:m(e,"redo"),showLabel:!1,onClick:R.redo},{id:"annotate-save",icon:S.save,label:m(e,"saveAnnotations"),showLabel:!1,onClick:R.save}),t},syncToolbar:function(){var e=t.$toolbar;e.find(".cv-tb-annotate").toggleClass("cv-active",f),e.find(".cv-tb-annotate-tool").removeClass("cv-active"),e.find(".cv-tb-annotate-"+g).addClass("cv-active"),e.find(".cv-tb-annotate-swatch").removeClass("cv-active"),e.find(".cv-tb-annotate-color-"+h.indexOf(y)).addClass("cv-active");var i=e.find(".cv-tb-annotate-undo")[0],n=e.find(".cv-tb-annotate-redo")[0];i&&(i.disabled=!b.length),n&&(n.disabled=!w.length)},destroy:function(){l(i).off(v),E(),t._annotator===R&&(t._annotator=null)}};return R}var ie=[.25,.5,1,1.5,2],ne={gif:"image/gif",webp:"image/webp",apng:"image/apng",png:"image/png"};function oe(t,i,n,o,a){var r=i.opts.animation||{},s=o[0],c=null,h=null,u=null,d=0,p=100,v=!1!==r.autoplay,f=-1!==ie.indexOf(parseFloat(r.speed))?parseFloat(r.speed):1,g=!1!==r.loop,y=null,_=0,b=!1,w=!1,x=null,$=null;function C(e){var i=++_,n=c;return n.frame(e).then(function(o){return w||i!==_?(n.release(o),null):(r=o.image,s=h[0],u.clearRect(0,0,s.width,s.height),"function"==typeof ImageData&&r instanceof ImageData?u.putImageData(r,0,0):u.drawImage(r,0,0,s.width,s.height),n.release(o),d=e,a=o.duration,p=a>10?a:100,t.$toolbar.find(".cv-anim-frame").text(d+1+" / "+n.count),p);var a,r,s})}function k(){c&&(c.close(),c=null)}function T(){w||(w=!0,P(),k(),O(),o.removeClass("cv-anim-source"),h&&h.remove(),t.activeInstance===i&&t._resolveToolbar(i,i._currentResult||{}))}function P(){y&&(clearTimeout(y),y=null)}function I(){P(),y=setTimeout(M,p/f)}function M(){y=null;var t=d+1;if(t>=c.count){if(!g)return v=!1,void z.syncToolbar();t=0}C(t).then(function(t){null!==t&&v&&I()}).catch(T)}function O(){t._animation===z&&(t._animation=null)}var z={load:function(t,e){fetch(t,{method:"GET",credentials:"include"}).then(function(t){if(!t.ok)throw new Error(String(t.status));return a=a||String(t.headers.get("Content-Type")||"").split(";")[0].trim(),t.arrayBuffer()}).then(function(t){w||(x=t,$=URL.createObjectURL(new Blob([t],a?{type:a}:{})),e($))},function(){w||(b=!0,O(),e(null))})},start:function(){if(!b&&!w){b=!0;var r=$,d=x;x=null,d?function(t,i,n,o){var a=o.opts.animation.decoder,r=e.ImageDecoder;return("function"==typeof r&&i?Promise.resolve("function"!=typeof r.isTypeSupported||r.isTypeSupported(i)):Promise.resolve(!1)).then(function(e){if(!e)return"function"!=typeof a?null:Promise.resolve(a(t,i,n)).then(function(t){return!Array.isArray(t)||t.length<2?null:{count:t.length,frame:function(e){return Promise.resolve({image:t[e].image,duration:parseFloat(t[e].duration)||0})},release:function(){},close:function(){}}});var o=new r({data:t,type:i});return o.tracks.ready.then(function(){return o.completed}).then(function(){var t=o.tracks.selectedTrack;return!t||!t.animated||t.frameCount<2?(o.close(),null):{count:t.frameCount,frame:function(t){return o.decode({frameIndex:t}).then(function(t){return{image:t.image,duration:(t.image.duration||0)/1e3}})},release:function(t){t.image&&"function"==typeof t.image.close&&t.image.close()},close:function(){o.close()}}})})}(d,a,n,i).then(function(t){if(w||!t||(s.currentSrc||s.src)!==r)return t&&t.close(),O(),null;c=t;var e=Ct(s);if((h=l('<canvas class="cv-anim-canvas" aria-hidden="true"></canvas>')).attr({width:e?e.width:1,height:e?e.height:1}),!(u=h[0].getContext&&h[0].getContext("2d")))throw new Error("canvas");return C(0)}).then(function(e){null==e||w||(o.after(h),o.addClass("cv-anim-source"),t._applyTransform(),t.activeInstance===i&&t._resolveToolbar(i,i._currentResult||{}),v&&I())}).catch(function(){k(),O()}):O()}},isReady:function(){return Boolean(c&&h&&!w&&h[0].parentNode)},isPlaying:function(){return v},play:function(){z.isReady()&&!v&&(v=!0,z.syncToolbar(),!g&&d>=c.count-1?(d=-1,M()):I())},pause:function(){v=!1,P(),z.syncToolbar()},toggle:function(){v?z.pause():z.play()},step:function(t){z.isReady()&&(z.pause(),C((d+t+c.count)%c.count).catch(T))},setSpeed:function(e){-1!==ie.indexOf(e)&&(f=e,t.$toolbar.find(".cv-anim-speed-select").val(String(f)),v&&y&&I())},cycleSpeed:function(){z.setSpeed(ie[(ie.indexOf(f)+1)%ie.length])},setLoop:function(t){g=Boolean(t),z.syncToolbar()},toolbarItems:function(){for(var t=l('<select class="cv-anim-speed-select"></select>'),e=0;e<ie.length;e++)t.append(l("<option></option>").attr("value",String(ie[e])).text(ie[e]+"x"));t.val(String(f)),t.attr("aria-label",m(i,"playbackSpeed")),!1!==i.opts.canShowTooltip&&t.attr("data-cv-tooltip",m(i,"playbackSpeed")),t.on("change",function(){z.setSpeed(parseFloat(this.value))});var n=l('<span class="cv-anim-frame"></span>').text(d+1+" / "+c.count);return[{id:"anim-play",icon:v?S.animationPause:S.animationPlay,label:m(i,v?"pause":"play"),showLabel:!1,onClick:z.toggle},{id:"anim-prev-frame",icon:S.previousFrame,label:m(i,"previousFrame"),showLabel:!1,onClick:function(){z.step(-1)}},n[0],{id:"anim-next-frame",icon:S.nextFrame,label:m(i,"nextFrame"),showLabel:!1,onClick:function(){z.step(1)}},t[0],{id:"anim-loop",icon:S.loopAnimation,label:m(i,"loopAnimation"),showLabel:!1,className:g?"cv-active":"",onClick:function(){z.setLoop(!g)}}]},syncToolbar:function(){var e=t.$toolbar,n=e.find(".cv-tb-anim-play");n.length&&(n.html(W(v?S.animationPause:S.animationPlay)),q(n,i,{tooltip:m(i,v?"pause":"play")})),e.find(".cv-tb-anim-loop").toggleClass("cv-active",g)},destroy:function(){w=!0,P(),k(),x=null,$&&(URL.revokeObjectURL($),$=null),O()}};return z}var ae=["contain","cover","fit-width","fit-height","actual"],re={contain:"fitContain",cover:"fitCover","fit-width":"fitWidth","fit-height":"fitHeight",actual:"fitActual"},se=160;function le(t){var e=t&&t.opts.zoom&&t.opts.zoom.fit;return-1!==ae.indexOf(e)?e:"contain"}var ce=["split","onion","side"],he={split:["compareSplit","compareSplit"],onion:["compareOnion","compareOnion"],side:["compareSideBySide","compareSide"]};function ue(t,e){var i=e.Size||{},n=parseInt(i.Width,10),o=parseInt(i.Height,10);if(!(n>0&&o>0))return null;for(var a=parseInt(e.TileSize,10)||254,r=e.Format||"jpg",s=t.split("?")[0].split("#")[0],l=e.Url?String(e.Url).replace(/\/?$/,"/"):s.replace(/\.[^.\/]*$/,"")+"_files/",c=Math.ceil(Math.log(Math.max(n,o))/Math.LN2),h=[],u=0;u<=c;u++)h.push({factor:Math.pow(2,c-u),url:de(l,u,r)});return{width:n,height:o,tileW:a,tileH:a,overlap:parseInt(e.Overlap,10)||0,levels:h}}function de(t,e,i){return function(n,o){return t+e+"/"+n+"_"+o+"."+i}}function pe(t,e){var i=parseInt(e.width,10),n=parseInt(e.height,10),o=String(e.id||e["@id"]||t.split("?")[0].replace(/\/info\.json$/i,"")).replace(/\/$/,"");if(!(i>0&&n>0&&T(o)))return null;var a="ImageService3"===e.type||/\/image\/3\//.test(String(e["@context"]||"")),r=Array.isArray(e.tiles)&&e.tiles[0]||{},s=parseInt(r.width,10)||512,l=parseInt(r.height,10)||s,c=Array.isArray(r.scaleFactors)&&r.scaleFactors.length?r.scaleFactors.slice():[];if(!c.length){var h=1;for(c.push(h);Math.max(i,n)/h>Math.max(s,l);)h*=2,c.push(h)}c.sort(function(t,e){return e-t});for(var u=[],d=0;d<c.length;d++)u.push({factor:c[d],url:ve(o,c[d],i,n,s,l,a)});return{width:i,height:n,tileW:s,tileH:l,overlap:0,levels:u}}function ve(t,e,i,n,o,a,r){return function(s,l){var c=s*o*e,h=l*a*e,u=Math.min(o*e,i-c),d=Math.min(a*e,n-h),p=Math.ceil(u/e);return t+"/"+c+","+h+","+u+","+d+"/"+(r?p+","+Math.ceil(d/e):p+",")+"/0/default.jpg"}}function fe(t,e){return{cols:Math.ceil(Math.ceil(t.width/e.factor)/t.tileW),rows:Math.ceil(Math.ceil(t.height/e.factor)/t.tileH)}}function me(t){if(s(t)||"string"!=typeof t)return"";var e=k(t);return(e=(e=(e=(e=(e=(e=(e=e.replace(/^### (.+)$/gm,"<h3>$1</h3>")).replace(/^## (.+)$/gm,"<h2>$1</h2>")).replace(/^# (.+)$/gm,"<h1>$1</h1>")).replace(/\*\*(.+?)\*\*/g,"<strong>$1</strong>")).replace(/\*(.+?)\*/g,"<em>$1</em>")).replace(/`([^`]+)`/g,"<code>$1</code>")).replace(/\[([^\]]+)\]\(([^)]+)\)/g,'<a href="$2" target="_blank" rel="noopener">$1</a>')).replace(/\n/g,"<br>\n")}var ge={js:"javascript",mjs:"javascript",cjs:"javascript",jsx:"jsx",ts:"typescript",tsx:"tsx",mts:"typescript",cts:"typescript",java:"java",jsp:"jsp",py:"python",pyw:"python",pyi:"python",html:"html",htm:"html",xhtml:"xml",css:"css",scss:"scss",less:"less",sass:"scss",styl:"stylus",xml:"xml",xsd:"xml",xsl:"xml",rss:"xml",atom:"xml",svg:"xml",plist:"xml",json:"json",jsonc:"json",php:"php",phtml:"php",rb:"ruby",gemspec:"ruby",rake:"ruby",go:"go",golang:"go",rs:"rust",cs:"csharp",c:"c",h:"c",cpp:"cpp",cc:"cpp",cxx:"cpp",hpp:"cpp",hh:"cpp",hxx:"cpp",kt:"kotlin",kts:"kotlin",swift:"swift",scala:"scala",sc:"scala",clj:"clojure",cljs:"clojure",cljc:"clojure",hs:"haskell",lhs:"haskell",lua:"lua",r:"r",rdata:"r",rds:"r",dart:"dart",ex:"elixir",exs:"elixir",erl:"erlang",hrl:"erlang",pl:"perl",pm:"perl",sql:"sql",sh:"bash",bash:"bash",zsh:"bash",yaml:"yaml",yml:"yaml",md:"markdown",mkdown:"markdown",mkd:"markdown",toml:"ini",ini:"ini",cfg:"ini",dockerfile:"dockerfile",docker:"dockerfile",makefile:"makefile",mk:"makefile",mak:"makefile",gradle:"gradle",groovy:"groovy",gvy:"groovy",graphql:"graphql",gql:"graphql",handlebars:"handlebars",hbs:"handlebars",haml:"haml",coffeescript:"coffeescript",coffee:"coffeescript",cson:"coffeescript",diff:"diff",patch:"diff",proto:"protobuf",protobuf:"protobuf",vb:"vbnet",vbs:"vbscript",ps1:"powershell",ps:"powershell",psm1:"powershell",fs:"fsharp",fsx:"fsharp",fsi:"fsharp",nim:"nim",nimrod:"nim",cr:"crystal",v:"verilog",sv:"verilog",svh:"verilog",jl:"julia",elm:"elm",vue:"xml",svelte:"svelte",tf:"terraform",hcl:"terraform",sol:"solidity",adoc:"asciidoc",asciidoc:"asciidoc",nginx:"nginx",nginxconf:"nginx",apache:"apache",apacheconf:"apache",env:"ini",csv:"plaintext"};function ye(t,i,n){var o=s(t)?"":String(t);if(n&&n.opts&&"function"==typeof n.opts.onInlineHtml)return n.opts.onInlineHtml(o,i,n);if(!(n&&n.opts&&n.opts.inline&&n.opts.inline.syntaxHighlight&&void 0!==e&&e.hljs&&"function"==typeof e.hljs.highlight))return function(t){for(var e=(s(t)?"":String(t)).split(/\r\n|\n|\r/),i="",n=0;n<e.length;n++)i+='<div class="cv-inline-line"><span class="cv-inline-num">'+(n+1)+'</span><span class="cv-inline-code">'+k(e[n])+"</span></div>";return i}(o);var a,r=function(t,e){if(e&&e.opts&&e.opts.inline&&"function"==typeof e.opts.inline.getLanguage){var i=e.opts.inline.getLanguage(t);if(i&&"string"==typeof i)return i.trim().toLowerCase()}var n=(t.fileExt||(t.title||"").split(".").pop()||"").toLowerCase();return ge[n]||n||null}(i,n)||"plaintext";"function"!=typeof e.hljs.getLanguage||e.hljs.getLanguage(r)||(r="plaintext");try{a=e.hljs.highlight(r,o,!0)}catch(t){a={value:k(o)}}for(var l=a.value.split(/\r\n|\n|\r/),c="",h=0;h<l.length;h++)c+='<div class="cv-inline-line"><span class="cv-inline-num">'+(h+1)+'</span><span class="cv-inline-code">'+l[h]+"</span></div>";return c}function _e(t,e,i){var n=(t.fileExt||(t.title||"").split(".").pop()||"").toUpperCase(),o=t.fileSize||"",a=yt(null,i),r=a?a.activeInstance:null,s=Boolean(I(t,r)),c=l('<div class="cv-unsupported"><div class="cv-unsupported-icon">'+S.fileIcon+"</div>"+(n?'<div class="cv-unsupported-ext">'+k(n)+"</div>":"")+'<div class="cv-unsupported-name">'+k(t.title||m(r,"file"))+"</div>"+(o?'<div class="cv-unsupported-size">'+k(o)+"</div>":"")+'<p class="cv-unsupported-msg">'+k(e)+"</p>"+(s?'<button class="cv-unsupported-dl" type="button">'+S.download+" "+k(m(r,"download"))+"</button>":"")+"</div>");s&&c.find(".cv-unsupported-dl").on("click",function(){E(t,r)}),i.append(c)}function be(t,e,i,n,o){o=o||{};var a=yt(null,t),r=a?a.activeInstance:null;if(r&&n&&n===r.items[r.idx]&&r._rejectLoad("LOAD_FAILED",i),!r||A(r,"error",{type:e,message:i,item:n,$stage:t})){if(r&&"function"==typeof r.opts.onError&&!0===r.opts.onError({type:e,message:i,item:n,$stage:t}))return;!function(t,e,i,n){n=n||{};var o=yt(null,t),a=o?o.activeInstance:null,r=!n.noDownload&&I(i,a),s=l('<div class="cv-error-card">'+S.error+'<p class="cv-error-text">'+k(e)+"</p>"+(r?'<button class="cv-error-dl" type="button">'+S.download+" "+k(m(a,"downloadSource"))+"</button>":"")+"</div>");r&&s.find(".cv-error-dl").on("click",function(){E(i,a)}),t.append(s)}(t,i,n,o)}}var we={},xe=[];function $e(t,e){return!(s(t)||""===String(t)||("function"==typeof e&&(e={render:e}),!e||"function"!=typeof e.render||(Ce(t=String(t)),we[t]=e,xe.push(t),0)))}function Ce(t){if(t=String(t),!Object.prototype.hasOwnProperty.call(we,t))return!1;delete we[t];var e=xe.indexOf(t);return-1!==e&&xe.splice(e,1),!0}function Se(t){return Object.prototype.hasOwnProperty.call(we,String(t))?we[String(t)]:null}function ke(t,e,i){if(!t||!t.def.shortcuts)return[];var n=t.def.shortcuts;"function"==typeof n&&(n=n(e,i));var o=[];if(!Array.isArray(n))return o;for(var a=U(i),r=0;r<n.length;r++){var l=n[r],c=l&&!s(l.key)?String(l.key).toLowerCase():"";c&&!a[c]&&"function"==typeof l.handler&&o.push({key:c,label:l.label||c,handler:l.handler})}return o}function Te(t){var e=t.stageOnly;t.stageOnly=!0===e||!1===e?{enabled:Boolean(e),hideNavigation:!1}:e&&"object"==typeof e?l.extend({},u.stageOnly,e):l.extend({},u.stageOnly);var i=t.persist;t.persist=i?l.extend({},it,!0===i?{}:i):null;var n=t.history;t.history=n?l.extend({},Z,!0===n?{}:n):null;var o=t.minimize;return t.minimize=!0===o||!1===o?{enabled:Boolean(o)}:o&&"object"==typeof o?l.extend({},u.minimize,o):l.extend({},u.minimize),t}function Pe(t,e){for(var i in e)if(Object.prototype.hasOwnProperty.call(e,i)){var n=e[i];l.isPlainObject(n)&&l.isPlainObject(t[i])?Pe(t[i],n):l.isPlainObject(n)?t[i]=Pe({},n):t[i]=n}return t}function Ie(t,e){this.id=++Ie._counter,this.$container=l(t),this.opts=l.extend(!0,{},u,e),Te(this.opts),this.items=[],this.idx=0,this._currentResult=null,this._overlay=new wt,this.$container.data("cv-instance",this),mt||(mt=!0,i.addEventListener("keydown",function(t){var e=gt();e&&e._handleKeydown(t)&&(t.preventDefault(),t.stopPropagation(),t.stopImmediatePropagation())},!0));var n=this;this._beforeCollectContext={trigger:"init"},this._collectItems(function(){n._bindClicks(),n._restoreHistory()})}return $e("image",{render:function(t,i,n){var o=yt(n,i);n=n||o.activeInstance;var a=O(t,n);if(!a||!T(a))return be(i,"image",m(n,"invalidImageUrl"),t,{noDownload:!0}),{imageError:!0};var r=function(t){var e=t.srcset;if("string"==typeof e&&(e=e.split(/\s*,\s*/)),!Array.isArray(e))return null;for(var i=[],n=0;n<e.length;n++){var o=e[n],a=o&&"object"==typeof o?o.src?String(o.src)+(o.width?" "+parseInt(o.width,10)+"w":""):"":String(o||"").trim();a&&T(a.split(/\s+/)[0])&&i.push(a)}return i.length?i.join(", "):null}(t),c=function(t){var i=t.$stageWrap&&t.$stageWrap[0],n=e.devicePixelRatio||1;return i&&i.clientWidth&&i.clientHeight?{width:Math.round(i.clientWidth*n),height:Math.round(i.clientHeight*n)}:null}(o),h=!r&&c?M(t,n,"sized",c):null;h&&T(h)&&(a=h);var u=l('<div class="cv-img-wrap"></div>');o.$loader.addClass("cv-active");var d=s(t.title)||""===String(t.title).trim()?"":String(t.title),p=l('<img class="cv-image" alt="'+k(d)+'" />'),v=p[0],f=!0===n.opts.blurUp?M(t,n,"thumbnailUrl"):null,g=null;function y(){if(o.$loader.removeClass("cv-active"),p.addClass("cv-loaded"),g){var e=g;g=null,e.addClass("cv-image-placeholder-out"),setTimeout(function(){e.remove()},300)}o._clampPan(),o._applyTransform(),o._syncZoomUi(),_&&_.layout(),w&&w.start(),o._renderInfoPanel(n),n._settleLoad(t)}f&&f!==a&&T(f)&&((g=l('<img class="cv-image-placeholder" alt="" aria-hidden="true" />')).css("object-fit","cover"===o._fitMode()?"cover":"contain"),g[0].onerror=function(){g.remove()},g.attr("src",f),u.append(g)),v.onload=function(){o.activeInstance===n&&("function"==typeof v.decode?v.decode().then(y).catch(function(){requestAnimationFrame(y)}):requestAnimationFrame(y))},v.onerror=function(){o.$loader.removeClass("cv-active"),_&&_.destroy(),w&&w.destroy(),u.remove(),i.empty(),be(i,"image",m(n,"imageLoadFailed"),t,{noDownload:!I(t,n)}),n&&o._resolveToolbar(n,{imageError:!0})},u.append(p);var _=function(t){var e=t&&t.opts.annotate;return Boolean(e&&!0===e.enabled)}(n)?ee(o,n,t,u,p):null;o._annotator=_;var b=function(t,e){var i=e&&e.opts.animation;if(!i||!1===i.enabled||!1===t.animated||"image"!==(t.type||"image"))return null;var n=(t.fileExt||(t.src||"").split(/[?#]/)[0].split(".").pop()||"").toLowerCase();return"png"!==n&&"webp"!==n||!0===t.animated?ne[n]||(!0===t.animated?"":null):null}(t,n),w=null!==b&&"function"==typeof fetch&&e.URL&&"function"==typeof URL.createObjectURL?oe(o,n,t,p,b):null;function x(){r&&(v.setAttribute("sizes",t.sizes||(c?Math.round(c.width/(e.devicePixelRatio||1))+"px":"100vw")),v.setAttribute("srcset",r)),v.src=a}return o._animation=w,i.append(u),w?w.load(a,function(t){t?v.src=t:x()}):x(),_||w?{settlesLoad:!0,destroy:function(){_&&_.destroy(),w&&w.destroy()}}:{settlesLoad:!0}}}),$e("compare",{render:function(t,e,n){var o=yt(n,e);n=n||o.activeInstance;var a=function(t,e){for(var i=Array.isArray(t.versions)&&t.versions.length?t.versions:[{src:O(t,e)||t.src,label:t.label},{src:t.compareSrc,label:t.compareLabel}],n=[],o=0;o<i.length;o++){var a="string"==typeof i[o]?{src:i[o]}:i[o]||{};a.src&&T(String(a.src))&&n.push({src:String(a.src),label:s(a.label)||""===a.label?null:String(a.label)})}for(var r=0;r<n.length;r++)null===n[r].label&&(n[r].label=2===n.length?m(e,0===r?"compareBefore":"compareAfter"):m(e,"compareVersion",[r+1]));return n}(t,n);if(a.length<2)return be(e,"compare",m(n,"compareNeedsTwo"),t,{noDownload:!0}),{imageError:!0};for(var r=n.opts.compare||{},c=[t.compareMode,n._compareMode,r.mode].filter(function(t){return-1!==ce.indexOf(t)})[0]||"split",h="number"==typeof r.opacity?Math.max(0,Math.min(1,r.opacity)):.5,u=50,d=[0,1],p=".cv-compare-"+o.uid,v=l('<div class="cv-compare"></div>'),f=[],g=0;g<2;g++)f.push(l('<div class="cv-compare-pane '+(0===g?"cv-compare-base":"cv-compare-top")+'"><img class="cv-image" alt="" /><span class="cv-compare-label"></span></div>')),v.append(f[g]);var y=l('<div class="cv-compare-divider" role="slider" tabindex="0" aria-valuemin="0" aria-valuemax="100"><span class="cv-compare-handle"></span></div>');function _(){return o.activeInstance===n&&n.items[n.idx]===t&&Boolean(v[0].parentNode)}y.attr("aria-label",m(n,"compareDivider")),v.append(y);var b=0;function w(i,r){var s=f[i].find(".cv-image"),l=s[0];d[i]=r,b++,o.$loader.addClass("cv-active"),s.removeClass("cv-loaded").attr("alt",a[r].label),f[i].find(".cv-compare-label").text(a[r].label),l.onload=function(){_()&&(s.addClass("cv-loaded"),--b<=0&&(b=0,o.$loader.removeClass("cv-active"),o._clampPan(),o._applyTransform(),n._settleLoad(t)))},l.onerror=function(){_()&&(o.$loader.removeClass("cv-active"),v.remove(),e.empty(),be(e,"compare",m(n,"imageLoadFailed"),t,{noDownload:!I(t,n)}),o._resolveToolbar(n,{imageError:!0}))},l.src=a[r].src}function x(){v.removeClass("cv-compare-split cv-compare-onion cv-compare-side").addClass("cv-compare-"+c);var t=f[1][0];for(var e in t.style.clipPath="split"===c?"inset(0 0 0 "+u+"%)":"",t.style.opacity="onion"===c?String(h):"",y[0].style.left=u+"%",y.attr("aria-valuenow",String(Math.round(u))),M)Object.prototype.hasOwnProperty.call(M,e)&&M[e].toggleClass("cv-active",e===c).attr("aria-pressed",e===c?"true":"false");L.toggle("onion"===c),o._clampPan(),o._applyTransform()}y.on("mousedown touchstart",function(t){t.preventDefault(),t.stopPropagation(),l(i).off(p).on("mousemove"+p+" touchmove"+p,function(t){var e,i;e=function(t){var e=t.originalEvent||t,i=e.touches&&e.touches[0]||e.changedTouches&&e.changedTouches[0];return i?i.clientX:e.clientX}(t),(i=v[0].getBoundingClientRect()).width>0&&(u=Math.max(0,Math.min(100,(e-i.left)/i.width*100)),x())}).on("mouseup"+p+" touchend"+p+" touchcancel"+p,function(){l(i).off(p)})}),y.on("keydown",function(t){var e=t.originalEvent||t,i={ArrowLeft:u-5,ArrowRight:u+5,Home:0,End:100};Object.prototype.hasOwnProperty.call(i,e.key)&&(t.preventDefault(),t.stopPropagation(),u=Math.max(0,Math.min(100,i[e.key])),x())});var $=n&&!1!==n.opts.canShowTooltip?function(t){return' data-cv-tooltip="'+k(m(n,t))+'"'}:function(){return""},C=n&&n.opts.wcag?function(t){return' aria-label="'+k(m(n,t))+'"'}:function(){return""},P=[],M={};function z(t){var e=he[t],i=l('<button type="button" class="cv-tb-btn cv-tb-compare-'+t+'"'+$(e[0])+C(e[0])+">"+S[e[1]]+"</button>");i.on("click",function(){c=t,n._compareMode=t,x()}),M[t]=i,P.push(i[0])}for(var j=0;j<ce.length;j++)z(ce[j]);var L=l('<input type="range" class="cv-compare-opacity" min="0" max="100" step="1"'+$("compareOpacity")+' aria-label="'+k(m(n,"compareOpacity"))+'" />');if(L.val(String(Math.round(100*h))),L.on("input",function(){h=(parseFloat(this.value)||0)/100,x()}),P.push(L[0]),a.length>2){P.push("separator");for(var A=0;A<2;A++)(function(t){for(var e=l('<select class="cv-compare-select"></select>'),i=0;i<a.length;i++)e.append(l("<option></option>").attr("value",String(i)).text(a[i].label));e.val(String(d[t])),e.attr("aria-label",m(n,0===t?"compareBefore":"compareAfter")),e.on("change",function(){w(t,parseInt(this.value,10)||0)}),P.push(e[0])})(A)}return e.append(v),w(0,0),w(1,1),x(),{settlesLoad:!0,toolbar:P,destroy:function(){l(i).off(p)}}}}),$e("tiled",{render:function(t,n,o){var a=yt(o,n);o=o||a.activeInstance;var r=O(t,o);if(!r||!T(r))return be(n,"tiled",m(o,"invalidImageUrl"),t,{noDownload:!0}),{imageError:!0};var c=l('<div class="cv-img-wrap"></div>'),h=l('<div class="cv-image cv-tiled-image" role="img"></div>'),u=s(t.title)||""===String(t.title).trim()?"":String(t.title);u&&h.attr("aria-label",u),c.append(h),n.append(c),a.$loader.addClass("cv-active");var d=null,p=0,v=0,f=0,g={},y=null,_=!1,b=!1;function w(){_||(a.$loader.removeClass("cv-active"),c.remove(),n.empty(),be(n,"tiled",m(o,"imageLoadFailed"),t,{noDownload:!I(t,o)}),a._resolveToolbar(o,{imageError:!0}))}function x(t,e,n,o){var a=d.levels[e],r=function(t,e,i,n){var o=e.factor,a=t.overlap,r=i*t.tileW-(i?a:0),s=n*t.tileH-(n?a:0);return{x:r*o,y:s*o,w:Math.min(t.width,((i+1)*t.tileW+a)*o)-r*o,h:Math.min(t.height,((n+1)*t.tileH+a)*o)-s*o}}(d,a,n,o),s=i.createElement("img");s.className="cv-tile",s.alt="",s.draggable=!1,s.style.left=r.x/d.width*100+"%",s.style.top=r.y/d.height*100+"%",s.style.width=r.w/d.width*100+"%",s.style.height=r.h/d.height*100+"%",s.style.zIndex=String(e),s.onload=function(){l(s).addClass("cv-loaded"),$()},s.onerror=function(){l(s).addClass("cv-tile-failed"),$()},s.src=a.url(n,o),h[0].appendChild(s),g[t]=s}function $(){if(!b&&!_){var e=p+"/";for(var i in g)if(Object.prototype.hasOwnProperty.call(g,i)&&0===i.indexOf(e)&&!l(g[i]).hasClass("cv-loaded")&&!l(g[i]).hasClass("cv-tile-failed"))return;b=!0,o._settleLoad(t)}}function C(){if(!_&&d&&v){for(var t=(a._zoom||1)*a._fitScale(h[0]),i=d.width/(v*t)/(e.devicePixelRatio||1),n=d.levels.length-1,o=0;o<d.levels.length;o++)if(d.levels[o].factor<=i){n=o;break}n=Math.max(n,p);for(var r={},s=fe(d,d.levels[p]),c=0;c<s.cols;c++)for(var u=0;u<s.rows;u++)r[p+"/"+c+"_"+u]=[p,c,u];if(n!==p)for(var m=d.levels[n],y=fe(d,m),b=function(t){for(var e=a.$stageWrap[0].clientWidth,i=a.$stageWrap[0].clientHeight,n=(a._rotation||0)*Math.PI/180,o=Math.cos(n),r=Math.sin(n),s=d.width/v,l=1/0,c=1/0,h=-1/0,u=-1/0,p=[[-e/2,-i/2],[e/2,-i/2],[e/2,i/2],[-e/2,i/2]],m=0;m<p.length;m++){var g=(p[m][0]-a._panX)/t*(a._flipX?-1:1),y=(p[m][1]-a._panY)/t*(a._flipY?-1:1),_=(g*o+y*r+v/2)*s,b=(-g*r+y*o+f/2)*s;l=Math.min(l,_),h=Math.max(h,_),c=Math.min(c,b),u=Math.max(u,b)}return{x0:Math.max(0,l),y0:Math.max(0,c),x1:Math.min(d.width,h),y1:Math.min(d.height,u)}}(t),w=d.tileW*m.factor,$=d.tileH*m.factor,C=Math.max(0,Math.floor(b.x0/w)),S=Math.min(y.cols-1,Math.floor(b.x1/w)),k=Math.max(0,Math.floor(b.y0/$)),T=Math.min(y.rows-1,Math.floor(b.y1/$)),P=C;P<=S;P++)for(var I=k;I<=T;I++)r[n+"/"+P+"_"+I]=[n,P,I];for(var M in g)Object.prototype.hasOwnProperty.call(g,M)&&!r[M]&&(l(g[M]).remove(),delete g[M]);for(var O in r)Object.prototype.hasOwnProperty.call(r,O)&&!g[O]&&x(O,r[O][0],r[O][1],r[O][2])}}var S={layout:function(){if(!_&&d){var t=a.$stageWrap[0].clientWidth,e=a.$stageWrap[0].clientHeight;if(t&&e){var i=Math.min(t/d.width,e/d.height);v=d.width*i,f=d.height*i,h.css({width:v,height:f})}null===y&&(y=requestAnimationFrame(function(){y=null,C()}))}}};return a._tiledViewer=S,"function"!=typeof fetch?(w(),{imageError:!0}):(fetch(r,{method:"GET",credentials:"include"}).then(function(t){if(!t.ok)throw new Error(String(t.status));return t.text()}).then(function(t){if(!_)if(d=function(t,e){var i,n=String(t||"").trim();if("<"===n.charAt(0)){var o=(new DOMParser).parseFromString(n,"application/xml"),a=o.getElementsByTagName("Image")[0],r=o.getElementsByTagName("Size")[0];return a&&r?ue(e,{TileSize:a.getAttribute("TileSize"),Overlap:a.getAttribute("Overlap"),Format:a.getAttribute("Format"),Size:{Width:r.getAttribute("Width"),Height:r.getAttribute("Height")}}):null}try{i=JSON.parse(n)}catch(t){return null}return i&&i.Image?ue(e,i.Image):i&&i.width&&i.height?pe(e,i):null}(t,r)){for(var e=0;e<d.levels.length;e++){var i=fe(d,d.levels[e]);i.cols*i.rows===1&&(p=e)}var n=fe(d,d.levels[p]);n.cols*n.rows===1&&h.attr("data-cv-preview",d.levels[p].url(0,0)),h.attr({"data-cv-natural-width":d.width,"data-cv-natural-height":d.height}).addClass("cv-loaded"),a.$loader.removeClass("cv-active"),a._clampPan(),a._applyTransform(),a._syncZoomUi(),a._renderInfoPanel(o)}else w()}).catch(w),{settlesLoad:!0,destroy:function(){_=!0,null!==y&&(cancelAnimationFrame(y),y=null),a._tiledViewer===S&&(a._tiledViewer=null)}})}}),$e("video",{render:function(t,e,n){if(void 0===l.fn.jPlayer)return function(t,e,i){var n=O(t,i=i||yt(null,e).activeInstance);if(!n||!T(n))return null;var o=l('<div class="cv-video-wrap"></div>'),a=M(t,i,"thumbnailUrl")||t.thumbnailUrl,r=a&&T(a)?a:"",s=l('<video class="cv-native-video" controls playsinline preload="none"></video>');return s.attr("src",n),r&&s.attr("poster",r),rt(i,s[0]),o.append(s),e.append(o),{}}(t,e,n);var o=O(t,n);if(!o||!T(o))return null;var a="cv-jp-v-"+ ++h,r=a+"-ui",s=Y(t,n),c={};c[s]=o;var u=M(t,n,"thumbnailUrl")||t.thumbnailUrl;u&&T(u)&&(c.poster=u);var d=n&&!1!==n.opts.canShowTooltip,p=function(t){return d?' data-cv-tooltip="'+k(m(n,t))+'"':""},v=n&&n.opts.video||{},f=t.hdUrl&&T(t.hdUrl),g=v.onGetHdUrl&&"function"==typeof v.onGetHdUrl,y=v.canShowHDButton&&"function"==typeof v.canShowHDButton,_=!!f&&(!y||Boolean(v.canShowHDButton(t,n)))||Boolean(g)&&!f,b=_?'<button class="cv-jp-btn cv-jp-hd" type="button"'+p("hd")+">HD</button>":"",w=u&&T(u)?u:"",x=l('<div class="cv-video-wrap"><div id="'+r+'" class="cv-jp-video-ui">'+(w?'<div class="cv-jp-poster" aria-hidden="true"></div>':"")+'<div class="cv-jp-video-screen"></div>'+(_?'<span class="cv-jp-hd-badge" aria-hidden="true">HD</span>':"")+'<div class="cv-jp-big-play"><svg width="48" height="48" viewBox="0 0 24 24" fill="currentColor"><g transform="translate(12 12) scale(0.65) translate(-12 -12)"><polygon points="5 3 19 12 5 21" transform="translate(2.33 0)"/></g></svg></div><div class="cv-jp-controls"><button class="cv-jp-btn jp-play" type="button"'+p("play")+'><svg width="18" height="18" viewBox="0 0 24 24" fill="currentColor"><polygon points="5 3 19 12 5 21"/></svg></button><button class="cv-jp-btn jp-pause" type="button"'+p("pause")+' style="display:none"><svg width="18" height="18" viewBox="0 0 24 24" fill="currentColor"><rect x="6" y="4" width="4" height="16"/><rect x="14" y="4" width="4" height="16"/></svg></button><span class="cv-jp-time jp-current-time">0:00</span><div class="cv-jp-progress jp-seek-bar"><div class="cv-jp-play-bar jp-play-bar"></div></div><span class="cv-jp-time jp-duration">0:00</span><select class="cv-jp-speed"'+p("playbackSpeed")+'><option value="0.5">0.5x</option><option value="0.75">0.75x</option><option value="1" selected>1x</option><option value="1.25">1.25x</option><option value="1.5">1.5x</option><option value="2">2x</option></select>'+b+'<button class="cv-jp-btn jp-mute" type="button"'+p("mute")+'><svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><polygon points="11 5 6 9 2 9 2 15 6 15 11 19 11 5"/><path d="M19.07 4.93a10 10 0 0 1 0 14.14"/><path d="M15.54 8.46a5 5 0 0 1 0 7.07"/></svg></button><button class="cv-jp-btn jp-unmute" type="button"'+p("unmute")+' style="display:none"><svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><polygon points="11 5 6 9 2 9 2 15 6 15 11 19 11 5"/><line x1="23" y1="9" x2="17" y2="15"/><line x1="17" y1="9" x2="23" y2="15"/></svg></button><div class="cv-jp-volume jp-volume-bar"><div class="cv-jp-volume-val jp-volume-bar-value"></div></div><button class="cv-jp-btn jp-full-screen" type="button"'+p("fullscreen")+'><svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><polyline points="15 3 21 3 21 9"/><polyline points="9 21 3 21 3 15"/><line x1="21" y1="3" x2="14" y2="10"/><line x1="3" y1="21" x2="10" y2="14"/></svg></button><button class="cv-jp-btn jp-restore-screen" type="button"'+p("exitFullscreen")+' style="display:none"><svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><polyline points="4 14 10 14 10 20"/><polyline points="20 10 14 10 14 4"/><line x1="14" y1="10" x2="21" y2="3"/><line x1="3" y1="21" x2="10" y2="14"/></svg></button></div></div></div>');w&&x.find(".cv-jp-poster").css("background-image",'url("'+w.replace(/"/g,"%22")+'")'),e.append(x),n&&n.opts.wcag&&(x.find(".jp-play").attr("aria-label",m(n,"play")),x.find(".jp-pause").attr("aria-label",m(n,"pause")),x.find(".cv-jp-speed").attr("aria-label",m(n,"playbackSpeed")),x.find(".cv-jp-hd").attr("aria-label",m(n,"hd")),x.find(".jp-mute").attr("aria-label",m(n,"mute")),x.find(".jp-unmute").attr("aria-label",m(n,"unmute")),x.find(".jp-full-screen").attr("aria-label",m(n,"fullscreen")),x.find(".jp-restore-screen").attr("aria-label",m(n,"exitFullscreen")));var $=l(),C=x.find(".cv-jp-big-play"),S=x.find(".cv-jp-video-screen"),P=x.find(".cv-jp-speed"),I=st(n);I.playbackRate&&P.val(String(I.playbackRate));var z=!1,j=!1,L=!1,A="function"==typeof v.beforeVideoPlay?v.beforeVideoPlay:null;function E(){if(!j){if(j=!0,L=!1,x.find(".cv-jp-poster").addClass("cv-hidden"),!$.length){var t=l('<div id="'+a+'" class="cv-jp-player"></div>');x.prepend(t),$=t}$.jPlayer(l.extend({ready:function(){l(this).jPlayer("setMedia",c),l(this).jPlayer("play")},play:function(){z=!0,Z(!0)},pause:function(){z=!1,Z(!1)},ended:function(){z=!1,Z(!1)},volumechange:function(t){var e=t.jPlayer&&t.jPlayer.options,i=e&&e.muted||e&&0===e.volume;G(Boolean(i)),e&&at(n,{volume:e.volume,muted:Boolean(e.muted)})},supplied:s,cssSelectorAncestor:"#"+r,size:{width:"100%",height:"100%",cssClass:"cv-jp-video-size"},sizeFull:{width:"100%",height:"100%",cssClass:"cv-jp-video-size-full"},smoothPlayBar:!0,keyEnabled:!1,globalVolume:!0,playbackRate:parseFloat(P.val())||1},I)),G(Boolean(I.muted))}}function R(){z?$.jPlayer("pause"):j?$.jPlayer("play"):j||L||(A?A(t,n,function(t){if(!j)if(t&&t.gateContent&&t.gateContent.html){L=!0;var e=t.gateContent,i=l('<div class="cv-video-gate"></div>'),o=e.html;"string"==typeof o?i.html(o):o&&o.jquery||o&&o.nodeType?i.append(o):i.html(String(o)),x.append(i);var a=i.find("[data-cv-gate-proceed]");a.off("click.cv-videoplay-gate").on("click.cv-videoplay-gate",function(t){t.preventDefault();var o="function"==typeof e.onProceed?e.onProceed():{};n&&(n._videoBeforePlayContext=o||{}),a.off("click.cv-videoplay-gate"),i.remove(),L=!1,j||E()})}else E()},e):E())}C.on("click",R),S.on("click",R),x.find(".jp-play").on("click",R),x.find(".jp-pause").on("click",R),P.on("change",function(){at(n,{playbackRate:parseFloat(this.value)}),j&&$.jPlayer("option","playbackRate",parseFloat(this.value))});var F=x.find(".cv-jp-hd"),N=c,H=!1;if(F.length){var D=function(t){H=Boolean(t),F.toggleClass("cv-jp-hd-active",H);var e=m(n,H?"hdOn":"hd");n&&!1!==n.opts.canShowTooltip&&F.attr("data-cv-tooltip",e),n&&n.opts.wcag&&F.attr("aria-label",e);var i=x.find(".cv-jp-hd-badge");i.length&&i.toggle(H)},V=function(){if(j){var e=$.data("jPlayer"),i=e&&e.status&&"number"==typeof e.status.currentTime?e.status.currentTime:0,o=z;$.jPlayer("pause");var a,r=!1,l=function(){r||(r=!0,clearTimeout(a),$.jPlayer("pause",i),o&&$.jPlayer("play"))};if(H)return $.one("jPlayer_loadeddata",function(){l(),D(!1)}),a=setTimeout(function(){l(),D(!1)},1200),void $.jPlayer("setMedia",N);var c=(f?t.hdUrl:null)||(g?v.onGetHdUrl(t,n):null);if(c&&T(c)){var h={};h[s]=c,N.poster&&(h.poster=N.poster),$.one("jPlayer_loadeddata",function(){l(),D(!0)}),a=setTimeout(function(){l(),D(!0)},1200),$.jPlayer("setMedia",h)}}};F.on("click",function(){if(j)if(H)V();else{var e=(f?t.hdUrl:null)||(g?v.onGetHdUrl(t,n):null);e&&T(e)&&V()}})}var U=x.find(".jp-full-screen"),W=x.find(".jp-restore-screen"),X=x[0];function q(){var t=B(),o=t===X;U.toggle(!o),W.toggle(o),n&&!1!==n.opts.canShowTooltip&&(U.attr("data-cv-tooltip",m(n,"fullscreen")),W.attr("data-cv-tooltip",m(n,"exitFullscreen"))),n&&n.opts.wcag&&(U.attr("aria-label",m(n,"fullscreen")),W.attr("aria-label",m(n,"exitFullscreen")));var a=yt(n,e);if(a.$tooltip&&a.$tooltip.length)if(o)a.$tooltip.parent()[0]!==X&&x.append(a.$tooltip);else{var r=a.$el&&a.$el[0];t===r?a.$tooltip.parent()[0]!==r&&a.$el.append(a.$tooltip):a.$tooltip.parent()[0]!==i.body&&l("body").append(a.$tooltip)}}function Z(t){C.toggleClass("cv-hidden",Boolean(t)),x.find(".jp-play").toggle(!t),x.find(".jp-pause").toggle(Boolean(t))}function G(t){x.find(".jp-mute").toggle(!t),x.find(".jp-unmute").toggle(Boolean(t))}return U.on("click",function(){X.requestFullscreen?X.requestFullscreen():X.webkitRequestFullscreen?X.webkitRequestFullscreen():X.mozRequestFullScreen?X.mozRequestFullScreen():X.msRequestFullscreen&&X.msRequestFullscreen()}),W.on("click",function(){i.exitFullscreen?i.exitFullscreen():i.webkitExitFullscreen?i.webkitExitFullscreen():i.mozCancelFullScreen?i.mozCancelFullScreen():i.msExitFullscreen&&i.msExitFullscreen()}),l(i).on("fullscreenchange webkitfullscreenchange mozfullscreenchange msfullscreenchange.cv-video",function(){q()}),q(),{destroy:function(){l(i).off("fullscreenchange webkitfullscreenchange mozfullscreenchange msfullscreenchange.cv-video"),x.find(".cv-video-gate").remove(),L=!1,j&&$.length&&($.jPlayer("destroy"),$.remove())}}}}),$e("audio",{render:function(t,e,i){if(void 0===l.fn.jPlayer)return function(t,e,i){var n=O(t,i=i||yt(null,e).activeInstance);if(!n||!T(n))return null;var o=(t.fileExt||t.title||"").split(".").pop().toUpperCase()||"AUDIO",a=l('<div class="cv-audio-wrap"><div class="cv-audio-artwork"><div class="cv-audio-icon"><svg width="60" height="60" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="1" opacity=".4"><path d="M9 18V5l12-2v13"/><circle cx="6" cy="18" r="3"/><circle cx="18" cy="16" r="3"/></svg></div><div class="cv-audio-title">'+k(t.title||m(i,"audio"))+'</div><div class="cv-audio-meta"><span>'+k(o)+'</span></div></div><div class="cv-audio-native-controls"></div></div>'),r=l('<audio controls preload="metadata"></audio>');return r.attr("src",n),rt(i,r[0]),a.find(".cv-audio-native-controls").append(r),e.append(a),{}}(t,e,i);var n=O(t,i);if(!n||!T(n))return null;var o="cv-jp-a-"+ ++h,a=o+"-ui",r=Y(t,i),s={};s[r]=n;var c=(t.fileExt||t.title||"").split(".").pop().toUpperCase()||"AUDIO",u=i&&!1!==i.opts.canShowTooltip,d=function(t){return u?' data-cv-tooltip="'+k(m(i,t))+'"':""},p=l('<div class="cv-audio-wrap"><div class="cv-audio-artwork"><div class="cv-audio-icon"><svg width="60" height="60" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="1" opacity=".4"><path d="M9 18V5l12-2v13"/><circle cx="6" cy="18" r="3"/><circle cx="18" cy="16" r="3"/></svg></div><div class="cv-audio-title">'+k(t.title||m(i,"audio"))+'</div><div class="cv-audio-meta">'+(t.fileSize?"<span>"+k(t.fileSize)+"</span>":"")+"<span>"+k(c)+'</span></div></div><div id="'+a+'" class="cv-jp-audio-ui"><div class="cv-jp-controls"><button class="cv-jp-btn cv-jp-btn-lg jp-play" type="button"'+d("play")+'><svg width="28" height="28" viewBox="0 0 24 24" fill="currentColor"><polygon points="5 3 19 12 5 21"/></svg></button><button class="cv-jp-btn cv-jp-btn-lg jp-pause" type="button"'+d("pause")+' style="display:none"><svg width="28" height="28" viewBox="0 0 24 24" fill="currentColor"><rect x="6" y="4" width="4" height="16"/><rect x="14" y="4" width="4" height="16"/></svg></button><span class="cv-jp-time jp-current-time">0:00</span><div class="cv-jp-progress jp-seek-bar"><div class="cv-jp-play-bar jp-play-bar"></div></div><span class="cv-jp-time jp-duration">0:00</span><select class="cv-jp-speed"'+d("playbackSpeed")+'><option value="0.5">0.5x</option><option value="0.75">0.75x</option><option value="1" selected>1x</option><option value="1.25">1.25x</option><option value="1.5">1.5x</option><option value="2">2x</option></select><button class="cv-jp-btn jp-mute" type="button"'+d("mute")+'><svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><polygon points="11 5 6 9 2 9 2 15 6 15 11 19 11 5"/><path d="M19.07 4.93a10 10 0 0 1 0 14.14"/><path d="M15.54 8.46a5 5 0 0 1 0 7.07"/></svg></button><button class="cv-jp-btn jp-unmute" type="button"'+d("unmute")+' style="display:none"><svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><polygon points="11 5 6 9 2 9 2 15 6 15 11 19 11 5"/><line x1="23" y1="9" x2="17" y2="15"/><line x1="17" y1="9" x2="23" y2="15"/></svg></button><div class="cv-jp-volume jp-volume-bar"><div class="cv-jp-volume-val jp-volume-bar-value"></div></div></div></div></div>');e.append(p),i&&i.opts.wcag&&(p.find(".jp-play").attr("aria-label",m(i,"play")),p.find(".jp-pause").attr("aria-label",m(i,"pause")),p.find(".cv-jp-speed").attr("aria-label",m(i,"playbackSpeed")),p.find(".jp-mute").attr("aria-label",m(i,"mute")),p.find(".jp-unmute").attr("aria-label",m(i,"unmute")));var v=l(),f=p.find(".cv-jp-speed"),g=st(i);g.playbackRate&&f.val(String(g.playbackRate));var y=!1;function _(t){p.find(".jp-play").toggle(!t),p.find(".jp-pause").toggle(Boolean(t))}function b(t){p.find(".jp-mute").toggle(!t),p.find(".jp-unmute").toggle(Boolean(t))}function w(){if(y){var t=v.data("jPlayer"),e=t&&t.status?t.status:{};void 0===e.paused||e.paused?v.jPlayer("play"):v.jPlayer("pause")}else!function(){if(!y){if(y=!0,!v.length){var t=l('<div id="'+o+'" class="cv-jp-player"></div>');p.prepend(t),v=t}v.jPlayer(l.extend({ready:function(){l(this).jPlayer("setMedia",s),l(this).jPlayer("play")},play:function(){_(!0)},pause:function(){_(!1)},ended:function(){_(!1)},volumechange:function(t){var e=t.jPlayer&&t.jPlayer.options,n=e&&e.muted||e&&0===e.volume;b(Boolean(n)),e&&at(i,{volume:e.volume,muted:Boolean(e.muted)})},supplied:r,cssSelectorAncestor:"#"+a,smoothPlayBar:!0,keyEnabled:!1,globalVolume:!0,playbackRate:parseFloat(f.val())||1},g)),b(Boolean(g.muted))}}()}return p.find(".jp-play").on("click",w),p.find(".jp-pause").on("click",w),f.on("change",function(){at(i,{playbackRate:parseFloat(this.value)}),y&&v.jPlayer("option","playbackRate",parseFloat(this.value))}),{destroy:function(){y&&v.length&&(v.jPlayer("destroy"),v.remove())}}}}),$e("pdf",{render:function(t,n,o){if(void 0===e.pdfjsLib)return function(t,e,i){var n=O(t,i=i||yt(null,e).activeInstance);if(!n||!T(n))return null;var o=l('<div class="cv-pdf-iframe-wrap"></div>'),a=l('<iframe class="cv-pdf-iframe"></iframe>');return a.attr("title",m(i,"pdf")),a.attr("src",n),o.append(a),e.append(o),{}}(t,n,o);var a=O(t,o)||t.src;if(!a||!T(a))return null;var r=yt(o,n),s=o.opts.pdf||{},c=!1!==s.annotations,h=!1!==s.autoFit,u="number"==typeof s.autoFitMinScale?s.autoFitMinScale:.75,d="number"==typeof s.autoFitMaxScale?s.autoFitMaxScale:2.5,p=!1!==s.textLayer,v="function"==typeof s.onPrint?s.onPrint:null,f=!0===s.twoPageView&&!0===ot(o).pdfTwoPage,g=l('<div class="cv-pdf-wrap"><div class="cv-pdf-sidebar" style="display:none"><div class="cv-pdf-thumbs"></div></div><div class="cv-pdf-main"><div class="cv-pdf-main-inner"><div class="cv-pdf-canvas-wrap"></div></div></div></div>'),y=g.find(".cv-pdf-sidebar"),_=g.find(".cv-pdf-thumbs"),b=g.find(".cv-pdf-main"),w=g.find(".cv-pdf-canvas-wrap"),x=null,$=1,C=0,P=1,I=0,M=!1,z=null,j=null,L=null,A=!1,E=!1,B=null,R=[50,75,100,125,150,175,200,225,250],F=null,N=!1,H=null;function D(){B&&B.length&&(h?B.val("autofit"):B.val(String(function(t){for(var e=Math.round(100*t),i=R[0],n=Math.abs(e-i),o=1;o<R.length;o++){var a=Math.abs(e-R[o]);a<n&&(n=a,i=R[o])}return i}(P))))}function V(){L=null,A&&(A=!1,Z(function(){D(),V()}))}function U(){clearTimeout(L),L=setTimeout(function(){M?A=!0:Z(function(){D(),V()})},100)}function W(t){var e;h=!1,e=t,P=Math.max(.25,Math.min(5,e)),D(),U()}function Y(){if(h&&x){var t=nt();x.getPage(1).then(function(e){var i,n=e.getViewport({scale:1,rotation:I});t.w>0&&t.h>0&&(i=f?Math.min((t.w-12)/(2*n.width),t.h/n.height):Math.min(t.w/n.width,t.h/n.height),P=Math.max(u,Math.min(i,d))),Z(),D()})}}function X(){if(x&&!(C<1)){var t=b[0];if(t){for(var e=t.getBoundingClientRect(),i=w.find(".cv-pdf-page"),n=1,o=0,a=0;a<i.length;a++){var r=i[a],s=parseInt(r.getAttribute("data-page"));if(s){var l=r.getBoundingClientRect(),c=Math.max(e.top,l.top),h=Math.min(e.bottom,l.bottom),u=Math.max(0,h-c);u>o&&(o=u,n=s)}}$!==n&&($=n,tt(),_.find(".cv-pdf-thumb").removeClass("cv-active"),_.find('[data-page="'+$+'"]').addClass("cv-active"))}}}function q(t,e,n){x.getPage(e).then(function(o){var a=o.getViewport({scale:P,rotation:I}),r=l('<div class="cv-pdf-page"></div>');r.attr("data-page",e),r.css({position:"relative",width:a.width+"px",height:a.height+"px"});var s=i.createElement("canvas");s.width=a.width,s.height=a.height,s.className="cv-pdf-canvas",r.append(s),t.append(r);var h=o.render({canvasContext:s.getContext("2d"),viewport:a});(h.promise||h).then(function(){c&&function(t,e,i){t.getAnnotations().then(function(t){if(t&&t.length){var n=e.convertToViewportRectangle||e.convertToViewport;if(n){var o=void 0!==pdfjsLib.Util&&"function"==typeof pdfjsLib.Util.normalizeRect?pdfjsLib.Util.normalizeRect:G,a=l('<div class="cv-pdf-annotations"></div>');a.css({position:"absolute",top:0,left:0,width:"100%",height:"100%"});for(var r=0;r<t.length;r++){var s=t[r];if(s.rect){var c=o(n.call(e,s.rect)),h=l('<div class="cv-pdf-annot"></div>');if(h.css({position:"absolute",left:c[0]+"px",top:c[1]+"px",width:c[2]-c[0]+"px",height:c[3]-c[1]+"px"}),"Link"===s.subtype&&s.url&&T(s.url)){var u=l('<a class="cv-pdf-annot-link"></a>');u.attr({href:s.url,target:"_blank"}),u.css({display:"block",width:"100%",height:"100%"}),h.append(u)}else"Link"===s.subtype&&s.dest&&function(t,e,i){e.css("cursor","pointer"),e.on("click",function(){"number"==typeof t?et(t+1):Array.isArray(t)&&i.getPageIndex(t[0]).then(function(t){et(t+1)})})}(s.dest,h,x);"Highlight"===s.subtype&&h.addClass("cv-pdf-annot-highlight"),a.append(h)}}i.append(a)}}})}(o,a,r),p&&E&&"function"==typeof o.getTextContent&&o.getTextContent().then(function(t){Q(t,a,r)}),n&&n()})})}function Z(t){if(!M&&x)if(M=!0,w.empty(),f){var e=0,i=Math.ceil(C/2),n=function(){if(++e>i)return M=!1,tt(),b.off("scroll.cv-pdf-page").on("scroll.cv-pdf-page",function(){clearTimeout(j),j=setTimeout(X,80)}),X(),void(t&&t());var o=2*(e-1)+1;!function(t,e,i){var n=l('<div class="cv-pdf-spread"></div>');w.append(n);var o=e?2:1;function a(){0===--o&&i&&i()}q(n,t,a),e&&q(n,e,a)}(o,o+1<=C?o+1:null,n)};n()}else{var o=0,a=function(){if(++o>C)return M=!1,tt(),b.off("scroll.cv-pdf-page").on("scroll.cv-pdf-page",function(){clearTimeout(j),j=setTimeout(X,80)}),X(),void(t&&t());!function(t,e){q(w,t,e)}(o,a)};a()}}function G(t){if(!t||t.length<4)return[0,0,0,0];var e=t[0],i=t[1],n=t[2],o=t[3];return[Math.min(e,n),Math.min(i,o),Math.max(e,n),Math.max(i,o)]}function K(t,e){return!t||t.length<6||!e||e.length<6?e||t:[t[0]*e[0]+t[2]*e[1],t[1]*e[0]+t[3]*e[1],t[0]*e[2]+t[2]*e[3],t[1]*e[2]+t[3]*e[3],t[0]*e[4]+t[2]*e[5]+t[4],t[1]*e[4]+t[3]*e[5]+t[5]]}function Q(t,e,n){if(t&&t.items&&e){var o="undefined"!=typeof pdfjsLib&&pdfjsLib.Util&&"function"==typeof pdfjsLib.Util.transform?pdfjsLib.Util:null,a=e.transform;(!a||a.length<6)&&(a=[1,0,0,1,0,0]);var r=l('<div class="cv-pdf-text-layer"></div>');r.css({position:"absolute",left:0,top:0,width:e.width+"px",height:e.height+"px",overflow:"hidden",pointerEvents:"auto",userSelect:"text",WebkitUserSelect:"text"});for(var s=t.items,c=0;c<s.length;c++){var h=s[c],u=h&&null!==h.str&&void 0!==h.str?String(h.str):"",d=h&&null!==h.transform&&void 0!==h.transform&&h.transform.length>=6?h.transform:[1,0,0,1,0,0],p=o?o.transform(a,d):K(a,d),v=p[4],f=Math.sqrt(p[2]*p[2]+p[3]*p[3])||12,m=p[5]-f,g=i.createElement("span");g.className="cv-pdf-text-span",g.style.cssText="position:absolute;left:"+v+"px;top:"+m+"px;font-size:"+f+"px;line-height:1.15;white-space:pre;pointer-events:auto;",g.textContent=u,r[0].appendChild(g)}var y=n.find(".cv-pdf-annotations");y.length?y.before(r):n.append(r)}}function J(t){x.getPage(t).then(function(e){var n=e.getViewport({scale:.25}),o=i.createElement("canvas");o.width=n.width,o.height=n.height;var a=l('<div class="cv-pdf-thumb'+(1===t?" cv-active":"")+'" data-page="'+t+'"></div>');a.append(o).append('<span class="cv-pdf-thumb-num">'+t+"</span>"),a.on("click",function(){et(t)}),_.append(a),e.render({canvasContext:o.getContext("2d"),viewport:n})})}function tt(){if(function(t,e,i,n){var o=t&&t._analytics&&t._analytics.view;o&&o.item===e&&i&&(-1===o.pages.indexOf(i)&&o.pages.push(i),o.pageCount=n||o.pageCount)}(o,t,$,C),F&&!N){var e=F.find(".cv-pdf-page-current"),i=F.find(".cv-pdf-page-total");e.length&&e.text($),i.length&&i.text(C||"-")}}function et(t){if(!(C<1)){t=Math.max(1,Math.min(C,t)),$=t,tt(),_.find(".cv-pdf-thumb").removeClass("cv-active"),_.find('[data-page="'+$+'"]').addClass("cv-active");var e=w.find('.cv-pdf-page[data-page="'+t+'"]');e.length&&e[0].scrollIntoView({behavior:"smooth",block:"start"})}}r.$loader.addClass("cv-active"),s.workerSrc&&(pdfjsLib.GlobalWorkerOptions.workerSrc=s.workerSrc);var it={url:a,withCredentials:!0};function nt(){var t=r.$stageWrap;return{w:(t&&t.length?t.width():0)||n.width()||600,h:(t&&t.length?t.height():0)||n.height()||800}}s.cMapUrl&&(it.cMapUrl=s.cMapUrl,it.cMapPacked=!1!==s.cMapPacked);var rt="object"==typeof it&&it.url?pdfjsLib.getDocument(it):pdfjsLib.getDocument(a);(rt.promise||rt).then(function(t){function i(){var i=nt(),n=i.w,o=i.h;t.getPage(1).then(function(t){var i=t.getViewport({scale:1});if(h&&n>0&&o>0){var a=f?Math.min((n-12)/(2*i.width),o/i.height):Math.min(n/i.width,o/i.height);P=Math.max(u,Math.min(a,d))}else P=!h&&n>0?Math.max(.25,Math.min(f?(n-12)/(2*i.width):n/i.width,d)):Math.min(1,d);D(),Z(function(){for(var t=1;t<=C;t++)J(t)}),h&&l(e).on("resize.cv-pdf-autofit",function(){clearTimeout(z),z=setTimeout(Y,150)})})}var n,o,a;x=t,C=t.numPages,r.$loader.removeClass("cv-active"),p&&C>0&&(n=function(t){if(t&&H&&r.$toolbar&&r.$toolbar.length){var e=r.$toolbar.find(".cv-tb-pdf-print");e.length?e.after(H):r.$toolbar.append(H)}},o=Math.min(3,Math.max(1,C)),a=0,function e(){a>=o?n(!1):t.getPage(a+1).then(function(t){if("function"!=typeof t.getTextContent)return a++,void e();var i=t.getTextContent();(i&&i.then?i:Promise.resolve(i)).then(function(t){t&&t.items&&t.items.length>0?n(!0):(a++,e())}).catch(function(){a++,e()})}).catch(function(){a++,e()})}()),requestAnimationFrame(function(){requestAnimationFrame(i)})},function(){r.$loader.removeClass("cv-active"),g&&g.length&&g.remove(),be(n,"pdf",m(o,"pdfLoadFailed"),t)}),n.append(g);var st=o&&!1!==o.opts.canShowTooltip?function(t){return' data-cv-tooltip="'+k(m(o,t))+'"'}:function(){return""},lt=o&&o.opts.wcag?function(t){return' aria-label="'+k(m(o,t))+'"'}:function(){return""},ct=[],ht=l('<button class="cv-tb-btn"'+st("thumbnails")+lt("thumbnails")+">"+S.thumbnails+"</button>");ht.on("click",function(){y.toggle(),ht.toggleClass("cv-active")}),ct.push(ht[0]);var ut=l('<button class="cv-tb-btn"'+st("previousPage")+lt("previousPage")+">"+S.prevPage+"</button>");ut.on("click",function(){et($-1)}),ct.push(ut[0]),(F=l('<span class="cv-pdf-page-info"><span class="cv-pdf-page-current">1</span> / <span class="cv-pdf-page-total">-</span></span>')).on("click",function(){if(!N){N=!0;var t=String($||1),e=l('<input class="cv-pdf-page-input" type="text" inputmode="numeric" autocomplete="off" spellcheck="false" />');e.val(t),F.find(".cv-pdf-page-current").replaceWith(e),e[0].focus(),e.on("keydown",function(t){"Enter"===t.key?(t.preventDefault(),n()):"Escape"===t.key&&(t.preventDefault(),i())}),e.on("blur",function(){n()})}function i(){var t=l('<span class="cv-pdf-page-current"></span>').text($);e.replaceWith(t),F.find(".cv-pdf-page-total").text(C||"-"),N=!1}function n(){var t=String(e.val()||"").trim(),n=parseInt(t);isNaN(n)?i():(n=Math.max(1,Math.min(C||1,n)),i(),C&&et(n))}}),ct.push(F[0]);var dt=l('<button class="cv-tb-btn"'+st("nextPage")+lt("nextPage")+">"+S.nextPage+"</button>");dt.on("click",function(){et($+1)}),ct.push(dt[0]),ct.push("separator");var pt=l('<button class="cv-tb-btn cv-tb-pdf-zoom-out"'+st("zoomOut")+lt("zoomOut")+">"+S.zoomOut+"</button>");pt.on("click",function(){W(P-.25)}),ct.push(pt[0]),(B=l('<select class="cv-pdf-zoom-select"'+lt("zoom")+"></select>")).append('<option value="autofit">'+k(m(o,"autoFit"))+"</option>");for(var vt=0;vt<R.length;vt++){var ft=R[vt];B.append('<option value="'+ft+'">'+ft+"%</option>")}B.on("change",function(){var t=String(l(this).val()||"");if("autofit"===t)return h=!0,Y(),void D();var e=parseInt(t);!isNaN(e)&&e>0&&W(e/100)}),D(),ct.push(B[0]);var mt=l('<button class="cv-tb-btn cv-tb-pdf-zoom-in"'+st("zoomIn")+lt("zoomIn")+">"+S.zoomIn+"</button>");mt.on("click",function(){W(P+.25)}),ct.push(mt[0]);var gt=l('<button class="cv-tb-btn"'+st("rotate")+lt("rotate")+">"+S.rotateCw+"</button>");if(gt.on("click",function(){I=(I+90)%360,Z()}),ct.push(gt[0]),!0===s.twoPageView){var _t=l('<button class="cv-tb-btn cv-tb-pdf-twopage"'+st("twoPageView")+lt("twoPageView")+">"+S.twoPageView+"</button>"),bt=function(){_t.toggleClass("cv-active",f);var t=m(o,f?"singlePageView":"twoPageView");_t.attr("data-cv-tooltip",t),o.opts.wcag&&_t.attr("aria-label",t)};_t.on("click",function(){at(o,{pdfTwoPage:f=!f}),bt(),h=!0,Y()}),bt(),ct.push(_t[0])}function wt(){var t=w.find('.cv-pdf-page[data-page="'+$+'"]'),i=t.length?t.find("canvas")[0]:w.find("canvas")[0];if(i){var n=e.open(""),o=i.toDataURL().replace(/"/g,"&quot;");n.document.write('<img src="'+o+'" onload="window.print();window.close();" />')}}var xt=l('<button class="cv-tb-btn cv-tb-pdf-print"'+st("print")+lt("print")+">"+S.print+"</button>");return xt.on("click",function(){v?v({item:t,pdfDoc:x,pageNum:$,totalPages:C,$canvasWrap:w,defaultPrint:wt}):wt()}),ct.push(xt[0]),p&&!0===s.extractText&&(H=l('<button class="cv-tb-btn cv-tb-pdf-extract"'+st("extractText")+lt("extractText")+">"+S.extractText+"</button>")).on("click",function(){(E=!E)?x&&"function"==typeof x.getPage&&w.find(".cv-pdf-page").each(function(){var t=l(this),e=parseInt(t.attr("data-page"));e&&x.getPage(e).then(function(e){var i=e.getViewport({scale:P,rotation:I});"function"==typeof e.getTextContent&&e.getTextContent().then(function(e){Q(e,i,t)})})}):w.find(".cv-pdf-text-layer").remove(),l(this).toggleClass("cv-active",E)}),{toolbar:ct,destroy:function(){clearTimeout(z),clearTimeout(j),clearTimeout(L),l(e).off("resize.cv-pdf-autofit"),b.off("scroll.cv-pdf-page"),x&&x.destroy()}}}}),$e("inline",{render:function(t,e,i){if(!s(t.content)&&"string"==typeof t.content)return n=t.content,o=ye(n,t,i),a=l('<div class="cv-inline-wrap"><div class="cv-inline-body">'+o+"</div></div>"),e.append(a),{inlineContent:t.content};var n,o,a,r=O(t,i)||t.src;if(r&&T(r)){var c=l('<div class="cv-inline-wrap"><div class="cv-inline-loading"><div class="cv-inline-spinner"></div></div></div>');return e.append(c),fetch(r,{method:"GET",credentials:"include"}).then(function(t){return t.text()}).then(function(e){i&&(i._inlineContent=e),c.find(".cv-inline-loading").replaceWith(l('<div class="cv-inline-body">').html(ye(e,t,i)))}).catch(function(){c.remove(),be(e,"inline",m(i,"couldNotLoadFileInline"),t)}),{}}return be(e,"inline",m(i,"noContentInline"),t),null}}),$e("markdown",{render:function(t,i,n){var o=yt(n,i);function a(){return"function"==typeof e.marked||e.marked&&"function"==typeof e.marked.parse?function(t){return e.marked.parse?e.marked.parse(t):e.marked(t)}:me}if(!s(t.content)&&"string"==typeof t.content){var r=a(),c=t.content,h=r(c);return n&&(n._markdownRaw=c,n._markdownHtml=h,n._markdownViewMode="rendered"),function(t){var e=l('<div class="cv-markdown-body"></div>').html(t);i.append(e)}(h),{}}var u=O(t,n)||t.src;if(u&&T(u)){var d=u;if(0!==d.indexOf("http")&&0!==d.indexOf("blob")&&0!==d.indexOf("data:"))try{d=new URL(d,e.location.href).href}catch(t){}n&&(n._markdownViewMode="rendered",n._markdownRaw=null,n._markdownHtml=null),o.$loader.addClass("cv-active");var p=l('<div class="cv-markdown-body"><div class="cv-inline-loading"><div class="cv-inline-spinner"></div></div></div>');return i.append(p),fetch(d,{method:"GET",credentials:"include"}).then(function(t){if(!t.ok)throw new Error("HTTP "+t.status);return t.text()}).then(function(t){var e=a()(t);n&&(n._markdownRaw=t,n._markdownHtml=e),p.html(e),o.$loader.removeClass("cv-active")}).catch(function(){p.remove(),o.$loader.removeClass("cv-active"),be(i,"markdown",m(n,"couldNotLoadFileMarkdown"),t)}),{}}return be(i,"markdown",m(n,"noContentMarkdown"),t),null}}),$e("error",{render:function(t,e,i){if(_e(t,function(t,e){var i;return null!=(i=s(t.message)||""===t.message?s(t.errorMessage)||""===t.errorMessage?null:t.errorMessage:t.message)?String(i):m(e,"previewNotAvailable")}(t,i),e),i&&t._cvPending&&t.message){var n=l('<button class="cv-unsupported-dl cv-unsupported-retry" type="button"></button>').text(m(i,"retry"));n.on("click",function(){n[0].disabled=!0,i._retryProviderItem()}),e.find(".cv-unsupported").append(n),i._rejectLoad("LOAD_FAILED",t.message)}return{}}}),$e("html",{render:function(t,e,i){var n=yt(i,e),o=O(t,i=i||n.activeInstance)||t.src,a=t.html;if(o&&T(o)){i&&(i._htmlMdShowingSource=!1);var r=s(t.title)||""===String(t.title).trim()?"":String(t.title).trim().replace(/"/g,"&quot;"),c=l('<div class="cv-html-iframe-wrap cv-html-iframe-loading"></div>'),h=l('<div class="cv-html-iframe-loader" aria-hidden="true"><div class="cv-spinner" role="presentation"></div></div>'),u=l('<iframe class="cv-html-iframe cv-stage-iframe"></iframe>');r&&u.attr("title",r),i&&i.opts&&i.opts.wcag&&u.attr("aria-busy","true");var d=!1,p=null,v=function(){d||(d=!0,null!==p&&(clearTimeout(p),p=null),u.off(".cvHtmlSrc"),setTimeout(function(){h&&h.length&&h.remove(),c.removeClass("cv-html-iframe-loading")},500),i&&i.opts&&i.opts.wcag&&u.removeAttr("aria-busy"))};return u.on("load.cvHtmlSrc",v),u.on("error.cvHtmlSrc",v),c.append(h),c.append(u),e.append(c),u.attr("src",o),p=setTimeout(v,12e4),{destroy:function(){null!==p&&(clearTimeout(p),p=null),u.off(".cvHtmlSrc"),d||v()}}}if(s(a)||"string"==typeof a&&""===String(a).trim())return be(e,"html",m(i,"noHtmlOrSrc"),t),null;if(n.$loader.addClass("cv-active"),"string"==typeof a)e.append(l(a));else if(a.jquery)e.append(a);else{if(!a.nodeType)return n.$loader.removeClass("cv-active"),be(e,"html",m(i,"noHtmlProvided"),t),null;e.append(a)}return setTimeout(function(){n.$loader.removeClass("cv-active")},120),{}}}),Ie._counter=0,Ie.prototype={constructor:Ie,_indexOfItemByElement:function(t){var e=t&&t.jquery?t[0]:t;if(!e)return-1;for(var i=0;i<this.items.length;i++)if(this.items[i].$el&&this.items[i].$el[0]===e)return i;return-1},_collectItems:function(t){var e=this,i=function(){var i=e._beforeCollectContext;e._doCollectItems(),e._beforeCollectContext=null,!e._usesProvider()||i&&"init"===i.trigger?"function"==typeof t&&t():e._ensureProviderItem(e._providerTarget(i),t)},n=e.opts.beforeCollectItems;"function"==typeof n?n.length>=2?n(e,i):(n(e),i()):i()},_doCollectItems:function(){var t=this,e=this._beforeCollectContext&&this._beforeCollectContext.trigger;this._itemsPinned&&"init"!==e&&"refresh"!==e||(this._itemsPinned=!1,this._usesProvider()?"init"!==e&&"refresh"!==e&&this._provider||this._resetProvider():(this._provider=null,this.items=[],this._usesItemsOption()?t.items=t.opts.items.slice():this.$container.find(this.opts.selector).each(function(){t.items.push(t._itemFromElement(l(this)))})))},_usesItemsOption:function(){return Boolean(this.opts.items&&Array.isArray(this.opts.items)&&this.opts.items.length>0)},_usesProvider:function(){return"function"==typeof this.opts.itemsProvider},_resetProvider:function(){this._provider={total:null,pages:{},waiting:{},tick:0},this.items=[]},_providerPaging:function(){var t=this.opts.itemsPaging||{},e=function(t,e,i){return t=Math.floor(Number(t)),isNaN(t)?i:Math.max(e,t)};return{pageSize:e(t.pageSize,1,50),prefetch:e(t.prefetch,0,1),maxPages:e(t.maxPages,1,10)}},_providerTarget:function(t){var e=t&&t.trigger,i=this._provider.total,n=this.idx;return"open"===e?n="number"==typeof t.openArg?t.openArg:0:"goTo"===e?n=Number(t.index)||0:"next"===e?n=this.opts.loop&&null!==i&&n+1>=i?0:n+1:"prev"===e?n=this.opts.loop&&null!==i&&n<=0?i-1:n-1:"refresh"!==e&&(n=0),null!==i&&(n=Math.min(n,i-1)),Math.max(0,n)},_ensureProviderItem:function(t,e){var i=this,n=Math.floor(t/this._providerPaging().pageSize);this._fetchProviderPage(n,function(t){i._prefetchProviderPages(n),"function"==typeof e&&e(t)})},_prefetchProviderPages:function(t){for(var e=this._providerPaging(),i=this._provider.total,n=null===i?t+e.prefetch:Math.ceil(i/e.pageSize)-1,o=1;o<=e.prefetch;o++)t+o<=n&&this._fetchProviderPage(t+o),t-o>=0&&this._fetchProviderPage(t-o)},_fetchProviderPage:function(t,e){var i=this,n=this._provider;if(n.pages[t])return n.pages[t]=++n.tick,void(e&&e(!0));if(n.waiting[t])e&&n.waiting[t].push(e);else{var o,a=n.waiting[t]=e?[e]:[],r=this._providerPaging().pageSize,s=function(e,o){if(n===i._provider&&n.waiting[t]===a){delete n.waiting[t],o?i._storeProviderPage(t,e):i._providerFailed(t);for(var r=0;r<a.length;r++)a[r](o)}};try{o=this.opts.itemsProvider.call(this,t*r,r)}catch(t){return void s(null,!1)}Promise.resolve(o).then(function(t){s(t,!0)},function(){s(null,!1)})}},_providerPlaceholder:function(){return{type:"error",title:"",message:null,_cvPending:!0}},_storeProviderPage:function(t,e){var i=this._provider,n=this._providerPaging().pageSize,o=e&&Array.isArray(e.items)?e.items:[],a=t*n,r=Math.floor(Number(e&&e.total));(isNaN(r)||r<0)&&(r=Math.max(i.total||0,a+o.length));var s=i.total;i.total=r,this.items.length=Math.min(this.items.length,r);for(var l=this.items.length;l<r;l++)this.items[l]=this._providerPlaceholder();for(var c=0;c<o.length&&a+c<r;c++)this.items[a+c]=o[c];i.pages[t]=++i.tick;var h=this._evictProviderPages(t);this.idx=Math.max(0,Math.min(this.idx,r-1)),this._providerChanged(s!==r,h.concat([t]))},_evictProviderPages:function(t){var e=this._provider,i=this._providerPaging(),n=Math.floor(this.idx/i.pageSize),o=Object.keys(e.pages).map(Number),a=[];o.sort(function(t,i){return Math.abs(i-n)-Math.abs(t-n)||e.pages[t]-e.pages[i]});for(var r=0;r<o.length&&o.length-a.length>i.maxPages;r++){var s=o[r];if(s!==n&&s!==t){delete e.pages[s];for(var l=Math.min(this.items.length,(s+1)*i.pageSize),c=s*i.pageSize;c<l;c++)this.items[c]=this._providerPlaceholder();a.push(s)}}return a},_providerFailed:function(t){for(var e=this._providerPaging().pageSize,i=Math.min(this.items.length,(t+1)*e),n=t*e;n<i;n++)this.items[n]&&this.items[n]._cvPending&&(this.items[n].message=m(this,"itemsLoadFailed"))},_retryProviderItem:function(){var t=this,e=this._provider;if(e){for(var i=this.idx,n=null===e.total?e.retryIndex||0:i,o=this._providerPaging().pageSize,a=Math.floor(n/o)*o,r=Math.min(a,i);r<Math.min(this.items.length,a+o);r++)this.items[r]&&this.items[r]._cvPending&&(this.items[r].message=null);this._ensureProviderItem(n,function(o){e===t._provider&&t._overlay.activeInstance===t&&(0!==t.items.length?t.idx===Math.min(i,t.items.length-1)&&(o?t.idx=Math.min(n,t.items.length-1):t.items[t.idx]._cvPending&&(t.items[t.idx].message=m(t,"itemsLoadFailed")),t._overlay.loadItem()):t._overlay.close())})}},_providerChanged:function(t,e){var i=this._overlay;if(i.built&&i.activeInstance===this&&!this._beforeOpenPhase){var n=this.items[this.idx];if(t&&n&&i._syncHeader(this,n),i._updateNavButtons(this),i._carouselEnabled(this))if(t)i._buildCarousel(this);else for(var o=this._providerPaging().pageSize,a=0;a<e.length;a++)i._refreshCarouselItems(this,e[a]*o,(e[a]+1)*o)}},_itemFromElement:function(t){var e=t.attr("data-src")||t.data("src")||t.attr("href")||t.find("img").attr("src"),i=(t.data("ext")||(e||"").split(".").pop()||"").toLowerCase(),n={type:t.data("type")||("md"===i?"markdown":"image"),src:e,title:t.data("title")||t.attr("title")||"",downloadUrl:t.data("download")||t.attr("data-download")||null,zoomUrl:t.data("zoomurl")||t.data("zoom-url")||null,fileExt:t.data("ext")||null,fileSize:t.data("size")||null,mimeType:t.data("mime")||null,thumbnailUrl:t.data("thumbnail")||t.data("poster")||null,srcset:t.attr("data-srcset")||null,sizes:t.attr("data-sizes")||null,animated:{true:!0,false:!1}[t.attr("data-animated")],message:t.data("message")||null,html:t.data("html")||null,content:t.data("content")||null,comment:t.data("comment")||null,author:t.data("author")||null,comments:function(){try{var e=t.data("comments");if(Array.isArray(e))return e;if("string"==typeof e)return JSON.parse(e)}catch(t){}}(),metadata:function(){try{var e=t.data("metadata");return"string"==typeof e?JSON.parse(e):e||null}catch(t){}return null}(),compareSrc:t.data("compareSrc")||null,pollOptionLabel:t.data("pollOptionLabel")||null,pollOptionId:s(t.data("pollOptionId"))?null:t.data("pollOptionId"),pollOptionSelected:t.data("pollOptionSelected")||t.data("poll-option-selected")||!1},o="function"==typeof this.opts.itemData?this.opts.itemData(t,n):n;return s(o)&&(o=n),o.$el=t,o},_bindClicks:function(){var t=this,e=this.$container[0];if(e){this._containerCaptureClick&&(e.removeEventListener("click",this._containerCaptureClick,!0),this._containerCaptureClick=null);var i=function(e){var i=l(e.target).closest(t.opts.selector);i.length&&i.closest(t.$container).length&&(e.preventDefault(),e.stopImmediatePropagation(),t._beforeCollectContext={trigger:"click",$element:i,originalEvent:e},t._collectItems(function(){for(var e=null,n=0;n<t.items.length;n++)if(t.items[n].$el&&t.items[n].$el[0]===i[0]){e=t.items[n];break}!e&&t.items.length>0&&(e=t.items[0]),"function"!=typeof t.opts.beforeOpen&&(t._openContext={}),t._overlay.visible&&t._overlay.activeInstance===t&&t._overlay._minimized&&t._overlay._applyMinimizedUi(t,!1),t.open(i)}))};this._containerCaptureClick=i,e.addEventListener("click",i,!0)}},open:function(t){var e=this,i=this._trackLoad();return this._beforeCollectContext={trigger:"open",openArg:t},this._collectItems(function(){if(0===e.items.length&&e._provider&&null===e._provider.total&&(e._provider.retryIndex="number"==typeof t?Math.max(0,t):0,e.items=[e._providerPlaceholder()],e._providerFailed(0),t=0),0!==e.items.length){var i=0;if(null!=t)if("number"==typeof t)i=Math.max(0,Math.min(t,e.items.length-1));else for(var n=t&&t.jquery?t[0]:t,o=0;o<e.items.length;o++)if(e.items[o].$el&&e.items[o].$el[0]===n){i=o;break}var a=e.items[i],r=a&&a.$el&&a.$el.length?a.$el:l();if(A(e,"beforeopen",{item:a,index:i})){if("function"==typeof e.opts.beforeOpen)return e.idx=i,e._slideshowPaused=!1,e._slideshowPlaying=!1,e._beforeOpenPhase="loading",e._pendingGateContent=null,e._openContext={},e._overlay.open(e),void setTimeout(function(){"function"==typeof e.opts.beforeOpen&&e.opts.beforeOpen(a,r,function(t){t&&t.gateContent?(e._pendingGateContent=t.gateContent,e._openContext={}):(e._openContext=t||{},e._pendingGateContent=null),e._overlay._finishBeforeOpenProceed(e)})},0);e.idx=i,e._slideshowPaused=!1,e._slideshowPlaying=!1,e._openContext={},e._overlay.open(e)}else e._rejectLoad("CANCELLED")}else e._rejectLoad("NO_ITEMS")}),i},close:function(){var t=this._overlay;return L(new Promise(function(e,i){t.close(!1,e)||i(new j("CANCELLED"))}))},next:function(t){var e=this,i=this._trackLoad();return this._beforeCollectContext={trigger:"next"},this._collectItems(function(){if(e._navigable(e.items.length<2)){var i=e.items[e.idx],n=i&&i.$el?e._indexOfItemByElement(i.$el):e.idx;n<0&&(n=0);var o=e.opts.loop?(n+1)%e.items.length:Math.min(e.items.length-1,n+1);e._fireNavigate(n,o,"next")?(e._slideshowTimer&&(clearTimeout(e._slideshowTimer),e._slideshowTimer=null),e._firePrevClose(e.items[n]),e.idx=o,e._loadCurrent(t)):e._rejectLoad("CANCELLED")}}),i},prev:function(t){var e=this,i=this._trackLoad();return this._beforeCollectContext={trigger:"prev"},this._collectItems(function(){if(e._navigable(e.items.length<2)){var i=e.items[e.idx],n=i&&i.$el?e._indexOfItemByElement(i.$el):e.idx;n<0&&(n=e.items.length-1);var o=e.opts.loop?(n-1+e.items.length)%e.items.length:Math.max(0,n-1);e._fireNavigate(n,o,"prev")?(e._slideshowTimer&&(clearTimeout(e._slideshowTimer),e._slideshowTimer=null),e._firePrevClose(e.items[n]),e.idx=o,e._loadCurrent(t)):e._rejectLoad("CANCELLED")}}),i},goTo:function(t,e){var i=this,n=this._trackLoad();return this._beforeCollectContext={trigger:"goTo",index:t},this._collectItems(function(){var n=Math.max(0,Math.min(t,i.items.length-1));i._navigable(n===i.idx)&&(i._fireNavigate(i.idx,n,"goTo")?(i._slideshowTimer&&(clearTimeout(i._slideshowTimer),i._slideshowTimer=null),i._firePrevClose(i.items[i.idx]),i.idx=n,i._loadCurrent(e)):i._rejectLoad("CANCELLED"))}),n},currentItem:function(){return this.items[this.idx]},t:function(t,e){return m(this,t,e)},setTheme:function(t){if(b(t)&&A(this,"themechange",{theme:t,previousTheme:this.opts.theme||"dark"})){this.opts.theme=t,at(this,{theme:t});var e=this._overlay;e.activeInstance===this&&e.built&&e._applyTheme(this),"function"==typeof this.opts.onThemeChange&&this.opts.onThemeChange(t,this)}},refresh:function(){var t=this._overlay.visible&&this._overlay.activeInstance===this,e=this;this._beforeCollectContext={trigger:"refresh"},this._collectItems(function(){e._bindClicks(),t&&e.items.length?(e.idx=Math.min(e.idx,e.items.length-1),e._overlay.loadItem()):t&&e.close()})},addItems:function(t,e){if(this._usesProvider())return this.items.length;for(var i=t&&t.jquery?t.toArray():Array.isArray(t)?t:[t],n=[],o=0;o<i.length;o++){var a=i[o];s(a)||(a.jquery||1===a.nodeType?n.push(this._itemFromElement(l(a))):n.push(a))}var r=this.items.length,c="number"==typeof e?Math.max(0,Math.min(e,r)):r;return n.length?([].splice.apply(this.items,[c,0].concat(n)),r&&c<=this.idx&&(this.idx+=n.length),this._itemsChanged(),this.items.length):r},removeItem:function(t){var e=this._resolveItemIndex(t);if(e<0||this._usesProvider())return null;var i=this.items.splice(e,1)[0],n=e===this.idx;e<this.idx&&this.idx--,this.idx=Math.max(0,Math.min(this.idx,this.items.length-1)),this._itemsChanged();var o=this._overlay;return n&&o.visible&&o.activeInstance===this&&(this._firePrevClose(i),this.items.length?o.loadItem():this.close()),i},updateItem:function(t,e){var i=this._resolveItemIndex(t);if(i<0||!e||"object"!=typeof e)return null;var n=l.extend(this.items[i],e);this._itemsChanged();var o=this._overlay;return i===this.idx&&o.visible&&o.activeInstance===this&&!this._beforeOpenPhase&&o.loadItem(),n},moveItem:function(t,e){var i=this._resolveItemIndex(t),n=this.items.length;i<0||"number"!=typeof e||this._usesProvider()||i!==(e=Math.max(0,Math.min(e,n-1)))&&(this.items.splice(e,0,this.items.splice(i,1)[0]),i===this.idx?this.idx=e:i<this.idx&&e>=this.idx?this.idx--:i>this.idx&&e<=this.idx&&this.idx++,this._itemsChanged())},_resolveItemIndex:function(t){return"number"==typeof t?t>=0&&t<this.items.length?Math.floor(t):-1:t&&(t.jquery||1===t.nodeType)?this._indexOfItemByElement(t):this.items.indexOf(t)},_itemsChanged:function(){this._usesProvider()||(this._usesItemsOption()||!this.$container.find(this.opts.selector).length?this.opts.items=this.items.slice():this._itemsPinned=!0);var t=this._overlay;if(t.built&&t.activeInstance===this&&!this._beforeOpenPhase){var e=this.items[this.idx];e&&t._syncHeader(this,e),t._updateNavButtons(this),t._carouselEnabled(this)&&t._buildCarousel(this),t._preloadAdjacentImages(this)}},setOptions:function(t){if(t&&"object"==typeof t&&this.opts)if(Pe(this.opts,t),Te(this.opts),Object.prototype.hasOwnProperty.call(t,"items")||Object.prototype.hasOwnProperty.call(t,"itemsProvider"))this.refresh();else{var e=this._overlay;if(e.activeInstance===this&&e.built){var i=this.opts.slideshow;if(!this._slideshowTimer||i&&i.enabled||(clearTimeout(this._slideshowTimer),this._slideshowTimer=null,this._slideshowPlaying=!1,e._stopSlideshowProgress()),e._applyOptions(this),_t(),!this._beforeOpenPhase){t.zoom&&Object.prototype.hasOwnProperty.call(t.zoom,"fit")&&e._isImageItem&&e._setImageFit(le(this));var n=e._zoomOpts();(e._zoom<n.min||e._zoom>e._zoomMax())&&e._setZoom(Math.max(n.min,Math.min(e._zoomMax(),e._zoom))),e._syncMinimap();var o=this.items[this.idx];o&&(e._syncHeader(this,o),e._resolveToolbar(this,this._currentResult||{}),e._updatePollOption(this,o))}}}},option:function(t,e){if(t&&"object"==typeof t)this.setOptions(t);else{var i=String(t).split(".");if(arguments.length<2){for(var n=this.opts,o=0;o<i.length&&null!=n;o++)n=n[i[o]];return n}for(var a={},r=a,s=0;s<i.length-1;s++)r=r[i[s]]={};r[i[i.length-1]]=e,this.setOptions(a)}},showLoader:function(){var t=this._overlay;t.activeInstance===this&&t.$loader&&t.$loader.length&&t.$loader.addClass("cv-active")},hideLoader:function(){var t=this._overlay;t.activeInstance===this&&t.$loader&&t.$loader.length&&t.$loader.removeClass("cv-active")},showStripMessage:function(t,e){var i=this._overlay;i.activeInstance===this&&i.$stripMessage&&i.$stripMessage.length&&i._showStripMessage(t,e)},destroy:function(){var t=this.$container&&this.$container[0];t&&this._containerCaptureClick&&(t.removeEventListener("click",this._containerCaptureClick,!0),this._containerCaptureClick=null),this.$container.removeData("cv-instance"),l(e).off("popstate.cv-history-"+this.id);var i=this._overlay;i.$tooltip&&i.$tooltip.length&&(i.$tooltip.removeClass("cv-tooltip-visible").attr("aria-hidden","true").remove(),i.$tooltip=l()),this._rejectLoad("DESTROYED"),i.activeInstance===this?i.close(!0):!i.activeInstance&&i.$el&&i.$el.length&&(i.$el.remove(),i.built=!1,i.$el=null,i.$shell=null,i.$stage=null,i.$stageWrap=null,i.$toolbar=null,i.$loader=null,i.$prev=null,i.$next=null,i.$footer=null),ut(this,"destroy"),this.items=[],this.opts=null,this._provider=null},_trackLoad:function(){var t=this;return this._rejectLoad("SUPERSEDED"),L(new Promise(function(e,i){t._pendingLoad={resolve:e,reject:i}}))},_settleLoad:function(t){var e=this._pendingLoad;e&&t===this.items[this.idx]&&(this._pendingLoad=null,e.resolve(t))},_rejectLoad:function(t,e){var i=this._pendingLoad;i&&(this._pendingLoad=null,i.reject(new j(t,e)))},_navigable:function(t){return 0===this.items.length?(this._rejectLoad("NO_ITEMS"),!1):!t||(this._overlay.activeInstance===this?this._settleLoad(this.items[this.idx]):this._rejectLoad("NOT_OPEN"),!1)},_loadCurrent:function(t){if(this._overlay.activeInstance!==this)return this._analyticsTrigger=null,void this._rejectLoad("NOT_OPEN");this._overlay.loadItem(t&&t.transition?{transition:!0}:void 0)},_fireNavigate:function(t,e,i){return!!A(this,"navigate",{item:this.items[t],index:t,toItem:this.items[e],toIndex:e,direction:i})&&(this._analyticsTrigger=i,!0)},_restoreHistory:function(){var t=this;if(K(this)){this._bindHistory();var i=tt(J(this.opts.history));if(i&&i.id===K(this)){if(this._usesProvider()&&0===this.items.length)return void this._ensureProviderItem(0,function(){t._onHistoryPop(e.history.state)});this._onHistoryPop(e.history.state)}}},_bindHistory:function(){var t=this;this._historyBound||(this._historyBound=!0,l(e).on("popstate.cv-history-"+this.id,function(e){t._onHistoryPop((e.originalEvent||e).state)}))},_onHistoryPop:function(t){var e=this.opts&&K(this);if(e){var i=this,n=this._overlay,o=n.visible&&n.activeInstance===this&&!n._closing,a=tt(J(this.opts.history));if(a&&a.id===e){for(var r=-1,s=0;s<this.items.length;s++)if(Q(this,this.items[s],s)===a.key){r=s;break}r<0||(this._historyOpen=!0,this._historyDepth=t&&t.cvHistory===J(this.opts.history)&&t.cvDepth||0,o?r!==this.idx&&this.goTo(r):this.open(r))}else o&&this._historyOpen&&(this._historyOpen=!1,this._historyDepth=0,this.close().catch(function(){i._syncHistory()}))}},_syncHistory:function(){var t=K(this),i=this.items[this.idx];if(t&&i){this._bindHistory();var n=this.opts.history,o=function(t,e){return encodeURIComponent(t)+"/"+encodeURIComponent(e)}(t,Q(this,i,this.idx));if(J(n)!==o){var a=!this._historyOpen||n.pushNavigation;a&&(this._historyDepth=(this._historyDepth||0)+1),this._historyOpen=!0,e.history[a?"pushState":"replaceState"]({cvHistory:o,cvDepth:this._historyDepth},"",et(n,o))}else this._historyOpen=!0}},_clearHistory:function(){var t,i=K(this),n=this._historyDepth||0,o=this._historyOpen;if(this._historyOpen=!1,this._historyDepth=0,i&&o){var a=tt(J(this.opts.history));a&&a.id===i&&(n>0?(t=n,G||setTimeout(function(){var t=G;G=0,e.history.go(-t)},0),G+=t):e.history.replaceState(null,"",et(this.opts.history,null)))}},_firePrevClose:function(t){"function"==typeof this.opts.onClose&&t&&this.opts.onClose(t,this)}},Ie.defaults=u,Ie.Icons=S,Ie.defaultStrings=d,Ie.ViewerError=j,Ie.registerRenderer=$e,Ie.unregisterRenderer=Ce,Ie.getRenderer=Se,Ie.registerLocale=function(t,e){return!(s(t)||""===String(t)||!e||"object"!=typeof e||(t=String(t).toLowerCase(),p[t]=l.extend(p[t]||{},e),0))},Ie.unregisterLocale=function(t){return t=String(t).toLowerCase(),!!Object.prototype.hasOwnProperty.call(p,t)&&(delete p[t],!0)},Ie.getLocale=f,Ie.registerTheme=function(t,e){if(t=s(t)?"":String(t),!/^[a-z0-9_-]+$/i.test(t)||"dark"===t||"light"===t||"auto"===t)return!1;e=e||{};var i={};for(var n in e.vars)Object.prototype.hasOwnProperty.call(e.vars,n)&&(i[0===n.indexOf("--")?n:"--cv-"+n]=String(e.vars[n]));return g[t]={base:"light"===e.base?"light":"dark",label:s(e.label)?t:String(e.label),vars:i},!0},Ie.unregisterTheme=function(t){return!!Object.prototype.hasOwnProperty.call(g,t)&&(delete g[t],!0)},Ie.getTheme=_,Ie.getActive=function(){var t=gt();return t?t.activeInstance:null},Ie.getOpen=function(){for(var t=[],e=0;e<vt.length;e++)t.push(vt[e].activeInstance);return t},Ie.getInstance=function(t){return l(t).data("cv-instance")||null},Ie._internals={parseKeyBinding:H,resolveKeymap:D,keyBindingMatches:V,imageTransform:wt.prototype._imageTransform,unprojectImageOffset:Kt,readImageMetadata:Ht,dziTileSource:ue,iiifTileSource:pe,levelGrid:fe},t&&(l.fn[c]=function(t){if("string"==typeof t){var e,i=[].slice.call(arguments,1);return this.each(function(){var n=l(this).data("cv-instance");n&&"function"==typeof n[t]&&(e=n[t].apply(n,i))}),e&&"function"==typeof e.then&&(e=void 0),void 0!==e?e:this}return this.each(function(){var e=l(this).data("cv-instance");e&&"function"==typeof e.destroy&&e.destroy(),l(this).data("cv-instance",new Ie(this,t))})},["defaults","Icons","defaultStrings","ViewerError","registerRenderer","unregisterRenderer","getRenderer","registerLocale","unregisterLocale","getLocale","registerTheme","unregisterTheme","getTheme","getActive","getOpen","getInstance"].forEach(function(t){l.fn[c][t]=Ie[t]}),l.fn[c].Core=Ie,l[c]=function(t){var e=l("<div>");return e[c](t),e}),Ie}(t.jQuery,t,t.document);"object"==typeof module&&module.exports?module.exports=e:"function"==typeof define&&define.amd&&define([],function(){return e}),t.document&&(t.ComponentViewer=e)}("undefined"!=typeof window?window:this);
\ No newline at end of file
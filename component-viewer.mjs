@@ -0,0 +1,21 @@
+/* ES module entry. Loads the UMD build and re-exports the core class; $.fn.componentViewer is registered too when jQuery is global. */
+import * as umd from './component-viewer.js';
+
+/* Bundlers and Node expose module.exports as default; a browser loading this file natively gets the global the UMD sets */
+const ComponentViewer = (umd && umd.default) || globalThis.ComponentViewer;
+
+export default ComponentViewer;
+export { ComponentViewer };
+export const ViewerError = ComponentViewer.ViewerError;
+export const registerRenderer = ComponentViewer.registerRenderer;
+export const unregisterRenderer = ComponentViewer.unregisterRenderer;
+export const getRenderer = ComponentViewer.getRenderer;
+export const registerLocale = ComponentViewer.registerLocale;
+export const unregisterLocale = ComponentViewer.unregisterLocale;
+export const getLocale = ComponentViewer.getLocale;
+export const registerTheme = ComponentViewer.registerTheme;
+export const unregisterTheme = ComponentViewer.unregisterTheme;
+export const getTheme = ComponentViewer.getTheme;
+export const getActive = ComponentViewer.getActive;
+export const getOpen = ComponentViewer.getOpen;
+export const getInstance = ComponentViewer.getInstance;
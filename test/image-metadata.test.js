@@ -0,0 +1,170 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const ComponentViewer = require('../component-viewer.js');
+
+const { readImageMetadata } = ComponentViewer._internals;
+
+/* TIFF field type -> byte size for the types the fixtures use (ASCII, SHORT, LONG, RATIONAL) */
+const TIFF_SIZES = { 2: 1, 3: 2, 4: 4, 5: 8 };
+
+/**
+ * EXIF TIFF block: 0th IFD plus optional Exif and GPS sub-IFDs. Entries are { tag, type, value } for ASCII
+ * (a Latin-1 string) or { tag, type, values } for numbers, with RATIONAL values given as flat [num, den, ...].
+ */
+function tiff (le, ifd0, exif, gps) {
+  const v = new DataView(new ArrayBuffer(2048));
+  const ifds = [ifd0.slice()];
+  if (exif) {
+    ifds[0].push({ tag: 0x8769, type: 4, values: [0] });
+    ifds.push(exif);
+  }
+  if (gps) {
+    ifds[0].push({ tag: 0x8825, type: 4, values: [0] });
+    ifds.push(gps);
+  }
+  const offsets = [];
+  let data = 8;
+  for (const list of ifds) {
+    offsets.push(data);
+    data += 2 + list.length * 12 + 4;
+  }
+  let sub = 1;
+  for (const e of ifds[0]) {
+    if (e.tag === 0x8769 || e.tag === 0x8825) {
+      e.values = [offsets[sub++]];
+    }
+  }
+  v.setUint16(0, le ? 0x4949 : 0x4D4D);
+  v.setUint16(2, 42, le);
+  v.setUint32(4, 8, le);
+  ifds.forEach((list, k) => {
+    let p = offsets[k];
+    v.setUint16(p, list.length, le);
+    p += 2;
+    for (const e of list) {
+      const count = e.type === 2 ? e.value.length + 1 : (e.type === 5 ? e.values.length / 2 : e.values.length);
+      const size = TIFF_SIZES[e.type] * count;
+      v.setUint16(p, e.tag, le);
+      v.setUint16(p + 2, e.type, le);
+      v.setUint32(p + 4, count, le);
+      let at = p + 8;
+      if (size > 4) {
+        v.setUint32(p + 8, data, le);
+        at = data;
+        data += size;
+      }
+      if (e.type === 2) {
+        for (let i = 0; i < e.value.length; i++) {
+          v.setUint8(at + i, e.value.charCodeAt(i));
+        }
+      } else {
+        e.values.forEach((x, i) => (e.type === 3 ? v.setUint16(at + i * 2, x, le) : v.setUint32(at + i * 4, x, le)));
+      }
+      p += 12;
+    }
+    v.setUint32(p, 0, le);
+  });
+  return Buffer.from(v.buffer, 0, data);
+}
+
+function u16be (n) {
+  return Buffer.from([(n >> 8) & 0xFF, n & 0xFF]);
+}
+
+function u32be (n) {
+  const b = Buffer.alloc(4);
+  b.writeUInt32BE(n);
+  return b;
+}
+
+/** JPEG with the given [marker, payload] segments before the scan; lengthOverride fakes a truncated segment. */
+function jpeg (segments) {
+  const parts = [u16be(0xFFD8)];
+  for (const [marker, payload, lengthOverride] of segments) {
+    parts.push(u16be(marker), u16be(lengthOverride || payload.length + 2), payload);
+  }
+  parts.push(u16be(0xFFDA), u16be(2), u16be(0xFFD9));
+  return toArrayBuffer(Buffer.concat(parts));
+}
+
+function png (chunks) {
+  const parts = [Buffer.from([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A])];
+  for (const [type, data] of chunks.concat([['IEND', Buffer.alloc(0)]])) {
+    parts.push(u32be(data.length), Buffer.from(type, 'latin1'), data, Buffer.alloc(4));
+  }
+  return toArrayBuffer(Buffer.concat(parts));
+}
+
+/** APP13 payload: Photoshop 3.0 header and one 8BIM 0x0404 resource holding IPTC record 2 datasets [[id, utf-8 text], ...]. */
+function photoshopIptc (datasets) {
+  const iptc = Buffer.concat(datasets.map(([id, text]) => {
+    const body = Buffer.from(text, 'utf8');
+    return Buffer.concat([Buffer.from([0x1C, 2, id]), u16be(body.length), body]);
+  }));
+  const pad = iptc.length % 2 ? Buffer.alloc(1) : Buffer.alloc(0);
+  return Buffer.concat([Buffer.from('Photoshop 3.0\0', 'latin1'), Buffer.from('8BIM', 'latin1'), u16be(0x0404), Buffer.from([0, 0]), u32be(iptc.length), iptc, pad]);
+}
+
+function exifApp1 (block) {
+  return Buffer.concat([Buffer.from('Exif\0\0', 'latin1'), block]);
+}
+
+function toArrayBuffer (buf) {
+  return buf.buffer.slice(buf.byteOffset, buf.byteOffset + buf.length);
+}
+
+function cameraTiff (le) {
+  return tiff(le, [
+    { tag: 0x010F, type: 2, value: 'Canon' },
+    { tag: 0x0110, type: 2, value: 'EOS R5' },
+    { tag: 0x8298, type: 2, value: Buffer.from('© Ana Silva', 'utf8').toString('latin1') }
+  ], [
+    { tag: 0x829A, type: 5, values: [1, 250] },
+    { tag: 0x829D, type: 5, values: [28, 10] },
+    { tag: 0x8827, type: 3, values: [400] },
+    { tag: 0xA001, type: 3, values: [1] }
+  ], [
+    { tag: 1, type: 2, value: 'N' },
+    { tag: 2, type: 5, values: [48, 1, 51, 1, 24, 1] }
+  ]);
+}
+
+for (const le of [true, false]) {
+  test('readImageMetadata reads EXIF and GPS from a JPEG APP1 segment (' + (le ? 'little' : 'big') + '-endian)', () => {
+    const meta = readImageMetadata(jpeg([[0xFFE1, exifApp1(cameraTiff(le))]]));
+    assert.equal(meta.make, 'Canon');
+    assert.equal(meta.model, 'EOS R5');
+    assert.equal(meta.copyright, '© Ana Silva');
+    assert.equal(meta.exposureTime, 1 / 250);
+    assert.equal(meta.fNumber, 2.8);
+    assert.equal(meta.iso, 400);
+    assert.equal(meta.colorSpace, 1);
+    assert.deepEqual(meta.gps, { latitudeRef: 'N', latitude: [48, 51, 24] });
+  });
+}
+
+test('readImageMetadata reads IPTC from the Photoshop APP13 segment', () => {
+  const meta = readImageMetadata(jpeg([[0xFFED, photoshopIptc([[5, 'Harbour'], [25, 'sea'], [25, 'boats'], [120, 'Dawn at the pier'], [80, 'Zoë']])]]));
+  assert.deepEqual(meta.iptc, { title: 'Harbour', keywords: ['sea', 'boats'], caption: 'Dawn at the pier', creator: 'Zoë' });
+});
+
+test('readImageMetadata reads the eXIf and sRGB chunks of a PNG', () => {
+  const meta = readImageMetadata(png([['sRGB', Buffer.from([0])], ['eXIf', cameraTiff(false)]]));
+  assert.equal(meta.make, 'Canon');
+  assert.equal(meta.iso, 400);
+  assert.equal(meta.iccProfile, 'sRGB');
+});
+
+test('readImageMetadata returns {} for other formats and empty input', () => {
+  assert.deepEqual(readImageMetadata(toArrayBuffer(Buffer.from('GIF89a\x01\x00\x01\x00', 'latin1'))), {});
+  assert.deepEqual(readImageMetadata(new ArrayBuffer(0)), {});
+});
+
+test('readImageMetadata keeps what it read before a truncated segment', () => {
+  const app1 = exifApp1(cameraTiff(true)).subarray(0, 20);
+  const meta = readImageMetadata(jpeg([[0xFFED, photoshopIptc([[5, 'Harbour']])], [0xFFE1, app1, 400]]));
+  assert.deepEqual(meta.iptc, { title: 'Harbour' });
+  assert.equal(meta.make, undefined);
+});
@@ -0,0 +1,76 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const ComponentViewer = require('../component-viewer.js');
+
+const { imageTransform, unprojectImageOffset } = ComponentViewer._internals;
+
+/** Overlay stand-in with the view state _imageTransform reads; fitScale is the fit mode's extra scale. */
+function view (state, fitScale) {
+  return Object.assign({ _panX: 0, _panY: 0, _zoom: 1, _rotation: 0, _flipX: false, _flipY: false, _fitScale: () => fitScale || 1 }, state);
+}
+
+/** Apply the scale() and rotate() parts of a CSS transform string to a point, right to left as the browser does. */
+function applyTransform (css, x, y) {
+  const fns = css.match(/(scale|rotate)\([^)]*\)/g) || [];
+  let p = [x, y];
+  for (let i = fns.length - 1; i >= 0; i--) {
+    const args = fns[i].replace(/^\w+\(|\)$/g, '').split(',').map(parseFloat);
+    if (fns[i].indexOf('rotate') === 0) {
+      const rad = args[0] * Math.PI / 180;
+      p = [p[0] * Math.cos(rad) - p[1] * Math.sin(rad), p[0] * Math.sin(rad) + p[1] * Math.cos(rad)];
+    } else {
+      p = [p[0] * args[0], p[1] * (args.length > 1 ? args[1] : args[0])];
+    }
+  }
+  return p.map((v) => Math.round(v * 1000) / 1000 + 0);
+}
+
+test('imageTransform centers, pans and scales by zoom times the fit scale', () => {
+  const css = imageTransform.call(view({ _panX: 12, _panY: -4, _zoom: 2 }, 1.5), null);
+  assert.equal(css, 'translate(-50%, -50%) translate(12px,-4px) scale(3)');
+});
+
+test('imageTransform adds no flip or rotate while the image is untouched', () => {
+  assert.doesNotMatch(imageTransform.call(view({}), null), /rotate|scale\(-?1,/);
+});
+
+test('imageTransform rotates clockwise by the quarter turns', () => {
+  const css = imageTransform.call(view({ _rotation: 90 }), null);
+  assert.match(css, /rotate\(90deg\)$/);
+  assert.deepEqual(applyTransform(css, 10, 0), [0, 10]);
+});
+
+test('imageTransform flips on the screen axes after a quarter turn', () => {
+  /* The right edge of the image points down after rotating 90°; a horizontal flip must not move it up */
+  const x = applyTransform(imageTransform.call(view({ _rotation: 90, _flipX: true }), null), 10, 0);
+  assert.deepEqual(x, [0, 10]);
+  const y = applyTransform(imageTransform.call(view({ _rotation: 90, _flipY: true }), null), 10, 0);
+  assert.deepEqual(y, [0, -10]);
+  const top = applyTransform(imageTransform.call(view({ _rotation: 90, _flipX: true }), null), 0, -10);
+  assert.deepEqual(top, [-10, 0]);
+});
+
+test('imageTransform applies both flips as a half turn', () => {
+  const both = applyTransform(imageTransform.call(view({ _flipX: true, _flipY: true }), null), 3, 4);
+  const turned = applyTransform(imageTransform.call(view({ _rotation: 180 }), null), 3, 4);
+  assert.deepEqual(both, turned);
+});
+
+test('unprojectImageOffset inverts imageTransform for every quarter turn and flip', () => {
+  for (const rotation of [0, 90, 180, 270]) {
+    for (const flipX of [false, true]) {
+      for (const flipY of [false, true]) {
+        const css = imageTransform.call(view({ _rotation: rotation, _flipX: flipX, _flipY: flipY, _zoom: 2 }, 0.5), null);
+        const screen = applyTransform(css, 30, -20);
+        const back = unprojectImageOffset(screen[0], screen[1], 1, rotation, flipX, flipY).map((v) => Math.round(v * 1000) / 1000 + 0);
+        assert.deepEqual(back, [30, -20], 'rotation ' + rotation + ' flipX ' + flipX + ' flipY ' + flipY);
+      }
+    }
+  }
+});
+
+test('unprojectImageOffset divides by the screen scale', () => {
+  assert.deepEqual(unprojectImageOffset(40, -10, 4, 0, false, false), [10, -2.5]);
+});
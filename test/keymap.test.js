@@ -0,0 +1,77 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const ComponentViewer = require('../component-viewer.js');
+
+const { parseKeyBinding, resolveKeymap, keyBindingMatches } = ComponentViewer._internals;
+
+function key (k, mods) {
+  return Object.assign({ key: k, code: '', ctrlKey: false, altKey: false, shiftKey: false, metaKey: false }, mods);
+}
+
+test('parseKeyBinding reads modifiers, aliases and a literal +', () => {
+  assert.deepEqual(parseKeyBinding('Ctrl+Shift+D'), { key: 'd', ctrl: true, alt: false, shift: true, meta: false });
+  assert.deepEqual(parseKeyBinding('cmd+option+k'), { key: 'k', ctrl: false, alt: true, shift: false, meta: true });
+  assert.equal(parseKeyBinding('Esc').key, 'escape');
+  assert.equal(parseKeyBinding('Space').key, ' ');
+  assert.equal(parseKeyBinding('left').key, 'arrowleft');
+  assert.equal(parseKeyBinding('+').key, '+');
+  assert.deepEqual(parseKeyBinding('Ctrl++'), { key: '+', ctrl: true, alt: false, shift: false, meta: false });
+});
+
+test('parseKeyBinding rejects unknown modifiers and empty keys', () => {
+  assert.equal(parseKeyBinding('Hyper+K'), null);
+  assert.equal(parseKeyBinding(''), null);
+});
+
+test('resolveKeymap merges overrides over the defaults', () => {
+  const map = resolveKeymap({ opts: { keymap: { close: 'q', next: ['n', 'ArrowDown'], download: false, print: null } } });
+  assert.deepEqual(map.close.map((b) => b.key), ['q']);
+  assert.deepEqual(map.next.map((b) => b.key), ['n', 'arrowdown']);
+  assert.deepEqual(map.prev.map((b) => b.key), ['arrowleft']);
+  assert.deepEqual(map.download, []);
+  assert.deepEqual(map.print, []);
+  assert.deepEqual(map.zoomIn.map((b) => b.key), ['+', '=']);
+});
+
+test('resolveKeymap leaves actualSize unbound unless configured', () => {
+  assert.deepEqual(resolveKeymap({ opts: {} }).actualSize, []);
+  assert.deepEqual(resolveKeymap({ opts: { keymap: { actualSize: '1' } } }).actualSize.map((b) => b.key), ['1']);
+});
+
+test('resolveKeymap swaps the default prev/next arrows in RTL, but not custom bindings', () => {
+  const rtl = resolveKeymap({ opts: { isRTL: true } });
+  assert.equal(rtl.prev[0].key, 'arrowright');
+  assert.equal(rtl.next[0].key, 'arrowleft');
+  const custom = resolveKeymap({ opts: { isRTL: true, keymap: { prev: 'ArrowLeft' } } });
+  assert.equal(custom.prev[0].key, 'arrowleft');
+});
+
+test('resolveKeymap drops invalid entries and ignores unknown actions', () => {
+  const map = resolveKeymap({ opts: { keymap: { close: ['Hyper+X', 'Escape', ''], bogus: 'b' } } });
+  assert.deepEqual(map.close.map((b) => b.key), ['escape']);
+  assert.equal(Object.prototype.hasOwnProperty.call(map, 'bogus'), false);
+});
+
+test('keyBindingMatches compares the key and every modifier', () => {
+  const b = parseKeyBinding('Ctrl+Z');
+  assert.equal(keyBindingMatches(b, key('z', { ctrlKey: true })), true);
+  assert.equal(keyBindingMatches(b, key('Z', { ctrlKey: true })), true);
+  assert.equal(keyBindingMatches(b, key('z')), false);
+  assert.equal(keyBindingMatches(b, key('z', { ctrlKey: true, metaKey: true })), false);
+  assert.equal(keyBindingMatches(b, key('z', { ctrlKey: true, shiftKey: true })), false);
+  assert.equal(keyBindingMatches(parseKeyBinding('Ctrl+Shift+Z'), key('Z', { ctrlKey: true, shiftKey: true })), true);
+});
+
+test('keyBindingMatches ignores Shift for punctuation but not for letters', () => {
+  assert.equal(keyBindingMatches(parseKeyBinding('+'), key('+', { shiftKey: true })), true);
+  assert.equal(keyBindingMatches(parseKeyBinding('?'), key('/', { shiftKey: true })), true);
+  assert.equal(keyBindingMatches(parseKeyBinding('d'), key('D', { shiftKey: true })), false);
+});
+
+test('keyBindingMatches falls back to the physical letter when Alt changes the character', () => {
+  const b = parseKeyBinding('Alt+K');
+  assert.equal(keyBindingMatches(b, key('˚', { altKey: true, code: 'KeyK' })), true);
+  assert.equal(keyBindingMatches(b, key('˚', { code: 'KeyK' })), false);
+});
@@ -0,0 +1,74 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const ComponentViewer = require('../component-viewer.js');
+
+const { dziTileSource, iiifTileSource, levelGrid } = ComponentViewer._internals;
+
+test('dziTileSource builds one level per halving, coarsest first', () => {
+  const src = dziTileSource('https://cdn.example.com/maps/city.dzi?v=2', { TileSize: '254', Overlap: '1', Format: 'png', Size: { Width: '1000', Height: '800' } });
+  assert.equal(src.width, 1000);
+  assert.equal(src.height, 800);
+  assert.equal(src.tileW, 254);
+  assert.equal(src.overlap, 1);
+  assert.equal(src.levels.length, 11);
+  assert.equal(src.levels[0].factor, 1024);
+  assert.equal(src.levels[10].factor, 1);
+  assert.equal(src.levels[10].url(2, 3), 'https://cdn.example.com/maps/city_files/10/2_3.png');
+  assert.equal(src.levels[0].url(0, 0), 'https://cdn.example.com/maps/city_files/0/0_0.png');
+});
+
+test('dziTileSource honours Url and falls back to 254px jpg tiles', () => {
+  const src = dziTileSource('city.json', { Url: 'https://tiles.example.com/city', Size: { Width: 300, Height: 200 } });
+  assert.equal(src.tileW, 254);
+  assert.equal(src.overlap, 0);
+  assert.equal(src.levels[src.levels.length - 1].url(1, 0), 'https://tiles.example.com/city/9/1_0.jpg');
+});
+
+test('dziTileSource rejects a descriptor without a size', () => {
+  assert.equal(dziTileSource('a.dzi', { Size: { Width: '0', Height: '10' } }), null);
+  assert.equal(dziTileSource('a.dzi', {}), null);
+});
+
+test('levelGrid counts the tiles covering a level', () => {
+  const src = dziTileSource('a.dzi', { TileSize: 254, Size: { Width: 1000, Height: 800 } });
+  assert.deepEqual(levelGrid(src, src.levels[10]), { cols: 4, rows: 4 });
+  assert.deepEqual(levelGrid(src, src.levels[9]), { cols: 2, rows: 2 });
+  assert.deepEqual(levelGrid(src, src.levels[0]), { cols: 1, rows: 1 });
+});
+
+const IIIF_V2 = {
+  '@context': 'http://iiif.io/api/image/2/context.json',
+  '@id': 'https://images.example.com/iiif/abc/',
+  width: 3000,
+  height: 2000,
+  tiles: [{ width: 512, scaleFactors: [1, 2, 4, 8] }]
+};
+
+test('iiifTileSource (v2) requests regions sized by the scale factor, clipped at the edges', () => {
+  const src = iiifTileSource('https://images.example.com/iiif/abc/info.json', IIIF_V2);
+  assert.deepEqual(src.levels.map((l) => l.factor), [8, 4, 2, 1]);
+  assert.equal(src.tileW, 512);
+  assert.equal(src.tileH, 512);
+  assert.equal(src.levels[3].url(5, 3), 'https://images.example.com/iiif/abc/2560,1536,440,464/440,/0/default.jpg');
+  assert.equal(src.levels[0].url(0, 0), 'https://images.example.com/iiif/abc/0,0,3000,2000/375,/0/default.jpg');
+});
+
+test('iiifTileSource (v3) sends both output dimensions', () => {
+  const info = { id: 'https://images.example.com/iiif3/abc', type: 'ImageService3', width: 3000, height: 2000, tiles: [{ width: 512, height: 256, scaleFactors: [1, 8] }] };
+  const src = iiifTileSource('https://images.example.com/iiif3/abc/info.json', info);
+  assert.equal(src.tileH, 256);
+  assert.equal(src.levels[0].url(0, 0), 'https://images.example.com/iiif3/abc/0,0,3000,2000/375,250/0/default.jpg');
+});
+
+test('iiifTileSource halves until the image fits one tile when no scale factors are listed', () => {
+  const src = iiifTileSource('https://images.example.com/iiif/abc/info.json?x=1', { width: 3000, height: 2000, tiles: [{ width: 512 }] });
+  assert.deepEqual(src.levels.map((l) => l.factor), [8, 4, 2, 1]);
+  assert.equal(src.levels[3].url(0, 0), 'https://images.example.com/iiif/abc/0,0,512,512/512,/0/default.jpg');
+});
+
+test('iiifTileSource rejects a missing size or an unsafe id', () => {
+  assert.equal(iiifTileSource('https://x/info.json', { width: 100 }), null);
+  assert.equal(iiifTileSource('https://x/info.json', Object.assign({}, IIIF_V2, { '@id': 'javascript:alert(1)' })), null);
+});